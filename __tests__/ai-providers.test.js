@@ -0,0 +1,203 @@
+// __tests__/ai-providers.test.js
+import { describe, test, expect, vi } from "vitest";
+import {
+  HeuristicProvider,
+  createAIProvider,
+} from "../src/services/ai-providers/index.js";
+import {
+  isRateLimitError,
+  validateJsonResponse,
+  TextGenerationProvider,
+} from "../src/services/ai-providers/textGeneration.provider.js";
+import { DocumentEnrichmentSchema } from "../src/schemas/ai.schemas.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+describe("HeuristicProvider", () => {
+  const provider = new HeuristicProvider();
+
+  test("should summarize a JavaScript function from its JSDoc and signature", async () => {
+    const result = await provider.summarizeCodeEntity({
+      name: "fetchUserProfile",
+      entityType: "function_declaration",
+      language: "javascript",
+      rawContent: `/**
+ * Fetches the profile of a user and caches it.
+ * @param {string} userId - The user id
+ * @returns {Promise<Object>} The profile object
+ */
+async function fetchUserProfile(userId) {
+  return api.get(userId);
+}`,
+    });
+
+    expect(result.summary).toBe(
+      "Function declaration fetchUserProfile(userId): Fetches the profile of a user and caches it. Returns the profile object."
+    );
+    expect(result.keywords).toEqual(
+      expect.arrayContaining(["fetchUserProfile", "userId"])
+    );
+    expect(result.keywords.length).toBeLessThanOrEqual(5);
+  });
+
+  test("should report parameters and side effects of a code entity", async () => {
+    const result = await provider.summarizeCodeEntity({
+      name: "saveRecord",
+      entityType: "function_declaration",
+      language: "javascript",
+      rawContent: `async function saveRecord(record, retries = 3) {
+  await dbClient.execute("INSERT INTO records VALUES (?)", [record]);
+  console.log("saved");
+}`,
+    });
+
+    expect(result.parameters).toEqual([
+      { name: "record", description: "" },
+      { name: "retries", description: "" },
+    ]);
+    expect(result.returnDescription).toBeNull();
+    expect(result.sideEffects).toEqual([
+      "Reads or writes the database",
+      "Writes log output",
+    ]);
+  });
+
+  test("should summarize a Python function from its docstring", async () => {
+    const result = await provider.summarizeCodeEntity({
+      name: "parse_row",
+      entityType: "function_definition",
+      language: "python",
+      rawContent: `def parse_row(row):\n    """Split a CSV row into fields."""\n    return row.split(",")`,
+    });
+
+    expect(result.summary).toBe(
+      "Function definition parse_row(row): Split a CSV row into fields."
+    );
+  });
+
+  test("should be deterministic for identical input", async () => {
+    const document = {
+      filePath: "docs/architecture.md",
+      fileType: "markdown",
+      rawContent:
+        "# Architecture\n\nThe server indexes code with tree-sitter.\n\n## Indexing\n",
+    };
+
+    const first = await provider.summarizeDocument(document);
+    const second = await provider.summarizeDocument(document);
+
+    expect(first).toEqual(second);
+    expect(first.summary).toBe(
+      "Architecture: The server indexes code with tree-sitter."
+    );
+  });
+
+  test("should tag conversation topics by purpose", async () => {
+    const result = await provider.generateTopics({
+      messages: [
+        { role: "user", content: "The parser throws an error on empty files." },
+        { role: "assistant", content: "I fixed the parser check." },
+      ],
+    });
+
+    expect(result.topics).toHaveLength(1);
+    expect(result.topics[0].purposeTag).toBe("Debugging Issue");
+    expect(result.topics[0].keywordsArray).toContain("parser");
+  });
+
+  test("should return no topics for an empty conversation", async () => {
+    const result = await provider.generateTopics({ messages: [] });
+    expect(result.topics).toEqual([]);
+  });
+});
+
+describe("createAIProvider", () => {
+  test("should create the heuristic provider without any credentials", () => {
+    const provider = createAIProvider({ AI_PROVIDER: "heuristic" });
+    expect(provider).toBeInstanceOf(HeuristicProvider);
+    expect(provider.isFunctional).toBe(true);
+  });
+
+  test("should report the OpenAI-compatible provider as not functional without a base URL", () => {
+    const provider = createAIProvider({ AI_PROVIDER: "openai_compatible" });
+    expect(provider.isFunctional).toBe(false);
+  });
+});
+
+describe("validateJsonResponse", () => {
+  test("should accept JSON wrapped in a markdown code fence", () => {
+    const result = validateJsonResponse(
+      '```json\n{"summary": "Explains setup.", "keywords": ["setup"]}\n```',
+      DocumentEnrichmentSchema
+    );
+    expect(result.success).toBe(true);
+    expect(result.data.keywords).toEqual(["setup"]);
+  });
+
+  test("should reject the legacy line format and empty summaries", () => {
+    expect(
+      validateJsonResponse(
+        "Summary: Explains setup.\nKeywords: setup",
+        DocumentEnrichmentSchema
+      ).success
+    ).toBe(false);
+    expect(
+      validateJsonResponse(
+        '{"summary": " ", "keywords": ["setup"]}',
+        DocumentEnrichmentSchema
+      ).error
+    ).toContain("summary");
+  });
+});
+
+describe("TextGenerationProvider", () => {
+  test("should send malformed output back for repair", async () => {
+    const provider = new TextGenerationProvider("Fake");
+    provider.generateText = vi
+      .fn()
+      .mockResolvedValueOnce("Summary: not json")
+      .mockResolvedValueOnce(
+        '{"summary": "Explains setup.", "keywords": ["setup"]}'
+      );
+
+    const result = await provider.summarizeDocument({
+      rawContent: "# Setup",
+      fileType: "markdown",
+    });
+
+    expect(provider.generateText).toHaveBeenCalledTimes(2);
+    expect(provider.generateText.mock.calls[1][0]).toContain(
+      "Summary: not json"
+    );
+    expect(result.summary).toBe("Explains setup.");
+  });
+
+  test("should fail with AIProviderError when repairs do not help", async () => {
+    const provider = new TextGenerationProvider("Fake");
+    provider.generateText = vi.fn().mockResolvedValue("still not json");
+
+    await expect(
+      provider.summarizeDocument({ rawContent: "x", fileType: "text" })
+    ).rejects.toMatchObject({ name: "AIProviderError" });
+    expect(provider.generateText).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe("isRateLimitError", () => {
+  test("should detect HTTP 429 and quota messages", () => {
+    expect(isRateLimitError({ status: 429 })).toBe(true);
+    expect(isRateLimitError(new Error("Quota exceeded for model"))).toBe(true);
+    expect(isRateLimitError(new Error("Bad request"))).toBe(false);
+  });
+});
@@ -0,0 +1,353 @@
+// __tests__/code-entities.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import {
+  addBackgroundAiJobs,
+  addEntityKeywords,
+  getCodeEntitiesByFilePath,
+  getPendingAiJobForTarget,
+  registerProject,
+  replaceCodeEntitiesForFile,
+  replaceCodeEntitiesForFiles,
+  upsertEmbedding,
+} from "../src/db/queries.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let client;
+let projectId;
+
+beforeEach(async () => {
+  client = createSqliteClient(":memory:");
+  await runMigrations(client);
+  const project = await registerProject(client, {
+    name: "api",
+    root_path: "/work/api",
+  });
+  projectId = project.project_id;
+});
+
+afterEach(() => {
+  client.close();
+});
+
+/**
+ * Builds a minimal code entity row in src/users.js
+ */
+function createEntity(entityId, name, extra = {}) {
+  return {
+    entity_id: entityId,
+    project_id: projectId,
+    file_path: "src/users.js",
+    entity_type: "function_declaration",
+    name,
+    start_line: 1,
+    start_column: 0,
+    end_line: 3,
+    end_column: 1,
+    raw_content: `function ${name}() {}`,
+    language: "javascript",
+    ...extra,
+  };
+}
+
+/**
+ * Counts the rows of a table
+ */
+async function countRows(table) {
+  const result = await client.execute(`SELECT COUNT(*) AS n FROM ${table}`);
+  return Number(result.rows[0].n);
+}
+
+describe("replaceCodeEntitiesForFile", () => {
+  beforeEach(async () => {
+    await replaceCodeEntitiesForFile(
+      client,
+      projectId,
+      "src/users.js",
+      [
+        createEntity("e1", "fetchUser", { summary: "Fetches a user." }),
+        createEntity("e2", "saveUser"),
+      ],
+      [
+        {
+          relationship_id: "r1",
+          source_entity_id: "e1",
+          target_entity_id: "e2",
+          relationship_type: "CALLS_FUNCTION",
+        },
+      ]
+    );
+    await upsertEmbedding(client, {
+      project_id: projectId,
+      entity_id: "e2",
+      entity_type: "code_entity",
+      model: "test",
+      vector: [0.1, 0.2],
+    });
+    await addEntityKeywords(client, "e2", ["save", "user"], "ai_explicit");
+    await addBackgroundAiJobs(client, [
+      {
+        job_id: "j1",
+        project_id: projectId,
+        target_entity_id: "e2",
+        target_entity_type: "code_entity",
+        task_type: "enrich_entity_summary_keywords",
+      },
+    ]);
+  });
+
+  test("should keep reused entities and remove everything of stale ones", async () => {
+    const result = await replaceCodeEntitiesForFile(
+      client,
+      projectId,
+      "src/users.js",
+      [
+        createEntity("e1", "fetchUser", { summary: "Fetches a user." }),
+        createEntity("e3", "deleteUser"),
+      ],
+      [
+        {
+          relationship_id: "r2",
+          source_entity_id: "e3",
+          target_entity_id: "e1",
+          relationship_type: "CALLS_FUNCTION",
+        },
+      ]
+    );
+
+    expect(result).toEqual({
+      deletedCount: 1,
+      entityCount: 2,
+      relationshipCount: 1,
+    });
+
+    const entities = await getCodeEntitiesByFilePath(
+      client,
+      projectId,
+      "src/users.js"
+    );
+    expect(entities.map((entity) => entity.entity_id).sort()).toEqual([
+      "e1",
+      "e3",
+    ]);
+    expect(entities.find((entity) => entity.entity_id === "e1").summary).toBe(
+      "Fetches a user."
+    );
+
+    const relationships = await client.execute(
+      "SELECT relationship_id FROM code_relationships"
+    );
+    expect(relationships.rows.map((row) => row.relationship_id)).toEqual([
+      "r2",
+    ]);
+    expect(await countRows("embeddings")).toBe(0);
+    expect(await countRows("entity_keywords")).toBe(0);
+    expect(await countRows("background_ai_jobs")).toBe(0);
+  });
+
+  test("should leave the previous index untouched when a statement fails", async () => {
+    await expect(
+      replaceCodeEntitiesForFile(
+        client,
+        projectId,
+        "src/users.js",
+        [createEntity("e3", "deleteUser")],
+        [
+          {
+            relationship_id: "r2",
+            source_entity_id: "missing-entity",
+            relationship_type: "CALLS_FUNCTION",
+          },
+        ]
+      )
+    ).rejects.toThrow();
+
+    const entities = await getCodeEntitiesByFilePath(
+      client,
+      projectId,
+      "src/users.js"
+    );
+    expect(entities.map((entity) => entity.entity_id).sort()).toEqual([
+      "e1",
+      "e2",
+    ]);
+    expect(await countRows("code_relationships")).toBe(1);
+    expect(await countRows("entity_keywords")).toBe(2);
+  });
+
+  test("should remove the whole file when no entities are given", async () => {
+    const result = await replaceCodeEntitiesForFile(
+      client,
+      projectId,
+      "src/users.js",
+      []
+    );
+
+    expect(result.deletedCount).toBe(2);
+    expect(await countRows("code_entities")).toBe(0);
+    expect(await countRows("code_relationships")).toBe(0);
+  });
+});
+
+describe("replaceCodeEntitiesForFiles", () => {
+  test("should replace several files in one transaction", async () => {
+    await replaceCodeEntitiesForFile(client, projectId, "src/users.js", [
+      createEntity("e1", "fetchUser"),
+    ]);
+
+    const result = await replaceCodeEntitiesForFiles(client, projectId, [
+      {
+        filePath: "src/users.js",
+        entities: [createEntity("e2", "saveUser")],
+      },
+      {
+        filePath: "src/orders.js",
+        entities: [
+          createEntity("e3", "fetchOrder", { file_path: "src/orders.js" }),
+        ],
+        relationships: [
+          {
+            relationship_id: "r1",
+            source_entity_id: "e3",
+            target_entity_id: "e2",
+            relationship_type: "CALLS_FUNCTION",
+          },
+        ],
+      },
+    ]);
+
+    expect(result).toEqual({
+      deletedCount: 1,
+      entityCount: 2,
+      relationshipCount: 1,
+    });
+    const entities = await client.execute(
+      "SELECT entity_id FROM code_entities ORDER BY entity_id"
+    );
+    expect(entities.rows.map((row) => row.entity_id)).toEqual(["e2", "e3"]);
+    expect(await countRows("code_relationships")).toBe(1);
+  });
+
+  test("should leave every file untouched when a statement fails", async () => {
+    await replaceCodeEntitiesForFile(client, projectId, "src/users.js", [
+      createEntity("e1", "fetchUser"),
+    ]);
+
+    await expect(
+      replaceCodeEntitiesForFiles(client, projectId, [
+        {
+          filePath: "src/users.js",
+          entities: [createEntity("e2", "saveUser")],
+        },
+        {
+          filePath: "src/orders.js",
+          entities: [],
+          relationships: [
+            {
+              relationship_id: "r1",
+              source_entity_id: "missing-entity",
+              relationship_type: "CALLS_FUNCTION",
+            },
+          ],
+        },
+      ])
+    ).rejects.toThrow();
+
+    const entities = await client.execute("SELECT entity_id FROM code_entities");
+    expect(entities.rows.map((row) => row.entity_id)).toEqual(["e1"]);
+  });
+});
+
+describe("addBackgroundAiJobs", () => {
+  test("should skip targets that already have a waiting job of the same type", async () => {
+    const job = {
+      project_id: projectId,
+      target_entity_id: "e1",
+      target_entity_type: "code_entity",
+      task_type: "compute_embeddings",
+    };
+
+    const first = await addBackgroundAiJobs(client, [
+      { ...job, job_id: "j1" },
+      { ...job, job_id: "j2", task_type: "enrich_entity_summary_keywords" },
+    ]);
+    const second = await addBackgroundAiJobs(client, [
+      { ...job, job_id: "j3" },
+    ]);
+
+    expect(first.insertedJobIds).toEqual(["j1", "j2"]);
+    expect(second.insertedJobIds).toEqual([]);
+    expect(await countRows("background_ai_jobs")).toBe(2);
+  });
+});
+
+describe("getPendingAiJobForTarget", () => {
+  const job = {
+    job_id: "j1",
+    target_entity_id: "e1",
+    target_entity_type: "code_entity",
+    task_type: "compute_embeddings",
+  };
+
+  test("should only match jobs of the same project and target type", async () => {
+    const other = await registerProject(client, {
+      name: "web",
+      root_path: "/work/web",
+    });
+    await addBackgroundAiJobs(client, [{ ...job, project_id: projectId }]);
+
+    expect(
+      await getPendingAiJobForTarget(
+        client,
+        other.project_id,
+        "e1",
+        "code_entity",
+        "compute_embeddings"
+      )
+    ).toBeNull();
+    expect(
+      await getPendingAiJobForTarget(
+        client,
+        projectId,
+        "e1",
+        "project_document",
+        "compute_embeddings"
+      )
+    ).toBeNull();
+
+    const inserted = await addBackgroundAiJobs(client, [
+      { ...job, job_id: "j2", project_id: other.project_id },
+    ]);
+    expect(inserted.insertedJobIds).toEqual(["j2"]);
+  });
+
+  test("should treat rate limited jobs as waiting", async () => {
+    await addBackgroundAiJobs(client, [{ ...job, project_id: projectId }]);
+    await client.execute(
+      "UPDATE background_ai_jobs SET status = 'rate_limited' WHERE job_id = 'j1'"
+    );
+
+    const waiting = await getPendingAiJobForTarget(
+      client,
+      projectId,
+      "e1",
+      "code_entity",
+      "compute_embeddings"
+    );
+
+    expect(waiting.job_id).toBe("j1");
+    const inserted = await addBackgroundAiJobs(client, [
+      { ...job, job_id: "j2", project_id: projectId },
+    ]);
+    expect(inserted.insertedJobIds).toEqual([]);
+  });
+});
@@ -0,0 +1,221 @@
+// __tests__/conversation-encryption.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import { reencryptConversations } from "../src/db/conversationEncryption.js";
+import {
+  addConversationTopic,
+  addMilestone,
+  getFullConversationHistory,
+  logConversationMessage,
+  registerProject,
+  searchConversationHistoryByTerms,
+  searchConversationTopicsByTerms,
+  searchMilestonesByTerms,
+} from "../src/db/queries.js";
+import {
+  ConversationCipher,
+  generateEncryptionKey,
+  isEncryptedValue,
+  setConversationCipher,
+} from "../src/utils/encryption.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let dbClient;
+let projectId;
+const firstKey = generateEncryptionKey();
+
+beforeEach(async () => {
+  dbClient = createSqliteClient(":memory:");
+  await runMigrations(dbClient);
+  projectId = (
+    await registerProject(dbClient, { name: "api", root_path: "/work/api" })
+  ).project_id;
+  setConversationCipher(new ConversationCipher({ key: firstKey }));
+});
+
+afterEach(() => {
+  setConversationCipher(null);
+  dbClient.close();
+});
+
+/**
+ * Reads the stored content of every message, oldest first
+ */
+async function getStoredContents() {
+  const result = await dbClient.execute(
+    "SELECT content FROM conversation_history ORDER BY rowid"
+  );
+  return result.rows.map((row) => row.content);
+}
+
+describe("conversation encryption", () => {
+  test("should store messages and topic summaries encrypted and still find them", async () => {
+    await logConversationMessage(dbClient, {
+      project_id: projectId,
+      conversation_id: "c1",
+      role: "user",
+      content: "The Billing-Export launch ships next quarter",
+    });
+    await addConversationTopic(dbClient, {
+      topic_id: "t1",
+      project_id: projectId,
+      conversation_id: "c1",
+      summary: "Planning the billing export launch",
+      keywords: ["roadmap"],
+    });
+
+    const [storedContent] = await getStoredContents();
+    expect(isEncryptedValue(storedContent)).toBe(true);
+    expect(storedContent).not.toContain("Billing");
+
+    const history = await getFullConversationHistory(dbClient, "c1");
+    expect(history[0].content).toBe(
+      "The Billing-Export launch ships next quarter"
+    );
+
+    const messages = await searchConversationHistoryByTerms(
+      dbClient,
+      projectId,
+      "c1",
+      ["billing export", "unrelated"],
+      10
+    );
+    expect(messages.map((message) => message.content)).toEqual([
+      "The Billing-Export launch ships next quarter",
+    ]);
+    // Hashed terms only match whole words
+    expect(
+      await searchConversationHistoryByTerms(
+        dbClient,
+        projectId,
+        "c1",
+        ["bill"],
+        10
+      )
+    ).toEqual([]);
+
+    const topicsBySummary = await searchConversationTopicsByTerms(
+      dbClient,
+      projectId,
+      ["planning"],
+      10
+    );
+    const topicsByKeyword = await searchConversationTopicsByTerms(
+      dbClient,
+      projectId,
+      ["road"],
+      10
+    );
+    expect(topicsBySummary.map((topic) => topic.summary)).toEqual([
+      "Planning the billing export launch",
+    ]);
+    expect(topicsByKeyword.map((topic) => topic.topic_id)).toEqual(["t1"]);
+  });
+
+  test("should store milestone conversation summaries encrypted", async () => {
+    await addMilestone(dbClient, {
+      milestone_id: "m1",
+      project_id: projectId,
+      conversation_id: "c1",
+      name: "Export shipped",
+      conversation_summary: "Recent user messages: rotate the Stripe webhook",
+    });
+
+    const stored = await dbClient.execute(
+      "SELECT conversation_summary FROM milestones"
+    );
+    expect(isEncryptedValue(stored.rows[0].conversation_summary)).toBe(true);
+    expect(stored.rows[0].conversation_summary).not.toContain("Stripe");
+
+    const milestones = await searchMilestonesByTerms(
+      dbClient,
+      projectId,
+      ["webhook"],
+      10
+    );
+    expect(
+      milestones.map((milestone) => milestone.conversation_summary)
+    ).toEqual(["Recent user messages: rotate the Stripe webhook"]);
+
+    setConversationCipher(
+      new ConversationCipher({
+        key: generateEncryptionKey(),
+        previousKeys: [firstKey],
+      })
+    );
+    expect(await reencryptConversations(dbClient)).toMatchObject({
+      milestones: 1,
+    });
+  });
+
+  test("should re-encrypt old and plaintext rows with the current key", async () => {
+    setConversationCipher(null);
+    await logConversationMessage(dbClient, {
+      project_id: projectId,
+      conversation_id: "c1",
+      role: "user",
+      content: "Logged before encryption was enabled",
+    });
+    setConversationCipher(new ConversationCipher({ key: firstKey }));
+    await logConversationMessage(dbClient, {
+      project_id: projectId,
+      conversation_id: "c1",
+      role: "assistant",
+      content: "Logged with the first key",
+    });
+
+    // Rotate: the first key can still decrypt until the rows are re-encrypted
+    const secondKey = generateEncryptionKey();
+    const rotatedCipher = new ConversationCipher({
+      key: secondKey,
+      previousKeys: [firstKey],
+    });
+    setConversationCipher(rotatedCipher);
+    expect(
+      await searchConversationHistoryByTerms(
+        dbClient,
+        projectId,
+        "c1",
+        ["first"],
+        10
+      )
+    ).toHaveLength(1);
+
+    const result = await reencryptConversations(dbClient);
+    expect(result).toEqual({ messages: 2, topics: 0, milestones: 0 });
+
+    const storedContents = await getStoredContents();
+    expect(
+      storedContents.every(
+        (content) => !rotatedCipher.needsReencryption(content)
+      )
+    ).toBe(true);
+    expect(await reencryptConversations(dbClient)).toEqual({
+      messages: 0,
+      topics: 0,
+      milestones: 0,
+    });
+
+    // Without the first key the rows stay readable and searchable
+    setConversationCipher(new ConversationCipher({ key: secondKey }));
+    const messages = await searchConversationHistoryByTerms(
+      dbClient,
+      projectId,
+      "c1",
+      ["enabled"],
+      10
+    );
+    expect(messages.map((message) => message.content)).toEqual([
+      "Logged before encryption was enabled",
+    ]);
+  });
+});
@@ -0,0 +1,316 @@
+// __tests__/conversation-tools.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import {
+  getFullConversationHistory,
+  getIndexVersion,
+  getProjectMetadataValue,
+  logConversationMessage,
+  registerProject,
+  replaceCodeEntitiesForFile,
+  searchMilestonesByTerms,
+} from "../src/db/queries.js";
+import { finalizeConversationContextHandler } from "../src/mcp-handlers/finalizeConversationContext.handler.js";
+import { recordMilestoneContextHandler } from "../src/mcp-handlers/recordMilestoneContext.handler.js";
+import { updateConversationContextHandler } from "../src/mcp-handlers/updateConversationContext.handler.js";
+import { HashingEmbedder } from "../src/services/ai-providers/index.js";
+import RetrievalService from "../src/services/retrieval.service.js";
+import logger from "../src/utils/logger.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let dbClient;
+let project;
+let mcpContext;
+
+beforeEach(async () => {
+  dbClient = createSqliteClient(":memory:");
+  await runMigrations(dbClient);
+  project = await registerProject(dbClient, {
+    name: "api",
+    root_path: "/work/api",
+  });
+
+  mcpContext = {
+    dbClient,
+    project,
+    resolveProject: vi.fn().mockResolvedValue(project),
+    retrievalService: {
+      getRelevantContext: vi.fn(),
+      getConversationSnapshotSummary: vi.fn(async (conversationId) => {
+        const history = await getFullConversationHistory(
+          dbClient,
+          conversationId
+        );
+        return {
+          summary: `${history.length} messages`,
+          messageCount: history.length,
+          relatedEntityIds: ["e1"],
+        };
+      }),
+    },
+    gitMonitorService: {
+      getCurrentHeadOid: vi.fn().mockResolvedValue("abc123"),
+    },
+    backgroundJobManager: {
+      enqueueJob: vi.fn().mockResolvedValue({ job_id: "j1", success: true }),
+    },
+  };
+
+  await logConversationMessage(dbClient, {
+    project_id: project.project_id,
+    conversation_id: "c1",
+    role: "user",
+    content: "Add pagination to the users endpoint",
+  });
+});
+
+afterEach(() => {
+  dbClient.close();
+});
+
+/**
+ * Makes getRelevantContext return the given snippets plus the message that
+ * was just logged with the query as its content
+ */
+function mockRelevantContext(snippets) {
+  mcpContext.retrievalService.getRelevantContext.mockImplementationOnce(
+    async (query) => {
+      const message = await dbClient.execute({
+        sql: "SELECT message_id FROM conversation_history WHERE content = ?",
+        args: [query],
+      });
+      return {
+        contextSnippets: [
+          ...snippets,
+          {
+            id: message.rows[0].message_id,
+            sourceType: "conversation_message",
+          },
+        ],
+      };
+    }
+  );
+}
+
+describe("update_conversation_context", () => {
+  test("should return the snippets that changed since the previous update", async () => {
+    mockRelevantContext([
+      { id: "e1", sourceType: "code_entity" },
+      { id: "e2", sourceType: "code_entity" },
+    ]);
+    const first = await updateConversationContextHandler(
+      {
+        conversationId: "c1",
+        newMessages: [{ role: "user", content: "Where are users paged?" }],
+      },
+      mcpContext
+    );
+
+    expect(first.messagesLogged).toBe(1);
+    expect(first.contextDelta).toEqual({
+      newSnippets: [
+        { id: "e1", sourceType: "code_entity" },
+        { id: "e2", sourceType: "code_entity" },
+      ],
+      droppedSnippetIds: [],
+      unchangedSnippetCount: 0,
+    });
+
+    mockRelevantContext([
+      { id: "e2", sourceType: "code_entity" },
+      { id: "d1", sourceType: "project_document" },
+    ]);
+    const second = await updateConversationContextHandler(
+      {
+        conversationId: "c1",
+        newMessages: [{ role: "user", content: "Document the page size" }],
+      },
+      mcpContext
+    );
+
+    expect(second.contextDelta).toEqual({
+      newSnippets: [{ id: "d1", sourceType: "project_document" }],
+      droppedSnippetIds: ["code_entity:e1"],
+      unchangedSnippetCount: 1,
+    });
+    expect(
+      await getProjectMetadataValue(
+        dbClient,
+        project.project_id,
+        "conversation_context_snapshot:c1"
+      )
+    ).toBe(JSON.stringify(["code_entity:e2", "project_document:d1"]));
+  });
+
+  test("should record code changes without messages against the conversation", async () => {
+    await replaceCodeEntitiesForFile(
+      dbClient,
+      project.project_id,
+      "src/users.js",
+      [
+        {
+          entity_id: "e1",
+          project_id: project.project_id,
+          file_path: "src/users.js",
+          entity_type: "function_declaration",
+          name: "listUsers",
+          start_line: 1,
+          start_column: 0,
+          end_line: 3,
+          end_column: 1,
+          raw_content: "function listUsers() {}",
+          language: "javascript",
+        },
+      ]
+    );
+    mcpContext.retrievalService.getRelevantContext.mockResolvedValueOnce({
+      contextSnippets: [],
+    });
+
+    const response = await updateConversationContextHandler(
+      {
+        conversationId: "c1",
+        codeChanges: [{ filePath: "src/users.js", changeType: "modified" }],
+      },
+      mcpContext
+    );
+
+    expect(response).toMatchObject({
+      messagesLogged: 0,
+      loggedMessageIds: [],
+      relatedEntityIds: ["e1"],
+    });
+    const retrievalService = new RetrievalService({
+      dbClient,
+      projectId: project.project_id,
+      logger,
+      configService: {},
+      compressionService: {},
+      relationshipManager: null,
+      embedder: new HashingEmbedder(),
+    });
+    const snapshot =
+      await retrievalService.getConversationSnapshotSummary("c1");
+    expect(snapshot).toMatchObject({
+      messageCount: 1,
+      relatedEntityIds: ["e1"],
+    });
+  });
+});
+
+describe("record_milestone_context", () => {
+  test("should store the milestone with the HEAD commit and a summary", async () => {
+    const initialVersion = await getIndexVersion(dbClient, project.project_id);
+
+    const response = await recordMilestoneContextHandler(
+      {
+        conversationId: "c1",
+        name: "Users pagination",
+        description: "Cursor-based paging of the users endpoint",
+        milestoneCategory: "feature",
+        relatedEntityIds: ["e2", "e1"],
+      },
+      mcpContext
+    );
+
+    expect(response).toMatchObject({
+      processedOk: true,
+      conversationId: "c1",
+      headCommitHash: "abc123",
+      relatedEntityIds: ["e2", "e1"],
+      conversationSummary: "1 messages",
+    });
+
+    const milestones = await searchMilestonesByTerms(
+      dbClient,
+      project.project_id,
+      ["pagination"],
+      10
+    );
+    expect(milestones).toHaveLength(1);
+    expect(milestones[0]).toMatchObject({
+      milestone_id: response.milestoneId,
+      category: "feature",
+      head_commit_hash: "abc123",
+      related_entity_ids: JSON.stringify(["e2", "e1"]),
+      conversation_summary: "1 messages",
+    });
+    expect(await getIndexVersion(dbClient, project.project_id)).toBe(
+      initialVersion + 1
+    );
+  });
+});
+
+describe("finalize_conversation_context", () => {
+  test("should enqueue topic generation only once", async () => {
+    const params = { conversationId: "c1", outcome: "Pagination added" };
+
+    const first = await finalizeConversationContextHandler(params, mcpContext);
+    const second = await finalizeConversationContextHandler(params, mcpContext);
+
+    expect(first).toMatchObject({
+      alreadyFinalized: false,
+      topicGenerationJobId: "j1",
+      outcomeSummary: { messageCount: 2 },
+    });
+    expect(second).toMatchObject({
+      alreadyFinalized: true,
+      finalizedAt: first.finalizedAt,
+      topicGenerationJobId: null,
+      outcomeSummary: { messageCount: 2 },
+    });
+    expect(mcpContext.backgroundJobManager.enqueueJob).toHaveBeenCalledTimes(1);
+    expect(mcpContext.backgroundJobManager.enqueueJob).toHaveBeenCalledWith(
+      expect.objectContaining({
+        target_entity_id: "c1",
+        task_type: "generate_topics",
+      })
+    );
+  });
+
+  test("should stay unfinalized until topic generation is enqueued", async () => {
+    const params = { conversationId: "c1", outcome: "Pagination added" };
+    const { enqueueJob } = mcpContext.backgroundJobManager;
+    enqueueJob.mockResolvedValueOnce({ success: false, error: "busy" });
+
+    const failed = await finalizeConversationContextHandler(params, mcpContext);
+
+    expect(failed).toMatchObject({
+      alreadyFinalized: false,
+      topicGenerationJobId: null,
+    });
+    expect(
+      await getProjectMetadataValue(
+        dbClient,
+        project.project_id,
+        "conversation_finalized:c1"
+      )
+    ).toBeNull();
+
+    const retried = await finalizeConversationContextHandler(
+      params,
+      mcpContext
+    );
+
+    expect(retried).toMatchObject({
+      alreadyFinalized: false,
+      topicGenerationJobId: "j1",
+    });
+    expect(enqueueJob).toHaveBeenCalledTimes(2);
+    // The outcome is logged once across both calls
+    const history = await getFullConversationHistory(dbClient, "c1");
+    expect(history.map((message) => message.content)).toEqual([
+      "Add pagination to the users endpoint",
+      "Pagination added",
+    ]);
+  });
+});
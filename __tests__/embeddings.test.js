@@ -0,0 +1,94 @@
+// __tests__/embeddings.test.js
+import { describe, test, expect, vi } from "vitest";
+import {
+  HashingEmbedder,
+  HeuristicProvider,
+  createEmbedder,
+} from "../src/services/ai-providers/index.js";
+import {
+  cosineSimilarity,
+  encodeVector,
+  decodeVector,
+  reciprocalRankFusion,
+} from "../src/utils/vector.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+describe("HashingEmbedder", () => {
+  const embedder = new HashingEmbedder({ dimensions: 256 });
+
+  test("should produce deterministic unit-length vectors", async () => {
+    const [first, second] = await embedder.embedTexts([
+      "function fetchUserProfile(userId) {}",
+      "function fetchUserProfile(userId) {}",
+    ]);
+
+    expect(first).toHaveLength(256);
+    expect(first).toEqual(second);
+    expect(cosineSimilarity(first, first)).toBeCloseTo(1, 5);
+  });
+
+  test("should place identifiers close to the words they are made of", async () => {
+    const [code, related, unrelated] = await embedder.embedTexts([
+      "async function fetchUserProfile(userId) { return api.get(userId); }",
+      "load the profile of a user",
+      "split csv rows into fields",
+    ]);
+
+    expect(cosineSimilarity(code, related)).toBeGreaterThan(
+      cosineSimilarity(code, unrelated)
+    );
+  });
+
+  test("should encode the dimensions in the model name", () => {
+    expect(embedder.embeddingModel).toBe("hashing-v1-256");
+    expect(new HashingEmbedder().embeddingModel).toBe("hashing-v1-512");
+  });
+});
+
+describe("createEmbedder", () => {
+  test("should default to the hashing embedder", () => {
+    const embedder = createEmbedder({ EMBEDDING_DIMENSIONS: 128 });
+    expect(embedder).toBeInstanceOf(HashingEmbedder);
+    expect(embedder.dimensions).toBe(128);
+  });
+
+  test("should reuse the given AI provider for ai_provider", () => {
+    const provider = new HeuristicProvider();
+    expect(
+      createEmbedder({ EMBEDDING_PROVIDER: "ai_provider" }, provider)
+    ).toBe(provider);
+  });
+});
+
+describe("vector helpers", () => {
+  test("should round-trip vectors through BLOB encoding", () => {
+    const decoded = decodeVector(encodeVector([0.5, -1, 2]));
+    expect(Array.from(decoded)).toEqual([0.5, -1, 2]);
+    expect(Array.from(decodeVector(encodeVector([1, 2]).buffer))).toEqual([
+      1, 2,
+    ]);
+  });
+
+  test("should rank items found by both lists above items found by one", () => {
+    const scores = reciprocalRankFusion([
+      ["a", "b", "c"],
+      ["c", "d"],
+    ]);
+
+    expect(scores.get("c")).toBeGreaterThan(scores.get("a"));
+    expect(scores.get("a")).toBeGreaterThan(scores.get("d"));
+    expect(scores.get("a")).toBeCloseTo(1 / 61);
+  });
+});
@@ -0,0 +1,224 @@
+// __tests__/integrity.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import { checkIndexIntegrity } from "../src/db/integrity.js";
+import {
+  addEntityKeywords,
+  registerProject,
+  replaceCodeEntitiesForFile,
+  searchCodeEntitiesFts,
+  setFileUncommittedState,
+} from "../src/db/queries.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let dbClient;
+let projectId;
+
+beforeEach(async () => {
+  dbClient = createSqliteClient(":memory:");
+  await runMigrations(dbClient);
+  projectId = (
+    await registerProject(dbClient, { name: "api", root_path: "/work/api" })
+  ).project_id;
+
+  await replaceCodeEntitiesForFile(
+    dbClient,
+    projectId,
+    "src/users.js",
+    [
+      createEntity("e1", "fetchUserProfile", "src/users.js"),
+      createEntity("e2", "saveUserProfile", "src/users.js"),
+    ],
+    [
+      {
+        relationship_id: "r1",
+        source_entity_id: "e1",
+        target_entity_id: "e2",
+        relationship_type: "CALLS_FUNCTION",
+      },
+    ]
+  );
+  await replaceCodeEntitiesForFile(
+    dbClient,
+    projectId,
+    "/work/api/src/old.js",
+    [createEntity("e3", "legacyHelper", "/work/api/src/old.js")]
+  );
+  await addEntityKeywords(dbClient, "e1", ["profile"], "ai_explicit");
+});
+
+afterEach(() => {
+  dbClient.close();
+});
+
+/**
+ * Builds a minimal code entity row whose AI enrichment is done
+ */
+function createEntity(entityId, name, filePath) {
+  return {
+    entity_id: entityId,
+    project_id: projectId,
+    file_path: filePath,
+    entity_type: "function_declaration",
+    name,
+    start_line: 1,
+    start_column: 0,
+    end_line: 3,
+    end_column: 1,
+    raw_content: `function ${name}() {}`,
+    language: "javascript",
+    ai_status: "completed",
+  };
+}
+
+describe("index integrity", () => {
+  test("should find no issues in a consistent index", async () => {
+    const report = await checkIndexIntegrity(dbClient, projectId, {
+      headFilePaths: ["src/users.js", "src/old.js"],
+      projectRoot: "/work/api",
+    });
+
+    expect(report.issueCount).toBe(0);
+    expect(report.filesMissingAtHead).toEqual([]);
+  });
+
+  test("should detect and repair orphaned rows and drifted FTS tables", async () => {
+    // Rows left behind without triggers or foreign keys
+    await dbClient.execute("PRAGMA foreign_keys = OFF");
+    await dbClient.execute("DELETE FROM code_entities WHERE entity_id = 'e1'");
+    await dbClient.execute("PRAGMA foreign_keys = ON");
+    await dbClient.batch(
+      [
+        "DELETE FROM code_entities_fts WHERE entity_id = 'e2'",
+        "UPDATE code_entities_fts SET name = 'renamedHelper' WHERE entity_id = 'e3'",
+        "INSERT INTO code_entities_fts (rowid, entity_id, name) VALUES (9999, 'e9', 'ghostHelper')",
+      ],
+      "write"
+    );
+
+    const report = await checkIndexIntegrity(dbClient, projectId);
+
+    expect(report.filesMissingAtHead).toBeNull();
+    expect(report.orphanedKeywords).toBe(1);
+    expect(report.danglingRelationships).toBe(1);
+    expect(report.ftsMismatches.code_entities_fts).toEqual({
+      missing: 1,
+      stale: 1,
+      outdated: 1,
+    });
+
+    const repairReport = await checkIndexIntegrity(dbClient, projectId, {
+      repair: true,
+    });
+    expect(repairReport.repaired).toBe(true);
+
+    expect(
+      (await checkIndexIntegrity(dbClient, projectId)).issueCount
+    ).toBe(0);
+    const ftsResults = await searchCodeEntitiesFts(
+      dbClient,
+      projectId,
+      "saveUserProfile",
+      10
+    );
+    expect(ftsResults.map((entity) => entity.entity_id)).toEqual(["e2"]);
+    const relationships = await dbClient.execute(
+      "SELECT COUNT(*) AS count FROM code_relationships"
+    );
+    expect(relationships.rows[0].count).toBe(0);
+  });
+
+  test("should remove the entities of files that are no longer at HEAD", async () => {
+    const options = {
+      headFilePaths: ["src/users.js"],
+      projectRoot: "/work/api",
+    };
+
+    const report = await checkIndexIntegrity(dbClient, projectId, options);
+    expect(report.filesMissingAtHead).toEqual(["/work/api/src/old.js"]);
+
+    await checkIndexIntegrity(dbClient, projectId, {
+      ...options,
+      repair: true,
+    });
+
+    const entities = await dbClient.execute(
+      "SELECT entity_id FROM code_entities ORDER BY entity_id"
+    );
+    expect(entities.rows.map((row) => row.entity_id)).toEqual(["e1", "e2"]);
+    expect(
+      (await checkIndexIntegrity(dbClient, projectId, options)).issueCount
+    ).toBe(0);
+  });
+
+  test("should keep the entities of uncommitted files", async () => {
+    await replaceCodeEntitiesForFile(
+      dbClient,
+      projectId,
+      "/work/api/src/draft.js",
+      [createEntity("e4", "draftHelper", "/work/api/src/draft.js")]
+    );
+    await setFileUncommittedState(
+      dbClient,
+      projectId,
+      "/work/api/src/draft.js",
+      true
+    );
+
+    const report = await checkIndexIntegrity(dbClient, projectId, {
+      headFilePaths: ["src/users.js", "src/old.js"],
+      projectRoot: "/work/api",
+      repair: true,
+    });
+    expect(report.filesMissingAtHead).toEqual([]);
+
+    const entities = await dbClient.execute(
+      "SELECT entity_id FROM code_entities WHERE entity_id = 'e4'"
+    );
+    expect(entities.rows).toHaveLength(1);
+  });
+
+  test("should requeue enrichment of entities stuck without a job", async () => {
+    await dbClient.batch(
+      [
+        "UPDATE code_entities SET ai_status = 'rate_limited' WHERE entity_id = 'e1'",
+        "UPDATE code_entities SET ai_status = 'pending' WHERE entity_id = 'e2'",
+        {
+          sql: `
+            INSERT INTO background_ai_jobs (job_id, project_id, target_entity_id, target_entity_type, task_type, status, updated_at)
+            VALUES ('j1', ?, 'e2', 'code_entity', 'enrich_entity_summary_keywords', 'processing', datetime('now', '-2 hours'))
+          `,
+          args: [projectId],
+        },
+      ],
+      "write"
+    );
+
+    const report = await checkIndexIntegrity(dbClient, projectId, {
+      repair: true,
+    });
+    expect(report.abandonedAiJobs).toBe(1);
+    expect(report.stuckAiEntities).toBe(2);
+
+    const jobs = await dbClient.execute(
+      "SELECT target_entity_id, status FROM background_ai_jobs ORDER BY target_entity_id, status"
+    );
+    expect(jobs.rows.map((row) => [row.target_entity_id, row.status])).toEqual([
+      ["e1", "pending"],
+      ["e2", "failed_job_logic"],
+      ["e2", "pending"],
+    ]);
+    expect(
+      (await checkIndexIntegrity(dbClient, projectId)).issueCount
+    ).toBe(0);
+  });
+});
@@ -2,11 +2,26 @@
 import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
 import { BackgroundJobManager } from "../src/services/job.service.js";
 import * as dbQueries from "../src/db/queries.js";
-import {
-  createMockDbClient,
-  createMockAIService,
-  createMockConfig,
-} from "../test/utils/test-helpers.js";
+
+// vi.mock factories run before the imports, so the mocks they build are hoisted too
+const { createMockDbClient, createMockAIService, createMockConfig } =
+  vi.hoisted(() => ({
+    createMockDbClient: () => ({
+      execute: vi.fn(),
+      batch: vi.fn(),
+      close: vi.fn(),
+    }),
+    createMockAIService: () => ({
+      enrichCodeEntity: vi.fn(),
+      enrichDocument: vi.fn(),
+      generateConversationTopics: vi.fn(),
+      computeEmbeddings: vi.fn(),
+    }),
+    createMockConfig: (overrides = {}) => ({
+      ...overrides,
+      default: { ...overrides },
+    }),
+  }));
 
 // Mock external modules
 vi.mock("../src/db/client.js", () => ({
@@ -16,6 +31,8 @@ vi.mock("../src/db/client.js", () => ({
 vi.mock("../src/db/queries.js", () => ({
   fetchPendingAiJobs: vi.fn(),
   updateAiJobStatusAndAttempts: vi.fn(),
+  addBackgroundAiJob: vi.fn(),
+  getPendingAiJobForTarget: vi.fn(),
   // Add other query functions as needed
 }));
 
@@ -146,4 +163,76 @@ describe("BackgroundJobManager", () => {
     // Verify it was updated
     expect(jobManager.aiService).toBe(newMockAIService);
   });
+
+  test("enqueueJob persists a new job when none is pending", async () => {
+    await jobManager.initialize();
+    dbQueries.getPendingAiJobForTarget.mockResolvedValue(null);
+
+    const result = await jobManager.enqueueJob({
+      task_type: "enrich_entity_summary_keywords",
+      target_entity_id: "entity-1",
+      target_entity_type: "code_entity",
+      payload: { reason: "changed" },
+    });
+
+    // Verify the job was written with a pending status and serialized payload
+    expect(result.success).toBe(true);
+    expect(result.deduplicated).toBeUndefined();
+    expect(dbQueries.addBackgroundAiJob).toHaveBeenCalledTimes(1);
+    expect(dbQueries.addBackgroundAiJob).toHaveBeenCalledWith(
+      jobManager.dbClient,
+      expect.objectContaining({
+        job_id: result.job_id,
+        target_entity_id: "entity-1",
+        target_entity_type: "code_entity",
+        task_type: "enrich_entity_summary_keywords",
+        status: "pending",
+        payload: JSON.stringify({ reason: "changed" }),
+      })
+    );
+  });
+
+  test("enqueueJob reuses an existing pending job for the same target and task", async () => {
+    await jobManager.initialize();
+    dbQueries.getPendingAiJobForTarget.mockResolvedValue({
+      job_id: "existing-job",
+      status: "pending",
+    });
+
+    const result = await jobManager.enqueueJob({
+      project_id: "project-1",
+      task_type: "enrich_entity_summary_keywords",
+      target_entity_id: "entity-1",
+      target_entity_type: "code_entity",
+    });
+
+    // Verify no duplicate row was inserted
+    expect(result).toEqual({
+      job_id: "existing-job",
+      success: true,
+      deduplicated: true,
+    });
+    expect(dbQueries.getPendingAiJobForTarget).toHaveBeenCalledWith(
+      jobManager.dbClient,
+      "project-1",
+      "entity-1",
+      "code_entity",
+      "enrich_entity_summary_keywords"
+    );
+    expect(dbQueries.addBackgroundAiJob).not.toHaveBeenCalled();
+  });
+
+  test("enqueueJob reports failure when the insert fails", async () => {
+    await jobManager.initialize();
+    dbQueries.getPendingAiJobForTarget.mockResolvedValue(null);
+    dbQueries.addBackgroundAiJob.mockRejectedValue(new Error("db down"));
+
+    const result = await jobManager.enqueueJob({
+      task_type: "generate_topics",
+      target_entity_id: "conversation-1",
+      target_entity_type: "conversation_history",
+    });
+
+    expect(result).toEqual({ success: false, error: "db down" });
+  });
 });
@@ -0,0 +1,243 @@
+// __tests__/maintenance.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import {
+  compactDatabase,
+  getLastMaintenanceReport,
+  pruneByRetention,
+  runDatabaseMaintenance,
+} from "../src/db/maintenance.js";
+import {
+  getIndexVersion,
+  registerProject,
+  setProjectMetadataValue,
+} from "../src/db/queries.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let client;
+let projectId;
+
+beforeEach(async () => {
+  client = createSqliteClient(":memory:");
+  await runMigrations(client);
+  const project = await registerProject(client, {
+    name: "api",
+    root_path: "/work/api",
+  });
+  projectId = project.project_id;
+});
+
+afterEach(() => {
+  client.close();
+});
+
+/**
+ * Logs a conversation message with a timestamp the given number of days ago
+ */
+async function addMessage(messageId, conversationId, daysAgo) {
+  await client.execute({
+    sql: `
+      INSERT INTO conversation_history (message_id, project_id, conversation_id, role, content, timestamp)
+      VALUES (?, ?, ?, 'user', ?, datetime('now', ?))
+    `,
+    args: [
+      messageId,
+      projectId,
+      conversationId,
+      `message ${messageId}`,
+      `-${daysAgo} days`,
+    ],
+  });
+}
+
+/**
+ * Records a Git commit with one changed file, dated the given number of days ago
+ */
+async function addCommit(commitHash, daysAgo) {
+  await client.execute({
+    sql: `
+      INSERT INTO git_commits (project_id, commit_hash, author_name, commit_date, message)
+      VALUES (?, ?, 'dev', datetime('now', ?), 'change')
+    `,
+    args: [projectId, commitHash, `-${daysAgo} days`],
+  });
+  await client.execute({
+    sql: "INSERT INTO git_commit_files (project_id, commit_hash, file_path, status) VALUES (?, ?, 'src/app.js', 'modified')",
+    args: [projectId, commitHash],
+  });
+}
+
+/**
+ * Returns the sorted values of one column of a table
+ */
+async function columnValues(table, column) {
+  const result = await client.execute(
+    `SELECT ${column} FROM ${table} ORDER BY ${column}`
+  );
+  return result.rows.map((row) => row[column]);
+}
+
+describe("pruneByRetention", () => {
+  test("should not delete anything without retention rules", async () => {
+    await addMessage("m1", "c1", 400);
+    await addCommit("a1", 400);
+
+    const pruned = await pruneByRetention(client, {});
+
+    expect(Object.values(pruned).every((count) => count === 0)).toBe(true);
+    expect(await columnValues("conversation_history", "message_id")).toEqual([
+      "m1",
+    ]);
+  });
+
+  test("should apply age, conversation and message limits", async () => {
+    await addMessage("m1", "c1", 60);
+    await addMessage("m2", "c2", 5);
+    await addMessage("m3", "c3", 3);
+    await addMessage("m4", "c3", 2);
+    await addMessage("m5", "c3", 1);
+    await setProjectMetadataValue(
+      client,
+      projectId,
+      "conversation_context_snapshot:c1",
+      "{}"
+    );
+    await setProjectMetadataValue(
+      client,
+      projectId,
+      "conversation_finalized:c3",
+      "2026-01-01T00:00:00.000Z"
+    );
+
+    const pruned = await pruneByRetention(client, {
+      conversationDays: 30,
+      maxConversations: 1,
+      maxMessagesPerConversation: 2,
+    });
+
+    expect(await columnValues("conversation_history", "message_id")).toEqual([
+      "m4",
+      "m5",
+    ]);
+    expect(pruned.conversationMessages).toBe(3);
+    expect(pruned.conversationMetadata).toBe(1);
+    expect(await columnValues("project_metadata", "key")).toContain(
+      "conversation_finalized:c3"
+    );
+  });
+
+  test("should delete old Git commits with their files and finished jobs", async () => {
+    await addCommit("a1", 90);
+    await addCommit("a2", 20);
+    await addCommit("a3", 10);
+    await addCommit("a4", 1);
+    await client.execute(`
+      INSERT INTO background_ai_jobs (job_id, target_entity_id, target_entity_type, task_type, status, updated_at)
+      VALUES
+        ('j1', 'e1', 'code_entity', 'compute_embeddings', 'completed', datetime('now', '-10 days')),
+        ('j2', 'e2', 'code_entity', 'compute_embeddings', 'pending', datetime('now', '-10 days')),
+        ('j3', 'e3', 'code_entity', 'compute_embeddings', 'failed_ai', datetime('now', '-1 days'))
+    `);
+
+    const pruned = await pruneByRetention(client, {
+      gitCommitDays: 30,
+      maxGitCommits: 2,
+      finishedJobDays: 7,
+    });
+
+    expect(pruned).toMatchObject({
+      gitCommits: 2,
+      gitCommitFiles: 2,
+      backgroundAiJobs: 1,
+    });
+    expect(await columnValues("git_commits", "commit_hash")).toEqual([
+      "a3",
+      "a4",
+    ]);
+    expect(await columnValues("git_commit_files", "commit_hash")).toEqual([
+      "a3",
+      "a4",
+    ]);
+    expect(await columnValues("background_ai_jobs", "job_id")).toEqual([
+      "j2",
+      "j3",
+    ]);
+  });
+
+  test("should bump the index version of projects that lost rows", async () => {
+    const otherProject = await registerProject(client, {
+      name: "web",
+      root_path: "/work/web",
+    });
+    await addMessage("m1", "c1", 60);
+    const initialVersion = await getIndexVersion(client, projectId);
+
+    await pruneByRetention(client, { conversationDays: 30 });
+    expect(await getIndexVersion(client, projectId)).toBe(initialVersion + 1);
+    expect(await getIndexVersion(client, otherProject.project_id)).toBe(
+      initialVersion
+    );
+
+    // Nothing left to prune
+    await pruneByRetention(client, { conversationDays: 30 });
+    expect(await getIndexVersion(client, projectId)).toBe(initialVersion + 1);
+  });
+});
+
+describe("runDatabaseMaintenance", () => {
+  test("should rebuild the FTS indexes and store a report", async () => {
+    await addMessage("m1", "c1", 60);
+
+    const report = await runDatabaseMaintenance(client, {
+      retention: { conversationDays: 30 },
+    });
+
+    expect(report.pruned.conversationMessages).toBe(1);
+    expect(report.ftsIndexesRebuilt).toEqual(
+      expect.arrayContaining(["code_entities_fts", "project_documents_fts"])
+    );
+    expect(report.reclaimedBytes).toBeGreaterThanOrEqual(0);
+    expect(await getLastMaintenanceReport(client)).toEqual(report);
+  });
+
+  test("should vacuum a local database file and report reclaimed space", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "devcontext-"));
+    const fileClient = createSqliteClient(
+      path.join(directory, "devcontext.db")
+    );
+
+    try {
+      await fileClient.execute("CREATE TABLE notes (body TEXT)");
+      for (let i = 0; i < 50; i++) {
+        await fileClient.execute({
+          sql: "INSERT INTO notes (body) VALUES (?)",
+          args: ["x".repeat(4000)],
+        });
+      }
+      await fileClient.execute("DELETE FROM notes");
+
+      const compaction = await compactDatabase(fileClient);
+
+      expect(compaction.vacuumed).toBe(true);
+      expect(compaction.reclaimedBytes).toBeGreaterThan(0);
+      expect(compaction.sizeAfterBytes).toBe(
+        compaction.sizeBeforeBytes - compaction.reclaimedBytes
+      );
+    } finally {
+      fileClient.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,148 @@
+// __tests__/migrations.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import {
+  getMigrationStatus,
+  getSchemaVersion,
+  runMigrations,
+} from "../src/db/migrate.js";
+import { MIGRATIONS } from "../src/db/migrations/index.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+const createNotesMigration = {
+  version: 1,
+  name: "create_notes",
+  up: async (dbClient) => {
+    await dbClient.execute("CREATE TABLE notes (id TEXT PRIMARY KEY)");
+  },
+};
+
+const addNoteTextMigration = {
+  version: 2,
+  name: "add_note_text",
+  up: async (dbClient) => {
+    await dbClient.execute("ALTER TABLE notes ADD COLUMN text TEXT");
+  },
+};
+
+let client;
+
+beforeEach(() => {
+  client = createSqliteClient(":memory:");
+});
+
+afterEach(() => {
+  client.close();
+});
+
+describe("runMigrations", () => {
+  test("should apply the baseline schema to a new database", async () => {
+    const result = await runMigrations(client);
+
+    expect(result.previousVersion).toBe(0);
+    expect(result.currentVersion).toBe(
+      MIGRATIONS[MIGRATIONS.length - 1].version
+    );
+    expect(result.backupPath).toBeNull();
+
+    const tables = await client.execute(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'code_entities'"
+    );
+    expect(tables.rows).toHaveLength(1);
+
+    const secondRun = await runMigrations(client);
+    expect(secondRun.applied).toEqual([]);
+  });
+
+  test("should only apply pending migrations and report status", async () => {
+    await runMigrations(client, { migrations: [createNotesMigration] });
+
+    const status = await getMigrationStatus(client, [
+      createNotesMigration,
+      addNoteTextMigration,
+    ]);
+    expect(status.currentVersion).toBe(1);
+    expect(status.latestVersion).toBe(2);
+    expect(status.pending).toEqual([{ version: 2, name: "add_note_text" }]);
+
+    const result = await runMigrations(client, {
+      migrations: [createNotesMigration, addNoteTextMigration],
+    });
+    expect(result.applied).toEqual([{ version: 2, name: "add_note_text" }]);
+    expect(await getSchemaVersion(client)).toBe(2);
+  });
+
+  test("should roll back a failed migration", async () => {
+    const failingMigration = {
+      version: 2,
+      name: "failing",
+      up: async (dbClient) => {
+        await dbClient.execute("CREATE TABLE partial (id TEXT)");
+        await dbClient.execute("INSERT INTO missing_table VALUES (1)");
+      },
+    };
+
+    await expect(
+      runMigrations(client, {
+        migrations: [createNotesMigration, failingMigration],
+      })
+    ).rejects.toThrow();
+
+    expect(await getSchemaVersion(client)).toBe(1);
+    const tables = await client.execute(
+      "SELECT name FROM sqlite_master WHERE name = 'partial'"
+    );
+    expect(tables.rows).toHaveLength(0);
+  });
+
+  test("should refuse a database newer than the known migrations", async () => {
+    await runMigrations(client, {
+      migrations: [createNotesMigration, addNoteTextMigration],
+    });
+
+    await expect(
+      runMigrations(client, { migrations: [createNotesMigration] })
+    ).rejects.toThrow(/newer than the latest known migration/);
+  });
+
+  test("should reject migrations that are out of order", async () => {
+    await expect(
+      runMigrations(client, {
+        migrations: [addNoteTextMigration, createNotesMigration],
+      })
+    ).rejects.toThrow(/out of order/);
+  });
+
+  test("should back up an existing database file before migrating", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "devcontext-"));
+    const fileClient = createSqliteClient(
+      path.join(directory, "devcontext.db")
+    );
+
+    try {
+      await runMigrations(fileClient, { migrations: [createNotesMigration] });
+      const result = await runMigrations(fileClient, {
+        migrations: [createNotesMigration, addNoteTextMigration],
+      });
+
+      expect(result.backupPath).toMatch(/backups[\\/]devcontext-v1-.*\.db$/);
+      const backupClient = createSqliteClient(result.backupPath);
+      expect(await getSchemaVersion(backupClient)).toBe(1);
+      backupClient.close();
+    } finally {
+      fileClient.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,151 @@
+// __tests__/projects.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import { MIGRATIONS } from "../src/db/migrations/index.js";
+import {
+  addOrUpdateCodeEntity,
+  getCodeEntityCountsByLanguage,
+  getLastProcessedCommitOid,
+  listProjects,
+  registerProject,
+  searchCodeEntitiesFts,
+  setLastProcessedCommitOid,
+} from "../src/db/queries.js";
+import { createProjectResolver } from "../src/utils/projects.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let client;
+
+beforeEach(() => {
+  client = createSqliteClient(":memory:");
+});
+
+afterEach(() => {
+  client.close();
+});
+
+/**
+ * Builds a minimal code entity owned by the given project
+ */
+function createEntity(projectId, entityId, name) {
+  return {
+    entity_id: entityId,
+    project_id: projectId,
+    file_path: "src/users.js",
+    entity_type: "function_declaration",
+    name,
+    start_line: 1,
+    start_column: 0,
+    end_line: 3,
+    end_column: 1,
+    raw_content: `function ${name}() {}`,
+    language: "javascript",
+  };
+}
+
+describe("registerProject", () => {
+  test("should return the same project when opened again", async () => {
+    await runMigrations(client);
+
+    const first = await registerProject(client, {
+      name: "api",
+      root_path: "/work/api",
+    });
+    const second = await registerProject(client, {
+      name: "api",
+      root_path: "/work/api",
+    });
+
+    expect(second.project_id).toBe(first.project_id);
+    expect(await listProjects(client)).toHaveLength(1);
+  });
+
+  test("should adopt the placeholder project of an upgraded database", async () => {
+    await runMigrations(client, { migrations: MIGRATIONS.slice(0, 1) });
+    await client.execute(
+      "INSERT INTO system_metadata (key, value) VALUES ('last_processed_git_oid', 'abc123')"
+    );
+    await runMigrations(client);
+
+    const project = await registerProject(client, {
+      name: "api",
+      root_path: "/work/api",
+    });
+
+    expect(project.name).toBe("api");
+    expect(await listProjects(client)).toHaveLength(1);
+    expect(await getLastProcessedCommitOid(client, project.project_id)).toBe(
+      "abc123"
+    );
+  });
+});
+
+describe("project isolation", () => {
+  test("should only search and count the rows of the given project", async () => {
+    await runMigrations(client);
+    const api = await registerProject(client, {
+      name: "api",
+      root_path: "/work/api",
+    });
+    const web = await registerProject(client, {
+      name: "web",
+      root_path: "/work/web",
+    });
+
+    await addOrUpdateCodeEntity(
+      client,
+      createEntity(api.project_id, "e1", "fetchUserProfile")
+    );
+    await addOrUpdateCodeEntity(
+      client,
+      createEntity(web.project_id, "e2", "renderUserProfile")
+    );
+    await setLastProcessedCommitOid(client, api.project_id, "aaa");
+    await setLastProcessedCommitOid(client, web.project_id, "bbb");
+
+    const results = await searchCodeEntitiesFts(
+      client,
+      web.project_id,
+      "fetchUserProfile OR renderUserProfile",
+      10
+    );
+    expect(results.map((result) => result.entity_id)).toEqual(["e2"]);
+
+    const counts = await getCodeEntityCountsByLanguage(client, api.project_id);
+    expect(counts).toEqual([{ language: "javascript", count: 1 }]);
+
+    expect(await getLastProcessedCommitOid(client, api.project_id)).toBe(
+      "aaa"
+    );
+  });
+});
+
+describe("createProjectResolver", () => {
+  test("should resolve registered names and reject unknown ones", async () => {
+    await runMigrations(client);
+    const api = await registerProject(client, {
+      name: "api",
+      root_path: "/work/api",
+    });
+    const web = await registerProject(client, {
+      name: "web",
+      root_path: "/work/web",
+    });
+    const resolveProject = createProjectResolver(client, api);
+
+    expect(await resolveProject()).toBe(api);
+    expect((await resolveProject("web")).project_id).toBe(web.project_id);
+    await expect(resolveProject("mobile")).rejects.toThrow(
+      "Unknown project 'mobile'. Registered projects: "
+    );
+  });
+});
@@ -0,0 +1,678 @@
+// __tests__/retrieval-sources.test.js
+import { describe, test, expect, vi, beforeEach } from "vitest";
+import * as dbQueries from "../src/db/queries.js";
+import {
+  CodeEntityFtsSource,
+  CodeEntitySemanticSource,
+  EntityKeywordSource,
+  GitFileChangeSource,
+  RelationshipExpansionSource,
+  createDefaultCandidateSources,
+  DEFAULT_RETRIEVAL_SOURCE_NAMES,
+} from "../src/services/retrieval-sources/index.js";
+import { HashingEmbedder } from "../src/services/ai-providers/index.js";
+import RetrievalService from "../src/services/retrieval.service.js";
+import { globToRegExp, matchesAnyGlob } from "../src/utils/glob.js";
+import { LruCache } from "../src/utils/lruCache.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  default: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+vi.mock("../src/db/queries.js", () => ({
+  searchCodeEntitiesFts: vi.fn(),
+  searchEntityKeywords: vi.fn(),
+  searchGitCommitFilesByTerms: vi.fn(),
+  searchGitCommitHunksFts: vi.fn(),
+  getGitCommitHunks: vi.fn(),
+  getEmbeddingsByType: vi.fn(),
+  getCodeEntityById: vi.fn(),
+  getProjectDocumentById: vi.fn(),
+  getProjectById: vi.fn(),
+  getIndexVersion: vi.fn(),
+  getConversationMessageCount: vi.fn(),
+}));
+
+const logger = { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() };
+
+const codeEntities = {
+  e1: {
+    entity_id: "e1",
+    name: "fetchUserProfile",
+    file_path: "src/users.js",
+    entity_type: "function_declaration",
+    language: "javascript",
+    ai_status: "completed",
+    summary: "Fetches the profile of a user.",
+  },
+  e2: {
+    entity_id: "e2",
+    name: "hashPassword",
+    file_path: "src/auth.js",
+    entity_type: "function_declaration",
+    language: "javascript",
+    ai_status: "pending",
+    raw_content: "function hashPassword(password, salt) {}",
+  },
+};
+
+/**
+ * Builds a retrieval context backed by the in-memory fixtures
+ */
+function createContext(overrides = {}) {
+  return {
+    query: "user profile",
+    searchTerms: ["user", "profile"],
+    ftsQueryString: "user OR profile",
+    conversationId: "conversation-1",
+    projectId: "project-1",
+    limit: 10,
+    candidateSnippets: [],
+    logger,
+    getCodeEntity: async (id) => codeEntities[id] || null,
+    getProjectDocument: async () => null,
+    ...overrides,
+  };
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("CodeEntityFtsSource", () => {
+  test("should build snippets from FTS hits and skip unknown entities", async () => {
+    dbQueries.searchCodeEntitiesFts.mockResolvedValue([
+      { entity_id: "e1", rank: 0, highlight_snippet: "<b>profile</b>" },
+      { entity_id: "missing", rank: 1 },
+    ]);
+
+    const snippets = await new CodeEntityFtsSource().retrieve(createContext());
+
+    expect(snippets).toHaveLength(1);
+    expect(snippets[0]).toMatchObject({
+      sourceType: "code_entity_fts",
+      id: "e1",
+      entityName: "fetchUserProfile",
+      contentSnippet: "Fetches the profile of a user.",
+      initialScore: 1,
+    });
+  });
+
+  test("should not search without an FTS query", async () => {
+    const snippets = await new CodeEntityFtsSource().retrieve(
+      createContext({ ftsQueryString: "" })
+    );
+
+    expect(snippets).toEqual([]);
+    expect(dbQueries.searchCodeEntitiesFts).not.toHaveBeenCalled();
+  });
+});
+
+describe("CodeEntitySemanticSource", () => {
+  test("should rank entities by embedding similarity and fuse with FTS", async () => {
+    const embedder = new HashingEmbedder({ dimensions: 128 });
+    const [profileVector, passwordVector] = await embedder.embedTexts([
+      "fetchUserProfile fetches the profile of a user",
+      "hashPassword password salt",
+    ]);
+    dbQueries.getEmbeddingsByType.mockResolvedValue([
+      { entity_id: "e2", vector: passwordVector },
+      { entity_id: "e1", vector: profileVector },
+    ]);
+
+    const source = new CodeEntitySemanticSource();
+    const context = createContext({ embedder, query: "user profile" });
+    const semanticSnippets = await source.retrieve(context);
+
+    expect(semanticSnippets[0].id).toBe("e1");
+    expect(semanticSnippets[0].metadata.semanticSimilarity).toBeGreaterThan(0);
+
+    // e1 was also found by FTS, e3 only by FTS
+    const ftsSnippets = [
+      { sourceType: "code_entity_fts", id: "e3", initialScore: 0.9 },
+      { sourceType: "code_entity_fts", id: "e1", initialScore: 0.8 },
+    ];
+    const merged = source.mergeCandidates(ftsSnippets, semanticSnippets);
+
+    expect(merged.find((s) => s.id === "e1").initialScore).toBe(1);
+    expect(merged.find((s) => s.id === "e3").initialScore).toBeLessThan(1);
+    expect(merged.filter((s) => s.id === "e1")).toHaveLength(1);
+  });
+});
+
+describe("EntityKeywordSource", () => {
+  test("should skip entities already found by earlier sources", async () => {
+    dbQueries.searchEntityKeywords.mockResolvedValue([
+      { entity_id: "e1", total_weight: 2, match_count: 2 },
+      { entity_id: "e2", total_weight: 1, match_count: 1 },
+    ]);
+
+    const snippets = await new EntityKeywordSource().retrieve(
+      createContext({
+        candidateSnippets: [{ sourceType: "code_entity_fts", id: "e1" }],
+      })
+    );
+
+    expect(snippets.map((s) => [s.sourceType, s.id])).toEqual([
+      ["code_entity_keyword", "e2"],
+    ]);
+    expect(snippets[0].contentSnippet).toBe(
+      "function hashPassword(password, salt) {}"
+    );
+  });
+});
+
+describe("GitFileChangeSource", () => {
+  test("should prefer path-like search terms", async () => {
+    dbQueries.searchGitCommitFilesByTerms.mockResolvedValue([]);
+    dbQueries.searchGitCommitHunksFts.mockResolvedValue([]);
+
+    await new GitFileChangeSource({ limit: 5 }).retrieve(
+      createContext({ searchTerms: ["changed", "src/users.js"], limit: 5 })
+    );
+
+    expect(dbQueries.searchGitCommitFilesByTerms).toHaveBeenCalledWith(
+      undefined,
+      "project-1",
+      ["src/users.js"],
+      5
+    );
+  });
+
+  test("should quote the changed lines, preferring hunks that match the query", async () => {
+    const commit = {
+      commit_hash: "c1",
+      commit_message: "Cache user profiles",
+      commit_author: "Dev",
+      commit_date: new Date().toISOString(),
+    };
+    dbQueries.searchGitCommitFilesByTerms.mockResolvedValue([
+      { ...commit, file_path: "src/users.js", status: "modified" },
+    ]);
+    dbQueries.getGitCommitHunks.mockResolvedValue([
+      {
+        old_start: 1,
+        old_lines: 1,
+        new_start: 1,
+        new_lines: 2,
+        content: " import db;\n+import cache;",
+      },
+    ]);
+    dbQueries.searchGitCommitHunksFts.mockResolvedValue([
+      {
+        ...commit,
+        file_path: "src/profile.js",
+        status: "added",
+        old_start: 0,
+        old_lines: 0,
+        new_start: 1,
+        new_lines: 1,
+        content: "+export const profileCache = new Map();",
+      },
+    ]);
+
+    const snippets = await new GitFileChangeSource().retrieve(
+      createContext()
+    );
+
+    expect(snippets.map((snippet) => snippet.contentSnippet)).toEqual([
+      "File 'src/users.js' was modified. Commit: Cache user profiles\n@@ -1,1 +1,2 @@\n import db;\n+import cache;",
+      "File 'src/profile.js' was added. Commit: Cache user profiles\n@@ -0,0 +1,1 @@\n+export const profileCache = new Map();",
+    ]);
+    expect(dbQueries.getGitCommitHunks).toHaveBeenCalledTimes(1);
+    expect(snippets[1].id).toBe("c1_src/profile.js");
+  });
+});
+
+describe("RelationshipExpansionSource", () => {
+  test("should keep one snippet per entity with the higher score", () => {
+    const source = new RelationshipExpansionSource({ limit: 2 });
+    const relationshipContext = { relationshipType: "CALLS_FUNCTION" };
+    const merged = source.mergeCandidates(
+      [
+        { sourceType: "code_entity_fts", id: "e1", initialScore: 0.9 },
+        { sourceType: "git_commit", id: "e1", initialScore: 0.3 },
+      ],
+      [
+        {
+          sourceType: "code_entity_related",
+          id: "e1",
+          initialScore: 0.5,
+          relationshipContext,
+        },
+        { sourceType: "code_entity_related", id: "e2", initialScore: 0.4 },
+      ],
+      createContext()
+    );
+
+    expect(merged.map((s) => [s.sourceType, s.id])).toEqual([
+      ["code_entity_fts", "e1"],
+      ["git_commit", "e1"],
+      ["code_entity_related", "e2"],
+    ]);
+    expect(merged[0].relationshipContext).toBe(relationshipContext);
+  });
+});
+
+describe("RetrievalService candidate source selection", () => {
+  const createService = (configService = {}) =>
+    new RetrievalService({
+      dbClient: {},
+      logger,
+      configService,
+      compressionService: {},
+      relationshipManager: null,
+      embedder: new HashingEmbedder(),
+    });
+
+  test("should run all built-in sources in the default order", () => {
+    expect(createDefaultCandidateSources().map((s) => s.name)).toEqual(
+      DEFAULT_RETRIEVAL_SOURCE_NAMES
+    );
+    expect(
+      createService()._selectCandidateSources({}).map((s) => s.name)
+    ).toEqual(DEFAULT_RETRIEVAL_SOURCE_NAMES);
+  });
+
+  test("should let retrieval parameters reorder and disable sources", () => {
+    const service = createService({
+      RETRIEVAL_SOURCES: ["code_fts", "keywords"],
+      RETRIEVAL_DISABLED_SOURCES: ["milestones"],
+    });
+
+    expect(service._selectCandidateSources({}).map((s) => s.name)).toEqual([
+      "code_fts",
+      "keywords",
+    ]);
+    expect(
+      service
+        ._selectCandidateSources({
+          sources: ["milestones", "git_commits", "unknown", "code_fts"],
+          disabledSources: ["code_fts"],
+        })
+        .map((s) => s.name)
+    ).toEqual(["git_commits"]);
+  });
+
+  test("should register custom sources before a named source", () => {
+    const service = createService();
+    const customSource = { name: "tickets", limit: 3, retrieve: vi.fn() };
+
+    service.registerCandidateSource(customSource, {
+      before: "relationship_expansion",
+    });
+
+    const names = service.candidateSources.map((s) => s.name);
+    expect(names.indexOf("tickets")).toBe(
+      names.indexOf("relationship_expansion") - 1
+    );
+    expect(service._getCandidateSourceLimit(customSource, {})).toBe(3);
+    expect(
+      service._getCandidateSourceLimit(customSource, {
+        sourceLimits: { tickets: 7 },
+      })
+    ).toBe(7);
+  });
+});
+
+describe("RetrievalService retrieval parameter filters", () => {
+  const service = new RetrievalService({
+    dbClient: {},
+    logger,
+    configService: {},
+    compressionService: {},
+    relationshipManager: null,
+    embedder: new HashingEmbedder(),
+  });
+
+  const snippets = [
+    {
+      sourceType: "code_entity_fts",
+      id: "e1",
+      filePath: "src/services/user.service.js",
+      language: "javascript",
+      entityType: "class_declaration",
+    },
+    {
+      sourceType: "code_entity_fts",
+      id: "e2",
+      filePath: "src/utils/helpers.py",
+      language: "python",
+      entityType: "function_definition",
+    },
+    {
+      sourceType: "project_document_fts",
+      id: "d1",
+      filePath: "CHANGELOG.md",
+      entityType: "markdown",
+    },
+    {
+      sourceType: "git_commit_file_change",
+      id: "c1_src/services/a.js",
+      metadata: { filePath: "src/services/a.js" },
+    },
+    { sourceType: "conversation_message", id: "m1" },
+  ];
+
+  const filterIds = (retrievalParameters) =>
+    service
+      ._filterCandidateSnippets(
+        snippets,
+        service._createSnippetFilter(retrievalParameters)
+      )
+      .map((snippet) => snippet.id);
+
+  test("should filter file-backed snippets by path globs", () => {
+    expect(
+      filterIds({
+        filterByFilePaths: ["src/services/**"],
+        excludeSourceTypes: ["conversation_message"],
+      })
+    ).toEqual(["e1", "c1_src/services/a.js"]);
+    expect(filterIds({ filterByFilePaths: ["*.md"] })).toEqual(["d1", "m1"]);
+  });
+
+  test("should match absolute indexed paths relative to the project root", () => {
+    const projectRoot = "/home/dev/proj";
+    const indexedSnippets = [
+      {
+        sourceType: "code_entity_fts",
+        id: "e1",
+        filePath: `${projectRoot}/src/services/job.service.js`,
+      },
+      {
+        sourceType: "project_document_fts",
+        id: "d1",
+        filePath: `${projectRoot}/docs/services/guide.md`,
+      },
+      {
+        sourceType: "git_commit_file_change",
+        id: "c1_src/services/a.js",
+        metadata: { filePath: "src/services/a.js" },
+      },
+    ];
+    const snippetFilter = service._createSnippetFilter(
+      { filterByFilePaths: ["src/services/**"] },
+      `${projectRoot}/`
+    );
+
+    expect(
+      service
+        ._filterCandidateSnippets(indexedSnippets, snippetFilter)
+        .map((snippet) => snippet.id)
+    ).toEqual(["e1", "c1_src/services/a.js"]);
+  });
+
+  test("should look up the project root of path filters", async () => {
+    dbQueries.getProjectById.mockResolvedValue({ root_path: "/work/api" });
+
+    expect(await service._getProjectRootPath("project-1")).toBe("/work/api");
+    expect(dbQueries.getProjectById).toHaveBeenCalledWith({}, "project-1");
+  });
+
+  test("should filter by source type, language and entity type", () => {
+    expect(filterIds({ includeSourceTypes: ["code_entity_fts"] })).toEqual([
+      "e1",
+      "e2",
+    ]);
+    expect(filterIds({ languages: ["Python"] })).toEqual([
+      "e2",
+      "d1",
+      "c1_src/services/a.js",
+      "m1",
+    ]);
+    expect(
+      filterIds({
+        entityTypes: ["class_declaration"],
+        includeSourceTypes: ["code_entity_fts", "project_document_fts"],
+      })
+    ).toEqual(["e1"]);
+    expect(service._createSnippetFilter({ languages: [] })).toBeNull();
+  });
+
+  test("should skip sources whose source types are all excluded", () => {
+    const snippetFilter = service._createSnippetFilter({
+      includeSourceTypes: ["code_entity_fts"],
+    });
+
+    expect(
+      service._isSourceAllowedByFilter(new CodeEntityFtsSource(), snippetFilter)
+    ).toBe(true);
+    expect(
+      service._isSourceAllowedByFilter(new GitFileChangeSource(), snippetFilter)
+    ).toBe(false);
+    expect(
+      service._isSourceAllowedByFilter({ name: "custom" }, snippetFilter)
+    ).toBe(true);
+  });
+
+  test("should apply minScore and maxSnippetsPerSource to ranked snippets", () => {
+    const rankedSnippets = [
+      { sourceType: "code_entity_fts", id: "a", consolidatedScore: 1.4 },
+      { sourceType: "code_entity_fts", id: "b", consolidatedScore: 1.1 },
+      { sourceType: "git_commit", id: "c", consolidatedScore: 0.9 },
+      { sourceType: "code_entity_fts", id: "d", consolidatedScore: 0.8 },
+      { sourceType: "git_commit", id: "e", consolidatedScore: 0.2 },
+    ];
+
+    expect(
+      service
+        ._applyRankedSnippetLimits(rankedSnippets, {
+          minScore: 0.5,
+          maxSnippetsPerSource: 2,
+        })
+        .map((snippet) => snippet.id)
+    ).toEqual(["a", "b", "c"]);
+    expect(service._applyRankedSnippetLimits(rankedSnippets, {})).toBe(
+      rankedSnippets
+    );
+  });
+});
+
+describe("glob matching", () => {
+  test("should match directory wildcards, name patterns and alternatives", () => {
+    expect(matchesAnyGlob("src/services/a/b.js", ["src/services/**"])).toBe(
+      true
+    );
+    expect(matchesAnyGlob("src/a.test.js", ["src/**/*.test.js"])).toBe(true);
+    expect(matchesAnyGlob("./docs/guide.md", ["*.{md,txt}"])).toBe(true);
+    expect(matchesAnyGlob("src/index.js", ["src/*.ts", "lib/**"])).toBe(false);
+    expect(globToRegExp("src/?.js").test("src/ab.js")).toBe(false);
+  });
+});
+
+describe("RetrievalService explain mode", () => {
+  const createExplainService = () =>
+    new RetrievalService({
+      dbClient: {},
+      logger,
+      configService: {},
+      compressionService: {
+        compressSnippets: (snippets, tokenBudget) => ({
+          finalSnippets: snippets,
+          summaryStats: {
+            snippetsFoundBeforeCompression: snippets.length,
+            snippetsReturnedAfterCompression: snippets.length,
+            estimatedTokensIn: 0,
+            estimatedTokensOut: 0,
+            tokenBudgetGiven: tokenBudget,
+            tokenBudgetRemaining: tokenBudget,
+          },
+        }),
+      },
+      relationshipManager: null,
+      embedder: new HashingEmbedder(),
+      candidateSources: [new CodeEntityFtsSource()],
+    });
+
+  test("should attach score factors, sources and matched terms", async () => {
+    dbQueries.searchCodeEntitiesFts.mockResolvedValue([
+      { entity_id: "e2", rank: 0, highlight_snippet: "<b>hash</b>Password" },
+    ]);
+    dbQueries.getCodeEntityById.mockResolvedValue(codeEntities.e2);
+
+    const result = await createExplainService().getRelevantContext(
+      "hash password",
+      "conversation-1",
+      1000,
+      { explain: true }
+    );
+
+    const [snippet] = result.contextSnippets;
+    expect(snippet.ftsHighlight).toBeUndefined();
+    expect(snippet.explanation).toMatchObject({
+      sources: [
+        { source: "code_fts", sourceType: "code_entity_fts", initialScore: 1 },
+      ],
+      matchedTerms: ["hash", "password"],
+      ftsHighlights: ["<b>hash</b>Password"],
+      rank: 1,
+    });
+    expect(snippet.explanation.scoreFactors.consolidatedScore).toBe(
+      snippet.consolidatedScore
+    );
+    expect(result.retrievalSummary.pipelineTrace).toMatchObject({
+      searchTerms: ["hash", "password"],
+      sources: [
+        { source: "code_fts", status: "completed", candidatesFound: 1 },
+      ],
+      candidatesRanked: 1,
+      snippetsReturned: 1,
+    });
+  });
+
+  test("should not explain snippets unless asked to", async () => {
+    dbQueries.searchCodeEntitiesFts.mockResolvedValue([
+      { entity_id: "e2", rank: 0, highlight_snippet: "<b>hash</b>Password" },
+    ]);
+    dbQueries.getCodeEntityById.mockResolvedValue(codeEntities.e2);
+
+    const result = await createExplainService().getRelevantContext(
+      "hash password",
+      "conversation-1",
+      1000
+    );
+
+    expect(result.contextSnippets[0].explanation).toBeUndefined();
+    expect(result.contextSnippets[0].ftsHighlight).toBeUndefined();
+    expect(result.retrievalSummary.pipelineTrace).toBeUndefined();
+  });
+});
+
+describe("RetrievalService result cache", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dbQueries.searchCodeEntitiesFts.mockResolvedValue([
+      { entity_id: "e2", rank: 0, highlight_snippet: "<b>hash</b>Password" },
+    ]);
+    dbQueries.getCodeEntityById.mockResolvedValue(codeEntities.e2);
+    dbQueries.getIndexVersion.mockResolvedValue(1);
+    dbQueries.getConversationMessageCount.mockResolvedValue(4);
+  });
+
+  const createCachingService = (configService = {}) => {
+    const compressSnippets = vi.fn((snippets, tokenBudget) => ({
+      finalSnippets: snippets.slice(0, tokenBudget > 500 ? 1 : 0),
+      summaryStats: {
+        snippetsFoundBeforeCompression: snippets.length,
+        snippetsReturnedAfterCompression: tokenBudget > 500 ? 1 : 0,
+        estimatedTokensIn: 0,
+        estimatedTokensOut: 0,
+        tokenBudgetGiven: tokenBudget,
+        tokenBudgetRemaining: tokenBudget,
+      },
+    }));
+    const service = new RetrievalService({
+      dbClient: {},
+      logger,
+      configService,
+      compressionService: { compressSnippets },
+      relationshipManager: null,
+      embedder: new HashingEmbedder(),
+      candidateSources: [new CodeEntityFtsSource()],
+    });
+    return { service, compressSnippets };
+  };
+
+  test("should only re-run compression for a repeated query", async () => {
+    const { service, compressSnippets } = createCachingService();
+
+    const first = await service.getRelevantContext(
+      "hash password",
+      "conversation-1",
+      1000
+    );
+    const second = await service.getRelevantContext(
+      "  Hash   PASSWORD ",
+      "conversation-1",
+      100
+    );
+
+    expect(dbQueries.searchCodeEntitiesFts).toHaveBeenCalledTimes(1);
+    expect(first.retrievalSummary.cacheHit).toBe(false);
+    expect(second.retrievalSummary.cacheHit).toBe(true);
+    expect(first.contextSnippets).toHaveLength(1);
+    expect(second.contextSnippets).toHaveLength(0);
+    expect(compressSnippets.mock.calls[1][0]).toEqual(
+      compressSnippets.mock.calls[0][0]
+    );
+    expect(compressSnippets.mock.calls[1][0]).not.toBe(
+      compressSnippets.mock.calls[0][0]
+    );
+  });
+
+  test("should retrieve again after the index or the conversation changed", async () => {
+    const { service } = createCachingService();
+    const retrieve = (retrievalParameters) =>
+      service.getRelevantContext(
+        "hash password",
+        "conversation-1",
+        1000,
+        retrievalParameters
+      );
+
+    await retrieve({ minScore: 0, sourceLimits: { code_fts: 5 } });
+    await retrieve({ sourceLimits: { code_fts: 5 }, minScore: 0 });
+    expect(dbQueries.searchCodeEntitiesFts).toHaveBeenCalledTimes(1);
+
+    dbQueries.getIndexVersion.mockResolvedValue(2);
+    await retrieve();
+    dbQueries.getConversationMessageCount.mockResolvedValue(5);
+    const result = await retrieve();
+
+    expect(dbQueries.searchCodeEntitiesFts).toHaveBeenCalledTimes(3);
+    expect(result.retrievalSummary.cacheHit).toBe(false);
+  });
+
+  test("should not cache when RETRIEVAL_CACHE_SIZE is 0", async () => {
+    const { service } = createCachingService({ RETRIEVAL_CACHE_SIZE: 0 });
+
+    await service.getRelevantContext("hash password", "conversation-1", 1000);
+    await service.getRelevantContext("hash password", "conversation-1", 1000);
+
+    expect(dbQueries.searchCodeEntitiesFts).toHaveBeenCalledTimes(2);
+    expect(dbQueries.getIndexVersion).not.toHaveBeenCalled();
+  });
+
+  test("should evict the least recently used entry", () => {
+    const cache = new LruCache(2);
+    cache.set("a", 1);
+    cache.set("b", 2);
+    cache.get("a");
+    cache.set("c", 3);
+
+    expect(cache.get("b")).toBeUndefined();
+    expect(cache.get("a")).toBe(1);
+    expect(cache.get("c")).toBe(3);
+    expect(cache.size).toBe(2);
+  });
+});
@@ -0,0 +1,243 @@
+// __tests__/snapshot.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import {
+  exportIndexSnapshot,
+  importIndexSnapshot,
+  readSnapshotManifest,
+} from "../src/db/snapshot.js";
+import {
+  addEntityKeywords,
+  getCodeEntitiesByFilePath,
+  getLastProcessedCommitOid,
+  hasInitialScanBeenCompleted,
+  markInitialScanCompleted,
+  registerProject,
+  replaceCodeEntitiesForFile,
+  searchCodeEntitiesFts,
+  setLastProcessedCommitOid,
+  upsertEmbedding,
+} from "../src/db/queries.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+let directory;
+let source;
+let target;
+let sourceProjectId;
+let targetProjectId;
+
+beforeEach(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "devcontext-"));
+
+  source = createSqliteClient(":memory:");
+  await runMigrations(source);
+  sourceProjectId = (
+    await registerProject(source, { name: "ci", root_path: "/ci/api" })
+  ).project_id;
+
+  target = createSqliteClient(":memory:");
+  await runMigrations(target);
+  targetProjectId = (
+    await registerProject(target, { name: "api", root_path: "/work/api" })
+  ).project_id;
+
+  await replaceCodeEntitiesForFile(
+    source,
+    sourceProjectId,
+    "/ci/api/src/users.js",
+    [
+      createEntity("e1", "fetchUserProfile", {
+        summary: "Fetches a user profile.",
+        ai_status: "completed",
+      }),
+      createEntity("e2", "saveUserProfile", { parent_entity_id: "e1" }),
+    ],
+    [
+      {
+        relationship_id: "r1",
+        source_entity_id: "e1",
+        target_entity_id: "e2",
+        relationship_type: "CALLS_FUNCTION",
+      },
+    ]
+  );
+  await addEntityKeywords(source, "e1", ["profile"], "ai_explicit");
+  await upsertEmbedding(source, {
+    project_id: sourceProjectId,
+    entity_id: "e1",
+    entity_type: "code_entity",
+    model: "test",
+    vector: [0.25, 0.5],
+  });
+  await setLastProcessedCommitOid(source, sourceProjectId, "abc123");
+  await markInitialScanCompleted(source, sourceProjectId);
+});
+
+afterEach(() => {
+  source.close();
+  target.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Builds a minimal code entity row in /ci/api/src/users.js
+ */
+function createEntity(entityId, name, extra = {}) {
+  return {
+    entity_id: entityId,
+    project_id: sourceProjectId,
+    file_path: "/ci/api/src/users.js",
+    entity_type: "function_declaration",
+    name,
+    start_line: 1,
+    start_column: 0,
+    end_line: 3,
+    end_column: 1,
+    raw_content: `function ${name}() {}`,
+    language: "javascript",
+    ...extra,
+  };
+}
+
+describe("index snapshots", () => {
+  test("should round-trip the index into another project", async () => {
+    const filePath = path.join(directory, "index.ndjson.gz");
+
+    const manifest = await exportIndexSnapshot(
+      source,
+      sourceProjectId,
+      filePath,
+      { commitOid: "abc123" }
+    );
+    expect(manifest).toMatchObject({
+      commitOid: "abc123",
+      projectName: "ci",
+    });
+    expect(manifest.tables).toMatchObject({
+      code_entities: 2,
+      code_relationships: 1,
+      entity_keywords: 1,
+      embeddings: 1,
+    });
+    expect(await readSnapshotManifest(filePath)).toEqual(manifest);
+
+    const result = await importIndexSnapshot(target, targetProjectId, filePath);
+
+    expect(result.importedRows).toEqual(manifest.tables);
+    expect(result.enqueuedJobs).toBe(1);
+
+    const entities = await getCodeEntitiesByFilePath(
+      target,
+      targetProjectId,
+      "/work/api/src/users.js"
+    );
+    const fetchEntity = entities.find((entity) => entity.entity_id === "e1");
+    expect(fetchEntity.summary).toBe("Fetches a user profile.");
+    expect(fetchEntity.project_id).toBe(targetProjectId);
+
+    const embedding = await target.execute(
+      "SELECT vector FROM embeddings WHERE entity_id = 'e1'"
+    );
+    expect(Array.from(new Float32Array(embedding.rows[0].vector))).toEqual([
+      0.25, 0.5,
+    ]);
+
+    const ftsResults = await searchCodeEntitiesFts(
+      target,
+      targetProjectId,
+      "fetchUserProfile",
+      10
+    );
+    expect(ftsResults.map((entity) => entity.entity_id)).toEqual(["e1"]);
+
+    expect(await getLastProcessedCommitOid(target, targetProjectId)).toBe(
+      "abc123"
+    );
+    expect(await hasInitialScanBeenCompleted(target, targetProjectId)).toBe(
+      true
+    );
+  });
+
+  test("should store file paths relative to the project root", async () => {
+    const filePath = path.join(directory, "index.ndjson");
+    await exportIndexSnapshot(source, sourceProjectId, filePath);
+
+    const entityRows = fs
+      .readFileSync(filePath, "utf8")
+      .trim()
+      .split("\n")
+      .slice(1)
+      .map((line) => JSON.parse(line))
+      .filter(({ table }) => table === "code_entities");
+    expect(entityRows.map(({ row }) => row.file_path)).toEqual([
+      "src/users.js",
+      "src/users.js",
+    ]);
+
+    await importIndexSnapshot(target, targetProjectId, filePath);
+
+    const result = await target.execute(
+      "SELECT DISTINCT file_path FROM code_entities"
+    );
+    expect(result.rows.map((row) => row.file_path)).toEqual([
+      "/work/api/src/users.js",
+    ]);
+  });
+
+  test("should refuse to export an index at another commit", async () => {
+    await expect(
+      exportIndexSnapshot(
+        source,
+        sourceProjectId,
+        path.join(directory, "index.ndjson"),
+        { commitOid: "def456" }
+      )
+    ).rejects.toThrow("is at commit abc123, not def456");
+  });
+
+  test("should reject a snapshot of another schema version", async () => {
+    const filePath = path.join(directory, "index.ndjson");
+    await exportIndexSnapshot(source, sourceProjectId, filePath);
+
+    const lines = fs.readFileSync(filePath, "utf8").split("\n");
+    const manifest = JSON.parse(lines[0]);
+    lines[0] = JSON.stringify({ ...manifest, schemaVersion: 99 });
+    fs.writeFileSync(filePath, lines.join("\n"));
+
+    await expect(
+      importIndexSnapshot(target, targetProjectId, filePath)
+    ).rejects.toThrow("schema version 99");
+  });
+
+  test("should keep the existing index when the snapshot is truncated", async () => {
+    const filePath = path.join(directory, "index.ndjson");
+    await exportIndexSnapshot(source, sourceProjectId, filePath);
+    await importIndexSnapshot(target, targetProjectId, filePath);
+
+    const lines = fs.readFileSync(filePath, "utf8").trim().split("\n");
+    fs.writeFileSync(filePath, lines.slice(0, -1).join("\n"));
+
+    await expect(
+      importIndexSnapshot(target, targetProjectId, filePath)
+    ).rejects.toThrow("The snapshot is incomplete");
+
+    const entities = await getCodeEntitiesByFilePath(
+      target,
+      targetProjectId,
+      "/work/api/src/users.js"
+    );
+    expect(entities).toHaveLength(2);
+  });
+});
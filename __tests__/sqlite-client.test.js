@@ -0,0 +1,88 @@
+// __tests__/sqlite-client.test.js
+import { describe, test, expect, beforeEach, afterEach } from "vitest";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+
+let client;
+
+beforeEach(async () => {
+  client = createSqliteClient(":memory:");
+  await client.execute(
+    "CREATE TABLE items (id TEXT PRIMARY KEY, count INTEGER, data BLOB)"
+  );
+});
+
+afterEach(() => {
+  client.close();
+});
+
+describe("SqliteClient", () => {
+  test("should return libSQL-style result sets", async () => {
+    const insertResult = await client.execute({
+      sql: "INSERT INTO items (id, count, data) VALUES (?, ?, ?)",
+      args: ["a", true, new Uint8Array([1, 2, 3])],
+    });
+    expect(insertResult.rowsAffected).toBe(1);
+    expect(insertResult.lastInsertRowid).toBe(1n);
+
+    const result = await client.execute({
+      sql: "SELECT id, count, data FROM items WHERE id = :id",
+      args: { ":id": "a" },
+    });
+
+    expect(result.columns).toEqual(["id", "count", "data"]);
+    const [row] = result.rows;
+    expect(Object.keys(row)).toEqual(["id", "count", "data"]);
+    expect(row.id).toBe("a");
+    expect(row[1]).toBe(1);
+    expect(row.data).toBeInstanceOf(ArrayBuffer);
+    expect(Array.from(new Uint8Array(row.data))).toEqual([1, 2, 3]);
+  });
+
+  test("should reject undefined arguments like the libSQL client", async () => {
+    await expect(
+      client.execute({
+        sql: "INSERT INTO items (id, count) VALUES (?, ?)",
+        args: ["a", undefined],
+      })
+    ).rejects.toThrow(TypeError);
+  });
+
+  test("should roll back a batch when a statement fails", async () => {
+    await expect(
+      client.batch(
+        [
+          { sql: "INSERT INTO items (id) VALUES (?)", args: ["a"] },
+          "INSERT INTO missing_table VALUES (1)",
+        ],
+        "write"
+      )
+    ).rejects.toThrow();
+
+    const result = await client.execute("SELECT COUNT(*) AS total FROM items");
+    expect(result.rows[0].total).toBe(0);
+  });
+
+  test("should hold other statements until a transaction finishes", async () => {
+    const transaction = await client.transaction("write");
+    await transaction.execute({
+      sql: "INSERT INTO items (id) VALUES (?)",
+      args: ["a"],
+    });
+
+    const outsideQuery = client.execute("SELECT COUNT(*) AS total FROM items");
+    await transaction.rollback();
+
+    expect((await outsideQuery).rows[0].total).toBe(0);
+    expect(transaction.closed).toBe(true);
+    await expect(transaction.execute("SELECT 1")).rejects.toMatchObject({
+      code: "TRANSACTION_CLOSED",
+    });
+  });
+
+  test("should refuse statements after close", async () => {
+    client.close();
+    await expect(client.execute("SELECT 1")).rejects.toMatchObject({
+      code: "CLIENT_CLOSED",
+    });
+  });
+});
@@ -0,0 +1,197 @@
+// __tests__/working-tree.test.js
+import { describe, test, expect, beforeEach, afterEach, vi } from "vitest";
+import * as git from "isomorphic-git";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createSqliteClient } from "../src/db/sqlite.client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import {
+  getCodeEntityById,
+  getIndexVersion,
+  registerProject,
+  replaceCodeEntitiesForFile,
+} from "../src/db/queries.js";
+import { createCodeEntitySnippet } from "../src/services/retrieval-sources/candidate.source.js";
+import { WorkingTreeWatcherService } from "../src/services/workingTree.service.js";
+
+vi.mock("../src/utils/logger.js", () => ({
+  default: {
+    info: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+// The real IndexingService needs the tree-sitter grammars
+vi.mock("../src/services/indexing.service.js", () => ({
+  IndexingService: vi.fn(),
+}));
+
+const author = { name: "Dev", email: "dev@example.com" };
+
+let dbClient;
+let projectId;
+let projectPath;
+let indexingService;
+let watcher;
+
+/**
+ * Writes a file of the working tree
+ */
+function writeFile(relativePath, content) {
+  const filePath = path.join(projectPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Stages and commits files of the working tree
+ */
+async function commit(...filepaths) {
+  for (const filepath of filepaths) {
+    await git.add({ fs, dir: projectPath, filepath });
+  }
+  await git.commit({ fs, dir: projectPath, message: "Update", author });
+}
+
+beforeEach(async () => {
+  projectPath = fs.mkdtempSync(path.join(os.tmpdir(), "devcontext-tree-"));
+  await git.init({ fs, dir: projectPath });
+  writeFile(".gitignore", "dist/\nnode_modules/\n");
+  writeFile("src/util.js", "export const answer = 41;\n");
+  await commit(".gitignore", "src/util.js");
+
+  dbClient = createSqliteClient(":memory:");
+  await runMigrations(dbClient);
+  projectId = (
+    await registerProject(dbClient, { name: "api", root_path: projectPath })
+  ).project_id;
+  const filePath = path.join(projectPath, "src/util.js");
+  await replaceCodeEntitiesForFile(dbClient, projectId, filePath, [
+    {
+      entity_id: "e1",
+      project_id: projectId,
+      file_path: filePath,
+      entity_type: "variable_declaration",
+      name: "answer",
+      start_line: 1,
+      start_column: 0,
+      end_line: 1,
+      end_column: 25,
+      raw_content: "export const answer = 41;",
+      language: "javascript",
+      ai_status: "pending",
+    },
+  ]);
+
+  indexingService = { processFileChanges: vi.fn() };
+  watcher = new WorkingTreeWatcherService({
+    dbClient,
+    projectId,
+    projectPath,
+    indexingService,
+    configService: {
+      WORKING_TREE_WATCH: true,
+      WORKING_TREE_DEBOUNCE_MS: 0,
+      DATABASE_PATH: path.join(projectPath, ".devcontext", "devcontext.db"),
+    },
+  });
+});
+
+afterEach(() => {
+  watcher.stop();
+  dbClient.close();
+  fs.rmSync(projectPath, { recursive: true, force: true });
+});
+
+describe("WorkingTreeWatcherService", () => {
+  test("should reindex edited files and mark them until they are committed", async () => {
+    // A new size, since Git trusts matching file stats within the same second
+    const filePath = writeFile(
+      "src/util.js",
+      "export const answer = 42 + 0;\n"
+    );
+    await watcher.handleFileEvent(path.join("src", "util.js"));
+    const versionBefore = await getIndexVersion(dbClient, projectId);
+
+    expect(await watcher.flushChanges()).toEqual({
+      reindexed: 1,
+      marked: 1,
+      unmarked: 0,
+    });
+    expect(indexingService.processFileChanges).toHaveBeenCalledWith([
+      { filePath, status: "modified" },
+    ]);
+    expect(await getIndexVersion(dbClient, projectId)).toBe(versionBefore + 1);
+
+    const entity = await getCodeEntityById(dbClient, "e1");
+    expect(entity.uncommitted_at).not.toBeNull();
+    const snippet = createCodeEntitySnippet(entity, "code_entity_fts", 0.5);
+    expect(snippet.timestamp).toBe(entity.uncommitted_at);
+    expect(snippet.metadata).toEqual({ uncommitted: true });
+
+    // Committing rewrites .git/index, which clears the marks of committed files
+    await commit("src/util.js");
+    await watcher.handleFileEvent(path.join(".git", "index"));
+    expect(await watcher.flushChanges()).toEqual({
+      reindexed: 0,
+      marked: 0,
+      unmarked: 1,
+    });
+    expect((await getCodeEntityById(dbClient, "e1")).uncommitted_at).toBeNull();
+    expect(indexingService.processFileChanges).toHaveBeenCalledTimes(1);
+  });
+
+  test("should skip ignored files, Git internals and the database directory", async () => {
+    writeFile("dist/bundle.js", "console.log(1);\n");
+    writeFile(".devcontext/devcontext.db-wal", "");
+    await watcher.handleFileEvent(path.join("dist", "bundle.js"));
+    await watcher.handleFileEvent(
+      path.join(".devcontext", "devcontext.db-wal")
+    );
+    await watcher.handleFileEvent(path.join(".git", "objects", "ab", "cdef"));
+    await watcher.handleFileEvent("src");
+
+    expect(await watcher.flushChanges()).toEqual({
+      reindexed: 0,
+      marked: 0,
+      unmarked: 0,
+    });
+    expect(indexingService.processFileChanges).not.toHaveBeenCalled();
+  });
+
+  test("should drop ignored paths before queuing them", async () => {
+    writeFile("node_modules/lib/index.js", "module.exports = 1;\n");
+    writeFile("src/util.test.js", "test();\n");
+    await watcher.handleFileEvent(path.join("node_modules", "lib", "index.js"));
+    await watcher.handleFileEvent(path.join("dist", "bundle.js"));
+
+    expect(watcher.pendingPaths.size).toBe(0);
+    expect(watcher.debounceTimer).toBeNull();
+
+    await watcher.handleFileEvent(path.join("src", "util.test.js"));
+    expect([...watcher.pendingPaths]).toEqual(["src/util.test.js"]);
+
+    // Ignoring a directory takes effect once its .gitignore changes
+    writeFile(".gitignore", "dist/\nnode_modules/\nsrc/\n");
+    await watcher.handleFileEvent(".gitignore");
+    watcher.pendingPaths.clear();
+    await watcher.handleFileEvent(path.join("src", "util.test.js"));
+    expect(watcher.pendingPaths.size).toBe(0);
+  });
+
+  test("should remove deleted files from the index", async () => {
+    const filePath = path.join(projectPath, "src/util.js");
+    fs.rmSync(filePath);
+    await watcher.handleFileEvent(path.join("src", "util.js"));
+
+    await watcher.flushChanges();
+
+    expect(indexingService.processFileChanges).toHaveBeenCalledWith([
+      { filePath, status: "deleted" },
+    ]);
+  });
+});
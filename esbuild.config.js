@@ -8,6 +8,8 @@ const config = {
   format: "esm",
   bundle: true,
   target: "node18",
+  // Native module, loaded at runtime for the local SQLite database
+  external: ["better-sqlite3"],
   // Note: Minification and sourcemaps explicitly excluded per Task 003
   // Tree-sitter grammar handling will be addressed in Story 6.1
 };
@@ -0,0 +1,125 @@
+// scripts/db-schema.js
+import { initializeDbClient } from "../src/db/client.js";
+import { getMigrationStatus, runMigrations } from "../src/db/migrate.js";
+import MaintenanceService from "../src/services/maintenance.service.js";
+import { reencryptConversations } from "../src/db/conversationEncryption.js";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+};
+
+/**
+ * Print the schema version and the applied and pending migrations
+ * @param {Object} dbClient - The database client instance
+ */
+async function printStatus(dbClient) {
+  const status = await getMigrationStatus(dbClient);
+
+  console.log(
+    `${colors.blue}Schema version: ${status.currentVersion} (latest: ${status.latestVersion})${colors.reset}`
+  );
+
+  for (const migration of status.applied) {
+    console.log(
+      `${colors.green}  applied  ${migration.version}_${migration.name} (${migration.applied_at})${colors.reset}`
+    );
+  }
+  for (const migration of status.pending) {
+    console.log(
+      `${colors.yellow}  pending  ${migration.version}_${migration.name}${colors.reset}`
+    );
+  }
+
+  if (status.currentVersion > status.latestVersion) {
+    console.log(
+      `${colors.red}The database was created by a newer version of DevContext${colors.reset}`
+    );
+  }
+}
+
+/**
+ * Apply pending migrations and print the result
+ * @param {Object} dbClient - The database client instance
+ */
+async function migrate(dbClient) {
+  const result = await runMigrations(dbClient);
+
+  if (result.applied.length === 0) {
+    console.log(
+      `${colors.green}Schema is up to date at version ${result.currentVersion}${colors.reset}`
+    );
+    return;
+  }
+
+  if (result.backupPath) {
+    console.log(`${colors.blue}Backup: ${result.backupPath}${colors.reset}`);
+  }
+  console.log(
+    `${colors.green}Migrated schema from version ${result.previousVersion} to ${result.currentVersion}${colors.reset}`
+  );
+}
+
+/**
+ * Prune by the configured retention policy, compact the database and print the report
+ * @param {Object} dbClient - The database client instance
+ */
+async function maintenance(dbClient) {
+  const report = await new MaintenanceService({ dbClient }).runMaintenance();
+
+  for (const [table, count] of Object.entries(report.pruned)) {
+    console.log(`${colors.blue}  pruned   ${table}: ${count}${colors.reset}`);
+  }
+  console.log(
+    `${colors.blue}  rebuilt  ${report.ftsIndexesRebuilt.join(", ") || "(no FTS indexes)"}${colors.reset}`
+  );
+
+  if (report.reclaimedBytes === null) {
+    console.log(
+      `${colors.yellow}Maintenance finished; the database size is not available${colors.reset}`
+    );
+    return;
+  }
+  console.log(
+    `${colors.green}Maintenance finished${report.vacuumed ? " with VACUUM" : ""}: ${report.sizeBeforeBytes} -> ${report.sizeAfterBytes} bytes, reclaimed ${report.reclaimedBytes} bytes${colors.reset}`
+  );
+}
+
+/**
+ * Re-encrypt conversations with the current key and print the number of updated rows
+ * @param {Object} dbClient - The database client instance
+ */
+async function reencrypt(dbClient) {
+  const result = await reencryptConversations(dbClient);
+  console.log(
+    `${colors.green}Re-encrypted ${result.messages} message(s), ${result.topics} topic(s) and ${result.milestones} milestone(s)${colors.reset}`
+  );
+}
+
+async function main() {
+  const command = process.argv[2] || "status";
+  const commands = { status: printStatus, migrate, maintenance, reencrypt };
+
+  if (!commands[command]) {
+    console.error(
+      `${colors.red}Unknown command "${command}". Usage: node scripts/db-schema.js [status|migrate|maintenance|reencrypt]${colors.reset}`
+    );
+    process.exit(1);
+  }
+
+  const dbClient = initializeDbClient();
+  try {
+    await commands[command](dbClient);
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exitCode = 1;
+  } finally {
+    dbClient.close();
+  }
+}
+
+main();
@@ -0,0 +1,148 @@
+// scripts/index-snapshot.js
+import config from "../src/config.js";
+import { initializeDbClient } from "../src/db/client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import { registerProject } from "../src/db/queries.js";
+import {
+  exportIndexSnapshot,
+  importIndexSnapshot,
+  readSnapshotManifest,
+  validateSnapshotManifest,
+} from "../src/db/snapshot.js";
+import GitMonitorService from "../src/services/git.service.js";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+};
+
+const USAGE =
+  "Usage: node scripts/index-snapshot.js export <file> [--commit <oid>] | import <file>";
+
+/**
+ * Export the index of the project at PROJECT_PATH
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} project - The registered project
+ * @param {string} filePath - Path of the snapshot to write
+ * @param {Object} options - Command line options
+ */
+async function exportSnapshot(dbClient, project, filePath, options) {
+  const manifest = await exportIndexSnapshot(
+    dbClient,
+    project.project_id,
+    filePath,
+    { commitOid: options.commit }
+  );
+
+  for (const [table, count] of Object.entries(manifest.tables)) {
+    console.log(`${colors.blue}  ${table}: ${count}${colors.reset}`);
+  }
+  console.log(
+    `${colors.green}Exported the index of '${project.name}' at commit ${manifest.commitOid} to ${filePath}${colors.reset}`
+  );
+}
+
+/**
+ * Import a snapshot into the project at PROJECT_PATH and index the commits made after it
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} project - The registered project
+ * @param {string} filePath - Path of the snapshot to read
+ */
+async function importSnapshot(dbClient, project, filePath) {
+  const manifest = await readSnapshotManifest(filePath);
+  await validateSnapshotManifest(dbClient, manifest);
+
+  const gitMonitorService = new GitMonitorService(dbClient, project.project_id);
+  if (!(await gitMonitorService.isCommitInHistory(manifest.commitOid))) {
+    throw new Error(
+      `Commit ${manifest.commitOid} of the snapshot is not in the history of HEAD; fetch and check out a branch containing it first`
+    );
+  }
+
+  const result = await importIndexSnapshot(
+    dbClient,
+    project.project_id,
+    filePath
+  );
+  for (const [table, count] of Object.entries(result.importedRows)) {
+    console.log(`${colors.blue}  ${table}: ${count}${colors.reset}`);
+  }
+  console.log(
+    `${colors.green}Imported the index of '${manifest.projectName}' at commit ${manifest.commitOid} into '${project.name}'${colors.reset}`
+  );
+  if (result.enqueuedJobs > 0) {
+    console.log(
+      `${colors.yellow}${result.enqueuedJobs} entities still need AI enrichment and were queued${colors.reset}`
+    );
+  }
+
+  // Index the commits made after the snapshot
+  try {
+    await gitMonitorService.initialize();
+    const hadNewCommits = await gitMonitorService.checkForNewCommits();
+    if (hadNewCommits) {
+      console.log(
+        `${colors.green}Indexed the commits made after the snapshot${colors.reset}`
+      );
+    }
+  } catch (error) {
+    console.log(
+      `${colors.yellow}Could not index the commits after the snapshot (${error.message}); the server indexes them when it starts${colors.reset}`
+    );
+  }
+}
+
+/**
+ * Parse "--name value" options following the positional arguments
+ * @param {Array<string>} args - Command line arguments after the command
+ * @returns {{positional: Array<string>, options: Object}}
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith("--")) {
+      options[args[i].substring(2)] = args[++i];
+    } else {
+      positional.push(args[i]);
+    }
+  }
+  return { positional, options };
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const { positional, options } = parseArgs(args);
+  const filePath = positional[0];
+
+  if (!["export", "import"].includes(command) || !filePath) {
+    console.error(`${colors.red}${USAGE}${colors.reset}`);
+    process.exit(1);
+  }
+
+  const dbClient = initializeDbClient();
+  try {
+    await runMigrations(dbClient);
+    const project = await registerProject(dbClient, {
+      name: config.PROJECT_NAME,
+      root_path: config.PROJECT_PATH,
+    });
+
+    if (command === "export") {
+      await exportSnapshot(dbClient, project, filePath, options);
+    } else {
+      await importSnapshot(dbClient, project, filePath);
+    }
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exitCode = 1;
+  } finally {
+    dbClient.close();
+  }
+}
+
+main();
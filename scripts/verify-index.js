@@ -0,0 +1,99 @@
+// scripts/verify-index.js
+import config from "../src/config.js";
+import { initializeDbClient } from "../src/db/client.js";
+import { runMigrations } from "../src/db/migrate.js";
+import { registerProject } from "../src/db/queries.js";
+import { checkIndexIntegrity } from "../src/db/integrity.js";
+import GitMonitorService from "../src/services/git.service.js";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+};
+
+/**
+ * Print one line of the report, highlighted when it has issues
+ * @param {string} label - What was checked
+ * @param {number} issues - Number of issues found
+ */
+function printCheck(label, issues) {
+  const color = issues > 0 ? colors.yellow : colors.blue;
+  console.log(`${color}  ${label}: ${issues}${colors.reset}`);
+}
+
+async function main() {
+  const repair = process.argv.slice(2).includes("--repair");
+
+  const dbClient = initializeDbClient();
+  try {
+    await runMigrations(dbClient);
+    const project = await registerProject(dbClient, {
+      name: config.PROJECT_NAME,
+      root_path: config.PROJECT_PATH,
+    });
+
+    let headFilePaths = null;
+    try {
+      const gitMonitorService = new GitMonitorService(
+        dbClient,
+        project.project_id
+      );
+      headFilePaths = await gitMonitorService.listHeadFilePaths();
+    } catch (error) {
+      console.log(
+        `${colors.yellow}Could not list the files at HEAD (${error.message}); skipping that check${colors.reset}`
+      );
+    }
+
+    const report = await checkIndexIntegrity(dbClient, project.project_id, {
+      headFilePaths,
+      projectRoot: config.PROJECT_PATH,
+      repair,
+    });
+
+    console.log(
+      `${colors.blue}Index integrity of '${project.name}':${colors.reset}`
+    );
+    if (report.filesMissingAtHead) {
+      printCheck("Files no longer at HEAD", report.filesMissingAtHead.length);
+      for (const filePath of report.filesMissingAtHead) {
+        console.log(`${colors.yellow}    ${filePath}${colors.reset}`);
+      }
+    }
+    printCheck("Dangling relationships", report.danglingRelationships);
+    printCheck("Orphaned keywords", report.orphanedKeywords);
+    printCheck("Orphaned embeddings", report.orphanedEmbeddings);
+    for (const [ftsTable, mismatches] of Object.entries(report.ftsMismatches)) {
+      printCheck(
+        `${ftsTable} (missing/stale/outdated)`,
+        mismatches.missing + mismatches.stale + mismatches.outdated
+      );
+    }
+    printCheck("Abandoned AI jobs", report.abandonedAiJobs);
+    printCheck("Entities stuck without AI enrichment", report.stuckAiEntities);
+
+    if (report.issueCount === 0) {
+      console.log(`${colors.green}No issues found${colors.reset}`);
+    } else if (repair) {
+      console.log(
+        `${colors.green}Repaired ${report.issueCount} issues${colors.reset}`
+      );
+    } else {
+      console.log(
+        `${colors.yellow}Found ${report.issueCount} issues; run with --repair to fix them${colors.reset}`
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`${colors.red}${error.message}${colors.reset}`);
+    process.exitCode = 1;
+  } finally {
+    dbClient.close();
+  }
+}
+
+main();
@@ -9,7 +9,7 @@ import dotenv from "dotenv";
 import logger from "./utils/logger.js";
 import path from "path";
 import * as git from "isomorphic-git";
-import { promises as fs } from "fs";
+import { promises as fs, readFileSync } from "fs";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -64,6 +64,129 @@ const parseMaxTextFileSize = (size) => {
   return 5 * 1024 * 1024;
 };
 
+/**
+ * Parses the AI_PROVIDER environment variable
+ * @param {string} provider - The provider name
+ * @returns {string} - Valid provider name or default 'gemini'
+ */
+const parseAIProvider = (provider) => {
+  const validProviders = ["gemini", "openai_compatible", "heuristic"];
+  if (provider && validProviders.includes(provider.trim().toLowerCase())) {
+    return provider.trim().toLowerCase();
+  }
+  return "gemini"; // Default provider
+};
+
+/**
+ * Parses the EMBEDDING_PROVIDER environment variable
+ * @param {string} provider - The embedding provider name
+ * @returns {string} - Valid embedding provider name or default 'hashing'
+ */
+const parseEmbeddingProvider = (provider) => {
+  const validProviders = ["hashing", "ai_provider"];
+  if (provider && validProviders.includes(provider.trim().toLowerCase())) {
+    return provider.trim().toLowerCase();
+  }
+  return "hashing"; // Default: local, model-free embeddings
+};
+
+/**
+ * Parses a comma-separated list of retrieval candidate source names
+ * @param {string} sources - Comma-separated source names (e.g. "code_fts,keywords")
+ * @returns {string[]} - Array of source names, empty if not set
+ */
+const parseRetrievalSourceList = (sources) => {
+  if (!sources || typeof sources !== "string") {
+    return [];
+  }
+
+  return sources
+    .split(",")
+    .map((source) => source.trim().toLowerCase())
+    .filter((source) => source.length > 0);
+};
+
+/**
+ * Parses a non-negative integer setting where 0 is meaningful (e.g. "disabled")
+ * @param {string} value - The raw environment variable value
+ * @param {number} defaultValue - Value used when the variable is unset or invalid
+ * @returns {number} - Parsed integer or the default value
+ */
+const parseNonNegativeInteger = (value, defaultValue) => {
+  const parsed = parseInt(value, 10);
+  if (!isNaN(parsed) && parsed >= 0) {
+    return parsed;
+  }
+  return defaultValue;
+};
+
+/**
+ * Parses a date setting such as "2024-01-31"
+ * @param {string} value - Any date string accepted by Date
+ * @returns {string|null} - ISO timestamp, or null when the variable is unset or invalid
+ */
+const parseDate = (value) => {
+  if (!value || typeof value !== "string" || value.trim() === "") {
+    return null;
+  }
+
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Parses a boolean environment variable
+ * @param {string} value - "true"/"false", "1"/"0", "yes"/"no" or "on"/"off"
+ * @param {boolean} defaultValue - Value used when the variable is unset or invalid
+ * @returns {boolean} - Parsed boolean or the default value
+ */
+const parseBoolean = (value, defaultValue) => {
+  if (!value || typeof value !== "string") {
+    return defaultValue;
+  }
+
+  const normalized = value.trim().toLowerCase();
+  if (["true", "1", "yes", "on"].includes(normalized)) {
+    return true;
+  }
+  if (["false", "0", "no", "off"].includes(normalized)) {
+    return false;
+  }
+  return defaultValue;
+};
+
+/**
+ * Reads the conversation encryption key from the environment or a key file
+ * @param {string} key - The key itself (CONVERSATION_ENCRYPTION_KEY)
+ * @param {string} keyFile - Path of a file holding the key (CONVERSATION_ENCRYPTION_KEY_FILE)
+ * @returns {string|null} - The encoded key, or null if encryption is not configured
+ */
+const readEncryptionKey = (key, keyFile) => {
+  if (key && key.trim() !== "") {
+    return key.trim();
+  }
+  if (keyFile && keyFile.trim() !== "") {
+    return readFileSync(path.resolve(keyFile.trim()), "utf8").trim();
+  }
+  return null;
+};
+
+/**
+ * Parses a comma-separated list of encryption keys
+ * @param {string} keys - Comma-separated list of encoded keys
+ * @returns {string[]} - Array of encoded keys
+ */
+const parseEncryptionKeyList = (keys) => {
+  if (!keys || typeof keys !== "string") {
+    return [];
+  }
+
+  return keys
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key.length > 0);
+};
+
 /**
  * Determines the project path using current working directory or environment variable
  * @returns {Object} - Object containing path and source
@@ -123,6 +246,39 @@ const validateGitRepository = async (projectPath) => {
   }
 };
 
+/**
+ * Resolves the DATABASE_PATH environment variable for the local SQLite database
+ * @param {string} databasePath - Path of the database file, absolute or relative to the project
+ * @param {string} projectPath - The resolved project path
+ * @returns {string} - Absolute database path, or ":memory:" for an in-memory database
+ */
+const resolveDatabasePath = (databasePath, projectPath) => {
+  if (!databasePath || databasePath.trim() === "") {
+    return path.join(projectPath, ".devcontext", "devcontext.db");
+  }
+
+  const trimmedPath = databasePath.trim();
+  if (trimmedPath === ":memory:") {
+    return trimmedPath;
+  }
+
+  return path.resolve(projectPath, trimmedPath);
+};
+
+/**
+ * Resolves the PROJECT_NAME environment variable
+ * The name identifies the project's rows when several repositories share one database.
+ * @param {string} projectName - The configured project name
+ * @param {string} projectPath - The resolved project path
+ * @returns {string} - Trimmed project name, or the directory name of the project path
+ */
+const resolveProjectName = (projectName, projectPath) => {
+  if (projectName && projectName.trim() !== "") {
+    return projectName.trim();
+  }
+  return path.basename(path.resolve(projectPath));
+};
+
 // Determine the project path
 const projectPathInfo = determineProjectPath();
 
@@ -130,12 +286,22 @@ const projectPathInfo = determineProjectPath();
  * Configuration object with environment variables
  */
 const config = {
-  // TursoDB connection settings
+  // Local SQLite database, used unless TURSO_DATABASE_URL is set
+  DATABASE_PATH: resolveDatabasePath(
+    process.env.DATABASE_PATH,
+    projectPathInfo.path
+  ),
+
+  // TursoDB connection settings (opt-in remote database)
   TURSO_DATABASE_URL: process.env.TURSO_DATABASE_URL,
   TURSO_AUTH_TOKEN: process.env.TURSO_AUTH_TOKEN,
 
   // Project path settings
   PROJECT_PATH: projectPathInfo.path,
+  PROJECT_NAME: resolveProjectName(
+    process.env.PROJECT_NAME,
+    projectPathInfo.path
+  ),
 
   // Logging configuration
   LOG_LEVEL: validateLogLevel(process.env.LOG_LEVEL),
@@ -146,12 +312,56 @@ const config = {
   TREE_SITTER_LANGUAGES: parseTreeSitterLanguages(
     process.env.TREE_SITTER_LANGUAGES
   ),
+  // Git history stored on first run, most recent first (0 commits disables the backfill)
+  GIT_BACKFILL_MAX_COMMITS: parseNonNegativeInteger(
+    process.env.GIT_BACKFILL_MAX_COMMITS,
+    500
+  ),
+  GIT_BACKFILL_SINCE: parseDate(process.env.GIT_BACKFILL_SINCE),
+  GIT_BACKFILL_DELAY_MS: parseNonNegativeInteger(
+    process.env.GIT_BACKFILL_DELAY_MS,
+    200
+  ),
+
+  // Diff hunks stored per commit for Git history search (0 hunks disables them)
+  GIT_DIFF_MAX_HUNKS_PER_COMMIT: parseNonNegativeInteger(
+    process.env.GIT_DIFF_MAX_HUNKS_PER_COMMIT,
+    50
+  ),
+  GIT_DIFF_MAX_HUNK_LINES: parseNonNegativeInteger(
+    process.env.GIT_DIFF_MAX_HUNK_LINES,
+    40
+  ),
+  GIT_DIFF_MAX_FILE_SIZE: parseNonNegativeInteger(
+    process.env.GIT_DIFF_MAX_FILE_SIZE,
+    262144
+  ),
+
+  // Reindex uncommitted edits of the working tree as files are saved
+  WORKING_TREE_WATCH: parseBoolean(process.env.WORKING_TREE_WATCH, true),
+  WORKING_TREE_DEBOUNCE_MS: parseNonNegativeInteger(
+    process.env.WORKING_TREE_DEBOUNCE_MS,
+    1000
+  ),
+
+  // AI Provider selection: gemini, openai_compatible or heuristic (offline)
+  AI_PROVIDER: parseAIProvider(process.env.AI_PROVIDER),
 
   // AI Configuration - Google Gemini API
   GOOGLE_GEMINI_API_KEY: process.env.GOOGLE_GEMINI_API_KEY,
   AI_MODEL_NAME: process.env.AI_MODEL_NAME || "gemini-2.5-flash-preview-05-20",
   AI_THINKING_BUDGET: parseInt(process.env.AI_THINKING_BUDGET) || 1000,
 
+  // AI Configuration - OpenAI-compatible HTTP endpoint
+  OPENAI_COMPATIBLE_BASE_URL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+  OPENAI_COMPATIBLE_API_KEY: process.env.OPENAI_COMPATIBLE_API_KEY,
+  OPENAI_COMPATIBLE_MODEL: process.env.OPENAI_COMPATIBLE_MODEL,
+
+  // Embeddings: local hashing embedder or the embedding model of AI_PROVIDER
+  EMBEDDING_PROVIDER: parseEmbeddingProvider(process.env.EMBEDDING_PROVIDER),
+  EMBEDDING_MODEL_NAME: process.env.EMBEDDING_MODEL_NAME,
+  EMBEDDING_DIMENSIONS: parseInt(process.env.EMBEDDING_DIMENSIONS) || 512,
+
   // AI Job Processing Configuration
   AI_JOB_CONCURRENCY: parseInt(process.env.AI_JOB_CONCURRENCY) || 2,
   AI_JOB_DELAY_MS: parseInt(process.env.AI_JOB_DELAY_MS) || 500,
@@ -162,6 +372,59 @@ const config = {
   // Context Retrieval Configuration
   MAX_SEED_ENTITIES_FOR_EXPANSION:
     parseInt(process.env.MAX_SEED_ENTITIES_FOR_EXPANSION) || 3,
+  // Candidate sources to run, in order (empty = all built-in sources)
+  RETRIEVAL_SOURCES: parseRetrievalSourceList(process.env.RETRIEVAL_SOURCES),
+  RETRIEVAL_DISABLED_SOURCES: parseRetrievalSourceList(
+    process.env.RETRIEVAL_DISABLED_SOURCES
+  ),
+  // Ranked candidate lists kept per query and index version (0 disables the cache)
+  RETRIEVAL_CACHE_SIZE: parseNonNegativeInteger(
+    process.env.RETRIEVAL_CACHE_SIZE,
+    100
+  ),
+
+  // Retention (0 disables a rule); count limits apply per project
+  RETENTION_CONVERSATION_DAYS: parseNonNegativeInteger(
+    process.env.RETENTION_CONVERSATION_DAYS,
+    0
+  ),
+  RETENTION_MAX_CONVERSATIONS: parseNonNegativeInteger(
+    process.env.RETENTION_MAX_CONVERSATIONS,
+    0
+  ),
+  RETENTION_MAX_MESSAGES_PER_CONVERSATION: parseNonNegativeInteger(
+    process.env.RETENTION_MAX_MESSAGES_PER_CONVERSATION,
+    0
+  ),
+  RETENTION_GIT_COMMIT_DAYS: parseNonNegativeInteger(
+    process.env.RETENTION_GIT_COMMIT_DAYS,
+    0
+  ),
+  RETENTION_MAX_GIT_COMMITS: parseNonNegativeInteger(
+    process.env.RETENTION_MAX_GIT_COMMITS,
+    0
+  ),
+  RETENTION_FINISHED_JOB_DAYS: parseNonNegativeInteger(
+    process.env.RETENTION_FINISHED_JOB_DAYS,
+    7
+  ),
+
+  // Database maintenance: pruning, FTS index rebuilds and VACUUM (0 hours disables)
+  MAINTENANCE_INTERVAL_HOURS: parseNonNegativeInteger(
+    process.env.MAINTENANCE_INTERVAL_HOURS,
+    24
+  ),
+  MAINTENANCE_VACUUM: parseBoolean(process.env.MAINTENANCE_VACUUM, true),
+
+  // Encryption at rest of conversation messages and summaries (unset = plaintext)
+  CONVERSATION_ENCRYPTION_KEY: readEncryptionKey(
+    process.env.CONVERSATION_ENCRYPTION_KEY,
+    process.env.CONVERSATION_ENCRYPTION_KEY_FILE
+  ),
+  // Keys that still decrypt rows written before a key rotation
+  CONVERSATION_ENCRYPTION_PREVIOUS_KEYS: parseEncryptionKeyList(
+    process.env.CONVERSATION_ENCRYPTION_PREVIOUS_KEYS
+  ),
 
   // Git repository validation function
   validateGitRepository: async () => {
@@ -241,6 +504,9 @@ export const RANKING_FACTOR_WEIGHTS = {
     // Code entities from keyword matching (slightly lower than FTS)
     code_entity_keyword: 0.9,
 
+    // Code entities found only by embedding similarity (score is already RRF-fused with FTS)
+    code_entity_semantic: 0.9,
+
     // Project documents from full-text search (good for documentation context)
     project_document_fts: 0.8,
 
@@ -253,6 +519,9 @@ export const RANKING_FACTOR_WEIGHTS = {
     // Conversation topics (good for understanding past discussion themes)
     conversation_topic: 0.7,
 
+    // Milestones recorded by agents (curated snapshots of significant progress)
+    milestone: 0.75,
+
     // Git commits (useful for understanding recent changes)
     git_commit: 0.5,
 
@@ -340,19 +609,55 @@ export const RANKING_FACTOR_WEIGHTS = {
 // Log configuration (excluding sensitive information)
 logger.info("Configuration loaded", {
   LOG_LEVEL: config.LOG_LEVEL,
+  PROJECT_NAME: config.PROJECT_NAME,
+  DATABASE_PATH: config.DATABASE_PATH,
   TURSO_DATABASE_URL: config.TURSO_DATABASE_URL ? "(set)" : "(not set)",
   TURSO_AUTH_TOKEN: config.TURSO_AUTH_TOKEN ? "(set)" : "(not set)",
   MAX_TEXT_FILE_SIZE_MB: config.MAX_TEXT_FILE_SIZE_MB,
   MAX_TEXT_FILE_SIZE: config.MAX_TEXT_FILE_SIZE,
   TREE_SITTER_LANGUAGES: config.TREE_SITTER_LANGUAGES,
+  GIT_BACKFILL_MAX_COMMITS: config.GIT_BACKFILL_MAX_COMMITS,
+  GIT_BACKFILL_SINCE: config.GIT_BACKFILL_SINCE,
+  GIT_BACKFILL_DELAY_MS: config.GIT_BACKFILL_DELAY_MS,
+  GIT_DIFF_MAX_HUNKS_PER_COMMIT: config.GIT_DIFF_MAX_HUNKS_PER_COMMIT,
+  GIT_DIFF_MAX_HUNK_LINES: config.GIT_DIFF_MAX_HUNK_LINES,
+  GIT_DIFF_MAX_FILE_SIZE: config.GIT_DIFF_MAX_FILE_SIZE,
+  WORKING_TREE_WATCH: config.WORKING_TREE_WATCH,
+  WORKING_TREE_DEBOUNCE_MS: config.WORKING_TREE_DEBOUNCE_MS,
+  AI_PROVIDER: config.AI_PROVIDER,
   GOOGLE_GEMINI_API_KEY: config.GOOGLE_GEMINI_API_KEY ? "(set)" : "(not set)",
   AI_MODEL_NAME: config.AI_MODEL_NAME,
   AI_THINKING_BUDGET: config.AI_THINKING_BUDGET,
+  OPENAI_COMPATIBLE_BASE_URL: config.OPENAI_COMPATIBLE_BASE_URL,
+  OPENAI_COMPATIBLE_API_KEY: config.OPENAI_COMPATIBLE_API_KEY
+    ? "(set)"
+    : "(not set)",
+  OPENAI_COMPATIBLE_MODEL: config.OPENAI_COMPATIBLE_MODEL,
+  EMBEDDING_PROVIDER: config.EMBEDDING_PROVIDER,
+  EMBEDDING_MODEL_NAME: config.EMBEDDING_MODEL_NAME,
+  EMBEDDING_DIMENSIONS: config.EMBEDDING_DIMENSIONS,
   AI_JOB_CONCURRENCY: config.AI_JOB_CONCURRENCY,
   AI_JOB_DELAY_MS: config.AI_JOB_DELAY_MS,
   MAX_AI_JOB_ATTEMPTS: config.MAX_AI_JOB_ATTEMPTS,
   AI_JOB_POLLING_INTERVAL_MS: config.AI_JOB_POLLING_INTERVAL_MS,
   MAX_SEED_ENTITIES_FOR_EXPANSION: config.MAX_SEED_ENTITIES_FOR_EXPANSION,
+  RETRIEVAL_SOURCES: config.RETRIEVAL_SOURCES,
+  RETRIEVAL_DISABLED_SOURCES: config.RETRIEVAL_DISABLED_SOURCES,
+  RETRIEVAL_CACHE_SIZE: config.RETRIEVAL_CACHE_SIZE,
+  RETENTION_CONVERSATION_DAYS: config.RETENTION_CONVERSATION_DAYS,
+  RETENTION_MAX_CONVERSATIONS: config.RETENTION_MAX_CONVERSATIONS,
+  RETENTION_MAX_MESSAGES_PER_CONVERSATION:
+    config.RETENTION_MAX_MESSAGES_PER_CONVERSATION,
+  RETENTION_GIT_COMMIT_DAYS: config.RETENTION_GIT_COMMIT_DAYS,
+  RETENTION_MAX_GIT_COMMITS: config.RETENTION_MAX_GIT_COMMITS,
+  RETENTION_FINISHED_JOB_DAYS: config.RETENTION_FINISHED_JOB_DAYS,
+  MAINTENANCE_INTERVAL_HOURS: config.MAINTENANCE_INTERVAL_HOURS,
+  MAINTENANCE_VACUUM: config.MAINTENANCE_VACUUM,
+  CONVERSATION_ENCRYPTION_KEY: config.CONVERSATION_ENCRYPTION_KEY
+    ? "(set)"
+    : "(not set)",
+  CONVERSATION_ENCRYPTION_PREVIOUS_KEYS:
+    config.CONVERSATION_ENCRYPTION_PREVIOUS_KEYS.length,
   KEY_ARCHITECTURE_DOCUMENT_PATHS: KEY_ARCHITECTURE_DOCUMENT_PATHS,
   DEFAULT_RELATIONSHIP_TYPES_FOR_EXPANSION:
     DEFAULT_RELATIONSHIP_TYPES_FOR_EXPANSION,
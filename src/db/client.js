@@ -1,31 +1,84 @@
 /**
- * TursoDB client setup
+ * Database client setup
  *
- * This module configures and provides the TursoDB client instance
- * using the connection details from the ConfigService.
+ * This module configures and provides the database client instance using the
+ * connection details from the ConfigService. By default the index is stored
+ * in a local SQLite file (DATABASE_PATH, `.devcontext/devcontext.db` in the
+ * project) through the better-sqlite3 adapter in sqlite.client.js. Setting
+ * TURSO_DATABASE_URL opts into a Turso/libSQL database instead. Both clients
+ * expose the execute/batch API used by queries.js.
  */
 
+import fs from "fs";
+import path from "path";
 import { createClient } from "@libsql/client";
 import config from "../config.js";
 import logger from "../utils/logger.js";
+import { createSqliteClient } from "./sqlite.client.js";
+
+// Local clients share one connection per database file
+const localClients = new Map();
+
+/**
+ * Creates the directory of a local database file
+ * A new directory gets a .gitignore so the index is not committed.
+ * @param {string} databasePath - Path of the database file
+ */
+const ensureDatabaseDirectory = (databasePath) => {
+  const databaseDirectory = path.dirname(databasePath);
+  if (fs.existsSync(databaseDirectory)) {
+    return;
+  }
+
+  fs.mkdirSync(databaseDirectory, { recursive: true });
+  fs.writeFileSync(path.join(databaseDirectory, ".gitignore"), "*\n");
+  logger.debug(`Created database directory ${databaseDirectory}`);
+};
+
+/**
+ * Initializes and returns a client for the local SQLite database
+ * @param {string} databasePath - Path of the database file, or ":memory:"
+ * @returns {Object} The local database client
+ */
+export const initializeLocalDbClient = (databasePath) => {
+  const existingClient = localClients.get(databasePath);
+  if (existingClient && !existingClient.closed) {
+    return existingClient;
+  }
+
+  logger.info("Initializing local SQLite database client", {
+    databasePath,
+  });
+
+  try {
+    if (databasePath !== ":memory:") {
+      ensureDatabaseDirectory(databasePath);
+    }
+
+    const client = createSqliteClient(databasePath);
+    localClients.set(databasePath, client);
+    logger.info("Local SQLite database client initialized successfully");
+    return client;
+  } catch (error) {
+    logger.error("Error creating local SQLite database client", {
+      error: error.message,
+      stack: error.stack,
+      databasePath,
+    });
+    throw error;
+  }
+};
 
 /**
  * Initializes and returns a TursoDB client instance
  * @returns {Object} The initialized TursoDB client
  */
-export const initializeDbClient = () => {
+export const initializeTursoDbClient = () => {
   logger.info("Initializing TursoDB client");
 
   // Get database URL and auth token from configuration
   const { TURSO_DATABASE_URL, TURSO_AUTH_TOKEN } = config;
 
-  // Validate that database URL is provided
-  if (!TURSO_DATABASE_URL) {
-    const error = new Error("TURSO_DATABASE_URL is required but not provided");
-    logger.error("Failed to initialize TursoDB client", { error });
-    throw error;
-  }
-
   // Create client configuration object
   const clientConfig = {
     url: TURSO_DATABASE_URL,
@@ -50,4 +103,16 @@ export const initializeDbClient = () => {
   }
 };
 
+/**
+ * Initializes and returns the configured database client
+ * @returns {Object} The TursoDB client if TURSO_DATABASE_URL is set, else the local SQLite client
+ */
+export const initializeDbClient = () => {
+  if (config.TURSO_DATABASE_URL) {
+    return initializeTursoDbClient();
+  }
+
+  return initializeLocalDbClient(config.DATABASE_PATH);
+};
+
 export default initializeDbClient;
@@ -0,0 +1,101 @@
+/**
+ * Conversation re-encryption
+ *
+ * Brings stored conversation messages, topic summaries and milestone
+ * conversation summaries in line with the configured encryption keys (see
+ * ../utils/encryption.js): plaintext rows are encrypted once a key is set, rows
+ * of a previous key are re-encrypted with the current key after a rotation,
+ * and rows are decrypted back to plaintext when only previous keys remain
+ * configured. Their hashed search terms are rebuilt along the way.
+ */
+
+import logger from "../utils/logger.js";
+import { getConversationCipher } from "../utils/encryption.js";
+
+// Rows read per query, to keep long conversation histories out of memory
+const PAGE_SIZE = 200;
+
+// Tables with encrypted text, keyed by the counter of re-encrypted rows
+const ENCRYPTED_TABLES = {
+  messages: {
+    table: "conversation_history",
+    idColumn: "message_id",
+    textColumn: "content",
+  },
+  topics: {
+    table: "conversation_topics",
+    idColumn: "topic_id",
+    textColumn: "summary",
+  },
+  milestones: {
+    table: "milestones",
+    idColumn: "milestone_id",
+    textColumn: "conversation_summary",
+  },
+};
+
+/**
+ * Re-encrypts the conversation rows that are not encrypted with the current key
+ * Each page of rows is updated in one transaction, so an interrupted run can
+ * simply be started again.
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} [options] - Re-encryption options
+ * @param {ConversationCipher|null} [options.cipher] - Cipher to use, defaults to the configured one
+ * @returns {Promise<Object>} Number of re-encrypted rows: { messages, topics, milestones }
+ * @throws {Error} If no key is configured or a row is encrypted with an unknown key
+ */
+export async function reencryptConversations(
+  dbClient,
+  { cipher = getConversationCipher() } = {}
+) {
+  if (!cipher) {
+    throw new Error(
+      "Conversation encryption is not configured. Set CONVERSATION_ENCRYPTION_KEY or CONVERSATION_ENCRYPTION_PREVIOUS_KEYS."
+    );
+  }
+
+  const reencrypted = { messages: 0, topics: 0, milestones: 0 };
+
+  for (const [counter, { table, idColumn, textColumn }] of Object.entries(
+    ENCRYPTED_TABLES
+  )) {
+    let lastRowId = 0;
+
+    for (;;) {
+      const result = await dbClient.execute({
+        sql: `
+          SELECT rowid, ${idColumn} AS id, ${textColumn} AS text FROM ${table}
+          WHERE rowid > ? AND ${textColumn} IS NOT NULL
+          ORDER BY rowid
+          LIMIT ?
+        `,
+        args: [lastRowId, PAGE_SIZE],
+      });
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      const statements = result.rows
+        .filter((row) => cipher.needsReencryption(row.text))
+        .map((row) => {
+          const plaintext = cipher.decrypt(row.text);
+          return {
+            sql: `UPDATE ${table} SET ${textColumn} = ?, search_terms = ? WHERE ${idColumn} = ?`,
+            args: [
+              cipher.encrypt(plaintext),
+              cipher.hashSearchTerms(plaintext),
+              row.id,
+            ],
+          };
+        });
+      if (statements.length > 0) {
+        await dbClient.batch(statements, "write");
+        reencrypted[counter] += statements.length;
+      }
+      lastRowId = result.rows[result.rows.length - 1].rowid;
+    }
+  }
+
+  logger.info("Conversation re-encryption completed", reencrypted);
+  return reencrypted;
+}
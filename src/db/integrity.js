@@ -0,0 +1,490 @@
+/**
+ * Index integrity checks
+ *
+ * Detects drift between the tables of the index that the schema cannot
+ * prevent: keywords and embeddings whose entity is gone (entity_keywords and
+ * embeddings have no foreign key), relationships pointing at deleted
+ * entities, FTS rows that no longer match their base table, entities of
+ * files that are not at HEAD any more, and entities whose AI enrichment
+ * will never run. In repair mode every detected issue is fixed.
+ *
+ * Keyword, embedding and FTS checks cover the whole database because those
+ * rows carry no project; the other checks cover one project.
+ */
+
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import {
+  addBackgroundAiJobs,
+  bumpIndexVersion,
+  deleteProjectDocumentByFilePath,
+  replaceCodeEntitiesForFile,
+} from "./queries.js";
+
+// AI statuses after which an entity needs no further enrichment job
+const FINAL_AI_STATUSES = ["completed", "failed_ai", "skipped"];
+
+// Job statuses of jobs that are waiting for or in processing
+const ACTIVE_JOB_STATUSES = ["pending", "retry_ai", "processing", "rate_limited"];
+
+// Minutes after which a processing or rate-limited job is considered abandoned
+const DEFAULT_STALE_JOB_MINUTES = 60;
+
+// Entities that can own keywords and embeddings
+const ENTITY_EXISTS_SQL = `
+  EXISTS (SELECT 1 FROM code_entities WHERE code_entities.entity_id = {column})
+  OR EXISTS (SELECT 1 FROM project_documents WHERE project_documents.document_id = {column})
+`;
+
+// FTS tables with the base table they mirror and the expressions of their
+// triggers over the base row, see setupCodeEntitiesTable, setupProjectDocumentsTable
+// and migration 007
+const FTS_TABLES = [
+  {
+    ftsTable: "code_entities_fts",
+    baseTable: "code_entities",
+    columns: {
+      entity_id: "base.entity_id",
+      name: "base.name",
+      summary_fts: "base.summary",
+      content_fts: "base.raw_content",
+      keywords_fts: "json_extract(base.custom_metadata, '$.keywords')",
+    },
+  },
+  {
+    ftsTable: "project_documents_fts",
+    baseTable: "project_documents",
+    columns: {
+      document_id: "base.document_id",
+      file_path_fts: "base.file_path",
+      summary_fts: "base.summary",
+      content_fts: "base.raw_content",
+      keywords_fts: "json_extract(base.custom_metadata, '$.keywords')",
+    },
+  },
+  {
+    ftsTable: "git_commit_hunks_fts",
+    baseTable: "git_commit_hunks",
+    columns: {
+      hunk_id: "base.hunk_id",
+      file_path_fts: "base.file_path",
+      content_fts: "base.content",
+    },
+  },
+];
+
+/**
+ * Builds a "?, ?, ?" placeholder list
+ * @param {Array} values - The values to bind
+ * @returns {string} One placeholder per value
+ */
+const placeholders = (values) => values.map(() => "?").join(", ");
+
+/**
+ * Runs a COUNT(*) query
+ * @param {Object} dbClient - The database client instance
+ * @param {string} sql - Query selecting a single count column
+ * @param {Array} [args] - Query arguments
+ * @returns {Promise<number>} The count
+ */
+const count = async (dbClient, sql, args = []) => {
+  const result = await dbClient.execute({ sql, args });
+  return Number(Object.values(result.rows[0])[0]);
+};
+
+/**
+ * Checks keywords and embeddings whose entity no longer exists
+ * @param {Object} dbClient - The database client instance
+ * @param {boolean} repair - Delete the orphaned rows
+ * @returns {Promise<{orphanedKeywords: number, orphanedEmbeddings: number}>}
+ */
+async function checkOrphanedRows(dbClient, repair) {
+  const orphanedKeywordsWhere = `NOT (${ENTITY_EXISTS_SQL.replaceAll(
+    "{column}",
+    "entity_keywords.entity_id"
+  )})`;
+  const orphanedEmbeddingsWhere = `
+    CASE entity_type
+      WHEN 'conversation_topic' THEN NOT EXISTS (
+        SELECT 1 FROM conversation_topics WHERE conversation_topics.topic_id = embeddings.entity_id
+      )
+      ELSE NOT (${ENTITY_EXISTS_SQL.replaceAll("{column}", "embeddings.entity_id")})
+    END
+  `;
+
+  const result = {
+    orphanedKeywords: await count(
+      dbClient,
+      `SELECT COUNT(*) FROM entity_keywords WHERE ${orphanedKeywordsWhere}`
+    ),
+    orphanedEmbeddings: await count(
+      dbClient,
+      `SELECT COUNT(*) FROM embeddings WHERE ${orphanedEmbeddingsWhere}`
+    ),
+  };
+
+  if (repair && (result.orphanedKeywords > 0 || result.orphanedEmbeddings > 0)) {
+    await dbClient.batch(
+      [
+        `DELETE FROM entity_keywords WHERE ${orphanedKeywordsWhere}`,
+        `DELETE FROM embeddings WHERE ${orphanedEmbeddingsWhere}`,
+      ],
+      "write"
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Checks relationships whose source or target entity no longer exists
+ * A relationship without a target entity but with a target symbol name is an
+ * unresolved reference (e.g. a call into a library) and not dangling.
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project
+ * @param {boolean} repair - Delete relationships that cannot be resolved and unlink missing targets
+ * @returns {Promise<number>} Number of dangling relationships
+ */
+async function checkDanglingRelationships(dbClient, projectId, repair) {
+  const sourceMissing =
+    "NOT EXISTS (SELECT 1 FROM code_entities WHERE code_entities.entity_id = code_relationships.source_entity_id)";
+  const targetMissing = `
+    (target_entity_id IS NOT NULL AND NOT EXISTS (
+      SELECT 1 FROM code_entities WHERE code_entities.entity_id = code_relationships.target_entity_id
+    ))
+  `;
+  const targetLost = "(target_entity_id IS NULL AND target_symbol_name IS NULL)";
+  // Relationships of missing sources have no project to scope them by
+  const inProject = `
+    (${sourceMissing} OR source_entity_id IN (
+      SELECT entity_id FROM code_entities WHERE project_id = ?
+    ))
+  `;
+
+  const danglingRelationships = await count(
+    dbClient,
+    `SELECT COUNT(*) FROM code_relationships WHERE ${inProject} AND (${sourceMissing} OR ${targetMissing} OR ${targetLost})`,
+    [projectId]
+  );
+
+  if (repair && danglingRelationships > 0) {
+    await dbClient.batch(
+      [
+        {
+          sql: `DELETE FROM code_relationships WHERE ${inProject} AND (${sourceMissing} OR ${targetLost} OR (${targetMissing} AND target_symbol_name IS NULL))`,
+          args: [projectId],
+        },
+        {
+          sql: `UPDATE code_relationships SET target_entity_id = NULL WHERE ${inProject} AND ${targetMissing}`,
+          args: [projectId],
+        },
+      ],
+      "write"
+    );
+  }
+
+  return danglingRelationships;
+}
+
+/**
+ * Checks that every FTS table holds exactly the current rows of its base table
+ * @param {Object} dbClient - The database client instance
+ * @param {boolean} repair - Rebuild FTS tables that do not match
+ * @returns {Promise<Object>} Per FTS table: { missing, stale, outdated }
+ */
+async function checkFtsTables(dbClient, repair) {
+  const ftsMismatches = {};
+
+  for (const { ftsTable, baseTable, columns } of FTS_TABLES) {
+    const [idColumn] = Object.keys(columns);
+    const contentDiffers = Object.entries(columns)
+      .map(([ftsColumn, expression]) => `fts.${ftsColumn} IS NOT ${expression}`)
+      .join(" OR ");
+
+    const mismatches = {
+      // Base rows search cannot find
+      missing: await count(
+        dbClient,
+        `SELECT COUNT(*) FROM ${baseTable} AS base WHERE NOT EXISTS (SELECT 1 FROM ${ftsTable} AS fts WHERE fts.rowid = base.rowid)`
+      ),
+      // FTS rows of deleted base rows: the "ghosts" retrieval returns
+      stale: await count(
+        dbClient,
+        `SELECT COUNT(*) FROM ${ftsTable} AS fts WHERE NOT EXISTS (SELECT 1 FROM ${baseTable} AS base WHERE base.rowid = fts.rowid AND base.${idColumn} = fts.${idColumn})`
+      ),
+      // FTS rows with an old copy of their base row
+      outdated: await count(
+        dbClient,
+        `SELECT COUNT(*) FROM ${ftsTable} AS fts JOIN ${baseTable} AS base ON base.rowid = fts.rowid AND base.${idColumn} = fts.${idColumn} WHERE ${contentDiffers}`
+      ),
+    };
+    ftsMismatches[ftsTable] = mismatches;
+
+    if (
+      repair &&
+      mismatches.missing + mismatches.stale + mismatches.outdated > 0
+    ) {
+      const ftsColumns = Object.keys(columns).join(", ");
+      const baseExpressions = Object.values(columns).join(", ");
+      await dbClient.batch(
+        [
+          `DELETE FROM ${ftsTable}`,
+          `INSERT INTO ${ftsTable} (rowid, ${ftsColumns}) SELECT base.rowid, ${baseExpressions} FROM ${baseTable} AS base`,
+        ],
+        "write"
+      );
+      logger.info(`Rebuilt ${ftsTable} from ${baseTable}`, mismatches);
+    }
+  }
+
+  return ftsMismatches;
+}
+
+/**
+ * Checks for indexed files that are not tracked at HEAD
+ * Stored paths are repository-relative or absolute, so both are compared
+ * relative to the project root. Files indexed from the working tree with
+ * uncommitted changes, e.g. new files not committed yet, are not missing.
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project
+ * @param {Set<string>} headFilePaths - Repository-relative paths of the files at HEAD
+ * @param {string} projectRoot - Root directory of the repository
+ * @param {boolean} repair - Remove the entities and documents of those files
+ * @returns {Promise<Array<string>>} Stored paths of the files missing at HEAD
+ */
+async function checkFilesMissingAtHead(
+  dbClient,
+  projectId,
+  headFilePaths,
+  projectRoot,
+  repair
+) {
+  const result = await dbClient.execute({
+    sql: `
+      SELECT file_path, 'code' AS kind FROM code_entities
+      WHERE project_id = ? AND uncommitted_at IS NULL
+      UNION
+      SELECT file_path, 'document' AS kind FROM project_documents
+      WHERE project_id = ? AND uncommitted_at IS NULL
+    `,
+    args: [projectId, projectId],
+  });
+
+  const missingFiles = result.rows.filter((row) => {
+    const relativePath = path
+      .relative(projectRoot, path.resolve(projectRoot, row.file_path))
+      .split(path.sep)
+      .join("/");
+    return !headFilePaths.has(relativePath);
+  });
+
+  if (repair) {
+    for (const { file_path: filePath, kind } of missingFiles) {
+      if (kind === "code") {
+        await replaceCodeEntitiesForFile(dbClient, projectId, filePath, []);
+      } else {
+        await deleteProjectDocumentByFilePath(dbClient, projectId, filePath);
+      }
+    }
+  }
+
+  return [...new Set(missingFiles.map((row) => row.file_path))];
+}
+
+/**
+ * Checks for AI jobs and entities whose enrichment will never run
+ * Jobs left in processing by a stopped server, or rate limited and never
+ * resumed, are abandoned; entities without a final AI status and without an
+ * active enrichment job are stuck.
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project
+ * @param {number} staleJobMinutes - Minutes after which an unfinished job is abandoned
+ * @param {boolean} repair - Requeue abandoned jobs and enqueue jobs for stuck entities
+ * @returns {Promise<{abandonedAiJobs: number, stuckAiEntities: number}>}
+ */
+async function checkStuckAiProcessing(
+  dbClient,
+  projectId,
+  staleJobMinutes,
+  repair
+) {
+  const abandonedJobsWhere = `
+    project_id = ? AND status IN ('processing', 'rate_limited')
+    AND datetime(updated_at) < datetime('now', ?)
+  `;
+  const abandonedJobsArgs = [projectId, `-${staleJobMinutes} minutes`];
+
+  const abandonedAiJobs = await count(
+    dbClient,
+    `SELECT COUNT(*) FROM background_ai_jobs WHERE ${abandonedJobsWhere}`,
+    abandonedJobsArgs
+  );
+
+  const stuckEntitiesSql = `
+    SELECT entity_id AS target_entity_id, 'code_entity' AS target_entity_type
+    FROM code_entities
+    WHERE project_id = ? AND ai_status NOT IN (${placeholders(FINAL_AI_STATUSES)})
+    UNION ALL
+    SELECT document_id, 'project_document'
+    FROM project_documents
+    WHERE project_id = ? AND ai_status NOT IN (${placeholders(FINAL_AI_STATUSES)})
+  `;
+  const stuckEntities = await dbClient.execute({
+    sql: `
+      SELECT target_entity_id, target_entity_type FROM (${stuckEntitiesSql}) AS entities
+      WHERE NOT EXISTS (
+        SELECT 1 FROM background_ai_jobs
+        WHERE background_ai_jobs.target_entity_id = entities.target_entity_id
+        AND task_type = 'enrich_entity_summary_keywords'
+        AND status IN (${placeholders(ACTIVE_JOB_STATUSES)})
+        AND NOT (${abandonedJobsWhere})
+      )
+    `,
+    args: [
+      projectId,
+      ...FINAL_AI_STATUSES,
+      projectId,
+      ...FINAL_AI_STATUSES,
+      ...ACTIVE_JOB_STATUSES,
+      ...abandonedJobsArgs,
+    ],
+  });
+
+  if (repair) {
+    if (abandonedAiJobs > 0) {
+      // Abandoned enrichment jobs are failed; their entities get a new job below
+      await dbClient.execute({
+        sql: `
+          UPDATE background_ai_jobs
+          SET status = 'failed_job_logic', error_message = 'Abandoned while ' || status
+          WHERE ${abandonedJobsWhere}
+        `,
+        args: abandonedJobsArgs,
+      });
+    }
+
+    if (stuckEntities.rows.length > 0) {
+      await dbClient.batch(
+        ["code_entities", "project_documents"].map((table) => ({
+          sql: `UPDATE ${table} SET ai_status = 'pending' WHERE project_id = ? AND ai_status NOT IN (${placeholders(FINAL_AI_STATUSES)})`,
+          args: [projectId, ...FINAL_AI_STATUSES],
+        })),
+        "write"
+      );
+      await addBackgroundAiJobs(
+        dbClient,
+        stuckEntities.rows.map((row) => ({
+          job_id: uuidv4(),
+          project_id: projectId,
+          target_entity_id: row.target_entity_id,
+          target_entity_type: row.target_entity_type,
+          task_type: "enrich_entity_summary_keywords",
+          payload: JSON.stringify({}),
+        }))
+      );
+    }
+  }
+
+  return {
+    abandonedAiJobs,
+    stuckAiEntities: stuckEntities.rows.length,
+  };
+}
+
+/**
+ * Checks the index of a project for inconsistencies and optionally repairs them
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project
+ * @param {Object} [options] - Check options
+ * @param {Array<string>|Set<string>} [options.headFilePaths] - Repository-relative paths of the files at HEAD; the file check is skipped without them
+ * @param {string} [options.projectRoot] - Root directory of the repository, required with headFilePaths
+ * @param {boolean} [options.repair=false] - Fix the detected issues
+ * @param {number} [options.staleJobMinutes=60] - Minutes after which a processing or rate-limited job is abandoned
+ * @returns {Promise<Object>} Report of the detected issues, with issueCount as their total
+ */
+export async function checkIndexIntegrity(
+  dbClient,
+  projectId,
+  {
+    headFilePaths = null,
+    projectRoot = null,
+    repair = false,
+    staleJobMinutes = DEFAULT_STALE_JOB_MINUTES,
+  } = {}
+) {
+  logger.info("Checking index integrity", { projectId, repair });
+
+  try {
+    // Removing files first lets the later checks clean up after it
+    const filesMissingAtHead = headFilePaths
+      ? await checkFilesMissingAtHead(
+          dbClient,
+          projectId,
+          new Set(headFilePaths),
+          projectRoot,
+          repair
+        )
+      : null;
+    const danglingRelationships = await checkDanglingRelationships(
+      dbClient,
+      projectId,
+      repair
+    );
+    const orphans = await checkOrphanedRows(dbClient, repair);
+    const ftsMismatches = await checkFtsTables(dbClient, repair);
+    const stuckAi = await checkStuckAiProcessing(
+      dbClient,
+      projectId,
+      staleJobMinutes,
+      repair
+    );
+
+    const issueCount =
+      (filesMissingAtHead?.length || 0) +
+      danglingRelationships +
+      orphans.orphanedKeywords +
+      orphans.orphanedEmbeddings +
+      Object.values(ftsMismatches).reduce(
+        (sum, { missing, stale, outdated }) => sum + missing + stale + outdated,
+        0
+      ) +
+      stuckAi.abandonedAiJobs +
+      stuckAi.stuckAiEntities;
+
+    const report = {
+      projectId,
+      checkedAt: new Date().toISOString(),
+      repaired: repair && issueCount > 0,
+      issueCount,
+      filesMissingAtHead,
+      danglingRelationships,
+      ...orphans,
+      ftsMismatches,
+      ...stuckAi,
+    };
+
+    if (report.repaired) {
+      await bumpIndexVersion(dbClient, projectId);
+    }
+    if (issueCount > 0) {
+      logger.warn(
+        `Index integrity check found ${issueCount} issues${repair ? ", repaired" : ""}`,
+        report
+      );
+    } else {
+      logger.info("Index integrity check found no issues", { projectId });
+    }
+    return report;
+  } catch (error) {
+    logger.error("Error checking index integrity", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      repair,
+    });
+    throw error;
+  }
+}
+
+export default checkIndexIntegrity;
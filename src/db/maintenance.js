@@ -0,0 +1,369 @@
+/**
+ * Database maintenance
+ *
+ * Prunes rows that fall outside the retention policy, rebuilds the FTS5
+ * indexes and vacuums the database. Retention covers conversation messages,
+ * Git commits (with their changed files) and finished background AI jobs;
+ * indexed code, documents, conversation topics and milestones are never
+ * pruned. Every retention rule is disabled when its setting is 0.
+ *
+ * Retention applies to every project in the database; count limits are
+ * applied per project.
+ */
+
+import logger from "../utils/logger.js";
+import {
+  bumpIndexVersion,
+  getSystemMetadataValue,
+  setSystemMetadataValue,
+} from "./queries.js";
+
+// Counters of the tables retrieval reads; their statements return the
+// project_id of each deleted row, so the projects' index versions are bumped
+const RETRIEVED_COUNTERS = [
+  "conversationMessages",
+  "gitCommits",
+  "gitCommitFiles",
+  "gitCommitHunks",
+];
+
+// Job statuses after which a job is never picked up again
+const FINISHED_JOB_STATUSES = ["completed", "failed_ai", "failed_job_logic"];
+
+// project_metadata keys that describe a single conversation, see the
+// update_conversation_context and finalize_conversation_context handlers
+const CONVERSATION_METADATA_KEY_PREFIXES = [
+  "conversation_context_snapshot:",
+  "conversation_finalized:",
+  "conversation_changed_entities:",
+];
+
+// system_metadata key holding the report of the last maintenance run
+export const LAST_MAINTENANCE_REPORT_KEY = "last_maintenance_report";
+
+/**
+ * Builds an SQLite datetime modifier for a number of days in the past
+ * @param {number} days - Age in days
+ * @returns {string} Modifier such as "-30 days"
+ */
+const daysAgo = (days) => `-${days} days`;
+
+/**
+ * Deletes the rows that fall outside a retention policy
+ * All deletions run in one transaction. Projects that lost conversation
+ * messages or Git history get a new index version, so cached retrieval
+ * results no longer return the pruned rows.
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} [policy] - Retention policy; 0 or a missing value disables a rule
+ * @param {number} [policy.conversationDays] - Delete conversation messages older than this many days
+ * @param {number} [policy.maxConversations] - Keep the messages of this many most recent conversations per project
+ * @param {number} [policy.maxMessagesPerConversation] - Keep this many latest messages of each conversation
+ * @param {number} [policy.gitCommitDays] - Delete Git commits older than this many days
+ * @param {number} [policy.maxGitCommits] - Keep this many most recent Git commits per project
+ * @param {number} [policy.finishedJobDays] - Delete finished background AI jobs last updated more than this many days ago
+ * @returns {Promise<Object>} Number of deleted rows: { conversationMessages, conversationMetadata, gitCommits, gitCommitFiles, gitCommitHunks, backgroundAiJobs }
+ */
+export async function pruneByRetention(dbClient, policy = {}) {
+  const pruned = {
+    conversationMessages: 0,
+    conversationMetadata: 0,
+    gitCommits: 0,
+    gitCommitFiles: 0,
+    gitCommitHunks: 0,
+    backgroundAiJobs: 0,
+  };
+
+  // Each statement adds its deleted rows to one of the pruned counters
+  const statements = [];
+  const counters = [];
+  const addStatement = (counter, sql, args = []) => {
+    statements.push({
+      sql: RETRIEVED_COUNTERS.includes(counter)
+        ? `${sql} RETURNING project_id`
+        : sql,
+      args,
+    });
+    counters.push(counter);
+  };
+
+  if (policy.conversationDays > 0) {
+    addStatement(
+      "conversationMessages",
+      "DELETE FROM conversation_history WHERE datetime(timestamp) < datetime('now', ?)",
+      [daysAgo(policy.conversationDays)]
+    );
+  }
+
+  if (policy.maxConversations > 0) {
+    addStatement(
+      "conversationMessages",
+      `
+        DELETE FROM conversation_history WHERE conversation_id IN (
+          SELECT conversation_id FROM (
+            SELECT
+              conversation_id,
+              ROW_NUMBER() OVER (
+                PARTITION BY project_id ORDER BY MAX(timestamp) DESC
+              ) AS conversation_rank
+            FROM conversation_history
+            GROUP BY project_id, conversation_id
+          )
+          WHERE conversation_rank > ?
+        )
+      `,
+      [policy.maxConversations]
+    );
+  }
+
+  if (policy.maxMessagesPerConversation > 0) {
+    addStatement(
+      "conversationMessages",
+      `
+        DELETE FROM conversation_history WHERE message_id IN (
+          SELECT message_id FROM (
+            SELECT
+              message_id,
+              ROW_NUMBER() OVER (
+                PARTITION BY conversation_id ORDER BY timestamp DESC, rowid DESC
+              ) AS message_rank
+            FROM conversation_history
+          )
+          WHERE message_rank > ?
+        )
+      `,
+      [policy.maxMessagesPerConversation]
+    );
+  }
+
+  if (statements.length > 0) {
+    // Snapshots and finalization markers of conversations without messages
+    for (const prefix of CONVERSATION_METADATA_KEY_PREFIXES) {
+      addStatement(
+        "conversationMetadata",
+        `
+          DELETE FROM project_metadata
+          WHERE substr(key, 1, ?) = ?
+          AND NOT EXISTS (
+            SELECT 1 FROM conversation_history
+            WHERE conversation_history.conversation_id = substr(project_metadata.key, ?)
+          )
+        `,
+        [prefix.length, prefix, prefix.length + 1]
+      );
+    }
+  }
+
+  if (policy.gitCommitDays > 0) {
+    const cutoff = daysAgo(policy.gitCommitDays);
+    addStatement(
+      "gitCommitFiles",
+      `
+        DELETE FROM git_commit_files WHERE EXISTS (
+          SELECT 1 FROM git_commits
+          WHERE git_commits.project_id = git_commit_files.project_id
+          AND git_commits.commit_hash = git_commit_files.commit_hash
+          AND datetime(git_commits.commit_date) < datetime('now', ?)
+        )
+      `,
+      [cutoff]
+    );
+    addStatement(
+      "gitCommitHunks",
+      `
+        DELETE FROM git_commit_hunks WHERE EXISTS (
+          SELECT 1 FROM git_commits
+          WHERE git_commits.project_id = git_commit_hunks.project_id
+          AND git_commits.commit_hash = git_commit_hunks.commit_hash
+          AND datetime(git_commits.commit_date) < datetime('now', ?)
+        )
+      `,
+      [cutoff]
+    );
+    addStatement(
+      "gitCommits",
+      "DELETE FROM git_commits WHERE datetime(commit_date) < datetime('now', ?)",
+      [cutoff]
+    );
+  }
+
+  if (policy.maxGitCommits > 0) {
+    const commitsBeyondLimit = `
+      SELECT project_id, commit_hash FROM (
+        SELECT
+          project_id,
+          commit_hash,
+          ROW_NUMBER() OVER (
+            PARTITION BY project_id ORDER BY commit_date DESC
+          ) AS commit_rank
+        FROM git_commits
+      )
+      WHERE commit_rank > ?
+    `;
+    addStatement(
+      "gitCommitFiles",
+      `DELETE FROM git_commit_files WHERE (project_id, commit_hash) IN (${commitsBeyondLimit})`,
+      [policy.maxGitCommits]
+    );
+    addStatement(
+      "gitCommitHunks",
+      `DELETE FROM git_commit_hunks WHERE (project_id, commit_hash) IN (${commitsBeyondLimit})`,
+      [policy.maxGitCommits]
+    );
+    addStatement(
+      "gitCommits",
+      `DELETE FROM git_commits WHERE (project_id, commit_hash) IN (${commitsBeyondLimit})`,
+      [policy.maxGitCommits]
+    );
+  }
+
+  if (policy.finishedJobDays > 0) {
+    addStatement(
+      "backgroundAiJobs",
+      `
+        DELETE FROM background_ai_jobs
+        WHERE status IN (${FINISHED_JOB_STATUSES.map(() => "?").join(", ")})
+        AND datetime(updated_at) < datetime('now', ?)
+      `,
+      [...FINISHED_JOB_STATUSES, daysAgo(policy.finishedJobDays)]
+    );
+  }
+
+  if (statements.length === 0) {
+    logger.debug("No retention rules enabled, nothing to prune");
+    return pruned;
+  }
+
+  const resultSets = await dbClient.batch(statements, "write");
+  const affectedProjectIds = new Set();
+  resultSets.forEach((resultSet, index) => {
+    if (RETRIEVED_COUNTERS.includes(counters[index])) {
+      pruned[counters[index]] += resultSet.rows.length;
+      resultSet.rows.forEach((row) => affectedProjectIds.add(row.project_id));
+    } else {
+      pruned[counters[index]] += resultSet.rowsAffected;
+    }
+  });
+
+  for (const projectId of affectedProjectIds) {
+    await bumpIndexVersion(dbClient, projectId);
+  }
+
+  logger.info("Pruned rows outside the retention policy", pruned);
+  return pruned;
+}
+
+/**
+ * Gets the size of the database from its page count
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<number|null>} Size in bytes, or null if the database does not report it
+ */
+export async function getDatabaseSize(dbClient) {
+  try {
+    const pageCount = await dbClient.execute("PRAGMA page_count");
+    const pageSize = await dbClient.execute("PRAGMA page_size");
+    return (
+      Number(Object.values(pageCount.rows[0])[0]) *
+      Number(Object.values(pageSize.rows[0])[0])
+    );
+  } catch (error) {
+    logger.debug("Database size is not available", { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Rebuilds the FTS5 indexes and vacuums the database
+ * Only local databases are vacuumed; a remote database manages its own storage.
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} [options] - Compaction options
+ * @param {boolean} [options.vacuum=true] - Vacuum a local database after rebuilding the indexes
+ * @returns {Promise<Object>} { ftsIndexesRebuilt, vacuumed, sizeBeforeBytes, sizeAfterBytes, reclaimedBytes }
+ */
+export async function compactDatabase(dbClient, { vacuum = true } = {}) {
+  const sizeBeforeBytes = await getDatabaseSize(dbClient);
+
+  const ftsTables = await dbClient.execute(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND sql LIKE 'CREATE VIRTUAL TABLE%USING fts5%'
+    ORDER BY name
+  `);
+  const ftsIndexesRebuilt = [];
+  for (const { name } of ftsTables.rows) {
+    // Rebuilding drops the segments of deleted rows; optimizing merges the rest
+    await dbClient.execute(`INSERT INTO ${name}(${name}) VALUES('rebuild')`);
+    await dbClient.execute(`INSERT INTO ${name}(${name}) VALUES('optimize')`);
+    ftsIndexesRebuilt.push(name);
+  }
+
+  const vacuumed = vacuum && Boolean(dbClient.databasePath);
+  if (vacuumed) {
+    await dbClient.execute("VACUUM");
+    // Shrink the WAL file the vacuum wrote through
+    await dbClient.execute("PRAGMA wal_checkpoint(TRUNCATE)");
+  }
+
+  const sizeAfterBytes = await getDatabaseSize(dbClient);
+
+  return {
+    ftsIndexesRebuilt,
+    vacuumed,
+    sizeBeforeBytes,
+    sizeAfterBytes,
+    reclaimedBytes:
+      sizeBeforeBytes !== null && sizeAfterBytes !== null
+        ? Math.max(sizeBeforeBytes - sizeAfterBytes, 0)
+        : null,
+  };
+}
+
+/**
+ * Prunes the database by a retention policy, compacts it and records a report
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} [options] - Maintenance options
+ * @param {Object} [options.retention] - Retention policy, see pruneByRetention()
+ * @param {boolean} [options.vacuum=true] - Vacuum a local database
+ * @returns {Promise<Object>} Report: { startedAt, finishedAt, durationMs, pruned, ftsIndexesRebuilt, vacuumed, sizeBeforeBytes, sizeAfterBytes, reclaimedBytes }
+ */
+export async function runDatabaseMaintenance(
+  dbClient,
+  { retention = {}, vacuum = true } = {}
+) {
+  const startedAt = new Date();
+  logger.info("Starting database maintenance", { retention, vacuum });
+
+  const pruned = await pruneByRetention(dbClient, retention);
+  const compaction = await compactDatabase(dbClient, { vacuum });
+
+  const finishedAt = new Date();
+  const report = {
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    pruned,
+    ...compaction,
+  };
+
+  await setSystemMetadataValue(
+    dbClient,
+    LAST_MAINTENANCE_REPORT_KEY,
+    JSON.stringify(report)
+  );
+
+  logger.info("Database maintenance completed", report);
+  return report;
+}
+
+/**
+ * Gets the report of the last maintenance run
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<Object|null>} The report, or null if maintenance never ran
+ */
+export async function getLastMaintenanceReport(dbClient) {
+  const value = await getSystemMetadataValue(
+    dbClient,
+    LAST_MAINTENANCE_REPORT_KEY
+  );
+  return value ? JSON.parse(value) : null;
+}
+
+export default runDatabaseMaintenance;
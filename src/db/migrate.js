@@ -0,0 +1,270 @@
+/**
+ * Schema migration runner
+ *
+ * Tracks applied migrations in the schema_migrations table and applies the
+ * pending migrations from migrations/index.js in version order. Each
+ * migration runs in its own transaction together with its schema_migrations
+ * row, so a failed migration leaves the database at the previous version.
+ * Before an existing local database is migrated, a copy is written to a
+ * backups/ directory next to the database file.
+ */
+
+import fs from "fs";
+import path from "path";
+import logger from "../utils/logger.js";
+import { MIGRATIONS } from "./migrations/index.js";
+
+/**
+ * Sets up the schema_migrations table if it doesn't exist
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<void>}
+ */
+export async function setupSchemaMigrationsTable(dbClient) {
+  await dbClient.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Gets the migrations recorded as applied
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<Array<{version: number, name: string, applied_at: string}>>} Applied migrations, oldest first
+ */
+export async function getAppliedMigrations(dbClient) {
+  await setupSchemaMigrationsTable(dbClient);
+
+  const result = await dbClient.execute(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+  return result.rows.map((row) => ({
+    version: Number(row.version),
+    name: row.name,
+    applied_at: row.applied_at,
+  }));
+}
+
+/**
+ * Gets the current schema version
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<number>} Version of the latest applied migration, 0 if none
+ */
+export async function getSchemaVersion(dbClient) {
+  const appliedMigrations = await getAppliedMigrations(dbClient);
+  return appliedMigrations.length > 0
+    ? appliedMigrations[appliedMigrations.length - 1].version
+    : 0;
+}
+
+/**
+ * Reports the schema version and the applied and pending migrations
+ * @param {Object} dbClient - The database client instance
+ * @param {Array<Object>} [migrations] - Known migrations, defaults to migrations/index.js
+ * @returns {Promise<Object>} { currentVersion, latestVersion, applied, pending }
+ */
+export async function getMigrationStatus(dbClient, migrations = MIGRATIONS) {
+  validateMigrations(migrations);
+
+  const applied = await getAppliedMigrations(dbClient);
+  const appliedVersions = new Set(
+    applied.map((migration) => migration.version)
+  );
+
+  return {
+    currentVersion:
+      applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion:
+      migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations
+      .filter((migration) => !appliedVersions.has(migration.version))
+      .map(({ version, name }) => ({ version, name })),
+  };
+}
+
+/**
+ * Copies a local database file into the backups/ directory next to it
+ * Remote (Turso) and in-memory databases are not backed up.
+ * @param {Object} dbClient - The database client instance
+ * @param {number} schemaVersion - Schema version of the database, used in the file name
+ * @returns {Promise<string|null>} Path of the backup, or null if none was written
+ */
+export async function backupDatabase(dbClient, schemaVersion) {
+  const databasePath = dbClient.databasePath;
+  if (!databasePath || databasePath === ":memory:") {
+    logger.info("Skipping database backup, database is not a local file");
+    return null;
+  }
+
+  const extension = path.extname(databasePath) || ".db";
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupDirectory = path.join(path.dirname(databasePath), "backups");
+  const backupPath = path.join(
+    backupDirectory,
+    `${path.basename(databasePath, extension)}-v${schemaVersion}-${timestamp}${extension}`
+  );
+
+  fs.mkdirSync(backupDirectory, { recursive: true });
+  // VACUUM INTO writes a consistent copy even while the database is in use
+  await dbClient.execute({ sql: "VACUUM INTO ?", args: [backupPath] });
+
+  logger.info(`Database backed up to ${backupPath}`, { schemaVersion });
+  return backupPath;
+}
+
+/**
+ * Applies all pending migrations in version order
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} [options] - Migration options
+ * @param {Array<Object>} [options.migrations] - Known migrations, defaults to migrations/index.js
+ * @param {boolean} [options.backup=true] - Back up an existing local database before migrating
+ * @returns {Promise<Object>} { previousVersion, currentVersion, applied, backupPath }
+ */
+export async function runMigrations(
+  dbClient,
+  { migrations = MIGRATIONS, backup = true } = {}
+) {
+  const status = await getMigrationStatus(dbClient, migrations);
+
+  if (status.currentVersion > status.latestVersion) {
+    throw new Error(
+      `Database schema version ${status.currentVersion} is newer than the latest known migration ${status.latestVersion}; upgrade DevContext to use this database`
+    );
+  }
+
+  if (status.pending.length === 0) {
+    logger.info(
+      `Database schema is up to date at version ${status.currentVersion}`
+    );
+    return {
+      previousVersion: status.currentVersion,
+      currentVersion: status.currentVersion,
+      applied: [],
+      backupPath: null,
+    };
+  }
+
+  logger.info("Applying database migrations", {
+    currentVersion: status.currentVersion,
+    latestVersion: status.latestVersion,
+    pendingMigrations: status.pending.map(
+      (migration) => `${migration.version}_${migration.name}`
+    ),
+  });
+
+  let backupPath = null;
+  if (backup && (await hasExistingTables(dbClient))) {
+    backupPath = await backupDatabase(dbClient, status.currentVersion);
+  }
+
+  const pendingVersions = new Set(
+    status.pending.map((migration) => migration.version)
+  );
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (!pendingVersions.has(migration.version)) continue;
+
+    try {
+      await runInTransaction(dbClient, async (transaction) => {
+        await migration.up(transaction);
+        await transaction.execute({
+          sql: "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+          args: [migration.version, migration.name],
+        });
+      });
+    } catch (error) {
+      logger.error(
+        `Migration ${migration.version}_${migration.name} failed`,
+        {
+          error: error.message,
+          stack: error.stack,
+          backupPath,
+        }
+      );
+      throw error;
+    }
+
+    applied.push({ version: migration.version, name: migration.name });
+    logger.info(`Applied migration ${migration.version}_${migration.name}`);
+  }
+
+  const currentVersion = applied[applied.length - 1].version;
+  logger.info(`Database schema migrated to version ${currentVersion}`, {
+    previousVersion: status.currentVersion,
+    appliedCount: applied.length,
+    backupPath,
+  });
+
+  return {
+    previousVersion: status.currentVersion,
+    currentVersion,
+    applied,
+    backupPath,
+  };
+}
+
+/**
+ * Checks that migrations have increasing versions, names and up functions
+ * @param {Array<Object>} migrations - The migrations to check
+ * @throws {Error} If a migration is malformed or out of order
+ */
+const validateMigrations = (migrations) => {
+  let previousVersion = 0;
+  for (const migration of migrations) {
+    if (
+      !Number.isInteger(migration.version) ||
+      !migration.name ||
+      typeof migration.up !== "function"
+    ) {
+      throw new Error(
+        `Invalid migration ${migration.version}_${migration.name}: a migration needs an integer version, a name and an up function`
+      );
+    }
+    if (migration.version <= previousVersion) {
+      throw new Error(
+        `Migration ${migration.version}_${migration.name} is out of order; versions must increase`
+      );
+    }
+    previousVersion = migration.version;
+  }
+};
+
+/**
+ * Checks whether the database holds any tables besides schema_migrations
+ * @param {Object} dbClient - The database client instance
+ * @returns {Promise<boolean>} True if the database is not new
+ */
+const hasExistingTables = async (dbClient) => {
+  const result = await dbClient.execute(`
+    SELECT COUNT(*) AS table_count FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+  `);
+  return Number(result.rows[0].table_count) > 0;
+};
+
+/**
+ * Runs an operation in a write transaction, if the client supports them
+ * @param {Object} dbClient - The database client instance
+ * @param {function(Object): Promise<void>} operation - Receives the transaction (or the client)
+ * @returns {Promise<void>}
+ */
+const runInTransaction = async (dbClient, operation) => {
+  if (typeof dbClient.transaction !== "function") {
+    await operation(dbClient);
+    return;
+  }
+
+  const transaction = await dbClient.transaction("write");
+  try {
+    await operation(transaction);
+    await transaction.commit();
+  } finally {
+    transaction.close();
+  }
+};
+
+export default runMigrations;
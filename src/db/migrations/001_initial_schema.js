@@ -0,0 +1,21 @@
+/**
+ * Migration 001 - Initial schema
+ *
+ * Creates the baseline tables, indexes, FTS tables and triggers. Databases
+ * created before migrations existed already have most of these objects; the
+ * statements are idempotent, so applying this migration adopts them.
+ */
+
+import { initializeDatabaseSchema } from "../queries.js";
+
+export const version = 1;
+export const name = "initial_schema";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  await initializeDatabaseSchema(dbClient);
+}
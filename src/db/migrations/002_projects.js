@@ -0,0 +1,335 @@
+/**
+ * Migration 002 - Projects
+ *
+ * Adds the projects registry and a project_id to every per-project table so
+ * one database can hold the index of several repositories. Project state that
+ * used to live in system_metadata (initial scan marker, last processed
+ * commit, conversation snapshots) moves to project_metadata.
+ *
+ * Rows that exist before this migration are assigned to a placeholder
+ * project named "default" without a root path; the first project registered
+ * afterwards adopts it (see registerProject() in queries.js).
+ *
+ * project_documents, git_commits and git_commit_files are rebuilt because
+ * their unique keys (file path, commit hash) become per-project keys. The
+ * other tables only gain a column.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+
+export const version = 2;
+export const name = "projects";
+
+// Name of the placeholder project that owns rows from before this migration
+export const LEGACY_PROJECT_NAME = "default";
+
+// Tables that only gain a project_id column, with the index to create for it
+const TABLES_WITH_PROJECT_COLUMN = [
+  {
+    table: "code_entities",
+    index: "idx_code_entities_project_file_path",
+    columns: "project_id, file_path",
+  },
+  {
+    table: "conversation_history",
+    index: "idx_conversation_history_project_timestamp",
+    columns: "project_id, timestamp",
+  },
+  {
+    table: "conversation_topics",
+    index: "idx_conversation_topics_project_created_at",
+    columns: "project_id, created_at",
+  },
+  {
+    table: "milestones",
+    index: "idx_milestones_project_created_at",
+    columns: "project_id, created_at",
+  },
+  {
+    table: "background_ai_jobs",
+    index: "idx_background_ai_jobs_project",
+    columns: "project_id",
+  },
+  {
+    table: "embeddings",
+    index: "idx_embeddings_project_type_model",
+    columns: "project_id, entity_type, model",
+  },
+];
+
+// Tables checked for rows that need the placeholder project
+const PROJECT_DATA_TABLES = [
+  ...TABLES_WITH_PROJECT_COLUMN.map(({ table }) => table),
+  "project_documents",
+  "git_commits",
+  "system_metadata",
+];
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  await dbClient.execute(`
+    CREATE TABLE projects (
+      project_id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      root_path TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_opened_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await dbClient.execute(`
+    CREATE TABLE project_metadata (
+      project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+      key TEXT NOT NULL,
+      value TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (project_id, key)
+    )
+  `);
+
+  await dbClient.execute(`
+    CREATE TRIGGER trg_project_metadata_updated_at
+    AFTER UPDATE ON project_metadata
+    FOR EACH ROW
+    BEGIN
+      UPDATE project_metadata SET updated_at = CURRENT_TIMESTAMP
+      WHERE project_id = NEW.project_id AND key = NEW.key;
+    END;
+  `);
+
+  const legacyProjectId = await createLegacyProjectIfNeeded(dbClient);
+
+  for (const { table, index, columns } of TABLES_WITH_PROJECT_COLUMN) {
+    await dbClient.execute(
+      `ALTER TABLE ${table} ADD COLUMN project_id TEXT REFERENCES projects(project_id) ON DELETE CASCADE`
+    );
+    if (legacyProjectId) {
+      await dbClient.execute({
+        sql: `UPDATE ${table} SET project_id = ?`,
+        args: [legacyProjectId],
+      });
+    }
+    await dbClient.execute(`CREATE INDEX ${index} ON ${table}(${columns})`);
+  }
+
+  await rebuildProjectDocumentsTable(dbClient, legacyProjectId);
+  await rebuildGitTables(dbClient, legacyProjectId);
+
+  // Everything stored in system_metadata so far describes the project
+  if (legacyProjectId) {
+    await dbClient.execute({
+      sql: `
+        INSERT INTO project_metadata (project_id, key, value, updated_at)
+        SELECT ?, key, value, updated_at FROM system_metadata
+      `,
+      args: [legacyProjectId],
+    });
+    await dbClient.execute("DELETE FROM system_metadata");
+  }
+}
+
+/**
+ * Creates the placeholder project if the database already holds project data
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<string|null>} ID of the placeholder project, or null for a new database
+ */
+async function createLegacyProjectIfNeeded(dbClient) {
+  const existingData = await dbClient.execute(
+    PROJECT_DATA_TABLES.map(
+      (table) => `SELECT EXISTS (SELECT 1 FROM ${table}) AS has_rows`
+    ).join(" UNION ALL ")
+  );
+  if (!existingData.rows.some((row) => Number(row.has_rows) === 1)) {
+    return null;
+  }
+
+  const legacyProjectId = uuidv4();
+  await dbClient.execute({
+    sql: "INSERT INTO projects (project_id, name, root_path) VALUES (?, ?, NULL)",
+    args: [legacyProjectId, LEGACY_PROJECT_NAME],
+  });
+  return legacyProjectId;
+}
+
+/**
+ * Rebuilds project_documents with a per-project unique file path
+ * Row IDs are kept so project_documents_fts stays in sync.
+ * @param {Object} dbClient - Database client or transaction
+ * @param {string|null} legacyProjectId - Owner of the existing rows
+ * @returns {Promise<void>}
+ */
+async function rebuildProjectDocumentsTable(dbClient, legacyProjectId) {
+  await dbClient.execute(`
+    CREATE TABLE project_documents_new (
+      document_id TEXT PRIMARY KEY,
+      project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+      file_path TEXT NOT NULL,
+      file_type TEXT NOT NULL,
+      raw_content TEXT,
+      content_hash TEXT,
+      summary TEXT,
+      parsing_status TEXT DEFAULT 'pending',
+      ai_status TEXT DEFAULT 'pending',
+      ai_last_processed_at DATETIME,
+      custom_metadata TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_modified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (project_id, file_path)
+    )
+  `);
+
+  await dbClient.execute({
+    sql: `
+      INSERT INTO project_documents_new (
+        rowid, document_id, project_id, file_path, file_type, raw_content,
+        content_hash, summary, parsing_status, ai_status, ai_last_processed_at,
+        custom_metadata, created_at, last_modified_at
+      )
+      SELECT
+        rowid, document_id, ?, file_path, file_type, raw_content,
+        content_hash, summary, parsing_status, ai_status, ai_last_processed_at,
+        custom_metadata, created_at, last_modified_at
+      FROM project_documents
+    `,
+    args: [legacyProjectId],
+  });
+
+  // Drop the FTS triggers first so dropping the table leaves the FTS rows alone
+  await dbClient.execute("DROP TRIGGER IF EXISTS project_documents_ai");
+  await dbClient.execute("DROP TRIGGER IF EXISTS project_documents_au");
+  await dbClient.execute("DROP TRIGGER IF EXISTS project_documents_ad");
+  await dbClient.execute("DROP TABLE project_documents");
+  await dbClient.execute(
+    "ALTER TABLE project_documents_new RENAME TO project_documents"
+  );
+
+  await dbClient.execute(`
+    CREATE INDEX idx_project_documents_file_path
+    ON project_documents(file_path)
+  `);
+  await dbClient.execute(`
+    CREATE INDEX idx_project_documents_file_type
+    ON project_documents(file_type)
+  `);
+  await dbClient.execute(`
+    CREATE INDEX idx_project_documents_parsing_status
+    ON project_documents(parsing_status)
+  `);
+
+  await dbClient.execute(`
+    CREATE TRIGGER project_documents_ai AFTER INSERT ON project_documents BEGIN
+      INSERT INTO project_documents_fts (
+        rowid,
+        document_id,
+        file_path_fts,
+        summary_fts,
+        content_fts,
+        keywords_fts
+      )
+      VALUES (
+        new.rowid,
+        new.document_id,
+        new.file_path,
+        new.summary,
+        new.raw_content,
+        json_extract(new.custom_metadata, '$.keywords')
+      );
+    END;
+  `);
+  await dbClient.execute(`
+    CREATE TRIGGER project_documents_au AFTER UPDATE ON project_documents BEGIN
+      UPDATE project_documents_fts SET
+        document_id = new.document_id,
+        file_path_fts = new.file_path,
+        summary_fts = new.summary,
+        content_fts = new.raw_content,
+        keywords_fts = json_extract(new.custom_metadata, '$.keywords')
+      WHERE rowid = old.rowid;
+    END;
+  `);
+  await dbClient.execute(`
+    CREATE TRIGGER project_documents_ad AFTER DELETE ON project_documents BEGIN
+      DELETE FROM project_documents_fts WHERE rowid = old.rowid;
+    END;
+  `);
+}
+
+/**
+ * Rebuilds git_commits and git_commit_files keyed by project and commit hash
+ * Forks of one repository share commits, so a commit hash alone no longer
+ * identifies a row.
+ * @param {Object} dbClient - Database client or transaction
+ * @param {string|null} legacyProjectId - Owner of the existing rows
+ * @returns {Promise<void>}
+ */
+async function rebuildGitTables(dbClient, legacyProjectId) {
+  await dbClient.execute(`
+    CREATE TABLE git_commits_new (
+      project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+      commit_hash TEXT NOT NULL,
+      author_name TEXT,
+      author_email TEXT,
+      commit_date DATETIME NOT NULL,
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (project_id, commit_hash)
+    )
+  `);
+  await dbClient.execute({
+    sql: `
+      INSERT INTO git_commits_new (
+        project_id, commit_hash, author_name, author_email, commit_date,
+        message, created_at
+      )
+      SELECT
+        ?, commit_hash, author_name, author_email, commit_date, message,
+        created_at
+      FROM git_commits
+    `,
+    args: [legacyProjectId],
+  });
+
+  await dbClient.execute(`
+    CREATE TABLE git_commit_files_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT NOT NULL,
+      commit_hash TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      status TEXT NOT NULL,
+      FOREIGN KEY (project_id, commit_hash) REFERENCES git_commits_new(project_id, commit_hash) ON DELETE CASCADE
+    )
+  `);
+  await dbClient.execute({
+    sql: `
+      INSERT INTO git_commit_files_new (id, project_id, commit_hash, file_path, status)
+      SELECT id, ?, commit_hash, file_path, status FROM git_commit_files
+    `,
+    args: [legacyProjectId],
+  });
+
+  // Drop the child table first; renaming git_commits_new also updates the
+  // foreign key of git_commit_files_new
+  await dbClient.execute("DROP TABLE git_commit_files");
+  await dbClient.execute("DROP TABLE git_commits");
+  await dbClient.execute("ALTER TABLE git_commits_new RENAME TO git_commits");
+  await dbClient.execute(
+    "ALTER TABLE git_commit_files_new RENAME TO git_commit_files"
+  );
+
+  await dbClient.execute(`
+    CREATE INDEX idx_git_commits_commit_date
+    ON git_commits(project_id, commit_date DESC)
+  `);
+  await dbClient.execute(`
+    CREATE INDEX idx_git_commit_files_commit_hash
+    ON git_commit_files(project_id, commit_hash)
+  `);
+  await dbClient.execute(`
+    CREATE INDEX idx_git_commit_files_file_path
+    ON git_commit_files(file_path)
+  `);
+}
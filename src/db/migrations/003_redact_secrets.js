@@ -0,0 +1,118 @@
+/**
+ * Migration 003 - Redact secrets
+ *
+ * Code and documents are now scanned for secrets before they are stored (see
+ * ../../utils/secrets.js). This migration applies the same redaction to the
+ * content indexed before, and to AI summaries that may repeat a secret, and
+ * flags the affected rows so they are never sent to the AI provider again.
+ *
+ * Content hashes are recomputed from the redacted content, so reindexing an
+ * unchanged file keeps its entities, summaries and embeddings.
+ */
+
+import crypto from "crypto";
+import { buildSecretMetadata, redactSecrets } from "../../utils/secrets.js";
+
+export const version = 3;
+export const name = "redact_secrets";
+
+// Rows read per query, to keep large indexes out of memory
+const PAGE_SIZE = 200;
+
+// Tables with indexed content, with the line of the file their content starts at
+const CONTENT_TABLES = [
+  {
+    table: "code_entities",
+    idColumn: "entity_id",
+    // Parser rows are 0-based
+    firstLine: (row) => Number(row.start_line || 0),
+  },
+  {
+    table: "project_documents",
+    idColumn: "document_id",
+    firstLine: () => 0,
+  },
+];
+
+/**
+ * Redacts the content and summary of one row
+ * @param {Object} dbClient - Database client or transaction
+ * @param {Object} tableInfo - Entry of CONTENT_TABLES
+ * @param {Object} row - The row to redact
+ * @returns {Promise<void>}
+ */
+async function redactRow(dbClient, { table, idColumn, firstLine }, row) {
+  const content = redactSecrets(row.raw_content, row.file_path);
+  const summary = redactSecrets(row.summary);
+  if (content.findings.length === 0 && summary.findings.length === 0) {
+    return;
+  }
+
+  // Only secrets in the content flag the row; a summary is just redacted
+  const flagged = content.findings.length > 0;
+  let metadata = {};
+  try {
+    metadata = JSON.parse(row.custom_metadata || "{}") || {};
+  } catch (error) {
+    // Malformed metadata is replaced
+  }
+  const fileFindings = content.findings.map((finding) => ({
+    ...finding,
+    line: finding.line + firstLine(row),
+  }));
+
+  await dbClient.execute({
+    sql: `
+      UPDATE ${table}
+      SET raw_content = ?,
+        summary = ?,
+        content_hash = ?,
+        custom_metadata = ?,
+        ai_status = CASE WHEN ? AND ai_status != 'completed' THEN 'skipped' ELSE ai_status END
+      WHERE ${idColumn} = ?
+    `,
+    args: [
+      content.content,
+      summary.content,
+      flagged
+        ? crypto.createHash("sha256").update(content.content).digest("hex")
+        : row.content_hash,
+      flagged
+        ? JSON.stringify({ ...metadata, ...buildSecretMetadata(fileFindings) })
+        : row.custom_metadata,
+      flagged ? 1 : 0,
+      row[idColumn],
+    ],
+  });
+}
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  for (const tableInfo of CONTENT_TABLES) {
+    let lastRowId = 0;
+
+    for (;;) {
+      const result = await dbClient.execute({
+        sql: `
+          SELECT rowid, * FROM ${tableInfo.table}
+          WHERE rowid > ? AND raw_content IS NOT NULL
+          ORDER BY rowid
+          LIMIT ?
+        `,
+        args: [lastRowId, PAGE_SIZE],
+      });
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      for (const row of result.rows) {
+        await redactRow(dbClient, tableInfo, row);
+      }
+      lastRowId = result.rows[result.rows.length - 1].rowid;
+    }
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Migration 004 - Conversation search terms
+ *
+ * Adds a search_terms column to conversation_history and conversation_topics.
+ * When conversation encryption is enabled (see ../../utils/encryption.js) it
+ * holds keyed hashes of the words of the encrypted message content or topic
+ * summary, so encrypted conversations stay searchable by term. Rows stored in
+ * plaintext leave it NULL.
+ */
+
+export const version = 4;
+export const name = "conversation_search_terms";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  for (const table of ["conversation_history", "conversation_topics"]) {
+    await dbClient.execute(`ALTER TABLE ${table} ADD COLUMN search_terms TEXT`);
+  }
+}
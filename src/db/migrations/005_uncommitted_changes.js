@@ -0,0 +1,25 @@
+/**
+ * Migration 005 - Uncommitted changes
+ *
+ * Adds an uncommitted_at column to code_entities and project_documents. The
+ * working tree watcher (see ../../services/workingTree.service.js) sets it to
+ * the time a file was reindexed from uncommitted edits and clears it once the
+ * file matches the index again, so retrieval can tell work in progress apart
+ * from committed code.
+ */
+
+export const version = 5;
+export const name = "uncommitted_changes";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  for (const table of ["code_entities", "project_documents"]) {
+    await dbClient.execute(
+      `ALTER TABLE ${table} ADD COLUMN uncommitted_at DATETIME`
+    );
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Migration 006 - Unreachable commits
+ *
+ * Adds an unreachable_at column to git_commits. GitMonitorService sets it when
+ * a rebase, reset or force-pull leaves a stored commit on no branch, and
+ * clears it if the commit becomes reachable again. Git history searches skip
+ * unreachable commits.
+ */
+
+export const version = 6;
+export const name = "unreachable_commits";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  await dbClient.execute(
+    "ALTER TABLE git_commits ADD COLUMN unreachable_at DATETIME"
+  );
+}
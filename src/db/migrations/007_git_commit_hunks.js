@@ -0,0 +1,75 @@
+/**
+ * Migration 007 - Git commit hunks
+ *
+ * Adds the git_commit_hunks table holding the diff hunks of each stored
+ * commit, one row per hunk, with the git_commit_hunks_fts table and triggers
+ * keeping it searchable. GitMonitorService stores the hunks along with the
+ * commit's changed files, so retrieval can show how a file changed.
+ */
+
+export const version = 7;
+export const name = "git_commit_hunks";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  await dbClient.execute(`
+    CREATE TABLE git_commit_hunks (
+      hunk_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      project_id TEXT NOT NULL REFERENCES projects(project_id) ON DELETE CASCADE,
+      commit_hash TEXT NOT NULL,
+      file_path TEXT NOT NULL,
+      old_start INTEGER NOT NULL,
+      old_lines INTEGER NOT NULL,
+      new_start INTEGER NOT NULL,
+      new_lines INTEGER NOT NULL,
+      content TEXT NOT NULL
+    )
+  `);
+  await dbClient.execute(`
+    CREATE INDEX idx_git_commit_hunks_commit
+    ON git_commit_hunks(project_id, commit_hash, file_path)
+  `);
+
+  await dbClient.execute(`
+    CREATE VIRTUAL TABLE git_commit_hunks_fts USING fts5(
+      hunk_id UNINDEXED,
+      file_path_fts,
+      content_fts,
+      tokenize = 'porter unicode61'
+    )
+  `);
+  await dbClient.execute(`
+    CREATE TRIGGER git_commit_hunks_ai AFTER INSERT ON git_commit_hunks BEGIN
+      INSERT INTO git_commit_hunks_fts (
+        rowid,
+        hunk_id,
+        file_path_fts,
+        content_fts
+      )
+      VALUES (
+        new.rowid,
+        new.hunk_id,
+        new.file_path,
+        new.content
+      );
+    END;
+  `);
+  await dbClient.execute(`
+    CREATE TRIGGER git_commit_hunks_au AFTER UPDATE ON git_commit_hunks BEGIN
+      UPDATE git_commit_hunks_fts SET
+        hunk_id = new.hunk_id,
+        file_path_fts = new.file_path,
+        content_fts = new.content
+      WHERE rowid = old.rowid;
+    END;
+  `);
+  await dbClient.execute(`
+    CREATE TRIGGER git_commit_hunks_ad AFTER DELETE ON git_commit_hunks BEGIN
+      DELETE FROM git_commit_hunks_fts WHERE rowid = old.rowid;
+    END;
+  `);
+}
@@ -0,0 +1,21 @@
+/**
+ * Migration 008 - Milestone search terms
+ *
+ * Adds a search_terms column to milestones. Milestone conversation summaries
+ * quote the recent user messages, so they are encrypted like conversation
+ * messages when conversation encryption is enabled (see
+ * ../../utils/encryption.js), and the column holds the keyed hashes of their
+ * words. Rows stored in plaintext leave it NULL.
+ */
+
+export const version = 8;
+export const name = "milestone_search_terms";
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  await dbClient.execute("ALTER TABLE milestones ADD COLUMN search_terms TEXT");
+}
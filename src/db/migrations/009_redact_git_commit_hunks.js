@@ -0,0 +1,79 @@
+/**
+ * Migration 009 - Redact git commit hunks
+ *
+ * Diff hunks are now cut from redacted file versions (see
+ * ../../services/git.service.js). This migration redacts the hunks stored
+ * before. The diff prefix of each line is set aside so that line-anchored
+ * patterns still match, and a private key whose end was cut off with the
+ * rest of the hunk is redacted up to the end of the hunk.
+ *
+ * The git_commit_hunks_fts triggers keep the search index in step.
+ */
+
+import { redactSecrets } from "../../utils/secrets.js";
+
+export const version = 9;
+export const name = "redact_git_commit_hunks";
+
+// Rows read per query, to keep large indexes out of memory
+const PAGE_SIZE = 200;
+
+// Start of a private key block, matched when its end is not in the hunk
+const PRIVATE_KEY_HEADER = /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*$/;
+
+/**
+ * Redacts the content of one hunk
+ * @param {string} content - Hunk lines, each prefixed with " ", "-" or "+"
+ * @param {string} filePath - Repository-relative path of the changed file
+ * @returns {string|null} The redacted content, or null if nothing was redacted
+ */
+function redactHunkContent(content, filePath) {
+  const lines = content.split("\n");
+  const prefixes = lines.map((line) => line.slice(0, 1));
+  const redacted = redactSecrets(
+    lines.map((line) => line.slice(1)).join("\n"),
+    filePath
+  ).content;
+
+  let result = redacted
+    .split("\n")
+    .map((line, index) => prefixes[index] + line)
+    .join("\n");
+  result = result.replace(PRIVATE_KEY_HEADER, "[REDACTED:private_key]");
+  return result === content ? null : result;
+}
+
+/**
+ * Applies the migration
+ * @param {Object} dbClient - Database client or transaction
+ * @returns {Promise<void>}
+ */
+export async function up(dbClient) {
+  let lastHunkId = 0;
+
+  for (;;) {
+    const result = await dbClient.execute({
+      sql: `
+        SELECT hunk_id, file_path, content FROM git_commit_hunks
+        WHERE hunk_id > ?
+        ORDER BY hunk_id
+        LIMIT ?
+      `,
+      args: [lastHunkId, PAGE_SIZE],
+    });
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    for (const row of result.rows) {
+      const content = redactHunkContent(row.content || "", row.file_path);
+      if (content !== null) {
+        await dbClient.execute({
+          sql: "UPDATE git_commit_hunks SET content = ? WHERE hunk_id = ?",
+          args: [content, row.hunk_id],
+        });
+      }
+    }
+    lastHunkId = result.rows[result.rows.length - 1].hunk_id;
+  }
+}
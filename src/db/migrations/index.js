@@ -0,0 +1,33 @@
+/**
+ * Schema migrations
+ *
+ * Ordered list of the migrations applied by runMigrations() in ../migrate.js.
+ * Each migration module exports a unique `version` (one higher than the
+ * previous migration), a `name` and an `up(dbClient)` function. Migrations
+ * only move forward and must not change once released; to alter the schema,
+ * add a new NNN_description.js file and append it here.
+ */
+
+import * as initialSchema from "./001_initial_schema.js";
+import * as projects from "./002_projects.js";
+import * as redactSecrets from "./003_redact_secrets.js";
+import * as conversationSearchTerms from "./004_conversation_search_terms.js";
+import * as uncommittedChanges from "./005_uncommitted_changes.js";
+import * as unreachableCommits from "./006_unreachable_commits.js";
+import * as gitCommitHunks from "./007_git_commit_hunks.js";
+import * as milestoneSearchTerms from "./008_milestone_search_terms.js";
+import * as redactGitCommitHunks from "./009_redact_git_commit_hunks.js";
+
+export const MIGRATIONS = [
+  initialSchema,
+  projects,
+  redactSecrets,
+  conversationSearchTerms,
+  uncommittedChanges,
+  unreachableCommits,
+  gitCommitHunks,
+  milestoneSearchTerms,
+  redactGitCommitHunks,
+];
+
+export default MIGRATIONS;
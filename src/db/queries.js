@@ -7,6 +7,13 @@
 
 import logger from "../utils/logger.js";
 import { v4 as uuidv4 } from "uuid";
+import { encodeVector, decodeVector } from "../utils/vector.js";
+import {
+  ENCRYPTED_VALUE_PREFIX,
+  getConversationCipher,
+  isEncryptedValue,
+  tokenizeSearchTerms,
+} from "../utils/encryption.js";
 
 /**
  * Sets up the git_commits table if it doesn't exist
@@ -564,6 +571,97 @@ export async function setupBackgroundAiJobsTable(dbClient) {
   }
 }
 
+/**
+ * Sets up the milestones table if it doesn't exist
+ * Milestones snapshot the state of a conversation (related entities, HEAD commit, summary)
+ * at a named point in time so later retrievals can surface them
+ * @param {Object} dbClient - The TursoDB client instance
+ * @returns {Promise<void>}
+ */
+export async function setupMilestonesTable(dbClient) {
+  try {
+    logger.info("Setting up milestones table...");
+
+    // Create milestones table if it doesn't exist
+    await dbClient.execute(`
+      CREATE TABLE IF NOT EXISTS milestones (
+        milestone_id TEXT PRIMARY KEY,
+        conversation_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        category TEXT,
+        head_commit_hash TEXT,
+        related_entity_ids TEXT,
+        conversation_summary TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create index on conversation_id for per-conversation lookups
+    await dbClient.execute(`
+      CREATE INDEX IF NOT EXISTS idx_milestones_conversation_id 
+      ON milestones(conversation_id)
+    `);
+
+    // Create index on created_at for recency ordering
+    await dbClient.execute(`
+      CREATE INDEX IF NOT EXISTS idx_milestones_created_at 
+      ON milestones(created_at)
+    `);
+
+    logger.info("milestones table setup completed");
+  } catch (error) {
+    logger.error("Error setting up milestones table", {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Sets up the embeddings table if it doesn't exist
+ * Stores one embedding vector per code entity, project document or conversation topic.
+ * Vectors are float32 BLOBs tagged with the model that produced them, because
+ * vectors from different models cannot be compared.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @returns {Promise<void>}
+ */
+export async function setupEmbeddingsTable(dbClient) {
+  try {
+    logger.info("Setting up embeddings table...");
+
+    // Create embeddings table if it doesn't exist
+    await dbClient.execute(`
+      CREATE TABLE IF NOT EXISTS embeddings (
+        entity_id TEXT NOT NULL,
+        entity_type TEXT NOT NULL CHECK(entity_type IN ('code_entity', 'project_document', 'conversation_topic')),
+        model TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        content_hash TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (entity_id, entity_type)
+      )
+    `);
+
+    // Create index for loading all vectors of one type and model
+    await dbClient.execute(`
+      CREATE INDEX IF NOT EXISTS idx_embeddings_type_model 
+      ON embeddings(entity_type, model)
+    `);
+
+    logger.info("embeddings table setup completed");
+  } catch (error) {
+    logger.error("Error setting up embeddings table", {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
+
 /**
  * Sets up the system_metadata table if it doesn't exist
  * This table is used to store system-wide settings and state
@@ -605,17 +703,33 @@ export async function setupSystemMetadataTable(dbClient) {
 }
 
 /**
- * Gets the last processed commit OID from the system_metadata table
+ * Builds the project_metadata key of a last processed commit OID
+ * @param {string|null} branch - Branch name, or null for the commit the index reflects
+ * @returns {string} The metadata key
+ */
+function getLastProcessedCommitOidKey(branch) {
+  return branch ? `last_processed_git_oid:${branch}` : "last_processed_git_oid";
+}
+
+/**
+ * Gets the last processed commit OID of a project from the project_metadata table
+ * Without a branch, this is the commit the index currently reflects.
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string|null} [branch] - Branch whose last processed commit to get
  * @returns {Promise<string|null>} The last processed commit OID or null if not found
  */
-export async function getLastProcessedCommitOid(dbClient) {
+export async function getLastProcessedCommitOid(
+  dbClient,
+  projectId,
+  branch = null
+) {
   try {
     logger.debug("Retrieving last processed commit OID from database...");
 
     const result = await dbClient.execute({
-      sql: "SELECT value FROM system_metadata WHERE key = ?",
-      args: ["last_processed_git_oid"],
+      sql: "SELECT value FROM project_metadata WHERE project_id = ? AND key = ?",
+      args: [projectId, getLastProcessedCommitOidKey(branch)],
     });
 
     if (result.rows.length > 0) {
@@ -636,18 +750,25 @@ export async function getLastProcessedCommitOid(dbClient) {
 }
 
 /**
- * Sets the last processed commit OID in the system_metadata table
+ * Sets the last processed commit OID of a project in the project_metadata table
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @param {string} oid - The commit OID to store
+ * @param {string|null} [branch] - Branch the commit was processed on
  * @returns {Promise<void>}
  */
-export async function setLastProcessedCommitOid(dbClient, oid) {
+export async function setLastProcessedCommitOid(
+  dbClient,
+  projectId,
+  oid,
+  branch = null
+) {
   try {
     logger.debug(`Setting last processed commit OID to: ${oid}`);
 
     await dbClient.execute({
-      sql: "INSERT OR REPLACE INTO system_metadata (key, value) VALUES (?, ?)",
-      args: ["last_processed_git_oid", oid],
+      sql: "INSERT OR REPLACE INTO project_metadata (project_id, key, value) VALUES (?, ?, ?)",
+      args: [projectId, getLastProcessedCommitOidKey(branch), oid],
     });
 
     logger.debug("Last processed commit OID stored successfully");
@@ -655,6 +776,7 @@ export async function setLastProcessedCommitOid(dbClient, oid) {
     logger.error("Error setting last processed commit OID", {
       error: error.message,
       stack: error.stack,
+      projectId,
       oid,
     });
     throw error;
@@ -662,246 +784,952 @@ export async function setLastProcessedCommitOid(dbClient, oid) {
 }
 
 /**
- * Adds a Git commit to the git_commits table
+ * Gets the index version of a project
+ * The version is bumped whenever indexed code, documents, Git history or AI
+ * results change, so cached retrieval results of an older version are stale.
  * @param {Object} dbClient - The TursoDB client instance
- * @param {Object} commitData - The commit data
- * @param {string} commitData.commit_hash - The commit hash
- * @param {string} commitData.author_name - The author name
- * @param {string} commitData.author_email - The author email
- * @param {string|Date} commitData.commit_date - The commit date (ISO 8601 string or Date object)
- * @param {string} commitData.message - The commit message
- * @returns {Promise<void>}
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<number>} The index version, 0 if it was never bumped
  */
-export async function addGitCommit(dbClient, commitData) {
+export async function getIndexVersion(dbClient, projectId) {
   try {
-    logger.debug(`Adding Git commit to database: ${commitData.commit_hash}`);
-
-    // Convert Date object to ISO string if needed
-    const commitDate =
-      commitData.commit_date instanceof Date
-        ? commitData.commit_date.toISOString()
-        : commitData.commit_date;
-
-    await dbClient.execute({
-      sql: `
-        INSERT OR IGNORE INTO git_commits (
-          commit_hash, 
-          author_name, 
-          author_email, 
-          commit_date, 
-          message
-        ) VALUES (?, ?, ?, ?, ?)
-      `,
-      args: [
-        commitData.commit_hash,
-        commitData.author_name,
-        commitData.author_email,
-        commitDate,
-        commitData.message,
-      ],
+    const result = await dbClient.execute({
+      sql: "SELECT value FROM project_metadata WHERE project_id = ? AND key = ?",
+      args: [projectId, "index_version"],
     });
 
-    logger.debug(`Git commit ${commitData.commit_hash} added successfully`);
+    return result.rows.length > 0 ? Number(result.rows[0].value) || 0 : 0;
   } catch (error) {
-    logger.error("Error adding Git commit to database", {
+    logger.error("Error retrieving index version", {
       error: error.message,
       stack: error.stack,
-      commitHash: commitData.commit_hash,
+      projectId,
     });
     throw error;
   }
 }
 
 /**
- * Adds a Git commit file entry to the git_commit_files table
+ * Increments the index version of a project
+ * The increment is a single statement, so concurrent writers never lose a bump.
  * @param {Object} dbClient - The TursoDB client instance
- * @param {string} commitHash - The commit hash
- * @param {string} filePath - The file path
- * @param {string} status - The file status (added, modified, deleted, renamed)
- * @param {string} [oldFilePath] - The old file path (for renamed files)
+ * @param {string} projectId - ID of the project
  * @returns {Promise<void>}
  */
-export async function addGitCommitFile(
-  dbClient,
-  commitHash,
-  filePath,
-  status,
-  oldFilePath = null
-) {
+export async function bumpIndexVersion(dbClient, projectId) {
   try {
-    logger.debug(
-      `Adding Git commit file to database: ${commitHash} - ${filePath} (${status})`
-    );
+    logger.debug(`Bumping index version of project ${projectId}`);
 
     await dbClient.execute({
       sql: `
-        INSERT INTO git_commit_files (
-          commit_hash,
-          file_path,
-          status
-        ) VALUES (?, ?, ?)
+        INSERT INTO project_metadata (project_id, key, value) VALUES (?, ?, '1')
+        ON CONFLICT (project_id, key) DO UPDATE SET value = CAST(value AS INTEGER) + 1
       `,
-      args: [commitHash, filePath, status],
+      args: [projectId, "index_version"],
+    });
+  } catch (error) {
+    logger.error("Error bumping index version", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
     });
+    throw error;
+  }
+}
 
-    // For renamed files, add an additional entry for the old file path
-    if (status === "renamed" && oldFilePath) {
-      logger.debug(`Adding old path for renamed file: ${oldFilePath}`);
+/**
+ * Gets an arbitrary system-wide value from the system_metadata table
+ * Per-project state belongs in project_metadata (getProjectMetadataValue).
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} key - The metadata key to look up
+ * @returns {Promise<string|null>} The stored value or null if the key is not present
+ */
+export async function getSystemMetadataValue(dbClient, key) {
+  try {
+    logger.debug(`Retrieving system metadata value for key: ${key}`);
 
-      await dbClient.execute({
-        sql: `
-          INSERT INTO git_commit_files (
-            commit_hash,
-            file_path,
-            status
-          ) VALUES (?, ?, ?)
-        `,
-        args: [commitHash, oldFilePath, "renamed_from"],
-      });
+    const result = await dbClient.execute({
+      sql: "SELECT value FROM system_metadata WHERE key = ?",
+      args: [key],
+    });
+
+    if (result.rows.length > 0) {
+      return result.rows[0].value;
     }
 
-    logger.debug(
-      `Git commit file ${commitHash} - ${filePath} added successfully`
-    );
+    return null;
   } catch (error) {
-    logger.error("Error adding Git commit file to database", {
+    logger.error("Error retrieving system metadata value", {
       error: error.message,
       stack: error.stack,
-      commitHash,
-      filePath,
-      status,
+      key,
     });
     throw error;
   }
 }
 
 /**
- * Adds a new background AI job to the background_ai_jobs table
+ * Stores an arbitrary value in the system_metadata table, replacing any existing value
  * @param {Object} dbClient - The TursoDB client instance
- * @param {Object} jobData - The job data
- * @param {string} jobData.job_id - Unique ID for the job (UUID)
- * @param {string} jobData.target_entity_id - ID of the entity/document to process
- * @param {string} jobData.target_entity_type - Type of the target entity (e.g., 'code_entity', 'project_document')
- * @param {string} jobData.task_type - Type of task to perform (e.g., 'enrich_entity_summary_keywords')
- * @param {string} [jobData.status='pending'] - Initial status for the job
- * @param {string} [jobData.payload] - Optional additional data needed for the job (JSON string)
- * @param {number} [jobData.max_attempts] - Maximum number of attempts (uses default from schema if not provided)
+ * @param {string} key - The metadata key to store
+ * @param {string} value - The value to store (callers serialize objects to JSON)
  * @returns {Promise<void>}
  */
-export async function addBackgroundAiJob(dbClient, jobData) {
+export async function setSystemMetadataValue(dbClient, key, value) {
   try {
-    logger.debug(
-      `Adding background AI job to database: ${jobData.job_id} for ${jobData.target_entity_type} ${jobData.target_entity_id}`
-    );
-
-    // Set default status if not provided
-    const status = jobData.status || "pending";
+    logger.debug(`Setting system metadata value for key: ${key}`);
 
     await dbClient.execute({
-      sql: `
-        INSERT INTO background_ai_jobs (
-          job_id,
-          target_entity_id,
-          target_entity_type,
-          task_type,
-          status,
-          payload,
-          max_attempts
-        ) VALUES (?, ?, ?, ?, ?, ?, ?)
-      `,
-      args: [
-        jobData.job_id,
-        jobData.target_entity_id,
-        jobData.target_entity_type,
-        jobData.task_type,
-        status,
-        jobData.payload || null,
-        jobData.max_attempts || null, // If null, will use the default from schema
-      ],
+      sql: "INSERT OR REPLACE INTO system_metadata (key, value) VALUES (?, ?)",
+      args: [key, value],
     });
-
-    logger.debug(`Background AI job ${jobData.job_id} added successfully`);
   } catch (error) {
-    logger.error("Error adding background AI job to database", {
+    logger.error("Error setting system metadata value", {
       error: error.message,
       stack: error.stack,
-      jobId: jobData.job_id,
-      targetEntityId: jobData.target_entity_id,
+      key,
     });
     throw error;
   }
 }
 
 /**
- * Cancels/deletes background AI jobs for a specific entity
+ * Registers a project, or refreshes the registration of a known one
+ * Projects are identified by name, so a database shared between machines
+ * recognizes a repository checked out at different paths. Data indexed before
+ * projects existed belongs to a placeholder project without a root path
+ * (migration 002); the first project registered adopts it.
  * @param {Object} dbClient - The TursoDB client instance
- * @param {string} targetEntityId - ID of the entity for which to cancel jobs
- * @returns {Promise<{deletedCount: number}>} The number of jobs deleted
+ * @param {Object} projectData - The project to register
+ * @param {string} projectData.name - Unique project name
+ * @param {string} projectData.root_path - Absolute path of the repository
+ * @returns {Promise<Object>} The registered project row
  */
-export async function cancelBackgroundAiJobsForEntity(
-  dbClient,
-  targetEntityId
-) {
+export async function registerProject(dbClient, projectData) {
   try {
-    logger.debug(
-      `Cancelling background AI jobs for entity ID: ${targetEntityId}`
-    );
+    if (!projectData.name || !projectData.root_path) {
+      throw new Error("Missing required fields: name and root_path");
+    }
 
-    // Only delete jobs that are in a cancellable state (pending or retry_ai)
-    const result = await dbClient.execute({
-      sql: `
-        DELETE FROM background_ai_jobs
-        WHERE target_entity_id = ?
-        AND status IN ('pending', 'retry_ai')
-      `,
-      args: [targetEntityId],
+    logger.debug(`Registering project: ${projectData.name}`, {
+      rootPath: projectData.root_path,
     });
 
-    const deletedCount = result.rowsAffected;
-    logger.info(
-      `Cancelled ${deletedCount} background AI jobs for entity ID: ${targetEntityId}`
+    const existingProject = await getProjectByName(dbClient, projectData.name);
+    if (existingProject) {
+      if (
+        existingProject.root_path &&
+        existingProject.root_path !== projectData.root_path
+      ) {
+        logger.warn(
+          `Project '${projectData.name}' was registered from ${existingProject.root_path} and is now opened from ${projectData.root_path}; set PROJECT_NAME to keep different repositories apart`
+        );
+      }
+
+      await dbClient.execute({
+        sql: `
+          UPDATE projects
+          SET root_path = ?, last_opened_at = CURRENT_TIMESTAMP
+          WHERE project_id = ?
+        `,
+        args: [projectData.root_path, existingProject.project_id],
+      });
+      return getProjectById(dbClient, existingProject.project_id);
+    }
+
+    // Adopt the placeholder project holding data from before projects existed
+    const placeholder = await dbClient.execute(
+      "SELECT project_id FROM projects WHERE root_path IS NULL LIMIT 1"
     );
+    if (placeholder.rows.length > 0) {
+      const projectId = placeholder.rows[0].project_id;
+      await dbClient.execute({
+        sql: `
+          UPDATE projects
+          SET name = ?, root_path = ?, last_opened_at = CURRENT_TIMESTAMP
+          WHERE project_id = ?
+        `,
+        args: [projectData.name, projectData.root_path, projectId],
+      });
+      logger.info(
+        `Project '${projectData.name}' adopted the data indexed before multi-project support`,
+        { projectId }
+      );
+      return getProjectById(dbClient, projectId);
+    }
 
-    return { deletedCount };
+    const projectId = uuidv4();
+    await dbClient.execute({
+      sql: "INSERT INTO projects (project_id, name, root_path) VALUES (?, ?, ?)",
+      args: [projectId, projectData.name, projectData.root_path],
+    });
+    logger.info(`Registered new project '${projectData.name}'`, {
+      projectId,
+      rootPath: projectData.root_path,
+    });
+
+    return getProjectById(dbClient, projectId);
   } catch (error) {
-    logger.error("Error cancelling background AI jobs for entity", {
+    logger.error("Error registering project", {
       error: error.message,
       stack: error.stack,
-      targetEntityId,
+      name: projectData.name,
+      rootPath: projectData.root_path,
     });
     throw error;
   }
 }
 
 /**
- * Fetches pending AI jobs from the background_ai_jobs table that are eligible for processing
+ * Gets a project by its ID
  * @param {Object} dbClient - The TursoDB client instance
- * @param {number} limit - Maximum number of jobs to fetch
- * @returns {Promise<Array>} Array of job objects, or empty array if none found
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<Object|null>} The project row or null if not found
  */
-export async function fetchPendingAiJobs(dbClient, limit) {
+export async function getProjectById(dbClient, projectId) {
   try {
-    logger.debug(`Fetching up to ${limit} pending AI jobs`);
-
     const result = await dbClient.execute({
-      sql: `
-        SELECT *
-        FROM background_ai_jobs
-        WHERE status = 'pending'
-        OR (status = 'retry_ai' AND attempts < max_attempts)
-        ORDER BY created_at ASC, attempts ASC, last_attempted_at ASC
-        LIMIT ?
-      `,
-      args: [limit],
+      sql: "SELECT * FROM projects WHERE project_id = ?",
+      args: [projectId],
     });
 
-    logger.debug(`Fetched ${result.rows.length} pending AI jobs`);
-    return result.rows;
+    return result.rows.length > 0 ? result.rows[0] : null;
   } catch (error) {
-    logger.error("Error fetching pending AI jobs", {
+    logger.error("Error retrieving project by ID", {
       error: error.message,
       stack: error.stack,
-      limit,
+      projectId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Gets a project by its name
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} name - Name of the project
+ * @returns {Promise<Object|null>} The project row or null if not found
+ */
+export async function getProjectByName(dbClient, name) {
+  try {
+    const result = await dbClient.execute({
+      sql: "SELECT * FROM projects WHERE name = ?",
+      args: [name],
+    });
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error("Error retrieving project by name", {
+      error: error.message,
+      stack: error.stack,
+      name,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Lists all registered projects, most recently opened first
+ * @param {Object} dbClient - The TursoDB client instance
+ * @returns {Promise<Array>} Array of project rows
+ */
+export async function listProjects(dbClient) {
+  try {
+    const result = await dbClient.execute(
+      "SELECT * FROM projects ORDER BY last_opened_at DESC, name ASC"
+    );
+    return result.rows || [];
+  } catch (error) {
+    logger.error("Error listing projects", {
+      error: error.message,
+      stack: error.stack,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Gets a value from the project_metadata table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string} key - The metadata key to look up
+ * @returns {Promise<string|null>} The stored value or null if the key is not present
+ */
+export async function getProjectMetadataValue(dbClient, projectId, key) {
+  try {
+    logger.debug(`Retrieving project metadata value for key: ${key}`);
+
+    const result = await dbClient.execute({
+      sql: "SELECT value FROM project_metadata WHERE project_id = ? AND key = ?",
+      args: [projectId, key],
+    });
+
+    if (result.rows.length > 0) {
+      return result.rows[0].value;
+    }
+
+    return null;
+  } catch (error) {
+    logger.error("Error retrieving project metadata value", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      key,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Stores a value in the project_metadata table, replacing any existing value
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string} key - The metadata key to store
+ * @param {string} value - The value to store (callers serialize objects to JSON)
+ * @returns {Promise<void>}
+ */
+export async function setProjectMetadataValue(dbClient, projectId, key, value) {
+  try {
+    logger.debug(`Setting project metadata value for key: ${key}`);
+
+    await dbClient.execute({
+      sql: "INSERT OR REPLACE INTO project_metadata (project_id, key, value) VALUES (?, ?, ?)",
+      args: [projectId, key, value],
+    });
+  } catch (error) {
+    logger.error("Error setting project metadata value", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      key,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Builds the project_metadata key holding the entities changed in a conversation without messages
+ * @param {string} conversationId - The conversation session ID
+ * @returns {string} The metadata key
+ */
+function getConversationChangedEntitiesKey(conversationId) {
+  return `conversation_changed_entities:${conversationId}`;
+}
+
+/**
+ * Gets the code entity IDs recorded against a conversation by code changes reported without messages
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string} conversationId - The conversation session ID
+ * @returns {Promise<string[]>} The entity IDs, or an empty array if none were recorded
+ */
+export async function getConversationChangedEntityIds(
+  dbClient,
+  projectId,
+  conversationId
+) {
+  const value = await getProjectMetadataValue(
+    dbClient,
+    projectId,
+    getConversationChangedEntitiesKey(conversationId)
+  );
+
+  try {
+    const entityIds = value ? JSON.parse(value) : [];
+    return Array.isArray(entityIds) ? entityIds : [];
+  } catch (error) {
+    logger.warn("Changed entities of conversation are not valid JSON", {
+      error: error.message,
+      projectId,
+      conversationId,
+    });
+    return [];
+  }
+}
+
+/**
+ * Records code entity IDs against a conversation, keeping the ones recorded before
+ * Used for code changes reported without messages, whose entities cannot be
+ * attached to a message.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string} conversationId - The conversation session ID
+ * @param {string[]} entityIds - IDs of the changed code entities
+ * @returns {Promise<void>}
+ */
+export async function addConversationChangedEntityIds(
+  dbClient,
+  projectId,
+  conversationId,
+  entityIds
+) {
+  const storedEntityIds = await getConversationChangedEntityIds(
+    dbClient,
+    projectId,
+    conversationId
+  );
+
+  await setProjectMetadataValue(
+    dbClient,
+    projectId,
+    getConversationChangedEntitiesKey(conversationId),
+    JSON.stringify([...new Set([...storedEntityIds, ...entityIds])])
+  );
+}
+
+/**
+ * Adds a Git commit to the git_commits table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Object} commitData - The commit data
+ * @param {string} commitData.project_id - ID of the project the commit belongs to
+ * @param {string} commitData.commit_hash - The commit hash
+ * @param {string} commitData.author_name - The author name
+ * @param {string} commitData.author_email - The author email
+ * @param {string|Date} commitData.commit_date - The commit date (ISO 8601 string or Date object)
+ * @param {string} commitData.message - The commit message
+ * @returns {Promise<void>}
+ */
+export async function addGitCommit(dbClient, commitData) {
+  try {
+    logger.debug(`Adding Git commit to database: ${commitData.commit_hash}`);
+
+    // Convert Date object to ISO string if needed
+    const commitDate =
+      commitData.commit_date instanceof Date
+        ? commitData.commit_date.toISOString()
+        : commitData.commit_date;
+
+    await dbClient.execute({
+      sql: `
+        INSERT OR IGNORE INTO git_commits (
+          project_id,
+          commit_hash, 
+          author_name, 
+          author_email, 
+          commit_date, 
+          message
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      args: [
+        commitData.project_id,
+        commitData.commit_hash,
+        commitData.author_name,
+        commitData.author_email,
+        commitDate,
+        commitData.message,
+      ],
+    });
+
+    logger.debug(`Git commit ${commitData.commit_hash} added successfully`);
+  } catch (error) {
+    logger.error("Error adding Git commit to database", {
+      error: error.message,
+      stack: error.stack,
+      commitHash: commitData.commit_hash,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Checks whether a Git commit of a project is stored
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {string} commitHash - The commit hash
+ * @returns {Promise<boolean>} True if the commit is in git_commits
+ */
+export async function hasGitCommit(dbClient, projectId, commitHash) {
+  try {
+    const result = await dbClient.execute({
+      sql: "SELECT 1 FROM git_commits WHERE project_id = ? AND commit_hash = ?",
+      args: [projectId, commitHash],
+    });
+
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error("Error checking for Git commit", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      commitHash,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Marks stored Git commits as reachable from a branch or not
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @param {Array<string>} commitHashes - Hashes of the commits
+ * @param {boolean} reachable - False if no branch contains the commits anymore
+ * @returns {Promise<number>} Number of commits whose state changed
+ */
+export async function setGitCommitsReachable(
+  dbClient,
+  projectId,
+  commitHashes,
+  reachable
+) {
+  try {
+    if (commitHashes.length === 0) {
+      return 0;
+    }
+
+    logger.debug(
+      `Marking ${commitHashes.length} Git commits as ${
+        reachable ? "reachable" : "unreachable"
+      }`
+    );
+
+    const results = await dbClient.batch(
+      commitHashes.map((commitHash) => ({
+        sql: reachable
+          ? "UPDATE git_commits SET unreachable_at = NULL WHERE project_id = ? AND commit_hash = ? AND unreachable_at IS NOT NULL"
+          : "UPDATE git_commits SET unreachable_at = ? WHERE project_id = ? AND commit_hash = ? AND unreachable_at IS NULL",
+        args: reachable
+          ? [projectId, commitHash]
+          : [new Date().toISOString(), projectId, commitHash],
+      })),
+      "write"
+    );
+
+    return results.reduce((count, result) => count + result.rowsAffected, 0);
+  } catch (error) {
+    logger.error("Error updating reachability of Git commits", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      commitCount: commitHashes.length,
+      reachable,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds a Git commit file entry to the git_commit_files table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the commit belongs to
+ * @param {string} commitHash - The commit hash
+ * @param {string} filePath - The file path
+ * @param {string} status - The file status (added, modified, deleted, renamed)
+ * @param {string} [oldFilePath] - The old file path (for renamed files)
+ * @returns {Promise<void>}
+ */
+export async function addGitCommitFile(
+  dbClient,
+  projectId,
+  commitHash,
+  filePath,
+  status,
+  oldFilePath = null
+) {
+  try {
+    logger.debug(
+      `Adding Git commit file to database: ${commitHash} - ${filePath} (${status})`
+    );
+
+    await dbClient.execute({
+      sql: `
+        INSERT INTO git_commit_files (
+          project_id,
+          commit_hash,
+          file_path,
+          status
+        ) VALUES (?, ?, ?, ?)
+      `,
+      args: [projectId, commitHash, filePath, status],
+    });
+
+    // For renamed files, add an additional entry for the old file path
+    if (status === "renamed" && oldFilePath) {
+      logger.debug(`Adding old path for renamed file: ${oldFilePath}`);
+
+      await dbClient.execute({
+        sql: `
+          INSERT INTO git_commit_files (
+            project_id,
+            commit_hash,
+            file_path,
+            status
+          ) VALUES (?, ?, ?, ?)
+        `,
+        args: [projectId, commitHash, oldFilePath, "renamed_from"],
+      });
+    }
+
+    logger.debug(
+      `Git commit file ${commitHash} - ${filePath} added successfully`
+    );
+  } catch (error) {
+    logger.error("Error adding Git commit file to database", {
+      error: error.message,
+      stack: error.stack,
+      commitHash,
+      filePath,
+      status,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds the diff hunks of a Git commit to the git_commit_hunks table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the commit belongs to
+ * @param {string} commitHash - The commit hash
+ * @param {Array<Object>} hunks - Hunks { filePath, oldStart, oldLines, newStart, newLines, content }
+ * @returns {Promise<void>}
+ */
+export async function addGitCommitHunks(
+  dbClient,
+  projectId,
+  commitHash,
+  hunks
+) {
+  try {
+    if (!hunks || hunks.length === 0) {
+      return;
+    }
+
+    logger.debug(
+      `Adding ${hunks.length} diff hunks of Git commit ${commitHash} to database`
+    );
+
+    await dbClient.batch(
+      hunks.map((hunk) => ({
+        sql: `
+          INSERT INTO git_commit_hunks (
+            project_id,
+            commit_hash,
+            file_path,
+            old_start,
+            old_lines,
+            new_start,
+            new_lines,
+            content
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        args: [
+          projectId,
+          commitHash,
+          hunk.filePath,
+          hunk.oldStart,
+          hunk.oldLines,
+          hunk.newStart,
+          hunk.newLines,
+          hunk.content,
+        ],
+      })),
+      "write"
+    );
+  } catch (error) {
+    logger.error("Error adding Git commit hunks to database", {
+      error: error.message,
+      stack: error.stack,
+      commitHash,
+      hunkCount: hunks.length,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Gets the diff hunks of a file in a Git commit
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the commit belongs to
+ * @param {string} commitHash - The commit hash
+ * @param {string} filePath - The file path, relative to the repository root
+ * @returns {Promise<Array>} - Hunk rows in file order
+ */
+export async function getGitCommitHunks(
+  dbClient,
+  projectId,
+  commitHash,
+  filePath
+) {
+  try {
+    const result = await dbClient.execute({
+      sql: `
+        SELECT hunk_id, file_path, old_start, old_lines, new_start, new_lines, content
+        FROM git_commit_hunks
+        WHERE project_id = ? AND commit_hash = ? AND file_path = ?
+        ORDER BY hunk_id
+      `,
+      args: [projectId, commitHash, filePath],
+    });
+    return result.rows || [];
+  } catch (error) {
+    logger.error("Error getting Git commit hunks", {
+      error: error.message,
+      stack: error.stack,
+      commitHash,
+      filePath,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds a new background AI job to the background_ai_jobs table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Object} jobData - The job data
+ * @param {string} jobData.job_id - Unique ID for the job (UUID)
+ * @param {string} [jobData.project_id] - ID of the project the target belongs to
+ * @param {string} jobData.target_entity_id - ID of the entity/document to process
+ * @param {string} jobData.target_entity_type - Type of the target entity (e.g., 'code_entity', 'project_document')
+ * @param {string} jobData.task_type - Type of task to perform (e.g., 'enrich_entity_summary_keywords')
+ * @param {string} [jobData.status='pending'] - Initial status for the job
+ * @param {string} [jobData.payload] - Optional additional data needed for the job (JSON string)
+ * @param {number} [jobData.max_attempts] - Maximum number of attempts (uses default from schema if not provided)
+ * @returns {Promise<void>}
+ */
+export async function addBackgroundAiJob(dbClient, jobData) {
+  try {
+    logger.debug(
+      `Adding background AI job to database: ${jobData.job_id} for ${jobData.target_entity_type} ${jobData.target_entity_id}`
+    );
+
+    // Set default status if not provided
+    const status = jobData.status || "pending";
+
+    await dbClient.execute({
+      sql: `
+        INSERT INTO background_ai_jobs (
+          job_id,
+          project_id,
+          target_entity_id,
+          target_entity_type,
+          task_type,
+          status,
+          payload,
+          max_attempts
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, 3))
+      `,
+      args: [
+        jobData.job_id,
+        jobData.project_id || null,
+        jobData.target_entity_id,
+        jobData.target_entity_type,
+        jobData.task_type,
+        status,
+        jobData.payload || null,
+        jobData.max_attempts || null, // If null, COALESCE falls back to the schema default
+      ],
+    });
+
+    logger.debug(`Background AI job ${jobData.job_id} added successfully`);
+  } catch (error) {
+    logger.error("Error adding background AI job to database", {
+      error: error.message,
+      stack: error.stack,
+      jobId: jobData.job_id,
+      targetEntityId: jobData.target_entity_id,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds several background AI jobs in one transaction
+ * A job is skipped when its target already has a job of the same task type
+ * waiting to be processed, as in getPendingAiJobForTarget().
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Array<Object>} jobsData - Job data as for addBackgroundAiJob()
+ * @returns {Promise<{insertedJobIds: string[]}>} IDs of the jobs that were added
+ */
+export async function addBackgroundAiJobs(dbClient, jobsData) {
+  try {
+    logger.debug(`Adding ${jobsData.length} background AI jobs to database`);
+
+    if (jobsData.length === 0) {
+      return { insertedJobIds: [] };
+    }
+
+    const resultSets = await dbClient.batch(
+      jobsData.map((jobData) => ({
+        sql: `
+          INSERT INTO background_ai_jobs (
+            job_id,
+            project_id,
+            target_entity_id,
+            target_entity_type,
+            task_type,
+            status,
+            payload,
+            max_attempts
+          )
+          SELECT ?, ?, ?, ?, ?, ?, ?, COALESCE(?, 3)
+          WHERE NOT EXISTS (
+            SELECT 1 FROM background_ai_jobs
+            WHERE project_id IS ?
+            AND target_entity_id = ?
+            AND target_entity_type = ?
+            AND task_type = ?
+            AND status IN ('pending', 'retry_ai', 'rate_limited')
+          )
+        `,
+        args: [
+          jobData.job_id,
+          jobData.project_id || null,
+          jobData.target_entity_id,
+          jobData.target_entity_type,
+          jobData.task_type,
+          jobData.status || "pending",
+          jobData.payload || null,
+          jobData.max_attempts || null,
+          jobData.project_id || null,
+          jobData.target_entity_id,
+          jobData.target_entity_type,
+          jobData.task_type,
+        ],
+      })),
+      "write"
+    );
+
+    const insertedJobIds = jobsData
+      .filter((jobData, index) => resultSets[index].rowsAffected > 0)
+      .map((jobData) => jobData.job_id);
+
+    logger.debug(
+      `Added ${insertedJobIds.length} of ${jobsData.length} background AI jobs`
+    );
+
+    return { insertedJobIds };
+  } catch (error) {
+    logger.error("Error adding background AI jobs to database", {
+      error: error.message,
+      stack: error.stack,
+      jobCount: jobsData.length,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Finds a job that is still waiting to be processed for the given target and task type
+ * Used to de-duplicate enqueue requests for the same entity. Rate limited jobs
+ * are waiting too; targets are matched within a project, since another
+ * project may use the same IDs.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string|null} projectId - ID of the project the target belongs to
+ * @param {string} targetEntityId - ID of the entity the job targets
+ * @param {string} targetEntityType - Type of the target entity (e.g., 'code_entity')
+ * @param {string} taskType - Type of task (e.g., 'enrich_entity_summary_keywords')
+ * @returns {Promise<Object|null>} The waiting job row or null if none exists
+ */
+export async function getPendingAiJobForTarget(
+  dbClient,
+  projectId,
+  targetEntityId,
+  targetEntityType,
+  taskType
+) {
+  try {
+    logger.debug(
+      `Looking up pending AI job for target ${targetEntityId} and task type ${taskType}`
+    );
+
+    const result = await dbClient.execute({
+      sql: `
+        SELECT *
+        FROM background_ai_jobs
+        WHERE project_id IS ?
+        AND target_entity_id = ?
+        AND target_entity_type = ?
+        AND task_type = ?
+        AND status IN ('pending', 'retry_ai', 'rate_limited')
+        ORDER BY created_at ASC
+        LIMIT 1
+      `,
+      args: [projectId || null, targetEntityId, targetEntityType, taskType],
+    });
+
+    return result.rows.length > 0 ? result.rows[0] : null;
+  } catch (error) {
+    logger.error("Error looking up pending AI job for target", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      targetEntityId,
+      targetEntityType,
+      taskType,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Cancels/deletes background AI jobs for a specific entity
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} targetEntityId - ID of the entity for which to cancel jobs
+ * @returns {Promise<{deletedCount: number}>} The number of jobs deleted
+ */
+export async function cancelBackgroundAiJobsForEntity(
+  dbClient,
+  targetEntityId
+) {
+  try {
+    logger.debug(
+      `Cancelling background AI jobs for entity ID: ${targetEntityId}`
+    );
+
+    // Only delete jobs that are in a cancellable state (pending or retry_ai)
+    const result = await dbClient.execute({
+      sql: `
+        DELETE FROM background_ai_jobs
+        WHERE target_entity_id = ?
+        AND status IN ('pending', 'retry_ai')
+      `,
+      args: [targetEntityId],
+    });
+
+    const deletedCount = result.rowsAffected;
+    logger.info(
+      `Cancelled ${deletedCount} background AI jobs for entity ID: ${targetEntityId}`
+    );
+
+    return { deletedCount };
+  } catch (error) {
+    logger.error("Error cancelling background AI jobs for entity", {
+      error: error.message,
+      stack: error.stack,
+      targetEntityId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fetches pending AI jobs from the background_ai_jobs table that are eligible for processing
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {number} limit - Maximum number of jobs to fetch
+ * @returns {Promise<Array>} Array of job objects, or empty array if none found
+ */
+export async function fetchPendingAiJobs(dbClient, limit) {
+  try {
+    logger.debug(`Fetching up to ${limit} pending AI jobs`);
+
+    const result = await dbClient.execute({
+      sql: `
+        SELECT *
+        FROM background_ai_jobs
+        WHERE status = 'pending'
+        OR (status = 'retry_ai' AND attempts < max_attempts)
+        ORDER BY created_at ASC, attempts ASC, last_attempted_at ASC
+        LIMIT ?
+      `,
+      args: [limit],
+    });
+
+    logger.debug(`Fetched ${result.rows.length} pending AI jobs`);
+    return result.rows;
+  } catch (error) {
+    logger.error("Error fetching pending AI jobs", {
+      error: error.message,
+      stack: error.stack,
+      limit,
     });
     throw error;
   }
@@ -1050,8 +1878,11 @@ export async function updateEntityAiStatusForJobTarget(
 }
 
 /**
- * Master function to initialize all database tables and schema
- * This function calls all individual table setup functions in sequence
+ * Creates the baseline database schema (schema version 1)
+ * Every statement is idempotent (CREATE ... IF NOT EXISTS), so this also
+ * adopts databases created before migrations existed. It is applied by
+ * migration 001; call runMigrations() from migrate.js to bring a database up
+ * to date instead of calling this directly.
  * @param {Object} dbClient - The TursoDB client instance
  * @returns {Promise<void>}
  */
@@ -1074,48 +1905,20 @@ export async function initializeDatabaseSchema(dbClient) {
     await setupCodeRelationshipsTable(dbClient);
     await setupEntityKeywordsTable(dbClient);
 
-    // Handle circular dependency between conversation tables
-    // First create tables without foreign key constraints
-    try {
-      await dbClient.execute(`
-        CREATE TABLE IF NOT EXISTS conversation_history (
-          message_id TEXT PRIMARY KEY,
-          conversation_id TEXT NOT NULL,
-          role TEXT NOT NULL,
-          content TEXT NOT NULL,
-          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
-          related_entity_ids TEXT,
-          topic_id TEXT
-        )
-      `);
-
-      await dbClient.execute(`
-        CREATE TABLE IF NOT EXISTS conversation_topics (
-          topic_id TEXT PRIMARY KEY,
-          conversation_id TEXT NOT NULL,
-          summary TEXT,
-          keywords TEXT,
-          purpose_tag TEXT,
-          start_message_id TEXT,
-          end_message_id TEXT,
-          start_timestamp DATETIME,
-          end_timestamp DATETIME,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Now that both tables exist, call the setup functions to handle indexes and any missing pieces
-      await setupConversationTopicsTable(dbClient);
-      await setupConversationHistoryTable(dbClient);
-    } catch (err) {
-      // If tables already exist with constraints, just call the standard setup functions
-      await setupConversationHistoryTable(dbClient);
-      await setupConversationTopicsTable(dbClient);
-    }
+    // The conversation tables reference each other; SQLite accepts foreign
+    // keys to tables that do not exist yet, so creation order does not matter
+    await setupConversationTopicsTable(dbClient);
+    await setupConversationHistoryTable(dbClient);
 
     // Initialize background jobs table
     await setupBackgroundAiJobsTable(dbClient);
 
+    // Initialize milestones table
+    await setupMilestonesTable(dbClient);
+
+    // Initialize embeddings table
+    await setupEmbeddingsTable(dbClient);
+
     logger.info("Database schema initialization completed successfully");
   } catch (error) {
     logger.error("Critical error during database schema initialization", {
@@ -1131,6 +1934,7 @@ export async function initializeDatabaseSchema(dbClient) {
  * @param {Object} dbClient - The TursoDB client instance
  * @param {Object} entityData - The entity data to insert or update
  * @param {string} entityData.entity_id - Unique identifier for the entity
+ * @param {string} entityData.project_id - ID of the project the entity belongs to
  * @param {string} entityData.file_path - Path to the file containing the entity
  * @param {string} entityData.entity_type - Type of entity (function, class, etc.)
  * @param {string} entityData.name - Name of the entity
@@ -1154,83 +1958,9 @@ export async function addOrUpdateCodeEntity(dbClient, entityData) {
       `Adding or updating code entity: ${entityData.entity_id} (${entityData.name})`
     );
 
-    // Ensure we have all required fields
-    if (
-      !entityData.entity_id ||
-      !entityData.file_path ||
-      !entityData.entity_type ||
-      !entityData.language ||
-      entityData.start_line === undefined ||
-      entityData.start_column === undefined ||
-      entityData.end_line === undefined ||
-      entityData.end_column === undefined
-    ) {
-      throw new Error("Missing required fields for code entity");
-    }
-
-    // Set default values for optional fields
-    const parsingStatus = entityData.parsing_status || "pending";
-    const aiStatus = entityData.ai_status || "pending";
-
-    const result = await dbClient.execute({
-      sql: `
-        INSERT INTO code_entities (
-          entity_id,
-          file_path,
-          entity_type,
-          name,
-          start_line,
-          start_column,
-          end_line,
-          end_column,
-          content_hash,
-          raw_content,
-          summary,
-          language,
-          parent_entity_id,
-          parsing_status,
-          ai_status,
-          custom_metadata,
-          created_at,
-          last_modified_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        ON CONFLICT (entity_id) DO UPDATE SET
-          file_path = excluded.file_path,
-          entity_type = excluded.entity_type,
-          name = excluded.name,
-          start_line = excluded.start_line,
-          start_column = excluded.start_column,
-          end_line = excluded.end_line,
-          end_column = excluded.end_column,
-          content_hash = excluded.content_hash,
-          raw_content = excluded.raw_content,
-          summary = excluded.summary,
-          language = excluded.language,
-          parent_entity_id = excluded.parent_entity_id,
-          parsing_status = excluded.parsing_status,
-          ai_status = excluded.ai_status,
-          custom_metadata = excluded.custom_metadata,
-          last_modified_at = CURRENT_TIMESTAMP
-      `,
-      args: [
-        entityData.entity_id,
-        entityData.file_path,
-        entityData.entity_type,
-        entityData.name || null,
-        entityData.start_line,
-        entityData.start_column,
-        entityData.end_line,
-        entityData.end_column,
-        entityData.content_hash || null,
-        entityData.raw_content || null,
-        entityData.summary || null,
-        entityData.language,
-        entityData.parent_entity_id || null,
-        parsingStatus,
-        aiStatus,
-        entityData.custom_metadata || null,
-      ],
-    });
+    const result = await dbClient.execute(
+      buildCodeEntityUpsertStatement(entityData)
+    );
 
     logger.debug(
       `Code entity ${entityData.entity_id} added or updated successfully`
@@ -1246,6 +1976,96 @@ export async function addOrUpdateCodeEntity(dbClient, entityData) {
   }
 }
 
+/**
+ * Builds the statement that inserts or updates a code entity
+ * Shared by addOrUpdateCodeEntity() and replaceCodeEntitiesForFile().
+ * @param {Object} entityData - The entity data, see addOrUpdateCodeEntity()
+ * @returns {{sql: string, args: Array}} The upsert statement
+ */
+function buildCodeEntityUpsertStatement(entityData) {
+  // Ensure we have all required fields
+  if (
+    !entityData.entity_id ||
+    !entityData.project_id ||
+    !entityData.file_path ||
+    !entityData.entity_type ||
+    !entityData.language ||
+    entityData.start_line === undefined ||
+    entityData.start_column === undefined ||
+    entityData.end_line === undefined ||
+    entityData.end_column === undefined
+  ) {
+    throw new Error("Missing required fields for code entity");
+  }
+
+  // Set default values for optional fields
+  const parsingStatus = entityData.parsing_status || "pending";
+  const aiStatus = entityData.ai_status || "pending";
+
+  return {
+    sql: `
+      INSERT INTO code_entities (
+        entity_id,
+        project_id,
+        file_path,
+        entity_type,
+        name,
+        start_line,
+        start_column,
+        end_line,
+        end_column,
+        content_hash,
+        raw_content,
+        summary,
+        language,
+        parent_entity_id,
+        parsing_status,
+        ai_status,
+        custom_metadata,
+        created_at,
+        last_modified_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (entity_id) DO UPDATE SET
+        project_id = excluded.project_id,
+        file_path = excluded.file_path,
+        entity_type = excluded.entity_type,
+        name = excluded.name,
+        start_line = excluded.start_line,
+        start_column = excluded.start_column,
+        end_line = excluded.end_line,
+        end_column = excluded.end_column,
+        content_hash = excluded.content_hash,
+        raw_content = excluded.raw_content,
+        summary = excluded.summary,
+        language = excluded.language,
+        parent_entity_id = excluded.parent_entity_id,
+        parsing_status = excluded.parsing_status,
+        ai_status = excluded.ai_status,
+        custom_metadata = excluded.custom_metadata,
+        last_modified_at = CURRENT_TIMESTAMP
+    `,
+    args: [
+      entityData.entity_id,
+      entityData.project_id,
+      entityData.file_path,
+      entityData.entity_type,
+      entityData.name || null,
+      entityData.start_line,
+      entityData.start_column,
+      entityData.end_line,
+      entityData.end_column,
+      entityData.content_hash || null,
+      entityData.raw_content || null,
+      entityData.summary || null,
+      entityData.language,
+      entityData.parent_entity_id || null,
+      parsingStatus,
+      aiStatus,
+      entityData.custom_metadata || null,
+    ],
+  };
+}
+
 /**
  * Gets a code entity by its ID
  * @param {Object} dbClient - The TursoDB client instance
@@ -1281,16 +2101,34 @@ export async function getCodeEntityById(dbClient, entityId) {
 /**
  * Deletes all code entities associated with a specific file path
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the file belongs to
  * @param {string} filePath - The file path for which to delete entities
  * @returns {Promise<{deletedCount: number}>} The number of entities deleted
  */
-export async function deleteCodeEntitiesByFilePath(dbClient, filePath) {
+export async function deleteCodeEntitiesByFilePath(
+  dbClient,
+  projectId,
+  filePath
+) {
   try {
     logger.debug(`Deleting code entities for file path: ${filePath}`);
 
+    // Drop the embeddings first, while the entity IDs can still be resolved
+    await dbClient.execute({
+      sql: `
+        DELETE FROM embeddings 
+        WHERE entity_type = 'code_entity' 
+          AND entity_id IN (
+            SELECT entity_id FROM code_entities
+            WHERE project_id = ? AND file_path = ?
+          )
+      `,
+      args: [projectId, filePath],
+    });
+
     const result = await dbClient.execute({
-      sql: "DELETE FROM code_entities WHERE file_path = ?",
-      args: [filePath],
+      sql: "DELETE FROM code_entities WHERE project_id = ? AND file_path = ?",
+      args: [projectId, filePath],
     });
 
     const deletedCount = result.rowsAffected;
@@ -1303,6 +2141,7 @@ export async function deleteCodeEntitiesByFilePath(dbClient, filePath) {
     logger.error("Error deleting code entities by file path", {
       error: error.message,
       stack: error.stack,
+      projectId,
       filePath,
     });
     throw error;
@@ -1376,19 +2215,64 @@ export async function updateCodeEntityAiStatus(
   }
 }
 
+/**
+ * Merges structured fields into a code entity's custom_metadata JSON
+ * Existing keys (such as $.keywords, which feeds the FTS index) are preserved
+ * unless the patch provides a new value for them.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} entityId - The ID of the code entity to update
+ * @param {Object} metadataPatch - Object merged into custom_metadata (RFC 7396 merge patch)
+ * @returns {Promise<Object>} The result of the update operation
+ */
+export async function mergeCodeEntityCustomMetadata(
+  dbClient,
+  entityId,
+  metadataPatch
+) {
+  try {
+    logger.debug(`Merging custom metadata for code entity ${entityId}`, {
+      keys: Object.keys(metadataPatch),
+    });
+
+    const result = await dbClient.execute({
+      sql: `UPDATE code_entities
+            SET custom_metadata = json_patch(
+              CASE WHEN json_valid(custom_metadata) THEN custom_metadata ELSE '{}' END,
+              ?
+            )
+            WHERE entity_id = ?`,
+      args: [JSON.stringify(metadataPatch), entityId],
+    });
+
+    if (result.rowsAffected === 0) {
+      logger.warn(`No code entity found to update with ID: ${entityId}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error("Error merging custom metadata for code entity", {
+      error: error.message,
+      stack: error.stack,
+      entityId,
+    });
+    throw error;
+  }
+}
+
 /**
  * Gets all code entities for a specific file path
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the file belongs to
  * @param {string} filePath - The file path to retrieve entities for
  * @returns {Promise<Array<Object>>} The code entities for the file path
  */
-export async function getCodeEntitiesByFilePath(dbClient, filePath) {
+export async function getCodeEntitiesByFilePath(dbClient, projectId, filePath) {
   try {
     logger.debug(`Retrieving code entities for file path: ${filePath}`);
 
     const result = await dbClient.execute({
-      sql: "SELECT * FROM code_entities WHERE file_path = ? ORDER BY start_line, start_column",
-      args: [filePath],
+      sql: "SELECT * FROM code_entities WHERE project_id = ? AND file_path = ? ORDER BY start_line, start_column",
+      args: [projectId, filePath],
     });
 
     logger.debug(
@@ -1399,6 +2283,7 @@ export async function getCodeEntitiesByFilePath(dbClient, filePath) {
     logger.error("Error retrieving code entities by file path", {
       error: error.message,
       stack: error.stack,
+      projectId,
       filePath,
     });
     throw error;
@@ -1424,41 +2309,9 @@ export async function addCodeRelationship(dbClient, relationshipData) {
       `Adding code relationship: ${relationshipData.relationship_id} (${relationshipData.relationship_type})`
     );
 
-    // Ensure we have all required fields
-    if (
-      !relationshipData.relationship_id ||
-      !relationshipData.source_entity_id ||
-      !relationshipData.relationship_type
-    ) {
-      throw new Error("Missing required fields for code relationship");
-    }
-
-    // Set default values for optional fields
-    const weight = relationshipData.weight || 1.0;
-
-    const result = await dbClient.execute({
-      sql: `
-        INSERT INTO code_relationships (
-          relationship_id,
-          source_entity_id,
-          target_entity_id,
-          target_symbol_name,
-          relationship_type,
-          weight,
-          custom_metadata,
-          created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `,
-      args: [
-        relationshipData.relationship_id,
-        relationshipData.source_entity_id,
-        relationshipData.target_entity_id || null,
-        relationshipData.target_symbol_name || null,
-        relationshipData.relationship_type,
-        weight,
-        relationshipData.custom_metadata || null,
-      ],
-    });
+    const result = await dbClient.execute(
+      buildCodeRelationshipInsertStatement(relationshipData)
+    );
 
     logger.debug(
       `Code relationship ${relationshipData.relationship_id} added successfully`
@@ -1475,6 +2328,50 @@ export async function addCodeRelationship(dbClient, relationshipData) {
   }
 }
 
+/**
+ * Builds the statement that inserts a code relationship
+ * Shared by addCodeRelationship() and replaceCodeEntitiesForFile().
+ * @param {Object} relationshipData - The relationship data, see addCodeRelationship()
+ * @returns {{sql: string, args: Array}} The insert statement
+ */
+function buildCodeRelationshipInsertStatement(relationshipData) {
+  // Ensure we have all required fields
+  if (
+    !relationshipData.relationship_id ||
+    !relationshipData.source_entity_id ||
+    !relationshipData.relationship_type
+  ) {
+    throw new Error("Missing required fields for code relationship");
+  }
+
+  // Set default values for optional fields
+  const weight = relationshipData.weight || 1.0;
+
+  return {
+    sql: `
+      INSERT INTO code_relationships (
+        relationship_id,
+        source_entity_id,
+        target_entity_id,
+        target_symbol_name,
+        relationship_type,
+        weight,
+        custom_metadata,
+        created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `,
+    args: [
+      relationshipData.relationship_id,
+      relationshipData.source_entity_id,
+      relationshipData.target_entity_id || null,
+      relationshipData.target_symbol_name || null,
+      relationshipData.relationship_type,
+      weight,
+      relationshipData.custom_metadata || null,
+    ],
+  };
+}
+
 /**
  * Deletes code relationships where the given entity is the source
  * @param {Object} dbClient - The TursoDB client instance
@@ -1550,10 +2447,15 @@ export async function deleteCodeRelationshipsByTargetEntityId(
 /**
  * Deletes all code relationships associated with entities in a specific file path
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the file belongs to
  * @param {string} filePath - The file path to delete relationships for
  * @returns {Promise<{deletedCount: number}>} The number of relationships deleted
  */
-export async function deleteCodeRelationshipsByFilePath(dbClient, filePath) {
+export async function deleteCodeRelationshipsByFilePath(
+  dbClient,
+  projectId,
+  filePath
+) {
   try {
     logger.debug(`Deleting code relationships for file path: ${filePath}`);
 
@@ -1561,13 +2463,15 @@ export async function deleteCodeRelationshipsByFilePath(dbClient, filePath) {
       sql: `
         DELETE FROM code_relationships
         WHERE source_entity_id IN (
-          SELECT entity_id FROM code_entities WHERE file_path = ?
+          SELECT entity_id FROM code_entities
+          WHERE project_id = ? AND file_path = ?
         )
         OR target_entity_id IN (
-          SELECT entity_id FROM code_entities WHERE file_path = ?
+          SELECT entity_id FROM code_entities
+          WHERE project_id = ? AND file_path = ?
         )
       `,
-      args: [filePath, filePath],
+      args: [projectId, filePath, projectId, filePath],
     });
 
     const deletedCount = result.rowsAffected;
@@ -1580,7 +2484,196 @@ export async function deleteCodeRelationshipsByFilePath(dbClient, filePath) {
     logger.error("Error deleting code relationships by file path", {
       error: error.message,
       stack: error.stack,
+      projectId,
+      filePath,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Builds the statements replacing the code entities and relationships of a file
+ * Shared by replaceCodeEntitiesForFile() and replaceCodeEntitiesForFiles().
+ * @param {string} projectId - ID of the project the file belongs to
+ * @param {string} filePath - Path of the file
+ * @param {Array<Object>} entities - Entity data, parents before their children
+ * @param {Array<Object>} relationships - Relationship data
+ * @returns {{statements: Array<Object>, entityDeleteIndex: number}} The statements and the index of the one deleting stale entities
+ */
+function buildFileReplacementStatements(
+  projectId,
+  filePath,
+  entities,
+  relationships
+) {
+  const fileEntityIds = `
+    SELECT entity_id FROM code_entities
+    WHERE project_id = ? AND file_path = ?
+  `;
+  const fileArgs = [projectId, filePath];
+  const staleEntityIds = `${fileEntityIds}
+    AND entity_id NOT IN (SELECT value FROM json_each(?))
+  `;
+  const staleArgs = [
+    ...fileArgs,
+    JSON.stringify(entities.map((entity) => entity.entity_id)),
+  ];
+
+  const statements = [
+    {
+      sql: `DELETE FROM code_relationships WHERE source_entity_id IN (${fileEntityIds})`,
+      args: fileArgs,
+    },
+    {
+      sql: `UPDATE code_relationships SET target_entity_id = NULL WHERE target_entity_id IN (${staleEntityIds})`,
+      args: staleArgs,
+    },
+    // Parents are set again by the upserts; unlinking them first keeps the
+    // deletion of a stale parent from cascading to a kept child
+    {
+      sql: `UPDATE code_entities SET parent_entity_id = NULL WHERE project_id = ? AND file_path = ?`,
+      args: fileArgs,
+    },
+    {
+      sql: `
+        DELETE FROM background_ai_jobs
+        WHERE target_entity_id IN (${staleEntityIds})
+        AND status IN ('pending', 'retry_ai')
+      `,
+      args: staleArgs,
+    },
+    {
+      sql: `DELETE FROM embeddings WHERE entity_type = 'code_entity' AND entity_id IN (${staleEntityIds})`,
+      args: staleArgs,
+    },
+    {
+      sql: `DELETE FROM entity_keywords WHERE entity_id IN (${staleEntityIds})`,
+      args: staleArgs,
+    },
+    {
+      sql: `DELETE FROM code_entities WHERE entity_id IN (${staleEntityIds})`,
+      args: staleArgs,
+    },
+  ];
+  const entityDeleteIndex = statements.length - 1;
+
+  statements.push(
+    ...entities.map(buildCodeEntityUpsertStatement),
+    ...relationships.map(buildCodeRelationshipInsertStatement)
+  );
+
+  return { statements, entityDeleteIndex };
+}
+
+/**
+ * Replaces the code entities and relationships of a file in one transaction
+ * Entities of the file that are not in the new set are deleted together with
+ * their embeddings, keywords and waiting AI jobs, and relationships pointing
+ * at them from other files lose their target. The given entities are upserted,
+ * so an entity that keeps its ID keeps its AI summary and embeddings, and the
+ * relationships originating in the file are re-inserted. If any statement
+ * fails, the previous index of the file is left untouched.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the file belongs to
+ * @param {string} filePath - Path of the file
+ * @param {Array<Object>} entities - Entity data as for addOrUpdateCodeEntity(), parents before their children; empty to remove the file
+ * @param {Array<Object>} [relationships] - Relationship data as for addCodeRelationship()
+ * @returns {Promise<{deletedCount: number, entityCount: number, relationshipCount: number}>} Number of entities deleted and of entities and relationships written
+ */
+export async function replaceCodeEntitiesForFile(
+  dbClient,
+  projectId,
+  filePath,
+  entities,
+  relationships = []
+) {
+  try {
+    logger.debug(`Replacing code entities for file path: ${filePath}`, {
+      entityCount: entities.length,
+      relationshipCount: relationships.length,
+    });
+
+    const { statements, entityDeleteIndex } = buildFileReplacementStatements(
+      projectId,
+      filePath,
+      entities,
+      relationships
+    );
+
+    const resultSets = await dbClient.batch(statements, "write");
+    const deletedCount = resultSets[entityDeleteIndex].rowsAffected;
+
+    logger.info(
+      `Replaced code entities for file path: ${filePath} (${deletedCount} deleted, ${entities.length} written, ${relationships.length} relationships)`
+    );
+
+    return {
+      deletedCount,
+      entityCount: entities.length,
+      relationshipCount: relationships.length,
+    };
+  } catch (error) {
+    logger.error("Error replacing code entities for file path", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
       filePath,
+      entityCount: entities?.length || 0,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Replaces the code entities and relationships of several files in one transaction
+ * Each file is replaced as by replaceCodeEntitiesForFile(); batching them
+ * saves a transaction per file when many files are indexed at once. If any
+ * statement fails, the previous index of every file is left untouched.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the files belong to
+ * @param {Array<Object>} files - Files to replace: { filePath, entities, relationships }
+ * @returns {Promise<{deletedCount: number, entityCount: number, relationshipCount: number}>} Totals over all files
+ */
+export async function replaceCodeEntitiesForFiles(dbClient, projectId, files) {
+  try {
+    logger.debug(`Replacing code entities for ${files.length} files`);
+
+    const statements = [];
+    const entityDeleteIndexes = [];
+    const totals = { deletedCount: 0, entityCount: 0, relationshipCount: 0 };
+    for (const { filePath, entities, relationships = [] } of files) {
+      const fileStatements = buildFileReplacementStatements(
+        projectId,
+        filePath,
+        entities,
+        relationships
+      );
+      entityDeleteIndexes.push(
+        statements.length + fileStatements.entityDeleteIndex
+      );
+      statements.push(...fileStatements.statements);
+      totals.entityCount += entities.length;
+      totals.relationshipCount += relationships.length;
+    }
+
+    if (statements.length > 0) {
+      const resultSets = await dbClient.batch(statements, "write");
+      for (const index of entityDeleteIndexes) {
+        totals.deletedCount += resultSets[index].rowsAffected;
+      }
+    }
+
+    logger.info(
+      `Replaced code entities for ${files.length} files (${totals.deletedCount} deleted, ${totals.entityCount} written, ${totals.relationshipCount} relationships)`
+    );
+
+    return totals;
+  } catch (error) {
+    logger.error("Error replacing code entities for files", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      fileCount: files?.length || 0,
     });
     throw error;
   }
@@ -1591,7 +2684,8 @@ export async function deleteCodeRelationshipsByFilePath(dbClient, filePath) {
  * @param {Object} dbClient - The TursoDB client instance
  * @param {Object} docData - The document data to insert or update
  * @param {string} docData.document_id - Unique identifier for the document
- * @param {string} docData.file_path - Path to the document file (unique)
+ * @param {string} docData.project_id - ID of the project the document belongs to
+ * @param {string} docData.file_path - Path to the document file (unique within the project)
  * @param {string} docData.file_type - Type of document file (e.g., 'markdown', 'text')
  * @param {string} [docData.raw_content] - Raw content of the document
  * @param {string} [docData.content_hash] - Hash of the document content
@@ -1609,7 +2703,12 @@ export async function addOrUpdateProjectDocument(dbClient, docData) {
     );
 
     // Ensure we have all required fields
-    if (!docData.document_id || !docData.file_path || !docData.file_type) {
+    if (
+      !docData.document_id ||
+      !docData.project_id ||
+      !docData.file_path ||
+      !docData.file_type
+    ) {
       throw new Error("Missing required fields for project document");
     }
 
@@ -1621,6 +2720,7 @@ export async function addOrUpdateProjectDocument(dbClient, docData) {
       sql: `
         INSERT INTO project_documents (
           document_id,
+          project_id,
           file_path,
           file_type,
           raw_content,
@@ -1632,8 +2732,8 @@ export async function addOrUpdateProjectDocument(dbClient, docData) {
           custom_metadata,
           created_at,
           last_modified_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-        ON CONFLICT (file_path) DO UPDATE SET
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (project_id, file_path) DO UPDATE SET
           document_id = excluded.document_id,
           file_type = excluded.file_type,
           raw_content = excluded.raw_content,
@@ -1647,6 +2747,7 @@ export async function addOrUpdateProjectDocument(dbClient, docData) {
       `,
       args: [
         docData.document_id,
+        docData.project_id,
         docData.file_path,
         docData.file_type,
         docData.raw_content || null,
@@ -1677,16 +2778,21 @@ export async function addOrUpdateProjectDocument(dbClient, docData) {
 /**
  * Gets a project document by its file path
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the document belongs to
  * @param {string} filePath - The file path of the document to retrieve
  * @returns {Promise<Object|null>} The project document or null if not found
  */
-export async function getProjectDocumentByFilePath(dbClient, filePath) {
+export async function getProjectDocumentByFilePath(
+  dbClient,
+  projectId,
+  filePath
+) {
   try {
     logger.debug(`Retrieving project document by file path: ${filePath}`);
 
     const result = await dbClient.execute({
-      sql: "SELECT * FROM project_documents WHERE file_path = ?",
-      args: [filePath],
+      sql: "SELECT * FROM project_documents WHERE project_id = ? AND file_path = ?",
+      args: [projectId, filePath],
     });
 
     if (result.rows.length === 0) {
@@ -1700,6 +2806,7 @@ export async function getProjectDocumentByFilePath(dbClient, filePath) {
     logger.error("Error retrieving project document by file path", {
       error: error.message,
       stack: error.stack,
+      projectId,
       filePath,
     });
     throw error;
@@ -1741,16 +2848,34 @@ export async function getProjectDocumentById(dbClient, documentId) {
 /**
  * Deletes a project document by its file path
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the document belongs to
  * @param {string} filePath - The file path of the document to delete
  * @returns {Promise<{deletedCount: number}>} The number of documents deleted
  */
-export async function deleteProjectDocumentByFilePath(dbClient, filePath) {
+export async function deleteProjectDocumentByFilePath(
+  dbClient,
+  projectId,
+  filePath
+) {
   try {
     logger.debug(`Deleting project document for file path: ${filePath}`);
 
+    // Drop the embedding first, while the document ID can still be resolved
+    await dbClient.execute({
+      sql: `
+        DELETE FROM embeddings 
+        WHERE entity_type = 'project_document' 
+          AND entity_id IN (
+            SELECT document_id FROM project_documents
+            WHERE project_id = ? AND file_path = ?
+          )
+      `,
+      args: [projectId, filePath],
+    });
+
     const result = await dbClient.execute({
-      sql: "DELETE FROM project_documents WHERE file_path = ?",
-      args: [filePath],
+      sql: "DELETE FROM project_documents WHERE project_id = ? AND file_path = ?",
+      args: [projectId, filePath],
     });
 
     const deletedCount = result.rowsAffected;
@@ -1763,7 +2888,77 @@ export async function deleteProjectDocumentByFilePath(dbClient, filePath) {
     logger.error("Error deleting project document by file path", {
       error: error.message,
       stack: error.stack,
+      projectId,
+      filePath,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Marks or unmarks the code entities and project document of a file as uncommitted
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the file belongs to
+ * @param {string} filePath - Path of the file, as stored in the index
+ * @param {boolean} uncommitted - True if the indexed content has uncommitted changes
+ * @returns {Promise<void>}
+ */
+export async function setFileUncommittedState(
+  dbClient,
+  projectId,
+  filePath,
+  uncommitted
+) {
+  try {
+    logger.debug(
+      `${uncommitted ? "Marking" : "Unmarking"} uncommitted file: ${filePath}`
+    );
+
+    const uncommittedAt = uncommitted ? new Date().toISOString() : null;
+    await dbClient.batch(
+      ["code_entities", "project_documents"].map((table) => ({
+        sql: `UPDATE ${table} SET uncommitted_at = ? WHERE project_id = ? AND file_path = ?`,
+        args: [uncommittedAt, projectId, filePath],
+      })),
+      "write"
+    );
+  } catch (error) {
+    logger.error("Error updating uncommitted state of file", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
       filePath,
+      uncommitted,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Lists the files of a project whose indexed content is marked as uncommitted
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<Array<string>>} File paths, as stored in the index
+ */
+export async function getUncommittedFilePaths(dbClient, projectId) {
+  try {
+    const result = await dbClient.execute({
+      sql: `
+        SELECT file_path FROM code_entities
+        WHERE project_id = ? AND uncommitted_at IS NOT NULL
+        UNION
+        SELECT file_path FROM project_documents
+        WHERE project_id = ? AND uncommitted_at IS NOT NULL
+      `,
+      args: [projectId, projectId],
+    });
+
+    return result.rows.map((row) => row.file_path);
+  } catch (error) {
+    logger.error("Error retrieving uncommitted file paths", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
     });
     throw error;
   }
@@ -1836,10 +3031,76 @@ export async function updateProjectDocumentAiStatus(
   }
 }
 
+/**
+ * Encrypts conversation text when conversation encryption is enabled
+ * @param {string|null} text - Message content, topic or milestone summary
+ * @returns {{value: string|null, searchTerms: string|null}} The value to store and its hashed search terms
+ */
+function encryptConversationText(text) {
+  const cipher = getConversationCipher();
+  if (!cipher || !cipher.canEncrypt || text === null || text === undefined) {
+    return { value: text, searchTerms: null };
+  }
+  return {
+    value: cipher.encrypt(text),
+    searchTerms: cipher.hashSearchTerms(text),
+  };
+}
+
+/**
+ * Decrypts stored conversation text
+ * @param {string|null} value - Stored message content, topic or milestone summary
+ * @returns {string|null} The plaintext
+ * @throws {Error} If the value is encrypted with a key that is not configured
+ */
+function decryptConversationText(value) {
+  const cipher = getConversationCipher();
+  if (cipher) {
+    return cipher.decrypt(value);
+  }
+  if (isEncryptedValue(value)) {
+    throw new Error(
+      "Conversation data is encrypted, but CONVERSATION_ENCRYPTION_KEY is not set"
+    );
+  }
+  return value;
+}
+
+/**
+ * Builds the condition matching conversation rows that contain a search term
+ * Plaintext rows are matched with LIKE, encrypted rows through the hashes of
+ * their words in search_terms, which only match whole words.
+ * @param {string} column - Column holding the plaintext or encrypted text
+ * @param {string} term - The search term
+ * @returns {{sql: string, args: Array}} The condition and its arguments
+ */
+function buildConversationTermCondition(column, term) {
+  const args = [`${ENCRYPTED_VALUE_PREFIX}%`, `%${term.toLowerCase()}%`];
+  const plaintextCondition = `(${column} NOT LIKE ? AND LOWER(${column}) LIKE ?)`;
+
+  const cipher = getConversationCipher();
+  const words = cipher ? tokenizeSearchTerms(term) : [];
+  if (words.length === 0) {
+    return { sql: plaintextCondition, args };
+  }
+
+  // Every word of the term must match, under any configured key
+  const wordConditions = words.map((word) => {
+    const hashes = cipher.hashQueryTerm(word);
+    args.push(...hashes.map((hash) => `% ${hash} %`));
+    return `(${hashes.map(() => "search_terms LIKE ?").join(" OR ")})`;
+  });
+  return {
+    sql: `(${plaintextCondition} OR (${wordConditions.join(" AND ")}))`,
+    args,
+  };
+}
+
 /**
  * Logs a conversation message to the conversation_history table
  * @param {Object} dbClient - The TursoDB client instance
  * @param {Object} messageData - Data for the message to log
+ * @param {string} messageData.project_id - ID of the project the conversation is about
  * @param {string} messageData.conversation_id - ID of the conversation
  * @param {string} messageData.role - Role of the message sender ('user', 'assistant', 'system')
  * @param {string} messageData.content - Content of the message
@@ -1856,6 +3117,7 @@ export async function logConversationMessage(dbClient, messageData) {
 
     // Validate required fields
     if (
+      !messageData.project_id ||
       !messageData.conversation_id ||
       !messageData.role ||
       messageData.content === undefined
@@ -1870,24 +3132,29 @@ export async function logConversationMessage(dbClient, messageData) {
     const relatedEntityIds = messageData.relatedEntityIds
       ? JSON.stringify(messageData.relatedEntityIds)
       : null;
+    const content = encryptConversationText(messageData.content);
 
     // Insert the message into the conversation_history table
     const result = await dbClient.execute({
       sql: `
         INSERT INTO conversation_history (
           message_id,
+          project_id,
           conversation_id,
           role,
           content,
+          search_terms,
           related_entity_ids,
           topic_id
-        ) VALUES (?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `,
       args: [
         message_id,
+        messageData.project_id,
         messageData.conversation_id,
         messageData.role,
-        messageData.content,
+        content.value,
+        content.searchTerms,
         relatedEntityIds,
         messageData.topic_id || null,
       ],
@@ -1912,17 +3179,18 @@ export async function logConversationMessage(dbClient, messageData) {
 }
 
 /**
- * Checks if the initial codebase scan has been completed
+ * Checks if the initial codebase scan of a project has been completed
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<boolean>} True if initial scan has been completed, false otherwise
  */
-export async function hasInitialScanBeenCompleted(dbClient) {
+export async function hasInitialScanBeenCompleted(dbClient, projectId) {
   try {
     logger.debug("Checking if initial codebase scan has been completed...");
 
     const result = await dbClient.execute({
-      sql: "SELECT value FROM system_metadata WHERE key = ?",
-      args: ["initial_scan_completed"],
+      sql: "SELECT value FROM project_metadata WHERE project_id = ? AND key = ?",
+      args: [projectId, "initial_scan_completed"],
     });
 
     if (result.rows.length > 0 && result.rows[0].value === "true") {
@@ -1936,6 +3204,7 @@ export async function hasInitialScanBeenCompleted(dbClient) {
     logger.error("Error checking initial scan completion status", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
     // If there's an error, we default to assuming scan has not been completed
     return false;
@@ -1943,17 +3212,18 @@ export async function hasInitialScanBeenCompleted(dbClient) {
 }
 
 /**
- * Marks the initial codebase scan as completed
+ * Marks the initial codebase scan of a project as completed
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<void>}
  */
-export async function markInitialScanCompleted(dbClient) {
+export async function markInitialScanCompleted(dbClient, projectId) {
   try {
     logger.debug("Marking initial codebase scan as completed...");
 
     await dbClient.execute({
-      sql: "INSERT OR REPLACE INTO system_metadata (key, value) VALUES (?, ?)",
-      args: ["initial_scan_completed", "true"],
+      sql: "INSERT OR REPLACE INTO project_metadata (project_id, key, value) VALUES (?, ?, ?)",
+      args: [projectId, "initial_scan_completed", "true"],
     });
 
     logger.debug("Initial codebase scan marked as completed");
@@ -1961,14 +3231,15 @@ export async function markInitialScanCompleted(dbClient) {
     logger.error("Error marking initial scan as completed", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
     throw error;
   }
 }
 
 /**
- * Adds or updates keywords for an entity by first deleting existing keywords
- * of the same type, then inserting the new ones.
+ * Adds or updates keywords for an entity by deleting existing keywords of
+ * the same type and inserting the new ones in one transaction.
  *
  * @param {Object} dbClient - The TursoDB client instance
  * @param {string} entityId - The ID of the code_entity or project_document
@@ -1987,180 +3258,512 @@ export async function addEntityKeywords(
       `Adding ${keywordsArray.length} keywords for entity ${entityId} with type ${keywordType}`
     );
 
-    // First, delete existing keywords for this entity and type
-    const deleteResult = await dbClient.execute(
-      `DELETE FROM entity_keywords WHERE entity_id = ? AND keyword_type = ?;`,
-      [entityId, keywordType]
+    // Replace the existing keywords of this entity and type in one transaction
+    const keywords = (keywordsArray || [])
+      .filter((keyword) => keyword && keyword.trim() !== "")
+      .map((keyword) => keyword.trim());
+
+    const resultSets = await dbClient.batch(
+      [
+        {
+          sql: "DELETE FROM entity_keywords WHERE entity_id = ? AND keyword_type = ?",
+          args: [entityId, keywordType],
+        },
+        ...keywords.map((keyword) => ({
+          sql: "INSERT INTO entity_keywords (entity_id, keyword, keyword_type, weight) VALUES (?, ?, ?, ?)",
+          args: [entityId, keyword, keywordType, 1.0],
+        })),
+      ],
+      "write"
     );
 
+    const [deleteResult, ...insertResults] = resultSets;
     logger.debug(
       `Deleted existing keywords for entity ${entityId} with type ${keywordType}. Rows affected: ${deleteResult.rowsAffected}`
     );
 
-    // If there are no new keywords to add, return early
-    if (!keywordsArray || keywordsArray.length === 0) {
-      logger.debug(`No new keywords to add for entity ${entityId}`);
-      return { success: true, inserted: 0 };
-    }
+    const insertedCount = insertResults.filter(
+      (insertResult) => insertResult.rowsAffected > 0
+    ).length;
 
-    // Insert each new keyword
-    let insertedCount = 0;
+    logger.debug(
+      `Successfully added ${insertedCount} keywords for entity ${entityId}`
+    );
 
-    for (const keyword of keywordsArray) {
-      // Skip empty keywords
-      if (!keyword || keyword.trim() === "") {
-        continue;
-      }
+    return {
+      success: true,
+      inserted: insertedCount,
+    };
+  } catch (error) {
+    logger.error(`Error adding keywords for entity ${entityId}`, {
+      error: error.message,
+      stack: error.stack,
+      entityId,
+      keywordType,
+      keywordsCount: keywordsArray?.length || 0,
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Retrieves all messages for a given conversationId, ordered by timestamp
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} conversationId - ID of the conversation to retrieve messages for
+ * @returns {Promise<Array>} - Array of message objects or empty array if none found
+ */
+export async function getFullConversationHistory(dbClient, conversationId) {
+  try {
+    logger.debug(
+      `Retrieving conversation history for conversation: ${conversationId}`
+    );
+
+    const result = await dbClient.execute({
+      sql: `
+        SELECT message_id, project_id, role, content, timestamp, related_entity_ids 
+        FROM conversation_history 
+        WHERE conversation_id = ? 
+        ORDER BY timestamp ASC
+      `,
+      args: [conversationId],
+    });
+
+    logger.debug(
+      `Retrieved ${result.rows.length} messages for conversation: ${conversationId}`
+    );
+
+    return (result.rows || []).map((row) => ({
+      ...row,
+      content: decryptConversationText(row.content),
+    }));
+  } catch (error) {
+    logger.error("Error retrieving conversation history", {
+      error: error.message,
+      stack: error.stack,
+      conversationId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Counts the messages of a conversation
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} conversationId - ID of the conversation
+ * @returns {Promise<number>} Number of logged messages
+ */
+export async function getConversationMessageCount(dbClient, conversationId) {
+  try {
+    const result = await dbClient.execute({
+      sql: "SELECT COUNT(*) AS count FROM conversation_history WHERE conversation_id = ?",
+      args: [conversationId],
+    });
+
+    return Number(result.rows[0].count);
+  } catch (error) {
+    logger.error("Error counting conversation messages", {
+      error: error.message,
+      stack: error.stack,
+      conversationId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds a new topic record to the conversation_topics table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Object} topicData - The topic data to insert
+ * @param {string} topicData.topic_id - UUID for the topic
+ * @param {string} topicData.project_id - ID of the project the conversation is about
+ * @param {string} topicData.conversation_id - ID of the conversation this topic belongs to
+ * @param {string} topicData.summary - Summary text of the topic
+ * @param {string} topicData.keywords - JSON string of keywords array
+ * @param {string} topicData.purpose_tag - Purpose or category tag for the topic
+ * @param {string} [topicData.start_message_id] - ID of the message where this topic starts (optional)
+ * @param {string} [topicData.end_message_id] - ID of the message where this topic ends (optional)
+ * @param {string} [topicData.start_timestamp] - Timestamp when the topic starts (optional)
+ * @param {string} [topicData.end_timestamp] - Timestamp when the topic ends (optional)
+ * @returns {Promise<Object>} - The result of the operation
+ */
+export async function addConversationTopic(dbClient, topicData) {
+  try {
+    logger.debug(
+      `Adding conversation topic ${topicData.topic_id} for conversation ${topicData.conversation_id}`
+    );
 
-      const insertResult = await dbClient.execute(
-        `INSERT INTO entity_keywords (entity_id, keyword, keyword_type, weight) VALUES (?, ?, ?, ?);`,
-        [entityId, keyword.trim(), keywordType, 1.0]
+    // Validate required fields
+    if (
+      !topicData.topic_id ||
+      !topicData.project_id ||
+      !topicData.conversation_id
+    ) {
+      throw new Error(
+        "Missing required fields: topic_id, project_id and conversation_id must be provided"
       );
+    }
+
+    // Ensure keywords is a JSON string if it's provided as an array
+    let keywordsString = topicData.keywords;
+    if (Array.isArray(topicData.keywords)) {
+      keywordsString = JSON.stringify(topicData.keywords);
+    }
+    // Keywords stay in plaintext so topics remain searchable by them
+    const summary = encryptConversationText(topicData.summary || null);
+
+    // Execute the parameterized SQL INSERT statement
+    const result = await dbClient.execute({
+      sql: `
+        INSERT INTO conversation_topics (
+          topic_id,
+          project_id,
+          conversation_id,
+          summary,
+          search_terms,
+          keywords,
+          purpose_tag,
+          start_message_id,
+          end_message_id,
+          start_timestamp,
+          end_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      args: [
+        topicData.topic_id,
+        topicData.project_id,
+        topicData.conversation_id,
+        summary.value,
+        summary.searchTerms,
+        keywordsString || null,
+        topicData.purpose_tag || null,
+        topicData.start_message_id || null,
+        topicData.end_message_id || null,
+        topicData.start_timestamp || null,
+        topicData.end_timestamp || null,
+      ],
+    });
 
-      if (insertResult.rowsAffected > 0) {
-        insertedCount++;
+    logger.debug(
+      `Successfully added conversation topic ${topicData.topic_id} for conversation ${topicData.conversation_id}`
+    );
+
+    return {
+      success: true,
+      topic_id: topicData.topic_id,
+      rowsAffected: result.rowsAffected,
+    };
+  } catch (error) {
+    logger.error(
+      `Error adding conversation topic for conversation ${topicData.conversation_id}`,
+      {
+        error: error.message,
+        stack: error.stack,
+        topicId: topicData.topic_id,
+        conversationId: topicData.conversation_id,
       }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Adds a new milestone record to the milestones table
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Object} milestoneData - The milestone data to insert
+ * @param {string} milestoneData.milestone_id - UUID for the milestone
+ * @param {string} milestoneData.project_id - ID of the project the milestone belongs to
+ * @param {string} milestoneData.conversation_id - ID of the conversation the milestone was recorded in
+ * @param {string} milestoneData.name - Short, descriptive milestone name
+ * @param {string} [milestoneData.description] - Detailed explanation of the milestone (optional)
+ * @param {string} [milestoneData.category] - Milestone category, e.g. 'feature', 'bug_fix' (optional)
+ * @param {string} [milestoneData.head_commit_hash] - HEAD commit OID at the time of the milestone (optional)
+ * @param {string[]} [milestoneData.related_entity_ids] - Code entity IDs snapshotted with the milestone (optional)
+ * @param {string} [milestoneData.conversation_summary] - Summary of the conversation so far (optional)
+ * @returns {Promise<Object>} - The result of the operation
+ */
+export async function addMilestone(dbClient, milestoneData) {
+  try {
+    logger.debug(
+      `Adding milestone ${milestoneData.milestone_id} for conversation ${milestoneData.conversation_id}`
+    );
+
+    // Validate required fields
+    if (
+      !milestoneData.milestone_id ||
+      !milestoneData.project_id ||
+      !milestoneData.conversation_id ||
+      !milestoneData.name
+    ) {
+      throw new Error(
+        "Missing required fields: milestone_id, project_id, conversation_id and name must be provided"
+      );
     }
 
+    // Stringify arrays that need to be stored as JSON
+    const relatedEntityIds = milestoneData.related_entity_ids
+      ? JSON.stringify(milestoneData.related_entity_ids)
+      : null;
+    // The summary quotes conversation messages, so it is encrypted like them
+    const conversationSummary = encryptConversationText(
+      milestoneData.conversation_summary || null
+    );
+
+    const result = await dbClient.execute({
+      sql: `
+        INSERT INTO milestones (
+          milestone_id,
+          project_id,
+          conversation_id,
+          name,
+          description,
+          category,
+          head_commit_hash,
+          related_entity_ids,
+          conversation_summary,
+          search_terms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      args: [
+        milestoneData.milestone_id,
+        milestoneData.project_id,
+        milestoneData.conversation_id,
+        milestoneData.name,
+        milestoneData.description || null,
+        milestoneData.category || null,
+        milestoneData.head_commit_hash || null,
+        relatedEntityIds,
+        conversationSummary.value,
+        conversationSummary.searchTerms,
+      ],
+    });
+
     logger.debug(
-      `Successfully added ${insertedCount} keywords for entity ${entityId}`
+      `Successfully added milestone ${milestoneData.milestone_id} for conversation ${milestoneData.conversation_id}`
     );
 
     return {
       success: true,
-      inserted: insertedCount,
+      milestone_id: milestoneData.milestone_id,
+      rowsAffected: result.rowsAffected,
     };
   } catch (error) {
-    logger.error(`Error adding keywords for entity ${entityId}`, {
+    logger.error(
+      `Error adding milestone for conversation ${milestoneData.conversation_id}`,
+      {
+        error: error.message,
+        stack: error.stack,
+        milestoneId: milestoneData.milestone_id,
+        conversationId: milestoneData.conversation_id,
+      }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Retrieves all milestones recorded for a given conversation, oldest first
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} conversationId - ID of the conversation to retrieve milestones for
+ * @returns {Promise<Array>} - Array of milestone rows or empty array if none found
+ */
+export async function getMilestonesByConversationId(dbClient, conversationId) {
+  try {
+    logger.debug(`Retrieving milestones for conversation: ${conversationId}`);
+
+    const result = await dbClient.execute({
+      sql: `
+        SELECT milestone_id, name, description, category, head_commit_hash, created_at 
+        FROM milestones 
+        WHERE conversation_id = ? 
+        ORDER BY created_at ASC
+      `,
+      args: [conversationId],
+    });
+
+    return result.rows || [];
+  } catch (error) {
+    logger.error("Error retrieving milestones for conversation", {
+      error: error.message,
+      stack: error.stack,
+      conversationId,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Adds or replaces the embedding vector of an entity
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {Object} embeddingData - The embedding to store
+ * @param {string} embeddingData.entity_id - ID of the embedded entity
+ * @param {string} embeddingData.project_id - ID of the project the entity belongs to
+ * @param {string} embeddingData.entity_type - 'code_entity', 'project_document' or 'conversation_topic'
+ * @param {string} embeddingData.model - Embedding model that produced the vector
+ * @param {number[]|Float32Array} embeddingData.vector - The embedding vector
+ * @param {string} [embeddingData.content_hash] - Hash of the embedded text, used to skip unchanged content
+ * @returns {Promise<Object>} The result of the operation
+ */
+export async function upsertEmbedding(dbClient, embeddingData) {
+  try {
+    logger.debug(
+      `Storing embedding for ${embeddingData.entity_type} ${embeddingData.entity_id}`
+    );
+
+    const result = await dbClient.execute({
+      sql: `
+        INSERT INTO embeddings (
+          entity_id, entity_type, project_id, model, dimensions, vector,
+          content_hash
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(entity_id, entity_type) DO UPDATE SET
+          project_id = excluded.project_id,
+          model = excluded.model,
+          dimensions = excluded.dimensions,
+          vector = excluded.vector,
+          content_hash = excluded.content_hash,
+          updated_at = CURRENT_TIMESTAMP
+      `,
+      args: [
+        embeddingData.entity_id,
+        embeddingData.entity_type,
+        embeddingData.project_id || null,
+        embeddingData.model,
+        embeddingData.vector.length,
+        encodeVector(embeddingData.vector),
+        embeddingData.content_hash || null,
+      ],
+    });
+
+    return { success: true, affectedRows: result.rowsAffected };
+  } catch (error) {
+    logger.error("Error storing embedding", {
+      error: error.message,
+      stack: error.stack,
+      entityId: embeddingData.entity_id,
+      entityType: embeddingData.entity_type,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the stored embedding of an entity
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} entityId - ID of the embedded entity
+ * @param {string} entityType - 'code_entity', 'project_document' or 'conversation_topic'
+ * @returns {Promise<Object|null>} Embedding row with a decoded Float32Array vector, or null if none exists
+ */
+export async function getEmbedding(dbClient, entityId, entityType) {
+  try {
+    const result = await dbClient.execute({
+      sql: `
+        SELECT entity_id, entity_type, model, dimensions, vector, content_hash, updated_at 
+        FROM embeddings 
+        WHERE entity_id = ? AND entity_type = ?
+      `,
+      args: [entityId, entityType],
+    });
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return { ...row, vector: decodeVector(row.vector) };
+  } catch (error) {
+    logger.error("Error retrieving embedding", {
       error: error.message,
       stack: error.stack,
       entityId,
-      keywordType,
-      keywordsCount: keywordsArray?.length || 0,
+      entityType,
     });
-
     throw error;
   }
 }
 
 /**
- * Retrieves all messages for a given conversationId, ordered by timestamp
+ * Retrieves all embeddings of one entity type produced by a given model
+ * Used for brute-force similarity search, which is fast enough for the size of a single project index.
  * @param {Object} dbClient - The TursoDB client instance
- * @param {string} conversationId - ID of the conversation to retrieve messages for
- * @returns {Promise<Array>} - Array of message objects or empty array if none found
+ * @param {string} projectId - ID of the project to search
+ * @param {string} entityType - 'code_entity', 'project_document' or 'conversation_topic'
+ * @param {string} model - Embedding model the query vector was produced with
+ * @returns {Promise<Array>} - Array of { entity_id, vector } objects or empty array on error
  */
-export async function getFullConversationHistory(dbClient, conversationId) {
+export async function getEmbeddingsByType(
+  dbClient,
+  projectId,
+  entityType,
+  model
+) {
   try {
-    logger.debug(
-      `Retrieving conversation history for conversation: ${conversationId}`
-    );
+    logger.debug("Retrieving embeddings for similarity search", {
+      projectId,
+      entityType,
+      model,
+    });
 
     const result = await dbClient.execute({
       sql: `
-        SELECT message_id, role, content, timestamp 
-        FROM conversation_history 
-        WHERE conversation_id = ? 
-        ORDER BY timestamp ASC
+        SELECT entity_id, vector 
+        FROM embeddings 
+        WHERE project_id = ? AND entity_type = ? AND model = ?
       `,
-      args: [conversationId],
+      args: [projectId, entityType, model],
     });
 
-    logger.debug(
-      `Retrieved ${result.rows.length} messages for conversation: ${conversationId}`
-    );
-
-    return result.rows || [];
+    return (result.rows || []).map((row) => ({
+      entity_id: row.entity_id,
+      vector: decodeVector(row.vector),
+    }));
   } catch (error) {
-    logger.error("Error retrieving conversation history", {
+    logger.error("Error retrieving embeddings for similarity search", {
       error: error.message,
       stack: error.stack,
-      conversationId,
+      projectId,
+      entityType,
+      model,
     });
-    throw error;
+
+    // Return empty array on error
+    return [];
   }
 }
 
 /**
- * Adds a new topic record to the conversation_topics table
+ * Retrieves all topics generated for a conversation, oldest first
  * @param {Object} dbClient - The TursoDB client instance
- * @param {Object} topicData - The topic data to insert
- * @param {string} topicData.topic_id - UUID for the topic
- * @param {string} topicData.conversation_id - ID of the conversation this topic belongs to
- * @param {string} topicData.summary - Summary text of the topic
- * @param {string} topicData.keywords - JSON string of keywords array
- * @param {string} topicData.purpose_tag - Purpose or category tag for the topic
- * @param {string} [topicData.start_message_id] - ID of the message where this topic starts (optional)
- * @param {string} [topicData.end_message_id] - ID of the message where this topic ends (optional)
- * @param {string} [topicData.start_timestamp] - Timestamp when the topic starts (optional)
- * @param {string} [topicData.end_timestamp] - Timestamp when the topic ends (optional)
- * @returns {Promise<Object>} - The result of the operation
+ * @param {string} conversationId - ID of the conversation
+ * @returns {Promise<Array>} - Array of topic rows or empty array if none found
  */
-export async function addConversationTopic(dbClient, topicData) {
+export async function getConversationTopicsByConversationId(
+  dbClient,
+  conversationId
+) {
   try {
-    logger.debug(
-      `Adding conversation topic ${topicData.topic_id} for conversation ${topicData.conversation_id}`
-    );
-
-    // Validate required fields
-    if (!topicData.topic_id || !topicData.conversation_id) {
-      throw new Error(
-        "Missing required fields: topic_id and conversation_id must be provided"
-      );
-    }
-
-    // Ensure keywords is a JSON string if it's provided as an array
-    let keywordsString = topicData.keywords;
-    if (Array.isArray(topicData.keywords)) {
-      keywordsString = JSON.stringify(topicData.keywords);
-    }
+    logger.debug(`Retrieving topics for conversation: ${conversationId}`);
 
-    // Execute the parameterized SQL INSERT statement
     const result = await dbClient.execute({
       sql: `
-        INSERT INTO conversation_topics (
-          topic_id,
-          conversation_id,
-          summary,
-          keywords,
-          purpose_tag,
-          start_message_id,
-          end_message_id,
-          start_timestamp,
-          end_timestamp
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        SELECT topic_id, project_id, conversation_id, summary, keywords, purpose_tag, created_at 
+        FROM conversation_topics 
+        WHERE conversation_id = ? 
+        ORDER BY created_at ASC
       `,
-      args: [
-        topicData.topic_id,
-        topicData.conversation_id,
-        topicData.summary || null,
-        keywordsString || null,
-        topicData.purpose_tag || null,
-        topicData.start_message_id || null,
-        topicData.end_message_id || null,
-        topicData.start_timestamp || null,
-        topicData.end_timestamp || null,
-      ],
+      args: [conversationId],
     });
 
-    logger.debug(
-      `Successfully added conversation topic ${topicData.topic_id} for conversation ${topicData.conversation_id}`
-    );
-
-    return {
-      success: true,
-      topic_id: topicData.topic_id,
-      rowsAffected: result.rowsAffected,
-    };
+    return (result.rows || []).map((row) => ({
+      ...row,
+      summary: decryptConversationText(row.summary),
+    }));
   } catch (error) {
-    logger.error(
-      `Error adding conversation topic for conversation ${topicData.conversation_id}`,
-      {
-        error: error.message,
-        stack: error.stack,
-        topicId: topicData.topic_id,
-        conversationId: topicData.conversation_id,
-      }
-    );
+    logger.error("Error retrieving topics for conversation", {
+      error: error.message,
+      stack: error.stack,
+      conversationId,
+    });
     throw error;
   }
 }
@@ -2168,9 +3771,10 @@ export async function addConversationTopic(dbClient, topicData) {
 /**
  * Retrieves counts of code entities grouped by language
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with language and count, e.g., [{ language: 'javascript', count: 150 }, ...]
  */
-export async function getCodeEntityCountsByLanguage(dbClient) {
+export async function getCodeEntityCountsByLanguage(dbClient, projectId) {
   try {
     logger.debug("Retrieving code entity counts grouped by language");
 
@@ -2178,10 +3782,11 @@ export async function getCodeEntityCountsByLanguage(dbClient) {
       sql: `
         SELECT language, COUNT(*) as count 
         FROM code_entities 
+        WHERE project_id = ?
         GROUP BY language
         ORDER BY count DESC, language ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2193,6 +3798,7 @@ export async function getCodeEntityCountsByLanguage(dbClient) {
     logger.error("Error retrieving code entity counts by language", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2203,9 +3809,10 @@ export async function getCodeEntityCountsByLanguage(dbClient) {
 /**
  * Retrieves counts of code entities grouped by entity type
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with entity_type and count, e.g., [{ entity_type: 'function_declaration', count: 75 }, ...]
  */
-export async function getCodeEntityCountsByType(dbClient) {
+export async function getCodeEntityCountsByType(dbClient, projectId) {
   try {
     logger.debug("Retrieving code entity counts grouped by entity type");
 
@@ -2213,10 +3820,11 @@ export async function getCodeEntityCountsByType(dbClient) {
       sql: `
         SELECT entity_type, COUNT(*) as count 
         FROM code_entities 
+        WHERE project_id = ?
         GROUP BY entity_type
         ORDER BY count DESC, entity_type ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2230,6 +3838,7 @@ export async function getCodeEntityCountsByType(dbClient) {
     logger.error("Error retrieving code entity counts by entity type", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2240,9 +3849,10 @@ export async function getCodeEntityCountsByType(dbClient) {
 /**
  * Retrieves counts of code entities grouped by AI status
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with ai_status and count, e.g., [{ ai_status: 'completed', count: 100 }, { ai_status: 'pending', count: 50 }, ...]
  */
-export async function getCodeEntityCountsByAiStatus(dbClient) {
+export async function getCodeEntityCountsByAiStatus(dbClient, projectId) {
   try {
     logger.debug("Retrieving code entity counts grouped by AI status");
 
@@ -2250,10 +3860,11 @@ export async function getCodeEntityCountsByAiStatus(dbClient) {
       sql: `
         SELECT ai_status, COUNT(*) as count 
         FROM code_entities 
+        WHERE project_id = ?
         GROUP BY ai_status
         ORDER BY count DESC, ai_status ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2267,6 +3878,7 @@ export async function getCodeEntityCountsByAiStatus(dbClient) {
     logger.error("Error retrieving code entity counts by AI status", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2277,9 +3889,10 @@ export async function getCodeEntityCountsByAiStatus(dbClient) {
 /**
  * Retrieves counts of project documents grouped by file type
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with file_type and count, e.g., [{ file_type: 'markdown', count: 10 }, ...]
  */
-export async function getProjectDocumentCountsByType(dbClient) {
+export async function getProjectDocumentCountsByType(dbClient, projectId) {
   try {
     logger.debug("Retrieving project document counts grouped by file type");
 
@@ -2287,10 +3900,11 @@ export async function getProjectDocumentCountsByType(dbClient) {
       sql: `
         SELECT file_type, COUNT(*) as count 
         FROM project_documents 
+        WHERE project_id = ?
         GROUP BY file_type
         ORDER BY count DESC, file_type ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2304,6 +3918,7 @@ export async function getProjectDocumentCountsByType(dbClient) {
     logger.error("Error retrieving project document counts by file type", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2314,9 +3929,10 @@ export async function getProjectDocumentCountsByType(dbClient) {
 /**
  * Retrieves counts of project documents grouped by AI status
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with ai_status and count, e.g., [{ ai_status: 'completed', count: 8 }, ...]
  */
-export async function getProjectDocumentCountsByAiStatus(dbClient) {
+export async function getProjectDocumentCountsByAiStatus(dbClient, projectId) {
   try {
     logger.debug("Retrieving project document counts grouped by AI status");
 
@@ -2324,10 +3940,11 @@ export async function getProjectDocumentCountsByAiStatus(dbClient) {
       sql: `
         SELECT ai_status, COUNT(*) as count 
         FROM project_documents 
+        WHERE project_id = ?
         GROUP BY ai_status
         ORDER BY count DESC, ai_status ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2341,6 +3958,7 @@ export async function getProjectDocumentCountsByAiStatus(dbClient) {
     logger.error("Error retrieving project document counts by AI status", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2350,10 +3968,12 @@ export async function getProjectDocumentCountsByAiStatus(dbClient) {
 
 /**
  * Retrieves counts of code relationships grouped by relationship type
+ * Relationships belong to the project of their source entity.
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project
  * @returns {Promise<Array>} - Array of objects with relationship_type and count, e.g., [{ relationship_type: 'CALLS_FUNCTION', count: 200 }, ...]
  */
-export async function getCodeRelationshipCountsByType(dbClient) {
+export async function getCodeRelationshipCountsByType(dbClient, projectId) {
   try {
     logger.debug(
       "Retrieving code relationship counts grouped by relationship type"
@@ -2361,12 +3981,14 @@ export async function getCodeRelationshipCountsByType(dbClient) {
 
     const result = await dbClient.execute({
       sql: `
-        SELECT relationship_type, COUNT(*) as count 
-        FROM code_relationships 
-        GROUP BY relationship_type
-        ORDER BY count DESC, relationship_type ASC
+        SELECT cr.relationship_type, COUNT(*) as count 
+        FROM code_relationships cr
+        JOIN code_entities ce ON ce.entity_id = cr.source_entity_id
+        WHERE ce.project_id = ?
+        GROUP BY cr.relationship_type
+        ORDER BY count DESC, cr.relationship_type ASC
       `,
-      args: [],
+      args: [projectId],
     });
 
     const counts = result.rows || [];
@@ -2380,6 +4002,7 @@ export async function getCodeRelationshipCountsByType(dbClient) {
     logger.error("Error retrieving code relationship counts by type", {
       error: error.message,
       stack: error.stack,
+      projectId,
     });
 
     // Return empty array on error to ensure graceful handling
@@ -2390,12 +4013,14 @@ export async function getCodeRelationshipCountsByType(dbClient) {
 /**
  * Retrieves recent conversation topics from the conversation_topics table
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the topics belong to
  * @param {number} limit - Number of topics to retrieve (e.g., 3-5)
  * @param {Array} initialQueryTerms - Array of search terms from the agent's initialQuery (optional, for future biasing)
  * @returns {Promise<Array>} - Array of topic objects with topicId, summary, purposeTag, keywords
  */
 export async function getRecentConversationTopics(
   dbClient,
+  projectId,
   limit,
   initialQueryTerms = []
 ) {
@@ -2415,10 +4040,11 @@ export async function getRecentConversationTopics(
           keywords,
           created_at
         FROM conversation_topics 
+        WHERE project_id = ?
         ORDER BY created_at DESC
         LIMIT ?
       `,
-      args: [limit],
+      args: [projectId, limit],
     });
 
     const topics = result.rows || [];
@@ -2426,7 +4052,7 @@ export async function getRecentConversationTopics(
     // Transform database rows into expected format
     const formattedTopics = topics.map((row) => ({
       topicId: row.topic_id,
-      summary: row.summary || "",
+      summary: decryptConversationText(row.summary) || "",
       purposeTag: row.purpose_tag || null,
       keywords: row.keywords || "", // Raw JSON string from DB
     }));
@@ -2441,6 +4067,7 @@ export async function getRecentConversationTopics(
     logger.error("Error retrieving recent conversation topics", {
       error: error.message,
       stack: error.stack,
+      projectId,
       limit,
       initialQueryTermsCount: initialQueryTerms.length,
     });
@@ -2453,13 +4080,20 @@ export async function getRecentConversationTopics(
 /**
  * Performs Full-Text Search on code_entities_fts table
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project to search
  * @param {string} ftsQueryString - The search query string formatted for FTS5 (e.g., "term1 OR term2", "term1 NEAR term2")
  * @param {number} limit - Maximum number of results to return
  * @returns {Promise<Array>} - Array of search result objects with entity_id, rank, and highlight_snippet
  */
-export async function searchCodeEntitiesFts(dbClient, ftsQueryString, limit) {
+export async function searchCodeEntitiesFts(
+  dbClient,
+  projectId,
+  ftsQueryString,
+  limit
+) {
   try {
     logger.debug("Performing FTS search on code_entities_fts", {
+      projectId,
       ftsQueryString,
       limit,
     });
@@ -2467,15 +4101,16 @@ export async function searchCodeEntitiesFts(dbClient, ftsQueryString, limit) {
     const result = await dbClient.execute({
       sql: `
         SELECT
-          entity_id,
-          rank,
+          code_entities_fts.entity_id,
+          code_entities_fts.rank,
           snippet(code_entities_fts, -1, '<b>', '</b>', '...', 30) as highlight_snippet
         FROM code_entities_fts
-        WHERE code_entities_fts MATCH ?
-        ORDER BY rank
+        JOIN code_entities ON code_entities.rowid = code_entities_fts.rowid
+        WHERE code_entities_fts MATCH ? AND code_entities.project_id = ?
+        ORDER BY code_entities_fts.rank
         LIMIT ?
       `,
-      args: [ftsQueryString, limit],
+      args: [ftsQueryString, projectId, limit],
     });
 
     const searchResults = result.rows || [];
@@ -2498,6 +4133,7 @@ export async function searchCodeEntitiesFts(dbClient, ftsQueryString, limit) {
     logger.error("Error performing FTS search on code_entities_fts", {
       error: error.message,
       stack: error.stack,
+      projectId,
       ftsQueryString,
       limit,
     });
@@ -2510,17 +4146,20 @@ export async function searchCodeEntitiesFts(dbClient, ftsQueryString, limit) {
 /**
  * Performs Full-Text Search on project_documents_fts table
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project to search
  * @param {string} ftsQueryString - The search query string formatted for FTS5 (e.g., "term1 OR term2", "term1 NEAR term2")
  * @param {number} limit - Maximum number of results to return
  * @returns {Promise<Array>} - Array of search result objects with document_id, rank, and highlight_snippet
  */
 export async function searchProjectDocumentsFts(
   dbClient,
+  projectId,
   ftsQueryString,
   limit
 ) {
   try {
     logger.debug("Performing FTS search on project_documents_fts", {
+      projectId,
       ftsQueryString,
       limit,
     });
@@ -2528,15 +4167,16 @@ export async function searchProjectDocumentsFts(
     const result = await dbClient.execute({
       sql: `
         SELECT
-          document_id,
-          rank,
+          project_documents_fts.document_id,
+          project_documents_fts.rank,
           snippet(project_documents_fts, -1, '<b>', '</b>', '...', 30) as highlight_snippet
         FROM project_documents_fts
-        WHERE project_documents_fts MATCH ?
-        ORDER BY rank
+        JOIN project_documents ON project_documents.rowid = project_documents_fts.rowid
+        WHERE project_documents_fts MATCH ? AND project_documents.project_id = ?
+        ORDER BY project_documents_fts.rank
         LIMIT ?
       `,
-      args: [ftsQueryString, limit],
+      args: [ftsQueryString, projectId, limit],
     });
 
     const searchResults = result.rows || [];
@@ -2559,6 +4199,7 @@ export async function searchProjectDocumentsFts(
     logger.error("Error performing FTS search on project_documents_fts", {
       error: error.message,
       stack: error.stack,
+      projectId,
       ftsQueryString,
       limit,
     });
@@ -2572,13 +4213,20 @@ export async function searchProjectDocumentsFts(
  * Searches the entity_keywords table for entities matching any of the provided search terms
  * Returns entities ranked by keyword match relevance (match count and total weight)
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project whose entities and documents are searched
  * @param {string[]} searchTermsArray - Array of processed search term strings
  * @param {number} limit - Maximum number of results to return
  * @returns {Promise<Array>} Array of objects with entity_id and relevance scores
  */
-export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
+export async function searchEntityKeywords(
+  dbClient,
+  projectId,
+  searchTermsArray,
+  limit
+) {
   try {
     logger.debug("Performing keyword search on entity_keywords table", {
+      projectId,
       searchTermsCount: searchTermsArray?.length || 0,
       searchTerms: searchTermsArray,
       limit,
@@ -2613,6 +4261,10 @@ export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
         COUNT(*) as match_count
       FROM entity_keywords
       WHERE keyword IN (${placeholders})
+        AND (
+          entity_id IN (SELECT entity_id FROM code_entities WHERE project_id = ?)
+          OR entity_id IN (SELECT document_id FROM project_documents WHERE project_id = ?)
+        )
       GROUP BY entity_id
       ORDER BY match_count DESC, total_weight DESC
       LIMIT ?
@@ -2621,7 +4273,7 @@ export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
     // Execute the query
     const result = await dbClient.execute({
       sql: sql,
-      args: [...validSearchTerms, limit],
+      args: [...validSearchTerms, projectId, projectId, limit],
     });
 
     const searchResults = result.rows || [];
@@ -2644,6 +4296,7 @@ export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
     logger.error("Error performing keyword search on entity_keywords", {
       error: error.message,
       stack: error.stack,
+      projectId,
       searchTermsArray,
       limit,
     });
@@ -2656,6 +4309,7 @@ export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
 /**
  * Searches conversation history for messages containing specified search terms
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the conversation is about
  * @param {string} conversationId - The current conversation ID to prioritize
  * @param {Array} queryTerms - Array of search terms from the agent's query
  * @param {number} limit - Maximum number of messages to return
@@ -2663,6 +4317,7 @@ export async function searchEntityKeywords(dbClient, searchTermsArray, limit) {
  */
 export async function searchConversationHistoryByTerms(
   dbClient,
+  projectId,
   conversationId,
   queryTerms,
   limit
@@ -2682,14 +4337,22 @@ export async function searchConversationHistoryByTerms(
     }
 
     // Build the WHERE clause dynamically based on number of query terms
-    // Each term will be searched using LOWER(content) LIKE LOWER('%term%')
-    const whereConditions = queryTerms
-      .map(() => "LOWER(content) LIKE ?")
+    // Each term is searched with LIKE in plaintext content and by the hashes
+    // of its words in the search terms of encrypted content
+    const termConditions = queryTerms.map((term) =>
+      buildConversationTermCondition("content", term)
+    );
+    const whereConditions = termConditions
+      .map((condition) => condition.sql)
       .join(" OR ");
 
-    // Prepare parameters: conversationId first, then all the LIKE patterns
-    const likePatterns = queryTerms.map((term) => `%${term.toLowerCase()}%`);
-    const parameters = [conversationId, ...likePatterns, limit];
+    // Prepare parameters: projectId and conversationId first, then the arguments of each term
+    const parameters = [
+      projectId,
+      conversationId,
+      ...termConditions.flatMap((condition) => condition.args),
+      limit,
+    ];
 
     const sql = `
       SELECT 
@@ -2699,7 +4362,7 @@ export async function searchConversationHistoryByTerms(
         timestamp, 
         conversation_id
       FROM conversation_history 
-      WHERE conversation_id = ? AND (${whereConditions})
+      WHERE project_id = ? AND conversation_id = ? AND (${whereConditions})
       ORDER BY timestamp DESC 
       LIMIT ?
     `;
@@ -2722,7 +4385,7 @@ export async function searchConversationHistoryByTerms(
     const formattedMessages = messages.map((row) => ({
       message_id: row.message_id,
       role: row.role,
-      content: row.content || "",
+      content: decryptConversationText(row.content) || "",
       timestamp: row.timestamp,
       conversation_id: row.conversation_id,
     }));
@@ -2739,6 +4402,7 @@ export async function searchConversationHistoryByTerms(
     logger.error("Error searching conversation history by terms", {
       error: error.message,
       stack: error.stack,
+      projectId,
       conversationId,
       queryTerms,
       limit,
@@ -2752,12 +4416,14 @@ export async function searchConversationHistoryByTerms(
 /**
  * Searches conversation topics for topics containing specified search terms in summary or keywords
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the topics belong to
  * @param {Array} queryTerms - Array of search terms from the agent's query
  * @param {number} limit - Maximum number of topics to return
  * @returns {Promise<Array>} - Array of topic objects with topic_id, summary, purpose_tag, keywords
  */
 export async function searchConversationTopicsByTerms(
   dbClient,
+  projectId,
   queryTerms,
   limit
 ) {
@@ -2787,18 +4453,23 @@ export async function searchConversationTopicsByTerms(
     }
 
     // Build the WHERE clause dynamically based on number of query terms
-    // Each term will be searched in both summary and keywords fields using LIKE
-    // For each term: (LOWER(summary) LIKE ? OR LOWER(keywords) LIKE ?)
-    const whereConditions = validQueryTerms
-      .map(() => "(LOWER(summary) LIKE ? OR LOWER(keywords) LIKE ?)")
+    // Each term will be searched in both summary and keywords fields
+    // For each term: (<summary condition> OR LOWER(keywords) LIKE ?)
+    const termConditions = validQueryTerms.map((term) => {
+      const summaryCondition = buildConversationTermCondition("summary", term);
+      return {
+        sql: `(${summaryCondition.sql} OR LOWER(keywords) LIKE ?)`,
+        args: [...summaryCondition.args, `%${term.toLowerCase()}%`],
+      };
+    });
+    const whereConditions = termConditions
+      .map((condition) => condition.sql)
       .join(" OR ");
-
-    // Prepare parameters: for each term, we need two patterns (summary and keywords)
-    const likePatterns = validQueryTerms.flatMap((term) => [
-      `%${term.toLowerCase()}%`, // for summary search
-      `%${term.toLowerCase()}%`, // for keywords search
-    ]);
-    const parameters = [...likePatterns, limit];
+    const parameters = [
+      projectId,
+      ...termConditions.flatMap((condition) => condition.args),
+      limit,
+    ];
 
     const sql = `
       SELECT 
@@ -2807,7 +4478,7 @@ export async function searchConversationTopicsByTerms(
         purpose_tag, 
         keywords
       FROM conversation_topics 
-      WHERE ${whereConditions}
+      WHERE project_id = ? AND (${whereConditions})
       ORDER BY created_at DESC 
       LIMIT ?
     `;
@@ -2828,7 +4499,7 @@ export async function searchConversationTopicsByTerms(
     // Transform database rows into expected format
     const formattedTopics = topics.map((row) => ({
       topic_id: row.topic_id,
-      summary: row.summary || "",
+      summary: decryptConversationText(row.summary) || "",
       purpose_tag: row.purpose_tag || null,
       keywords: row.keywords || "", // Raw JSON string from DB
     }));
@@ -2844,6 +4515,134 @@ export async function searchConversationTopicsByTerms(
     logger.error("Error searching conversation topics by terms", {
       error: error.message,
       stack: error.stack,
+      projectId,
+      queryTerms,
+      limit,
+    });
+
+    // Return empty array on error to avoid breaking the retrieval flow
+    return [];
+  }
+}
+
+/**
+ * Searches milestones for records containing specified search terms in name, description or summary
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the milestones belong to
+ * @param {Array} queryTerms - Array of search terms from the agent's query
+ * @param {number} limit - Maximum number of milestones to return
+ * @returns {Promise<Array>} - Array of milestone objects or empty array if none found
+ */
+export async function searchMilestonesByTerms(
+  dbClient,
+  projectId,
+  queryTerms,
+  limit
+) {
+  try {
+    logger.debug("Searching milestones by terms", {
+      queryTerms,
+      queryTermsCount: queryTerms.length,
+      limit,
+    });
+
+    // Return empty array if no search terms provided
+    if (!queryTerms || queryTerms.length === 0) {
+      logger.debug("No search terms provided, returning empty results");
+      return [];
+    }
+
+    // Filter out empty or invalid search terms
+    const validQueryTerms = queryTerms.filter(
+      (term) => term && typeof term === "string" && term.trim().length > 0
+    );
+
+    if (validQueryTerms.length === 0) {
+      logger.debug(
+        "No valid search terms after filtering, returning empty results"
+      );
+      return [];
+    }
+
+    // Each term is searched in name and description using LIKE, and in the
+    // possibly encrypted conversation_summary
+    const termConditions = validQueryTerms.map((term) => {
+      const summaryCondition = buildConversationTermCondition(
+        "conversation_summary",
+        term
+      );
+      return {
+        sql: `(LOWER(name) LIKE ? OR LOWER(description) LIKE ? OR ${summaryCondition.sql})`,
+        args: [
+          `%${term.toLowerCase()}%`, // for name search
+          `%${term.toLowerCase()}%`, // for description search
+          ...summaryCondition.args,
+        ],
+      };
+    });
+    const whereConditions = termConditions
+      .map((condition) => condition.sql)
+      .join(" OR ");
+    const parameters = [
+      projectId,
+      ...termConditions.flatMap((condition) => condition.args),
+      limit,
+    ];
+
+    const sql = `
+      SELECT 
+        milestone_id, 
+        conversation_id, 
+        name, 
+        description, 
+        category, 
+        head_commit_hash, 
+        related_entity_ids, 
+        conversation_summary, 
+        created_at
+      FROM milestones 
+      WHERE project_id = ? AND (${whereConditions})
+      ORDER BY created_at DESC 
+      LIMIT ?
+    `;
+
+    logger.debug("Executing milestones search query", {
+      sql: sql.replace(/\s+/g, " ").trim(),
+      parametersCount: parameters.length,
+      validQueryTermsCount: validQueryTerms.length,
+    });
+
+    const result = await dbClient.execute({
+      sql,
+      args: parameters,
+    });
+
+    // Transform database rows into expected format
+    const formattedMilestones = (result.rows || []).map((row) => ({
+      milestone_id: row.milestone_id,
+      conversation_id: row.conversation_id,
+      name: row.name,
+      description: row.description || "",
+      category: row.category || null,
+      head_commit_hash: row.head_commit_hash || null,
+      related_entity_ids: row.related_entity_ids || "", // Raw JSON string from DB
+      conversation_summary:
+        decryptConversationText(row.conversation_summary) || "",
+      created_at: row.created_at,
+    }));
+
+    logger.debug("Milestones search completed", {
+      milestonesFound: formattedMilestones.length,
+      validQueryTermsCount: validQueryTerms.length,
+      limit,
+    });
+
+    return formattedMilestones;
+  } catch (error) {
+    logger.error("Error searching milestones by terms", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
       queryTerms,
       limit,
     });
@@ -2856,11 +4655,17 @@ export async function searchConversationTopicsByTerms(
 /**
  * Searches git commits for commits containing specified search terms in message or author name
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the commits belong to
  * @param {Array} queryTerms - Array of search terms from the agent's query
  * @param {number} limit - Maximum number of commits to return
  * @returns {Promise<Array>} - Array of commit objects with commit_hash, author_name, commit_date, message
  */
-export async function searchGitCommitsByTerms(dbClient, queryTerms, limit) {
+export async function searchGitCommitsByTerms(
+  dbClient,
+  projectId,
+  queryTerms,
+  limit
+) {
   try {
     logger.debug("Searching git commits by terms", {
       queryTerms,
@@ -2898,7 +4703,7 @@ export async function searchGitCommitsByTerms(dbClient, queryTerms, limit) {
       `%${term.toLowerCase()}%`, // for message search
       `%${term.toLowerCase()}%`, // for author_name search
     ]);
-    const parameters = [...likePatterns, limit];
+    const parameters = [projectId, ...likePatterns, limit];
 
     const sql = `
       SELECT 
@@ -2907,7 +4712,7 @@ export async function searchGitCommitsByTerms(dbClient, queryTerms, limit) {
         commit_date, 
         message
       FROM git_commits 
-      WHERE ${whereConditions}
+      WHERE project_id = ? AND unreachable_at IS NULL AND (${whereConditions})
       ORDER BY commit_date DESC 
       LIMIT ?
     `;
@@ -2944,6 +4749,7 @@ export async function searchGitCommitsByTerms(dbClient, queryTerms, limit) {
     logger.error("Error searching git commits by terms", {
       error: error.message,
       stack: error.stack,
+      projectId,
       queryTerms,
       limit,
     });
@@ -2953,14 +4759,103 @@ export async function searchGitCommitsByTerms(dbClient, queryTerms, limit) {
   }
 }
 
+/**
+ * Performs Full-Text Search on git_commit_hunks_fts table
+ * Hunks of commits that are no longer reachable are skipped.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project to search
+ * @param {string} ftsQueryString - The search query string formatted for FTS5 (e.g., "term1 OR term2")
+ * @param {number} limit - Maximum number of results to return
+ * @returns {Promise<Array>} - Array of hunk objects with rank, file status and commit details
+ */
+export async function searchGitCommitHunksFts(
+  dbClient,
+  projectId,
+  ftsQueryString,
+  limit
+) {
+  try {
+    logger.debug("Performing FTS search on git_commit_hunks_fts", {
+      projectId,
+      ftsQueryString,
+      limit,
+    });
+
+    const result = await dbClient.execute({
+      sql: `
+        SELECT
+          gch.hunk_id,
+          gch.commit_hash,
+          gch.file_path,
+          gch.old_start,
+          gch.old_lines,
+          gch.new_start,
+          gch.new_lines,
+          gch.content,
+          (
+            SELECT gcf.status FROM git_commit_files gcf
+            WHERE gcf.project_id = gch.project_id
+              AND gcf.commit_hash = gch.commit_hash
+              AND gcf.file_path = gch.file_path
+            LIMIT 1
+          ) AS status,
+          git_commit_hunks_fts.rank,
+          gc.message AS commit_message,
+          gc.author_name AS commit_author,
+          gc.commit_date AS commit_date
+        FROM git_commit_hunks_fts
+        JOIN git_commit_hunks gch ON gch.rowid = git_commit_hunks_fts.rowid
+        JOIN git_commits gc
+          ON gch.project_id = gc.project_id AND gch.commit_hash = gc.commit_hash
+        WHERE git_commit_hunks_fts MATCH ? AND gch.project_id = ?
+          AND gc.unreachable_at IS NULL
+        ORDER BY git_commit_hunks_fts.rank
+        LIMIT ?
+      `,
+      args: [ftsQueryString, projectId, limit],
+    });
+
+    const hunks = (result.rows || []).map((row) => ({
+      ...row,
+      commit_message: row.commit_message || "",
+      commit_author: row.commit_author || "",
+    }));
+
+    logger.debug("FTS search on git_commit_hunks_fts completed", {
+      resultsCount: hunks.length,
+      ftsQueryString,
+      limit,
+    });
+
+    return hunks;
+  } catch (error) {
+    logger.error("Error performing FTS search on git_commit_hunks_fts", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      ftsQueryString,
+      limit,
+    });
+
+    // Return empty array on error
+    return [];
+  }
+}
+
 /**
  * Searches git commit files for files containing specified search terms in file paths
  * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} projectId - ID of the project the commits belong to
  * @param {Array} queryTerms - Array of search terms from the agent's query
  * @param {number} limit - Maximum number of file change records to return
  * @returns {Promise<Array>} - Array of file change objects with commit details
  */
-export async function searchGitCommitFilesByTerms(dbClient, queryTerms, limit) {
+export async function searchGitCommitFilesByTerms(
+  dbClient,
+  projectId,
+  queryTerms,
+  limit
+) {
   try {
     logger.debug("Searching git commit files by terms", {
       queryTerms,
@@ -3004,7 +4899,7 @@ export async function searchGitCommitFilesByTerms(dbClient, queryTerms, limit) {
     const likePatterns = validQueryTerms.map(
       (term) => `%${term.toLowerCase()}%`
     );
-    const parameters = [...likePatterns, limit];
+    const parameters = [projectId, ...likePatterns, limit];
 
     const sql = `
       SELECT 
@@ -3015,8 +4910,10 @@ export async function searchGitCommitFilesByTerms(dbClient, queryTerms, limit) {
         gc.author_name AS commit_author,
         gc.commit_date AS commit_date
       FROM git_commit_files gcf
-      JOIN git_commits gc ON gcf.commit_hash = gc.commit_hash
-      WHERE ${whereConditions}
+      JOIN git_commits gc
+        ON gcf.project_id = gc.project_id AND gcf.commit_hash = gc.commit_hash
+      WHERE gcf.project_id = ? AND gc.unreachable_at IS NULL
+        AND (${whereConditions})
       ORDER BY gc.commit_date DESC 
       LIMIT ?
     `;
@@ -3055,6 +4952,7 @@ export async function searchGitCommitFilesByTerms(dbClient, queryTerms, limit) {
     logger.error("Error searching git commit files by terms", {
       error: error.message,
       stack: error.stack,
+      projectId,
       queryTerms,
       limit,
     });
@@ -3174,26 +5072,51 @@ export default {
   setupConversationTopicsTable,
   setupBackgroundAiJobsTable,
   setupSystemMetadataTable,
+  setupMilestonesTable,
+  setupEmbeddingsTable,
   getLastProcessedCommitOid,
   setLastProcessedCommitOid,
+  getIndexVersion,
+  bumpIndexVersion,
+  getSystemMetadataValue,
+  setSystemMetadataValue,
+  registerProject,
+  getProjectById,
+  getProjectByName,
+  listProjects,
+  getProjectMetadataValue,
+  setProjectMetadataValue,
+  getConversationChangedEntityIds,
+  addConversationChangedEntityIds,
   addGitCommit,
+  hasGitCommit,
+  setGitCommitsReachable,
   addGitCommitFile,
+  addGitCommitHunks,
+  getGitCommitHunks,
   addBackgroundAiJob,
+  addBackgroundAiJobs,
+  getPendingAiJobForTarget,
   cancelBackgroundAiJobsForEntity,
   initializeDatabaseSchema,
   addOrUpdateCodeEntity,
   getCodeEntityById,
   deleteCodeEntitiesByFilePath,
   updateCodeEntityAiStatus,
+  mergeCodeEntityCustomMetadata,
   getCodeEntitiesByFilePath,
   addCodeRelationship,
   deleteCodeRelationshipsBySourceEntityId,
   deleteCodeRelationshipsByTargetEntityId,
   deleteCodeRelationshipsByFilePath,
+  replaceCodeEntitiesForFile,
+  replaceCodeEntitiesForFiles,
   addOrUpdateProjectDocument,
   getProjectDocumentByFilePath,
   getProjectDocumentById,
   deleteProjectDocumentByFilePath,
+  setFileUncommittedState,
+  getUncommittedFilePaths,
   updateProjectDocumentAiStatus,
   logConversationMessage,
   hasInitialScanBeenCompleted,
@@ -3203,7 +5126,14 @@ export default {
   updateEntityAiStatusForJobTarget,
   addEntityKeywords,
   getFullConversationHistory,
+  getConversationMessageCount,
   addConversationTopic,
+  addMilestone,
+  getMilestonesByConversationId,
+  upsertEmbedding,
+  getEmbedding,
+  getEmbeddingsByType,
+  getConversationTopicsByConversationId,
   getCodeEntityCountsByLanguage,
   getCodeEntityCountsByType,
   getCodeEntityCountsByAiStatus,
@@ -3216,7 +5146,9 @@ export default {
   searchEntityKeywords,
   searchConversationHistoryByTerms,
   searchConversationTopicsByTerms,
+  searchMilestonesByTerms,
   searchGitCommitsByTerms,
   searchGitCommitFilesByTerms,
+  searchGitCommitHunksFts,
   getRelationshipsForEntity,
 };
@@ -0,0 +1,618 @@
+/**
+ * Portable index snapshots
+ *
+ * Exports the index of one project (code entities, relationships, keywords,
+ * documents, AI summaries, embeddings and Git history) to a single NDJSON
+ * file and imports it into another database. The first line is a manifest
+ * with the commit OID the index was built for, the schema version and the
+ * row count of every table; each following line holds one row. Files ending
+ * in .gz are gzip-compressed.
+ *
+ * Rows are stored without their project_id and take the ID of the importing
+ * project. File paths are stored relative to the project root and rebased
+ * onto the root of the importing project, so the index can be used in a
+ * checkout at another location. Conversations, milestones and background
+ * jobs are not exported.
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import zlib from "zlib";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { v4 as uuidv4 } from "uuid";
+import logger from "../utils/logger.js";
+import { getSchemaVersion } from "./migrate.js";
+import {
+  addBackgroundAiJobs,
+  bumpIndexVersion,
+  getLastProcessedCommitOid,
+  getProjectById,
+  hasInitialScanBeenCompleted,
+  markInitialScanCompleted,
+  setLastProcessedCommitOid,
+} from "./queries.js";
+
+export const SNAPSHOT_FORMAT = "devcontext-index-snapshot";
+// Version 2 stores file paths relative to the project root
+export const SNAPSHOT_FORMAT_VERSION = 2;
+
+// Exported tables in import order. Each query selects the project's rows
+// given the project ID; columns without a value of their own (project_id,
+// autoincrement IDs) are left out. Path columns hold absolute paths below the
+// project root, which are relocated on export and import.
+const SNAPSHOT_TABLES = [
+  {
+    table: "code_entities",
+    projectScoped: true,
+    pathColumns: ["file_path"],
+    query: "SELECT * FROM code_entities WHERE project_id = ?",
+  },
+  {
+    table: "code_relationships",
+    query: `
+      SELECT code_relationships.* FROM code_relationships
+      JOIN code_entities ON code_entities.entity_id = code_relationships.source_entity_id
+      WHERE code_entities.project_id = ?
+    `,
+  },
+  {
+    table: "project_documents",
+    projectScoped: true,
+    pathColumns: ["file_path"],
+    query: "SELECT * FROM project_documents WHERE project_id = ?",
+  },
+  {
+    table: "entity_keywords",
+    query: `
+      SELECT entity_id, keyword, weight, keyword_type FROM entity_keywords
+      WHERE entity_id IN (
+        SELECT entity_id FROM code_entities WHERE project_id = ?
+        UNION ALL
+        SELECT document_id FROM project_documents WHERE project_id = ?
+      )
+    `,
+  },
+  {
+    table: "embeddings",
+    projectScoped: true,
+    query:
+      "SELECT * FROM embeddings WHERE project_id = ? AND entity_type IN ('code_entity', 'project_document')",
+  },
+  {
+    table: "git_commits",
+    projectScoped: true,
+    query: "SELECT * FROM git_commits WHERE project_id = ?",
+  },
+  {
+    table: "git_commit_files",
+    projectScoped: true,
+    query:
+      "SELECT commit_hash, file_path, status FROM git_commit_files WHERE project_id = ?",
+  },
+  {
+    table: "git_commit_hunks",
+    projectScoped: true,
+    query:
+      "SELECT commit_hash, file_path, old_start, old_lines, new_start, new_lines, content FROM git_commit_hunks WHERE project_id = ?",
+  },
+];
+
+/**
+ * Builds the arguments of a statement whose every placeholder is the project ID
+ * @param {string} sql - The statement
+ * @param {string} projectId - ID of the project
+ * @returns {Array<string>} One project ID per placeholder
+ */
+const projectArgs = (sql, projectId) =>
+  Array((sql.match(/\?/g) || []).length).fill(projectId);
+
+/**
+ * Converts a column value to its JSON representation; BLOBs become base64
+ * @param {*} value - The column value
+ * @returns {*} JSON-serializable value
+ */
+const encodeValue = (value) =>
+  value instanceof ArrayBuffer
+    ? { $base64: Buffer.from(value).toString("base64") }
+    : value;
+
+/**
+ * Converts a value read from a snapshot back to a bindable argument
+ * @param {*} value - The JSON value
+ * @returns {*} The argument, with base64 BLOBs as ArrayBuffer
+ */
+const decodeValue = (value) => {
+  if (value !== null && typeof value === "object" && "$base64" in value) {
+    const buffer = Buffer.from(value.$base64, "base64");
+    return buffer.buffer.slice(
+      buffer.byteOffset,
+      buffer.byteOffset + buffer.byteLength
+    );
+  }
+  return value;
+};
+
+/**
+ * Makes an absolute file path relative to the project root, with "/" separators
+ * @param {*} filePath - The stored file path
+ * @param {string|null} rootPath - Root directory of the exported project
+ * @returns {*} The relative path, or the value itself if it is not below rootPath
+ */
+const toSnapshotPath = (filePath, rootPath) => {
+  if (typeof filePath !== "string" || !rootPath) return filePath;
+
+  const relativePath = path.relative(rootPath, filePath);
+  return relativePath &&
+    !relativePath.startsWith("..") &&
+    !path.isAbsolute(relativePath)
+    ? relativePath.split(path.sep).join("/")
+    : filePath;
+};
+
+/**
+ * Rebases a relative file path from a snapshot onto the project root
+ * @param {*} filePath - The file path read from the snapshot
+ * @param {string|null} rootPath - Root directory of the importing project
+ * @returns {*} The absolute path, or the value itself if it is absolute already
+ */
+const fromSnapshotPath = (filePath, rootPath) =>
+  typeof filePath === "string" && rootPath && !path.isAbsolute(filePath)
+    ? path.join(rootPath, ...filePath.split("/"))
+    : filePath;
+
+/**
+ * Reads the lines of a snapshot file, decompressing .gz files
+ * @param {string} filePath - Path of the snapshot
+ * @returns {AsyncGenerator<string>} The lines of the snapshot
+ * @throws {Error} If the file cannot be read or decompressed
+ */
+async function* readSnapshotLines(filePath) {
+  const fileStream = fs.createReadStream(filePath);
+  const input = filePath.endsWith(".gz")
+    ? fileStream.pipe(zlib.createGunzip())
+    : fileStream;
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // readline does not report errors of its input, e.g. a corrupt gzip stream
+  let inputError = null;
+  const onError = (error) => {
+    inputError = inputError || error;
+    lines.close();
+  };
+  fileStream.on("error", onError);
+  input.on("error", onError);
+
+  try {
+    for await (const line of lines) {
+      yield line;
+    }
+    if (inputError) {
+      throw inputError;
+    }
+  } finally {
+    lines.close();
+    input.destroy();
+    fileStream.destroy();
+  }
+}
+
+/**
+ * Runs an operation in a transaction, rolling it back if the operation throws
+ * @param {Object} dbClient - The database client instance
+ * @param {string} mode - Transaction mode, "read" or "write"
+ * @param {function(Object): Promise<*>} operation - Receives the transaction
+ * @returns {Promise<*>} The result of the operation
+ */
+const withTransaction = async (dbClient, mode, operation) => {
+  const transaction = await dbClient.transaction(mode);
+  try {
+    const result = await operation(transaction);
+    await transaction.commit();
+    return result;
+  } finally {
+    transaction.close();
+  }
+};
+
+/**
+ * Exports the index of a project to a snapshot file
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project to export
+ * @param {string} filePath - Path of the snapshot to write; .gz compresses it
+ * @param {Object} [options] - Export options
+ * @param {string} [options.commitOid] - Commit the index is expected to be at; the export fails if it is at another commit
+ * @returns {Promise<Object>} The manifest written to the snapshot
+ */
+export async function exportIndexSnapshot(
+  dbClient,
+  projectId,
+  filePath,
+  { commitOid } = {}
+) {
+  const project = await getProjectById(dbClient, projectId);
+  if (!project) {
+    throw new Error(`Unknown project ID '${projectId}'`);
+  }
+
+  if (!(await hasInitialScanBeenCompleted(dbClient, projectId))) {
+    throw new Error(
+      `The initial scan of project '${project.name}' has not completed; start the server once before exporting its index`
+    );
+  }
+
+  const indexedOid = await getLastProcessedCommitOid(dbClient, projectId);
+  if (!indexedOid) {
+    throw new Error(
+      `Project '${project.name}' has no processed commit to export`
+    );
+  }
+  if (commitOid && commitOid !== indexedOid) {
+    throw new Error(
+      `The index of project '${project.name}' is at commit ${indexedOid}, not ${commitOid}; let the server catch up with ${commitOid} before exporting`
+    );
+  }
+
+  const schemaVersion = await getSchemaVersion(dbClient);
+
+  const fileStream = fs.createWriteStream(filePath);
+  const output = filePath.endsWith(".gz") ? zlib.createGzip() : fileStream;
+  if (output !== fileStream) {
+    output.pipe(fileStream);
+  }
+
+  /**
+   * Writes one NDJSON line, waiting while the stream is full
+   * @param {Object} record - The record to write
+   */
+  const writeLine = async (record) => {
+    if (!output.write(`${JSON.stringify(record)}\n`)) {
+      await once(output, "drain");
+    }
+  };
+
+  try {
+    // One read transaction, so the rows match the commit in the manifest
+    const manifest = await withTransaction(
+      dbClient,
+      "read",
+      async (transaction) => {
+        const tables = {};
+        for (const { table, query } of SNAPSHOT_TABLES) {
+          const result = await transaction.execute({
+            sql: `SELECT COUNT(*) AS row_count FROM (${query})`,
+            args: projectArgs(query, projectId),
+          });
+          tables[table] = Number(result.rows[0].row_count);
+        }
+
+        const manifest = {
+          format: SNAPSHOT_FORMAT,
+          formatVersion: SNAPSHOT_FORMAT_VERSION,
+          schemaVersion,
+          commitOid: indexedOid,
+          projectName: project.name,
+          createdAt: new Date().toISOString(),
+          tables,
+        };
+        await writeLine(manifest);
+
+        for (const {
+          table,
+          query,
+          projectScoped,
+          pathColumns = [],
+        } of SNAPSHOT_TABLES) {
+          const result = await transaction.execute({
+            sql: query,
+            args: projectArgs(query, projectId),
+          });
+          for (const row of result.rows) {
+            const values = {};
+            for (const column of result.columns) {
+              if (projectScoped && column === "project_id") continue;
+              values[column] = pathColumns.includes(column)
+                ? toSnapshotPath(row[column], project.root_path)
+                : encodeValue(row[column]);
+            }
+            await writeLine({ table, row: values });
+          }
+        }
+
+        return manifest;
+      }
+    );
+
+    output.end();
+    await finished(fileStream);
+
+    logger.info(`Exported index of project '${project.name}' to ${filePath}`, {
+      commitOid: manifest.commitOid,
+      tables: manifest.tables,
+    });
+    return manifest;
+  } catch (error) {
+    output.destroy();
+    fileStream.destroy();
+    fs.rmSync(filePath, { force: true });
+    logger.error("Error exporting index snapshot", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      filePath,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Reads the manifest of a snapshot file
+ * @param {string} filePath - Path of the snapshot
+ * @returns {Promise<Object>} The manifest
+ * @throws {Error} If the file is not an index snapshot
+ */
+export async function readSnapshotManifest(filePath) {
+  try {
+    for await (const line of readSnapshotLines(filePath)) {
+      const manifest = JSON.parse(line);
+      if (manifest.format !== SNAPSHOT_FORMAT) {
+        break;
+      }
+      return manifest;
+    }
+  } catch (error) {
+    throw new Error(
+      `${filePath} is not a readable index snapshot: ${error.message}`
+    );
+  }
+  throw new Error(`${filePath} is not an index snapshot`);
+}
+
+/**
+ * Checks that a snapshot can be imported into a database
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} manifest - Manifest of the snapshot
+ * @returns {Promise<void>}
+ * @throws {Error} If the snapshot format or schema version does not match
+ */
+export async function validateSnapshotManifest(dbClient, manifest) {
+  if (manifest.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported snapshot format version ${manifest.formatVersion}; this version of DevContext reads version ${SNAPSHOT_FORMAT_VERSION}`
+    );
+  }
+
+  const schemaVersion = await getSchemaVersion(dbClient);
+  if (manifest.schemaVersion !== schemaVersion) {
+    throw new Error(
+      `The snapshot has schema version ${manifest.schemaVersion} but the database has version ${schemaVersion}; export and import with the same version of DevContext`
+    );
+  }
+
+  if (!manifest.commitOid) {
+    throw new Error("The snapshot does not name the commit it was built for");
+  }
+}
+
+/**
+ * Replaces the index of a project with the contents of a snapshot
+ * The project's code entities, documents, keywords, embeddings and Git
+ * history are deleted and the snapshot's rows inserted in one transaction,
+ * which is rolled back if the snapshot is incomplete. The project's last
+ * processed commit is set to the snapshot's commit, so GitMonitorService
+ * only indexes the commits made after it. Entities still waiting for AI
+ * enrichment get new enrichment jobs.
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project to import into
+ * @param {string} filePath - Path of the snapshot
+ * @returns {Promise<Object>} { manifest, importedRows, enqueuedJobs }
+ */
+export async function importIndexSnapshot(dbClient, projectId, filePath) {
+  const manifest = await readSnapshotManifest(filePath);
+  await validateSnapshotManifest(dbClient, manifest);
+  const project = await getProjectById(dbClient, projectId);
+  if (!project) {
+    throw new Error(`Unknown project ID '${projectId}'`);
+  }
+
+  try {
+    const importedRows = await withTransaction(
+      dbClient,
+      "write",
+      async (transaction) => {
+        // Children may be listed before the rows they reference
+        await transaction.execute("PRAGMA defer_foreign_keys = ON");
+
+        const knownColumns = new Map();
+        for (const { table } of SNAPSHOT_TABLES) {
+          const result = await transaction.execute(
+            `SELECT name FROM pragma_table_info('${table}')`
+          );
+          knownColumns.set(
+            table,
+            new Set(result.rows.map((row) => row.name))
+          );
+        }
+
+        await deleteProjectIndex(transaction, projectId);
+        const importedRows = await insertSnapshotRows(
+          transaction,
+          project,
+          filePath,
+          knownColumns
+        );
+
+        for (const [table, rowCount] of Object.entries(manifest.tables)) {
+          if (importedRows[table] !== rowCount) {
+            throw new Error(
+              `The snapshot is incomplete: expected ${rowCount} rows of '${table}', found ${importedRows[table]}`
+            );
+          }
+        }
+
+        await setLastProcessedCommitOid(
+          transaction,
+          projectId,
+          manifest.commitOid
+        );
+        await markInitialScanCompleted(transaction, projectId);
+        await bumpIndexVersion(transaction, projectId);
+
+        return importedRows;
+      }
+    );
+
+    const enqueuedJobs = await enqueuePendingEnrichment(dbClient, projectId);
+
+    logger.info(`Imported index snapshot ${filePath}`, {
+      projectId,
+      commitOid: manifest.commitOid,
+      importedRows,
+      enqueuedJobs,
+    });
+    return { manifest, importedRows, enqueuedJobs };
+  } catch (error) {
+    logger.error("Error importing index snapshot", {
+      error: error.message,
+      stack: error.stack,
+      projectId,
+      filePath,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Inserts the rows of a snapshot file into their tables
+ * @param {Object} transaction - The open write transaction
+ * @param {Object} project - Row of the project the rows are imported into
+ * @param {string} filePath - Path of the snapshot
+ * @param {Map<string, Set<string>>} knownColumns - Column names of each snapshot table
+ * @returns {Promise<Object>} Number of inserted rows per table
+ * @throws {Error} If a row names an unknown table or column
+ */
+async function insertSnapshotRows(
+  transaction,
+  project,
+  filePath,
+  knownColumns
+) {
+  const tableSpecs = new Map(
+    SNAPSHOT_TABLES.map((tableSpec) => [tableSpec.table, tableSpec])
+  );
+  const insertedRows = Object.fromEntries(
+    SNAPSHOT_TABLES.map(({ table }) => [table, 0])
+  );
+
+  let isManifest = true;
+  for await (const line of readSnapshotLines(filePath)) {
+    if (isManifest || line.trim() === "") {
+      isManifest = false;
+      continue;
+    }
+
+    const { table, row } = JSON.parse(line);
+    const tableSpec = tableSpecs.get(table);
+    if (!tableSpec) {
+      throw new Error(`Unknown table '${table}' in snapshot`);
+    }
+
+    // Column names come from the file, so only known columns are accepted
+    const columns = Object.keys(row);
+    const unknownColumn = columns.find(
+      (column) =>
+        column === "project_id" || !knownColumns.get(table).has(column)
+    );
+    if (unknownColumn) {
+      throw new Error(
+        `Unexpected column '${unknownColumn}' of table '${table}' in snapshot`
+      );
+    }
+
+    const args = columns.map((column) =>
+      tableSpec.pathColumns?.includes(column)
+        ? fromSnapshotPath(row[column], project.root_path)
+        : decodeValue(row[column])
+    );
+    if (tableSpec.projectScoped) {
+      columns.push("project_id");
+      args.push(project.project_id);
+    }
+
+    await transaction.execute({
+      sql: `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns
+        .map(() => "?")
+        .join(", ")})`,
+      args,
+    });
+    insertedRows[table]++;
+  }
+
+  return insertedRows;
+}
+
+/**
+ * Deletes the rows of a project that a snapshot import replaces
+ * @param {Object} transaction - The open write transaction
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<void>}
+ */
+async function deleteProjectIndex(transaction, projectId) {
+  const projectEntityIds = `
+    SELECT entity_id FROM code_entities WHERE project_id = ?
+    UNION ALL
+    SELECT document_id FROM project_documents WHERE project_id = ?
+  `;
+
+  const statements = [
+    // Waiting jobs would read entities that no longer exist
+    `DELETE FROM background_ai_jobs WHERE target_entity_id IN (${projectEntityIds}) AND status IN ('pending', 'retry_ai')`,
+    `DELETE FROM entity_keywords WHERE entity_id IN (${projectEntityIds})`,
+    "DELETE FROM embeddings WHERE project_id = ? AND entity_type IN ('code_entity', 'project_document')",
+    "DELETE FROM code_relationships WHERE source_entity_id IN (SELECT entity_id FROM code_entities WHERE project_id = ?)",
+    "DELETE FROM code_entities WHERE project_id = ?",
+    "DELETE FROM project_documents WHERE project_id = ?",
+    "DELETE FROM git_commit_files WHERE project_id = ?",
+    "DELETE FROM git_commit_hunks WHERE project_id = ?",
+    "DELETE FROM git_commits WHERE project_id = ?",
+  ];
+
+  for (const sql of statements) {
+    await transaction.execute({ sql, args: projectArgs(sql, projectId) });
+  }
+}
+
+/**
+ * Enqueues enrichment jobs for imported entities that were not enriched yet
+ * @param {Object} dbClient - The database client instance
+ * @param {string} projectId - ID of the project
+ * @returns {Promise<number>} Number of enqueued jobs
+ */
+async function enqueuePendingEnrichment(dbClient, projectId) {
+  const result = await dbClient.execute({
+    sql: `
+      SELECT entity_id AS target_entity_id, 'code_entity' AS target_entity_type
+      FROM code_entities WHERE project_id = ? AND ai_status = 'pending'
+      UNION ALL
+      SELECT document_id, 'project_document'
+      FROM project_documents WHERE project_id = ? AND ai_status = 'pending'
+    `,
+    args: [projectId, projectId],
+  });
+
+  const { insertedJobIds } = await addBackgroundAiJobs(
+    dbClient,
+    result.rows.map((row) => ({
+      job_id: uuidv4(),
+      project_id: projectId,
+      target_entity_id: row.target_entity_id,
+      target_entity_type: row.target_entity_type,
+      task_type: "enrich_entity_summary_keywords",
+      payload: JSON.stringify({}),
+    }))
+  );
+  return insertedJobIds.length;
+}
+
+export default exportIndexSnapshot;
@@ -0,0 +1,463 @@
+/**
+ * Local SQLite client
+ *
+ * Thin adapter exposing a better-sqlite3 database through the part of the
+ * @libsql/client API used by src/db/queries.js: execute(), batch(),
+ * executeMultiple(), transaction() and close(). Arguments and result sets
+ * follow the libSQL conventions (rows readable by column name and index,
+ * rowsAffected, BLOBs as ArrayBuffer), so queries run unchanged against a
+ * local file or a Turso database.
+ *
+ * better-sqlite3 is synchronous and all statements share one connection.
+ * While a transaction is open, statements issued outside of it wait until
+ * it is committed or rolled back.
+ */
+
+import { createRequire } from "module";
+import { DatabaseError } from "../utils/errors.js";
+
+const require = createRequire(import.meta.url);
+
+// Milliseconds a statement waits for a lock held by another process
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Converts a statement argument to a value better-sqlite3 can bind
+ * @param {*} value - The argument value
+ * @returns {*} The bindable value
+ */
+const toSqliteValue = (value) => {
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new RangeError(
+      "Only finite numbers (not Infinity or NaN) can be passed as arguments"
+    );
+  }
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value instanceof ArrayBuffer) return Buffer.from(value);
+  if (value instanceof Date) return value.valueOf();
+  if (value === undefined) {
+    throw new TypeError(
+      "undefined cannot be passed as argument to the database"
+    );
+  }
+  return value;
+};
+
+/**
+ * Converts a column value returned by better-sqlite3 to the libSQL representation
+ * @param {*} value - The column value
+ * @returns {*} The value, with BLOBs as ArrayBuffer
+ */
+const fromSqliteValue = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return value.buffer.slice(
+      value.byteOffset,
+      value.byteOffset + value.byteLength
+    );
+  }
+  return value;
+};
+
+/**
+ * Normalizes the statement forms accepted by execute()
+ * @param {string|{sql: string, args?: Array|Object}} statement - SQL text or statement object
+ * @param {Array|Object} [args] - Arguments when statement is SQL text
+ * @returns {{sql: string, args: Array|Object}} SQL text and bindable arguments
+ */
+const normalizeStatement = (statement, args) => {
+  const sql = typeof statement === "string" ? statement : statement.sql;
+  const rawArgs = (typeof statement === "string" ? args : statement.args) || [];
+
+  if (Array.isArray(rawArgs)) {
+    return { sql, args: rawArgs.map(toSqliteValue) };
+  }
+
+  // Named arguments may carry the ":", "@" or "$" prefix used in the SQL
+  const namedArgs = {};
+  for (const [name, value] of Object.entries(rawArgs)) {
+    const argName = /^[:@$]/.test(name) ? name.substring(1) : name;
+    namedArgs[argName] = toSqliteValue(value);
+  }
+  return { sql, args: namedArgs };
+};
+
+/**
+ * Builds a libSQL-style row readable by column name and by index
+ * @param {Array} values - Column values in column order
+ * @param {string[]} columns - Column names
+ * @returns {Object} The row
+ */
+const createRow = (values, columns) => {
+  const row = {};
+  Object.defineProperty(row, "length", { value: values.length });
+  values.forEach((rawValue, index) => {
+    const value = fromSqliteValue(rawValue);
+    Object.defineProperty(row, index, { value });
+    // The first column wins when several share a name, as in libSQL
+    if (!Object.hasOwn(row, columns[index])) {
+      Object.defineProperty(row, columns[index], {
+        value,
+        enumerable: true,
+        configurable: true,
+        writable: true,
+      });
+    }
+  });
+  return row;
+};
+
+/**
+ * Runs one statement on a better-sqlite3 database
+ * @param {Object} db - The better-sqlite3 database
+ * @param {string|Object} statement - SQL text or { sql, args }
+ * @param {Array|Object} [args] - Arguments when statement is SQL text
+ * @returns {Object} Result set with columns, rows, rowsAffected and lastInsertRowid
+ */
+const executeStatement = (db, statement, args) => {
+  const { sql, args: bindArgs } = normalizeStatement(statement, args);
+  const preparedStatement = db.prepare(sql);
+
+  if (preparedStatement.reader) {
+    const columnInfo = preparedStatement.columns();
+    const columns = columnInfo.map((column) => column.name);
+    const rows = preparedStatement
+      .raw(true)
+      .all(bindArgs)
+      .map((values) => createRow(values, columns));
+
+    return createResultSet({
+      columns,
+      columnTypes: columnInfo.map((column) => column.type || ""),
+      rows,
+      rowsAffected: 0,
+      lastInsertRowid: undefined,
+    });
+  }
+
+  const info = preparedStatement.run(bindArgs);
+  return createResultSet({
+    columns: [],
+    columnTypes: [],
+    rows: [],
+    rowsAffected: info.changes,
+    lastInsertRowid: BigInt(info.lastInsertRowid),
+  });
+};
+
+/**
+ * Creates a libSQL-style result set
+ * @param {Object} fields - Result set fields
+ * @returns {Object} The result set
+ */
+const createResultSet = ({
+  columns,
+  columnTypes,
+  rows,
+  rowsAffected,
+  lastInsertRowid,
+}) => ({
+  columns,
+  columnTypes,
+  rows,
+  rowsAffected,
+  lastInsertRowid,
+  toJSON() {
+    return {
+      columns,
+      columnTypes,
+      rows: rows.map((row) => Array.from(row)),
+      rowsAffected,
+      lastInsertRowid:
+        lastInsertRowid !== undefined ? lastInsertRowid.toString() : null,
+    };
+  },
+});
+
+/**
+ * Maps a libSQL transaction mode to its BEGIN statement
+ * SQLite has no read-only transactions, so "read" starts a deferred one.
+ * @param {string} mode - "write", "read" or "deferred"
+ * @returns {string} The BEGIN statement
+ */
+const beginStatementForMode = (mode) => {
+  if (mode === "write") return "BEGIN IMMEDIATE";
+  if (mode === "read" || mode === "deferred") return "BEGIN DEFERRED";
+  throw new RangeError(`Unknown transaction mode ${JSON.stringify(mode)}`);
+};
+
+/**
+ * Interactive transaction on the shared connection of a SqliteClient
+ */
+export class SqliteTransaction {
+  /**
+   * Creates a transaction; use SqliteClient.transaction() instead
+   * @param {Object} db - The better-sqlite3 database, inside BEGIN
+   * @param {function(): void} onFinish - Called once the transaction is closed
+   */
+  constructor(db, onFinish) {
+    this._db = db;
+    this._onFinish = onFinish;
+    this._finished = false;
+  }
+
+  /**
+   * Whether the transaction has been committed, rolled back or closed
+   * @returns {boolean}
+   */
+  get closed() {
+    return this._finished || !this._db.inTransaction;
+  }
+
+  /**
+   * Executes a statement inside the transaction
+   * @param {string|Object} statement - SQL text or { sql, args }
+   * @param {Array|Object} [args] - Arguments when statement is SQL text
+   * @returns {Promise<Object>} The result set
+   */
+  async execute(statement, args) {
+    this._checkNotClosed();
+    return this._run(() => executeStatement(this._db, statement, args));
+  }
+
+  /**
+   * Executes several statements inside the transaction
+   * @param {Array<string|Object>} statements - The statements
+   * @returns {Promise<Object[]>} One result set per statement
+   */
+  async batch(statements) {
+    return statements.map((statement) => {
+      this._checkNotClosed();
+      return this._run(() => executeStatement(this._db, statement));
+    });
+  }
+
+  /**
+   * Executes semicolon-separated SQL without arguments inside the transaction
+   * @param {string} sql - The SQL script
+   * @returns {Promise<void>}
+   */
+  async executeMultiple(sql) {
+    this._checkNotClosed();
+    this._run(() => this._db.exec(sql));
+  }
+
+  /**
+   * Commits the transaction
+   * @returns {Promise<void>}
+   */
+  async commit() {
+    this._checkNotClosed();
+    try {
+      this._db.exec("COMMIT");
+    } finally {
+      this._finish();
+    }
+  }
+
+  /**
+   * Rolls the transaction back; does nothing if it is already closed
+   * @returns {Promise<void>}
+   */
+  async rollback() {
+    if (this._finished) return;
+    try {
+      if (this._db.inTransaction) {
+        this._db.exec("ROLLBACK");
+      }
+    } finally {
+      this._finish();
+    }
+  }
+
+  /**
+   * Closes the transaction, rolling back anything not committed
+   */
+  close() {
+    if (this._finished) return;
+    try {
+      if (this._db.inTransaction) {
+        this._db.exec("ROLLBACK");
+      }
+    } finally {
+      this._finish();
+    }
+  }
+
+  /**
+   * Runs an operation, releasing the connection if SQLite rolled back on error
+   * @param {function(): *} operation - The operation
+   * @returns {*} The operation result
+   * @private
+   */
+  _run(operation) {
+    try {
+      return operation();
+    } catch (error) {
+      if (!this._db.inTransaction) {
+        this._finish();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Marks the transaction as finished and releases the connection
+   * @private
+   */
+  _finish() {
+    if (!this._finished) {
+      this._finished = true;
+      this._onFinish();
+    }
+  }
+
+  /**
+   * Throws if the transaction can no longer be used
+   * @private
+   */
+  _checkNotClosed() {
+    if (this.closed) {
+      throw new DatabaseError(
+        "The transaction is closed",
+        "TRANSACTION_CLOSED"
+      );
+    }
+  }
+}
+
+/**
+ * libSQL-compatible client for a local SQLite file
+ */
+export class SqliteClient {
+  /**
+   * Creates a client for an open better-sqlite3 database
+   * @param {Object} db - The better-sqlite3 database
+   * @param {string} databasePath - Path of the database file
+   */
+  constructor(db, databasePath) {
+    this._db = db;
+    this.databasePath = databasePath;
+    this.protocol = "file";
+    this.closed = false;
+    // Resolves when the open transaction finishes; null when none is open
+    this._transactionFinished = null;
+  }
+
+  /**
+   * Executes a statement
+   * @param {string|Object} statement - SQL text or { sql, args }
+   * @param {Array|Object} [args] - Arguments when statement is SQL text
+   * @returns {Promise<Object>} The result set
+   */
+  async execute(statement, args) {
+    while (this._transactionFinished) await this._transactionFinished;
+    this._checkNotClosed();
+    return executeStatement(this._db, statement, args);
+  }
+
+  /**
+   * Executes several statements atomically
+   * @param {Array<string|Object>} statements - The statements
+   * @param {string} [mode="deferred"] - Transaction mode: "write", "read" or "deferred"
+   * @returns {Promise<Object[]>} One result set per statement
+   */
+  async batch(statements, mode = "deferred") {
+    while (this._transactionFinished) await this._transactionFinished;
+    this._checkNotClosed();
+
+    this._db.exec(beginStatementForMode(mode));
+    try {
+      const resultSets = statements.map((statement) =>
+        executeStatement(this._db, statement)
+      );
+      this._db.exec("COMMIT");
+      return resultSets;
+    } finally {
+      if (this._db.inTransaction) {
+        this._db.exec("ROLLBACK");
+      }
+    }
+  }
+
+  /**
+   * Executes semicolon-separated SQL without arguments
+   * @param {string} sql - The SQL script
+   * @returns {Promise<void>}
+   */
+  async executeMultiple(sql) {
+    while (this._transactionFinished) await this._transactionFinished;
+    this._checkNotClosed();
+    try {
+      this._db.exec(sql);
+    } finally {
+      if (this._db.inTransaction) {
+        this._db.exec("ROLLBACK");
+      }
+    }
+  }
+
+  /**
+   * Starts an interactive transaction
+   * Statements executed on the client itself wait until the transaction is
+   * committed, rolled back or closed.
+   * @param {string} [mode="write"] - Transaction mode: "write", "read" or "deferred"
+   * @returns {Promise<SqliteTransaction>} The transaction
+   */
+  async transaction(mode = "write") {
+    while (this._transactionFinished) await this._transactionFinished;
+    this._checkNotClosed();
+
+    this._db.exec(beginStatementForMode(mode));
+
+    let releaseConnection;
+    this._transactionFinished = new Promise((resolve) => {
+      releaseConnection = resolve;
+    });
+
+    return new SqliteTransaction(this._db, () => {
+      this._transactionFinished = null;
+      releaseConnection();
+    });
+  }
+
+  /**
+   * Closes the database
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this._db.close();
+  }
+
+  /**
+   * Throws if the client has been closed
+   * Callers first wait for the open transaction in the same synchronous step
+   * as running their statement, so no other statement can slip in between.
+   * @private
+   */
+  _checkNotClosed() {
+    if (this.closed) {
+      throw new DatabaseError("The client is closed", "CLIENT_CLOSED");
+    }
+  }
+}
+
+/**
+ * Opens a local SQLite database file with WAL journaling
+ * @param {string} databasePath - Path of the database file, or ":memory:"
+ * @returns {SqliteClient} The client
+ */
+export function createSqliteClient(databasePath) {
+  // Loaded lazily so Turso deployments do not need the native module
+  const Database = require("better-sqlite3");
+  const db = new Database(databasePath);
+
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.pragma("foreign_keys = ON");
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+
+  return new SqliteClient(db, databasePath);
+}
+
+export default createSqliteClient;
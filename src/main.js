@@ -10,21 +10,35 @@ import { z } from "zod";
 import config from "./config.js";
 import logger from "./utils/logger.js";
 import { initializeDbClient } from "./db/client.js";
-import { initializeDatabaseSchema } from "./db/queries.js";
+import { runMigrations } from "./db/migrate.js";
+import { registerProject } from "./db/queries.js";
+import { createProjectResolver } from "./utils/projects.js";
 import {
   pingServerHandler,
   initializeConversationContextHandler,
   retrieveRelevantContextHandler,
+  updateConversationContextHandler,
+  recordMilestoneContextHandler,
+  finalizeConversationContextHandler,
 } from "./mcp-handlers/index.js";
 import {
   InitializeConversationContextInputSchema,
   InitializeConversationContextOutputSchema,
   RetrieveRelevantContextInputSchema,
   RetrieveRelevantContextOutputSchema,
+  UpdateConversationContextInputSchema,
+  UpdateConversationContextOutputSchema,
+  RecordMilestoneContextInputSchema,
+  RecordMilestoneContextOutputSchema,
+  FinalizeConversationContextInputSchema,
+  FinalizeConversationContextOutputSchema,
 } from "./schemas/mcp.schemas.js";
 import GitMonitorService from "./services/git.service.js";
+import WorkingTreeWatcherService from "./services/workingTree.service.js";
 import initialScanService from "./services/initialScan.service.js";
 import { BackgroundJobManager } from "./services/job.service.js";
+import MaintenanceService from "./services/maintenance.service.js";
+import { AIService } from "./services/ai.service.js";
 import RetrievalService from "./services/retrieval.service.js";
 import CompressionService from "./services/compression.service.js";
 import RelationshipManager from "./services/relationship.service.js";
@@ -57,19 +71,23 @@ async function startServer() {
     // If we get here, the Git repository is valid
     logger.info("Git repository validation completed successfully");
 
-    // Initialize database client
-    const dbClient = initializeDbClient();
-
-    // Verify database connection with a simple query
+    // Initialize database client and verify the connection with a simple query
+    let dbClient;
     try {
-      logger.info("Verifying TursoDB connection...");
+      // Local SQLite file unless TURSO_DATABASE_URL is set
+      dbClient = initializeDbClient();
+
+      logger.info("Verifying database connection...");
       await dbClient.execute("SELECT 1");
-      logger.info("TursoDB connection verified successfully");
+      logger.info("Database connection verified successfully");
     } catch (dbError) {
       // This is a critical error - log and exit with non-zero status code
-      logger.error("Critical error: Failed to connect to TursoDB", {
+      logger.error("Critical error: Failed to connect to the database", {
         error: dbError.message,
         stack: dbError.stack,
+        databasePath: config.TURSO_DATABASE_URL
+          ? "(using TursoDB)"
+          : config.DATABASE_PATH,
         databaseUrl: config.TURSO_DATABASE_URL ? "(set)" : "(not set)",
         authToken: config.TURSO_AUTH_TOKEN
           ? "(auth token provided)"
@@ -80,14 +98,20 @@ async function startServer() {
       process.exit(1);
     }
 
-    // Initialize database schema
+    // Bring the database schema up to date, backing up an existing database
+    // before any pending migration is applied
     try {
-      logger.info("Initializing database schema...");
-      await initializeDatabaseSchema(dbClient);
-      logger.info("Database schema initialization completed successfully");
+      logger.info("Applying database schema migrations...");
+      const migrationResult = await runMigrations(dbClient);
+      logger.info("Database schema migrations completed successfully", {
+        previousVersion: migrationResult.previousVersion,
+        schemaVersion: migrationResult.currentVersion,
+        appliedMigrations: migrationResult.applied.length,
+        backupPath: migrationResult.backupPath,
+      });
     } catch (schemaError) {
       // This is a critical error - log and exit with non-zero status code
-      logger.error("Critical error: Failed to initialize database schema", {
+      logger.error("Critical error: Failed to migrate database schema", {
         error: schemaError.message,
         stack: schemaError.stack,
       });
@@ -96,10 +120,36 @@ async function startServer() {
       process.exit(1);
     }
 
+    // Register the project at PROJECT_PATH; all indexing below is scoped to it
+    let project;
+    try {
+      project = await registerProject(dbClient, {
+        name: config.PROJECT_NAME,
+        root_path: config.PROJECT_PATH,
+      });
+      logger.info(`Serving project '${project.name}'`, {
+        projectId: project.project_id,
+        rootPath: project.root_path,
+      });
+    } catch (projectError) {
+      // This is a critical error - log and exit with non-zero status code
+      logger.error("Critical error: Failed to register project", {
+        error: projectError.message,
+        stack: projectError.stack,
+        projectName: config.PROJECT_NAME,
+      });
+
+      // Exit the process with a non-zero status code
+      process.exit(1);
+    }
+
     // Perform initial codebase scan
     try {
       logger.info("Initiating initial codebase scan...");
-      const scanResult = await initialScanService.performInitialScan();
+      const scanResult = await initialScanService.performInitialScan(
+        dbClient,
+        project.project_id
+      );
       if (scanResult.status === "success") {
         logger.info("Initial codebase scan completed successfully", {
           filesScanned: scanResult.filesScanned,
@@ -125,9 +175,11 @@ async function startServer() {
     }
 
     // Initialize and start Git monitoring service
+    // Declared outside the try block so MCP handlers can resolve HEAD through it
+    let gitMonitorService = null;
     try {
       logger.info("Initializing Git monitoring service...");
-      const gitMonitorService = new GitMonitorService(dbClient);
+      gitMonitorService = new GitMonitorService(dbClient, project.project_id);
 
       // Initialize the service
       await gitMonitorService.initialize();
@@ -147,11 +199,33 @@ async function startServer() {
       );
     }
 
+    // Watch the working tree so uncommitted edits are indexed as files are saved
+    // Declared outside the try block so it can be stopped on shutdown
+    let workingTreeWatcherService = null;
+    try {
+      workingTreeWatcherService = new WorkingTreeWatcherService({
+        dbClient,
+        projectId: project.project_id,
+      });
+      await workingTreeWatcherService.start();
+    } catch (workingTreeError) {
+      // Log error but don't exit - committed code is still indexed by Git monitoring
+      logger.error("Error starting WorkingTreeWatcherService", {
+        error: workingTreeError.message,
+        stack: workingTreeError.stack,
+      });
+      logger.warn("Continuing server startup without working tree watching");
+    }
+
     // Initialize and start Background Job Manager
+    // Declared outside the try block so MCP handlers can enqueue jobs through it
+    let backgroundJobManager = null;
     try {
       logger.info("Initializing BackgroundJobManager...");
-      const backgroundJobManager = new BackgroundJobManager({
-        // Note: AIService will be provided later when it's implemented
+      // AIService performs the actual enrichment/topic generation for dequeued jobs
+      const aiService = new AIService(dbClient);
+      backgroundJobManager = new BackgroundJobManager({
+        aiService,
       });
 
       // Initialize the background job manager
@@ -176,6 +250,37 @@ async function startServer() {
       );
     }
 
+    // Start periodic database maintenance (retention pruning, FTS rebuild, VACUUM)
+    // Declared outside the try block so it can be stopped on shutdown
+    let maintenanceService = null;
+    try {
+      maintenanceService = new MaintenanceService({
+        dbClient,
+        configService: config,
+      });
+      maintenanceService.start();
+    } catch (maintenanceError) {
+      // Log error but don't exit - maintenance is not needed to serve requests
+      logger.error("Error starting MaintenanceService", {
+        error: maintenanceError.message,
+        stack: maintenanceError.stack,
+      });
+      logger.warn("Continuing server startup without database maintenance");
+    }
+
+    // Stop the background services and close the database on shutdown
+    const shutdown = (signal) => {
+      logger.info(`Received ${signal}, shutting down DevContext server`);
+      gitMonitorService?.stopMonitoring();
+      workingTreeWatcherService?.stop();
+      backgroundJobManager?.stop();
+      maintenanceService?.stop();
+      dbClient.close();
+      process.exit(0);
+    };
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+
     // Initialize MCP server
     try {
       logger.info("Initializing MCP server...");
@@ -188,9 +293,12 @@ async function startServer() {
       });
 
       // Create mcpContext for handlers that need database access
+      // Tools act on the server's project unless a call names another one
       const mcpContext = {
         dbClient,
         logger,
+        project,
+        resolveProject: createProjectResolver(dbClient, project),
       };
 
       // Initialize CompressionService
@@ -209,6 +317,7 @@ async function startServer() {
       // Initialize RetrievalService with all dependencies
       const retrievalService = new RetrievalService({
         dbClient,
+        projectId: project.project_id,
         logger,
         configService: config,
         compressionService,
@@ -219,6 +328,8 @@ async function startServer() {
       mcpContext.retrievalService = retrievalService;
       mcpContext.compressionService = compressionService;
       mcpContext.relationshipManager = relationshipManager;
+      mcpContext.gitMonitorService = gitMonitorService;
+      mcpContext.backgroundJobManager = backgroundJobManager;
 
       // Register the ping_server tool using the correct method
       mcpServer.tool(
@@ -251,6 +362,41 @@ async function startServer() {
 
       logger.info("retrieve_relevant_context tool registered successfully");
 
+      // Register the update_conversation_context tool
+      mcpServer.tool(
+        "update_conversation_context",
+        UpdateConversationContextInputSchema,
+        async (params) => {
+          return await updateConversationContextHandler(params, mcpContext);
+        }
+      );
+
+      logger.info("update_conversation_context tool registered successfully");
+
+      // Register the record_milestone_context tool
+      mcpServer.tool(
+        "record_milestone_context",
+        RecordMilestoneContextInputSchema,
+        async (params) => {
+          return await recordMilestoneContextHandler(params, mcpContext);
+        }
+      );
+
+      logger.info("record_milestone_context tool registered successfully");
+
+      // Register the finalize_conversation_context tool
+      mcpServer.tool(
+        "finalize_conversation_context",
+        FinalizeConversationContextInputSchema,
+        async (params) => {
+          return await finalizeConversationContextHandler(params, mcpContext);
+        }
+      );
+
+      logger.info(
+        "finalize_conversation_context tool registered successfully"
+      );
+
       // Start the MCP server
       await mcpServer.listen();
 
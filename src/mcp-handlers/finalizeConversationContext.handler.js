@@ -0,0 +1,272 @@
+/**
+ * Finalize Conversation Context Handler
+ *
+ * This handler implements the finalize_conversation_context MCP tool,
+ * which closes a conversation session, enqueues topic generation for it and
+ * returns an outcome summary together with suggested follow-ups.
+ */
+
+import logger from "../utils/logger.js";
+import * as dbQueries from "../db/queries.js";
+
+// Maximum number of touched code entities turned into follow-up suggestions
+const MAX_ENTITY_FOLLOW_UPS = 3;
+
+/**
+ * Builds the project_metadata key recording when a conversation was finalized
+ * @param {string} conversationId - The conversation session ID
+ * @returns {string} The metadata key
+ */
+function getFinalizedKey(conversationId) {
+  return `conversation_finalized:${conversationId}`;
+}
+
+/**
+ * Checks whether an outcome is already the closing message of a conversation
+ * This is the case when a previous finalize call failed to enqueue topic
+ * generation and the conversation is finalized again.
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} conversationId - The conversation session ID
+ * @param {string} outcome - The agent-provided outcome
+ * @returns {Promise<boolean>} True if the last message is the outcome
+ */
+async function isOutcomeLogged(dbClient, conversationId, outcome) {
+  const history = await dbQueries.getFullConversationHistory(
+    dbClient,
+    conversationId
+  );
+  const lastMessage = history[history.length - 1];
+  return (
+    !!lastMessage &&
+    lastMessage.role === "assistant" &&
+    lastMessage.content === outcome
+  );
+}
+
+/**
+ * Derives suggested follow-up actions from the conversation's logged history
+ * @param {Object} dbClient - The TursoDB client instance
+ * @param {string} conversationId - The conversation session ID
+ * @param {string[]} relatedEntityIds - Code entity IDs touched during the conversation
+ * @returns {Promise<string[]>} Human-readable follow-up suggestions
+ */
+async function buildSuggestedFollowUps(
+  dbClient,
+  conversationId,
+  relatedEntityIds
+) {
+  const followUps = [];
+
+  // A trailing user message means the last request was never answered
+  const history = await dbQueries.getFullConversationHistory(
+    dbClient,
+    conversationId
+  );
+  const lastMessage = history[history.length - 1];
+  if (lastMessage && lastMessage.role === "user") {
+    followUps.push(
+      `Follow up on the last unanswered request: "${lastMessage.content}"`
+    );
+  }
+
+  // Touched entities are worth re-verifying in the next session
+  for (const entityId of relatedEntityIds.slice(0, MAX_ENTITY_FOLLOW_UPS)) {
+    const entity = await dbQueries.getCodeEntityById(dbClient, entityId);
+    if (entity) {
+      followUps.push(
+        `Verify and test changes to ${entity.name || entity.entity_type} in ${entity.file_path}`
+      );
+    }
+  }
+
+  return followUps;
+}
+
+/**
+ * Handler for the finalize_conversation_context MCP tool
+ * @param {Object} params - The validated input object (matching FinalizeConversationContextInputSchema)
+ * @param {Object} mcpContext - Shared resources like dbClient, logger, retrievalService, backgroundJobManager
+ * @returns {Object} Response object matching FinalizeConversationContextOutputSchema
+ */
+export async function finalizeConversationContextHandler(params, mcpContext) {
+  try {
+    const conversationId = params.conversationId;
+    const generateNextSteps = params.generateNextSteps !== false;
+
+    // Log the tool invocation with parameters (DEBUG level)
+    logger.debug("finalize_conversation_context tool invoked", {
+      conversationId,
+      hasOutcome: !!params.outcome,
+      generateNextSteps,
+      projectName: params.projectName,
+    });
+
+    const project = await mcpContext.resolveProject(params.projectName);
+    const projectId = project.project_id;
+
+    // Finalizing twice must not enqueue a second topic-generation job
+    const finalizedKey = getFinalizedKey(conversationId);
+    const previouslyFinalizedAt = await dbQueries.getProjectMetadataValue(
+      mcpContext.dbClient,
+      projectId,
+      finalizedKey
+    );
+    const alreadyFinalized = !!previouslyFinalizedAt;
+
+    // Record the agent-provided outcome as the closing message of the conversation
+    if (
+      !alreadyFinalized &&
+      params.outcome &&
+      params.outcome.trim().length > 0 &&
+      !(await isOutcomeLogged(
+        mcpContext.dbClient,
+        conversationId,
+        params.outcome
+      ))
+    ) {
+      await dbQueries.logConversationMessage(mcpContext.dbClient, {
+        project_id: projectId,
+        conversation_id: conversationId,
+        role: "assistant",
+        content: params.outcome,
+      });
+    }
+
+    // Build the outcome summary from the logged history and milestones
+    const conversationSnapshot =
+      await mcpContext.retrievalService.getConversationSnapshotSummary(
+        conversationId,
+        projectId
+      );
+    const milestones = await dbQueries.getMilestonesByConversationId(
+      mcpContext.dbClient,
+      conversationId
+    );
+
+    let finalizedAt = previouslyFinalizedAt;
+    let topicGenerationJobId = null;
+
+    if (!alreadyFinalized) {
+      finalizedAt = new Date().toISOString();
+
+      // Topic generation only makes sense once there is history to segment
+      let topicGenerationSettled = conversationSnapshot.messageCount === 0;
+      if (!topicGenerationSettled) {
+        if (mcpContext.backgroundJobManager) {
+          const enqueueResult =
+            await mcpContext.backgroundJobManager.enqueueJob({
+              project_id: projectId,
+              target_entity_id: conversationId,
+              target_entity_type: "conversation_history",
+              task_type: "generate_topics",
+            });
+
+          if (enqueueResult.success) {
+            topicGenerationJobId = enqueueResult.job_id;
+            topicGenerationSettled = true;
+          } else {
+            logger.warn("Failed to enqueue topic generation job", {
+              conversationId,
+              error: enqueueResult.error,
+            });
+          }
+        } else {
+          logger.warn(
+            "BackgroundJobManager not available, skipping topic generation",
+            {
+              conversationId,
+            }
+          );
+        }
+      }
+
+      // Without a topic generation job the conversation stays unfinalized,
+      // so that finalizing it again retries the enqueue
+      if (topicGenerationSettled) {
+        await dbQueries.setProjectMetadataValue(
+          mcpContext.dbClient,
+          projectId,
+          finalizedKey,
+          finalizedAt
+        );
+
+        logger.info(`Conversation ${conversationId} finalized.`, {
+          messageCount: conversationSnapshot.messageCount,
+          milestonesCount: milestones.length,
+          topicGenerationJobId,
+        });
+      } else {
+        logger.warn(
+          `Conversation ${conversationId} is not marked as finalized; finalize it again to enqueue topic generation.`
+        );
+      }
+    } else {
+      logger.info(`Conversation ${conversationId} was already finalized.`, {
+        finalizedAt,
+      });
+    }
+
+    const suggestedFollowUps = generateNextSteps
+      ? await buildSuggestedFollowUps(
+          mcpContext.dbClient,
+          conversationId,
+          conversationSnapshot.relatedEntityIds
+        )
+      : [];
+
+    // Construct success response
+    const response = {
+      conversationId,
+      finalizedAt,
+      alreadyFinalized,
+      topicGenerationJobId,
+      outcomeSummary: {
+        summary: conversationSnapshot.summary,
+        messageCount: conversationSnapshot.messageCount,
+        relatedEntityIds: conversationSnapshot.relatedEntityIds,
+        milestones: milestones.map((milestone) => ({
+          milestoneId: milestone.milestone_id,
+          name: milestone.name,
+          category: milestone.category || undefined,
+        })),
+      },
+      suggestedFollowUps,
+      processedOk: true,
+    };
+
+    logger.info(
+      "finalize_conversation_context tool call processed successfully",
+      {
+        conversationId,
+        alreadyFinalized,
+        suggestedFollowUpsCount: suggestedFollowUps.length,
+      }
+    );
+
+    return response;
+  } catch (error) {
+    // Log the full error object (including stack trace) to stderr using mcpContext.logger.error()
+    const errorLogger = mcpContext?.logger || logger;
+    errorLogger.error(
+      "Internal server error during finalize_conversation_context",
+      {
+        error: error.message,
+        stack: error.stack,
+        params,
+        tool: "finalize_conversation_context",
+      }
+    );
+
+    // Construct a structured MCP error response object
+    return {
+      processedOk: false,
+      error: {
+        code: -32000, // Generic server error code
+        message: "Internal server error during finalize_conversation_context.",
+        data: {
+          details: error.message,
+        },
+      },
+    };
+  }
+}
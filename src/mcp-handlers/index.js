@@ -8,12 +8,18 @@
 import { pingServerHandler } from "./pingServer.handler.js";
 import { initializeConversationContextHandler } from "./initializeConversationContext.handler.js";
 import { retrieveRelevantContextHandler } from "./retrieveRelevantContext.handler.js";
+import { updateConversationContextHandler } from "./updateConversationContext.handler.js";
+import { recordMilestoneContextHandler } from "./recordMilestoneContext.handler.js";
+import { finalizeConversationContextHandler } from "./finalizeConversationContext.handler.js";
 
 // Export individual handlers
 export {
   pingServerHandler,
   initializeConversationContextHandler,
   retrieveRelevantContextHandler,
+  updateConversationContextHandler,
+  recordMilestoneContextHandler,
+  finalizeConversationContextHandler,
 };
 
 // Export default object with all handlers for convenient import
@@ -21,4 +27,7 @@ export default {
   pingServerHandler,
   initializeConversationContextHandler,
   retrieveRelevantContextHandler,
+  updateConversationContextHandler,
+  recordMilestoneContextHandler,
+  finalizeConversationContextHandler,
 };
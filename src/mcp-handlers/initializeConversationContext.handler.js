@@ -22,8 +22,13 @@ export async function initializeConversationContextHandler(params, mcpContext) {
       params,
       hasInitialQuery: !!params.initialQuery,
       maxContextTokens: params.max_context_tokens,
+      projectName: params.projectName,
     });
 
+    // Unknown project names are rejected before a conversation is started
+    const project = await mcpContext.resolveProject(params.projectName);
+    const projectId = project.project_id;
+
     // Generate unique conversationId (Task 141)
     const conversationId = uuidv4();
     logger.debug("Generated conversationId for new conversation session", {
@@ -33,6 +38,7 @@ export async function initializeConversationContextHandler(params, mcpContext) {
     // Log initialQuery if provided (Task 142)
     if (params.initialQuery && params.initialQuery.trim().length > 0) {
       await dbQueries.logConversationMessage(mcpContext.dbClient, {
+        project_id: projectId,
         conversation_id: conversationId,
         role: "user",
         content: params.initialQuery,
@@ -45,7 +51,9 @@ export async function initializeConversationContextHandler(params, mcpContext) {
     let projectStructureData = null;
     try {
       projectStructureData =
-        await mcpContext.retrievalService.getProjectStructureSummary();
+        await mcpContext.retrievalService.getProjectStructureSummary(
+          projectId
+        );
       logger.info(
         "Project structure summary fetched and added to comprehensive context"
       );
@@ -67,7 +75,8 @@ export async function initializeConversationContextHandler(params, mcpContext) {
       const initialQuery = params.initialQuery; // from validated input
       recentConversationsData =
         await mcpContext.retrievalService.getRecentConversationTopicsSummary(
-          initialQuery
+          initialQuery,
+          projectId
         );
       logger.info(
         "Recent conversation topics fetched and added to comprehensive context",
@@ -91,7 +100,9 @@ export async function initializeConversationContextHandler(params, mcpContext) {
     let architectureContextData = { keyDocuments: [] };
     try {
       architectureContextData =
-        await mcpContext.retrievalService.getArchitectureContextSummary();
+        await mcpContext.retrievalService.getArchitectureContextSummary(
+          projectId
+        );
       logger.info(
         "Architecture context fetched and added to comprehensive context",
         {
@@ -121,7 +132,8 @@ export async function initializeConversationContextHandler(params, mcpContext) {
         ftsSnippets =
           await mcpContext.retrievalService.getFtsSnippetsForInitialQuery(
             params.initialQuery,
-            3 // Limit to 3 snippets as per task requirements
+            3, // Limit to 3 snippets as per task requirements
+            projectId
           );
 
         logger.info(
@@ -0,0 +1,123 @@
+/**
+ * Record Milestone Context Handler
+ *
+ * This handler implements the record_milestone_context MCP tool,
+ * which snapshots the related code entities, the current HEAD commit and a
+ * summary of the conversation under a named milestone.
+ */
+
+import logger from "../utils/logger.js";
+import { v4 as uuidv4 } from "uuid";
+import * as dbQueries from "../db/queries.js";
+
+/**
+ * Handler for the record_milestone_context MCP tool
+ * @param {Object} params - The validated input object (matching RecordMilestoneContextInputSchema)
+ * @param {Object} mcpContext - Shared resources like dbClient, logger, retrievalService, gitMonitorService
+ * @returns {Object} Response object matching RecordMilestoneContextOutputSchema
+ */
+export async function recordMilestoneContextHandler(params, mcpContext) {
+  try {
+    // Log the tool invocation with parameters (DEBUG level)
+    logger.debug("record_milestone_context tool invoked", {
+      conversationId: params.conversationId,
+      name: params.name,
+      milestoneCategory: params.milestoneCategory,
+      relatedEntityIdsCount: params.relatedEntityIds?.length || 0,
+      projectName: params.projectName,
+    });
+
+    const project = await mcpContext.resolveProject(params.projectName);
+    const milestoneId = uuidv4();
+
+    // Resolve the current HEAD commit so the milestone can be tied to a point in history
+    // Only the server's own repository is monitored, so other projects get no HEAD commit
+    let headCommitHash = null;
+    if (project.project_id !== mcpContext.project.project_id) {
+      logger.debug(
+        "Milestone is for another project, recording it without HEAD commit",
+        {
+          conversationId: params.conversationId,
+          projectName: project.name,
+        }
+      );
+    } else if (mcpContext.gitMonitorService) {
+      headCommitHash = await mcpContext.gitMonitorService.getCurrentHeadOid();
+    } else {
+      logger.warn(
+        "GitMonitorService not available, recording milestone without HEAD commit",
+        {
+          conversationId: params.conversationId,
+        }
+      );
+    }
+
+    // Summarize the conversation so far and collect the entities it touched
+    const conversationSnapshot =
+      await mcpContext.retrievalService.getConversationSnapshotSummary(
+        params.conversationId,
+        project.project_id
+      );
+
+    const relatedEntityIds = [
+      ...new Set([
+        ...(params.relatedEntityIds || []),
+        ...conversationSnapshot.relatedEntityIds,
+      ]),
+    ];
+
+    await dbQueries.addMilestone(mcpContext.dbClient, {
+      milestone_id: milestoneId,
+      project_id: project.project_id,
+      conversation_id: params.conversationId,
+      name: params.name,
+      description: params.description,
+      category: params.milestoneCategory,
+      head_commit_hash: headCommitHash,
+      related_entity_ids: relatedEntityIds,
+      conversation_summary: conversationSnapshot.summary,
+    });
+    // Milestones are searched by retrieval, so cached results are stale now
+    await dbQueries.bumpIndexVersion(mcpContext.dbClient, project.project_id);
+
+    logger.info(
+      `Milestone '${params.name}' recorded for conversationId ${params.conversationId}.`,
+      {
+        milestoneId,
+        headCommitHash,
+        relatedEntityIdsCount: relatedEntityIds.length,
+      }
+    );
+
+    // Construct success response
+    return {
+      milestoneId,
+      conversationId: params.conversationId,
+      headCommitHash,
+      relatedEntityIds,
+      conversationSummary: conversationSnapshot.summary,
+      processedOk: true,
+    };
+  } catch (error) {
+    // Log the full error object (including stack trace) to stderr using mcpContext.logger.error()
+    const errorLogger = mcpContext?.logger || logger;
+    errorLogger.error("Internal server error during record_milestone_context", {
+      error: error.message,
+      stack: error.stack,
+      params,
+      tool: "record_milestone_context",
+    });
+
+    // Construct a structured MCP error response object
+    return {
+      processedOk: false,
+      error: {
+        code: -32000, // Generic server error code
+        message: "Internal server error during record_milestone_context.",
+        data: {
+          details: error.message,
+        },
+      },
+    };
+  }
+}
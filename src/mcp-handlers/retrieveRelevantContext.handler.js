@@ -22,8 +22,11 @@ export async function retrieveRelevantContextHandler(params, mcpContext) {
       tokenBudget: params.tokenBudget,
       hasRetrievalParameters: !!params.retrievalParameters,
       retrievalParameters: params.retrievalParameters,
+      projectName: params.projectName,
     });
 
+    const project = await mcpContext.resolveProject(params.projectName);
+
     // Access RetrievalService from mcpContext
     // The service should be available via mcpContext.retrievalService as established in other handlers
     if (!mcpContext.retrievalService) {
@@ -37,7 +40,8 @@ export async function retrieveRelevantContextHandler(params, mcpContext) {
       params.query,
       params.conversationId,
       params.tokenBudget,
-      params.retrievalParameters
+      params.retrievalParameters,
+      project.project_id
     );
 
     // Construct the response from the service result
@@ -0,0 +1,288 @@
+/**
+ * Update Conversation Context Handler
+ *
+ * This handler implements the update_conversation_context MCP tool,
+ * which appends new messages and code changes to an active conversation session
+ * and returns the context that became relevant since the previous update.
+ */
+
+import logger from "../utils/logger.js";
+import * as dbQueries from "../db/queries.js";
+
+// Default token budget used to compute the context delta when the agent doesn't provide one
+const DEFAULT_DELTA_TOKEN_BUDGET = 2000;
+
+/**
+ * Builds the project_metadata key under which the last returned context snapshot is stored
+ * @param {string} conversationId - The conversation session ID
+ * @returns {string} The metadata key
+ */
+function getContextSnapshotKey(conversationId) {
+  return `conversation_context_snapshot:${conversationId}`;
+}
+
+/**
+ * Builds a stable identity for a context snippet so snapshots can be compared across calls
+ * @param {Object} snippet - Snippet returned by RetrievalService.getRelevantContext()
+ * @returns {string} Identity of the form "<sourceType>:<id>"
+ */
+function getSnippetKey(snippet) {
+  return `${snippet.sourceType || snippet.type}:${snippet.id}`;
+}
+
+/**
+ * Handler for the update_conversation_context MCP tool
+ * @param {Object} params - The validated input object (matching UpdateConversationContextInputSchema)
+ * @param {Object} mcpContext - Shared resources like dbClient, logger, retrievalService
+ * @returns {Object} Response object matching UpdateConversationContextOutputSchema
+ */
+export async function updateConversationContextHandler(params, mcpContext) {
+  try {
+    const conversationId = params.conversationId;
+    const newMessages = params.newMessages || [];
+    const codeChanges = params.codeChanges || [];
+
+    // Log the tool invocation with parameters (DEBUG level)
+    logger.debug("update_conversation_context tool invoked", {
+      conversationId,
+      newMessagesCount: newMessages.length,
+      codeChangesCount: codeChanges.length,
+      tokenBudget: params.tokenBudget,
+      projectName: params.projectName,
+    });
+
+    // Unknown project names are rejected before anything is logged
+    const project = await mcpContext.resolveProject(params.projectName);
+    const projectId = project.project_id;
+
+    // Resolve changed files to the code entities currently indexed for them
+    const changedEntityIds = [];
+    for (const change of codeChanges) {
+      try {
+        const entities = await dbQueries.getCodeEntitiesByFilePath(
+          mcpContext.dbClient,
+          projectId,
+          change.filePath
+        );
+        for (const entity of entities) {
+          if (!changedEntityIds.includes(entity.entity_id)) {
+            changedEntityIds.push(entity.entity_id);
+          }
+        }
+      } catch (lookupError) {
+        logger.warn("Could not resolve code entities for changed file", {
+          error: lookupError.message,
+          filePath: change.filePath,
+          conversationId,
+        });
+        // Continue with the remaining changed files
+      }
+    }
+
+    logger.debug("Resolved code changes to code entities", {
+      conversationId,
+      codeChangesCount: codeChanges.length,
+      changedEntityIdsCount: changedEntityIds.length,
+    });
+
+    // Append the new messages to conversation_history
+    const loggedMessageIds = [];
+    const allRelatedEntityIds = new Set(changedEntityIds);
+
+    for (const message of newMessages) {
+      // Each message records the entities it explicitly references plus the entities touched in this update
+      const relatedEntityIds = [
+        ...new Set([...(message.relatedEntityIds || []), ...changedEntityIds]),
+      ];
+      relatedEntityIds.forEach((id) => allRelatedEntityIds.add(id));
+
+      const logResult = await dbQueries.logConversationMessage(
+        mcpContext.dbClient,
+        {
+          project_id: projectId,
+          conversation_id: conversationId,
+          role: message.role,
+          content: message.content,
+          relatedEntityIds:
+            relatedEntityIds.length > 0 ? relatedEntityIds : undefined,
+        }
+      );
+      loggedMessageIds.push(logResult.message_id);
+    }
+
+    // Code changes without accompanying messages are recorded against the
+    // conversation itself, so the touched entities are not lost
+    if (newMessages.length === 0 && changedEntityIds.length > 0) {
+      await dbQueries.addConversationChangedEntityIds(
+        mcpContext.dbClient,
+        projectId,
+        conversationId,
+        changedEntityIds
+      );
+    }
+
+    logger.info(
+      `Logged ${loggedMessageIds.length} messages for conversationId ${conversationId}.`,
+      {
+        relatedEntityIdsCount: allRelatedEntityIds.size,
+      }
+    );
+
+    // Build the query used to compute the context delta from the new messages and changed files
+    const queryParts = [
+      ...newMessages.map((message) => message.content),
+      ...codeChanges.map((change) => change.filePath),
+    ];
+
+    if (queryParts.length === 0) {
+      // Nothing new was provided - fall back to the latest user message in the conversation
+      const history = await dbQueries.getFullConversationHistory(
+        mcpContext.dbClient,
+        conversationId
+      );
+      const lastUserMessage = [...history]
+        .reverse()
+        .find((message) => message.role === "user");
+      if (lastUserMessage) {
+        queryParts.push(lastUserMessage.content);
+      }
+    }
+
+    const deltaQuery = queryParts.join("\n").trim();
+
+    let contextDelta = {
+      newSnippets: [],
+      droppedSnippetIds: [],
+      unchangedSnippetCount: 0,
+    };
+
+    if (deltaQuery.length > 0 && mcpContext.retrievalService) {
+      try {
+        const result = await mcpContext.retrievalService.getRelevantContext(
+          deltaQuery,
+          conversationId,
+          params.tokenBudget || DEFAULT_DELTA_TOKEN_BUDGET,
+          undefined,
+          projectId
+        );
+
+        // The messages just logged always match their own text, so they are not part of the delta
+        const currentSnippets = result.contextSnippets.filter(
+          (snippet) =>
+            !(
+              snippet.sourceType === "conversation_message" &&
+              loggedMessageIds.includes(snippet.id)
+            )
+        );
+
+        // Compare against the snapshot stored by the previous update for this conversation
+        const snapshotKey = getContextSnapshotKey(conversationId);
+        const previousSnapshotValue = await dbQueries.getProjectMetadataValue(
+          mcpContext.dbClient,
+          projectId,
+          snapshotKey
+        );
+
+        let previousSnippetKeys = [];
+        try {
+          previousSnippetKeys = previousSnapshotValue
+            ? JSON.parse(previousSnapshotValue)
+            : [];
+        } catch (parseError) {
+          logger.warn("Stored context snapshot is not valid JSON, ignoring", {
+            error: parseError.message,
+            conversationId,
+          });
+          previousSnippetKeys = [];
+        }
+
+        const previousKeySet = new Set(previousSnippetKeys);
+        const currentSnippetKeys = currentSnippets.map(getSnippetKey);
+        const currentKeySet = new Set(currentSnippetKeys);
+
+        contextDelta = {
+          newSnippets: currentSnippets.filter(
+            (snippet) => !previousKeySet.has(getSnippetKey(snippet))
+          ),
+          droppedSnippetIds: previousSnippetKeys.filter(
+            (key) => !currentKeySet.has(key)
+          ),
+          unchangedSnippetCount: currentSnippetKeys.filter((key) =>
+            previousKeySet.has(key)
+          ).length,
+        };
+
+        await dbQueries.setProjectMetadataValue(
+          mcpContext.dbClient,
+          projectId,
+          snapshotKey,
+          JSON.stringify(currentSnippetKeys)
+        );
+
+        logger.info("Context delta computed for conversation update", {
+          conversationId,
+          newSnippets: contextDelta.newSnippets.length,
+          droppedSnippets: contextDelta.droppedSnippetIds.length,
+          unchangedSnippets: contextDelta.unchangedSnippetCount,
+        });
+      } catch (deltaError) {
+        logger.error("Error computing context delta", {
+          error: deltaError.message,
+          stack: deltaError.stack,
+          conversationId,
+        });
+        // Continue with an empty delta - the messages have already been logged
+      }
+    } else {
+      logger.debug("No query available for context delta, skipping retrieval", {
+        conversationId,
+        hasRetrievalService: !!mcpContext.retrievalService,
+      });
+    }
+
+    // Construct success response
+    const response = {
+      conversationId,
+      messagesLogged: loggedMessageIds.length,
+      loggedMessageIds,
+      relatedEntityIds: [...allRelatedEntityIds],
+      contextDelta,
+      processedOk: true,
+    };
+
+    logger.info(
+      "update_conversation_context tool call processed successfully",
+      {
+        conversationId,
+        messagesLogged: response.messagesLogged,
+        newSnippets: contextDelta.newSnippets.length,
+      }
+    );
+
+    return response;
+  } catch (error) {
+    // Log the full error object (including stack trace) to stderr using mcpContext.logger.error()
+    const errorLogger = mcpContext?.logger || logger;
+    errorLogger.error(
+      "Internal server error during update_conversation_context",
+      {
+        error: error.message,
+        stack: error.stack,
+        params,
+        tool: "update_conversation_context",
+      }
+    );
+
+    // Construct a structured MCP error response object
+    return {
+      processedOk: false,
+      error: {
+        code: -32000, // Generic server error code
+        message: "Internal server error during update_conversation_context.",
+        data: {
+          details: error.message,
+        },
+      },
+    };
+  }
+}
@@ -0,0 +1,64 @@
+/**
+ * AI Response Schemas
+ *
+ * This file contains the Zod schemas for the JSON contract AI providers must
+ * follow when returning enrichment results. Unlike the MCP reference schemas,
+ * these are enforced at runtime: a response that does not validate is sent
+ * back to the model for repair and is never persisted as-is.
+ */
+
+import { z } from "zod";
+
+// Trimmed, non-empty string
+const NonEmptyStringSchema = z.string().trim().min(1);
+
+// Keyword list shared by all enrichment results; empty strings are dropped before validation
+const KeywordsSchema = z.preprocess(
+  (value) =>
+    Array.isArray(value)
+      ? value.filter((keyword) => typeof keyword !== "string" || keyword.trim())
+      : value,
+  z.array(NonEmptyStringSchema).min(1).max(10)
+);
+
+/**
+ * Schema for code entity enrichment results
+ */
+export const CodeEntityEnrichmentSchema = z.object({
+  summary: NonEmptyStringSchema, // 1-2 sentence technical summary
+  keywords: KeywordsSchema, // 3-5 technical keywords or phrases
+  parameters: z
+    .array(
+      z.object({
+        name: NonEmptyStringSchema, // Parameter name as declared
+        description: z.string().default(""), // What the parameter is used for
+      })
+    )
+    .default([]), // Declared parameters, empty for non-callable entities
+  returnDescription: z.string().nullable().default(null), // What the entity returns, if anything
+  sideEffects: z.array(NonEmptyStringSchema).default([]), // Observable effects such as I/O, mutation or network calls
+});
+
+/**
+ * Schema for project document enrichment results
+ */
+export const DocumentEnrichmentSchema = z.object({
+  summary: NonEmptyStringSchema, // 2-3 sentence summary of the document
+  keywords: KeywordsSchema, // 3-5 keywords or phrases
+});
+
+/**
+ * Schema for conversation topic generation results
+ */
+export const ConversationTopicsSchema = z.object({
+  topics: z
+    .array(
+      z.object({
+        summary: NonEmptyStringSchema, // 1-2 sentence summary of the topic
+        keywords: z.array(NonEmptyStringSchema).default([]), // 3-5 keywords for the topic
+        purposeTag: z.string().default(""), // e.g. "Debugging Issue", "New Feature Planning"
+        rangeHint: z.string().default(""), // Optional start/end hint within the conversation
+      })
+    )
+    .max(3), // Up to 3 distinct topics
+});
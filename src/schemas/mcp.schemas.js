@@ -25,6 +25,12 @@ export const PingServerOutputSchema = z.object({
 // export const ToolNameInputSchema = z.object({ ... });
 // export const ToolNameOutputSchema = z.object({ ... });
 
+/**
+ * Schema for the project selector shared by all tool inputs
+ * Names a project registered in the database; defaults to the server's project (PROJECT_NAME)
+ */
+const ProjectNameSchema = z.string().min(1).optional();
+
 /**
  * Schema for initialize_conversation_context tool input
  * Validates the input parameters for initializing a conversation context session
@@ -32,6 +38,7 @@ export const PingServerOutputSchema = z.object({
 export const InitializeConversationContextInputSchema = z.object({
   initialQuery: z.string().optional(), // The AI agent's initial query or prompt
   max_context_tokens: z.number().int().positive().optional(), // Maximum number of tokens for context response budgeting
+  projectName: ProjectNameSchema, // Project the conversation is about
 });
 
 /**
@@ -129,19 +136,37 @@ export const InitializeConversationContextOutputSchema = z.object({
 export const RetrieveRelevantContextInputSchema = z.object({
   query: z.string().min(1), // The agent's query for context; must not be empty
   conversationId: z.string().uuid(), // The active conversation session ID
+  projectName: ProjectNameSchema, // Project to search
   tokenBudget: z.number().int().positive(), // Maximum desired token count for returned snippets
   retrievalParameters: z
     .object({
-      // Define potential parameters as they become concrete in later stories.
-      // For V2 MVP / Story 4.1, this can be a simple optional object.
-      // Example future parameters (commented out for now):
-      // includeCode: z.boolean().optional(),
-      // includeDocs: z.boolean().optional(),
-      // maxSnippetsPerSource: z.number().int().positive().optional(),
-      // filterByFilePaths: z.array(z.string()).optional(),
+      // Candidate sources to run, in order (e.g. ["code_fts", "keywords"])
+      sources: z.array(z.string().min(1)).optional(),
+      // Candidate sources to skip (e.g. ["git_commits", "git_file_changes"])
+      disabledSources: z.array(z.string().min(1)).optional(),
+      // Maximum number of hits per source name (e.g. { "code_fts": 40 })
+      sourceLimits: z
+        .record(z.string(), z.number().int().positive())
+        .optional(),
+      // Only keep snippets of these source types (e.g. ["code_entity_fts"])
+      includeSourceTypes: z.array(z.string().min(1)).optional(),
+      // Drop snippets of these source types (e.g. ["conversation_message"])
+      excludeSourceTypes: z.array(z.string().min(1)).optional(),
+      // Glob patterns snippets with a file path must match (e.g. ["src/services/**"])
+      filterByFilePaths: z.array(z.string().min(1)).optional(),
+      // Languages snippets with a language must have (e.g. ["javascript"])
+      languages: z.array(z.string().min(1)).optional(),
+      // Entity types snippets with an entity type must have (e.g. ["class_declaration"])
+      entityTypes: z.array(z.string().min(1)).optional(),
+      // Maximum number of ranked snippets kept per source type
+      maxSnippetsPerSource: z.number().int().positive().optional(),
+      // Drop snippets whose consolidated ranking score (0-2) is below this value
+      minScore: z.number().min(0).optional(),
+      // Attach a score breakdown to each snippet and a pipeline trace to the summary
+      explain: z.boolean().optional(),
     })
-    .passthrough()
-    .optional(), // Allow unknown keys initially, make specific later
+    .strict()
+    .optional(), // Unknown retrieval parameters are rejected
 });
 
 /**
@@ -155,6 +180,35 @@ export const RelationshipContextSchema = z.object({
   customMetadata: z.any().optional(), // Optional custom metadata from the relationship record
 });
 
+/**
+ * Schema for the score breakdown attached to snippets when retrievalParameters.explain is set
+ * consolidatedScore = initialScore * sourceTypeWeight * aiStatusWeight * relationshipTypeWeight
+ *   + relationshipBoost + recencyBoost, clamped to 0-2
+ */
+export const SnippetExplanationSchema = z.object({
+  sources: z.array(
+    z.object({
+      source: z.string(), // Name of the candidate source that found the item (e.g. 'code_fts')
+      sourceType: z.string(), // Snippet source type that source produced
+      initialScore: z.number(), // Score the source gave the item
+    })
+  ),
+  matchedTerms: z.array(z.string()), // Search terms found in the snippet's name, path, content or highlights
+  ftsHighlights: z.array(z.string()), // FTS highlight snippets of the hits
+  scoreFactors: z
+    .object({
+      initialScore: z.number(),
+      sourceTypeWeight: z.number(), // RANKING_FACTOR_WEIGHTS.sourceType
+      aiStatusWeight: z.number(), // RANKING_FACTOR_WEIGHTS.aiStatus
+      relationshipTypeWeight: z.number(), // RANKING_FACTOR_WEIGHTS.relationshipType
+      relationshipBoost: z.number(),
+      recencyBoost: z.number(), // RANKING_FACTOR_WEIGHTS.recency
+      consolidatedScore: z.number(),
+    })
+    .optional(), // Missing if scoring the snippet failed
+  rank: z.number().int().positive().optional(), // Position after ranking, before compression
+});
+
 /**
  * Schema for individual context snippets returned by retrieve_relevant_context tool
  * Updated for Task 239 to include optional relationshipContext for relationship-derived snippets
@@ -167,6 +221,7 @@ export const ContextSnippetSchema = z
     score: z.number().optional(), // Relevance score (optional)
     filePath: z.string().optional(), // File path where content originates (optional)
     relationshipContext: RelationshipContextSchema.optional(), // Task 239: Optional relationship context for relationship-derived snippets
+    explanation: SnippetExplanationSchema.optional(), // Score breakdown when retrievalParameters.explain is set
     // Add more fields as defined by retrieval stories
   })
   .passthrough(); // Allow additional fields to be added incrementally
@@ -184,6 +239,25 @@ export const RetrievalSummarySchema = z
     estimatedTokensOut: z.number().int(), // Sum of estimated tokens from final output snippets
     tokenBudgetGiven: z.number().int(), // Original token budget provided by the agent
     tokenBudgetRemaining: z.number().int(), // Remaining token budget after compression
+    cacheHit: z.boolean().optional(), // Whether ranked candidates cached for the same query were reused
+    pipelineTrace: z
+      .object({
+        searchTerms: z.array(z.string()),
+        ftsQueryString: z.string(),
+        isGitHistoryQuery: z.boolean(),
+        sources: z.array(
+          z
+            .object({
+              source: z.string(), // Candidate source name
+              status: z.enum(["completed", "skipped", "failed"]),
+            })
+            .passthrough() // Hit counts, limit, duration, skip reason or error
+        ),
+        candidatesRanked: z.number().int().optional(),
+        candidatesAfterScoreLimits: z.number().int().optional(),
+        snippetsReturned: z.number().int(),
+      })
+      .optional(), // Only present when retrievalParameters.explain is set
   })
   .passthrough()
   .optional(); // Allow additional fields and make the entire summary optional
@@ -197,3 +271,120 @@ export const RetrieveRelevantContextOutputSchema = z.object({
   retrievalSummary: RetrievalSummarySchema, // Metadata about the retrieval process
   processedOk: z.boolean(), // Indicates if the tool call was processed without critical server errors
 });
+
+/**
+ * Schema for a single message appended through update_conversation_context
+ */
+const ConversationMessageInputSchema = z.object({
+  role: z.enum(["user", "assistant"]), // Who produced the message
+  content: z.string().min(1), // The message text; must not be empty
+  relatedEntityIds: z.array(z.string()).optional(), // Code entity IDs the message refers to
+});
+
+/**
+ * Schema for a code change reported through update_conversation_context
+ */
+const CodeChangeInputSchema = z.object({
+  filePath: z.string().min(1), // Path of the created/modified/deleted file, relative to PROJECT_PATH
+  changeType: z.enum(["created", "modified", "deleted"]).optional(), // Defaults to 'modified'
+});
+
+/**
+ * Schema for update_conversation_context tool input
+ * Validates the input parameters for appending messages and code changes to a conversation
+ */
+export const UpdateConversationContextInputSchema = z.object({
+  conversationId: z.string().uuid(), // The active conversation session ID
+  projectName: ProjectNameSchema, // Project the conversation is about
+  newMessages: z.array(ConversationMessageInputSchema).optional(), // Messages exchanged since the last update
+  codeChanges: z.array(CodeChangeInputSchema).optional(), // Files touched since the last update
+  tokenBudget: z.number().int().positive().optional(), // Token budget for the returned context delta
+});
+
+/**
+ * Schema for update_conversation_context tool output
+ * Validates the response structure for a conversation update
+ */
+export const UpdateConversationContextOutputSchema = z.object({
+  conversationId: z.string().uuid(), // Echo of the conversation session ID
+  messagesLogged: z.number().int(), // Number of rows appended to conversation_history
+  loggedMessageIds: z.array(z.string()), // message_id of every appended row
+  relatedEntityIds: z.array(z.string()), // Code entity IDs recorded against the appended messages
+  contextDelta: z.object({
+    newSnippets: z.array(ContextSnippetSchema), // Snippets that were not returned by the previous update
+    droppedSnippetIds: z.array(z.string()), // "<sourceType>:<id>" keys returned previously but no longer relevant
+    unchangedSnippetCount: z.number().int(), // Snippets returned both previously and now
+  }),
+  processedOk: z.boolean(), // Indicates if the tool call was processed without critical server errors
+});
+
+/**
+ * Schema for record_milestone_context tool input
+ * Validates the input parameters for recording a named milestone in a conversation
+ */
+export const RecordMilestoneContextInputSchema = z.object({
+  conversationId: z.string().uuid(), // The active conversation session ID
+  projectName: ProjectNameSchema, // Project the milestone belongs to
+  name: z.string().min(1), // Short, descriptive milestone name
+  description: z.string().optional(), // Detailed explanation of what was achieved or decided
+  milestoneCategory: z
+    .enum([
+      "feature",
+      "bug_fix",
+      "refactoring",
+      "architecture_decision",
+      "documentation",
+      "other",
+    ])
+    .optional(), // Category of the milestone
+  relatedEntityIds: z.array(z.string()).optional(), // Extra code entity IDs to snapshot alongside the conversation's own
+});
+
+/**
+ * Schema for record_milestone_context tool output
+ * Validates the response structure for a recorded milestone
+ */
+export const RecordMilestoneContextOutputSchema = z.object({
+  milestoneId: z.string().uuid(), // UUID of the new milestone record
+  conversationId: z.string().uuid(), // Echo of the conversation session ID
+  headCommitHash: z.string().nullable(), // HEAD commit OID at the time of recording, null if unresolvable
+  relatedEntityIds: z.array(z.string()), // Code entity IDs snapshotted with the milestone
+  conversationSummary: z.string(), // Summary of the conversation at the milestone
+  processedOk: z.boolean(), // Indicates if the tool call was processed without critical server errors
+});
+
+/**
+ * Schema for finalize_conversation_context tool input
+ * Validates the input parameters for closing a conversation session
+ */
+export const FinalizeConversationContextInputSchema = z.object({
+  conversationId: z.string().uuid(), // The conversation session ID to finalize
+  projectName: ProjectNameSchema, // Project the conversation is about
+  outcome: z.string().optional(), // Agent's description of how the conversation ended; logged as the closing message
+  generateNextSteps: z.boolean().optional(), // Whether to suggest follow-up actions (defaults to true)
+});
+
+/**
+ * Schema for finalize_conversation_context tool output
+ * Validates the response structure for a finalized conversation
+ */
+export const FinalizeConversationContextOutputSchema = z.object({
+  conversationId: z.string().uuid(), // Echo of the conversation session ID
+  finalizedAt: z.string(), // When the conversation was (first) finalized
+  alreadyFinalized: z.boolean(), // True if a previous call already finalized the conversation
+  topicGenerationJobId: z.string().nullable(), // Background job enqueued to generate conversation topics, if any
+  outcomeSummary: z.object({
+    summary: z.string(), // Summary of the conversation
+    messageCount: z.number().int(), // Number of messages logged for the conversation
+    relatedEntityIds: z.array(z.string()), // Code entity IDs touched during the conversation
+    milestones: z.array(
+      z.object({
+        milestoneId: z.string().uuid(),
+        name: z.string(),
+        category: z.string().optional(),
+      })
+    ), // Milestones recorded during the conversation
+  }),
+  suggestedFollowUps: z.array(z.string()), // Suggested next steps for a future session
+  processedOk: z.boolean(), // Indicates if the tool call was processed without critical server errors
+});
@@ -0,0 +1,136 @@
+/**
+ * GeminiProvider - AI provider backed by Google's Gemini API
+ *
+ * Sends enrichment prompts through @google/genai. Requires
+ * GOOGLE_GEMINI_API_KEY; the model is taken from AI_MODEL_NAME and the
+ * embedding model from EMBEDDING_MODEL_NAME.
+ */
+
+import { GoogleGenAI } from "@google/genai";
+import { TextGenerationProvider } from "./textGeneration.provider.js";
+import { AIProviderError } from "../../utils/errors.js";
+
+// Safety settings shared by all content kinds
+const BASE_SAFETY_SETTINGS = [
+  {
+    category: "HARM_CATEGORY_HARASSMENT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_HATE_SPEECH",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+  {
+    category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
+    threshold: "BLOCK_MEDIUM_AND_ABOVE",
+  },
+];
+
+/**
+ * Provider that generates enrichment results with Gemini models
+ */
+export class GeminiProvider extends TextGenerationProvider {
+  /**
+   * Creates a new GeminiProvider
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - Google Gemini API key
+   * @param {string} [options.modelName] - Gemini model name
+   * @param {string} [options.embeddingModelName] - Gemini embedding model name
+   */
+  constructor({ apiKey, modelName, embeddingModelName }) {
+    super("Gemini API");
+    this.modelName = modelName || "gemini-2.0-flash";
+    this.embeddingModel = embeddingModelName || "text-embedding-004";
+
+    if (!apiKey) {
+      this.logger.error(
+        "GOOGLE_GEMINI_API_KEY is missing or invalid. Gemini provider will not function."
+      );
+      return;
+    }
+
+    try {
+      this.client = new GoogleGenAI({ apiKey });
+      this.isFunctional = true;
+    } catch (error) {
+      this.logger.error("Failed to initialize Gemini client", {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  /**
+   * Sends a prompt to Gemini and returns the generated text
+   * @param {string} prompt - The full prompt text
+   * @param {Object} generationOptions - Sampling options (see TextGenerationProvider)
+   * @returns {Promise<string>} The generated text
+   */
+  async generateText(prompt, generationOptions) {
+    if (!this.isFunctional) {
+      throw new AIProviderError(
+        "Gemini provider is not properly configured. Missing API key."
+      );
+    }
+
+    // Code can trigger the dangerous-content filter in benign ways, so it is only blocked for prose
+    const safetySettings = [
+      ...BASE_SAFETY_SETTINGS,
+      {
+        category: "HARM_CATEGORY_DANGEROUS_CONTENT",
+        threshold:
+          generationOptions.contentKind === "code"
+            ? "BLOCK_NONE"
+            : "BLOCK_MEDIUM_AND_ABOVE",
+      },
+    ];
+
+    try {
+      const response = await this.client.models.generateContent({
+        model: this.modelName,
+        contents: prompt,
+        config: {
+          temperature: generationOptions.temperature,
+          maxOutputTokens: generationOptions.maxOutputTokens,
+          topP: 0.8,
+          topK: 40,
+          safetySettings,
+          // Ask Gemini to constrain its output to JSON when the prompt expects it
+          ...(generationOptions.responseFormat === "json"
+            ? { responseMimeType: "application/json" }
+            : {}),
+        },
+      });
+
+      return response.text || "";
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Computes embeddings with the Gemini embedding model
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} The embedding vectors, in input order
+   */
+  async embedTexts(texts) {
+    if (!this.isFunctional) {
+      throw new AIProviderError(
+        "Gemini provider is not properly configured. Missing API key."
+      );
+    }
+
+    try {
+      const response = await this.client.models.embedContent({
+        model: this.embeddingModel,
+        contents: texts,
+      });
+
+      return (response.embeddings || []).map(
+        (embedding) => embedding.values || []
+      );
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * HashingEmbedder - Model-free embeddings for offline use
+ *
+ * Projects the words and character trigrams of a text into a fixed number of
+ * dimensions with the hashing trick (signed feature hashing). Identifiers are
+ * split into their camelCase/snake_case parts so `fetchUserProfile` and
+ * "user profile" land close to each other. The result is deterministic, needs
+ * no network access and is good enough to pull in lexically related entities
+ * that FTS misses; it does not understand synonyms.
+ */
+
+import { normalizeVector } from "../../utils/vector.js";
+
+// Default number of dimensions; large enough to keep trigram collisions rare
+const DEFAULT_DIMENSIONS = 512;
+
+// Trigrams add fuzzy matching but should not outweigh whole words
+const TRIGRAM_WEIGHT = 0.5;
+
+// Bumped whenever tokenization or hashing changes so stale vectors are recomputed
+const HASHING_SCHEME_VERSION = 1;
+
+/**
+ * Embedder that computes vectors locally from the text itself
+ */
+export class HashingEmbedder {
+  /**
+   * Creates a new HashingEmbedder
+   * @param {Object} [options] - Embedder options
+   * @param {number} [options.dimensions] - Number of vector dimensions
+   */
+  constructor({ dimensions } = {}) {
+    this.name = "Hashing";
+    this.dimensions =
+      Number.isInteger(dimensions) && dimensions > 0
+        ? dimensions
+        : DEFAULT_DIMENSIONS;
+    this.embeddingModel = `hashing-v${HASHING_SCHEME_VERSION}-${this.dimensions}`;
+    this.isFunctional = true;
+    // Texts never leave the machine
+    this.isLocal = true;
+  }
+
+  /**
+   * Computes one embedding vector per input text
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} Unit-length vectors, in input order
+   */
+  async embedTexts(texts) {
+    return texts.map((text) => Array.from(this.embedText(text)));
+  }
+
+  /**
+   * Computes the embedding vector of a single text
+   * @param {string} text - The text to embed
+   * @returns {Float32Array} The unit-length vector
+   */
+  embedText(text) {
+    const vector = new Float32Array(this.dimensions);
+    const counts = new Map();
+
+    const addFeature = (feature, weight) => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+    };
+
+    for (const word of tokenize(text || "")) {
+      addFeature(`w:${word}`, 1);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        addFeature(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    }
+
+    for (const [feature, weight] of counts) {
+      const hash = fnv1a(feature);
+      // The top bit picks the sign so collisions tend to cancel instead of pile up
+      const sign = hash & 0x80000000 ? -1 : 1;
+      // Sublinear term frequency keeps repeated words from dominating
+      vector[hash % this.dimensions] += sign * (1 + Math.log(weight + 1));
+    }
+
+    return normalizeVector(vector);
+  }
+}
+
+/**
+ * Splits text into lowercase words, adding the parts of compound identifiers
+ * @param {string} text - The text to tokenize
+ * @returns {string[]} Words with at least 2 characters
+ */
+function tokenize(text) {
+  const words = [];
+
+  for (const match of text.matchAll(/[A-Za-z0-9_$]+/g)) {
+    const identifier = match[0];
+    const parts = identifier
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_$]+/)
+      .map((part) => part.toLowerCase())
+      .filter((part) => part.length >= 2);
+
+    words.push(...parts);
+
+    // Keep the whole identifier too so exact name matches score highest
+    const whole = identifier.toLowerCase();
+    if (parts.length > 1 && whole.length >= 2) {
+      words.push(whole);
+    }
+  }
+
+  return words;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - The string to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export default HashingEmbedder;
@@ -0,0 +1,615 @@
+/**
+ * HeuristicProvider - Deterministic offline AI provider
+ *
+ * Builds summaries and keywords without any model or network access: code
+ * entities are described from their JSDoc/docstring and signature, documents
+ * from their headings and opening paragraph, and conversations from their most
+ * frequent terms. Results are stable for identical input, which makes this
+ * provider suitable for air-gapped installations and for tests. Embeddings
+ * come from the local HashingEmbedder.
+ */
+
+import path from "path";
+import logger from "../../utils/logger.js";
+import { HashingEmbedder } from "./hashing.embedder.js";
+
+// Maximum number of keywords produced for any content
+const MAX_KEYWORDS = 5;
+
+// Maximum length of a summary sentence taken from documentation
+const MAX_SUMMARY_SENTENCE_LENGTH = 240;
+
+// Words that carry no meaning as keywords (English stop words and common language keywords)
+const NON_KEYWORD_TERMS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "that",
+  "this",
+  "from",
+  "are",
+  "was",
+  "were",
+  "has",
+  "have",
+  "had",
+  "not",
+  "but",
+  "you",
+  "your",
+  "can",
+  "will",
+  "would",
+  "should",
+  "could",
+  "into",
+  "when",
+  "then",
+  "than",
+  "there",
+  "their",
+  "them",
+  "what",
+  "which",
+  "who",
+  "how",
+  "why",
+  "all",
+  "any",
+  "each",
+  "its",
+  "our",
+  "out",
+  "use",
+  "used",
+  "using",
+  "also",
+  "been",
+  "being",
+  "does",
+  "did",
+  "just",
+  "like",
+  "more",
+  "most",
+  "only",
+  "other",
+  "some",
+  "such",
+  "very",
+  "about",
+  "after",
+  "before",
+  "over",
+  "under",
+  "please",
+  "thanks",
+  "need",
+  "want",
+  "let",
+  "get",
+  "set",
+  "new",
+  "now",
+  "here",
+  "one",
+  "two",
+  "function",
+  "const",
+  "var",
+  "return",
+  "returns",
+  "async",
+  "await",
+  "class",
+  "export",
+  "import",
+  "default",
+  "true",
+  "false",
+  "null",
+  "undefined",
+  "void",
+  "else",
+  "while",
+  "try",
+  "catch",
+  "finally",
+  "throw",
+  "typeof",
+  "instanceof",
+  "def",
+  "self",
+  "none",
+  "elif",
+  "pass",
+  "lambda",
+  "yield",
+  "param",
+  "string",
+  "number",
+  "boolean",
+  "object",
+  "array",
+  "promise",
+  "interface",
+  "type",
+  "extends",
+  "implements",
+  "public",
+  "private",
+  "protected",
+  "static",
+]);
+
+// Call patterns that indicate observable side effects of a code entity
+const SIDE_EFFECT_PATTERNS = [
+  {
+    pattern: /\bfs\.(?:promises\.)?(?:write|append|unlink|rm|mkdir|rename|copy)/,
+    description: "Modifies the file system",
+  },
+  {
+    pattern: /\bfetch\(|\baxios\.|\bhttps?\.request\(|\brequests\.(?:get|post|put|delete)\(/,
+    description: "Performs network requests",
+  },
+  {
+    pattern: /\.execute\(|\.batch\(|\bINSERT\s+INTO\b|\bUPDATE\s+\w+\s+SET\b|\bDELETE\s+FROM\b/i,
+    description: "Reads or writes the database",
+  },
+  {
+    pattern: /\bconsole\.\w+\(|\blogger\.\w+\(|\bprint\(/,
+    description: "Writes log output",
+  },
+  {
+    pattern: /\bprocess\.exit\(|\bsys\.exit\(/,
+    description: "Terminates the process",
+  },
+  {
+    pattern: /\b(?:this|self)\.\w+\s*(?:=(?!=)|\+=|-=|\+\+|--)/,
+    description: "Mutates object state",
+  },
+];
+
+// Cue words used to tag the purpose of a conversation, checked in order
+const PURPOSE_TAG_CUES = [
+  {
+    tag: "Debugging Issue",
+    cues: ["error", "bug", "fix", "exception", "crash", "failing", "broken"],
+  },
+  {
+    tag: "Code Refactoring",
+    cues: ["refactor", "rename", "cleanup", "simplify", "restructure"],
+  },
+  {
+    tag: "New Feature Planning",
+    cues: ["add", "implement", "feature", "support", "create", "build"],
+  },
+];
+
+/**
+ * Provider that derives enrichment results from the content itself
+ */
+export class HeuristicProvider {
+  /**
+   * Creates a new HeuristicProvider
+   * @param {Object} [options] - Provider options
+   * @param {number} [options.embeddingDimensions] - Dimensions of the hashing embeddings
+   */
+  constructor({ embeddingDimensions } = {}) {
+    this.name = "Heuristic";
+    this.logger = logger;
+    this.isFunctional = true;
+    this.isLocal = true;
+    this.embedder = new HashingEmbedder({ dimensions: embeddingDimensions });
+    this.embeddingModel = this.embedder.embeddingModel;
+  }
+
+  /**
+   * Computes embeddings with the local hashing embedder
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} The embedding vectors, in input order
+   */
+  async embedTexts(texts) {
+    return this.embedder.embedTexts(texts);
+  }
+
+  /**
+   * Summarizes a code entity from its documentation comment and signature
+   * @param {Object} entity - The code entity to summarize
+   * @param {string} entity.rawContent - Raw source code of the entity
+   * @param {string} entity.language - Programming language of the entity
+   * @param {string} [entity.name] - Name of the entity
+   * @param {string} [entity.entityType] - Type of the entity (e.g. function_declaration)
+   * @returns {Promise<Object>} { summary, keywords, parameters, returnDescription, sideEffects, rawResponse }
+   */
+  async summarizeCodeEntity(entity) {
+    const rawContent = entity.rawContent || "";
+    const docComment = extractDocComment(rawContent);
+    const signature = extractSignature(rawContent);
+    const label = humanizeEntityType(entity.entityType);
+    const subject = entity.name
+      ? `${label} ${entity.name}${extractParameterList(signature, entity.name)}`
+      : label;
+
+    let summary;
+    if (docComment.description) {
+      summary = `${subject}: ${firstSentence(docComment.description)}`;
+    } else if (signature) {
+      summary = `${subject} in ${entity.language || "source"} code, declared as \`${signature}\`.`;
+    } else {
+      summary = `${subject} in ${entity.language || "source"} code.`;
+    }
+    const returnDescription = docComment.returns
+      ? firstSentence(docComment.returns)
+      : null;
+    if (returnDescription) {
+      summary += ` Returns ${returnDescription.charAt(0).toLowerCase()}${returnDescription.slice(1)}`;
+    }
+
+    // Documented parameters win; otherwise fall back to the declared parameter names
+    const parameters =
+      docComment.params.length > 0
+        ? docComment.params
+        : extractParameterNames(signature, entity.name).map((name) => ({
+            name,
+            description: "",
+          }));
+    const sideEffects = detectSideEffects(rawContent);
+
+    const keywords = collectKeywords(
+      [
+        entity.name,
+        ...splitIdentifier(entity.name),
+        ...docComment.params.map((param) => param.name),
+      ],
+      rawContent
+    );
+
+    this.logger.debug(
+      `Heuristic summary built for ${entity.name || "unnamed entity"}`,
+      {
+        hasDocComment: !!docComment.description,
+        keywordsCount: keywords.length,
+      }
+    );
+
+    const result = {
+      summary,
+      keywords,
+      parameters,
+      returnDescription,
+      sideEffects,
+    };
+
+    return { ...result, rawResponse: JSON.stringify(result) };
+  }
+
+  /**
+   * Summarizes a project document from its title, headings and opening paragraph
+   * @param {Object} document - The document to summarize
+   * @param {string} document.rawContent - Raw content of the document
+   * @param {string} [document.fileType] - File type of the document
+   * @param {string} [document.filePath] - Path of the document
+   * @returns {Promise<Object>} { summary, keywords, rawResponse }
+   */
+  async summarizeDocument(document) {
+    const rawContent = document.rawContent || "";
+    const headings = [
+      ...rawContent.matchAll(/^#{1,3}\s+(.+?)\s*#*\s*$/gm),
+    ].map((match) => match[1].trim());
+    const title =
+      headings[0] ||
+      (document.filePath ? path.basename(document.filePath) : "Document");
+
+    const paragraph = extractFirstParagraph(rawContent);
+    let summary;
+    if (paragraph) {
+      summary = `${title}: ${firstSentence(paragraph)}`;
+    } else if (headings.length > 1) {
+      summary = `${title}. Sections: ${headings.slice(1, 6).join(", ")}.`;
+    } else {
+      summary = `${title} (${document.fileType || "text"} document).`;
+    }
+
+    const keywords = collectKeywords(headings.slice(1, 4), rawContent);
+
+    return {
+      summary,
+      keywords,
+      rawResponse: JSON.stringify({ summary, keywords }),
+    };
+  }
+
+  /**
+   * Describes a conversation as a single topic built from its most frequent terms
+   * @param {Object} conversation - The conversation to analyze
+   * @param {Array<Object>} conversation.messages - Messages with role and content
+   * @returns {Promise<Object>} { topics: [{ summary, keywordsArray, purposeTag, rangeHint }], rawResponse }
+   */
+  async generateTopics(conversation) {
+    const messages = conversation.messages || [];
+    if (messages.length === 0) {
+      return { topics: [], rawResponse: JSON.stringify({ topics: [] }) };
+    }
+
+    const transcript = messages.map((msg) => msg.content || "").join("\n");
+    const keywordsArray = collectKeywords([], transcript);
+
+    const firstUserMessage = messages.find((msg) => msg.role === "user");
+    const opening = firstUserMessage
+      ? firstSentence(firstUserMessage.content || "")
+      : "";
+    const focus =
+      keywordsArray.length > 0 ? keywordsArray.slice(0, 3).join(", ") : "";
+
+    let summary = `Conversation of ${messages.length} messages`;
+    if (focus) {
+      summary += ` about ${focus}`;
+    }
+    summary += opening ? `, starting with: "${opening}"` : ".";
+
+    const lowerTranscript = transcript.toLowerCase();
+    const matchedPurpose = PURPOSE_TAG_CUES.find(({ cues }) =>
+      cues.some((cue) => new RegExp(`\\b${cue}`).test(lowerTranscript))
+    );
+
+    const topics = [
+      {
+        summary,
+        keywordsArray,
+        purposeTag: matchedPurpose ? matchedPurpose.tag : "General Question",
+        rangeHint: `messages 1-${messages.length}`,
+      },
+    ];
+
+    return { topics, rawResponse: JSON.stringify({ topics }) };
+  }
+}
+
+/**
+ * Extracts the leading documentation of a code snippet
+ * Supports JSDoc blocks, Python docstrings and leading line comments.
+ * @param {string} rawContent - Raw source code
+ * @returns {Object} { description, params: [{ name, description }], returns }
+ */
+function extractDocComment(rawContent) {
+  const result = { description: "", params: [], returns: "" };
+
+  const jsDocMatch = rawContent.match(/\/\*\*([\s\S]*?)\*\//);
+  if (jsDocMatch) {
+    const lines = jsDocMatch[1]
+      .split("\n")
+      .map((line) => line.replace(/^\s*\*\s?/, "").trim());
+
+    result.description = lines
+      .filter((line) => line.length > 0 && !line.startsWith("@"))
+      .join(" ");
+
+    for (const line of lines) {
+      const paramMatch = line.match(
+        /^@param\s+(?:\{[^}]*\}\s*)?\[?([\w$]+)[^\s\]]*\]?\s*(?:-\s*)?(.*)$/
+      );
+      // Nested properties (options.cache) describe an already listed parameter
+      if (
+        paramMatch &&
+        !result.params.some((param) => param.name === paramMatch[1])
+      ) {
+        result.params.push({
+          name: paramMatch[1],
+          description: paramMatch[2].trim(),
+        });
+      }
+      const returnsMatch = line.match(/^@returns?\s+(?:\{[^}]*\}\s*)?(.*)$/);
+      if (returnsMatch && returnsMatch[1]) {
+        result.returns = returnsMatch[1].replace(/^-\s*/, "");
+      }
+    }
+    return result;
+  }
+
+  const docstringMatch = rawContent.match(/("""|''')([\s\S]*?)\1/);
+  if (docstringMatch) {
+    result.description = docstringMatch[2]
+      .split(/\n\s*\n/)[0]
+      .replace(/\s+/g, " ")
+      .trim();
+    return result;
+  }
+
+  // Fall back to a block of line comments at the top of the snippet
+  const commentLines = [];
+  for (const line of rawContent.split("\n")) {
+    const commentMatch = line.match(/^\s*(?:\/\/|#)\s?(.*)$/);
+    if (!commentMatch) break;
+    if (commentMatch[1].trim()) commentLines.push(commentMatch[1].trim());
+  }
+  result.description = commentLines.join(" ");
+  return result;
+}
+
+/**
+ * Extracts the declaration line of a code snippet, without its body
+ * @param {string} rawContent - Raw source code
+ * @returns {string} The signature, or an empty string if none could be found
+ */
+function extractSignature(rawContent) {
+  // Skip documentation, comments and decorators preceding the declaration
+  const codeOnly = rawContent.replace(/\/\*[\s\S]*?\*\//g, "");
+  const line = codeOnly
+    .split("\n")
+    .map((candidate) => candidate.trim())
+    .find(
+      (candidate) =>
+        candidate.length > 0 &&
+        !candidate.startsWith("//") &&
+        !candidate.startsWith("#") &&
+        !candidate.startsWith("@")
+    );
+
+  if (!line) return "";
+
+  const signature = line.replace(/\s*(?:\{|=>\s*\{?|:)\s*$/, "").trim();
+  return signature.length > 120
+    ? `${signature.substring(0, 117)}...`
+    : signature;
+}
+
+/**
+ * Extracts the parameter list of a function-like declaration
+ * @param {string} signature - Declaration line
+ * @param {string} name - Name of the declared entity
+ * @returns {string} The parameter list including parentheses, or an empty string
+ */
+function extractParameterList(signature, name) {
+  const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const declarationMatch =
+    signature.match(new RegExp(`${escapedName}\\s*\\(([^()]*)\\)`)) ||
+    signature.match(/=\s*(?:async\s*)?(?:function\s*)?\(([^()]*)\)/);
+  return declarationMatch ? `(${declarationMatch[1].trim()})` : "";
+}
+
+/**
+ * Extracts the declared parameter names of a function-like declaration
+ * Destructured parameters are skipped since they have no single name.
+ * @param {string} signature - Declaration line
+ * @param {string} [name] - Name of the declared entity
+ * @returns {string[]} Parameter names in declaration order
+ */
+function extractParameterNames(signature, name) {
+  const parameterList = extractParameterList(signature, name || "");
+  if (!parameterList) return [];
+
+  return parameterList
+    .slice(1, -1)
+    .split(",")
+    .map((parameter) =>
+      parameter
+        .split(/[=:]/)[0]
+        .replace(/^\s*(?:\.\.\.|\*{1,2})/, "")
+        .trim()
+    )
+    .filter(
+      (parameter) =>
+        /^[\w$]+$/.test(parameter) &&
+        parameter !== "self" &&
+        parameter !== "cls"
+    );
+}
+
+/**
+ * Detects common side effects from calls that appear in a code snippet
+ * @param {string} rawContent - Raw source code
+ * @returns {string[]} Descriptions of the detected side effects
+ */
+function detectSideEffects(rawContent) {
+  return SIDE_EFFECT_PATTERNS.filter(({ pattern }) =>
+    pattern.test(rawContent)
+  ).map(({ description }) => description);
+}
+
+/**
+ * Turns an entity type such as "function_declaration" into "Function declaration"
+ * @param {string} entityType - The entity type
+ * @returns {string} Human-readable label
+ */
+function humanizeEntityType(entityType) {
+  if (!entityType) return "Code entity";
+  const label = entityType.replace(/_/g, " ");
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Returns the first sentence of a text, capped to a reasonable length
+ * @param {string} text - Source text
+ * @returns {string} The first sentence, ending with punctuation
+ */
+function firstSentence(text) {
+  const normalized = text.replace(/\s+/g, " ").trim();
+  const sentence = normalized.split(/(?<=[.!?])\s/)[0];
+  const capped =
+    sentence.length > MAX_SUMMARY_SENTENCE_LENGTH
+      ? `${sentence.substring(0, MAX_SUMMARY_SENTENCE_LENGTH - 3)}...`
+      : sentence;
+  return /[.!?]$/.test(capped) ? capped : `${capped}.`;
+}
+
+/**
+ * Finds the first prose paragraph of a markdown/text document
+ * @param {string} rawContent - Raw document content
+ * @returns {string} The paragraph, or an empty string if none was found
+ */
+function extractFirstParagraph(rawContent) {
+  // Drop fenced code so it is never mistaken for prose
+  const withoutCode = rawContent.replace(/```[\s\S]*?```/g, "");
+  const paragraph = withoutCode
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .find(
+      (block) =>
+        block.length > 0 &&
+        !block.startsWith("#") &&
+        !block.startsWith("<") &&
+        !block.startsWith("[![") &&
+        !block.startsWith("|") &&
+        !block.startsWith("---") &&
+        /[a-zA-Z]{3,}/.test(block)
+    );
+  return paragraph ? paragraph.replace(/\s+/g, " ") : "";
+}
+
+/**
+ * Splits camelCase, PascalCase and snake_case identifiers into their words
+ * @param {string} identifier - The identifier to split
+ * @returns {string[]} Lowercase words with at least 3 characters
+ */
+function splitIdentifier(identifier) {
+  if (!identifier) return [];
+  return identifier
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[\s_$.-]+/)
+    .map((part) => part.toLowerCase())
+    .filter((part) => part.length >= 3 && !NON_KEYWORD_TERMS.has(part));
+}
+
+/**
+ * Builds a keyword list from preferred terms followed by the most frequent terms of a text
+ * Ties are broken by first occurrence so the output is deterministic.
+ * @param {string[]} preferredTerms - Terms placed first when present
+ * @param {string} text - Text to mine for frequent terms
+ * @returns {string[]} Up to MAX_KEYWORDS unique keywords
+ */
+function collectKeywords(preferredTerms, text) {
+  const keywords = [];
+  const seen = new Set();
+
+  const addKeyword = (term) => {
+    if (!term || keywords.length >= MAX_KEYWORDS) return;
+    const key = term.toLowerCase();
+    if (seen.has(key) || NON_KEYWORD_TERMS.has(key)) return;
+    seen.add(key);
+    keywords.push(term);
+  };
+
+  preferredTerms.forEach(addKeyword);
+
+  // Links and image references are markup, not content
+  const content = text.replace(/!?\[[^\]]*\]\([^)]*\)|https?:\/\/\S+/g, " ");
+
+  // Terms are counted case-insensitively but keep the casing of their first occurrence
+  const counts = new Map();
+  for (const match of content.matchAll(/[A-Za-z_][A-Za-z0-9_]{2,}/g)) {
+    const key = match[0].toLowerCase();
+    if (NON_KEYWORD_TERMS.has(key)) continue;
+    const entry = counts.get(key) || { term: match[0], count: 0 };
+    entry.count += 1;
+    counts.set(key, entry);
+  }
+
+  // Map preserves insertion order, so a stable sort keeps first occurrence on ties
+  [...counts.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach(({ term }) => addKeyword(term));
+
+  return keywords;
+}
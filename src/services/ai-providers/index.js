@@ -0,0 +1,102 @@
+/**
+ * AI Providers
+ *
+ * Central factory for the providers AIService delegates content generation to.
+ * The backend is selected with the AI_PROVIDER configuration value:
+ * - "gemini" (default): Google Gemini via @google/genai
+ * - "openai_compatible": any OpenAI-compatible /chat/completions endpoint
+ * - "heuristic": deterministic offline summaries, no network access
+ *
+ * Embeddings are selected separately with EMBEDDING_PROVIDER:
+ * - "hashing" (default): local feature-hashing embedder, no network access
+ * - "ai_provider": the embedding model of the provider selected by AI_PROVIDER
+ */
+
+import logger from "../../utils/logger.js";
+import { GeminiProvider } from "./gemini.provider.js";
+import { OpenAICompatibleProvider } from "./openaiCompatible.provider.js";
+import { HeuristicProvider } from "./heuristic.provider.js";
+import { HashingEmbedder } from "./hashing.embedder.js";
+
+export {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  HeuristicProvider,
+  HashingEmbedder,
+};
+
+// Provider names accepted by AI_PROVIDER
+export const AI_PROVIDER_NAMES = ["gemini", "openai_compatible", "heuristic"];
+
+// Embedding provider names accepted by EMBEDDING_PROVIDER
+export const EMBEDDING_PROVIDER_NAMES = ["hashing", "ai_provider"];
+
+/**
+ * Creates the AI provider selected by configuration
+ * @param {Object} config - The application configuration
+ * @returns {Object} Provider implementing summarizeCodeEntity, summarizeDocument and generateTopics
+ */
+export function createAIProvider(config) {
+  switch (config.AI_PROVIDER) {
+    case "openai_compatible":
+      return new OpenAICompatibleProvider({
+        baseUrl: config.OPENAI_COMPATIBLE_BASE_URL,
+        apiKey: config.OPENAI_COMPATIBLE_API_KEY,
+        modelName: config.OPENAI_COMPATIBLE_MODEL,
+        embeddingModelName: config.EMBEDDING_MODEL_NAME,
+      });
+    case "heuristic":
+      return new HeuristicProvider({
+        embeddingDimensions: config.EMBEDDING_DIMENSIONS,
+      });
+    case "gemini":
+      return new GeminiProvider({
+        apiKey: config.GOOGLE_GEMINI_API_KEY,
+        modelName: config.AI_MODEL_NAME,
+        embeddingModelName: config.EMBEDDING_MODEL_NAME,
+      });
+    default:
+      logger.warn(
+        `Unknown AI_PROVIDER '${config.AI_PROVIDER}', falling back to gemini`
+      );
+      return new GeminiProvider({
+        apiKey: config.GOOGLE_GEMINI_API_KEY,
+        modelName: config.AI_MODEL_NAME,
+        embeddingModelName: config.EMBEDDING_MODEL_NAME,
+      });
+  }
+}
+
+/**
+ * Creates the embedder selected by configuration
+ * Every embedder exposes name, isFunctional, embeddingModel (stored with each
+ * vector so vectors from different models are never compared) and embedTexts(texts).
+ * Embedders that never send texts off the machine also set isLocal.
+ * @param {Object} config - The application configuration
+ * @param {Object} [aiProvider] - Already created AI provider to reuse for "ai_provider"
+ * @returns {Object} The embedder
+ */
+export function createEmbedder(config, aiProvider = null) {
+  if (config.EMBEDDING_PROVIDER === "ai_provider") {
+    return aiProvider || createAIProvider(config);
+  }
+
+  if (config.EMBEDDING_PROVIDER && config.EMBEDDING_PROVIDER !== "hashing") {
+    logger.warn(
+      `Unknown EMBEDDING_PROVIDER '${config.EMBEDDING_PROVIDER}', falling back to hashing`
+    );
+  }
+
+  return new HashingEmbedder({ dimensions: config.EMBEDDING_DIMENSIONS });
+}
+
+export default {
+  createAIProvider,
+  createEmbedder,
+  AI_PROVIDER_NAMES,
+  EMBEDDING_PROVIDER_NAMES,
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  HeuristicProvider,
+  HashingEmbedder,
+};
@@ -0,0 +1,136 @@
+/**
+ * OpenAICompatibleProvider - AI provider for OpenAI-compatible HTTP endpoints
+ *
+ * Talks to any server exposing the OpenAI `/chat/completions` API (OpenAI,
+ * Azure-style gateways, vLLM, Ollama, LM Studio, llama.cpp server, ...).
+ * Embeddings use the `/embeddings` endpoint of the same server.
+ * Uses the global fetch available in Node 18+, so no extra dependency is needed.
+ */
+
+import { TextGenerationProvider } from "./textGeneration.provider.js";
+import { AIProviderError } from "../../utils/errors.js";
+
+// Requests that take longer than this are aborted and reported as provider errors
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Provider that generates enrichment results through a chat completions endpoint
+ */
+export class OpenAICompatibleProvider extends TextGenerationProvider {
+  /**
+   * Creates a new OpenAICompatibleProvider
+   * @param {Object} options - Provider options
+   * @param {string} options.baseUrl - Base URL of the API (e.g. http://localhost:11434/v1)
+   * @param {string} options.modelName - Model name sent with every request
+   * @param {string} [options.apiKey] - Bearer token; optional for local servers
+   * @param {string} [options.embeddingModelName] - Model name used for /embeddings requests
+   */
+  constructor({ baseUrl, modelName, apiKey, embeddingModelName }) {
+    super("OpenAI-compatible API");
+    this.apiKey = apiKey;
+    this.modelName = modelName;
+    this.embeddingModel = embeddingModelName || "text-embedding-3-small";
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, "") : null;
+
+    if (!this.baseUrl || !this.modelName) {
+      this.logger.error(
+        "OPENAI_COMPATIBLE_BASE_URL or OPENAI_COMPATIBLE_MODEL is missing. OpenAI-compatible provider will not function."
+      );
+      return;
+    }
+
+    this.isFunctional = true;
+  }
+
+  /**
+   * Sends a prompt as a single user message and returns the completion text
+   * @param {string} prompt - The full prompt text
+   * @param {Object} generationOptions - Sampling options (see TextGenerationProvider)
+   * @returns {Promise<string>} The generated text
+   */
+  async generateText(prompt, generationOptions) {
+    if (!this.isFunctional) {
+      throw new AIProviderError(
+        "OpenAI-compatible provider is not properly configured. Missing base URL or model name."
+      );
+    }
+
+    try {
+      const data = await this.postJson("/chat/completions", {
+        model: this.modelName,
+        messages: [{ role: "user", content: prompt }],
+        temperature: generationOptions.temperature,
+        max_tokens: generationOptions.maxOutputTokens,
+        top_p: 0.8,
+      });
+      return data.choices?.[0]?.message?.content || "";
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Computes embeddings through the /embeddings endpoint
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} The embedding vectors, in input order
+   */
+  async embedTexts(texts) {
+    if (!this.isFunctional) {
+      throw new AIProviderError(
+        "OpenAI-compatible provider is not properly configured. Missing base URL or model name."
+      );
+    }
+
+    try {
+      const data = await this.postJson("/embeddings", {
+        model: this.embeddingModel,
+        input: texts,
+      });
+
+      // The API may return items out of order; each carries its input index
+      return [...(data.data || [])]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * POSTs a JSON body to an endpoint below the base URL
+   * @param {string} path - Endpoint path, e.g. "/chat/completions"
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} The parsed JSON response
+   */
+  async postJson(path, body) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const bodyText = await response.text();
+      // Shape the failure like an SDK error so rate-limit detection can inspect it
+      const httpError = new Error(
+        `HTTP ${response.status} ${response.statusText}: ${bodyText.substring(
+          0,
+          200
+        )}`
+      );
+      httpError.status = response.status;
+      httpError.headers = {
+        "retry-after": response.headers.get("retry-after"),
+      };
+      throw httpError;
+    }
+
+    return response.json();
+  }
+}
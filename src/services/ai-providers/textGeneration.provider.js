@@ -0,0 +1,422 @@
+/**
+ * TextGenerationProvider - Shared base for prompt-driven AI providers
+ *
+ * Remote providers (Gemini, OpenAI-compatible endpoints) only differ in how a
+ * prompt is sent and how a failed request looks. This base class owns the
+ * prompts, the JSON response contract (validated with the schemas in
+ * src/schemas/ai.schemas.js, with a repair round-trip for malformed output)
+ * and the rate-limit detection so that each concrete provider only has to
+ * implement generateText().
+ *
+ * Every provider exposes the same interface consumed by AIService:
+ * - name / isFunctional
+ * - summarizeCodeEntity(entity, options) -> { summary, keywords, parameters,
+ *   returnDescription, sideEffects, rawResponse }
+ * - summarizeDocument(document, options) -> { summary, keywords, rawResponse }
+ * - generateTopics(conversation, options) -> { topics, rawResponse }
+ *
+ * Providers that can also compute embeddings override embedTexts() and set
+ * embeddingModel, which makes them usable as the EMBEDDING_PROVIDER.
+ */
+
+import logger from "../../utils/logger.js";
+import { RateLimitError, AIProviderError } from "../../utils/errors.js";
+import {
+  CodeEntityEnrichmentSchema,
+  DocumentEnrichmentSchema,
+  ConversationTopicsSchema,
+} from "../../schemas/ai.schemas.js";
+
+// Retry delay used when a rate-limited response carries no usable hint
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+// Number of times a malformed response is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Closing instruction shared by all prompts that expect a JSON response
+const JSON_ONLY_INSTRUCTION =
+  "Respond with a single JSON object and nothing else (no markdown, no commentary), using exactly this structure:";
+
+// Message fragments that indicate rate limiting across providers
+const RATE_LIMIT_KEYWORDS = [
+  "rate limit",
+  "ratelimit",
+  "resource exhausted",
+  "quota exceeded",
+  "too many requests",
+  "resource_exhausted",
+  "429",
+];
+
+/**
+ * Base class for providers that produce enrichment results from a text prompt
+ */
+export class TextGenerationProvider {
+  /**
+   * Creates a new TextGenerationProvider
+   * @param {string} name - Provider name used in logs and error messages
+   */
+  constructor(name) {
+    this.name = name;
+    this.logger = logger;
+    this.isFunctional = false;
+    this.embeddingModel = null; // Set by providers that support embeddings
+  }
+
+  /**
+   * Computes one embedding vector per input text
+   * Providers with an embeddings endpoint override this method.
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} The embedding vectors, in input order
+   */
+  async embedTexts(texts) {
+    throw new AIProviderError(
+      `Provider ${this.name} does not support embeddings.`
+    );
+  }
+
+  /**
+   * Sends a prompt to the backend and returns the generated text
+   * Concrete providers must override this method.
+   * @param {string} prompt - The full prompt text
+   * @param {Object} generationOptions - Sampling options
+   * @param {number} generationOptions.temperature - Sampling temperature
+   * @param {number} generationOptions.maxOutputTokens - Maximum tokens to generate
+   * @param {string} generationOptions.contentKind - "code", "document" or "conversation"
+   * @param {string} [generationOptions.responseFormat] - "json" when the prompt expects a JSON object
+   * @returns {Promise<string>} The generated text
+   */
+  async generateText(prompt, generationOptions) {
+    throw new AIProviderError(
+      `Provider ${this.name} does not implement generateText.`
+    );
+  }
+
+  /**
+   * Summarizes a code entity and extracts keywords and structured details
+   * @param {Object} entity - The code entity to summarize
+   * @param {string} entity.rawContent - Raw source code of the entity
+   * @param {string} entity.language - Programming language of the entity
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.thinkingBudget] - Token budget for the response
+   * @returns {Promise<Object>} { summary, keywords, parameters, returnDescription, sideEffects, rawResponse }
+   */
+  async summarizeCodeEntity(entity, options = {}) {
+    const { rawContent, language } = entity;
+
+    const prompt = `You are an expert code analyst. Below is a code snippet from a ${language} file.
+Provide a concise technical summary (1-2 sentences) of what this code does.
+Also, provide a list of 3-5 relevant technical keywords or phrases.
+Focus on the core functionality, important identifiers, and algorithms if apparent.
+Describe each declared parameter, what the code returns and any side effects
+(file or network I/O, database writes, mutation of shared state, logging).
+
+Code Snippet:
+\`\`\`${language}
+${rawContent}
+\`\`\`
+
+${JSON_ONLY_INSTRUCTION}
+{
+  "summary": "Your summary",
+  "keywords": ["keyword1", "keyword2", "keyword3"],
+  "parameters": [{ "name": "parameterName", "description": "What it is used for" }],
+  "returnDescription": "What the code returns, or null",
+  "sideEffects": ["Side effect description"]
+}
+Use an empty array for "parameters" or "sideEffects" when there are none.`;
+
+    const { data, rawResponse } = await this.generateStructured(
+      prompt,
+      CodeEntityEnrichmentSchema,
+      {
+        temperature: 0.2, // Lower temperature for more deterministic, focused responses
+        maxOutputTokens: Math.min(options.thinkingBudget || 500, 512), // Set token limit appropriate for summaries
+        contentKind: "code",
+      }
+    );
+
+    return { ...data, rawResponse };
+  }
+
+  /**
+   * Summarizes a project document and extracts keywords
+   * @param {Object} document - The document to summarize
+   * @param {string} document.rawContent - Raw content of the document
+   * @param {string} document.fileType - File type of the document (e.g. markdown)
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.thinkingBudget] - Token budget for the response
+   * @returns {Promise<Object>} { summary, keywords, rawResponse }
+   */
+  async summarizeDocument(document, options = {}) {
+    const { rawContent, fileType } = document;
+
+    const prompt = `You are an expert technical writer and analyst. Below is the content of a ${fileType} document.
+Provide a concise summary (2-3 sentences) of what this document is about.
+Also, provide a list of 3-5 relevant keywords or phrases.
+Focus on the main topics, key information, and purpose of the document.
+
+Document Content:
+${rawContent}
+
+${JSON_ONLY_INSTRUCTION}
+{
+  "summary": "Your summary",
+  "keywords": ["keyword1", "keyword2", "keyword3"]
+}`;
+
+    const { data, rawResponse } = await this.generateStructured(
+      prompt,
+      DocumentEnrichmentSchema,
+      {
+        temperature: 0.2,
+        maxOutputTokens: Math.min(options.thinkingBudget || 500, 512),
+        contentKind: "document",
+      }
+    );
+
+    return { ...data, rawResponse };
+  }
+
+  /**
+   * Identifies the main topics of a conversation
+   * @param {Object} conversation - The conversation to analyze
+   * @param {Array<Object>} conversation.messages - Messages with role and content
+   * @param {Object} [options] - Generation options
+   * @param {number} [options.thinkingBudget] - Token budget for the response
+   * @returns {Promise<Object>} { topics: [{ summary, keywordsArray, purposeTag, rangeHint }], rawResponse }
+   */
+  async generateTopics(conversation, options = {}) {
+    const formattedHistory = conversation.messages
+      .map((msg) => `${msg.role}: ${msg.content}`)
+      .join("\n");
+
+    const prompt = `You are an expert conversation analyst. Below is a transcript of a conversation between a user and an AI assistant.
+Analyze the conversation and identify up to 3 main distinct topics discussed.
+For each topic, provide:
+1. A concise summary (1-2 sentences).
+2. A list of 3-5 relevant keywords.
+3. A purpose tag (e.g., "Debugging Issue", "New Feature Planning", "Code Refactoring", "General Question").
+4. (Optional) The starting and ending phrase or message index that best represents this topic.
+
+Conversation Transcript:
+${formattedHistory}
+
+${JSON_ONLY_INSTRUCTION}
+{
+  "topics": [
+    {
+      "summary": "Summary of the topic",
+      "keywords": ["keywordA", "keywordB"],
+      "purposeTag": "Tag for the topic",
+      "rangeHint": "Optional start/end hint"
+    }
+  ]
+}`;
+
+    const { data, rawResponse } = await this.generateStructured(
+      prompt,
+      ConversationTopicsSchema,
+      {
+        temperature: 0.5, // Slightly higher for more creative topic discernment
+        maxOutputTokens: Math.min(options.thinkingBudget || 500, 800), // Higher limit for multiple topic descriptions
+        contentKind: "conversation",
+      }
+    );
+
+    return {
+      topics: data.topics.map((topic) => ({
+        summary: topic.summary,
+        keywordsArray: topic.keywords,
+        purposeTag: topic.purposeTag,
+        rangeHint: topic.rangeHint,
+      })),
+      rawResponse,
+    };
+  }
+
+  /**
+   * Generates a response and validates it against a JSON schema
+   * Malformed output is sent back to the model together with the validation
+   * problems, up to MAX_REPAIR_ATTEMPTS times, before giving up.
+   * @param {string} prompt - The full prompt text
+   * @param {import("zod").ZodTypeAny} schema - Schema the JSON response must satisfy
+   * @param {Object} generationOptions - Sampling options (see generateText)
+   * @returns {Promise<Object>} { data, rawResponse } with the validated data
+   * @throws {AIProviderError} If the response is still malformed after all repair attempts
+   */
+  async generateStructured(prompt, schema, generationOptions) {
+    const jsonOptions = { ...generationOptions, responseFormat: "json" };
+
+    let responseText = await this.generateText(prompt, jsonOptions);
+    let validation = validateJsonResponse(responseText, schema);
+
+    for (
+      let attempt = 1;
+      !validation.success && attempt <= MAX_REPAIR_ATTEMPTS;
+      attempt++
+    ) {
+      this.logger.warn(
+        `Malformed ${generationOptions.contentKind} response from ${this.name}, requesting repair (attempt ${attempt}/${MAX_REPAIR_ATTEMPTS}): ${validation.error}`
+      );
+
+      const repairPrompt = `${prompt}
+
+Your previous response was:
+${responseText}
+
+It is invalid: ${validation.error}
+Respond again with only the corrected JSON object.`;
+
+      // Repairs should change as little as possible, so sampling is made deterministic
+      responseText = await this.generateText(repairPrompt, {
+        ...jsonOptions,
+        temperature: 0,
+      });
+      validation = validateJsonResponse(responseText, schema);
+    }
+
+    if (!validation.success) {
+      throw new AIProviderError(
+        `${this.name} returned a malformed ${generationOptions.contentKind} response after ${MAX_REPAIR_ATTEMPTS} repair attempt(s): ${validation.error}`
+      );
+    }
+
+    return { data: validation.data, rawResponse: responseText };
+  }
+
+  /**
+   * Converts a backend error into a RateLimitError or AIProviderError
+   * @param {Error} error - The error raised by the backend client
+   * @returns {Error} A RateLimitError or AIProviderError to throw
+   */
+  normalizeError(error) {
+    if (error instanceof RateLimitError || error instanceof AIProviderError) {
+      return error;
+    }
+
+    if (isRateLimitError(error)) {
+      const retryAfterSeconds = extractRetryAfterSeconds(error, this.logger);
+      this.logger.warn(
+        `Rate limit detected for ${this.name} provider. RetryAfter: ${retryAfterSeconds}s. Original error: ${error.message}`
+      );
+      return new RateLimitError(
+        `${this.name} rate limit: ${error.message}`,
+        retryAfterSeconds
+      );
+    }
+
+    return new AIProviderError(`${this.name} error: ${error.message}`);
+  }
+}
+
+/**
+ * Parses a model response as JSON and validates it against a schema
+ * Markdown code fences and text around the outermost JSON object are ignored.
+ * @param {string} responseText - The raw model response
+ * @param {import("zod").ZodTypeAny} schema - Schema the parsed JSON must satisfy
+ * @returns {Object} { success: true, data } or { success: false, error }
+ */
+export function validateJsonResponse(responseText, schema) {
+  const text = (responseText || "").trim();
+  const firstBrace = text.indexOf("{");
+  const lastBrace = text.lastIndexOf("}");
+
+  if (firstBrace === -1 || lastBrace < firstBrace) {
+    return {
+      success: false,
+      error: "Response does not contain a JSON object.",
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.substring(firstBrace, lastBrace + 1));
+  } catch (parseError) {
+    return {
+      success: false,
+      error: `Response is not valid JSON: ${parseError.message}`,
+    };
+  }
+
+  const result = schema.safeParse(parsed);
+  if (!result.success) {
+    const problems = result.error.issues
+      .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+      .join("; ");
+    return {
+      success: false,
+      error: `Response does not match schema: ${problems}`,
+    };
+  }
+
+  return { success: true, data: result.data };
+}
+
+/**
+ * Robustly detects rate limit errors from any provider client
+ * @param {Error} error - The error to inspect
+ * @returns {boolean} True if the error indicates rate limiting
+ */
+export function isRateLimitError(error) {
+  // Check for explicit status code 429
+  if (error.status === 429) return true;
+
+  // Check for Google API specific error structure
+  if (error.code === 8 || error.code === "RESOURCE_EXHAUSTED") return true;
+
+  // Check error message for rate limit indicators
+  const errorMessage = (error.message || "").toLowerCase();
+  if (RATE_LIMIT_KEYWORDS.some((keyword) => errorMessage.includes(keyword))) {
+    return true;
+  }
+
+  return error.name === "RateLimitError";
+}
+
+/**
+ * Extracts the retry delay from a rate-limited error's headers or body
+ * @param {Error} error - The rate limit error
+ * @param {Object} log - Logger used to report extraction failures
+ * @returns {number} Seconds to wait before retrying
+ */
+export function extractRetryAfterSeconds(error, log = logger) {
+  let retryAfterSeconds = DEFAULT_RETRY_AFTER_SECONDS;
+
+  try {
+    // Extract retry-after from headers if present
+    if (error.headers && error.headers["retry-after"]) {
+      const retryAfter = error.headers["retry-after"];
+      // Handle both seconds format and date format
+      if (!isNaN(retryAfter)) {
+        retryAfterSeconds = parseInt(retryAfter, 10);
+      } else {
+        // If it's a date, calculate seconds from now
+        const retryDate = new Date(retryAfter);
+        retryAfterSeconds = Math.ceil((retryDate - new Date()) / 1000);
+        // Ensure it's positive and reasonable
+        retryAfterSeconds = Math.max(1, Math.min(retryAfterSeconds, 3600));
+      }
+    }
+
+    // Look for retry information in error body
+    if (error.body && error.body.details) {
+      const retryInfo = error.body.details.find(
+        (detail) => detail.retryInfo || detail.retry_info
+      );
+      if (retryInfo && (retryInfo.retryDelay || retryInfo.retry_delay)) {
+        const delay = retryInfo.retryDelay || retryInfo.retry_delay;
+        if (delay.seconds) {
+          retryAfterSeconds = parseInt(delay.seconds, 10);
+        }
+      }
+    }
+  } catch (extractError) {
+    log.warn(
+      `Failed to extract retry-after information: ${extractError.message}`
+    );
+    // Keep using the default value
+  }
+
+  return retryAfterSeconds;
+}
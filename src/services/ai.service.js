@@ -1,58 +1,76 @@
 /**
- * AIService - Service for interacting with Google's Gemini API
+ * AIService - Service for AI-powered enrichment of indexed content
  *
- * This service initializes the Gemini API client and provides methods
- * for AI-powered operations on code entities and other content.
+ * This service fetches code entities, documents and conversations from the
+ * database, delegates summary/keyword/topic generation to the configured AI
+ * provider (see ./ai-providers) and persists the results. The provider is
+ * selected with AI_PROVIDER, so callers such as BackgroundJobManager never
+ * depend on a specific backend. Embeddings are computed by the embedder
+ * selected with EMBEDDING_PROVIDER, which works offline by default.
+ *
+ * Content flagged as containing secrets when it was indexed (see
+ * ../utils/secrets.js) is never sent to the provider or a remote embedder.
  */
 
-import { GoogleGenAI } from "@google/genai";
+import crypto from "crypto";
 import config from "../config.js";
 import logger from "../utils/logger.js";
 import { RateLimitError, AIProviderError } from "../utils/errors.js";
 import * as dbQueries from "../db/queries.js";
+import { createAIProvider, createEmbedder } from "./ai-providers/index.js";
+import { hasRedactedSecrets } from "../utils/secrets.js";
 import { v4 as uuidv4 } from "uuid";
 
+// Embedding inputs are truncated to stay within the context window of embedding models
+const MAX_EMBEDDING_INPUT_CHARS = 6000;
+
 /**
- * Service for AI operations using Google's Gemini API
+ * Service for AI operations on code entities, documents and conversations
  */
 class AIService {
   /**
    * Creates a new AIService instance
    * @param {Object} dbClient - The database client for TursoDB
+   * @param {Object} [options] - Optional settings
+   * @param {Object} [options.provider] - AI provider to use instead of the one selected by AI_PROVIDER
+   * @param {Object} [options.embedder] - Embedder to use instead of the one selected by EMBEDDING_PROVIDER
    */
-  constructor(dbClient) {
+  constructor(dbClient, options = {}) {
     this.logger = logger;
     this.configService = config;
     this.dbClient = dbClient;
+    this.provider = options.provider || null;
+    this.embedder = options.embedder || null;
     this.isFunctional = false;
 
     this.initialize();
   }
 
   /**
-   * Initializes the Google Gemini API client
+   * Initializes the AI provider selected by configuration
    */
   initialize() {
     try {
-      const apiKey = this.configService.GOOGLE_GEMINI_API_KEY;
-      const modelName = this.configService.AI_MODEL_NAME;
+      if (!this.provider) {
+        this.provider = createAIProvider(this.configService);
+      }
+
+      // The embedder is independent of the provider's health: the default hashing embedder works offline
+      if (!this.embedder) {
+        this.embedder = createEmbedder(this.configService, this.provider);
+      }
+
+      this.isFunctional = !!this.provider.isFunctional;
 
-      if (!apiKey) {
+      if (!this.isFunctional) {
         this.logger.error(
-          "GOOGLE_GEMINI_API_KEY is missing or invalid. AIService will not function."
+          `AI provider '${this.provider.name}' is not functional. AIService will not function.`
         );
-        this.isFunctional = false;
         return;
       }
 
-      // Initialize the Google Gemini API client
-      const genAI = new GoogleGenAI(apiKey);
-      this.model = genAI.getGenerativeModel({
-        model: modelName || "gemini-2.0-flash",
-      });
-      this.isFunctional = true;
       this.logger.info(
-        "AIService successfully initialized with Google Gemini API"
+        `AIService successfully initialized with provider: ${this.provider.name}`
       );
     } catch (error) {
       this.logger.error("Failed to initialize AIService", {
@@ -63,11 +81,51 @@ class AIService {
     }
   }
 
+  /**
+   * Determines the token budget for a provider call
+   * @param {Object} jobPayload - Optional payload with job parameters and overrides
+   * @returns {number} The thinking budget to use
+   */
+  getThinkingBudget(jobPayload) {
+    return jobPayload?.thinkingBudgetOverride > 0
+      ? jobPayload.thinkingBudgetOverride
+      : this.configService.AI_THINKING_BUDGET;
+  }
+
+  /**
+   * Converts an error raised while enriching a target into the error type
+   * BackgroundJobManager understands (RateLimitError or AIProviderError)
+   * @param {Error} error - The original error
+   * @param {string} targetDescription - Description of the target, e.g. "entity <id>"
+   * @returns {Error} The error to throw
+   */
+  toJobError(error, targetDescription) {
+    const providerName = this.provider ? this.provider.name : "AI provider";
+
+    if (error instanceof RateLimitError) {
+      this.logger.warn(
+        `Throwing RateLimitError for ${targetDescription}. RetryAfter: ${error.retryAfterSeconds}s. Original error: ${error.message}`
+      );
+      return new RateLimitError(
+        `${providerName} rate limit for ${targetDescription}: ${error.message}`,
+        error.retryAfterSeconds
+      );
+    }
+
+    this.logger.error(
+      `Throwing AIProviderError for ${targetDescription}: ${error.message}`
+    );
+    return new AIProviderError(
+      `${providerName} provider error for ${targetDescription}: ${error.message}`
+    );
+  }
+
   /**
    * Enriches a code entity with AI-generated summary and keywords
    * @param {string} codeEntityId - The ID of the code entity to enrich
    * @param {Object} jobPayload - Optional payload with job parameters
-   * @returns {Promise<Object>} - The enrichment result containing summary and keywords
+   * @returns {Promise<Object>} - The enrichment result containing summary, keywords and the
+   * structured details (parameters, returnDescription, sideEffects) stored in custom_metadata.ai_enrichment
    */
   async enrichCodeEntity(codeEntityId, jobPayload) {
     this.logger.debug(
@@ -76,10 +134,10 @@ class AIService {
 
     if (!this.isFunctional) {
       this.logger.error(
-        `Service not functional for code entity ${codeEntityId}. Missing API key or model name.`
+        `Service not functional for code entity ${codeEntityId}. AI provider is not configured.`
       );
       throw new AIProviderError(
-        "AIService is not properly configured. Missing API key or model name."
+        "AIService is not properly configured. AI provider is not functional."
       );
     }
 
@@ -101,173 +159,50 @@ class AIService {
         );
       }
 
+      if (hasRedactedSecrets(entity)) {
+        this.logger.warn(
+          `Code entity ${codeEntityId} contains redacted secrets, skipping enrichment`
+        );
+        await dbQueries.updateCodeEntityAiStatus(
+          this.dbClient,
+          codeEntityId,
+          "skipped"
+        );
+        return { success: true, skipped: true };
+      }
+
       // Extract the necessary data from the entity
       const { raw_content, language } = entity;
       this.logger.debug(
         `Entity data fetched for ${codeEntityId}. Language: ${language}, Raw content length: ${raw_content.length}`
       );
 
-      // Determine the thinking budget for the API call
-      const defaultThinkingBudget = this.configService.AI_THINKING_BUDGET;
-      const thinkingBudget =
-        jobPayload?.thinkingBudgetOverride > 0
-          ? jobPayload.thinkingBudgetOverride
-          : defaultThinkingBudget;
-
-      this.logger.debug(
-        `Using thinkingBudget: ${thinkingBudget} for ${codeEntityId}`
-      );
-
-      // Construct the prompt for Gemini API
-      const prompt = `You are an expert code analyst. Below is a code snippet from a ${language} file.
-Provide a concise technical summary (1-2 sentences) of what this code does.
-Also, provide a list of 3-5 relevant technical keywords or phrases, comma-separated.
-Focus on the core functionality, important identifiers, and algorithms if apparent.
-
-Code Snippet:
-\`\`\`${language}
-${raw_content}
-\`\`\`
+      const thinkingBudget = this.getThinkingBudget(jobPayload);
 
-Output format should be:
-Summary: [Your summary]
-Keywords: [keyword1, keyword2, keyword3]`;
-
-      this.logger.debug(
-        `Gemini prompt constructed for ${codeEntityId}. Prompt length: ${prompt.length}`
+      this.logger.info(
+        `Calling ${this.provider.name} for code entity ${codeEntityId} with budget ${thinkingBudget}`
       );
 
-      // Call the Gemini API with the prompt
-      const generationConfig = {
-        temperature: 0.2, // Lower temperature for more deterministic, focused responses
-        maxOutputTokens: Math.min(thinkingBudget || 500, 512), // Set token limit appropriate for summaries
-        topP: 0.8,
-        topK: 40,
-      };
-
-      // Define safety settings as per Story 2.2
-      const safetySettings = [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
+      const {
+        summary,
+        keywords,
+        parameters,
+        returnDescription,
+        sideEffects,
+        rawResponse,
+      } = await this.provider.summarizeCodeEntity(
         {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_NONE", // Allow code that might trigger this in benign ways
+          rawContent: raw_content,
+          language,
+          name: entity.name,
+          entityType: entity.entity_type,
+          filePath: entity.file_path,
         },
-      ];
-
-      this.logger.info(
-        `Calling Gemini API for code entity ${codeEntityId} with budget ${thinkingBudget}`
-      );
-      const result = await this.model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig,
-        safetySettings,
-      });
-
-      const response = result.response;
-      const responseText = response.text();
-
-      this.logger.debug(
-        `Received Gemini response for ${codeEntityId}. Text length: ${responseText.length}`
+        { thinkingBudget }
       );
 
-      // Parse the response to extract summary
-      let summary = "";
-
-      // More robust summary extraction with better error handling
-      try {
-        // Look for the Summary pattern in the response
-        const summaryMatch = responseText.match(/Summary:\s*(.*?)(?=\n|$)/i);
-        if (summaryMatch && summaryMatch[1]) {
-          summary = summaryMatch[1].trim();
-          const summarySnippet =
-            summary.length > 50 ? `${summary.substring(0, 50)}...` : summary;
-          this.logger.debug(
-            `Parsed summary for ${codeEntityId}: '${summarySnippet}'`
-          );
-        } else {
-          // Try alternative pattern if the primary one fails
-          const altSummaryMatch = responseText.match(/^(.*?)(?=\n|$)/);
-          if (
-            altSummaryMatch &&
-            altSummaryMatch[0] &&
-            !altSummaryMatch[0].toLowerCase().includes("keyword")
-          ) {
-            // Use first line as summary if it doesn't contain "keyword"
-            summary = altSummaryMatch[0].trim();
-            this.logger.warn(
-              `Summary format not found in response for entity ${codeEntityId}, using first line as summary.`
-            );
-          } else {
-            this.logger.warn(
-              `Failed to extract summary from response for entity ${codeEntityId}. Response format unexpected.`
-            );
-          }
-        }
-      } catch (parseError) {
-        this.logger.warn(
-          `Error parsing summary from response for entity ${codeEntityId}: ${parseError.message}`
-        );
-      }
-
-      // Parse the response to extract keywords with robust error handling
-      let extractedKeywordsArray = [];
-
-      try {
-        // Look for the Keywords pattern in the response
-        const keywordsMatch = responseText.match(/Keywords:\s*(.*?)(?=\n|$)/i);
-        if (keywordsMatch && keywordsMatch[1]) {
-          // Split by comma, trim each keyword, and filter out empty strings
-          extractedKeywordsArray = keywordsMatch[1]
-            .split(",")
-            .map((keyword) => keyword.trim())
-            .filter((keyword) => keyword.length > 0);
-
-          this.logger.debug(
-            `Parsed keywords for ${codeEntityId}: [${extractedKeywordsArray.join(
-              ", "
-            )}]`
-          );
-        } else {
-          // Try alternative extraction if the primary pattern fails
-          // Look for any comma-separated list in the response that might be keywords
-          const altKeywordsMatch = responseText.match(/(\w+(?:,\s*\w+){2,})/);
-          if (altKeywordsMatch && altKeywordsMatch[0]) {
-            extractedKeywordsArray = altKeywordsMatch[0]
-              .split(",")
-              .map((keyword) => keyword.trim())
-              .filter((keyword) => keyword.length > 0);
-
-            this.logger.warn(
-              `Keywords format not found in response for entity ${codeEntityId}, using alternative extraction. Found: ${extractedKeywordsArray.join(
-                ", "
-              )}`
-            );
-          } else {
-            this.logger.warn(
-              `Failed to extract keywords from response for entity ${codeEntityId}. Keywords array will be empty.`
-            );
-          }
-        }
-      } catch (parseError) {
-        this.logger.warn(
-          `Error parsing keywords from response for entity ${codeEntityId}: ${parseError.message}`
-        );
-        // Keep keywords as empty array in case of error
-      }
-
       // Store the extracted keywords in the database
-      if (extractedKeywordsArray.length > 0) {
+      if (keywords.length > 0) {
         try {
           this.logger.debug(
             `Storing/updating keywords for code entity ${codeEntityId}`
@@ -275,12 +210,12 @@ Keywords: [keyword1, keyword2, keyword3]`;
           await dbQueries.addEntityKeywords(
             this.dbClient,
             codeEntityId,
-            extractedKeywordsArray,
+            keywords,
             "ai_explicit"
           );
 
           this.logger.debug(
-            `Successfully stored ${extractedKeywordsArray.length} keywords for code entity ${codeEntityId} in database`
+            `Successfully stored ${keywords.length} keywords for code entity ${codeEntityId} in database`
           );
         } catch (dbError) {
           this.logger.error(
@@ -299,6 +234,32 @@ Keywords: [keyword1, keyword2, keyword3]`;
         );
       }
 
+      // Store the structured details next to the entity's other metadata
+      // (merge-patch semantics: a null returnDescription leaves the key absent)
+      try {
+        await dbQueries.mergeCodeEntityCustomMetadata(
+          this.dbClient,
+          codeEntityId,
+          {
+            ai_enrichment: {
+              parameters: parameters || [],
+              returnDescription: returnDescription ?? null,
+              sideEffects: sideEffects || [],
+            },
+          }
+        );
+      } catch (dbError) {
+        this.logger.error(
+          `Error storing structured enrichment details for code entity ${codeEntityId} in database`,
+          {
+            error: dbError.message,
+            stack: dbError.stack,
+            entityId: codeEntityId,
+          }
+        );
+        // We don't throw here as the summary and keywords are still worth persisting
+      }
+
       // Update the code entity in the database with the new summary and 'completed' status
       try {
         this.logger.debug(
@@ -324,8 +285,7 @@ Keywords: [keyword1, keyword2, keyword3]`;
             entityId: codeEntityId,
           }
         );
-        // We don't throw here as we still want to return the enrichment result,
-        // but we'll include the error in the AIProviderError if needed elsewhere
+        // We don't throw here as we still want to return the enrichment result
       }
 
       this.logger.info(`Successfully enriched code entity ${codeEntityId}`);
@@ -333,16 +293,17 @@ Keywords: [keyword1, keyword2, keyword3]`;
         `Enrichment result for ${codeEntityId} - Summary: ${summary.substring(
           0,
           50
-        )}${
-          summary.length > 50 ? "..." : ""
-        }, Keywords: ${extractedKeywordsArray.join(", ")}`
+        )}${summary.length > 50 ? "..." : ""}, Keywords: ${keywords.join(", ")}`
       );
 
       return {
         success: true,
         summary,
-        keywords: extractedKeywordsArray,
-        rawResponse: responseText,
+        keywords,
+        parameters,
+        returnDescription,
+        sideEffects,
+        rawResponse,
       };
     } catch (error) {
       // Log the original error for diagnostic purposes
@@ -353,118 +314,7 @@ Keywords: [keyword1, keyword2, keyword3]`;
         entityId: codeEntityId,
       });
 
-      // Robustly detect rate limit errors
-      const isRateLimitError = (error) => {
-        // Check for explicit status code 429
-        if (error.status === 429) return true;
-
-        // Check for Google API specific error structure
-        if (error.code === 8 || error.code === "RESOURCE_EXHAUSTED")
-          return true;
-
-        // Check various error message patterns that could indicate rate limiting
-        const rateLimitKeywords = [
-          "rate limit",
-          "ratelimit",
-          "resource exhausted",
-          "quota exceeded",
-          "too many requests",
-          "resource_exhausted",
-          "429",
-        ];
-
-        // Check error message for rate limit indicators
-        const errorMessage = (error.message || "").toLowerCase();
-        if (
-          rateLimitKeywords.some((keyword) => errorMessage.includes(keyword))
-        ) {
-          return true;
-        }
-
-        // Check error name
-        if (error.name === "RateLimitError") {
-          return true;
-        }
-
-        return false;
-      };
-
-      if (isRateLimitError(error)) {
-        // Try to extract retry-after information if available
-        // Default to a sensible value if not extractable
-        let retryAfterSeconds = 60; // Default value
-
-        try {
-          // Extract retry-after from headers if present
-          if (error.headers && error.headers["retry-after"]) {
-            const retryAfter = error.headers["retry-after"];
-            // Handle both seconds format and date format
-            if (!isNaN(retryAfter)) {
-              retryAfterSeconds = parseInt(retryAfter, 10);
-            } else {
-              // If it's a date, calculate seconds from now
-              const retryDate = new Date(retryAfter);
-              retryAfterSeconds = Math.ceil((retryDate - new Date()) / 1000);
-              // Ensure it's positive and reasonable
-              retryAfterSeconds = Math.max(
-                1,
-                Math.min(retryAfterSeconds, 3600)
-              );
-            }
-          }
-
-          // Look for retry information in error body
-          if (error.body && error.body.details) {
-            const retryInfo = error.body.details.find(
-              (detail) => detail.retryInfo || detail.retry_info
-            );
-            if (retryInfo && (retryInfo.retryDelay || retryInfo.retry_delay)) {
-              const delay = retryInfo.retryDelay || retryInfo.retry_delay;
-              if (delay.seconds) {
-                retryAfterSeconds = parseInt(delay.seconds, 10);
-              }
-            }
-          }
-        } catch (extractError) {
-          this.logger.warn(
-            `Failed to extract retry-after information for entity ${codeEntityId}: ${extractError.message}`
-          );
-          // Keep using the default value
-        }
-
-        // Log detailed information about the rate limit
-        this.logger.warn(
-          `Rate limit detected for entity ${codeEntityId}. RetryAfter: ${retryAfterSeconds}s. Original error: ${error.message}`
-        );
-
-        this.logger.warn(
-          `Throwing RateLimitError for entity ${codeEntityId}: ${error.message}`
-        );
-
-        // Throw the appropriate RateLimitError with retry information
-        throw new RateLimitError(
-          `Gemini API rate limit for entity ${codeEntityId}: ${error.message}`,
-          retryAfterSeconds
-        );
-      }
-
-      // Handle other API errors (non-rate-limit) - Task 108 implementation
-      this.logger.error(
-        `AI Provider Error for entity ${codeEntityId}. Original error: ${error.message}`,
-        {
-          entityId: codeEntityId,
-          errorDetails: error,
-        }
-      );
-
-      this.logger.error(
-        `Throwing AIProviderError for entity ${codeEntityId}: ${error.message}`
-      );
-
-      // Throw AIProviderError with a descriptive message
-      throw new AIProviderError(
-        `Gemini API provider error for entity ${codeEntityId}: ${error.message}`
-      );
+      throw this.toJobError(error, `entity ${codeEntityId}`);
     }
   }
 
@@ -479,10 +329,10 @@ Keywords: [keyword1, keyword2, keyword3]`;
 
     if (!this.isFunctional) {
       this.logger.error(
-        `Service not functional for document ${documentId}. Missing API key or model name.`
+        `Service not functional for document ${documentId}. AI provider is not configured.`
       );
       throw new AIProviderError(
-        "AIService is not properly configured. Missing API key or model name."
+        "AIService is not properly configured. AI provider is not functional."
       );
     }
 
@@ -504,6 +354,18 @@ Keywords: [keyword1, keyword2, keyword3]`;
         );
       }
 
+      if (hasRedactedSecrets(document)) {
+        this.logger.warn(
+          `Document ${documentId} contains redacted secrets, skipping enrichment`
+        );
+        await dbQueries.updateProjectDocumentAiStatus(
+          this.dbClient,
+          documentId,
+          "skipped"
+        );
+        return { success: true, skipped: true };
+      }
+
       // Extract the necessary data from the document
       const { raw_content, file_type, file_path } = document;
       this.logger.debug(
@@ -512,169 +374,24 @@ Keywords: [keyword1, keyword2, keyword3]`;
         }`
       );
 
-      // Determine the thinking budget for the API call
-      const defaultThinkingBudget = this.configService.AI_THINKING_BUDGET;
-      const thinkingBudget =
-        jobPayload?.thinkingBudgetOverride > 0
-          ? jobPayload.thinkingBudgetOverride
-          : defaultThinkingBudget;
-
-      this.logger.debug(
-        `Using thinkingBudget: ${thinkingBudget} for document ${documentId}`
-      );
-
-      // Construct the prompt for Gemini API
-      const prompt = `You are an expert technical writer and analyst. Below is the content of a ${file_type} document.
-Provide a concise summary (2-3 sentences) of what this document is about.
-Also, provide a list of 3-5 relevant keywords or phrases, comma-separated.
-Focus on the main topics, key information, and purpose of the document.
-
-Document Content:
-${raw_content}
-
-Output format should be:
-Summary: [Your summary]
-Keywords: [keyword1, keyword2, keyword3]`;
-
-      this.logger.debug(
-        `Gemini prompt constructed for ${documentId}. Prompt length: ${prompt.length}`
-      );
-
-      // Define generation configuration for the API call
-      const generationConfig = {
-        temperature: 0.2, // Lower temperature for more deterministic, focused responses
-        maxOutputTokens: Math.min(thinkingBudget || 500, 512), // Set token limit appropriate for summaries
-        topP: 0.8,
-        topK: 40,
-      };
-
-      // Define safety settings for document analysis
-      const safetySettings = [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE", // More restrictive for documents than code
-        },
-      ];
+      const thinkingBudget = this.getThinkingBudget(jobPayload);
 
       this.logger.info(
-        `Calling Gemini API for document ${documentId} with budget ${thinkingBudget}`
-      );
-
-      // Make the API call to Gemini
-      const result = await this.model.generateContent({
-        contents: [{ role: "user", parts: [{ text: prompt }] }],
-        generationConfig,
-        safetySettings,
-      });
-
-      const response = result.response;
-      const responseText = response.text();
-
-      this.logger.debug(
-        `Received Gemini response for document ${documentId}. Text length: ${responseText.length}`
+        `Calling ${this.provider.name} for document ${documentId} with budget ${thinkingBudget}`
       );
 
-      // Parse the response to extract summary
-      let extractedSummary = "";
-
-      // More robust summary extraction with better error handling
-      try {
-        // Look for the Summary pattern in the response
-        const summaryMatch = responseText.match(/Summary:\s*(.*?)(?=\n|$)/i);
-        if (summaryMatch && summaryMatch[1]) {
-          extractedSummary = summaryMatch[1].trim();
-          const summarySnippet =
-            extractedSummary.length > 50
-              ? `${extractedSummary.substring(0, 50)}...`
-              : extractedSummary;
-          this.logger.debug(
-            `Parsed summary for document ${documentId}: '${summarySnippet}'`
-          );
-        } else {
-          // Try alternative pattern if the primary one fails
-          const altSummaryMatch = responseText.match(/^(.*?)(?=\n|$)/);
-          if (
-            altSummaryMatch &&
-            altSummaryMatch[0] &&
-            !altSummaryMatch[0].toLowerCase().includes("keyword")
-          ) {
-            // Use first line as summary if it doesn't contain "keyword"
-            extractedSummary = altSummaryMatch[0].trim();
-            this.logger.warn(
-              `Summary format not found in response for document ${documentId}, using first line as summary.`
-            );
-          } else {
-            this.logger.warn(
-              `Failed to extract summary from response for document ${documentId}. Response format unexpected.`
-            );
-          }
-        }
-      } catch (parseError) {
-        this.logger.warn(
-          `Error parsing summary from response for document ${documentId}: ${parseError.message}`
-        );
-      }
-
-      // Parse the response to extract keywords with robust error handling
-      let extractedKeywordsArray = [];
-
-      try {
-        // Look for the Keywords pattern in the response
-        const keywordsMatch = responseText.match(/Keywords:\s*(.*?)(?=\n|$)/i);
-        if (keywordsMatch && keywordsMatch[1]) {
-          // Split by comma, trim each keyword, and filter out empty strings
-          extractedKeywordsArray = keywordsMatch[1]
-            .split(",")
-            .map((keyword) => keyword.trim())
-            .filter((keyword) => keyword.length > 0);
-
-          this.logger.debug(
-            `Parsed keywords for document ${documentId}: [${extractedKeywordsArray.join(
-              ", "
-            )}]`
-          );
-        } else {
-          // Try alternative extraction if the primary pattern fails
-          // Look for any comma-separated list in the response that might be keywords
-          const altKeywordsMatch = responseText.match(/(\w+(?:,\s*\w+){2,})/);
-          if (altKeywordsMatch && altKeywordsMatch[0]) {
-            extractedKeywordsArray = altKeywordsMatch[0]
-              .split(",")
-              .map((keyword) => keyword.trim())
-              .filter((keyword) => keyword.length > 0);
-
-            this.logger.warn(
-              `Keywords format not found in response for document ${documentId}, using alternative extraction. Found: ${extractedKeywordsArray.join(
-                ", "
-              )}`
-            );
-          } else {
-            this.logger.warn(
-              `Failed to extract keywords from response for document ${documentId}. Keywords array will be empty.`
-            );
-          }
-        }
-      } catch (parseError) {
-        this.logger.warn(
-          `Error parsing keywords from response for document ${documentId}: ${parseError.message}`
+      const { summary, keywords, rawResponse } =
+        await this.provider.summarizeDocument(
+          {
+            rawContent: raw_content,
+            fileType: file_type,
+            filePath: file_path,
+          },
+          { thinkingBudget }
         );
-        // Keep keywords as empty array in case of error
-      }
 
       // Store the extracted keywords in the database
-      if (extractedKeywordsArray.length > 0) {
+      if (keywords.length > 0) {
         try {
           this.logger.debug(
             `Storing/updating keywords for document ${documentId}`
@@ -682,12 +399,12 @@ Keywords: [keyword1, keyword2, keyword3]`;
           await dbQueries.addEntityKeywords(
             this.dbClient,
             documentId,
-            extractedKeywordsArray,
+            keywords,
             "ai_explicit"
           );
 
           this.logger.debug(
-            `Successfully stored ${extractedKeywordsArray.length} keywords for document ${documentId} in database`
+            `Successfully stored ${keywords.length} keywords for document ${documentId} in database`
           );
         } catch (dbError) {
           this.logger.error(
@@ -713,7 +430,7 @@ Keywords: [keyword1, keyword2, keyword3]`;
           this.dbClient,
           documentId,
           "completed",
-          extractedSummary,
+          summary,
           new Date()
         );
 
@@ -729,27 +446,23 @@ Keywords: [keyword1, keyword2, keyword3]`;
             documentId: documentId,
           }
         );
-        // We don't throw here as we still want to return the enrichment result,
-        // but we'll include the error in the AIProviderError if needed elsewhere
+        // We don't throw here as we still want to return the enrichment result
       }
 
       // Log successful completion with summary information
       this.logger.info(`Successfully enriched document ${documentId}`);
       this.logger.debug(
-        `Enrichment result for ${documentId} - Summary: ${extractedSummary.substring(
+        `Enrichment result for ${documentId} - Summary: ${summary.substring(
           0,
           50
-        )}${
-          extractedSummary.length > 50 ? "..." : ""
-        }, Keywords: ${extractedKeywordsArray.join(", ")}`
+        )}${summary.length > 50 ? "..." : ""}, Keywords: ${keywords.join(", ")}`
       );
 
-      // Implementation will be expanded in future tasks
       return {
         success: true,
-        summary: extractedSummary,
-        keywords: extractedKeywordsArray,
-        rawResponse: responseText,
+        summary,
+        keywords,
+        rawResponse,
       };
     } catch (error) {
       // Log the original error for diagnostic purposes
@@ -760,118 +473,7 @@ Keywords: [keyword1, keyword2, keyword3]`;
         documentId: documentId,
       });
 
-      // Robustly detect rate limit errors
-      const isRateLimitError = (error) => {
-        // Check for explicit status code 429
-        if (error.status === 429) return true;
-
-        // Check for Google API specific error structure
-        if (error.code === 8 || error.code === "RESOURCE_EXHAUSTED")
-          return true;
-
-        // Check various error message patterns that could indicate rate limiting
-        const rateLimitKeywords = [
-          "rate limit",
-          "ratelimit",
-          "resource exhausted",
-          "quota exceeded",
-          "too many requests",
-          "resource_exhausted",
-          "429",
-        ];
-
-        // Check error message for rate limit indicators
-        const errorMessage = (error.message || "").toLowerCase();
-        if (
-          rateLimitKeywords.some((keyword) => errorMessage.includes(keyword))
-        ) {
-          return true;
-        }
-
-        // Check error name
-        if (error.name === "RateLimitError") {
-          return true;
-        }
-
-        return false;
-      };
-
-      if (isRateLimitError(error)) {
-        // Try to extract retry-after information if available
-        // Default to a sensible value if not extractable
-        let retryAfterSeconds = 60; // Default value
-
-        try {
-          // Extract retry-after from headers if present
-          if (error.headers && error.headers["retry-after"]) {
-            const retryAfter = error.headers["retry-after"];
-            // Handle both seconds format and date format
-            if (!isNaN(retryAfter)) {
-              retryAfterSeconds = parseInt(retryAfter, 10);
-            } else {
-              // If it's a date, calculate seconds from now
-              const retryDate = new Date(retryAfter);
-              retryAfterSeconds = Math.ceil((retryDate - new Date()) / 1000);
-              // Ensure it's positive and reasonable
-              retryAfterSeconds = Math.max(
-                1,
-                Math.min(retryAfterSeconds, 3600)
-              );
-            }
-          }
-
-          // Look for retry information in error body
-          if (error.body && error.body.details) {
-            const retryInfo = error.body.details.find(
-              (detail) => detail.retryInfo || detail.retry_info
-            );
-            if (retryInfo && (retryInfo.retryDelay || retryInfo.retry_delay)) {
-              const delay = retryInfo.retryDelay || retryInfo.retry_delay;
-              if (delay.seconds) {
-                retryAfterSeconds = parseInt(delay.seconds, 10);
-              }
-            }
-          }
-        } catch (extractError) {
-          this.logger.warn(
-            `Failed to extract retry-after information for document ${documentId}: ${extractError.message}`
-          );
-          // Keep using the default value
-        }
-
-        // Log detailed information about the rate limit
-        this.logger.warn(
-          `Rate limit detected for document ${documentId}. RetryAfter: ${retryAfterSeconds}s. Original error: ${error.message}`
-        );
-
-        this.logger.warn(
-          `Throwing RateLimitError for document ${documentId}: ${error.message}`
-        );
-
-        // Throw the appropriate RateLimitError with retry information
-        throw new RateLimitError(
-          `Gemini API rate limit for document ${documentId}: ${error.message}`,
-          retryAfterSeconds
-        );
-      }
-
-      // Handle other API errors (non-rate-limit) - Task 121 implementation
-      this.logger.error(
-        `AI Provider Error for document ${documentId}. Original error: ${error.message}`,
-        {
-          documentId: documentId,
-          errorDetails: error,
-        }
-      );
-
-      this.logger.error(
-        `Throwing AIProviderError for document ${documentId}: ${error.message}`
-      );
-
-      // Throw AIProviderError with a descriptive message
-      throw new AIProviderError(
-        `Gemini API provider error for document ${documentId}: ${error.message}`
-      );
+      throw this.toJobError(error, `document ${documentId}`);
     }
   }
 
@@ -888,10 +490,10 @@ Keywords: [keyword1, keyword2, keyword3]`;
 
     if (!this.isFunctional) {
       this.logger.error(
-        `Service not functional for conversation ${conversationId}. Missing API key or model name.`
+        `Service not functional for conversation ${conversationId}. AI provider is not configured.`
       );
       throw new AIProviderError(
-        "AIService is not properly configured. Missing API key or model name."
+        "AIService is not properly configured. AI provider is not functional."
       );
     }
 
@@ -922,265 +524,23 @@ Keywords: [keyword1, keyword2, keyword3]`;
         `Retrieved ${messages.length} messages for conversation ${conversationId}`
       );
 
-      // Format conversation history by prefixing each message with its role
-      this.logger.debug(
-        `Formatting conversation history for ${conversationId}`
-      );
-      const formattedHistory = messages
-        .map((msg) => `${msg.role}: ${msg.content}`)
-        .join("\n");
-
-      this.logger.debug(
-        `Conversation history formatted for prompt. Formatted length: ${formattedHistory.length} chars`
-      );
-
-      // Construct the prompt for Gemini API with template from Story 2.4
-      this.logger.debug(
-        `Constructing topic generation prompt for ${conversationId}`
-      );
-
-      const constructedTopicPrompt = `You are an expert conversation analyst. Below is a transcript of a conversation between a user and an AI assistant.
-Analyze the conversation and identify up to 3 main distinct topics discussed.
-For each topic, provide:
-1. A concise summary (1-2 sentences).
-2. A list of 3-5 relevant keywords (comma-separated).
-3. A purpose tag (e.g., "Debugging Issue", "New Feature Planning", "Code Refactoring", "General Question").
-4. (Optional) The starting and ending phrase or message index that best represents this topic.
-
-Conversation Transcript:
-${formattedHistory}
-
-Output format should be structured, for example:
-Topic 1:
-Summary: [Summary of topic 1]
-Keywords: [keywordA, keywordB]
-Purpose Tag: [Tag for topic 1]
-Range: [Optional start/end hint]
-
-Topic 2:
-Summary: [Summary of topic 2]
-Keywords: [keywordC, keywordD]
-Purpose Tag: [Tag for topic 2]
-Range: [Optional start/end hint]`;
-
-      this.logger.debug(
-        `Gemini prompt for topic generation constructed for ${conversationId}. Prompt length: ${constructedTopicPrompt.length}`
-      );
-
-      // Determine the thinking budget for the API call
-      const defaultThinkingBudget = this.configService.AI_THINKING_BUDGET;
-      const thinkingBudget =
-        jobPayload?.thinkingBudgetOverride > 0
-          ? jobPayload.thinkingBudgetOverride
-          : defaultThinkingBudget;
-
-      this.logger.debug(
-        `Using thinkingBudget: ${thinkingBudget} for topic generation for ${conversationId}`
-      );
-
-      // Define generation configuration for the API call
-      const generationConfig = {
-        temperature: 0.5, // Slightly higher for more creative topic discernment
-        maxOutputTokens: Math.min(thinkingBudget || 500, 800), // Higher limit for multiple topic descriptions
-        topP: 0.8,
-        topK: 40,
-      };
-
-      // Define safety settings for conversation analysis
-      const safetySettings = [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_SEXUALLY_EXPLICIT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-        {
-          category: "HARM_CATEGORY_DANGEROUS_CONTENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE",
-        },
-      ];
+      const thinkingBudget = this.getThinkingBudget(jobPayload);
 
       this.logger.info(
-        `Calling Gemini API for topic generation for conversation ${conversationId}`
-      );
-
-      // Make the API call to Gemini
-      const result = await this.model.generateContent({
-        contents: [{ role: "user", parts: [{ text: constructedTopicPrompt }] }],
-        generationConfig,
-        safetySettings,
-      });
-
-      const response = result.response;
-      const responseText = response.text();
-
-      this.logger.debug(
-        `Received Gemini response for topics for ${conversationId}. Text length: ${responseText.length}`
+        `Calling ${this.provider.name} for topic generation for conversation ${conversationId}`
       );
 
-      // Parse the response to extract topic information
-      let parsedTopics = [];
-
-      try {
-        // Split the response into topic blocks
-        // Look for patterns like "Topic 1:", "Topic 2:", etc.
-        const topicBlocks = responseText.split(/Topic\s+\d+:/i).filter(Boolean);
-
-        this.logger.debug(
-          `Found ${topicBlocks.length} potential topic blocks in response for ${conversationId}`
+      const { topics: parsedTopics, rawResponse } =
+        await this.provider.generateTopics(
+          {
+            messages: messages.map((msg) => ({
+              role: msg.role,
+              content: msg.content,
+            })),
+          },
+          { thinkingBudget }
         );
 
-        // Process each topic block
-        topicBlocks.forEach((block, index) => {
-          try {
-            // Extract summary
-            const summaryMatch = block.match(
-              /Summary:\s*(.*?)(?=(?:Keywords:|$))/is
-            );
-            const summary = summaryMatch?.[1]?.trim() || "";
-
-            // Extract keywords
-            const keywordsMatch = block.match(
-              /Keywords:\s*(.*?)(?=(?:Purpose Tag:|$))/is
-            );
-            let keywordsArray = [];
-            if (keywordsMatch && keywordsMatch[1]) {
-              keywordsArray = keywordsMatch[1]
-                .split(",")
-                .map((keyword) => keyword.trim())
-                .filter((keyword) => keyword.length > 0);
-            }
-
-            // Extract purpose tag
-            const purposeTagMatch = block.match(
-              /Purpose Tag:\s*(.*?)(?=(?:Range:|$))/is
-            );
-            const purposeTag = purposeTagMatch?.[1]?.trim() || "";
-
-            // Extract range (optional)
-            const rangeMatch = block.match(/Range:\s*(.*?)(?=$)/is);
-            const rangeHint = rangeMatch?.[1]?.trim() || "";
-
-            // Only add topics that have at least a summary or purpose tag
-            if (summary || purposeTag) {
-              parsedTopics.push({
-                summary,
-                keywordsArray,
-                purposeTag,
-                rangeHint,
-              });
-
-              // Log a snippet of the extracted data for debugging
-              this.logger.debug(
-                `Parsed Topic ${
-                  index + 1
-                } for ${conversationId}: Summary: "${summary.substring(0, 40)}${
-                  summary.length > 40 ? "..." : ""
-                }", Keywords: [${keywordsArray.join(
-                  ", "
-                )}], Purpose: "${purposeTag}"`
-              );
-            }
-          } catch (blockParseError) {
-            this.logger.warn(
-              `Error parsing topic block ${index + 1} for ${conversationId}: ${
-                blockParseError.message
-              }`,
-              { conversationId, blockIndex: index }
-            );
-            // Continue with next block despite error in this one
-          }
-        });
-
-        // Fallback approach if no topics were parsed with the primary method
-        if (parsedTopics.length === 0) {
-          this.logger.warn(
-            `Failed to parse topics with primary method for conversation ${conversationId}. Attempting fallback parsing.`,
-            { conversationId }
-          );
-
-          // Try to extract topics using a more lenient approach
-          // Look for any paragraphs that might be summaries followed by keywords
-          const paragraphs = responseText.split(/\n\n+/);
-          paragraphs.forEach((paragraph, index) => {
-            if (paragraph.trim().length === 0) return;
-
-            // Check if this paragraph contains any meaningful content
-            if (
-              paragraph.includes(":") &&
-              !paragraph.toLowerCase().includes("transcript")
-            ) {
-              try {
-                // Try to extract a summary and keywords
-                const lines = paragraph.split(/\n/);
-                let topicSummary = "";
-                let topicKeywords = [];
-                let topicPurpose = "";
-
-                lines.forEach((line) => {
-                  if (line.toLowerCase().includes("summary:")) {
-                    topicSummary = line.split(/summary:/i)[1]?.trim() || "";
-                  } else if (line.toLowerCase().includes("keywords:")) {
-                    const keywordsText =
-                      line.split(/keywords:/i)[1]?.trim() || "";
-                    topicKeywords = keywordsText
-                      .split(",")
-                      .map((k) => k.trim())
-                      .filter(Boolean);
-                  } else if (
-                    line.toLowerCase().includes("purpose:") ||
-                    line.toLowerCase().includes("purpose tag:") ||
-                    line.toLowerCase().includes("tag:")
-                  ) {
-                    const purposeParts = line.split(/(?:purpose|tag):/i);
-                    topicPurpose =
-                      purposeParts[purposeParts.length - 1]?.trim() || "";
-                  }
-                });
-
-                if (topicSummary || topicKeywords.length > 0) {
-                  parsedTopics.push({
-                    summary: topicSummary,
-                    keywordsArray: topicKeywords,
-                    purposeTag: topicPurpose,
-                    rangeHint: "",
-                  });
-
-                  this.logger.debug(
-                    `Fallback parsing - extracted topic ${
-                      index + 1
-                    } for ${conversationId}: Summary: "${topicSummary.substring(
-                      0,
-                      40
-                    )}${topicSummary.length > 40 ? "..." : ""}"`,
-                    { conversationId, topicIndex: index }
-                  );
-                }
-              } catch (fallbackError) {
-                this.logger.warn(
-                  `Error in fallback parsing for paragraph ${
-                    index + 1
-                  } for ${conversationId}: ${fallbackError.message}`,
-                  { conversationId, paragraphIndex: index }
-                );
-              }
-            }
-          });
-        }
-      } catch (parseError) {
-        this.logger.warn(
-          `Error parsing topics from response for conversation ${conversationId}: ${parseError.message}`,
-          { conversationId, error: parseError }
-        );
-        // Keep parsedTopics as empty array in case of error
-      }
-
       this.logger.debug(
         `${parsedTopics.length} topics parsed for ${conversationId}. ${
           parsedTopics.length > 0
@@ -1208,6 +568,8 @@ Range: [Optional start/end hint]`;
             // Prepare the topic data for storage
             const topicData = {
               topic_id: topicId,
+              // A conversation belongs to the project its messages were logged under
+              project_id: messages[0].project_id,
               conversation_id: conversationId,
               summary: topic.summary,
               keywords: JSON.stringify(topic.keywordsArray || []),
@@ -1219,11 +581,6 @@ Range: [Optional start/end hint]`;
               end_timestamp: null,
             };
 
-            this.logger.debug(
-              `Storing topic ${topicId} for conversation ${conversationId}`,
-              { conversationId, topicId }
-            );
-
             // Store the topic in the database
             await dbQueries.addConversationTopic(this.dbClient, topicData);
 
@@ -1262,7 +619,7 @@ Range: [Optional start/end hint]`;
       return {
         success: true,
         topics: parsedTopics,
-        rawResponse: responseText,
+        rawResponse,
       };
     } catch (error) {
       this.logger.error(
@@ -1275,119 +632,212 @@ Range: [Optional start/end hint]`;
         }
       );
 
-      // Robustly detect rate limit errors
-      const isRateLimitError = (error) => {
-        // Check for explicit status code 429
-        if (error.status === 429) return true;
-
-        // Check for Google API specific error structure
-        if (error.code === 8 || error.code === "RESOURCE_EXHAUSTED")
-          return true;
-
-        // Check various error message patterns that could indicate rate limiting
-        const rateLimitKeywords = [
-          "rate limit",
-          "ratelimit",
-          "resource exhausted",
-          "quota exceeded",
-          "too many requests",
-          "resource_exhausted",
-          "429",
-        ];
-
-        // Check error message for rate limit indicators
-        const errorMessage = (error.message || "").toLowerCase();
-        if (
-          rateLimitKeywords.some((keyword) => errorMessage.includes(keyword))
-        ) {
-          return true;
-        }
-
-        // Check error name
-        if (error.name === "RateLimitError") {
-          return true;
-        }
+      throw this.toJobError(
+        error,
+        `conversation topic generation ${conversationId}`
+      );
+    }
+  }
 
-        return false;
-      };
+  /**
+   * Computes and stores embeddings for a code entity, a project document or
+   * the topics of a conversation
+   * The embedded text includes the AI summary when one exists, so the job is
+   * enqueued again after enrichment; unchanged text is skipped via its hash.
+   * @param {string} targetId - Entity ID, document ID or conversation ID
+   * @param {string} targetType - 'code_entity', 'project_document' or 'conversation_history'
+   * @param {Object} jobPayload - Optional payload with job parameters
+   * @returns {Promise<Object>} - { success, model, embedded, skipped }
+   */
+  async computeEmbeddings(targetId, targetType, jobPayload) {
+    this.logger.debug(`computeEmbeddings started for ${targetType} ${targetId}`);
 
-      if (isRateLimitError(error)) {
-        // Try to extract retry-after information if available
-        // Default to a sensible value if not extractable
-        let retryAfterSeconds = 60; // Default value
+    if (!this.embedder || !this.embedder.isFunctional) {
+      this.logger.error(`Embedder not functional for ${targetType} ${targetId}.`);
+      throw new AIProviderError(
+        "AIService is not properly configured. Embedder is not functional."
+      );
+    }
 
-        try {
-          // Extract retry-after from headers if present
-          if (error.headers && error.headers["retry-after"]) {
-            const retryAfter = error.headers["retry-after"];
-            // Handle both seconds format and date format
-            if (!isNaN(retryAfter)) {
-              retryAfterSeconds = parseInt(retryAfter, 10);
-            } else {
-              // If it's a date, calculate seconds from now
-              const retryDate = new Date(retryAfter);
-              retryAfterSeconds = Math.ceil((retryDate - new Date()) / 1000);
-              // Ensure it's positive and reasonable
-              retryAfterSeconds = Math.max(
-                1,
-                Math.min(retryAfterSeconds, 3600)
-              );
-            }
-          }
+    try {
+      const items = await this.getEmbeddingInputs(targetId, targetType);
+      const model = this.embedder.embeddingModel;
+
+      // Skip items whose text was already embedded with the current model
+      const pendingItems = [];
+      for (const item of items) {
+        const contentHash = crypto
+          .createHash("sha256")
+          .update(`${model}\n${item.text}`)
+          .digest("hex");
+        const existing = await dbQueries.getEmbedding(
+          this.dbClient,
+          item.entityId,
+          item.entityType
+        );
 
-          // Look for retry information in error body
-          if (error.body && error.body.details) {
-            const retryInfo = error.body.details.find(
-              (detail) => detail.retryInfo || detail.retry_info
-            );
-            if (retryInfo && (retryInfo.retryDelay || retryInfo.retry_delay)) {
-              const delay = retryInfo.retryDelay || retryInfo.retry_delay;
-              if (delay.seconds) {
-                retryAfterSeconds = parseInt(delay.seconds, 10);
-              }
-            }
-          }
-        } catch (extractError) {
-          this.logger.warn(
-            `Failed to extract retry-after information for conversation topic generation ${conversationId}: ${extractError.message}`
-          );
-          // Keep using the default value
+        if (!existing || existing.content_hash !== contentHash) {
+          pendingItems.push({ ...item, contentHash });
         }
+      }
 
-        // Log detailed information about the rate limit
-        this.logger.warn(
-          `Rate limit detected for conversation topic generation (conversationId: ${conversationId}). RetryAfter: ${retryAfterSeconds}s. Original error: ${error.message}`
+      if (pendingItems.length === 0) {
+        this.logger.debug(
+          `Embeddings for ${targetType} ${targetId} are up to date`
         );
+        return { success: true, model, embedded: 0, skipped: items.length };
+      }
 
-        this.logger.warn(
-          `Throwing RateLimitError for conversation topic generation ${conversationId}: ${error.message}`
-        );
+      this.logger.info(
+        `Computing ${pendingItems.length} embedding(s) for ${targetType} ${targetId} with ${this.embedder.name} (${model})`
+      );
 
-        // Throw the appropriate RateLimitError with retry information
-        throw new RateLimitError(
-          `Gemini API rate limit for conversation topic generation ${conversationId}: ${error.message}`,
-          retryAfterSeconds
-        );
+      const vectors = await this.embedder.embedTexts(
+        pendingItems.map((item) => item.text)
+      );
+
+      for (let i = 0; i < pendingItems.length; i++) {
+        const vector = vectors[i];
+        if (!vector || vector.length === 0) {
+          throw new AIProviderError(
+            `${this.embedder.name} returned no embedding for ${pendingItems[i].entityType} ${pendingItems[i].entityId}`
+          );
+        }
+
+        await dbQueries.upsertEmbedding(this.dbClient, {
+          entity_id: pendingItems[i].entityId,
+          entity_type: pendingItems[i].entityType,
+          project_id: pendingItems[i].projectId,
+          model,
+          vector,
+          content_hash: pendingItems[i].contentHash,
+        });
       }
 
-      // Handle other API errors (non-rate-limit)
+      return {
+        success: true,
+        model,
+        embedded: pendingItems.length,
+        skipped: items.length - pendingItems.length,
+      };
+    } catch (error) {
       this.logger.error(
-        `AI Provider Error for conversation topic generation (conversationId: ${conversationId}). Original error: ${error.message}`,
+        `Error computing embeddings for ${targetType} ${targetId}`,
         {
-          conversationId: conversationId,
-          errorDetails: error,
+          error: error.message,
+          stack: error.stack,
+          errorObject: error,
+          targetId,
+          targetType,
         }
       );
 
-      this.logger.error(
-        `Throwing AIProviderError for conversation topic generation ${conversationId}: ${error.message}`
+      throw this.toJobError(error, `embeddings of ${targetType} ${targetId}`);
+    }
+  }
+
+  /**
+   * Builds the texts to embed for an embedding job target
+   * @param {string} targetId - Entity ID, document ID or conversation ID
+   * @param {string} targetType - 'code_entity', 'project_document' or 'conversation_history'
+   * @returns {Promise<Array<{entityId: string, entityType: string, projectId: string, text: string}>>} Texts to embed
+   */
+  async getEmbeddingInputs(targetId, targetType) {
+    const truncate = (text) => text.substring(0, MAX_EMBEDDING_INPUT_CHARS);
+    // Only a local embedder may see content with redacted secrets
+    const mayEmbed = (record) =>
+      this.embedder.isLocal || !hasRedactedSecrets(record);
+
+    if (targetType === "code_entity") {
+      const entity = await dbQueries.getCodeEntityById(this.dbClient, targetId);
+      if (!entity) {
+        throw new AIProviderError(`Code entity with ID ${targetId} not found.`);
+      }
+      if (!mayEmbed(entity)) {
+        this.logger.debug(
+          `Not embedding code entity ${targetId} with ${this.embedder.name}: it contains redacted secrets`
+        );
+        return [];
+      }
+
+      const text = [
+        `${entity.entity_type} ${entity.name || ""}`.trim(),
+        entity.file_path,
+        entity.summary,
+        entity.raw_content,
+      ]
+        .filter(Boolean)
+        .join("\n");
+      return [
+        {
+          entityId: targetId,
+          entityType: "code_entity",
+          projectId: entity.project_id,
+          text: truncate(text),
+        },
+      ];
+    }
+
+    if (targetType === "project_document") {
+      const document = await dbQueries.getProjectDocumentById(
+        this.dbClient,
+        targetId
       );
+      if (!document) {
+        throw new AIProviderError(
+          `Project document with ID ${targetId} not found.`
+        );
+      }
+      if (!mayEmbed(document)) {
+        this.logger.debug(
+          `Not embedding document ${targetId} with ${this.embedder.name}: it contains redacted secrets`
+        );
+        return [];
+      }
 
-      // Throw AIProviderError with a descriptive message
-      throw new AIProviderError(
-        `Gemini API provider error for conversation topic generation ${conversationId}: ${error.message}`
+      const text = [document.file_path, document.summary, document.raw_content]
+        .filter(Boolean)
+        .join("\n");
+      return [
+        {
+          entityId: targetId,
+          entityType: "project_document",
+          projectId: document.project_id,
+          text: truncate(text),
+        },
+      ];
+    }
+
+    if (targetType.startsWith("conversation_")) {
+      // Conversations are embedded through their generated topics
+      const topics = await dbQueries.getConversationTopicsByConversationId(
+        this.dbClient,
+        targetId
       );
+
+      return topics.map((topic) => {
+        let keywords = [];
+        try {
+          keywords = JSON.parse(topic.keywords || "[]");
+        } catch (parseError) {
+          // Keep the summary even if the stored keywords are malformed
+        }
+
+        const text = [topic.purpose_tag, topic.summary, keywords.join(", ")]
+          .filter(Boolean)
+          .join("\n");
+        return {
+          entityId: topic.topic_id,
+          entityType: "conversation_topic",
+          projectId: topic.project_id,
+          text: truncate(text),
+        };
+      });
     }
+
+    throw new AIProviderError(
+      `Embeddings are not supported for target type ${targetType}.`
+    );
   }
 }
 
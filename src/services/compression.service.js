@@ -228,6 +228,7 @@ class CompressionService {
     const codeSourceTypes = [
       "code_entity_fts",
       "code_entity_keyword",
+      "code_entity_semantic",
       "code_entity_related",
     ];
 
@@ -9,6 +9,7 @@
 
 import * as git from "isomorphic-git";
 import fs from "fs";
+import path from "path";
 import config from "../config.js";
 import logger from "../utils/logger.js";
 import {
@@ -16,8 +17,25 @@ import {
   setLastProcessedCommitOid,
   addGitCommit,
   addGitCommitFile,
+  addGitCommitHunks,
+  bumpIndexVersion,
+  hasGitCommit,
+  setGitCommitsReachable,
+  getProjectMetadataValue,
+  setProjectMetadataValue,
 } from "../db/queries.js";
-import IndexingService from "./indexing.service.js";
+import { diffLines } from "../utils/lineDiff.js";
+import { redactSecrets } from "../utils/secrets.js";
+import { IndexingService } from "./indexing.service.js";
+
+// project_metadata key recording the settings of the last completed backfill
+const GIT_BACKFILL_METADATA_KEY = "git_backfill";
+
+// Commits stored per backfill step, followed by GIT_BACKFILL_DELAY_MS of rest
+const GIT_BACKFILL_BATCH_SIZE = 25;
+
+// Leading bytes searched for a NUL byte to tell binary files apart
+const BINARY_CHECK_BYTES = 8000;
 
 /**
  * Git Monitoring Service
@@ -27,19 +45,24 @@ export class GitMonitorService {
   /**
    * Creates a new GitMonitorService instance
    * @param {Object} dbClient - The TursoDB client instance
+   * @param {string} projectId - ID of the project whose repository is monitored
    */
-  constructor(dbClient) {
+  constructor(dbClient, projectId) {
     this.dbClient = dbClient;
+    this.projectId = projectId;
     this.fs = fs;
     this.dir = config.PROJECT_PATH;
     this.lastProcessedOid = null;
+    // Branch checked out at the last processed commit, null for a detached HEAD
+    this.currentBranch = null;
     this.initialized = false;
     this.isMonitoring = false;
+    this.isBackfilling = false;
     this.monitorInterval = null;
     this.intervalMs = config.GIT_MONITOR_INTERVAL_MS || 30000; // Default to 30 seconds if not specified
 
     // Initialize the IndexingService
-    this.indexingService = new IndexingService(dbClient);
+    this.indexingService = new IndexingService({ dbClient, projectId });
   }
 
   /**
@@ -51,7 +74,11 @@ export class GitMonitorService {
       logger.info("Initializing GitMonitorService...");
 
       // Retrieve the last processed commit OID from the database
-      this.lastProcessedOid = await getLastProcessedCommitOid(this.dbClient);
+      this.lastProcessedOid = await getLastProcessedCommitOid(
+        this.dbClient,
+        this.projectId
+      );
+      this.currentBranch = await this.getCurrentBranch();
 
       if (this.lastProcessedOid) {
         logger.info(
@@ -73,7 +100,10 @@ export class GitMonitorService {
           this.lastProcessedOid = currentHeadOid;
 
           // Store this as the last processed OID
-          await this.updateLastProcessedOid(currentHeadOid);
+          await this.updateLastProcessedOid(
+            currentHeadOid,
+            this.currentBranch
+          );
         } catch (gitError) {
           logger.error("Error resolving HEAD reference", {
             error: gitError.message,
@@ -130,6 +160,14 @@ export class GitMonitorService {
 
     this.isMonitoring = true;
     logger.info("Git monitoring started successfully");
+
+    // Store the history before the first processed commit without delaying startup
+    this.backfillHistory().catch((error) => {
+      logger.error("Error backfilling Git history", {
+        error: error.message,
+        stack: error.stack,
+      });
+    });
   }
 
   /**
@@ -142,6 +180,8 @@ export class GitMonitorService {
     }
 
     logger.info("Stopping Git monitoring");
+    // A running backfill stops after its current batch
+    this.isBackfilling = false;
 
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
@@ -153,8 +193,31 @@ export class GitMonitorService {
   }
 
   /**
-   * Checks for new Git commits by comparing the latest commit OID with the last processed OID
-   * @returns {Promise<boolean>} True if new commits were found, false otherwise
+   * Resolves the name of the checked out branch
+   * @returns {Promise<string|null>} The branch name, or null for a detached HEAD
+   */
+  async getCurrentBranch() {
+    try {
+      return (
+        (await git.currentBranch({
+          fs: this.fs,
+          dir: this.dir,
+        })) || null
+      );
+    } catch (error) {
+      logger.warn("Could not determine current branch", {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Checks for new Git commits by comparing the HEAD commit OID with the last processed OID
+   * New commits on the same branch are processed one by one. When another
+   * branch or commit was checked out, only the files that differ between the
+   * old and new HEAD trees are reindexed.
+   * @returns {Promise<boolean>} True if HEAD moved, false otherwise
    */
   async checkForNewCommits() {
     if (!this.initialized) {
@@ -166,63 +229,46 @@ export class GitMonitorService {
     try {
       logger.debug("Checking for new Git commits...");
 
-      // Get the current branch name
-      const currentBranch = await git.currentBranch({
-        fs: this.fs,
-        dir: this.dir,
-      });
-
-      if (!currentBranch) {
-        logger.warn(
-          "Could not determine current branch, possibly detached HEAD"
-        );
-        return false;
-      }
+      // A detached HEAD is monitored like a branch without a name
+      const currentBranch = await this.getCurrentBranch();
+      logger.debug(`Current branch: ${currentBranch || "(detached HEAD)"}`);
 
-      logger.debug(`Current branch: ${currentBranch}`);
-
-      // Get the latest commit OID on the current branch
+      // Get the commit OID checked out at HEAD
       const latestOid = await git.resolveRef({
         fs: this.fs,
         dir: this.dir,
-        ref: currentBranch,
+        ref: "HEAD",
       });
 
       logger.debug(`Latest commit OID: ${latestOid}`);
       logger.debug(`Last processed OID: ${this.lastProcessedOid}`);
 
-      // Compare the latest OID with the last processed OID
-      if (latestOid !== this.lastProcessedOid) {
-        logger.info(
-          `New commits detected. Latest OID: ${latestOid}, Last processed OID: ${this.lastProcessedOid}`
-        );
-
-        // Extract metadata from new commits
-        const newCommits = await this.extractNewCommitsMetadata(latestOid);
-        logger.info(`Found ${newCommits.length} new commits`);
-
-        // Store the commits in the database
-        await this.storeCommitsInDatabase(newCommits);
-
-        // Collect all unique changed files from the new commits
-        const allChangedFiles = this.collectUniqueChangedFiles(newCommits);
-
-        // Trigger the IndexingService to process the changed files
-        if (allChangedFiles.length > 0) {
-          logger.info(
-            `Triggering IndexingService with ${allChangedFiles.length} changed files`
-          );
-          await this.indexingService.processChanges(allChangedFiles);
+      if (latestOid === this.lastProcessedOid) {
+        // E.g. a new branch created at HEAD: nothing to index, but remember the branch
+        if (currentBranch !== this.currentBranch) {
+          this.currentBranch = currentBranch;
+          await this.updateLastProcessedOid(latestOid, currentBranch);
         }
+        logger.debug("No new commits detected");
+        return false;
+      }
 
-        // Update the last processed OID to the latest one
-        await this.updateLastProcessedOid(latestOid);
+      const isHeadSwitch =
+        currentBranch !== this.currentBranch ||
+        (this.lastProcessedOid !== null &&
+          !(await this.isCommitInHistory(this.lastProcessedOid)));
 
-        return true;
+      if (isHeadSwitch) {
+        await this.processHeadSwitch(latestOid, currentBranch);
       } else {
-        logger.debug("No new commits detected");
-        return false;
+        await this.processNewCommits(latestOid);
       }
+
+      // Update the last processed OID to the latest one
+      this.currentBranch = currentBranch;
+      await this.updateLastProcessedOid(latestOid, currentBranch);
+
+      return true;
     } catch (error) {
       logger.error("Error checking for new Git commits", {
         error: error.message,
@@ -232,6 +278,243 @@ export class GitMonitorService {
     }
   }
 
+  /**
+   * Stores and indexes the commits made on the current branch since the last processed commit
+   * @param {string} latestOid - The HEAD commit OID
+   * @returns {Promise<void>}
+   */
+  async processNewCommits(latestOid) {
+    logger.info(
+      `New commits detected. Latest OID: ${latestOid}, Last processed OID: ${this.lastProcessedOid}`
+    );
+
+    // Extract metadata from new commits and store them in the database
+    const newCommits = await this.extractNewCommitsMetadata(latestOid);
+    await this.storeNewCommits(newCommits);
+
+    // Collect all unique changed files from the new commits and reindex them
+    await this.reindexChangedFiles(this.collectUniqueChangedFiles(newCommits));
+  }
+
+  /**
+   * Stores the commits that are not stored yet
+   * Commits can be reached from several branches, and a reset can bring back
+   * commits that an earlier rewrite left unreachable; those are marked as
+   * reachable again instead.
+   * @param {Array<Object>} commits - Array of commit metadata objects
+   * @returns {Promise<Array<Object>>} The commits that were not stored before
+   */
+  async storeNewCommits(commits) {
+    const newCommits = [];
+    const storedCommitHashes = [];
+    for (const commit of commits) {
+      if (await hasGitCommit(this.dbClient, this.projectId, commit.hash)) {
+        storedCommitHashes.push(commit.hash);
+      } else {
+        newCommits.push(commit);
+      }
+    }
+    logger.info(`Found ${newCommits.length} new commits`);
+
+    if (newCommits.length > 0) {
+      await this.storeCommitsInDatabase(newCommits);
+    }
+    const restoredCount = await setGitCommitsReachable(
+      this.dbClient,
+      this.projectId,
+      storedCommitHashes,
+      true
+    );
+
+    if (newCommits.length > 0 || restoredCount > 0) {
+      // Git history is searched by retrieval, so cached results are stale now
+      await bumpIndexVersion(this.dbClient, this.projectId);
+    }
+    return newCommits;
+  }
+
+  /**
+   * Processes a checkout of another branch or commit, or rewritten history
+   * Commits of the new HEAD that are not stored yet are added to the Git
+   * history: those since the branch was last processed, or since it forked
+   * from the previously checked out commit. Commits that only the previous
+   * HEAD contained, e.g. after a rebase, reset or force-pull, are marked as
+   * unreachable. The index is then brought in line with the new HEAD by
+   * reindexing the files that differ between the trees of the old and new
+   * HEAD commits.
+   * @param {string} latestOid - The HEAD commit OID
+   * @param {string|null} currentBranch - The checked out branch, null for a detached HEAD
+   * @returns {Promise<void>}
+   */
+  async processHeadSwitch(latestOid, currentBranch) {
+    if (currentBranch === this.currentBranch) {
+      logger.info(
+        `History of ${currentBranch || "(detached HEAD)"} was rewritten: ${
+          this.lastProcessedOid
+        } is not an ancestor of ${latestOid}`
+      );
+    } else {
+      logger.info(
+        `HEAD switched from ${this.currentBranch || "(detached HEAD)"} at ${
+          this.lastProcessedOid
+        } to ${currentBranch || "(detached HEAD)"} at ${latestOid}`
+      );
+    }
+
+    const stopOids = [];
+    let mergeBaseOids = [];
+    if (currentBranch) {
+      const branchOid = await getLastProcessedCommitOid(
+        this.dbClient,
+        this.projectId,
+        currentBranch
+      );
+      if (branchOid) {
+        stopOids.push(branchOid);
+      }
+    }
+    if (this.lastProcessedOid) {
+      try {
+        mergeBaseOids = await git.findMergeBase({
+          fs: this.fs,
+          dir: this.dir,
+          oids: [this.lastProcessedOid, latestOid],
+        });
+        stopOids.push(...mergeBaseOids);
+      } catch (error) {
+        logger.warn("Could not find the merge base of the old and new HEAD", {
+          error: error.message,
+          previousOid: this.lastProcessedOid,
+          latestOid,
+        });
+      }
+    }
+
+    const newCommits = await this.storeNewCommits(
+      await this.extractNewCommitsMetadata(latestOid, stopOids)
+    );
+
+    if (this.lastProcessedOid) {
+      try {
+        await this.markOrphanedCommits(this.lastProcessedOid, mergeBaseOids);
+      } catch (error) {
+        // The previous HEAD may have been garbage collected already
+        logger.warn("Could not check for commits orphaned by the old HEAD", {
+          error: error.message,
+          previousOid: this.lastProcessedOid,
+        });
+      }
+    }
+
+    const changedFiles = this.lastProcessedOid
+      ? await this.extractChangedFilesBetweenCommits(
+          this.lastProcessedOid,
+          latestOid
+        )
+      : this.collectUniqueChangedFiles(newCommits);
+    await this.reindexChangedFiles(changedFiles);
+  }
+
+  /**
+   * Marks the commits that only the previous HEAD contained as unreachable
+   * Candidates are the commits between the previous HEAD and its merge base
+   * with the new HEAD. Those still contained in HEAD or a local branch stay
+   * reachable, so switching branches orphans nothing.
+   * @param {string} previousOid - The previously checked out commit OID
+   * @param {Array<string>} mergeBaseOids - Merge bases of the previous and new HEAD
+   * @returns {Promise<number>} Number of commits marked as unreachable
+   */
+  async markOrphanedCommits(previousOid, mergeBaseOids) {
+    const candidateOids = [];
+    for (const commit of await git.log({
+      fs: this.fs,
+      dir: this.dir,
+      ref: previousOid,
+    })) {
+      if (mergeBaseOids.includes(commit.oid)) {
+        break;
+      }
+      candidateOids.push(commit.oid);
+    }
+    if (candidateOids.length === 0) {
+      return 0;
+    }
+
+    // Candidates are newest first: a branch contains every candidate from its
+    // merge base with the previous HEAD on
+    const reachableOids = new Set();
+    for (const tipOid of await this.getBranchTipOids()) {
+      const [mergeBase] = await git
+        .findMergeBase({
+          fs: this.fs,
+          dir: this.dir,
+          oids: [tipOid, previousOid],
+        })
+        .catch(() => []);
+      const index = candidateOids.indexOf(mergeBase);
+      if (index !== -1) {
+        candidateOids.slice(index).forEach((oid) => reachableOids.add(oid));
+      }
+    }
+
+    const orphanedCount = await setGitCommitsReachable(
+      this.dbClient,
+      this.projectId,
+      candidateOids.filter((oid) => !reachableOids.has(oid)),
+      false
+    );
+    if (orphanedCount > 0) {
+      logger.info(`Marked ${orphanedCount} orphaned commits as unreachable`);
+      // Retrieval must stop surfacing them
+      await bumpIndexVersion(this.dbClient, this.projectId);
+    }
+    return orphanedCount;
+  }
+
+  /**
+   * Resolves the commits at HEAD and the tips of the local branches
+   * @returns {Promise<Array<string>>} Unique commit OIDs
+   */
+  async getBranchTipOids() {
+    const branches = await git.listBranches({ fs: this.fs, dir: this.dir });
+    const tipOids = await Promise.all(
+      ["HEAD", ...branches].map((ref) =>
+        git.resolveRef({ fs: this.fs, dir: this.dir, ref }).catch(() => null)
+      )
+    );
+    return [...new Set(tipOids.filter(Boolean))];
+  }
+
+  /**
+   * Reindexes changed files with the IndexingService
+   * @param {Array<Object>} changedFiles - Changed files with repository-relative paths
+   * @returns {Promise<void>}
+   */
+  async reindexChangedFiles(changedFiles) {
+    if (changedFiles.length === 0) {
+      return;
+    }
+
+    logger.info(
+      `Triggering IndexingService with ${changedFiles.length} changed files`
+    );
+
+    // The index stores absolute paths, as the initial scan does
+    const fileChanges = changedFiles.map((file) =>
+      file.status === "renamed"
+        ? {
+            filePath: path.join(this.dir, file.newFilePath),
+            oldFilePath: path.join(this.dir, file.oldFilePath),
+            status: "renamed",
+          }
+        : {
+            filePath: path.join(this.dir, file.filePath),
+            status: file.status,
+          }
+    );
+    await this.indexingService.processFileChanges(fileChanges);
+  }
+
   /**
    * Collects unique changed files from multiple commits
    * @param {Array<Object>} commits - Array of commit metadata objects
@@ -300,15 +583,19 @@ export class GitMonitorService {
   /**
    * Extracts metadata from new commits between the last processed OID and the latest OID
    * @param {string} latestOid - The latest commit OID
+   * @param {Array<string>} [stopOids] - Commits the walk stops at, by default the last processed commit
    * @returns {Promise<Array<Object>>} Array of commit metadata objects
    */
-  async extractNewCommitsMetadata(latestOid) {
+  async extractNewCommitsMetadata(
+    latestOid,
+    stopOids = this.lastProcessedOid ? [this.lastProcessedOid] : []
+  ) {
     try {
       logger.debug("Extracting metadata from new commits...");
 
       let commits = [];
 
-      if (!this.lastProcessedOid) {
+      if (stopOids.length === 0) {
         // If no previous OID exists, just get the current HEAD commit
         logger.info("No previous OID, fetching only the latest commit");
         const commitResult = await git.readCommit({
@@ -319,9 +606,9 @@ export class GitMonitorService {
 
         commits = [commitResult];
       } else {
-        // Get all commits between the last processed OID and the latest OID
+        // Get all commits between the stop OIDs and the latest OID
         logger.info(
-          `Fetching commits between ${this.lastProcessedOid} and ${latestOid}`
+          `Fetching commits between ${stopOids.join(", ")} and ${latestOid}`
         );
 
         const logCommits = await git.log({
@@ -330,9 +617,9 @@ export class GitMonitorService {
           ref: latestOid,
         });
 
-        // Process commits until we reach the last processed OID
+        // Process commits until we reach a stop OID
         for (const commit of logCommits) {
-          if (commit.oid === this.lastProcessedOid) {
+          if (stopOids.includes(commit.oid)) {
             break;
           }
           commits.push(commit);
@@ -343,19 +630,7 @@ export class GitMonitorService {
       const commitsMetadata = [];
 
       for (const commit of commits) {
-        const { oid, commit: commitData } = commit;
-
-        // Extract the list of changed files for this commit
-        const changedFiles = await this.extractChangedFilesFromCommit(commit);
-
-        commitsMetadata.push({
-          hash: oid,
-          authorName: commitData.author.name,
-          authorEmail: commitData.author.email,
-          date: new Date(commitData.author.timestamp * 1000), // Convert to milliseconds
-          message: commitData.message,
-          changedFiles: changedFiles,
-        });
+        commitsMetadata.push(await this.buildCommitMetadata(commit));
       }
 
       logger.debug(`Extracted metadata from ${commitsMetadata.length} commits`);
@@ -370,6 +645,129 @@ export class GitMonitorService {
     }
   }
 
+  /**
+   * Builds the metadata stored for a commit, including its changed files
+   * @param {Object} commit - The commit object from git.log or git.readCommit
+   * @returns {Promise<Object>} The commit metadata object
+   */
+  async buildCommitMetadata(commit) {
+    const { oid, commit: commitData } = commit;
+
+    // Extract the list of changed files for this commit
+    const changedFiles = await this.extractChangedFilesFromCommit(commit);
+
+    return {
+      hash: oid,
+      authorName: commitData.author.name,
+      authorEmail: commitData.author.email,
+      date: new Date(commitData.author.timestamp * 1000), // Convert to milliseconds
+      message: commitData.message,
+      changedFiles: changedFiles,
+      diffHunks: await this.extractDiffHunks(commit, changedFiles),
+    };
+  }
+
+  /**
+   * Extracts the diff hunks of a commit's changed files against its first parent
+   * Binary files, files larger than GIT_DIFF_MAX_FILE_SIZE and renames
+   * without changes have no hunks. At most GIT_DIFF_MAX_HUNKS_PER_COMMIT
+   * hunks are kept per commit, each cut to GIT_DIFF_MAX_HUNK_LINES lines.
+   * Secrets are redacted from both versions of a file before they are
+   * diffed, so a hunk never quotes one, even when it is cut.
+   * @param {Object} commit - The commit object from git.log or git.readCommit
+   * @param {Array<Object>} changedFiles - The commit's changed files
+   * @returns {Promise<Array<Object>>} Hunks { filePath, oldStart, oldLines, newStart, newLines, content }
+   */
+  async extractDiffHunks(commit, changedFiles) {
+    const maxHunks = config.GIT_DIFF_MAX_HUNKS_PER_COMMIT;
+    const maxHunkLines = config.GIT_DIFF_MAX_HUNK_LINES;
+    const diffHunks = [];
+    if (!maxHunks) {
+      return diffHunks;
+    }
+
+    const [parentOid] = commit.commit.parent || [];
+    for (const file of changedFiles) {
+      // Renames are detected by identical contents, so they have no diff
+      if (file.status === "renamed") {
+        continue;
+      }
+
+      try {
+        const [oldText, newText] = await Promise.all([
+          file.status === "added"
+            ? ""
+            : this.readBlobText(parentOid, file.filePath),
+          file.status === "deleted"
+            ? ""
+            : this.readBlobText(commit.oid, file.filePath),
+        ]);
+        if (oldText === null || newText === null) {
+          continue;
+        }
+
+        const hunks = diffLines(
+          redactSecrets(oldText, file.filePath).content,
+          redactSecrets(newText, file.filePath).content
+        );
+        for (const hunk of hunks) {
+          if (diffHunks.length >= maxHunks) {
+            logger.debug(
+              `Commit ${commit.oid} has more than ${maxHunks} diff hunks, skipping the rest`
+            );
+            return diffHunks;
+          }
+
+          const lines =
+            maxHunkLines > 0 && hunk.lines.length > maxHunkLines
+              ? [
+                  ...hunk.lines.slice(0, maxHunkLines),
+                  `... ${hunk.lines.length - maxHunkLines} more lines`,
+                ]
+              : hunk.lines;
+          diffHunks.push({
+            filePath: file.filePath,
+            oldStart: hunk.oldStart,
+            oldLines: hunk.oldLines,
+            newStart: hunk.newStart,
+            newLines: hunk.newLines,
+            content: lines.join("\n"),
+          });
+        }
+      } catch (error) {
+        logger.warn(`Could not diff ${file.filePath} in commit ${commit.oid}`, {
+          error: error.message,
+        });
+      }
+    }
+
+    return diffHunks;
+  }
+
+  /**
+   * Reads a file of a commit as text
+   * @param {string} commitOid - The commit OID
+   * @param {string} filepath - Path of the file, relative to the repository root
+   * @returns {Promise<string|null>} The file contents, or null for binary files and files larger than GIT_DIFF_MAX_FILE_SIZE
+   */
+  async readBlobText(commitOid, filepath) {
+    const { blob } = await git.readBlob({
+      fs: this.fs,
+      dir: this.dir,
+      oid: commitOid,
+      filepath,
+    });
+
+    if (
+      (config.GIT_DIFF_MAX_FILE_SIZE > 0 &&
+        blob.length > config.GIT_DIFF_MAX_FILE_SIZE) ||
+      blob.subarray(0, BINARY_CHECK_BYTES).includes(0)
+    ) {
+      return null;
+    }
+    return Buffer.from(blob).toString("utf8");
+  }
+
   /**
    * Extracts the list of changed files by comparing a commit's tree with its parent's tree
    * @param {Object} commit - The commit object from git.log or git.readCommit
@@ -415,7 +813,7 @@ export class GitMonitorService {
                 status: "added",
               });
             }
-            return null; // Don't need to return anything for the result
+            return undefined; // Nothing to collect; null would skip the children
           },
         });
 
@@ -442,78 +840,9 @@ export class GitMonitorService {
         oid: parentOid,
       });
 
-      const parentTreeOid = parentCommit.commit.tree;
-
-      // Now use git.walk to compare the two trees
-      let changedFiles = [];
-      const addedFiles = [];
-      const deletedFiles = [];
-      const modifiedFiles = [];
-
-      await git.walk({
-        fs: this.fs,
-        dir: this.dir,
-        trees: [
-          git.TREE({ ref: parentTreeOid }),
-          git.TREE({ ref: currentTreeOid }),
-        ],
-        map: async (filepath, [parentEntry, currentEntry]) => {
-          // File was added (exists in current but not in parent)
-          if (!parentEntry && currentEntry) {
-            // Store the blob OID for potential rename detection
-            const oid = await currentEntry.oid();
-            addedFiles.push({
-              filePath: filepath,
-              status: "added",
-              oid: oid,
-            });
-          }
-          // File was deleted (exists in parent but not in current)
-          else if (parentEntry && !currentEntry) {
-            // Store the blob OID for potential rename detection
-            const oid = await parentEntry.oid();
-            deletedFiles.push({
-              filePath: filepath,
-              status: "deleted",
-              oid: oid,
-            });
-          }
-          // File exists in both trees, check if it was modified
-          else if (parentEntry && currentEntry) {
-            // Get the OIDs to compare content
-            const parentOid = await parentEntry.oid();
-            const currentOid = await currentEntry.oid();
-
-            // If OIDs differ, the file was modified
-            if (parentOid !== currentOid) {
-              modifiedFiles.push({
-                filePath: filepath,
-                status: "modified",
-              });
-            }
-
-            // If OIDs are the same but modes differ, also consider as modified
-            // (e.g., permission changes or file type changes)
-            const parentMode = await parentEntry.mode();
-            const currentMode = await currentEntry.mode();
-
-            if (parentOid === currentOid && parentMode !== currentMode) {
-              modifiedFiles.push({
-                filePath: filepath,
-                status: "modified",
-              });
-            }
-          }
-
-          return null; // We don't need to return anything for the result
-        },
-      });
-
-      // Apply rename detection heuristic
-      changedFiles = await this.detectRenamesInChangedFiles(
-        addedFiles,
-        deletedFiles,
-        modifiedFiles
+      const changedFiles = await this.compareTrees(
+        parentCommit.commit.tree,
+        currentTreeOid
       );
 
       logger.debug(
@@ -529,6 +858,125 @@ export class GitMonitorService {
     }
   }
 
+  /**
+   * Lists the files that differ between two trees
+   * @param {string} parentTreeOid - OID of the older tree
+   * @param {string} currentTreeOid - OID of the newer tree
+   * @returns {Promise<Array<Object>>} Array of changed file objects with path and status
+   */
+  async compareTrees(parentTreeOid, currentTreeOid) {
+    // Use git.walk to compare the two trees
+    const addedFiles = [];
+    const deletedFiles = [];
+    const modifiedFiles = [];
+
+    await git.walk({
+      fs: this.fs,
+      dir: this.dir,
+      trees: [
+        git.TREE({ ref: parentTreeOid }),
+        git.TREE({ ref: currentTreeOid }),
+      ],
+      map: async (filepath, [parentEntry, currentEntry]) => {
+        const [parentType, currentType] = await Promise.all([
+          parentEntry?.type(),
+          currentEntry?.type(),
+        ]);
+        if (parentType === "tree" || currentType === "tree") {
+          // Identical directories cannot contain changes, so skip their children
+          if (
+            parentType === currentType &&
+            (await parentEntry.oid()) === (await currentEntry.oid())
+          ) {
+            return null;
+          }
+          return undefined; // Walk into the directory
+        }
+
+        // File was added (exists in current but not in parent)
+        if (!parentEntry && currentEntry) {
+          // Store the blob OID for potential rename detection
+          const oid = await currentEntry.oid();
+          addedFiles.push({
+            filePath: filepath,
+            status: "added",
+            oid: oid,
+          });
+        }
+        // File was deleted (exists in parent but not in current)
+        else if (parentEntry && !currentEntry) {
+          // Store the blob OID for potential rename detection
+          const oid = await parentEntry.oid();
+          deletedFiles.push({
+            filePath: filepath,
+            status: "deleted",
+            oid: oid,
+          });
+        }
+        // File exists in both trees, check if it was modified
+        else if (parentEntry && currentEntry) {
+          // Get the OIDs to compare content
+          const parentOid = await parentEntry.oid();
+          const currentOid = await currentEntry.oid();
+
+          // If OIDs differ, the file was modified
+          if (parentOid !== currentOid) {
+            modifiedFiles.push({
+              filePath: filepath,
+              status: "modified",
+            });
+          }
+
+          // If OIDs are the same but modes differ, also consider as modified
+          // (e.g., permission changes or file type changes)
+          const parentMode = await parentEntry.mode();
+          const currentMode = await currentEntry.mode();
+
+          if (parentOid === currentOid && parentMode !== currentMode) {
+            modifiedFiles.push({
+              filePath: filepath,
+              status: "modified",
+            });
+          }
+        }
+
+        return undefined; // Nothing to collect; null would skip the children
+      },
+    });
+
+    // Apply rename detection heuristic
+    return this.detectRenamesInChangedFiles(
+      addedFiles,
+      deletedFiles,
+      modifiedFiles
+    );
+  }
+
+  /**
+   * Lists the files that differ between the trees of two commits
+   * Unlike the per-commit changes, this is the net change of checking out
+   * one commit after the other, whatever the history between them.
+   * @param {string} fromOid - The previously checked out commit OID
+   * @param {string} toOid - The newly checked out commit OID
+   * @returns {Promise<Array<Object>>} Array of changed file objects with path and status
+   */
+  async extractChangedFilesBetweenCommits(fromOid, toOid) {
+    const [fromCommit, toCommit] = await Promise.all(
+      [fromOid, toOid].map((oid) =>
+        git.readCommit({ fs: this.fs, dir: this.dir, oid })
+      )
+    );
+
+    const changedFiles = await this.compareTrees(
+      fromCommit.commit.tree,
+      toCommit.commit.tree
+    );
+    logger.debug(
+      `Found ${changedFiles.length} changed files between ${fromOid} and ${toOid}`
+    );
+    return changedFiles;
+  }
+
   /**
    * Detects potential renames by comparing content OIDs of added and deleted files
    * @param {Array<Object>} addedFiles - Files that were added in the commit
@@ -618,6 +1066,7 @@ export class GitMonitorService {
         try {
           // Store basic commit information
           await addGitCommit(this.dbClient, {
+            project_id: this.projectId,
             commit_hash: commit.hash,
             author_name: commit.authorName,
             author_email: commit.authorEmail,
@@ -638,6 +1087,7 @@ export class GitMonitorService {
                   // Handle renamed files specially
                   await addGitCommitFile(
                     this.dbClient,
+                    this.projectId,
                     commit.hash,
                     file.newFilePath,
                     file.status,
@@ -647,6 +1097,7 @@ export class GitMonitorService {
                   // Handle added, modified, deleted files
                   await addGitCommitFile(
                     this.dbClient,
+                    this.projectId,
                     commit.hash,
                     file.filePath,
                     file.status
@@ -670,6 +1121,27 @@ export class GitMonitorService {
             }
           }
 
+          if (commit.diffHunks && commit.diffHunks.length > 0) {
+            try {
+              await addGitCommitHunks(
+                this.dbClient,
+                this.projectId,
+                commit.hash,
+                commit.diffHunks
+              );
+            } catch (hunkError) {
+              logger.error(
+                `Failed to store diff hunks for commit ${commit.hash}`,
+                {
+                  error: hunkError.message,
+                  stack: hunkError.stack,
+                  hunkCount: commit.diffHunks.length,
+                }
+              );
+              // The commit and its files are stored, which still helps
+            }
+          }
+
           // Log the list of changed files for this commit
           if (commit.changedFiles && commit.changedFiles.length > 0) {
             // Log normal file changes
@@ -710,12 +1182,130 @@ export class GitMonitorService {
     }
   }
 
+  /**
+   * Stores the commits that precede monitoring, so Git history searches work on a fresh install
+   * Walks back from HEAD over at most maxCommits commits made after since,
+   * skipping commits that are already stored. Commits are stored in small
+   * batches with a pause in between, so the backfill does not compete with
+   * indexing. Once completed with the current settings it is not run again;
+   * raising the limits backfills the older commits on the next start.
+   * @param {Object} [options] - Backfill options
+   * @param {number} [options.maxCommits] - Most recent commits to consider, 0 disables the backfill
+   * @param {string|null} [options.since] - Only consider commits made after this ISO timestamp
+   * @param {number} [options.delayMs] - Pause after each batch of commits, in milliseconds
+   * @returns {Promise<Object|null>} { commits, completed }, or null if there was nothing to backfill
+   */
+  async backfillHistory({
+    maxCommits = config.GIT_BACKFILL_MAX_COMMITS,
+    since = config.GIT_BACKFILL_SINCE,
+    delayMs = config.GIT_BACKFILL_DELAY_MS,
+  } = {}) {
+    if (!(maxCommits > 0)) {
+      logger.info("Git history backfill disabled (GIT_BACKFILL_MAX_COMMITS=0)");
+      return null;
+    }
+    if (this.isBackfilling) {
+      logger.debug("Git history backfill already in progress, skipping");
+      return null;
+    }
+
+    const previousBackfill = JSON.parse(
+      (await getProjectMetadataValue(
+        this.dbClient,
+        this.projectId,
+        GIT_BACKFILL_METADATA_KEY
+      )) || "null"
+    );
+    if (
+      previousBackfill &&
+      previousBackfill.maxCommits === maxCommits &&
+      previousBackfill.since === since
+    ) {
+      logger.debug("Git history already backfilled", previousBackfill);
+      return null;
+    }
+
+    this.isBackfilling = true;
+    let storedCommits = 0;
+    try {
+      const logCommits = await git.log({
+        fs: this.fs,
+        dir: this.dir,
+        ref: "HEAD",
+        depth: maxCommits,
+        ...(since ? { since: new Date(since) } : {}),
+      });
+      logger.info(`Backfilling Git history from ${logCommits.length} commits`, {
+        maxCommits,
+        since,
+      });
+
+      let completed = true;
+      for (let i = 0; i < logCommits.length; i += GIT_BACKFILL_BATCH_SIZE) {
+        if (!this.isBackfilling) {
+          completed = false;
+          break;
+        }
+
+        const batch = [];
+        const batchCommits = logCommits.slice(i, i + GIT_BACKFILL_BATCH_SIZE);
+        for (const commit of batchCommits) {
+          const isStored = await hasGitCommit(
+            this.dbClient,
+            this.projectId,
+            commit.oid
+          );
+          if (!isStored) {
+            batch.push(await this.buildCommitMetadata(commit));
+          }
+        }
+
+        if (batch.length > 0) {
+          await this.storeCommitsInDatabase(batch);
+          storedCommits += batch.length;
+          if (delayMs > 0) {
+            await new Promise((resolve) => setTimeout(resolve, delayMs));
+          }
+        }
+      }
+
+      if (storedCommits > 0) {
+        // Git history is searched by retrieval, so cached results are stale now
+        await bumpIndexVersion(this.dbClient, this.projectId);
+      }
+      if (!completed) {
+        logger.info(
+          `Git history backfill stopped after ${storedCommits} commits`
+        );
+        return { commits: storedCommits, completed: false };
+      }
+
+      await setProjectMetadataValue(
+        this.dbClient,
+        this.projectId,
+        GIT_BACKFILL_METADATA_KEY,
+        JSON.stringify({
+          maxCommits,
+          since,
+          commits: storedCommits,
+          completedAt: new Date().toISOString(),
+        })
+      );
+
+      logger.info(`Git history backfill stored ${storedCommits} commits`);
+      return { commits: storedCommits, completed: true };
+    } finally {
+      this.isBackfilling = false;
+    }
+  }
+
   /**
    * Updates the last processed commit OID in the database
    * @param {string} oid - The commit OID to store
+   * @param {string|null} [branch] - Branch checked out at the commit, also stored as its last processed commit
    * @returns {Promise<void>}
    */
-  async updateLastProcessedOid(oid) {
+  async updateLastProcessedOid(oid, branch = null) {
     try {
       if (!oid) {
         logger.warn(
@@ -724,7 +1314,15 @@ export class GitMonitorService {
         return;
       }
 
-      await setLastProcessedCommitOid(this.dbClient, oid);
+      await setLastProcessedCommitOid(this.dbClient, this.projectId, oid);
+      if (branch) {
+        await setLastProcessedCommitOid(
+          this.dbClient,
+          this.projectId,
+          oid,
+          branch
+        );
+      }
       this.lastProcessedOid = oid;
       logger.info(`Updated last processed commit OID to: ${oid}`);
     } catch (error) {
@@ -744,6 +1342,64 @@ export class GitMonitorService {
   getLastProcessedOid() {
     return this.lastProcessedOid;
   }
+
+  /**
+   * Resolves the commit OID currently checked out at HEAD
+   * @returns {Promise<string|null>} The HEAD commit OID or null if it cannot be resolved
+   */
+  async getCurrentHeadOid() {
+    try {
+      return await git.resolveRef({
+        fs: this.fs,
+        dir: this.dir,
+        ref: "HEAD",
+      });
+    } catch (error) {
+      logger.error("Error resolving HEAD reference", {
+        error: error.message,
+        stack: error.stack,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether a commit is HEAD or one of its ancestors
+   * @param {string} oid - The commit OID to look for
+   * @returns {Promise<boolean>} True if the commit is in the history of HEAD
+   */
+  async isCommitInHistory(oid) {
+    const headOid = await this.getCurrentHeadOid();
+    if (!headOid) {
+      return false;
+    }
+    if (headOid === oid) {
+      return true;
+    }
+
+    try {
+      return await git.isDescendent({
+        fs: this.fs,
+        dir: this.dir,
+        oid: headOid,
+        ancestor: oid,
+        depth: -1,
+      });
+    } catch (error) {
+      logger.debug(`Commit ${oid} is not in the history of HEAD`, {
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Lists the files tracked at HEAD
+   * @returns {Promise<Array<string>>} Repository-relative paths of the files at HEAD
+   */
+  async listHeadFilePaths() {
+    return git.listFiles({ fs: this.fs, dir: this.dir, ref: "HEAD" });
+  }
 }
 
 export default GitMonitorService;
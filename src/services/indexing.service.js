@@ -14,6 +14,7 @@ import backgroundJobManager from "./job.service.js";
 import dbQueries from "../db/queries.js";
 import config from "../config.js";
 import logger from "../utils/logger.js";
+import { buildSecretMetadata, redactSecrets } from "../utils/secrets.js";
 
 // File type configurations
 const CODE_FILE_EXTENSIONS = {
@@ -22,6 +23,9 @@ const CODE_FILE_EXTENSIONS = {
   python: [".py"],
 };
 
+// Parsed code files whose entities are written in one transaction
+const CODE_FILE_WRITE_BATCH_SIZE = 50;
+
 // Markdown file extensions
 const MARKDOWN_FILE_EXTENSIONS = [".md", ".markdown", ".mdown", ".mdwn"];
 
@@ -86,17 +90,20 @@ export class IndexingService {
    * Creates a new IndexingService instance
    * @param {Object} options - Service dependencies
    * @param {Object} options.dbClient - The database client
+   * @param {string} options.projectId - ID of the project whose files are indexed
    * @param {Object} [options.parserService] - The parser service instance
    * @param {Object} [options.backgroundJobManager] - The background job manager instance
    * @param {Object} [options.dbQueries] - Database queries module
    */
   constructor({
     dbClient,
+    projectId,
     parserService: customParserService = parserService,
     backgroundJobManager: customJobManager = backgroundJobManager,
     dbQueries: customDbQueries = dbQueries,
   }) {
     this.dbClient = dbClient;
+    this.projectId = projectId || null;
     this.parserService = customParserService;
     this.jobManager = customJobManager;
     this.dbQueries = customDbQueries;
@@ -309,6 +316,9 @@ export class IndexingService {
         `Completed processing ${changedFilesList.length} file changes`
       );
 
+      // Retrieval results cached for the previous index are stale now
+      await this.dbQueries.bumpIndexVersion(this.dbClient, this.projectId);
+
       return {
         processed: changedFilesList.length,
         summary: {
@@ -361,6 +371,7 @@ export class IndexingService {
             // Get the document ID for the old Markdown file path
             const document = await this.dbQueries.getProjectDocumentByFilePath(
               this.dbClient,
+              this.projectId,
               oldFilePath
             );
 
@@ -397,6 +408,7 @@ export class IndexingService {
                 const deleteResult =
                   await this.dbQueries.deleteProjectDocumentByFilePath(
                     this.dbClient,
+                    this.projectId,
                     oldFilePath
                   );
                 logger.info(
@@ -448,85 +460,15 @@ export class IndexingService {
         // Step 1: Process oldFilePath as 'deleted'
         // This is essentially the same logic as in processDeletedFiles
 
-        // First fetch all entity IDs for the old file path before deleting anything
-        let entityIds = [];
-        try {
-          const entities = await this.dbQueries.getCodeEntitiesByFilePath(
-            this.dbClient,
-            oldFilePath
-          );
-          entityIds = entities.map((entity) => entity.entity_id);
-          logger.info(
-            `Found ${entityIds.length} entities to remove for old file path: ${oldFilePath}`
-          );
-        } catch (error) {
-          logger.error(
-            `Error fetching entities for old file path ${oldFilePath}: ${error.message}`,
-            { error }
-          );
-          // Continue with deletion anyway - the old file is gone, so entities should be removed
-        }
-
-        // Cancel background AI jobs for each entity ID from the old file path
-        let cancelledJobsCount = 0;
-        if (entityIds.length > 0) {
-          logger.info(
-            `Cancelling background jobs for ${entityIds.length} entities in old file path: ${oldFilePath}`
-          );
-
-          for (const entityId of entityIds) {
-            try {
-              const result =
-                await this.dbQueries.cancelBackgroundAiJobsForEntity(
-                  this.dbClient,
-                  entityId
-                );
-              cancelledJobsCount += result.deletedCount || 0;
-            } catch (error) {
-              logger.error(
-                `Error cancelling jobs for entity ${entityId}: ${error.message}`,
-                {
-                  error,
-                  entityId,
-                  filePath: oldFilePath,
-                }
-              );
-              // Continue with other entities
-            }
-          }
-
-          logger.info(
-            `Cancelled ${cancelledJobsCount} background jobs for old file path: ${oldFilePath}`
-          );
-        }
-
-        // Delete code relationships for entities in the old file path
-        try {
-          const relationshipsResult =
-            await this.dbQueries.deleteCodeRelationshipsByFilePath(
-              this.dbClient,
-              oldFilePath
-            );
-          logger.info(
-            `Deleted ${relationshipsResult.deletedCount} code relationships for old file path: ${oldFilePath}`
-          );
-        } catch (error) {
-          logger.error(
-            `Error deleting code relationships for old file path ${oldFilePath}: ${error.message}`,
-            {
-              error,
-              filePath: oldFilePath,
-            }
-          );
-          // Continue with entity deletion - relationships are less critical
-        }
-
-        // Delete code entities for the old file path
+        // Remove the entities, relationships, embeddings, keywords and waiting
+        // AI jobs of the old path in one transaction
         try {
           const entitiesResult =
-            await this.dbQueries.deleteCodeEntitiesByFilePath(
+            await this.dbQueries.replaceCodeEntitiesForFile(
               this.dbClient,
-              oldFilePath
+              this.projectId,
+              oldFilePath,
+              []
             );
           logger.info(
             `Deleted ${entitiesResult.deletedCount} code entities for old file path: ${oldFilePath}`
@@ -588,6 +530,7 @@ export class IndexingService {
           try {
             const document = await this.dbQueries.getProjectDocumentByFilePath(
               this.dbClient,
+              this.projectId,
               filePath
             );
 
@@ -624,6 +567,7 @@ export class IndexingService {
                 const deleteResult =
                   await this.dbQueries.deleteProjectDocumentByFilePath(
                     this.dbClient,
+                    this.projectId,
                     filePath
                   );
                 logger.info(
@@ -676,86 +620,15 @@ export class IndexingService {
           `Processing deleted code file: ${filePath} (${fileType.language})`
         );
 
-        // Step 1: First fetch all entity IDs for this file path before deleting anything
-        // This allows us to properly cancel jobs for these entities
-        let entityIds = [];
-        try {
-          const entities = await this.dbQueries.getCodeEntitiesByFilePath(
-            this.dbClient,
-            filePath
-          );
-          entityIds = entities.map((entity) => entity.entity_id);
-          logger.info(
-            `Found ${entityIds.length} entities to remove for file: ${filePath}`
-          );
-        } catch (error) {
-          logger.error(
-            `Error fetching entities for file ${filePath}: ${error.message}`,
-            { error }
-          );
-          // Continue with deletion anyway - the file is gone, so entities should be removed
-        }
-
-        // Step 2: Cancel background AI jobs for each entity ID
-        let cancelledJobsCount = 0;
-        if (entityIds.length > 0) {
-          logger.info(
-            `Cancelling background jobs for ${entityIds.length} entities in file: ${filePath}`
-          );
-
-          for (const entityId of entityIds) {
-            try {
-              const result =
-                await this.dbQueries.cancelBackgroundAiJobsForEntity(
-                  this.dbClient,
-                  entityId
-                );
-              cancelledJobsCount += result.deletedCount || 0;
-            } catch (error) {
-              logger.error(
-                `Error cancelling jobs for entity ${entityId}: ${error.message}`,
-                {
-                  error,
-                  entityId,
-                  filePath,
-                }
-              );
-              // Continue with other entities
-            }
-          }
-
-          logger.info(
-            `Cancelled ${cancelledJobsCount} background jobs for file: ${filePath}`
-          );
-        }
-
-        // Step 3: Delete code relationships for entities in this file path
-        try {
-          const relationshipsResult =
-            await this.dbQueries.deleteCodeRelationshipsByFilePath(
-              this.dbClient,
-              filePath
-            );
-          logger.info(
-            `Deleted ${relationshipsResult.deletedCount} code relationships for file: ${filePath}`
-          );
-        } catch (error) {
-          logger.error(
-            `Error deleting code relationships for file ${filePath}: ${error.message}`,
-            {
-              error,
-              filePath,
-            }
-          );
-          // Continue with entity deletion - relationships are less critical
-        }
-
-        // Step 4: Delete code entities for this file path
+        // Remove the entities, relationships, embeddings, keywords and waiting
+        // AI jobs of the file in one transaction
         try {
           const entitiesResult =
-            await this.dbQueries.deleteCodeEntitiesByFilePath(
+            await this.dbQueries.replaceCodeEntitiesForFile(
               this.dbClient,
-              filePath
+              this.projectId,
+              filePath,
+              []
             );
           logger.info(
             `Deleted ${entitiesResult.deletedCount} code entities for file: ${filePath}`
@@ -789,6 +662,8 @@ export class IndexingService {
 
   /**
    * Process added or modified files - read file content and check size
+   * The entities of parsed code files are stored CODE_FILE_WRITE_BATCH_SIZE
+   * files at a time, see storeCodeFiles().
    * @param {Array<Object>} files - List of files with their types
    * @param {string} status - Status of the files ('added' or 'modified')
    * @param {Object} results - Object to record processing results
@@ -798,6 +673,8 @@ export class IndexingService {
     // Get the maximum file size from config, convert from MB to bytes
     const MAX_TEXT_FILE_SIZE_BYTES =
       (config.MAX_TEXT_FILE_SIZE_MB || 5) * 1024 * 1024;
+    // Parsed code files waiting to be stored
+    const preparedCodeFiles = [];
 
     for (const file of files) {
       const { filePath, fileType } = file;
@@ -817,8 +694,15 @@ export class IndexingService {
         }
 
         try {
-          // Read the file content
-          const fileContent = await fs.readFile(filePath, "utf-8");
+          // Read the file content; secrets are redacted before anything is stored
+          const { content: fileContent, findings: secretFindings } =
+            redactSecrets(await fs.readFile(filePath, "utf-8"), filePath);
+          if (secretFindings.length > 0) {
+            logger.warn(
+              `Redacted ${secretFindings.length} secrets in ${filePath}, its content is not sent to the AI provider`,
+              buildSecretMetadata(secretFindings)
+            );
+          }
 
           // Get the size of the content in bytes
           const fileSize = Buffer.byteLength(fileContent, "utf-8");
@@ -837,6 +721,7 @@ export class IndexingService {
 
                 const entityData = {
                   entity_id: entityId,
+                  project_id: this.projectId,
                   file_path: filePath,
                   entity_type: "file", // A generic file type
                   name: fileName,
@@ -860,9 +745,12 @@ export class IndexingService {
                 logger.debug(
                   `Storing minimal code entity for oversized file: ${filePath}`
                 );
-                await this.dbQueries.addOrUpdateCodeEntity(
+                // Replaces whatever was indexed for the file before
+                await this.dbQueries.replaceCodeEntitiesForFile(
                   this.dbClient,
-                  entityData
+                  this.projectId,
+                  filePath,
+                  [entityData]
                 );
                 logger.info(
                   `Stored minimal code entity record for oversized file: ${filePath}`
@@ -890,6 +778,7 @@ export class IndexingService {
                 let document =
                   await this.dbQueries.getProjectDocumentByFilePath(
                     this.dbClient,
+                    this.projectId,
                     filePath
                   );
 
@@ -898,6 +787,7 @@ export class IndexingService {
                 // Create minimal document record for the oversized file
                 const docData = {
                   document_id: documentId,
+                  project_id: this.projectId,
                   file_path: filePath,
                   file_type: "markdown",
                   raw_content: null, // Don't store content as it's too large
@@ -971,6 +861,7 @@ export class IndexingService {
                 let document =
                   await this.dbQueries.getProjectDocumentByFilePath(
                     this.dbClient,
+                    this.projectId,
                     filePath
                   );
 
@@ -979,6 +870,7 @@ export class IndexingService {
                 // Store a document record with failed status
                 const docData = {
                   document_id: documentId,
+                  project_id: this.projectId,
                   file_path: filePath,
                   file_type: "markdown",
                   raw_content: fileContent, // Still store the content for potential manual review
@@ -988,6 +880,7 @@ export class IndexingService {
                   custom_metadata: JSON.stringify({
                     errors: parseResult.errors,
                     reason: "Failed to parse markdown",
+                    ...buildSecretMetadata(secretFindings),
                   }),
                 };
 
@@ -1009,6 +902,7 @@ export class IndexingService {
                 let document =
                   await this.dbQueries.getProjectDocumentByFilePath(
                     this.dbClient,
+                    this.projectId,
                     filePath
                   );
 
@@ -1023,16 +917,22 @@ export class IndexingService {
                 // Check if content has changed if it's an existing document
                 const contentChanged =
                   !document || document.content_hash !== contentHash;
+                const hasSecrets = secretFindings.length > 0;
 
                 // Prepare document data
                 const docData = {
                   document_id: documentId,
+                  project_id: this.projectId,
                   file_path: filePath,
                   file_type: "markdown",
                   raw_content: parseResult.rawContent,
                   content_hash: contentHash,
                   parsing_status: "completed",
-                  ai_status: "pending", // Will be processed by AI job
+                  // Documents with redacted secrets are never sent to the AI provider
+                  ai_status: hasSecrets ? "skipped" : "pending",
+                  custom_metadata: hasSecrets
+                    ? JSON.stringify(buildSecretMetadata(secretFindings))
+                    : null,
                 };
 
                 // Store or update document record
@@ -1051,8 +951,20 @@ export class IndexingService {
                     `Content changed for ${filePath}, enqueueing AI job`
                   );
                   try {
+                    if (!hasSecrets) {
+                      await this.jobManager.enqueueJob({
+                        project_id: this.projectId,
+                        task_type: "enrich_entity_summary_keywords",
+                        target_entity_id: documentId,
+                        target_entity_type: "project_document",
+                        payload: {},
+                      });
+                    }
+
+                    // Embed the raw content right away so semantic search does not wait for enrichment
                     await this.jobManager.enqueueJob({
-                      task_type: "enrich_entity_summary_keywords",
+                      project_id: this.projectId,
+                      task_type: "compute_embeddings",
                       target_entity_id: documentId,
                       target_entity_type: "project_document",
                       payload: {},
@@ -1133,6 +1045,7 @@ export class IndexingService {
 
                     const entityData = {
                       entity_id: entityId,
+                      project_id: this.projectId,
                       file_path: filePath,
                       entity_type: "file", // A generic file type
                       name: fileName,
@@ -1146,18 +1059,21 @@ export class IndexingService {
                       parent_entity_id: null,
                       parsing_status: "failed_parsing",
                       ai_status: "skipped",
-                      custom_metadata: {
+                      custom_metadata: JSON.stringify({
                         parsingErrors: parseResult.errors,
                         reason: "Parser reported errors",
-                      },
+                      }),
                     };
 
                     logger.debug(
                       `Storing code entity with failed_parsing status for file: ${filePath}`
                     );
-                    await this.dbQueries.addOrUpdateCodeEntity(
+                    // Replaces whatever was indexed for the file before
+                    await this.dbQueries.replaceCodeEntitiesForFile(
                       this.dbClient,
-                      entityData
+                      this.projectId,
+                      filePath,
+                      [entityData]
                     );
                     logger.info(
                       `Stored code entity record with failed_parsing status for file: ${filePath}`
@@ -1182,26 +1098,29 @@ export class IndexingService {
                     } relationships`
                   );
 
-                  // Process and store the entities
-                  const entityMap = await this.processCodeEntities(
-                    parseResult.entities,
-                    filePath,
-                    fileType.language
-                  );
-
-                  // Process and store relationships
-                  if (
-                    parseResult.relationships &&
-                    parseResult.relationships.length > 0
-                  ) {
-                    await this.processCodeRelationships(
-                      parseResult.relationships,
-                      filePath,
-                      entityMap
+                  // Stored together with the next parsed files
+                  try {
+                    preparedCodeFiles.push(
+                      await this.prepareCodeFile(
+                        filePath,
+                        fileType.language,
+                        parseResult,
+                        secretFindings
+                      )
                     );
-                  } else {
-                    logger.debug(
-                      `No relationships to process for file: ${filePath}`
+                    if (
+                      preparedCodeFiles.length >= CODE_FILE_WRITE_BATCH_SIZE
+                    ) {
+                      await this.storeCodeFiles(preparedCodeFiles.splice(0));
+                    }
+                  } catch (dbError) {
+                    logger.error(
+                      `Error preparing entities for ${filePath}, its previous index is kept: ${dbError.message}`,
+                      {
+                        error: dbError,
+                        filePath,
+                        fileType,
+                      }
                     );
                   }
                 }
@@ -1223,6 +1142,7 @@ export class IndexingService {
 
                   const entityData = {
                     entity_id: entityId,
+                    project_id: this.projectId,
                     file_path: filePath,
                     entity_type: "file", // A generic file type
                     name: fileName,
@@ -1236,18 +1156,21 @@ export class IndexingService {
                     parent_entity_id: null,
                     parsing_status: "failed_parsing",
                     ai_status: "skipped",
-                    custom_metadata: {
+                    custom_metadata: JSON.stringify({
                       error: parseError.message,
                       reason: "Parser exception",
-                    },
+                    }),
                   };
 
                   logger.debug(
                     `Storing code entity with failed_parsing status for file: ${filePath}`
                   );
-                  await this.dbQueries.addOrUpdateCodeEntity(
+                  // Replaces whatever was indexed for the file before
+                  await this.dbQueries.replaceCodeEntitiesForFile(
                     this.dbClient,
-                    entityData
+                    this.projectId,
+                    filePath,
+                    [entityData]
                   );
                   logger.info(
                     `Stored code entity record with failed_parsing status for file: ${filePath}`
@@ -1306,295 +1229,317 @@ export class IndexingService {
         results.skipped++;
       }
     }
+
+    await this.storeCodeFiles(preparedCodeFiles);
   }
 
   /**
-   * Process code entities extracted from a file
-   * @param {Array<Object>} entities - List of code entities extracted by the parser
+   * Prepares the entities, relationships and AI jobs of a parsed code file
+   * Entities whose type, name and content did not change keep their ID, AI
+   * summary and embeddings; AI jobs are only enqueued for the others and for
+   * entities still waiting for AI processing. Entities containing redacted
+   * secrets are never enriched, so only their embeddings are computed.
    * @param {string} filePath - Path to the file the entities were extracted from
    * @param {string} language - Programming language of the file
-   * @returns {Promise<Object>} Map of original entity references to their generated UUIDs
+   * @param {Object} parseResult - Result of parserService.parseCodeFile()
+   * @param {Array<Object>} [secretFindings] - Secrets redacted from the parsed content, see redactSecrets()
+   * @returns {Promise<Object>} { filePath, entityRows, relationshipRows, jobs } for storeCodeFiles()
    */
-  async processCodeEntities(entities, filePath, language) {
-    if (!entities || entities.length === 0) {
-      logger.debug(`No entities to process for file: ${filePath}`);
-      return {};
-    }
+  async prepareCodeFile(
+    filePath,
+    language,
+    parseResult,
+    secretFindings = []
+  ) {
+    const existingEntities = await this.dbQueries.getCodeEntitiesByFilePath(
+      this.dbClient,
+      this.projectId,
+      filePath
+    );
 
-    logger.info(
-      `Processing ${entities.length} code entities for file: ${filePath}`
+    const { entityRows, entityMap, changedEntityIds, flaggedEntityIds } =
+      this.prepareCodeEntities(
+        parseResult.entities || [],
+        filePath,
+        language,
+        existingEntities,
+        secretFindings
+      );
+    const relationshipRows = this.prepareCodeRelationships(
+      parseResult.relationships || [],
+      filePath,
+      entityMap
+    );
+
+    // Embed the raw content right away so semantic search does not wait for enrichment
+    const jobs = changedEntityIds.flatMap((entityId) =>
+      (flaggedEntityIds.has(entityId)
+        ? ["compute_embeddings"]
+        : ["enrich_entity_summary_keywords", "compute_embeddings"]
+      ).map((taskType) => ({
+        project_id: this.projectId,
+        task_type: taskType,
+        target_entity_id: entityId,
+        target_entity_type: "code_entity",
+        payload: {},
+      }))
     );
 
-    // Track successful and failed entity operations
-    const results = {
-      added: 0,
-      updated: 0,
-      failed: 0,
-      jobsEnqueued: 0,
+    return {
+      filePath,
+      entityRows,
+      relationshipRows,
+      jobs,
+      changedEntityCount: changedEntityIds.length,
     };
+  }
 
-    // Create a map to store the relationship between original entity references and their UUIDs
-    // This will be used to resolve relationships properly
-    const entityMap = {};
+  /**
+   * Stores prepared code files and enqueues the AI jobs of their entities
+   * The previous entities and relationships of all files are replaced in one
+   * transaction. If it fails, the files are stored one at a time, so only a
+   * failing file keeps its previous index.
+   * @param {Array<Object>} preparedFiles - Results of prepareCodeFile()
+   * @returns {Promise<Array<Object>>} The files that were stored
+   */
+  async storeCodeFiles(preparedFiles) {
+    if (preparedFiles.length === 0) {
+      return [];
+    }
 
-    for (const entity of entities) {
-      try {
-        // Generate a unique ID for the entity
-        const entityId = uuidv4();
-        entity.entity_id = entityId;
+    const toReplacement = ({ filePath, entityRows, relationshipRows }) => ({
+      filePath,
+      entities: entityRows,
+      relationships: relationshipRows,
+    });
 
-        // Store any original reference ID or name that might be used in relationships
-        if (entity.ref_id) {
-          entityMap[entity.ref_id] = entityId;
-        }
+    const logStoreError = (filePath, dbError) =>
+      logger.error(
+        `Error storing entities for ${filePath}, its previous index is kept: ${dbError.message}`,
+        { error: dbError, filePath }
+      );
 
-        // Also map by entity name and type as a fallback
-        const nameTypeKey = `${entity.entity_type}:${entity.name}`;
-        entityMap[nameTypeKey] = entityId;
-
-        // Calculate content hash
-        const contentHash = crypto
-          .createHash("sha256")
-          .update(entity.raw_content || "")
-          .digest("hex");
-        entity.content_hash = contentHash;
-
-        // Prepare the full entity data for DB insertion/update
-        const entityData = {
-          entity_id: entityId,
-          file_path: filePath,
-          entity_type: entity.entity_type,
-          name: entity.name,
-          start_line: entity.start_line,
-          start_column: entity.start_column,
-          end_line: entity.end_line,
-          end_column: entity.end_column,
-          raw_content: entity.raw_content,
-          language,
-          content_hash: contentHash,
-          parent_entity_id: entity.parent_entity_id, // If provided by parser
-          parsing_status: "completed",
-          ai_status: "pending",
-          custom_metadata: entity.custom_metadata || {},
-        };
-
-        // Add or update the entity in the database
+    let storedFiles = preparedFiles;
+    try {
+      await this.dbQueries.replaceCodeEntitiesForFiles(
+        this.dbClient,
+        this.projectId,
+        preparedFiles.map(toReplacement)
+      );
+    } catch (batchError) {
+      if (preparedFiles.length === 1) {
+        logStoreError(preparedFiles[0].filePath, batchError);
+        return [];
+      }
+
+      logger.warn(
+        `Error storing entities of ${preparedFiles.length} files together, storing them one at a time: ${batchError.message}`
+      );
+      storedFiles = [];
+      for (const preparedFile of preparedFiles) {
         try {
-          const result = await this.dbQueries.addOrUpdateCodeEntity(
+          await this.dbQueries.replaceCodeEntitiesForFiles(
             this.dbClient,
-            entityData
+            this.projectId,
+            [toReplacement(preparedFile)]
           );
-
-          if (result.isNew || result.contentChanged) {
-            // Entity is new or has changed, enqueue an AI job to process it
-            logger.debug(
-              `Enqueueing AI job for ${
-                result.isNew ? "new" : "updated"
-              } entity: ${entityId}`
-            );
-
-            try {
-              await this.jobManager.enqueueJob({
-                task_type: "enrich_entity_summary_keywords",
-                target_entity_id: entityId,
-                target_entity_type: "code_entity",
-                payload: {},
-              });
-
-              results.jobsEnqueued++;
-            } catch (jobError) {
-              logger.error(
-                `Error enqueueing AI job for entity ${entityId}: ${jobError.message}`,
-                {
-                  error: jobError,
-                  entityId,
-                  filePath,
-                }
-              );
-            }
-
-            if (result.isNew) {
-              results.added++;
-            } else {
-              results.updated++;
-            }
-          } else {
-            logger.debug(
-              `Entity ${entityId} already exists and content hasn't changed, skipping AI job`
-            );
-            results.updated++;
-          }
+          storedFiles.push(preparedFile);
         } catch (dbError) {
-          logger.error(
-            `Error storing entity for ${filePath}: ${dbError.message}`,
-            {
-              error: dbError,
-              entityId,
-              filePath,
-              entityType: entity.entity_type,
-            }
-          );
-          results.failed++;
+          logStoreError(preparedFile.filePath, dbError);
         }
-      } catch (error) {
+      }
+    }
+
+    const jobs = storedFiles.flatMap((storedFile) => storedFile.jobs);
+    if (jobs.length > 0) {
+      const enqueueResult = await this.jobManager.enqueueJobs(jobs);
+      if (!enqueueResult.success) {
         logger.error(
-          `Error processing entity in file ${filePath}: ${error.message}`,
-          {
-            error,
-            filePath,
-            entityType: entity.entity_type,
-          }
+          `Error enqueueing AI jobs for entities of ${storedFiles.length} files: ${enqueueResult.error}`,
+          { jobCount: jobs.length }
         );
-        results.failed++;
       }
     }
 
-    logger.info(
-      `Completed processing entities for ${filePath}: ${results.added} added, ${results.updated} updated, ` +
-        `${results.failed} failed, ${results.jobsEnqueued} AI jobs enqueued`
-    );
+    for (const {
+      filePath,
+      entityRows,
+      relationshipRows,
+      changedEntityCount,
+    } of storedFiles) {
+      logger.info(
+        `Completed indexing ${filePath}: ${entityRows.length} entities (${changedEntityCount} new or changed), ` +
+          `${relationshipRows.length} relationships`
+      );
+    }
 
-    return entityMap;
+    return storedFiles;
   }
 
   /**
-   * Process code relationships extracted from a file
-   * @param {Array<Object>} relationships - List of code relationships extracted by the parser
-   * @param {string} filePath - Path to the file the relationships were extracted from
-   * @param {Object} entityMap - Map of entity original references to their UUIDs
-   * @returns {Promise<void>}
+   * Prepares the database rows of the code entities extracted from a file
+   * @param {Array<Object>} entities - List of code entities extracted by the parser
+   * @param {string} filePath - Path to the file the entities were extracted from
+   * @param {string} language - Programming language of the file
+   * @param {Array<Object>} existingEntities - Entities currently stored for the file
+   * @param {Array<Object>} [secretFindings] - Secrets redacted from the parsed content
+   * @returns {{entityRows: Array<Object>, entityMap: Object, changedEntityIds: string[], flaggedEntityIds: Set<string>}}
+   *   Rows in parser order, map of parser references to entity IDs, the IDs still needing AI processing
+   *   and the IDs of entities containing redacted secrets
    */
-  async processCodeRelationships(relationships, filePath, entityMap) {
-    if (!relationships || relationships.length === 0) {
-      logger.debug(`No relationships to process for file: ${filePath}`);
-      return;
+  prepareCodeEntities(
+    entities,
+    filePath,
+    language,
+    existingEntities,
+    secretFindings = []
+  ) {
+    // Unchanged entities are matched by type, name and content hash
+    const matchKey = (entity) =>
+      `${entity.entity_type}:${entity.name}:${entity.content_hash}`;
+    const existingByKey = new Map();
+    for (const existingEntity of existingEntities) {
+      const key = matchKey(existingEntity);
+      if (!existingByKey.has(key)) existingByKey.set(key, []);
+      existingByKey.get(key).push(existingEntity);
     }
 
-    logger.info(
-      `Processing ${relationships.length} code relationships for file: ${filePath}`
-    );
+    // Create a map to store the relationship between original entity references and their UUIDs
+    // This will be used to resolve relationships and parent entities properly
+    const entityMap = {};
+    const changedEntityIds = [];
+    const flaggedEntityIds = new Set();
+    const preparedEntities = entities.map((entity) => {
+      // Calculate content hash
+      const contentHash = crypto
+        .createHash("sha256")
+        .update(entity.raw_content || "")
+        .digest("hex");
+
+      const existingEntity = existingByKey
+        .get(matchKey({ ...entity, content_hash: contentHash }))
+        ?.shift();
+      const entityId = existingEntity?.entity_id || uuidv4();
+      if (!existingEntity || existingEntity.ai_status === "pending") {
+        changedEntityIds.push(entityId);
+      }
 
-    // Track successful and failed relationship operations
-    const results = {
-      added: 0,
-      failed: 0,
-    };
+      // Store the parser's temporary ID or reference that relationships use
+      for (const ref of [entity.id, entity.ref_id]) {
+        if (ref) entityMap[ref] = entityId;
+      }
 
-    // First, clean up existing relationships for this file to handle modifications
-    try {
-      logger.debug(`Cleaning up existing relationships for file: ${filePath}`);
-      const deleteResult =
-        await this.dbQueries.deleteCodeRelationshipsByFilePath(
-          this.dbClient,
-          filePath
-        );
-      logger.info(
-        `Deleted ${
-          deleteResult.deletedCount || 0
-        } existing relationships for file: ${filePath}`
-      );
-    } catch (deleteError) {
-      logger.error(
-        `Error deleting existing relationships for file ${filePath}: ${deleteError.message}`,
-        { error: deleteError, filePath }
-      );
-      // Continue with adding new relationships even if cleanup failed
-    }
+      // Also map by entity name and type as a fallback
+      entityMap[`${entity.entity_type}:${entity.name}`] = entityId;
 
-    // Process each relationship
-    for (const relationship of relationships) {
-      try {
-        // Generate a unique ID for the relationship
-        const relationshipId = uuidv4();
-
-        // Resolve source entity ID using the entityMap
-        let sourceEntityId = null;
-        if (
-          relationship.source_ref_id &&
-          entityMap[relationship.source_ref_id]
-        ) {
-          sourceEntityId = entityMap[relationship.source_ref_id];
-        } else if (
-          relationship.source_entity_type &&
-          relationship.source_entity_name
-        ) {
-          const sourceKey = `${relationship.source_entity_type}:${relationship.source_entity_name}`;
-          sourceEntityId = entityMap[sourceKey];
-        }
+      // Parser rows are 0-based, finding lines 1-based
+      const entitySecretFindings = secretFindings.filter(
+        (finding) =>
+          finding.line > entity.start_line && finding.line <= entity.end_line + 1
+      );
+      if (entitySecretFindings.length > 0) {
+        flaggedEntityIds.add(entityId);
+      }
 
-        if (!sourceEntityId) {
-          logger.warn(
-            `Could not resolve source entity ID for relationship in file ${filePath}`,
-            { relationship }
-          );
-          results.failed++;
-          continue;
-        }
+      return {
+        entity,
+        entityId,
+        contentHash,
+        existingEntity,
+        entitySecretFindings,
+      };
+    });
+
+    const entityRows = preparedEntities.map(
+      ({
+        entity,
+        entityId,
+        contentHash,
+        existingEntity,
+        entitySecretFindings,
+      }) => ({
+        entity_id: entityId,
+        project_id: this.projectId,
+        file_path: filePath,
+        entity_type: entity.entity_type,
+        name: entity.name,
+        start_line: entity.start_line,
+        start_column: entity.start_column,
+        end_line: entity.end_line,
+        end_column: entity.end_column,
+        raw_content: entity.raw_content,
+        language,
+        content_hash: contentHash,
+        // The parser refers to parents by their temporary ID
+        parent_entity_id: entityMap[entity.parent_entity_id] || null,
+        summary: existingEntity?.summary || null,
+        parsing_status: "completed",
+        // Entities with redacted secrets are never sent to the AI provider
+        ai_status: flaggedEntityIds.has(entityId)
+          ? "skipped"
+          : existingEntity?.ai_status || "pending",
+        custom_metadata: JSON.stringify({
+          ...(entity.custom_metadata || {}),
+          ...buildSecretMetadata(entitySecretFindings),
+        }),
+      })
+    );
 
-        // Resolve target entity ID if it's in the same file
-        let targetEntityId = null;
-        if (
-          relationship.target_ref_id &&
-          entityMap[relationship.target_ref_id]
-        ) {
-          targetEntityId = entityMap[relationship.target_ref_id];
-        } else if (
-          relationship.target_entity_type &&
-          relationship.target_entity_name
-        ) {
-          const targetKey = `${relationship.target_entity_type}:${relationship.target_entity_name}`;
-          targetEntityId = entityMap[targetKey];
-        }
+    return { entityRows, entityMap, changedEntityIds, flaggedEntityIds };
+  }
 
-        // If target entity is not found in the map, it might be in another file
-        // We'll store the relationship with target_entity_id as null and rely on target_symbol_name
+  /**
+   * Prepares the database rows of the code relationships extracted from a file
+   * @param {Array<Object>} relationships - List of code relationships extracted by the parser
+   * @param {string} filePath - Path to the file the relationships were extracted from
+   * @param {Object} entityMap - Map of entity original references to their UUIDs
+   * @returns {Array<Object>} Relationship rows whose source entity could be resolved
+   */
+  prepareCodeRelationships(relationships, filePath, entityMap) {
+    // Resolves a relationship end through the parser reference, then the name and type
+    const resolveEntityId = (ref, entityType, entityName) => {
+      if (ref && entityMap[ref]) return entityMap[ref];
+      if (entityType && entityName) {
+        return entityMap[`${entityType}:${entityName}`] || null;
+      }
+      return null;
+    };
 
-        // Prepare relationship data for DB insertion
-        const relationshipData = {
-          relationship_id: relationshipId,
-          source_entity_id: sourceEntityId,
-          target_entity_id: targetEntityId, // May be null for cross-file relationships
-          target_symbol_name: relationship.target_symbol_name,
-          relationship_type: relationship.relationship_type,
-          custom_metadata: relationship.custom_metadata || {},
-        };
+    const relationshipRows = [];
+    for (const relationship of relationships) {
+      const sourceEntityId = resolveEntityId(
+        relationship.source_ref_id || relationship.source_entity_id,
+        relationship.source_entity_type,
+        relationship.source_entity_name
+      );
 
-        // Add the relationship to the database
-        try {
-          await this.dbQueries.addCodeRelationship(
-            this.dbClient,
-            relationshipData
-          );
-          results.added++;
-        } catch (dbError) {
-          logger.error(
-            `Error storing relationship for ${filePath}: ${dbError.message}`,
-            {
-              error: dbError,
-              relationshipId,
-              sourceEntityId,
-              targetEntityId,
-              filePath,
-            }
-          );
-          results.failed++;
-        }
-      } catch (error) {
-        logger.error(
-          `Error processing relationship in file ${filePath}: ${error.message}`,
-          {
-            error,
-            filePath,
-            relationshipType: relationship.relationship_type,
-          }
+      if (!sourceEntityId) {
+        logger.warn(
+          `Could not resolve source entity ID for relationship in file ${filePath}`,
+          { relationship }
         );
-        results.failed++;
+        continue;
       }
+
+      // If the target entity is not in this file, the relationship is stored
+      // with target_entity_id as null and relies on target_symbol_name
+      const targetEntityId = resolveEntityId(
+        relationship.target_ref_id || relationship.target_entity_id,
+        relationship.target_entity_type,
+        relationship.target_entity_name
+      );
+
+      relationshipRows.push({
+        relationship_id: uuidv4(),
+        source_entity_id: sourceEntityId,
+        target_entity_id: targetEntityId,
+        target_symbol_name: relationship.target_symbol_name,
+        relationship_type: relationship.relationship_type,
+        custom_metadata: JSON.stringify(relationship.custom_metadata || {}),
+      });
     }
 
-    logger.info(
-      `Completed processing relationships for ${filePath}: ${results.added} added, ${results.failed} failed`
-    );
+    return relationshipRows;
   }
 }
 
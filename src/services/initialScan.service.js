@@ -9,7 +9,7 @@ import * as git from "isomorphic-git";
 import { TREE } from "isomorphic-git";
 import { promises as fs } from "fs";
 import path from "path";
-import indexingService from "./indexing.service.js";
+import { IndexingService } from "./indexing.service.js";
 import config from "../config.js";
 import logger from "../utils/logger.js";
 import dbQueries from "../db/queries.js";
@@ -24,9 +24,13 @@ export class InitialScanService {
   constructor() {
     this.logger = logger;
     this.dbQueries = dbQueries;
-    this.indexingService = indexingService;
     this.config = config;
 
+    // Set per scan, for the project being scanned
+    this.dbClient = null;
+    this.projectId = null;
+    this.indexingService = null;
+
     // Define language extension mappings
     this.languageExtensionMap = {
       javascript: [".js", ".jsx", ".mjs", ".cjs"],
@@ -53,10 +57,16 @@ export class InitialScanService {
    * This method orchestrates the process of scanning all files in the project
    * and passing them to the IndexingService for processing
    *
+   * @param {Object} dbClient - The database client instance
+   * @param {string} projectId - ID of the project at PROJECT_PATH
    * @returns {Promise<Object>} Result of the initial scan operation
    */
-  async performInitialScan() {
-    this.logger.info("Starting initial codebase scan");
+  async performInitialScan(dbClient, projectId) {
+    this.logger.info("Starting initial codebase scan", { projectId });
+
+    this.dbClient = dbClient;
+    this.projectId = projectId;
+    this.indexingService = new IndexingService({ dbClient, projectId });
 
     try {
       // Check if scan is needed (might be already done)
@@ -97,7 +107,7 @@ export class InitialScanService {
         total_relevant: categorizedFiles.length,
       });
 
-      // Process each categorized file individually with the IndexingService
+      // Process the categorized files in chunks with the IndexingService
       const processedFiles = await this._processFilesWithIndexingService(
         categorizedFiles
       );
@@ -228,9 +238,9 @@ export class InitialScanService {
   async _isFirstRun() {
     try {
       // Check if initial scan has been completed
-      const client = await this.dbQueries.getDbClient();
       const scanCompleted = await this.dbQueries.hasInitialScanBeenCompleted(
-        client
+        this.dbClient,
+        this.projectId
       );
 
       // If scan has been completed, no need to run again
@@ -241,7 +251,7 @@ export class InitialScanService {
 
       // Alternatively, we could check if code_entities or project_documents tables are empty
       // This is mentioned in the PRD as another way to determine if a scan is needed
-      // For now, we'll rely on the system_metadata marker
+      // For now, we'll rely on the project_metadata marker
 
       this.logger.info("Initial scan needs to be performed");
       return true;
@@ -263,8 +273,10 @@ export class InitialScanService {
    */
   async _markScanComplete() {
     try {
-      const client = await this.dbQueries.getDbClient();
-      await this.dbQueries.markInitialScanCompleted(client);
+      await this.dbQueries.markInitialScanCompleted(
+        this.dbClient,
+        this.projectId
+      );
       this.logger.info("Initial scan marked as complete in the database");
     } catch (error) {
       this.logger.error("Error marking initial scan as complete", {
@@ -452,6 +464,7 @@ export class InitialScanService {
    */
   _shouldIgnorePath(fullPath) {
     const ignoreFolders = [
+      ".devcontext",
       "node_modules",
       "dist",
       "build",
@@ -463,7 +476,10 @@ export class InitialScanService {
   }
 
   /**
-   * Process each categorized file with the IndexingService
+   * Process the categorized files with the IndexingService
+   * Files are passed on in chunks of BATCH_SIZE, so the entities of a chunk
+   * are written in shared transactions and the index version is bumped once
+   * per chunk rather than once per file.
    * @private
    * @param {Array<Object>} categorizedFiles - Array of categorized file objects
    * @returns {Promise<Object>} Processing results with counts
@@ -478,8 +494,8 @@ export class InitialScanService {
       failed: 0,
     };
 
-    // Process files in batches of 10 to avoid overwhelming the system
-    const BATCH_SIZE = 10;
+    // Process files in batches of 50 to avoid overwhelming the system
+    const BATCH_SIZE = 50;
     const TOTAL_FILES = categorizedFiles.length;
 
     for (let i = 0; i < categorizedFiles.length; i += BATCH_SIZE) {
@@ -493,42 +509,37 @@ export class InitialScanService {
         )} of ${TOTAL_FILES}`
       );
 
-      // Process each file in the batch
-      for (const file of batch) {
-        try {
-          // Create the file change object
-          const fileChange = {
-            filePath: file.filePath,
-            status: "added", // All files treated as 'added' in initial scan
-            language: file.language, // Pass language if it's known (for code files)
-          };
-
-          // Call IndexingService to process this file
-          await this.indexingService.processFileChanges([fileChange]);
-
-          result.processed++;
-
-          // Log every 50 files for visibility
-          if (result.processed % 50 === 0) {
-            this.logger.info(
-              `Initial scan: Processed ${
-                result.processed
-              }/${TOTAL_FILES} files (${Math.round(
-                (result.processed / TOTAL_FILES) * 100
-              )}%)`
-            );
-          }
-        } catch (error) {
-          // Log the error but continue with other files
-          this.logger.error(`Error processing file: ${file.filePath}`, {
+      // All files treated as 'added' in initial scan
+      const fileChanges = batch.map((file) => ({
+        filePath: file.filePath,
+        status: "added",
+        language: file.language, // Pass language if it's known (for code files)
+      }));
+
+      try {
+        // Errors of single files are logged and skipped by IndexingService
+        await this.indexingService.processFileChanges(fileChanges);
+        result.processed += batch.length;
+
+        this.logger.info(
+          `Initial scan: Processed ${
+            result.processed
+          }/${TOTAL_FILES} files (${Math.round(
+            (result.processed / TOTAL_FILES) * 100
+          )}%)`
+        );
+      } catch (error) {
+        // Log the error but continue with the next batch
+        this.logger.error(
+          `Error processing files ${i + 1}-${i + batch.length}`,
+          {
             error: error.message,
             stack: error.stack,
-            fileType: file.type,
-            language: file.language,
-          });
+            filePaths: batch.map((file) => file.filePath),
+          }
+        );
 
-          result.failed++;
-        }
+        result.failed += batch.length;
       }
     }
 
@@ -538,3 +549,5 @@ export class InitialScanService {
     return result;
   }
 }
+
+export default new InitialScanService();
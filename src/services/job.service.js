@@ -19,6 +19,15 @@ const DEFAULT_JOB_DELAY_MS = 0; // Default to no delay between jobs
 const DEFAULT_RATE_LIMIT_PAUSE_SECONDS = 60; // Default pause time for rate limits if not specified
 const DEFAULT_MAX_AI_JOB_ATTEMPTS = 3; // Default maximum attempts for AI jobs
 
+// Embedding jobs do not own the target's ai_status, so their failures must not overwrite it
+const TASK_TYPES_WITHOUT_TARGET_AI_STATUS = new Set(["compute_embeddings"]);
+
+// Job types whose results change the embedded text, so the target is re-embedded afterwards
+const TASK_TYPES_FOLLOWED_BY_EMBEDDING = new Set([
+  "enrich_entity_summary_keywords",
+  "generate_topics",
+]);
+
 /**
  * Helper function to create a delay
  * @param {number} ms - The delay in milliseconds
@@ -31,6 +40,7 @@ export class BackgroundJobManager {
    * Creates a new BackgroundJobManager instance
    * @param {Object} [options] - Configuration options
    * @param {Object} [options.aiService] - The AIService instance to use for job processing
+   * @param {Object} [options.configService] - Configuration service (defaults to config)
    */
   constructor(options = {}) {
     this.dbClient = null;
@@ -46,6 +56,7 @@ export class BackgroundJobManager {
     this.aiService = options.aiService; // AIService instance for processing jobs
     this.taskTypePauseUntil = {}; // Object to store pause end times per task type
     this.maxAiJobAttempts = DEFAULT_MAX_AI_JOB_ATTEMPTS; // Maximum attempts for AI jobs
+    this.configService = options.configService || config;
   }
 
   /**
@@ -60,7 +71,7 @@ export class BackgroundJobManager {
 
       // Get max attempts from config if available
       this.maxAiJobAttempts =
-        config.MAX_AI_JOB_ATTEMPTS || DEFAULT_MAX_AI_JOB_ATTEMPTS;
+        this.configService.MAX_AI_JOB_ATTEMPTS || DEFAULT_MAX_AI_JOB_ATTEMPTS;
 
       logger.info("BackgroundJobManager initialized successfully");
     } catch (error) {
@@ -101,14 +112,17 @@ export class BackgroundJobManager {
 
     // Get concurrency from config (AI_JOB_CONCURRENCY) if available, otherwise use provided option or default
     this.concurrency =
-      config.AI_JOB_CONCURRENCY || options.concurrency || DEFAULT_CONCURRENCY;
+      this.configService.AI_JOB_CONCURRENCY ||
+      options.concurrency ||
+      DEFAULT_CONCURRENCY;
 
     // Get job delay from config (AI_JOB_DELAY_MS) if available, otherwise use default
-    this.jobDelayMs = config.AI_JOB_DELAY_MS || DEFAULT_JOB_DELAY_MS;
+    this.jobDelayMs =
+      this.configService.AI_JOB_DELAY_MS || DEFAULT_JOB_DELAY_MS;
 
     // Get max attempts from config (MAX_AI_JOB_ATTEMPTS) if available, otherwise use default
     this.maxAiJobAttempts =
-      config.MAX_AI_JOB_ATTEMPTS || DEFAULT_MAX_AI_JOB_ATTEMPTS;
+      this.configService.MAX_AI_JOB_ATTEMPTS || DEFAULT_MAX_AI_JOB_ATTEMPTS;
 
     this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
 
@@ -324,6 +338,17 @@ export class BackgroundJobManager {
                 job.target_entity_id, // conversationId
                 payload
               );
+            } else if (job.task_type === "compute_embeddings") {
+              // Embedding computation for an entity, a document or a conversation's topics
+              methodName = "computeEmbeddings";
+              logger.info(
+                `Dispatching job ${job.job_id} to AIService method ${methodName} for ${job.target_entity_type} ${job.target_entity_id}`
+              );
+              await this.aiService.computeEmbeddings(
+                job.target_entity_id,
+                job.target_entity_type,
+                payload
+              );
             } else {
               // Unknown job type
               throw new Error(
@@ -343,6 +368,10 @@ export class BackgroundJobManager {
               null
             );
             logger.info(`Job ${job.job_id} status updated to 'completed'`);
+
+            await this.bumpIndexVersionAfterJob(job);
+
+            await this.enqueueFollowUpEmbeddingJob(job);
           } catch (error) {
             // Handle different types of errors
             let status = "failed";
@@ -364,12 +393,14 @@ export class BackgroundJobManager {
               );
 
               // Update target entity AI status to 'rate_limited'
-              await dbQueries.updateEntityAiStatusForJobTarget(
-                this.dbClient,
-                job.target_entity_id,
-                job.target_entity_type,
-                "rate_limited"
-              );
+              if (!TASK_TYPES_WITHOUT_TARGET_AI_STATUS.has(job.task_type)) {
+                await dbQueries.updateEntityAiStatusForJobTarget(
+                  this.dbClient,
+                  job.target_entity_id,
+                  job.target_entity_type,
+                  "rate_limited"
+                );
+              }
 
               // Set pause for this task type
               const retryAfterSeconds =
@@ -405,14 +436,16 @@ export class BackgroundJobManager {
                 );
 
                 // Update target entity's AI status to 'failed_ai'
-                await dbQueries.updateEntityAiStatusForJobTarget(
-                  this.dbClient,
-                  job.target_entity_id,
-                  job.target_entity_type,
-                  "failed_ai",
-                  null,
-                  error.message
-                );
+                if (!TASK_TYPES_WITHOUT_TARGET_AI_STATUS.has(job.task_type)) {
+                  await dbQueries.updateEntityAiStatusForJobTarget(
+                    this.dbClient,
+                    job.target_entity_id,
+                    job.target_entity_type,
+                    "failed_ai",
+                    null,
+                    error.message
+                  );
+                }
               }
             } else if (error.message.includes("Unknown job type")) {
               status = "failed_job_logic";
@@ -434,14 +467,16 @@ export class BackgroundJobManager {
                 );
 
                 // Update target entity's AI status to 'failed_ai'
-                await dbQueries.updateEntityAiStatusForJobTarget(
-                  this.dbClient,
-                  job.target_entity_id,
-                  job.target_entity_type,
-                  "failed_ai",
-                  null,
-                  error.message
-                );
+                if (!TASK_TYPES_WITHOUT_TARGET_AI_STATUS.has(job.task_type)) {
+                  await dbQueries.updateEntityAiStatusForJobTarget(
+                    this.dbClient,
+                    job.target_entity_id,
+                    job.target_entity_type,
+                    "failed_ai",
+                    null,
+                    error.message
+                  );
+                }
               }
             }
 
@@ -497,6 +532,55 @@ export class BackgroundJobManager {
     }
   }
 
+  /**
+   * Enqueues a compute_embeddings job after a job that changed the text of its target
+   * Failures are logged only; the original job has already completed.
+   * @param {Object} job - The completed job row
+   * @returns {Promise<void>}
+   */
+  async enqueueFollowUpEmbeddingJob(job) {
+    if (!TASK_TYPES_FOLLOWED_BY_EMBEDDING.has(job.task_type)) {
+      return;
+    }
+
+    const enqueueResult = await this.enqueueJob({
+      project_id: job.project_id,
+      task_type: "compute_embeddings",
+      target_entity_id: job.target_entity_id,
+      target_entity_type: job.target_entity_type,
+      payload: {},
+    });
+
+    if (!enqueueResult.success) {
+      logger.warn(
+        `Failed to enqueue embedding job after job ${job.job_id}: ${enqueueResult.error}`,
+        { jobId: job.job_id }
+      );
+    }
+  }
+
+  /**
+   * Bumps the index version of a completed job's project, so retrieval stops
+   * reusing results cached before the job's summaries or embeddings existed
+   * Failures are logged only; the original job has already completed.
+   * @param {Object} job - The completed job row
+   * @returns {Promise<void>}
+   */
+  async bumpIndexVersionAfterJob(job) {
+    if (!job.project_id) {
+      return;
+    }
+
+    try {
+      await dbQueries.bumpIndexVersion(this.dbClient, job.project_id);
+    } catch (error) {
+      logger.warn(
+        `Failed to bump the index version after job ${job.job_id}: ${error.message}`,
+        { jobId: job.job_id }
+      );
+    }
+  }
+
   /**
    * Check if a task type is currently paused
    * @param {string} taskType - The task type to check
@@ -558,11 +642,13 @@ export class BackgroundJobManager {
   /**
    * Enqueue a new background AI job
    * @param {Object} jobDetails - Details of the job to enqueue
+   * @param {string} [jobDetails.project_id] - ID of the project the target belongs to
    * @param {string} jobDetails.task_type - Type of task to perform (e.g., 'enrich_entity_summary_keywords')
    * @param {string} jobDetails.target_entity_id - ID of the entity/document to process
    * @param {string} jobDetails.target_entity_type - Type of the target entity (e.g., 'code_entity', 'project_document')
    * @param {Object} [jobDetails.payload] - Optional additional data needed for the job
-   * @returns {Promise<{job_id: string, success: boolean}>} - Result of the enqueue operation
+   * @returns {Promise<{job_id: string, success: boolean, deduplicated?: boolean}>} - Result of the enqueue operation;
+   *   deduplicated is true when an already pending job for the same target and task type was reused
    */
   async enqueueJob(jobDetails) {
     if (!this.initialized) {
@@ -574,33 +660,33 @@ export class BackgroundJobManager {
         `Enqueueing job of type '${jobDetails.task_type}' for entity ID '${jobDetails.target_entity_id}'`
       );
 
-      // Generate a unique job_id (UUID)
-      const job_id = uuidv4();
-
-      // Prepare the job record
-      const jobData = {
-        job_id,
-        target_entity_id: jobDetails.target_entity_id,
-        target_entity_type: jobDetails.target_entity_type,
-        task_type: jobDetails.task_type,
-        status: "pending",
-        payload: jobDetails.payload ? JSON.stringify(jobDetails.payload) : null,
-        // max_attempts will use the default value from the schema
-      };
-
-      // In a real implementation, we would call the DB function to insert the job
-      // However, as Task 046 (which creates this function) is not completed yet,
-      // we'll simply log the job insertion for now
-      logger.info(
-        `Would insert job with ID '${job_id}' into background_ai_jobs table`,
-        { jobData }
+      // Prepare the job record with a unique job_id (UUID)
+      const jobData = this._buildJobData(jobDetails);
+      const job_id = jobData.job_id;
+
+      // De-duplicate: an entity re-indexed several times before the queue drains
+      // only needs one waiting job, which will read the latest content when processed
+      const existingJob = await dbQueries.getPendingAiJobForTarget(
+        this.dbClient,
+        jobData.project_id,
+        jobData.target_entity_id,
+        jobData.target_entity_type,
+        jobData.task_type
       );
 
-      // Once Task 046 is completed, uncomment the following code:
-      /*
+      if (existingJob) {
+        logger.info(
+          `Job '${existingJob.job_id}' is already pending for entity ID '${jobDetails.target_entity_id}', skipping duplicate`
+        );
+        return {
+          job_id: existingJob.job_id,
+          success: true,
+          deduplicated: true,
+        };
+      }
+
       // Insert the job record into the database
       await dbQueries.addBackgroundAiJob(this.dbClient, jobData);
-      */
 
       logger.info(`Successfully enqueued job with ID '${job_id}'`);
       return { job_id, success: true };
@@ -612,6 +698,59 @@ export class BackgroundJobManager {
       return { success: false, error: error.message };
     }
   }
+
+  /**
+   * Enqueue several background AI jobs in one database transaction
+   * Used when indexing a file yields jobs for many entities at once. Targets
+   * that already have a pending job of the same task type are skipped, as in
+   * enqueueJob().
+   * @param {Array<Object>} jobDetailsList - Details of the jobs, as for enqueueJob()
+   * @returns {Promise<{job_ids: string[], success: boolean, error?: string}>} - IDs of the enqueued jobs
+   */
+  async enqueueJobs(jobDetailsList) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    try {
+      logger.info(`Enqueueing ${jobDetailsList.length} jobs`);
+
+      const { insertedJobIds } = await dbQueries.addBackgroundAiJobs(
+        this.dbClient,
+        jobDetailsList.map((jobDetails) => this._buildJobData(jobDetails))
+      );
+
+      logger.info(
+        `Successfully enqueued ${insertedJobIds.length} of ${jobDetailsList.length} jobs`
+      );
+      return { job_ids: insertedJobIds, success: true };
+    } catch (error) {
+      logger.error(`Error enqueueing jobs: ${error.message}`, {
+        error,
+        jobCount: jobDetailsList.length,
+      });
+      return { job_ids: [], success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Builds the database record of a new job
+   * @param {Object} jobDetails - Details of the job, as for enqueueJob()
+   * @returns {Object} Job data for dbQueries.addBackgroundAiJob()
+   * @private
+   */
+  _buildJobData(jobDetails) {
+    return {
+      job_id: uuidv4(),
+      project_id: jobDetails.project_id || null,
+      target_entity_id: jobDetails.target_entity_id,
+      target_entity_type: jobDetails.target_entity_type,
+      task_type: jobDetails.task_type,
+      status: "pending",
+      payload: jobDetails.payload ? JSON.stringify(jobDetails.payload) : null,
+      max_attempts: this.maxAiJobAttempts,
+    };
+  }
 }
 
 // Export a singleton instance
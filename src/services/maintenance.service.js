@@ -0,0 +1,151 @@
+/**
+ * MaintenanceService
+ *
+ * Periodically prunes the database by the configured retention policy,
+ * rebuilds the FTS indexes and vacuums the database (see db/maintenance.js).
+ */
+
+import logger from "../utils/logger.js";
+import config from "../config.js";
+import {
+  getLastMaintenanceReport,
+  runDatabaseMaintenance,
+} from "../db/maintenance.js";
+
+// How often the service checks whether maintenance is due
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+export class MaintenanceService {
+  /**
+   * Creates a new MaintenanceService instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.dbClient - The database client instance
+   * @param {Object} [options.configService] - Configuration service (defaults to config)
+   */
+  constructor({ dbClient, configService = config }) {
+    this.dbClient = dbClient;
+    this.configService = configService;
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isMaintaining = false;
+  }
+
+  /**
+   * Builds the retention policy from the configuration
+   * @returns {Object} Retention policy for runDatabaseMaintenance()
+   * @private
+   */
+  _getRetentionPolicy() {
+    return {
+      conversationDays: this.configService.RETENTION_CONVERSATION_DAYS,
+      maxConversations: this.configService.RETENTION_MAX_CONVERSATIONS,
+      maxMessagesPerConversation:
+        this.configService.RETENTION_MAX_MESSAGES_PER_CONVERSATION,
+      gitCommitDays: this.configService.RETENTION_GIT_COMMIT_DAYS,
+      maxGitCommits: this.configService.RETENTION_MAX_GIT_COMMITS,
+      finishedJobDays: this.configService.RETENTION_FINISHED_JOB_DAYS,
+    };
+  }
+
+  /**
+   * Runs maintenance now
+   * @returns {Promise<Object|null>} The maintenance report, or null if a run is already in progress
+   */
+  async runMaintenance() {
+    // Re-entrancy guard: VACUUM must not overlap another run
+    if (this.isMaintaining) {
+      logger.debug("Database maintenance already in progress, skipping");
+      return null;
+    }
+
+    this.isMaintaining = true;
+    try {
+      return await runDatabaseMaintenance(this.dbClient, {
+        retention: this._getRetentionPolicy(),
+        vacuum: this.configService.MAINTENANCE_VACUUM !== false,
+      });
+    } finally {
+      this.isMaintaining = false;
+    }
+  }
+
+  /**
+   * Runs maintenance if the last run is older than the maintenance interval
+   * Errors are logged rather than thrown so the periodic check keeps going.
+   * @returns {Promise<Object|null>} The maintenance report, or null if maintenance was not due or failed
+   */
+  async runIfDue() {
+    try {
+      const intervalMs =
+        this.configService.MAINTENANCE_INTERVAL_HOURS * 60 * 60 * 1000;
+      const lastReport = await getLastMaintenanceReport(this.dbClient);
+
+      if (lastReport) {
+        const elapsedMs = Date.now() - new Date(lastReport.finishedAt);
+        if (elapsedMs < intervalMs) {
+          logger.debug("Database maintenance not due yet", {
+            lastRunAt: lastReport.finishedAt,
+          });
+          return null;
+        }
+      }
+
+      return await this.runMaintenance();
+    } catch (error) {
+      logger.error("Error during database maintenance", {
+        error: error.message,
+        stack: error.stack,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Start periodic maintenance
+   * Does nothing when MAINTENANCE_INTERVAL_HOURS is 0.
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.checkInterval] - How often to check whether maintenance is due, in milliseconds
+   * @returns {void}
+   */
+  start(options = {}) {
+    if (this.isRunning) {
+      logger.warn("MaintenanceService is already running");
+      return;
+    }
+
+    if (!(this.configService.MAINTENANCE_INTERVAL_HOURS > 0)) {
+      logger.info("Database maintenance disabled (MAINTENANCE_INTERVAL_HOURS=0)");
+      return;
+    }
+
+    const checkInterval = options.checkInterval || DEFAULT_CHECK_INTERVAL_MS;
+    logger.info(
+      `Starting MaintenanceService with maintenance interval: ${this.configService.MAINTENANCE_INTERVAL_HOURS}h`
+    );
+
+    this.isRunning = true;
+    this.intervalId = setInterval(this.runIfDue.bind(this), checkInterval);
+    // Maintenance must not keep the process alive on its own
+    this.intervalId.unref?.();
+
+    // Check immediately so a long-stopped server catches up on startup
+    this.runIfDue();
+  }
+
+  /**
+   * Stop periodic maintenance
+   * @returns {void}
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+    logger.info("MaintenanceService stopped");
+  }
+}
+
+export default MaintenanceService;
@@ -354,6 +354,9 @@ class RelationshipManager {
             contentHash: relatedEntityRecord.content_hash,
             parentEntityId: relatedEntityRecord.parent_entity_id,
             parsingStatus: relatedEntityRecord.parsing_status,
+            ...(relatedEntityRecord.uncommitted_at
+              ? { uncommitted: true }
+              : {}),
           },
           relationshipContext: relationshipContext,
         };
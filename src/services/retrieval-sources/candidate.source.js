@@ -0,0 +1,292 @@
+/**
+ * CandidateSource - Base class for retrieval candidate sources
+ *
+ * RetrievalService.getRelevantContext runs a pipeline of candidate sources.
+ * Each source searches one kind of data (code FTS, documents, conversation
+ * history, Git, ...) and turns its hits into CandidateSnippet objects that are
+ * then ranked and compressed together. Sources run in order and see the
+ * candidates produced by the sources before them, which lets later sources
+ * skip duplicates, fuse rankings or expand on earlier results.
+ *
+ * To add a source, extend this class, give it a unique name and implement
+ * retrieve(); register it with RetrievalService.registerCandidateSource().
+ */
+
+/**
+ * @typedef {Object} CandidateSnippet
+ * @property {string} id - Unique ID of the source item (e.g., entity_id, document_id, message_id, commit_hash, composite IDs)
+ * @property {string} sourceType - The origin/source type of this snippet (e.g., 'code_entity_fts', 'conversation_topic', 'git_commit')
+ * @property {string} contentSnippet - The actual text content to be potentially shown to the agent (AI summary, FTS highlight, raw content excerpt, etc.)
+ * @property {number} initialScore - Relevance score (0-1) from its source retrieval
+ * @property {string} [filePath] - File path if applicable (for code entities, project documents)
+ * @property {string} [entityName] - Name of the code entity, if applicable (function name, class name, etc.)
+ * @property {string} [entityType] - Type of entity or document (e.g., 'function_declaration', 'markdown')
+ * @property {string} [language] - Programming language, if code entity
+ * @property {string} [aiStatus] - AI processing status ('pending', 'completed', 'failed', etc.), if applicable
+ * @property {string} [timestamp] - Timestamp for time-sensitive items (ISO string format)
+ * @property {Object} [metadata] - Source-specific metadata object containing additional context
+ * @property {Object} [relationshipContext] - For snippets from relationship expansion - contains relationship type and context
+ * @property {number} [consolidatedScore] - Final calculated score after applying ranking factors
+ * @property {string} [ftsHighlight] - FTS highlight of the hit; only returned to clients inside the explanation
+ * @property {Object} [explanation] - Score breakdown, attached when retrievalParameters.explain is set
+ */
+
+/**
+ * @typedef {Object} RetrievalContext
+ * @property {string} query - The original query
+ * @property {string[]} searchTerms - Processed search terms from the query
+ * @property {string} ftsQueryString - FTS5 MATCH expression built from the search terms
+ * @property {string} conversationId - The active conversation session ID
+ * @property {string} projectId - The project being searched; sources only return its rows
+ * @property {Object} retrievalParameters - Parameters passed to getRelevantContext
+ * @property {number} limit - Maximum number of hits this source should fetch
+ * @property {CandidateSnippet[]} candidateSnippets - Candidates produced by earlier sources (read-only)
+ * @property {Object} dbClient - Database client instance
+ * @property {Object} logger - Logger instance
+ * @property {Object} [embedder] - Embedder for query vectors
+ * @property {Object} [relationshipManager] - Relationship manager instance
+ * @property {function(string): Promise<Object|null>} getCodeEntity - Cached code entity lookup by ID
+ * @property {function(string): Promise<Object|null>} getProjectDocument - Cached project document lookup by ID
+ */
+
+// Source types produced from code entities, used for de-duplication and seeding
+export const CODE_ENTITY_SOURCE_TYPES = [
+  "code_entity_fts",
+  "code_entity_semantic",
+  "code_entity_keyword",
+];
+
+// Source types produced from project documents
+export const PROJECT_DOCUMENT_SOURCE_TYPES = [
+  "project_document_fts",
+  "project_document_keyword",
+];
+
+// Maximum length of a raw content excerpt used as a snippet
+const MAX_RAW_CONTENT_SNIPPET_LENGTH = 300;
+
+/**
+ * Base class every retrieval candidate source extends
+ */
+export class CandidateSource {
+  /**
+   * Creates a new candidate source
+   * @param {string} name - Unique source name used in RETRIEVAL_SOURCES and retrievalParameters
+   * @param {Object} options - Source options
+   * @param {string[]} options.sourceTypes - Snippet source types this source produces
+   * @param {number} options.limit - Default maximum number of hits to fetch
+   */
+  constructor(name, { sourceTypes, limit }) {
+    this.name = name;
+    this.sourceTypes = sourceTypes;
+    this.limit = limit;
+  }
+
+  /**
+   * Searches the source and builds candidate snippets
+   * @param {RetrievalContext} context - The retrieval context
+   * @returns {Promise<CandidateSnippet[]>} Candidate snippets from this source
+   */
+  async retrieve(context) {
+    throw new Error(`Candidate source ${this.name} does not implement retrieve`);
+  }
+
+  /**
+   * Merges the snippets produced by retrieve() into the candidate list
+   * Sources override this when new snippets interact with existing ones.
+   * @param {CandidateSnippet[]} candidateSnippets - Candidates collected so far
+   * @param {CandidateSnippet[]} newSnippets - Snippets returned by retrieve()
+   * @param {RetrievalContext} context - The retrieval context
+   * @returns {CandidateSnippet[]} The merged candidate list
+   */
+  mergeCandidates(candidateSnippets, newSnippets, context) {
+    candidateSnippets.push(...newSnippets);
+    return candidateSnippets;
+  }
+}
+
+/**
+ * Converts an FTS rank (lower is better) into a 0-1 score
+ * @param {number} rank - The FTS rank
+ * @returns {number} The score
+ */
+export function calculateScoreFromFtsRank(rank) {
+  // Use a logarithmic scale to differentiate between ranks
+  return Math.max(0, 1 - Math.log(rank + 1) / 10);
+}
+
+/**
+ * Converts keyword match data into a 0-1 score
+ * @param {number} totalWeight - Sum of the weights of the matched keywords
+ * @param {number} matchCount - Number of matched keywords
+ * @returns {number} The score
+ */
+export function calculateScoreFromKeywordMatches(totalWeight, matchCount) {
+  const weightScore = Math.min(totalWeight / 10, 1); // Cap at 1
+  const countScore = Math.min(matchCount / 5, 1); // Cap at 1
+  return (weightScore + countScore) / 2; // Average the two components
+}
+
+/**
+ * Lists the query terms that occur in a text (case-insensitive)
+ * @param {string} text - The text to search
+ * @param {string[]} queryTerms - The query terms
+ * @returns {string[]} The matching terms
+ */
+export function findMatchingTerms(text, queryTerms) {
+  if (!text || !queryTerms) return [];
+
+  const textLower = text.toLowerCase();
+  return queryTerms.filter((term) => textLower.includes(term.toLowerCase()));
+}
+
+/**
+ * Counts how many query terms occur in a text (case-insensitive)
+ * @param {string} text - The text to search
+ * @param {string[]} queryTerms - The query terms
+ * @returns {number} Number of matching terms
+ */
+export function countMatchingTerms(text, queryTerms) {
+  return findMatchingTerms(text, queryTerms).length;
+}
+
+/**
+ * Builds the key identifying the item behind a candidate snippet
+ * Code entities share one key regardless of the source that found them.
+ * @param {CandidateSnippet} snippet - The candidate snippet
+ * @returns {string} The merge key
+ */
+export function getCandidateMergeKey(snippet) {
+  return CODE_ENTITY_SOURCE_TYPES.includes(snippet.sourceType) ||
+    snippet.sourceType === "code_entity_related"
+    ? `entity_${snippet.id}`
+    : `${snippet.sourceType}_${snippet.id}`;
+}
+
+/**
+ * Calculates an exponentially decaying recency score
+ * @param {string|Date} timestamp - When the item was created
+ * @param {number} maxScore - Score for an item created right now
+ * @param {number} decayDays - Decay constant in days
+ * @returns {number} The recency score, or 0 if the timestamp is invalid
+ */
+export function calculateRecencyScore(timestamp, maxScore, decayDays) {
+  const daysAgo = (new Date() - new Date(timestamp)) / (1000 * 60 * 60 * 24);
+  if (isNaN(daysAgo)) return 0;
+  return Math.max(0, maxScore * Math.exp(-daysAgo / decayDays));
+}
+
+/**
+ * Picks the text shown for a code entity or project document
+ * Priority: AI summary → FTS highlight → truncated raw content
+ * @param {Object} record - The code entity or project document record
+ * @param {string|null} ftsHighlight - FTS highlight snippet, if any
+ * @param {string} emptyMessage - Text to use when nothing else is available
+ * @returns {string} The content snippet
+ */
+export function determineContentSnippet(record, ftsHighlight, emptyMessage) {
+  if (
+    record.ai_status === "completed" &&
+    record.summary &&
+    record.summary.trim()
+  ) {
+    return record.summary.trim();
+  }
+
+  if (ftsHighlight && ftsHighlight.trim()) {
+    return ftsHighlight.trim();
+  }
+
+  if (record.raw_content && record.raw_content.trim()) {
+    const rawContent = record.raw_content.trim();
+    if (rawContent.length <= MAX_RAW_CONTENT_SNIPPET_LENGTH) {
+      return rawContent;
+    }
+    return rawContent.substring(0, MAX_RAW_CONTENT_SNIPPET_LENGTH) + "...";
+  }
+
+  return emptyMessage;
+}
+
+/**
+ * Builds the snippet fields of a record reindexed from uncommitted edits
+ * Their reindex time doubles as the snippet timestamp, so ranking gives work in
+ * progress the same recency boost as new messages and commits.
+ * @param {Object} record - The code entity or project document record
+ * @returns {Object} The timestamp and metadata fields, or none for committed content
+ */
+function getUncommittedSnippetFields(record) {
+  if (!record.uncommitted_at) {
+    return {};
+  }
+  return {
+    timestamp: record.uncommitted_at,
+    metadata: { uncommitted: true },
+  };
+}
+
+/**
+ * Builds a candidate snippet from a code entity record
+ * @param {Object} entityRecord - The code_entities row
+ * @param {string} sourceType - The snippet source type
+ * @param {number} initialScore - The source score
+ * @param {string|null} [ftsHighlight] - FTS highlight snippet, if any
+ * @returns {CandidateSnippet} The candidate snippet
+ */
+export function createCodeEntitySnippet(
+  entityRecord,
+  sourceType,
+  initialScore,
+  ftsHighlight = null
+) {
+  return {
+    sourceType,
+    id: entityRecord.entity_id,
+    filePath: entityRecord.file_path,
+    entityName: entityRecord.name || null,
+    entityType: entityRecord.entity_type,
+    language: entityRecord.language,
+    aiStatus: entityRecord.ai_status,
+    contentSnippet: determineContentSnippet(
+      entityRecord,
+      ftsHighlight,
+      "No content available for this code entity."
+    ),
+    initialScore,
+    ...(ftsHighlight ? { ftsHighlight } : {}),
+    ...getUncommittedSnippetFields(entityRecord),
+  };
+}
+
+/**
+ * Builds a candidate snippet from a project document record
+ * @param {Object} documentRecord - The project_documents row
+ * @param {string} sourceType - The snippet source type
+ * @param {number} initialScore - The source score
+ * @param {string|null} [ftsHighlight] - FTS highlight snippet, if any
+ * @returns {CandidateSnippet} The candidate snippet
+ */
+export function createProjectDocumentSnippet(
+  documentRecord,
+  sourceType,
+  initialScore,
+  ftsHighlight = null
+) {
+  return {
+    sourceType,
+    id: documentRecord.document_id,
+    filePath: documentRecord.file_path,
+    entityType: documentRecord.file_type, // Using entityType for consistency
+    aiStatus: documentRecord.ai_status,
+    contentSnippet: determineContentSnippet(
+      documentRecord,
+      ftsHighlight,
+      "No content available for this project document."
+    ),
+    initialScore,
+    ...(ftsHighlight ? { ftsHighlight } : {}),
+    ...getUncommittedSnippetFields(documentRecord),
+  };
+}
+
+export default CandidateSource;
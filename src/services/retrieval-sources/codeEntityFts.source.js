@@ -0,0 +1,82 @@
+/**
+ * CodeEntityFtsSource - Full-text search over code entities
+ *
+ * Searches code_entities_fts with the prepared FTS query and produces
+ * 'code_entity_fts' snippets scored from the FTS rank.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateScoreFromFtsRank,
+  createCodeEntitySnippet,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for code entity FTS matches
+ */
+export class CodeEntityFtsSource extends CandidateSource {
+  /**
+   * Creates a new CodeEntityFtsSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=20] - Maximum number of FTS hits
+   */
+  constructor({ limit = 20 } = {}) {
+    super("code_fts", { sourceTypes: ["code_entity_fts"], limit });
+  }
+
+  /**
+   * Searches code entities by FTS and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Code entity snippets
+   */
+  async retrieve(context) {
+    if (!context.ftsQueryString || context.ftsQueryString.trim() === "") {
+      context.logger.debug(
+        "FTS query string is empty, skipping code entities FTS search",
+        { originalQuery: context.query }
+      );
+      return [];
+    }
+
+    const codeEntityHits = await dbQueries.searchCodeEntitiesFts(
+      context.dbClient,
+      context.projectId,
+      context.ftsQueryString,
+      context.limit
+    );
+
+    context.logger.debug("FTS search completed for code entities", {
+      ftsQueryString: context.ftsQueryString,
+      rawHitsCount: codeEntityHits.length,
+      limit: context.limit,
+    });
+
+    const snippets = [];
+    for (const hit of codeEntityHits) {
+      if (!hit.entity_id) continue;
+
+      const entityRecord = await context.getCodeEntity(hit.entity_id);
+      if (!entityRecord) {
+        context.logger.debug("Skipping FTS hit - entity record not found", {
+          entityId: hit.entity_id,
+          rank: hit.rank,
+        });
+        continue;
+      }
+
+      snippets.push(
+        createCodeEntitySnippet(
+          entityRecord,
+          "code_entity_fts",
+          calculateScoreFromFtsRank(hit.rank),
+          hit.highlight_snippet
+        )
+      );
+    }
+
+    return snippets;
+  }
+}
+
+export default CodeEntityFtsSource;
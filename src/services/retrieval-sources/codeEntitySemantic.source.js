@@ -0,0 +1,144 @@
+/**
+ * CodeEntitySemanticSource - Embedding similarity search over code entities
+ *
+ * Compares the query embedding with the stored code entity embeddings of the
+ * current embedding model and produces 'code_entity_semantic' snippets for
+ * entities that share meaning with the query but not necessarily its terms.
+ * When merged, its ranking is fused with the code FTS ranking using
+ * reciprocal rank fusion so an entity found by both ranks above one found by
+ * either alone.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import { cosineSimilarity, reciprocalRankFusion } from "../../utils/vector.js";
+import {
+  CandidateSource,
+  createCodeEntitySnippet,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for code entities found by embedding similarity
+ */
+export class CodeEntitySemanticSource extends CandidateSource {
+  /**
+   * Creates a new CodeEntitySemanticSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=20] - Maximum number of semantic matches
+   * @param {number} [options.minSimilarity=0.15] - Matches below this cosine similarity are dropped as noise
+   */
+  constructor({ limit = 20, minSimilarity = 0.15 } = {}) {
+    super("code_semantic", { sourceTypes: ["code_entity_semantic"], limit });
+    this.minSimilarity = minSimilarity;
+  }
+
+  /**
+   * Finds code entities whose embeddings are closest to the query
+   * Only vectors produced by the current embedding model are compared.
+   * Similarity is computed in memory, which is fast enough for a single
+   * project index. Snippets are scored by their cosine similarity.
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Snippets ordered by similarity, best first
+   */
+  async retrieve(context) {
+    const { embedder } = context;
+    if (!context.query || !embedder || !embedder.isFunctional) {
+      return [];
+    }
+
+    const storedEmbeddings = await dbQueries.getEmbeddingsByType(
+      context.dbClient,
+      context.projectId,
+      "code_entity",
+      embedder.embeddingModel
+    );
+
+    // Avoid a (possibly remote) embedding call when nothing could match
+    if (storedEmbeddings.length === 0) {
+      return [];
+    }
+
+    const [queryVector] = await embedder.embedTexts([context.query]);
+
+    const matches = storedEmbeddings
+      .map((embedding) => ({
+        entityId: embedding.entity_id,
+        similarity: cosineSimilarity(queryVector, embedding.vector),
+      }))
+      .filter((match) => match.similarity >= this.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, context.limit);
+
+    context.logger.debug("Semantic search completed for code entities", {
+      embeddingModel: embedder.embeddingModel,
+      storedEmbeddings: storedEmbeddings.length,
+      matchesFound: matches.length,
+      limit: context.limit,
+    });
+
+    const snippets = [];
+    for (const match of matches) {
+      const entityRecord = await context.getCodeEntity(match.entityId);
+      if (!entityRecord) {
+        context.logger.debug(
+          "Skipping semantic hit - entity record not found",
+          {
+            entityId: match.entityId,
+            similarity: match.similarity,
+          }
+        );
+        continue;
+      }
+
+      const snippet = createCodeEntitySnippet(
+        entityRecord,
+        "code_entity_semantic",
+        match.similarity
+      );
+      snippet.metadata = { semanticSimilarity: match.similarity };
+      snippets.push(snippet);
+    }
+
+    return snippets;
+  }
+
+  /**
+   * Fuses the semantic ranking with the code FTS ranking
+   * Existing code FTS snippets are rescored with the fused score and semantic
+   * snippets for entities FTS did not find are added. Fused scores are scaled
+   * so the best entity gets 1.0.
+   * @param {import('./candidate.source.js').CandidateSnippet[]} candidateSnippets - Candidates collected so far
+   * @param {import('./candidate.source.js').CandidateSnippet[]} semanticSnippets - Snippets returned by retrieve()
+   * @returns {import('./candidate.source.js').CandidateSnippet[]} The merged candidate list
+   */
+  mergeCandidates(candidateSnippets, semanticSnippets) {
+    if (semanticSnippets.length === 0) {
+      return candidateSnippets;
+    }
+
+    // FTS snippets are still in FTS rank order, best first
+    const ftsSnippets = candidateSnippets.filter(
+      (snippet) => snippet.sourceType === "code_entity_fts"
+    );
+    const fusedScores = reciprocalRankFusion([
+      ftsSnippets.map((snippet) => snippet.id),
+      semanticSnippets.map((snippet) => snippet.id),
+    ]);
+    const maxFusedScore = Math.max(...fusedScores.values());
+
+    for (const snippet of ftsSnippets) {
+      snippet.initialScore = fusedScores.get(snippet.id) / maxFusedScore;
+    }
+
+    const ftsEntityIds = new Set(ftsSnippets.map((snippet) => snippet.id));
+    for (const snippet of semanticSnippets) {
+      if (ftsEntityIds.has(snippet.id)) continue;
+
+      snippet.initialScore = fusedScores.get(snippet.id) / maxFusedScore;
+      candidateSnippets.push(snippet);
+    }
+
+    return candidateSnippets;
+  }
+}
+
+export default CodeEntitySemanticSource;
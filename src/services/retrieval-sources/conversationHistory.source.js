@@ -0,0 +1,99 @@
+/**
+ * ConversationHistorySource - Search over past conversation messages
+ *
+ * Finds messages containing the search terms and produces
+ * 'conversation_message' snippets. Messages from the active conversation and
+ * recent messages score higher.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateRecencyScore,
+  countMatchingTerms,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for conversation history messages
+ */
+export class ConversationHistorySource extends CandidateSource {
+  /**
+   * Creates a new ConversationHistorySource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=10] - Maximum number of messages
+   */
+  constructor({ limit = 10 } = {}) {
+    super("conversation_history", {
+      sourceTypes: ["conversation_message"],
+      limit,
+    });
+  }
+
+  /**
+   * Searches conversation history and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Conversation message snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    const matchedMessages = await dbQueries.searchConversationHistoryByTerms(
+      context.dbClient,
+      context.projectId,
+      context.conversationId,
+      context.searchTerms,
+      context.limit
+    );
+
+    return matchedMessages.map((message) => ({
+      sourceType: "conversation_message",
+      id: message.message_id,
+      contentSnippet: message.content, // Full message content as snippet
+      metadata: {
+        role: message.role,
+        timestamp: message.timestamp, // ISO string
+        conversationId: message.conversation_id,
+      },
+      initialScore: calculateScoreForMessage(
+        message,
+        context.searchTerms,
+        context.conversationId
+      ),
+    }));
+  }
+}
+
+/**
+ * Scores a conversation message between 0 and 1
+ * Current conversation: 0.5, recency (7-day decay): up to 0.3, term matches: up to 0.2
+ * @param {Object} message - The conversation_history row
+ * @param {string[]} queryTerms - The search terms
+ * @param {string} currentConversationId - The active conversation ID
+ * @returns {number} The score
+ */
+export function calculateScoreForMessage(
+  message,
+  queryTerms,
+  currentConversationId
+) {
+  let score = 0;
+
+  // Messages from the current conversation get priority
+  if (message.conversation_id === currentConversationId) {
+    score += 0.5;
+  }
+
+  score += calculateRecencyScore(message.timestamp, 0.3, 7);
+
+  if (queryTerms && queryTerms.length > 0) {
+    const matchCount = countMatchingTerms(message.content, queryTerms);
+    score += Math.min(0.2, (matchCount / queryTerms.length) * 0.2);
+  }
+
+  // Ensure score is between 0 and 1
+  return Math.min(1, Math.max(0, score));
+}
+
+export default ConversationHistorySource;
@@ -0,0 +1,109 @@
+/**
+ * ConversationTopicSource - Search over generated conversation topics
+ *
+ * Finds topics whose summary or keywords contain the search terms and
+ * produces 'conversation_topic' snippets.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import { CandidateSource, countMatchingTerms } from "./candidate.source.js";
+
+/**
+ * Candidate source for conversation topics
+ */
+export class ConversationTopicSource extends CandidateSource {
+  /**
+   * Creates a new ConversationTopicSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=5] - Maximum number of topics
+   */
+  constructor({ limit = 5 } = {}) {
+    super("conversation_topics", {
+      sourceTypes: ["conversation_topic"],
+      limit,
+    });
+  }
+
+  /**
+   * Searches conversation topics and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Conversation topic snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    const matchedTopics = await dbQueries.searchConversationTopicsByTerms(
+      context.dbClient,
+      context.projectId,
+      context.searchTerms,
+      context.limit
+    );
+
+    return matchedTopics.map((topic) => {
+      const keywords = parseTopicKeywords(topic.keywords);
+
+      return {
+        sourceType: "conversation_topic",
+        id: topic.topic_id,
+        contentSnippet: topic.summary, // Topic summary as the snippet
+        metadata: {
+          purposeTag: topic.purpose_tag,
+          keywords: keywords,
+        },
+        initialScore: calculateScoreForTopic(
+          topic.summary,
+          keywords,
+          context.searchTerms
+        ),
+      };
+    });
+  }
+}
+
+/**
+ * Parses the keywords JSON string stored with a topic
+ * @param {string} keywordsJson - The stored keywords
+ * @returns {string[]} The keywords, or an empty array if they cannot be parsed
+ */
+function parseTopicKeywords(keywordsJson) {
+  try {
+    const keywords = JSON.parse(keywordsJson || "[]");
+    return Array.isArray(keywords) ? keywords : [];
+  } catch (parseError) {
+    return [];
+  }
+}
+
+/**
+ * Scores a conversation topic between 0 and 1
+ * Summary term matches: up to 0.6, keywords matching any term: up to 0.4
+ * @param {string} summary - The topic summary
+ * @param {string[]} keywords - The topic keywords
+ * @param {string[]} queryTerms - The search terms
+ * @returns {number} The score
+ */
+export function calculateScoreForTopic(summary, keywords, queryTerms) {
+  if (!queryTerms || queryTerms.length === 0) {
+    return 0;
+  }
+
+  let score = Math.min(
+    0.6,
+    (countMatchingTerms(summary, queryTerms) / queryTerms.length) * 0.6
+  );
+
+  const keywordMatchCount = keywords.filter(
+    (keyword) => countMatchingTerms(keyword, queryTerms) > 0
+  ).length;
+  score += Math.min(
+    0.4,
+    (keywordMatchCount / Math.max(keywords.length, 1)) * 0.4
+  );
+
+  // Ensure score is between 0 and 1
+  return Math.min(1, Math.max(0, score));
+}
+
+export default ConversationTopicSource;
@@ -0,0 +1,85 @@
+/**
+ * DocumentFtsSource - Full-text search over project documents
+ *
+ * Searches project_documents_fts with the prepared FTS query and produces
+ * 'project_document_fts' snippets scored from the FTS rank.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateScoreFromFtsRank,
+  createProjectDocumentSnippet,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for project document FTS matches
+ */
+export class DocumentFtsSource extends CandidateSource {
+  /**
+   * Creates a new DocumentFtsSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=20] - Maximum number of FTS hits
+   */
+  constructor({ limit = 20 } = {}) {
+    super("document_fts", { sourceTypes: ["project_document_fts"], limit });
+  }
+
+  /**
+   * Searches project documents by FTS and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Project document snippets
+   */
+  async retrieve(context) {
+    if (!context.ftsQueryString || context.ftsQueryString.trim() === "") {
+      context.logger.debug(
+        "FTS query string is empty, skipping project documents FTS search",
+        { originalQuery: context.query }
+      );
+      return [];
+    }
+
+    const documentHits = await dbQueries.searchProjectDocumentsFts(
+      context.dbClient,
+      context.projectId,
+      context.ftsQueryString,
+      context.limit
+    );
+
+    context.logger.debug("FTS search completed for project documents", {
+      ftsQueryString: context.ftsQueryString,
+      rawHitsCount: documentHits.length,
+      limit: context.limit,
+    });
+
+    const snippets = [];
+    for (const hit of documentHits) {
+      if (!hit.document_id) continue;
+
+      const documentRecord = await context.getProjectDocument(hit.document_id);
+      if (!documentRecord) {
+        context.logger.debug(
+          "Skipping FTS document hit - document record not found",
+          {
+            documentId: hit.document_id,
+            rank: hit.rank,
+          }
+        );
+        continue;
+      }
+
+      snippets.push(
+        createProjectDocumentSnippet(
+          documentRecord,
+          "project_document_fts",
+          calculateScoreFromFtsRank(hit.rank),
+          hit.highlight_snippet
+        )
+      );
+    }
+
+    return snippets;
+  }
+}
+
+export default DocumentFtsSource;
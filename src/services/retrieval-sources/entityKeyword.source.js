@@ -0,0 +1,115 @@
+/**
+ * EntityKeywordSource - Keyword search over entity_keywords
+ *
+ * Matches the search terms against the keywords extracted for code entities
+ * and project documents. Each match becomes a 'code_entity_keyword' or
+ * 'project_document_keyword' snippet, unless an earlier source already
+ * produced a snippet for the same entity.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  CODE_ENTITY_SOURCE_TYPES,
+  PROJECT_DOCUMENT_SOURCE_TYPES,
+  calculateScoreFromKeywordMatches,
+  createCodeEntitySnippet,
+  createProjectDocumentSnippet,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for keyword matches on code entities and documents
+ */
+export class EntityKeywordSource extends CandidateSource {
+  /**
+   * Creates a new EntityKeywordSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=20] - Maximum number of matched entities
+   */
+  constructor({ limit = 20 } = {}) {
+    super("keywords", {
+      sourceTypes: ["code_entity_keyword", "project_document_keyword"],
+      limit,
+    });
+  }
+
+  /**
+   * Searches entity keywords and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Keyword snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    const keywordMatchedEntities = await dbQueries.searchEntityKeywords(
+      context.dbClient,
+      context.projectId,
+      context.searchTerms,
+      context.limit
+    );
+
+    context.logger.debug("Keyword search completed on entity_keywords", {
+      searchTerms: context.searchTerms,
+      entityIdsFound: keywordMatchedEntities.length,
+      limit: context.limit,
+    });
+
+    // Entities already found by FTS or embeddings keep their earlier snippet
+    const knownEntityIds = new Set(
+      context.candidateSnippets
+        .filter(
+          (snippet) =>
+            CODE_ENTITY_SOURCE_TYPES.includes(snippet.sourceType) ||
+            PROJECT_DOCUMENT_SOURCE_TYPES.includes(snippet.sourceType)
+        )
+        .map((snippet) => snippet.id)
+    );
+
+    const snippets = [];
+    for (const match of keywordMatchedEntities) {
+      if (!match.entity_id || knownEntityIds.has(match.entity_id)) continue;
+
+      const initialScore = calculateScoreFromKeywordMatches(
+        match.total_weight,
+        match.match_count
+      );
+
+      // Keywords are stored for both code entities and documents
+      const entityRecord = await context.getCodeEntity(match.entity_id);
+      if (entityRecord) {
+        snippets.push(
+          createCodeEntitySnippet(
+            entityRecord,
+            "code_entity_keyword",
+            initialScore
+          )
+        );
+        knownEntityIds.add(match.entity_id);
+        continue;
+      }
+
+      const documentRecord = await context.getProjectDocument(match.entity_id);
+      if (documentRecord) {
+        snippets.push(
+          createProjectDocumentSnippet(
+            documentRecord,
+            "project_document_keyword",
+            initialScore
+          )
+        );
+        knownEntityIds.add(match.entity_id);
+        continue;
+      }
+
+      context.logger.debug("Keyword match does not resolve to an entity", {
+        entityId: match.entity_id,
+      });
+    }
+
+    return snippets;
+  }
+}
+
+export default EntityKeywordSource;
@@ -0,0 +1,97 @@
+/**
+ * GitCommitSource - Search over indexed Git commits
+ *
+ * Finds commits whose message or author contain the search terms and
+ * produces 'git_commit' snippets. Recent commits score higher.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateRecencyScore,
+  countMatchingTerms,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for Git commits
+ */
+export class GitCommitSource extends CandidateSource {
+  /**
+   * Creates a new GitCommitSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=10] - Maximum number of commits
+   */
+  constructor({ limit = 10 } = {}) {
+    super("git_commits", { sourceTypes: ["git_commit"], limit });
+  }
+
+  /**
+   * Searches Git commits and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Git commit snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    // Commits are searched for every query; the heuristic is logged for tuning
+    context.logger.debug("Performing Git commit search", {
+      isGitHistoryQuery: context.isGitHistoryQuery,
+      searchTermsCount: context.searchTerms.length,
+      limit: context.limit,
+    });
+
+    const matchedGitCommits = await dbQueries.searchGitCommitsByTerms(
+      context.dbClient,
+      context.projectId,
+      context.searchTerms,
+      context.limit
+    );
+
+    return matchedGitCommits.map((commit) => ({
+      sourceType: "git_commit",
+      id: commit.commit_hash,
+      contentSnippet: commit.message, // Commit message as the snippet
+      metadata: {
+        commitHash: commit.commit_hash,
+        authorName: commit.author_name,
+        commitDate: commit.commit_date, // ISO string or Date object
+      },
+      initialScore: calculateScoreForGitCommit(commit, context.searchTerms),
+    }));
+  }
+}
+
+/**
+ * Scores a Git commit between 0 and 1
+ * Message matches: up to 0.5, author matches: up to 0.2,
+ * recency (30-day decay): up to 0.3
+ * @param {Object} commit - The git_commits row
+ * @param {string[]} queryTerms - The search terms
+ * @returns {number} The score
+ */
+export function calculateScoreForGitCommit(commit, queryTerms) {
+  let score = 0;
+
+  if (queryTerms && queryTerms.length > 0) {
+    score += Math.min(
+      0.5,
+      (countMatchingTerms(commit.message, queryTerms) / queryTerms.length) *
+        0.5
+    );
+    score += Math.min(
+      0.2,
+      (countMatchingTerms(commit.author_name, queryTerms) /
+        queryTerms.length) *
+        0.2
+    );
+  }
+
+  score += calculateRecencyScore(commit.commit_date, 0.3, 30);
+
+  // Ensure score is between 0 and 1
+  return Math.min(1, Math.max(0, score));
+}
+
+export default GitCommitSource;
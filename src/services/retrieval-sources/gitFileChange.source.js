@@ -0,0 +1,255 @@
+/**
+ * GitFileChangeSource - Search over files changed by indexed Git commits
+ *
+ * Searches commit file changes by path (preferring path-like search terms)
+ * and their diff hunks by FTS, and produces 'git_commit_file_change'
+ * snippets describing what happened to the file and in which commit,
+ * followed by the changed lines. Hunks matching the query are shown in
+ * place of the file's first hunks.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateRecencyScore,
+  countMatchingTerms,
+} from "./candidate.source.js";
+
+// Extensions that mark a search term as a file name
+const FILE_EXTENSIONS = [
+  ".js",
+  ".ts",
+  ".jsx",
+  ".tsx",
+  ".py",
+  ".java",
+  ".cpp",
+  ".c",
+  ".h",
+  ".cs",
+  ".php",
+  ".rb",
+  ".go",
+  ".rs",
+  ".swift",
+  ".kt",
+  ".scala",
+  ".html",
+  ".css",
+  ".scss",
+  ".sass",
+  ".json",
+  ".xml",
+  ".yaml",
+  ".yml",
+  ".md",
+  ".txt",
+  ".sql",
+];
+
+// Maximum length of the commit message quoted in a snippet
+const MAX_COMMIT_MESSAGE_LENGTH = 100;
+
+// Maximum length of the diff quoted in a snippet; a longer first hunk is cut
+const MAX_DIFF_LENGTH = 1200;
+
+/**
+ * Candidate source for Git commit file changes
+ */
+export class GitFileChangeSource extends CandidateSource {
+  /**
+   * Creates a new GitFileChangeSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=15] - Maximum number of file changes
+   */
+  constructor({ limit = 15 } = {}) {
+    super("git_file_changes", {
+      sourceTypes: ["git_commit_file_change"],
+      limit,
+    });
+  }
+
+  /**
+   * Searches Git commit file changes and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Git file change snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    // Terms containing "/" or ending with a file extension are likely paths;
+    // if there are none, all search terms are matched against paths
+    const pathLikeTerms = context.searchTerms.filter(
+      (term) =>
+        term.includes("/") ||
+        FILE_EXTENSIONS.some((ext) => term.toLowerCase().endsWith(ext))
+    );
+    const pathSearchTerms =
+      pathLikeTerms.length > 0 ? pathLikeTerms : context.searchTerms;
+
+    context.logger.debug("Performing Git commit file change search", {
+      isGitHistoryQuery: context.isGitHistoryQuery,
+      pathSearchTerms: pathSearchTerms,
+      usingPathLikeTerms: pathLikeTerms.length > 0,
+      limit: context.limit,
+    });
+
+    const matchedCommitFiles = await dbQueries.searchGitCommitFilesByTerms(
+      context.dbClient,
+      context.projectId,
+      pathSearchTerms,
+      context.limit
+    );
+    const matchedHunks =
+      context.ftsQueryString && context.ftsQueryString.trim() !== ""
+        ? await dbQueries.searchGitCommitHunksFts(
+            context.dbClient,
+            context.projectId,
+            context.ftsQueryString,
+            context.limit
+          )
+        : [];
+
+    // One change per commit and file, with the hunks that matched the query
+    const changes = new Map();
+    for (const change of matchedCommitFiles) {
+      changes.set(`${change.commit_hash}_${change.file_path}`, {
+        ...change,
+        hunks: [],
+      });
+    }
+    for (const hunk of matchedHunks) {
+      const id = `${hunk.commit_hash}_${hunk.file_path}`;
+      if (!changes.has(id)) {
+        changes.set(id, {
+          commit_hash: hunk.commit_hash,
+          file_path: hunk.file_path,
+          status: hunk.status || "modified",
+          commit_message: hunk.commit_message,
+          commit_author: hunk.commit_author,
+          commit_date: hunk.commit_date,
+          hunks: [],
+        });
+      }
+      changes.get(id).hunks.push(hunk);
+    }
+
+    const snippets = [];
+    for (const [id, change] of changes) {
+      const hunks =
+        change.hunks.length > 0
+          ? change.hunks
+          : await dbQueries.getGitCommitHunks(
+              context.dbClient,
+              context.projectId,
+              change.commit_hash,
+              change.file_path
+            );
+      const diff = formatDiff(hunks);
+
+      const truncatedMessage =
+        change.commit_message &&
+        change.commit_message.length > MAX_COMMIT_MESSAGE_LENGTH
+          ? change.commit_message.substring(0, MAX_COMMIT_MESSAGE_LENGTH) +
+            "..."
+          : change.commit_message || "No commit message";
+
+      snippets.push({
+        sourceType: "git_commit_file_change",
+        // Composite of commit hash and file path
+        id,
+        contentSnippet:
+          `File '${change.file_path}' was ${change.status}. Commit: ${truncatedMessage}` +
+          (diff ? `\n${diff}` : ""),
+        metadata: {
+          filePath: change.file_path,
+          status: change.status,
+          commitHash: change.commit_hash,
+          commitMessage: change.commit_message,
+          commitAuthor: change.commit_author,
+          commitDate: change.commit_date,
+          hunkCount: hunks.length,
+        },
+        initialScore: calculateScoreForFileChange(
+          { ...change, diff },
+          context.searchTerms
+        ),
+      });
+    }
+
+    return snippets;
+  }
+}
+
+/**
+ * Formats diff hunks as unified diff text of at most MAX_DIFF_LENGTH characters
+ * @param {Array<Object>} hunks - git_commit_hunks rows
+ * @returns {string} The hunk headers and changed lines, empty without hunks
+ */
+function formatDiff(hunks) {
+  let diff = "";
+  for (const hunk of hunks) {
+    const hunkText = `@@ -${hunk.old_start},${hunk.old_lines} +${hunk.new_start},${hunk.new_lines} @@\n${hunk.content}`;
+    if (!diff) {
+      diff =
+        hunkText.length > MAX_DIFF_LENGTH
+          ? hunkText.substring(0, MAX_DIFF_LENGTH) + "..."
+          : hunkText;
+    } else if (diff.length + hunkText.length + 1 <= MAX_DIFF_LENGTH) {
+      diff += `\n${hunkText}`;
+    } else {
+      break;
+    }
+  }
+  return diff;
+}
+
+/**
+ * Scores a Git commit file change between 0 and 1
+ * Path matches: up to 0.6, commit message matches: up to 0.3, changed line
+ * matches: up to 0.3, status bonus: up to 0.05, recency (30-day decay): up to 0.2
+ * @param {Object} change - The git_commit_files row joined with its commit, with an optional diff
+ * @param {string[]} queryTerms - The search terms
+ * @returns {number} The score
+ */
+export function calculateScoreForFileChange(change, queryTerms) {
+  let score = 0;
+
+  if (queryTerms && queryTerms.length > 0) {
+    score += Math.min(
+      0.6,
+      (countMatchingTerms(change.file_path, queryTerms) / queryTerms.length) *
+        0.6
+    );
+    score += Math.min(
+      0.3,
+      (countMatchingTerms(change.commit_message, queryTerms) /
+        queryTerms.length) *
+        0.3
+    );
+    if (change.diff) {
+      score += Math.min(
+        0.3,
+        (countMatchingTerms(change.diff, queryTerms) / queryTerms.length) *
+          0.3
+      );
+    }
+  }
+
+  // Added and modified files are usually more relevant than deleted ones
+  const status = (change.status || "").toLowerCase();
+  if (status === "modified" || status === "added") {
+    score += 0.05;
+  } else if (status === "deleted") {
+    score += 0.02;
+  }
+
+  score += calculateRecencyScore(change.commit_date, 0.2, 30);
+
+  // Ensure score is between 0 and 1
+  return Math.min(1, Math.max(0, score));
+}
+
+export default GitFileChangeSource;
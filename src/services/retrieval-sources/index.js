@@ -0,0 +1,81 @@
+/**
+ * Retrieval Candidate Sources
+ *
+ * Registry of the candidate sources RetrievalService.getRelevantContext runs.
+ * Sources run in DEFAULT_RETRIEVAL_SOURCE_NAMES order unless RETRIEVAL_SOURCES
+ * or retrievalParameters.sources select a different order; individual sources
+ * can be skipped with RETRIEVAL_DISABLED_SOURCES or
+ * retrievalParameters.disabledSources. Custom sources extend CandidateSource
+ * and are added with RetrievalService.registerCandidateSource().
+ */
+
+import {
+  CandidateSource,
+  CODE_ENTITY_SOURCE_TYPES,
+  PROJECT_DOCUMENT_SOURCE_TYPES,
+  findMatchingTerms,
+  getCandidateMergeKey,
+} from "./candidate.source.js";
+import { CodeEntityFtsSource } from "./codeEntityFts.source.js";
+import { CodeEntitySemanticSource } from "./codeEntitySemantic.source.js";
+import { DocumentFtsSource } from "./documentFts.source.js";
+import { EntityKeywordSource } from "./entityKeyword.source.js";
+import { ConversationHistorySource } from "./conversationHistory.source.js";
+import { ConversationTopicSource } from "./conversationTopic.source.js";
+import { MilestoneSource } from "./milestone.source.js";
+import { GitCommitSource } from "./gitCommit.source.js";
+import { GitFileChangeSource } from "./gitFileChange.source.js";
+import { RelationshipExpansionSource } from "./relationshipExpansion.source.js";
+
+export {
+  CandidateSource,
+  CODE_ENTITY_SOURCE_TYPES,
+  PROJECT_DOCUMENT_SOURCE_TYPES,
+  findMatchingTerms,
+  getCandidateMergeKey,
+  CodeEntityFtsSource,
+  CodeEntitySemanticSource,
+  DocumentFtsSource,
+  EntityKeywordSource,
+  ConversationHistorySource,
+  ConversationTopicSource,
+  MilestoneSource,
+  GitCommitSource,
+  GitFileChangeSource,
+  RelationshipExpansionSource,
+};
+
+// Built-in source names in their default order. The semantic source fuses its
+// ranking with code FTS, keywords skip entities found before them and
+// relationship expansion seeds from the code entities found by all of them.
+export const DEFAULT_RETRIEVAL_SOURCE_NAMES = [
+  "code_fts",
+  "code_semantic",
+  "document_fts",
+  "keywords",
+  "conversation_history",
+  "conversation_topics",
+  "milestones",
+  "git_commits",
+  "git_file_changes",
+  "relationship_expansion",
+];
+
+/**
+ * Creates the built-in candidate sources in their default order
+ * @returns {CandidateSource[]} New source instances with default limits
+ */
+export function createDefaultCandidateSources() {
+  return [
+    new CodeEntityFtsSource(),
+    new CodeEntitySemanticSource(),
+    new DocumentFtsSource(),
+    new EntityKeywordSource(),
+    new ConversationHistorySource(),
+    new ConversationTopicSource(),
+    new MilestoneSource(),
+    new GitCommitSource(),
+    new GitFileChangeSource(),
+    new RelationshipExpansionSource(),
+  ];
+}
@@ -0,0 +1,116 @@
+/**
+ * MilestoneSource - Search over recorded milestones
+ *
+ * Finds milestones whose name, description or conversation summary contain
+ * the search terms and produces 'milestone' snippets.
+ */
+
+import * as dbQueries from "../../db/queries.js";
+import {
+  CandidateSource,
+  calculateRecencyScore,
+  countMatchingTerms,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for milestones
+ */
+export class MilestoneSource extends CandidateSource {
+  /**
+   * Creates a new MilestoneSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit=5] - Maximum number of milestones
+   */
+  constructor({ limit = 5 } = {}) {
+    super("milestones", { sourceTypes: ["milestone"], limit });
+  }
+
+  /**
+   * Searches milestones and builds candidate snippets
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Milestone snippets
+   */
+  async retrieve(context) {
+    if (!context.searchTerms || context.searchTerms.length === 0) {
+      return [];
+    }
+
+    const matchedMilestones = await dbQueries.searchMilestonesByTerms(
+      context.dbClient,
+      context.projectId,
+      context.searchTerms,
+      context.limit
+    );
+
+    return matchedMilestones.map((milestone) => {
+      let relatedEntityIds = [];
+      try {
+        relatedEntityIds = JSON.parse(milestone.related_entity_ids || "[]");
+        if (!Array.isArray(relatedEntityIds)) {
+          relatedEntityIds = [];
+        }
+      } catch (parseError) {
+        relatedEntityIds = [];
+      }
+
+      const categoryLabel = milestone.category
+        ? ` [${milestone.category}]`
+        : "";
+      const details =
+        milestone.description || milestone.conversation_summary || "";
+
+      return {
+        sourceType: "milestone",
+        id: milestone.milestone_id,
+        contentSnippet: `Milestone '${milestone.name}'${categoryLabel}: ${details}`,
+        metadata: {
+          name: milestone.name,
+          category: milestone.category,
+          conversationId: milestone.conversation_id,
+          headCommitHash: milestone.head_commit_hash,
+          relatedEntityIds: relatedEntityIds,
+          timestamp: milestone.created_at,
+        },
+        initialScore: calculateScoreForMilestone(
+          milestone,
+          context.searchTerms
+        ),
+      };
+    });
+  }
+}
+
+/**
+ * Scores a milestone between 0 and 1
+ * Name matches: up to 0.5, description/summary matches: up to 0.3,
+ * recency (30-day decay): up to 0.2
+ * @param {Object} milestone - The milestones row
+ * @param {string[]} queryTerms - The search terms
+ * @returns {number} The score
+ */
+export function calculateScoreForMilestone(milestone, queryTerms) {
+  let score = 0;
+
+  if (queryTerms && queryTerms.length > 0) {
+    const details = `${milestone.description || ""} ${
+      milestone.conversation_summary || ""
+    }`;
+
+    score += Math.min(
+      0.5,
+      (countMatchingTerms(milestone.name, queryTerms) / queryTerms.length) *
+        0.5
+    );
+    score += Math.min(
+      0.3,
+      (countMatchingTerms(details, queryTerms) / queryTerms.length) * 0.3
+    );
+  }
+
+  score += calculateRecencyScore(milestone.created_at, 0.2, 30);
+
+  // Ensure score is between 0 and 1
+  return Math.min(1, Math.max(0, score));
+}
+
+export default MilestoneSource;
@@ -0,0 +1,149 @@
+/**
+ * RelationshipExpansionSource - Expands the best code entities along their relationships
+ *
+ * Takes the highest scoring code entity candidates produced by earlier sources
+ * as seeds and asks the RelationshipManager for the entities they call,
+ * extend, implement, etc. The resulting 'code_entity_related' snippets are
+ * merged with the existing candidates so an entity appears only once, keeping
+ * the higher score and any relationship context. Register this source after
+ * the sources whose results it should expand.
+ */
+
+import config from "../../config.js";
+import {
+  CandidateSource,
+  CODE_ENTITY_SOURCE_TYPES,
+  getCandidateMergeKey,
+} from "./candidate.source.js";
+
+/**
+ * Candidate source for entities related to the top code entity candidates
+ */
+export class RelationshipExpansionSource extends CandidateSource {
+  /**
+   * Creates a new RelationshipExpansionSource
+   * @param {Object} [options] - Source options
+   * @param {number} [options.limit] - Maximum number of seed entities, defaults to MAX_SEED_ENTITIES_FOR_EXPANSION
+   */
+  constructor({ limit = config.MAX_SEED_ENTITIES_FOR_EXPANSION } = {}) {
+    super("relationship_expansion", {
+      sourceTypes: ["code_entity_related"],
+      limit,
+    });
+  }
+
+  /**
+   * Fetches entities related to the seed entities
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {Promise<import('./candidate.source.js').CandidateSnippet[]>} Related code entity snippets
+   */
+  async retrieve(context) {
+    if (!context.relationshipManager) {
+      context.logger.debug(
+        "Skipping relationship expansion, RelationshipManager not available"
+      );
+      return [];
+    }
+
+    const seedSnippets = context.candidateSnippets
+      .filter((snippet) =>
+        CODE_ENTITY_SOURCE_TYPES.includes(snippet.sourceType)
+      )
+      .sort((a, b) => (b.initialScore || 0) - (a.initialScore || 0))
+      .slice(0, context.limit);
+
+    context.logger.debug("Selected seed entities for relationship expansion", {
+      conversationId: context.conversationId,
+      maxSeedEntities: context.limit,
+      seedEntityIds: seedSnippets.map((snippet) => snippet.id),
+    });
+
+    const relatedSnippets = [];
+    for (const seedSnippet of seedSnippets) {
+      try {
+        const snippets = await context.relationshipManager.getRelatedEntities(
+          seedSnippet.id,
+          [], // Use the configured default relationship types
+          1,
+          context.searchTerms,
+          seedSnippet.initialScore || 0
+        );
+        relatedSnippets.push(...snippets);
+      } catch (error) {
+        context.logger.error(
+          "Error processing seed entity for relationship expansion",
+          {
+            error: error.message,
+            stack: error.stack,
+            seedEntityId: seedSnippet.id,
+            seedEntityName: seedSnippet.entityName,
+            conversationId: context.conversationId,
+          }
+        );
+        // Continue with the next seed entity
+      }
+    }
+
+    return relatedSnippets;
+  }
+
+  /**
+   * Merges related snippets into the candidates, de-duplicating code entities
+   * When an entity is already a candidate, the higher-scoring snippet wins and
+   * the relationship context is kept on whichever snippet survives.
+   * @param {import('./candidate.source.js').CandidateSnippet[]} candidateSnippets - Candidates collected so far
+   * @param {import('./candidate.source.js').CandidateSnippet[]} relatedSnippets - Snippets returned by retrieve()
+   * @param {import('./candidate.source.js').RetrievalContext} context - The retrieval context
+   * @returns {import('./candidate.source.js').CandidateSnippet[]} The merged candidate list
+   */
+  mergeCandidates(candidateSnippets, relatedSnippets, context) {
+    if (relatedSnippets.length === 0) {
+      return candidateSnippets;
+    }
+
+    const candidateSnippetsMap = new Map();
+    for (const snippet of candidateSnippets) {
+      candidateSnippetsMap.set(getCandidateMergeKey(snippet), snippet);
+    }
+
+    let mergedCount = 0;
+    let duplicatesHandled = 0;
+
+    for (const relatedSnippet of relatedSnippets) {
+      const mapKey = getCandidateMergeKey(relatedSnippet);
+      const existingSnippet = candidateSnippetsMap.get(mapKey);
+
+      if (!existingSnippet) {
+        candidateSnippetsMap.set(mapKey, relatedSnippet);
+        mergedCount++;
+        continue;
+      }
+
+      duplicatesHandled++;
+      const existingScore = existingSnippet.initialScore || 0;
+      if ((relatedSnippet.initialScore || 0) > existingScore) {
+        // Keep the first relationship context found for the entity
+        if (existingSnippet.relationshipContext) {
+          relatedSnippet.relationshipContext =
+            existingSnippet.relationshipContext;
+        }
+        candidateSnippetsMap.set(mapKey, relatedSnippet);
+      } else if (!existingSnippet.relationshipContext) {
+        existingSnippet.relationshipContext =
+          relatedSnippet.relationshipContext;
+      }
+    }
+
+    context.logger.info("Relationship-derived snippets merged successfully", {
+      conversationId: context.conversationId,
+      relationshipSnippetsProcessed: relatedSnippets.length,
+      newSnippetsMerged: mergedCount,
+      duplicatesHandled: duplicatesHandled,
+      finalCandidateSnippetsCount: candidateSnippetsMap.size,
+    });
+
+    return Array.from(candidateSnippetsMap.values());
+  }
+}
+
+export default RelationshipExpansionSource;
@@ -9,6 +9,37 @@
 import * as dbQueries from "../db/queries.js";
 import { KEY_ARCHITECTURE_DOCUMENT_PATHS } from "../config.js";
 import CompressionService from "./compression.service.js";
+import { createEmbedder } from "./ai-providers/index.js";
+import {
+  createDefaultCandidateSources,
+  findMatchingTerms,
+  getCandidateMergeKey,
+} from "./retrieval-sources/index.js";
+import { globToRegExp, matchesAnyGlob } from "../utils/glob.js";
+import LruCache from "../utils/lruCache.js";
+
+// Ranked candidate lists cached when RETRIEVAL_CACHE_SIZE is not configured
+const DEFAULT_RETRIEVAL_CACHE_SIZE = 100;
+
+/**
+ * Serializes a value to JSON with object keys in sorted order, so equal
+ * retrieval parameters produce the same cache key
+ * @param {*} value - The value to serialize
+ * @returns {string} The canonical JSON
+ */
+function toCanonicalJson(value) {
+  return JSON.stringify(value, (key, nestedValue) =>
+    nestedValue &&
+    typeof nestedValue === "object" &&
+    !Array.isArray(nestedValue)
+      ? Object.fromEntries(
+          Object.keys(nestedValue)
+            .sort()
+            .map((nestedKey) => [nestedKey, nestedValue[nestedKey]])
+        )
+      : nestedValue
+  );
+}
 
 /**
  * RetrievalService class for handling context retrieval operations
@@ -18,31 +49,46 @@ class RetrievalService {
    * Constructor for RetrievalService
    * @param {Object} dependencies - Service dependencies
    * @param {Object} dependencies.dbClient - Database client instance
+   * @param {string} [dependencies.projectId] - Project searched when a method is not given one
    * @param {Object} dependencies.logger - Logger instance
    * @param {Object} dependencies.configService - Configuration service instance
    * @param {Object} dependencies.compressionService - Compression service instance
    * @param {Object} dependencies.relationshipManager - Relationship manager instance
+   * @param {Object} [dependencies.embedder] - Embedder for query vectors; defaults to the one selected by EMBEDDING_PROVIDER
+   * @param {Array<Object>} [dependencies.candidateSources] - Candidate sources to run, in order; defaults to the built-in sources
    */
   constructor({
     dbClient,
+    projectId,
     logger,
     configService,
     compressionService,
     relationshipManager,
+    embedder,
+    candidateSources,
   }) {
     this.dbClient = dbClient;
+    this.projectId = projectId || null;
     this.logger = logger;
     this.configService = configService;
     this.compressionService = compressionService;
     this.relationshipManager = relationshipManager;
+    this.embedder = embedder || createEmbedder(configService || {});
+    this.candidateSources = candidateSources || createDefaultCandidateSources();
+    this.retrievalCache = new LruCache(
+      configService?.RETRIEVAL_CACHE_SIZE ?? DEFAULT_RETRIEVAL_CACHE_SIZE
+    );
 
     // Log successful initialization
     this.logger.info("RetrievalService initialized successfully", {
       hasDbClient: !!this.dbClient,
+      projectId: this.projectId,
       hasLogger: !!this.logger,
       hasConfigService: !!this.configService,
       hasCompressionService: !!this.compressionService,
       hasRelationshipManager: !!this.relationshipManager,
+      candidateSources: this.candidateSources.map((source) => source.name),
+      retrievalCacheSize: this.retrievalCache.maxEntries,
     });
   }
 
@@ -53,9 +99,10 @@ class RetrievalService {
   /**
    * Retrieves and assembles the project structure summary
    * Calls all relevant DB query functions and transforms results into structured format
+   * @param {string} [projectId] - Project to summarize, defaults to the service's project
    * @returns {Promise<Object>} Project structure object with counts and summary
    */
-  async getProjectStructureSummary() {
+  async getProjectStructureSummary(projectId = this.projectId) {
     try {
       this.logger.debug("Starting project structure summary retrieval");
 
@@ -68,12 +115,12 @@ class RetrievalService {
         docAiStatusCounts,
         relTypeCounts,
       ] = await Promise.all([
-        dbQueries.getCodeEntityCountsByLanguage(this.dbClient),
-        dbQueries.getCodeEntityCountsByType(this.dbClient),
-        dbQueries.getCodeEntityCountsByAiStatus(this.dbClient),
-        dbQueries.getProjectDocumentCountsByType(this.dbClient),
-        dbQueries.getProjectDocumentCountsByAiStatus(this.dbClient),
-        dbQueries.getCodeRelationshipCountsByType(this.dbClient),
+        dbQueries.getCodeEntityCountsByLanguage(this.dbClient, projectId),
+        dbQueries.getCodeEntityCountsByType(this.dbClient, projectId),
+        dbQueries.getCodeEntityCountsByAiStatus(this.dbClient, projectId),
+        dbQueries.getProjectDocumentCountsByType(this.dbClient, projectId),
+        dbQueries.getProjectDocumentCountsByAiStatus(this.dbClient, projectId),
+        dbQueries.getCodeRelationshipCountsByType(this.dbClient, projectId),
       ]);
 
       this.logger.debug("Retrieved all project structure counts", {
@@ -175,9 +222,13 @@ class RetrievalService {
   /**
    * Retrieves and formats recent conversation topics for context
    * @param {string|null} initialQueryString - Optional initial query for filtering/prioritization
+   * @param {string} [projectId] - Project the topics belong to, defaults to the service's project
    * @returns {Promise<Object>} Object with topics array
    */
-  async getRecentConversationTopicsSummary(initialQueryString = null) {
+  async getRecentConversationTopicsSummary(
+    initialQueryString = null,
+    projectId = this.projectId
+  ) {
     try {
       this.logger.debug("Retrieving recent conversation topics summary", {
         hasInitialQuery: !!initialQueryString,
@@ -203,6 +254,7 @@ class RetrievalService {
       // Call the database query function
       const recentTopicsFromDb = await dbQueries.getRecentConversationTopics(
         this.dbClient,
+        projectId,
         fetchLimit,
         initialQueryTerms
       );
@@ -312,6 +364,95 @@ class RetrievalService {
     }
   }
 
+  /**
+   * Builds a heuristic snapshot of a single conversation from its logged history
+   * Used when recording milestones and finalizing conversations, where no AI round-trip is wanted
+   * @param {string} conversationId - The conversation session ID
+   * @param {string} [projectId] - ID of the project the conversation belongs to (defaults to the service's project)
+   * @returns {Promise<Object>} Object with summary text, message counts, time range and related entity IDs
+   */
+  async getConversationSnapshotSummary(
+    conversationId,
+    projectId = this.projectId
+  ) {
+    // Number of most recent user messages quoted in the summary
+    const RECENT_USER_MESSAGES_IN_SUMMARY = 3;
+    // Maximum characters quoted per user message
+    const MAX_QUOTED_MESSAGE_LENGTH = 120;
+
+    const history = await dbQueries.getFullConversationHistory(
+      this.dbClient,
+      conversationId
+    );
+
+    // Collect the union of all entity IDs recorded against the conversation's messages
+    const relatedEntityIds = new Set();
+    for (const message of history) {
+      if (!message.related_entity_ids) {
+        continue;
+      }
+      try {
+        const ids = JSON.parse(message.related_entity_ids);
+        if (Array.isArray(ids)) {
+          ids.forEach((id) => relatedEntityIds.add(id));
+        }
+      } catch (parseError) {
+        this.logger.debug("Error parsing related_entity_ids for message", {
+          messageId: message.message_id,
+          error: parseError.message,
+        });
+      }
+    }
+
+    // Plus the entities of code changes reported without messages
+    const changedEntityIds = await dbQueries.getConversationChangedEntityIds(
+      this.dbClient,
+      projectId,
+      conversationId
+    );
+    changedEntityIds.forEach((id) => relatedEntityIds.add(id));
+
+    const userMessages = history.filter((message) => message.role === "user");
+    const assistantMessages = history.filter(
+      (message) => message.role === "assistant"
+    );
+
+    let summary = "No messages have been logged for this conversation.";
+    if (history.length > 0) {
+      const firstMessageAt = history[0].timestamp;
+      const lastMessageAt = history[history.length - 1].timestamp;
+      summary = `Conversation of ${history.length} messages (${userMessages.length} user, ${assistantMessages.length} assistant) between ${firstMessageAt} and ${lastMessageAt}.`;
+
+      const recentRequests = userMessages
+        .slice(-RECENT_USER_MESSAGES_IN_SUMMARY)
+        .map((message) =>
+          message.content.length > MAX_QUOTED_MESSAGE_LENGTH
+            ? `"${message.content.substring(0, MAX_QUOTED_MESSAGE_LENGTH)}..."`
+            : `"${message.content}"`
+        );
+      if (recentRequests.length > 0) {
+        summary += ` Recent user requests: ${recentRequests.join("; ")}.`;
+      }
+    }
+
+    this.logger.debug("Conversation snapshot summary built", {
+      conversationId,
+      messageCount: history.length,
+      relatedEntityIdsCount: relatedEntityIds.size,
+    });
+
+    return {
+      summary,
+      messageCount: history.length,
+      userMessageCount: userMessages.length,
+      assistantMessageCount: assistantMessages.length,
+      firstMessageAt: history.length > 0 ? history[0].timestamp : null,
+      lastMessageAt:
+        history.length > 0 ? history[history.length - 1].timestamp : null,
+      relatedEntityIds: [...relatedEntityIds],
+    };
+  }
+
   /**
    * Helper method to transform array of count objects to map format
    * @param {Array} countsArray - Array of objects with key and count properties
@@ -382,9 +523,10 @@ class RetrievalService {
   /**
    * Retrieves and formats key architecture documents for context
    * Fetches documents defined in KEY_ARCHITECTURE_DOCUMENT_PATHS, prioritizing AI summaries
+   * @param {string} [projectId] - Project the documents belong to, defaults to the service's project
    * @returns {Promise<Object>} Object with keyDocuments array and optional overallProjectGoalHint
    */
-  async getArchitectureContextSummary() {
+  async getArchitectureContextSummary(projectId = this.projectId) {
     try {
       this.logger.debug("Retrieving architecture context summary", {
         documentPathsCount: KEY_ARCHITECTURE_DOCUMENT_PATHS.length,
@@ -403,6 +545,7 @@ class RetrievalService {
           // Fetch the document from the database
           const doc = await dbQueries.getProjectDocumentByFilePath(
             this.dbClient,
+            projectId,
             docPath
           );
 
@@ -680,9 +823,14 @@ class RetrievalService {
    * Orchestrates full-text search across code entities and project documents
    * @param {string} initialQueryString - The user's initial query text
    * @param {number} limit - Maximum number of snippets to return (default: 3)
+   * @param {string} [projectId] - Project to search, defaults to the service's project
    * @returns {Promise<Array>} Array of formatted snippet objects
    */
-  async getFtsSnippetsForInitialQuery(initialQueryString, limit = 3) {
+  async getFtsSnippetsForInitialQuery(
+    initialQueryString,
+    limit = 3,
+    projectId = this.projectId
+  ) {
     try {
       this.logger.debug("Starting FTS snippets retrieval for initial query", {
         initialQueryString,
@@ -738,11 +886,13 @@ class RetrievalService {
         const [codeEntityResults, documentResults] = await Promise.allSettled([
           dbQueries.searchCodeEntitiesFts(
             this.dbClient,
+            projectId,
             ftsQueryString,
             ftsLimit
           ),
           dbQueries.searchProjectDocumentsFts(
             this.dbClient,
+            projectId,
             ftsQueryString,
             ftsLimit
           ),
@@ -1201,35 +1351,199 @@ class RetrievalService {
 
   /**
    * Retrieves relevant context snippets based on a query within a conversation session
-   * This is a stub implementation for Story 4.1 - will be expanded in subsequent stories
+   * Candidates are collected by the registered candidate sources (see
+   * retrieval-sources/), then ranked and compressed to fit the token budget.
+   * Ranked candidates are cached per query, parameters and index version, so
+   * repeating a query, e.g. with another token budget, only re-runs compression.
    * @param {string} query - The agent's query for context
    * @param {string} conversationId - The active conversation session ID
    * @param {number} tokenBudget - Maximum desired token count for returned snippets
-   * @param {Object} retrievalParameters - Additional retrieval parameters
-   * @returns {Promise<Object>} Object with contextSnippets and retrievalSummary
+   * @param {Object} [retrievalParameters] - Additional retrieval parameters
+   * @param {string[]} [retrievalParameters.sources] - Names of the candidate sources to run, in order
+   * @param {string[]} [retrievalParameters.disabledSources] - Names of candidate sources to skip
+   * @param {Object<string, number>} [retrievalParameters.sourceLimits] - Maximum hits per source name
+   * @param {string[]} [retrievalParameters.includeSourceTypes] - Only keep snippets of these source types (e.g. 'code_entity_fts')
+   * @param {string[]} [retrievalParameters.excludeSourceTypes] - Drop snippets of these source types
+   * @param {string[]} [retrievalParameters.filterByFilePaths] - Glob patterns; snippets with a file path must match one of them
+   * @param {string[]} [retrievalParameters.languages] - Snippets with a language must have one of these languages
+   * @param {string[]} [retrievalParameters.entityTypes] - Snippets with an entity type must have one of these types
+   * @param {number} [retrievalParameters.maxSnippetsPerSource] - Maximum ranked snippets kept per source type
+   * @param {number} [retrievalParameters.minScore] - Drop snippets whose consolidated score is below this value
+   * @param {boolean} [retrievalParameters.explain] - Attach a score breakdown to each snippet and a pipeline trace to the summary
+   * @param {string} [projectId] - Project to search, defaults to the service's project
+   * @returns {Promise<Object>} Object with contextSnippets and retrievalSummary; retrievalSummary.cacheHit tells whether cached candidates were used
    */
   async getRelevantContext(
     query,
     conversationId,
     tokenBudget,
-    retrievalParameters
+    retrievalParameters,
+    projectId = this.projectId
   ) {
-    // Constants for result limits
-    const MAX_FTS_CANDIDATES_PER_SOURCE = 20;
-    const MAX_KEYWORD_CANDIDATES = 20;
-    const MAX_CONVO_HISTORY_CANDIDATES = 10; // New constant for conversation history limit
-    const MAX_CONVO_TOPIC_CANDIDATES = 5; // New constant for conversation topics limit
-    const MAX_GIT_COMMIT_CANDIDATES = 10; // New constant for Git commit search limit
-    const MAX_GIT_FILE_CHANGE_CANDIDATES = 15; // New constant for Git file change search limit
-
     this.logger.debug("getRelevantContext invoked", {
       query: query,
       conversationId: conversationId,
+      projectId: projectId,
       tokenBudget: tokenBudget,
       hasRetrievalParameters: !!retrievalParameters,
       retrievalParameters: retrievalParameters,
     });
 
+    try {
+      const cacheKey = await this._getRetrievalCacheKey(
+        query,
+        conversationId,
+        retrievalParameters || {},
+        projectId
+      );
+      let rankedResult = cacheKey
+        ? this.retrievalCache.get(cacheKey)
+        : undefined;
+      const cacheHit = rankedResult !== undefined;
+
+      if (cacheHit) {
+        this.logger.info("Retrieval: Reusing cached ranked candidates.", {
+          conversationId: conversationId,
+          stage: "cache_hit",
+          cachedCandidates: rankedResult.rankedSnippets.length,
+        });
+      } else {
+        rankedResult = await this._retrieveRankedSnippets(
+          query,
+          conversationId,
+          retrievalParameters,
+          projectId
+        );
+        if (cacheKey) {
+          this.retrievalCache.set(cacheKey, rankedResult);
+        }
+      }
+
+      // Compression truncates snippets, so it works on a copy of the cached result
+      const {
+        rankedSnippets: candidateSnippets,
+        pipelineTrace,
+        candidatesFoundBySource,
+      } = structuredClone(rankedResult);
+      const explain = retrievalParameters?.explain === true;
+
+      // Task 222: Apply compression to ranked candidate snippets using CompressionService
+      this.logger.info("Starting context compression process", {
+        conversationId: conversationId,
+        rankedCandidateSnippets: candidateSnippets.length,
+        tokenBudget: tokenBudget,
+      });
+
+      let compressionResult;
+      try {
+        // Call CompressionService with the ranked snippets and token budget
+        compressionResult = this.compressionService.compressSnippets(
+          candidateSnippets,
+          tokenBudget
+        );
+
+        this.logger.info("Context compression completed successfully", {
+          conversationId: conversationId,
+          snippetsFoundBeforeCompression:
+            compressionResult.summaryStats.snippetsFoundBeforeCompression,
+          snippetsReturnedAfterCompression:
+            compressionResult.summaryStats.snippetsReturnedAfterCompression,
+          estimatedTokensIn: compressionResult.summaryStats.estimatedTokensIn,
+          estimatedTokensOut: compressionResult.summaryStats.estimatedTokensOut,
+          tokenBudgetGiven: compressionResult.summaryStats.tokenBudgetGiven,
+          tokenBudgetRemaining:
+            compressionResult.summaryStats.tokenBudgetRemaining,
+        });
+
+        // Task 241: INFO level logging for compression stage completion
+        this.logger.info(`Retrieval: Compression complete.`, {
+          conversationId: conversationId,
+          stage: "compression_complete",
+          snippetsBeforeCompression:
+            compressionResult.summaryStats.snippetsFoundBeforeCompression,
+          snippetsAfterCompression:
+            compressionResult.summaryStats.snippetsReturnedAfterCompression,
+          tokenBudgetUsed:
+            compressionResult.summaryStats.tokenBudgetGiven -
+            compressionResult.summaryStats.tokenBudgetRemaining,
+        });
+      } catch (compressionError) {
+        this.logger.error("Error during context compression", {
+          error: compressionError.message,
+          stack: compressionError.stack,
+          conversationId: conversationId,
+          candidateSnippetsCount: candidateSnippets.length,
+          tokenBudget: tokenBudget,
+        });
+
+        // Create fallback result if compression fails
+        compressionResult = {
+          finalSnippets: [],
+          summaryStats: {
+            snippetsFoundBeforeCompression: candidateSnippets.length,
+            snippetsReturnedAfterCompression: 0,
+            estimatedTokensIn: 0,
+            estimatedTokensOut: 0,
+            tokenBudgetGiven: tokenBudget,
+            tokenBudgetRemaining: tokenBudget,
+            error: compressionError.message,
+          },
+        };
+      }
+
+      this.logger.info("getRelevantContext processing completed", {
+        conversationId: conversationId,
+        candidateSourcesRun: Object.keys(candidatesFoundBySource),
+        candidatesFoundBySource: candidatesFoundBySource,
+        totalCandidateSnippets: candidateSnippets.length,
+        finalContextSnippets: compressionResult.finalSnippets.length,
+      });
+
+      return {
+        contextSnippets: compressionResult.finalSnippets,
+        retrievalSummary: explain
+          ? {
+              ...compressionResult.summaryStats,
+              cacheHit: cacheHit,
+              pipelineTrace: {
+                ...pipelineTrace,
+                snippetsReturned: compressionResult.finalSnippets.length,
+              },
+            }
+          : { ...compressionResult.summaryStats, cacheHit: cacheHit },
+        // processedOk is handled by the handler based on whether this throws
+      };
+    } catch (error) {
+      this.logger.error("Error in getRelevantContext", {
+        error: error.message,
+        stack: error.stack,
+        query: query,
+        conversationId: conversationId,
+      });
+
+      // Re-throw the error to let the handler deal with it
+      throw error;
+    }
+  }
+
+  /**
+   * Private helper method to collect and rank the candidate snippets of a query
+   * Runs the candidate source pipeline, scores and sorts the candidates and
+   * applies the score limits. The result does not depend on the token budget,
+   * so getRelevantContext caches it and only re-runs compression.
+   * @param {string} query - The agent's query for context
+   * @param {string} conversationId - The active conversation session ID
+   * @param {Object} [retrievalParameters] - Retrieval parameters, see getRelevantContext
+   * @param {string} projectId - Project to search
+   * @returns {Promise<Object>} { rankedSnippets, pipelineTrace, candidatesFoundBySource }; pipelineTrace is null unless explain is set
+   * @private
+   */
+  async _retrieveRankedSnippets(
+    query,
+    conversationId,
+    retrievalParameters,
+    projectId
+  ) {
     try {
       // Step 1: Get processed search terms using the helper method from Task 182
       const searchTerms = this._getSearchTerms(query);
@@ -1250,2133 +1564,184 @@ class RetrievalService {
         ftsQueryString: ftsQueryString,
       });
 
-      // Step 3: Perform FTS search on code_entities_fts
-      let codeEntityHits = [];
-
-      if (ftsQueryString && ftsQueryString.trim() !== "") {
-        try {
-          codeEntityHits = await dbQueries.searchCodeEntitiesFts(
-            this.dbClient,
-            ftsQueryString,
-            MAX_FTS_CANDIDATES_PER_SOURCE
-          );
-
-          this.logger.debug("FTS search completed for code entities", {
-            ftsQueryString: ftsQueryString,
-            rawHitsCount: codeEntityHits.length,
-            limit: MAX_FTS_CANDIDATES_PER_SOURCE,
-          });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: FTS search complete, ${codeEntityHits.length} code entity candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "fts_code_entities",
-              candidatesFound: codeEntityHits.length,
-            }
-          );
-        } catch (ftsError) {
-          this.logger.error("Error during FTS search on code_entities_fts", {
-            error: ftsError.message,
-            stack: ftsError.stack,
-            ftsQueryString: ftsQueryString,
-          });
+      // Step 3: Run the candidate source pipeline
+      // Each source sees the candidates of the sources before it, so the order matters
+      const retrievalContext = this._createRetrievalContext({
+        query,
+        conversationId,
+        projectId,
+        retrievalParameters: retrievalParameters || {},
+        searchTerms,
+        ftsQueryString,
+      });
+      const candidateSources = this._selectCandidateSources(
+        retrievalParameters || {}
+      );
+      const snippetFilter = this._createSnippetFilter(
+        retrievalParameters || {},
+        retrievalParameters?.filterByFilePaths?.length > 0
+          ? await this._getProjectRootPath(projectId)
+          : null
+      );
 
-          // Initialize to empty array on error
-          codeEntityHits = [];
-        }
-      } else {
-        this.logger.debug(
-          "FTS query string is empty, skipping code entities FTS search",
-          {
-            originalQuery: query,
+      // Explain mode records which sources found each item and how it was scored
+      const explain = retrievalParameters?.explain === true;
+      const snippetProducers = new Map();
+      const pipelineTrace = explain
+        ? {
             searchTerms: searchTerms,
+            ftsQueryString: ftsQueryString,
+            isGitHistoryQuery: retrievalContext.isGitHistoryQuery,
+            sources: [],
           }
-        );
-        codeEntityHits = [];
-      }
-
-      // Step 4: Perform FTS search on project_documents_fts
-      let documentHits = [];
+        : null;
 
-      if (ftsQueryString && ftsQueryString.trim() !== "") {
-        try {
-          documentHits = await dbQueries.searchProjectDocumentsFts(
-            this.dbClient,
-            ftsQueryString,
-            MAX_FTS_CANDIDATES_PER_SOURCE
-          );
+      /** @type {import('./retrieval-sources/candidate.source.js').CandidateSnippet[]} */
+      let candidateSnippets = [];
+      const candidatesFoundBySource = {};
 
-          this.logger.debug("FTS search completed for project documents", {
-            ftsQueryString: ftsQueryString,
-            rawHitsCount: documentHits.length,
-            limit: MAX_FTS_CANDIDATES_PER_SOURCE,
+      for (const source of candidateSources) {
+        if (!this._isSourceAllowedByFilter(source, snippetFilter)) {
+          this.logger.debug("Skipping candidate source excluded by filters", {
+            conversationId: conversationId,
+            source: source.name,
+            sourceTypes: source.sourceTypes,
           });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: Document FTS search complete, ${documentHits.length} document candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "fts_documents",
-              candidatesFound: documentHits.length,
-            }
-          );
-        } catch (ftsError) {
-          this.logger.error(
-            "Error during FTS search on project_documents_fts",
-            {
-              error: ftsError.message,
-              stack: ftsError.stack,
-              ftsQueryString: ftsQueryString,
-            }
-          );
-
-          // Initialize to empty array on error
-          documentHits = [];
+          pipelineTrace?.sources.push({
+            source: source.name,
+            status: "skipped",
+            reason: "All source types excluded by filters",
+          });
+          continue;
         }
-      } else {
-        this.logger.debug(
-          "FTS query string is empty, skipping project documents FTS search",
-          {
-            originalQuery: query,
-            searchTerms: searchTerms,
-          }
-        );
-        documentHits = [];
-      }
 
-      // Step 5: Perform keyword search on entity_keywords table
-      let keywordMatchedEntities = [];
+        const sourceContext = {
+          ...retrievalContext,
+          limit: this._getCandidateSourceLimit(source, retrievalParameters),
+          candidateSnippets: candidateSnippets,
+        };
 
-      if (searchTerms && searchTerms.length > 0) {
+        const sourceStartTime = Date.now();
         try {
-          keywordMatchedEntities = await dbQueries.searchEntityKeywords(
-            this.dbClient,
-            searchTerms,
-            MAX_KEYWORD_CANDIDATES
+          // Filter before merging so later sources never see excluded candidates
+          const retrievedSnippets = await source.retrieve(sourceContext);
+          const sourceSnippets = this._filterCandidateSnippets(
+            retrievedSnippets,
+            snippetFilter
           );
-
-          this.logger.debug("Keyword search completed on entity_keywords", {
-            searchTerms: searchTerms,
-            entityIdsFound: keywordMatchedEntities.length,
-            limit: MAX_KEYWORD_CANDIDATES,
+          if (explain) {
+            this._recordSnippetProducers(
+              snippetProducers,
+              source.name,
+              sourceSnippets
+            );
+          }
+          candidateSnippets = source.mergeCandidates(
+            candidateSnippets,
+            sourceSnippets,
+            sourceContext
+          );
+          candidatesFoundBySource[source.name] = sourceSnippets.length;
+          pipelineTrace?.sources.push({
+            source: source.name,
+            status: "completed",
+            limit: sourceContext.limit,
+            candidatesFound: retrievedSnippets.length,
+            candidatesAfterFilters: sourceSnippets.length,
+            totalCandidatesAfterMerge: candidateSnippets.length,
+            durationMs: Date.now() - sourceStartTime,
           });
 
           // Task 241: INFO level logging for stage completion
           this.logger.info(
-            `Retrieval: Keyword search complete, ${keywordMatchedEntities.length} candidates.`,
+            `Retrieval: ${source.name} source complete, ${sourceSnippets.length} candidates.`,
             {
               conversationId: conversationId,
-              stage: "keyword_search",
-              candidatesFound: keywordMatchedEntities.length,
+              stage: source.name,
+              candidatesFound: sourceSnippets.length,
+              limit: sourceContext.limit,
             }
           );
-        } catch (keywordError) {
-          this.logger.error("Error during keyword search on entity_keywords", {
-            error: keywordError.message,
-            stack: keywordError.stack,
-            searchTerms: searchTerms,
+        } catch (sourceError) {
+          this.logger.error("Error in retrieval candidate source", {
+            error: sourceError.message,
+            stack: sourceError.stack,
+            source: source.name,
+            conversationId: conversationId,
+          });
+          // Continue with the candidates of the other sources
+          candidatesFoundBySource[source.name] = 0;
+          pipelineTrace?.sources.push({
+            source: source.name,
+            status: "failed",
+            error: sourceError.message,
+            durationMs: Date.now() - sourceStartTime,
           });
+        }
+      }
 
-          // Initialize to empty array on error
-          keywordMatchedEntities = [];
+      for (const snippet of candidateSnippets) {
+        if (explain) {
+          snippet.explanation = this._createSnippetExplanation(
+            snippet,
+            snippetProducers,
+            searchTerms
+          );
         }
-      } else {
-        this.logger.debug(
-          "No search terms available, skipping keyword search",
-          {
-            originalQuery: query,
-            searchTerms: searchTerms,
-          }
-        );
-        keywordMatchedEntities = [];
+        // Highlights are only returned inside explanations
+        delete snippet.ftsHighlight;
       }
 
-      // Step 6: Fetch full records for code entities from FTS and keyword search hits
-      const retrievedCodeEntities = {};
+      // Task 241: INFO level logging for all sources merged stage completion
+      this.logger.info(
+        `Retrieval: Merged all sources, ${candidateSnippets.length} total candidates.`,
+        {
+          conversationId: conversationId,
+          stage: "merged_all_sources",
+          totalCandidates: candidateSnippets.length,
+          candidatesFoundBySource: candidatesFoundBySource,
+          sourceBreakdown: this._countSnippetsBySourceType(candidateSnippets),
+        }
+      );
 
+      // Step 4: Calculate consolidated scores for all candidate snippets
+      // Apply multi-factor ranking using source type weights, AI status weights, and recency factors
       try {
-        this.logger.debug("Starting to fetch full code entity records", {
-          codeEntityHitsCount: codeEntityHits.length,
-          keywordMatchedEntitiesCount: keywordMatchedEntities.length,
+        // Task 213: Log number of candidate snippets before ranking
+        this.logger.debug("Number of candidate snippets before ranking", {
+          conversationId: conversationId,
+          candidateSnippetsBeforeRanking: candidateSnippets.length,
         });
 
-        // Collect all unique entity_id values
-        const uniqueEntityIds = new Set();
-
-        // Add entity IDs from FTS code entity hits
-        for (const hit of codeEntityHits) {
-          if (hit.entity_id) {
-            uniqueEntityIds.add(hit.entity_id);
-          }
-        }
-
-        // Add entity IDs from keyword matches (these could be code entities or documents)
-        // For this task, we assume they could be code entities and try fetching them
-        for (const match of keywordMatchedEntities) {
-          if (match.entity_id) {
-            uniqueEntityIds.add(match.entity_id);
-          }
-        }
-
         this.logger.debug(
-          "Collected unique entity IDs for code entity fetching",
+          "Starting multi-factor score calculation for candidate snippets",
           {
-            uniqueEntityIdsCount: uniqueEntityIds.size,
-            fromCodeEntityHits: codeEntityHits.length,
-            fromKeywordMatches: keywordMatchedEntities.length,
+            conversationId: conversationId,
+            totalCandidateSnippets: candidateSnippets.length,
           }
         );
 
-        // Fetch full code entity records for each unique ID
-        let successfullyFetchedCount = 0;
+        // Import ranking factor weights from configuration
+        const { RANKING_FACTOR_WEIGHTS } = await import("../config.js");
+
+        // Helper function to calculate recency boost for time-sensitive snippets
+        const calculateRecencyBoost = (timestampString) => {
+          if (!timestampString) {
+            return 0; // No recency boost if no timestamp
+          }
 
-        for (const entityId of uniqueEntityIds) {
           try {
-            const entityRecord = await dbQueries.getCodeEntityById(
-              this.dbClient,
-              entityId
-            );
+            const itemDate = new Date(timestampString);
+            const now = new Date();
+            const ageInMillis = now.getTime() - itemDate.getTime();
+            const ageInHours = ageInMillis / (1000 * 60 * 60);
 
-            if (entityRecord) {
-              // Successfully fetched, store in the map
-              retrievedCodeEntities[entityId] = entityRecord;
-              successfullyFetchedCount++;
-
-              this.logger.debug("Successfully fetched code entity record", {
-                entityId: entityId,
-                entityName: entityRecord.name,
-                filePath: entityRecord.file_path,
-                entityType: entityRecord.entity_type,
-                language: entityRecord.language,
-              });
-            } else {
-              // Entity ID doesn't correspond to a code entity (could be a document ID from keywords)
-              this.logger.debug("Entity ID not found in code_entities table", {
-                entityId: entityId,
-                note: "This could be a project document ID from keyword search",
-              });
-            }
-          } catch (fetchError) {
-            this.logger.error("Error fetching code entity record", {
-              error: fetchError.message,
-              stack: fetchError.stack,
-              entityId: entityId,
-            });
-            // Skip this entity on error
-          }
-        }
-
-        this.logger.info("Code entity record fetching completed", {
-          uniqueEntityIdsProcessed: uniqueEntityIds.size,
-          codeEntitiesSuccessfullyFetched: successfullyFetchedCount,
-          fetchSuccessRate:
-            uniqueEntityIds.size > 0
-              ? Math.round(
-                  (successfullyFetchedCount / uniqueEntityIds.size) * 100
-                )
-              : 0,
-        });
-      } catch (error) {
-        this.logger.error("Error during code entity record fetching", {
-          error: error.message,
-          stack: error.stack,
-          codeEntityHitsCount: codeEntityHits.length,
-          keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-        });
-        // Continue with empty retrievedCodeEntities map
-      }
-
-      // Step 7: Fetch full records for project documents from FTS and keyword search hits
-      const retrievedProjectDocuments = {};
-
-      try {
-        this.logger.debug("Starting to fetch full project document records", {
-          documentHitsCount: documentHits.length,
-          keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-        });
-
-        // Collect all unique document_id values
-        const uniqueDocumentIds = new Set();
-
-        // Add document IDs from FTS document hits
-        for (const hit of documentHits) {
-          if (hit.document_id) {
-            uniqueDocumentIds.add(hit.document_id);
-          }
-        }
-
-        // Add entity IDs from keyword matches that weren't found as code entities
-        // These could potentially be project document IDs
-        for (const match of keywordMatchedEntities) {
-          if (match.entity_id && !retrievedCodeEntities[match.entity_id]) {
-            // Only try fetching as document if it wasn't found as a code entity
-            uniqueDocumentIds.add(match.entity_id);
-          }
-        }
-
-        this.logger.debug(
-          "Collected unique document IDs for project document fetching",
-          {
-            uniqueDocumentIdsCount: uniqueDocumentIds.size,
-            fromDocumentHits: documentHits.length,
-            fromKeywordMatches: keywordMatchedEntities.filter(
-              (match) => !retrievedCodeEntities[match.entity_id]
-            ).length,
-          }
-        );
-
-        // Fetch full project document records for each unique ID
-        let successfullyFetchedCount = 0;
-
-        for (const documentId of uniqueDocumentIds) {
-          try {
-            const documentRecord = await dbQueries.getProjectDocumentById(
-              this.dbClient,
-              documentId
-            );
-
-            if (documentRecord) {
-              // Successfully fetched, store in the map
-              retrievedProjectDocuments[documentId] = documentRecord;
-              successfullyFetchedCount++;
-
-              this.logger.debug(
-                "Successfully fetched project document record",
-                {
-                  documentId: documentId,
-                  filePath: documentRecord.file_path,
-                  fileType: documentRecord.file_type,
-                  aiStatus: documentRecord.ai_status,
-                }
-              );
-            } else {
-              // Document ID not found in project_documents table
-              this.logger.debug(
-                "Document ID not found in project_documents table",
-                {
-                  documentId: documentId,
-                  note: "This ID may not correspond to a valid project document",
-                }
-              );
-            }
-          } catch (fetchError) {
-            this.logger.error("Error fetching project document record", {
-              error: fetchError.message,
-              stack: fetchError.stack,
-              documentId: documentId,
-            });
-            // Skip this document on error
-          }
-        }
-
-        this.logger.info("Project document record fetching completed", {
-          uniqueDocumentIdsProcessed: uniqueDocumentIds.size,
-          projectDocumentsSuccessfullyFetched: successfullyFetchedCount,
-          fetchSuccessRate:
-            uniqueDocumentIds.size > 0
-              ? Math.round(
-                  (successfullyFetchedCount / uniqueDocumentIds.size) * 100
-                )
-              : 0,
-        });
-      } catch (error) {
-        this.logger.error("Error during project document record fetching", {
-          error: error.message,
-          stack: error.stack,
-          documentHitsCount: documentHits.length,
-          keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-        });
-        // Continue with empty retrievedProjectDocuments map
-      }
-
-      // Step 8: Construct candidate code entity snippets from FTS/Keyword results
-
-      /**
-       * @typedef {Object} CandidateSnippet
-       * @property {string} id - Unique ID of the source item (e.g., entity_id, document_id, message_id, commit_hash, composite IDs)
-       * @property {'code_entity_fts' | 'code_entity_keyword' | 'project_document_fts' | 'project_document_keyword' | 'conversation_message' | 'conversation_topic' | 'git_commit' | 'git_commit_file_change' | 'code_entity_related'} sourceType - The origin/source type of this snippet
-       * @property {string} contentSnippet - The actual text content to be potentially shown to the agent (AI summary, FTS highlight, raw content excerpt, etc.)
-       * @property {number} initialScore - Relevance score from its source retrieval (e.g., FTS rank-based score, keyword match score, conversation relevance, Git relevance)
-       * @property {string} [filePath] - File path if applicable (for code entities, project documents, Git file changes)
-       * @property {string} [entityName] - Name of the code entity, if applicable (function name, class name, etc.)
-       * @property {string} [entityType] - Type of entity or document (e.g., 'function_declaration', 'class_definition', 'markdown', 'javascript', etc.)
-       * @property {string} [language] - Programming language, if code entity (e.g., 'javascript', 'python', 'typescript')
-       * @property {string} [aiStatus] - AI processing status ('pending', 'completed', 'failed', etc.), if applicable
-       * @property {string} [timestamp] - Timestamp for time-sensitive items like conversation messages or Git commits (ISO string format)
-       * @property {Object} [metadata] - Source-specific metadata object containing additional context
-       * @property {string} [metadata.role] - Message role for conversation messages ('user', 'assistant', 'system')
-       * @property {string} [metadata.conversationId] - Conversation ID for conversation messages
-       * @property {string} [metadata.purposeTag] - Purpose tag for conversation topics
-       * @property {string[]} [metadata.keywords] - Parsed keywords array for conversation topics
-       * @property {string} [metadata.commitHash] - Git commit hash for Git-related snippets
-       * @property {string} [metadata.authorName] - Git commit author name
-       * @property {string} [metadata.commitDate] - Git commit date (ISO string)
-       * @property {string} [metadata.status] - Git file change status ('added', 'modified', 'deleted')
-       * @property {string} [metadata.commitMessage] - Full Git commit message for file changes
-       * @property {string} [metadata.commitAuthor] - Git commit author for file changes
-       * @property {Object} [relationshipContext] - For snippets from relationship expansion (future Story 4.7) - contains relationship type and context
-       * @property {number} [consolidatedScore] - Final calculated score after applying ranking factors (populated by ranking logic in Story 4.5)
-       */
-
-      /** @type {CandidateSnippet[]} */
-      const candidateSnippets = [];
-      const processedEntityIds = new Set(); // Track processed entities to avoid duplicates
-
-      try {
-        this.logger.debug(
-          "Starting to construct candidate code entity snippets",
-          {
-            codeEntityHitsCount: codeEntityHits.length,
-            keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-            retrievedCodeEntitiesCount: Object.keys(retrievedCodeEntities)
-              .length,
-          }
-        );
-
-        // Helper function to calculate score from FTS rank (lower rank = higher score)
-        const calculateScoreFromFtsRank = (rank) => {
-          // FTS rank is lower for better matches, so invert it to a 0-1 score
-          // Use a logarithmic scale to differentiate between ranks
-          return Math.max(0, 1 - Math.log(rank + 1) / 10);
-        };
-
-        // Helper function to calculate score from keyword matches
-        const calculateScoreFromKeywordMatches = (totalWeight, matchCount) => {
-          // Combine match count and total weight for scoring
-          // Normalize to a 0-1 scale similar to FTS scores
-          const weightScore = Math.min(totalWeight / 10, 1); // Cap at 1
-          const countScore = Math.min(matchCount / 5, 1); // Cap at 1
-          return (weightScore + countScore) / 2; // Average the two components
-        };
-
-        // Helper function to determine content snippet
-        const determineContentSnippet = (entityRecord, ftsHighlight = null) => {
-          // Priority: AI summary → FTS highlight → truncated raw content
-          if (
-            entityRecord.ai_status === "completed" &&
-            entityRecord.summary &&
-            entityRecord.summary.trim()
-          ) {
-            return entityRecord.summary.trim();
-          }
-
-          if (ftsHighlight && ftsHighlight.trim()) {
-            return ftsHighlight.trim();
-          }
-
-          if (entityRecord.raw_content && entityRecord.raw_content.trim()) {
-            const rawContent = entityRecord.raw_content.trim();
-            const maxLength = 300;
-            if (rawContent.length <= maxLength) {
-              return rawContent;
-            }
-            return rawContent.substring(0, maxLength) + "...";
-          }
-
-          return "No content available for this code entity.";
-        };
-
-        // Process FTS code entity hits
-        for (const hit of codeEntityHits) {
-          if (!hit.entity_id) continue;
-
-          const entityRecord = retrievedCodeEntities[hit.entity_id];
-          if (!entityRecord) {
-            this.logger.debug("Skipping FTS hit - entity record not found", {
-              entityId: hit.entity_id,
-              rank: hit.rank,
-            });
-            continue;
-          }
-
-          // Determine content snippet
-          const contentSnippet = determineContentSnippet(
-            entityRecord,
-            hit.highlight_snippet
-          );
-
-          // Calculate initial score from FTS rank
-          const initialScore = calculateScoreFromFtsRank(hit.rank);
-
-          // Create candidate snippet object
-          const candidateSnippet = {
-            sourceType: "code_entity_fts",
-            id: entityRecord.entity_id,
-            filePath: entityRecord.file_path,
-            entityName: entityRecord.name || null,
-            entityType: entityRecord.entity_type,
-            language: entityRecord.language,
-            aiStatus: entityRecord.ai_status,
-            contentSnippet: contentSnippet,
-            initialScore: initialScore,
-          };
-
-          candidateSnippets.push(candidateSnippet);
-          processedEntityIds.add(hit.entity_id);
-
-          this.logger.debug("Added FTS code entity candidate snippet", {
-            entityId: entityRecord.entity_id,
-            entityName: entityRecord.name,
-            sourceType: "code_entity_fts",
-            initialScore: initialScore,
-            contentSnippetLength: contentSnippet.length,
-          });
-        }
-
-        // Process keyword matched entities that are code entities
-        for (const match of keywordMatchedEntities) {
-          if (!match.entity_id) continue;
-
-          const entityRecord = retrievedCodeEntities[match.entity_id];
-          if (!entityRecord) {
-            // This entity ID wasn't found as a code entity (likely a document ID)
-            continue;
-          }
-
-          // Check if we already processed this entity from FTS
-          if (processedEntityIds.has(match.entity_id)) {
-            this.logger.debug(
-              "Skipping keyword match - entity already processed from FTS",
-              {
-                entityId: match.entity_id,
-                entityName: entityRecord.name,
-              }
-            );
-            continue;
-          }
-
-          // Determine content snippet (no FTS highlight for keyword matches)
-          const contentSnippet = determineContentSnippet(entityRecord);
-
-          // Calculate initial score from keyword match data
-          const initialScore = calculateScoreFromKeywordMatches(
-            match.total_weight,
-            match.match_count
-          );
-
-          // Create candidate snippet object
-          const candidateSnippet = {
-            sourceType: "code_entity_keyword",
-            id: entityRecord.entity_id,
-            filePath: entityRecord.file_path,
-            entityName: entityRecord.name || null,
-            entityType: entityRecord.entity_type,
-            language: entityRecord.language,
-            aiStatus: entityRecord.ai_status,
-            contentSnippet: contentSnippet,
-            initialScore: initialScore,
-          };
-
-          candidateSnippets.push(candidateSnippet);
-          processedEntityIds.add(match.entity_id);
-
-          this.logger.debug("Added keyword code entity candidate snippet", {
-            entityId: entityRecord.entity_id,
-            entityName: entityRecord.name,
-            sourceType: "code_entity_keyword",
-            initialScore: initialScore,
-            totalWeight: match.total_weight,
-            matchCount: match.match_count,
-            contentSnippetLength: contentSnippet.length,
-          });
-        }
-
-        // Filter candidate snippets to only code entities
-        const codeEntityCandidateSnippets = candidateSnippets.filter(
-          (snippet) =>
-            snippet.sourceType === "code_entity_fts" ||
-            snippet.sourceType === "code_entity_keyword"
-        );
-
-        this.logger.info(
-          "Code entity candidate snippets construction completed",
-          {
-            codeEntityFtsSnippets: candidateSnippets.filter(
-              (s) => s.sourceType === "code_entity_fts"
-            ).length,
-            codeEntityKeywordSnippets: candidateSnippets.filter(
-              (s) => s.sourceType === "code_entity_keyword"
-            ).length,
-            totalCodeEntitySnippets: codeEntityCandidateSnippets.length,
-            processedEntityIds: processedEntityIds.size,
-          }
-        );
-      } catch (error) {
-        this.logger.error(
-          "Error during code entity candidate snippets construction",
-          {
-            error: error.message,
-            stack: error.stack,
-            codeEntityHitsCount: codeEntityHits.length,
-            keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-          }
-        );
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 9: Construct candidate project document snippets from FTS/Keyword results
-      const processedDocumentIds = new Set(); // Track processed documents to avoid duplicates
-
-      try {
-        this.logger.debug(
-          "Starting to construct candidate project document snippets",
-          {
-            documentHitsCount: documentHits.length,
-            keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-            retrievedProjectDocumentsCount: Object.keys(
-              retrievedProjectDocuments
-            ).length,
-          }
-        );
-
-        // Helper function to determine content snippet for documents
-        const determineDocumentContentSnippet = (
-          documentRecord,
-          ftsHighlight = null
-        ) => {
-          // Priority: AI summary → FTS highlight → truncated raw content
-          if (
-            documentRecord.ai_status === "completed" &&
-            documentRecord.summary &&
-            documentRecord.summary.trim()
-          ) {
-            return documentRecord.summary.trim();
-          }
-
-          if (ftsHighlight && ftsHighlight.trim()) {
-            return ftsHighlight.trim();
-          }
-
-          if (documentRecord.raw_content && documentRecord.raw_content.trim()) {
-            const rawContent = documentRecord.raw_content.trim();
-            const maxLength = 300;
-            if (rawContent.length <= maxLength) {
-              return rawContent;
-            }
-            return rawContent.substring(0, maxLength) + "...";
-          }
-
-          return "No content available for this project document.";
-        };
-
-        // Process FTS document hits
-        for (const hit of documentHits) {
-          if (!hit.document_id) continue;
-
-          const documentRecord = retrievedProjectDocuments[hit.document_id];
-          if (!documentRecord) {
-            this.logger.debug(
-              "Skipping FTS document hit - document record not found",
-              {
-                documentId: hit.document_id,
-                rank: hit.rank,
-              }
-            );
-            continue;
-          }
-
-          // Determine content snippet
-          const contentSnippet = determineDocumentContentSnippet(
-            documentRecord,
-            hit.highlight_snippet
-          );
-
-          // Calculate initial score from FTS rank (reuse the same function as code entities)
-          const initialScore = calculateScoreFromFtsRank(hit.rank);
-
-          // Create candidate snippet object
-          const candidateSnippet = {
-            sourceType: "project_document_fts",
-            id: documentRecord.document_id,
-            filePath: documentRecord.file_path,
-            entityType: documentRecord.file_type, // Using entityType for consistency
-            aiStatus: documentRecord.ai_status,
-            contentSnippet: contentSnippet,
-            initialScore: initialScore,
-          };
-
-          candidateSnippets.push(candidateSnippet);
-          processedDocumentIds.add(hit.document_id);
-
-          this.logger.debug("Added FTS project document candidate snippet", {
-            documentId: documentRecord.document_id,
-            filePath: documentRecord.file_path,
-            sourceType: "project_document_fts",
-            initialScore: initialScore,
-            contentSnippetLength: contentSnippet.length,
-          });
-        }
-
-        // Process keyword matched entities that are project documents
-        for (const match of keywordMatchedEntities) {
-          if (!match.entity_id) continue;
-
-          const documentRecord = retrievedProjectDocuments[match.entity_id];
-          if (!documentRecord) {
-            // This entity ID wasn't found as a project document (likely a code entity ID)
-            continue;
-          }
-
-          // Check if we already processed this document from FTS
-          if (processedDocumentIds.has(match.entity_id)) {
-            this.logger.debug(
-              "Skipping keyword match - document already processed from FTS",
-              {
-                documentId: match.entity_id,
-                filePath: documentRecord.file_path,
-              }
-            );
-            continue;
-          }
-
-          // Determine content snippet (no FTS highlight for keyword matches)
-          const contentSnippet =
-            determineDocumentContentSnippet(documentRecord);
-
-          // Calculate initial score from keyword match data (reuse the same function as code entities)
-          const initialScore = calculateScoreFromKeywordMatches(
-            match.total_weight,
-            match.match_count
-          );
-
-          // Create candidate snippet object
-          const candidateSnippet = {
-            sourceType: "project_document_keyword",
-            id: documentRecord.document_id,
-            filePath: documentRecord.file_path,
-            entityType: documentRecord.file_type, // Using entityType for consistency
-            aiStatus: documentRecord.ai_status,
-            contentSnippet: contentSnippet,
-            initialScore: initialScore,
-          };
-
-          candidateSnippets.push(candidateSnippet);
-          processedDocumentIds.add(match.entity_id);
-
-          this.logger.debug(
-            "Added keyword project document candidate snippet",
-            {
-              documentId: documentRecord.document_id,
-              filePath: documentRecord.file_path,
-              sourceType: "project_document_keyword",
-              initialScore: initialScore,
-              totalWeight: match.total_weight,
-              matchCount: match.match_count,
-              contentSnippetLength: contentSnippet.length,
-            }
-          );
-        }
-
-        // Filter candidate snippets to only project documents
-        const documentCandidateSnippets = candidateSnippets.filter(
-          (snippet) =>
-            snippet.sourceType === "project_document_fts" ||
-            snippet.sourceType === "project_document_keyword"
-        );
-
-        this.logger.info(
-          "Project document candidate snippets construction completed",
-          {
-            projectDocumentFtsSnippets: candidateSnippets.filter(
-              (s) => s.sourceType === "project_document_fts"
-            ).length,
-            projectDocumentKeywordSnippets: candidateSnippets.filter(
-              (s) => s.sourceType === "project_document_keyword"
-            ).length,
-            totalProjectDocumentSnippets: documentCandidateSnippets.length,
-            processedDocumentIds: processedDocumentIds.size,
-          }
-        );
-      } catch (error) {
-        this.logger.error(
-          "Error during project document candidate snippets construction",
-          {
-            error: error.message,
-            stack: error.stack,
-            documentHitsCount: documentHits.length,
-            keywordMatchedEntitiesCount: keywordMatchedEntities.length,
-          }
-        );
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 10: Search for relevant conversation history
-      let matchedMessages = [];
-
-      try {
-        this.logger.debug("Starting conversation history search", {
-          conversationId: conversationId,
-          searchTermsCount: searchTerms.length,
-          searchTerms: searchTerms,
-          limit: MAX_CONVO_HISTORY_CANDIDATES,
-        });
-
-        if (searchTerms && searchTerms.length > 0) {
-          matchedMessages = await dbQueries.searchConversationHistoryByTerms(
-            this.dbClient,
-            conversationId,
-            searchTerms,
-            MAX_CONVO_HISTORY_CANDIDATES
-          );
-
-          this.logger.debug("Conversation history search completed", {
-            conversationId: conversationId,
-            messagesFound: matchedMessages.length,
-            searchTermsCount: searchTerms.length,
-            limit: MAX_CONVO_HISTORY_CANDIDATES,
-          });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: Conversation history search complete, ${matchedMessages.length} candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "conversation_history",
-              candidatesFound: matchedMessages.length,
-            }
-          );
-        } else {
-          this.logger.debug(
-            "No search terms available for conversation history search",
-            {
-              conversationId: conversationId,
-            }
-          );
-        }
-      } catch (error) {
-        this.logger.error("Error searching conversation history", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          searchTermsCount: searchTerms?.length || 0,
-        });
-        // Continue with empty matched messages array
-        matchedMessages = [];
-      }
-
-      // Step 11: Search for relevant conversation topics
-      let matchedTopics = [];
-
-      try {
-        this.logger.debug("Starting conversation topics search", {
-          conversationId: conversationId,
-          searchTermsCount: searchTerms.length,
-          searchTerms: searchTerms,
-          limit: MAX_CONVO_TOPIC_CANDIDATES,
-        });
-
-        if (searchTerms && searchTerms.length > 0) {
-          matchedTopics = await dbQueries.searchConversationTopicsByTerms(
-            this.dbClient,
-            searchTerms,
-            MAX_CONVO_TOPIC_CANDIDATES
-          );
-
-          this.logger.debug("Conversation topics search completed", {
-            conversationId: conversationId,
-            topicsFound: matchedTopics.length,
-            searchTermsCount: searchTerms.length,
-            limit: MAX_CONVO_TOPIC_CANDIDATES,
-          });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: Conversation topics search complete, ${matchedTopics.length} candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "conversation_topics",
-              candidatesFound: matchedTopics.length,
-            }
-          );
-        } else {
-          this.logger.debug(
-            "No search terms available for conversation topics search",
-            {
-              conversationId: conversationId,
-            }
-          );
-        }
-      } catch (error) {
-        this.logger.error("Error searching conversation topics", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          searchTermsCount: searchTerms?.length || 0,
-        });
-        // Continue with empty matched topics array
-        matchedTopics = [];
-      }
-
-      // Step 12: Construct candidate snippets from matched conversation history messages
-      try {
-        this.logger.debug(
-          "Starting to construct conversation message snippets",
-          {
-            conversationId: conversationId,
-            matchedMessagesCount: matchedMessages.length,
-          }
-        );
-
-        // Helper function to calculate score for conversation messages
-        const calculateScoreForMessage = (
-          message,
-          queryTerms,
-          currentConversationId
-        ) => {
-          let score = 0;
-
-          // Base score for message from current conversation (higher priority)
-          if (message.conversation_id === currentConversationId) {
-            score += 0.5; // 50% bonus for current conversation
-          }
-
-          // Recency score (newer messages get higher scores)
-          // Convert timestamp to Date and calculate days ago
-          try {
-            const messageDate = new Date(message.timestamp);
-            const now = new Date();
-            const daysAgo = (now - messageDate) / (1000 * 60 * 60 * 24);
-
-            // Recency score: newer messages get higher scores, decay over time
-            // Maximum 0.3 points for very recent (same day), decay exponentially
-            const recencyScore = Math.max(0, 0.3 * Math.exp(-daysAgo / 7)); // 7-day half-life
-            score += recencyScore;
-          } catch (dateError) {
-            this.logger.debug("Error parsing message timestamp for scoring", {
-              messageId: message.message_id,
-              timestamp: message.timestamp,
-              error: dateError.message,
-            });
-            // Continue without recency score if timestamp parsing fails
-          }
-
-          // Relevance score based on query terms found in message content
-          if (queryTerms && queryTerms.length > 0 && message.content) {
-            const contentLower = message.content.toLowerCase();
-            let matchCount = 0;
-
-            for (const term of queryTerms) {
-              if (contentLower.includes(term.toLowerCase())) {
-                matchCount++;
-              }
-            }
-
-            // Relevance score: up to 0.2 points based on term matches
-            const relevanceScore = Math.min(
-              0.2,
-              (matchCount / queryTerms.length) * 0.2
-            );
-            score += relevanceScore;
-          }
-
-          // Ensure score is between 0 and 1
-          return Math.min(1, Math.max(0, score));
-        };
-
-        // Process each matched message into a candidate snippet
-        for (const message of matchedMessages) {
-          try {
-            // Calculate initial score for this message
-            const initialScore = calculateScoreForMessage(
-              message,
-              searchTerms,
-              conversationId
-            );
-
-            // Create candidate snippet object
-            const candidateSnippet = {
-              sourceType: "conversation_message",
-              id: message.message_id,
-              contentSnippet: message.content, // Full message content as snippet
-              metadata: {
-                role: message.role,
-                timestamp: message.timestamp, // ISO string
-                conversationId: message.conversation_id,
-              },
-              initialScore: initialScore,
-            };
-
-            candidateSnippets.push(candidateSnippet);
-
-            this.logger.debug("Added conversation message candidate snippet", {
-              messageId: message.message_id,
-              role: message.role,
-              conversationId: message.conversation_id,
-              sourceType: "conversation_message",
-              initialScore: initialScore,
-              contentSnippetLength: message.content?.length || 0,
-            });
-          } catch (snippetError) {
-            this.logger.error(
-              "Error constructing conversation message snippet",
-              {
-                error: snippetError.message,
-                stack: snippetError.stack,
-                messageId: message.message_id,
-                conversationId: conversationId,
-              }
-            );
-            // Skip this message on error
-          }
-        }
-
-        // Filter candidate snippets to only conversation messages for logging
-        const conversationMessageSnippets = candidateSnippets.filter(
-          (snippet) => snippet.sourceType === "conversation_message"
-        );
-
-        this.logger.info(
-          "Conversation message snippets construction completed",
-          {
-            conversationId: conversationId,
-            messagesProcessed: matchedMessages.length,
-            conversationMessageSnippets: conversationMessageSnippets.length,
-          }
-        );
-      } catch (error) {
-        this.logger.error(
-          "Error during conversation message snippets construction",
-          {
-            error: error.message,
-            stack: error.stack,
-            conversationId: conversationId,
-            matchedMessagesCount: matchedMessages.length,
-          }
-        );
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 13: Construct candidate snippets from matched conversation topics
-      try {
-        this.logger.debug("Starting to construct conversation topic snippets", {
-          conversationId: conversationId,
-          matchedTopicsCount: matchedTopics.length,
-        });
-
-        // Helper function to calculate score for conversation topics
-        const calculateScoreForTopic = (topic, queryTerms) => {
-          let score = 0;
-
-          // Relevance score based on query terms found in topic summary
-          if (queryTerms && queryTerms.length > 0 && topic.summary) {
-            const summaryLower = topic.summary.toLowerCase();
-            let summaryMatchCount = 0;
-
-            for (const term of queryTerms) {
-              if (summaryLower.includes(term.toLowerCase())) {
-                summaryMatchCount++;
-              }
-            }
-
-            // Summary matches get higher weight (up to 0.6 points)
-            const summaryScore = Math.min(
-              0.6,
-              (summaryMatchCount / queryTerms.length) * 0.6
-            );
-            score += summaryScore;
-          }
-
-          // Additional relevance score based on query terms found in keywords
-          if (queryTerms && queryTerms.length > 0 && topic.keywords) {
-            try {
-              const parsedKeywords = JSON.parse(topic.keywords || "[]");
-              if (Array.isArray(parsedKeywords)) {
-                let keywordMatchCount = 0;
-
-                for (const keyword of parsedKeywords) {
-                  const keywordLower = keyword.toLowerCase();
-                  for (const term of queryTerms) {
-                    if (keywordLower.includes(term.toLowerCase())) {
-                      keywordMatchCount++;
-                      break; // Count each keyword match only once per term
-                    }
-                  }
-                }
-
-                // Keyword matches get moderate weight (up to 0.4 points)
-                const keywordScore = Math.min(
-                  0.4,
-                  (keywordMatchCount / Math.max(parsedKeywords.length, 1)) * 0.4
-                );
-                score += keywordScore;
-              }
-            } catch (keywordParseError) {
-              this.logger.debug("Error parsing topic keywords for scoring", {
-                topicId: topic.topic_id,
-                keywords: topic.keywords,
-                error: keywordParseError.message,
-              });
-              // Continue without keyword scoring if parsing fails
-            }
-          }
-
-          // Ensure score is between 0 and 1
-          return Math.min(1, Math.max(0, score));
-        };
-
-        // Process each matched topic into a candidate snippet
-        for (const topic of matchedTopics) {
-          try {
-            // Parse keywords safely
-            let parsedKeywords = [];
-            try {
-              parsedKeywords = JSON.parse(topic.keywords || "[]");
-              if (!Array.isArray(parsedKeywords)) {
-                parsedKeywords = [];
-              }
-            } catch (keywordParseError) {
-              this.logger.debug("Error parsing topic keywords", {
-                topicId: topic.topic_id,
-                keywords: topic.keywords,
-                error: keywordParseError.message,
-              });
-              parsedKeywords = [];
-            }
-
-            // Calculate initial score for this topic
-            const initialScore = calculateScoreForTopic(topic, searchTerms);
-
-            // Create candidate snippet object
-            const candidateSnippet = {
-              sourceType: "conversation_topic",
-              id: topic.topic_id,
-              contentSnippet: topic.summary, // Topic summary as the snippet
-              metadata: {
-                purposeTag: topic.purpose_tag,
-                keywords: parsedKeywords, // Parse keywords JSON string from DB
-              },
-              initialScore: initialScore,
-            };
-
-            candidateSnippets.push(candidateSnippet);
-
-            this.logger.debug("Added conversation topic candidate snippet", {
-              topicId: topic.topic_id,
-              purposeTag: topic.purpose_tag,
-              sourceType: "conversation_topic",
-              initialScore: initialScore,
-              contentSnippetLength: topic.summary?.length || 0,
-              keywordsCount: parsedKeywords.length,
-            });
-          } catch (snippetError) {
-            this.logger.error("Error constructing conversation topic snippet", {
-              error: snippetError.message,
-              stack: snippetError.stack,
-              topicId: topic.topic_id,
-              conversationId: conversationId,
-            });
-            // Skip this topic on error
-          }
-        }
-
-        // Filter candidate snippets to only conversation topics for logging
-        const conversationTopicSnippets = candidateSnippets.filter(
-          (snippet) => snippet.sourceType === "conversation_topic"
-        );
-
-        this.logger.info("Conversation topic snippets construction completed", {
-          conversationId: conversationId,
-          topicsProcessed: matchedTopics.length,
-          conversationTopicSnippets: conversationTopicSnippets.length,
-        });
-      } catch (error) {
-        this.logger.error(
-          "Error during conversation topic snippets construction",
-          {
-            error: error.message,
-            stack: error.stack,
-            conversationId: conversationId,
-            matchedTopicsCount: matchedTopics.length,
-          }
-        );
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 14: Search for relevant Git commits
-      let matchedGitCommits = [];
-
-      try {
-        this.logger.debug("Starting Git commit search", {
-          conversationId: conversationId,
-          searchTermsCount: searchTerms.length,
-          searchTerms: searchTerms,
-          limit: MAX_GIT_COMMIT_CANDIDATES,
-        });
-
-        // Use the Git history heuristic to determine if Git search should be performed
-        const isGitRelevantQuery = this._isGitHistoryQuery(query, searchTerms);
-
-        this.logger.debug("Git history relevance check completed", {
-          query: query,
-          isGitRelevantQuery: isGitRelevantQuery,
-          searchTermsCount: searchTerms.length,
-        });
-
-        // Perform Git commit search if we have search terms and the query suggests Git relevance
-        // For now, we'll search if either the heuristic suggests it OR if we have valid search terms
-        // This allows for both targeted Git searches and general inclusion of Git context
-        if (searchTerms && searchTerms.length > 0) {
-          if (isGitRelevantQuery) {
-            this.logger.debug(
-              "Query identified as Git-relevant, performing Git commit search",
-              {
-                searchTermsCount: searchTerms.length,
-                limit: MAX_GIT_COMMIT_CANDIDATES,
-              }
-            );
-          } else {
-            this.logger.debug(
-              "Query not specifically Git-relevant, but performing Git commit search with search terms",
-              {
-                searchTermsCount: searchTerms.length,
-                limit: MAX_GIT_COMMIT_CANDIDATES,
-              }
-            );
-          }
-
-          matchedGitCommits = await dbQueries.searchGitCommitsByTerms(
-            this.dbClient,
-            searchTerms,
-            MAX_GIT_COMMIT_CANDIDATES
-          );
-
-          this.logger.debug("Git commit search completed", {
-            conversationId: conversationId,
-            commitsFound: matchedGitCommits.length,
-            searchTermsCount: searchTerms.length,
-            limit: MAX_GIT_COMMIT_CANDIDATES,
-            isGitRelevantQuery: isGitRelevantQuery,
-          });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: Git commits search complete, ${matchedGitCommits.length} candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "git_commits",
-              candidatesFound: matchedGitCommits.length,
-            }
-          );
-        } else {
-          this.logger.debug("No search terms available for Git commit search", {
-            conversationId: conversationId,
-            isGitRelevantQuery: isGitRelevantQuery,
-          });
-        }
-      } catch (error) {
-        this.logger.error("Error searching Git commits", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          searchTermsCount: searchTerms?.length || 0,
-          query: query,
-        });
-        // Continue with empty matched commits array
-        matchedGitCommits = [];
-      }
-
-      // Step 14.5: Construct candidate snippets from matched Git commits
-      try {
-        this.logger.debug(
-          "Starting to construct Git commit candidate snippets",
-          {
-            conversationId: conversationId,
-            matchedGitCommitsCount: matchedGitCommits.length,
-          }
-        );
-
-        // Helper function to calculate score for Git commits
-        const calculateScoreForGitCommit = (commit, queryTerms) => {
-          let score = 0;
-
-          // Base relevance score based on query terms found in commit message
-          if (queryTerms && queryTerms.length > 0 && commit.message) {
-            const messageLower = commit.message.toLowerCase();
-            let matchCount = 0;
-
-            for (const term of queryTerms) {
-              if (messageLower.includes(term.toLowerCase())) {
-                matchCount++;
-              }
-            }
-
-            // Message matches get moderate weight (up to 0.5 points)
-            const messageScore = Math.min(
-              0.5,
-              (matchCount / queryTerms.length) * 0.5
-            );
-            score += messageScore;
-          }
-
-          // Author relevance score based on query terms found in author name
-          if (queryTerms && queryTerms.length > 0 && commit.author_name) {
-            const authorLower = commit.author_name.toLowerCase();
-            let authorMatchCount = 0;
-
-            for (const term of queryTerms) {
-              if (authorLower.includes(term.toLowerCase())) {
-                authorMatchCount++;
-              }
-            }
-
-            // Author matches get lower weight (up to 0.2 points)
-            const authorScore = Math.min(
-              0.2,
-              (authorMatchCount / queryTerms.length) * 0.2
-            );
-            score += authorScore;
-          }
-
-          // Recency score (newer commits get higher scores)
-          try {
-            const commitDate = new Date(commit.commit_date);
-            const now = new Date();
-            const daysAgo = (now - commitDate) / (1000 * 60 * 60 * 24);
-
-            // Recency score: newer commits get higher scores, decay over time
-            // Maximum 0.3 points for very recent (same day), decay exponentially
-            const recencyScore = Math.max(0, 0.3 * Math.exp(-daysAgo / 30)); // 30-day half-life
-            score += recencyScore;
-          } catch (dateError) {
-            this.logger.debug("Error parsing commit date for scoring", {
-              commitHash: commit.commit_hash,
-              commitDate: commit.commit_date,
-              error: dateError.message,
-            });
-            // Continue without recency score if date parsing fails
-          }
-
-          // Ensure score is between 0 and 1
-          return Math.min(1, Math.max(0, score));
-        };
-
-        // Process each matched Git commit into a candidate snippet
-        for (const commit of matchedGitCommits) {
-          try {
-            // Calculate initial score for this commit
-            const initialScore = calculateScoreForGitCommit(
-              commit,
-              searchTerms
-            );
-
-            // Create candidate snippet object
-            const candidateSnippet = {
-              sourceType: "git_commit",
-              id: commit.commit_hash,
-              contentSnippet: commit.message, // Commit message as the snippet
-              metadata: {
-                commitHash: commit.commit_hash,
-                authorName: commit.author_name,
-                commitDate: commit.commit_date, // ISO string or Date object
-                // Note: List of changed files could be added here if available from the query
-              },
-              initialScore: initialScore,
-            };
-
-            candidateSnippets.push(candidateSnippet);
-
-            this.logger.debug("Added Git commit candidate snippet", {
-              commitHash: commit.commit_hash,
-              authorName: commit.author_name,
-              sourceType: "git_commit",
-              initialScore: initialScore,
-              contentSnippetLength: commit.message?.length || 0,
-            });
-          } catch (snippetError) {
-            this.logger.error("Error constructing Git commit snippet", {
-              error: snippetError.message,
-              stack: snippetError.stack,
-              commitHash: commit.commit_hash,
-              conversationId: conversationId,
-            });
-            // Skip this commit on error
-          }
-        }
-
-        // Filter candidate snippets to only Git commits for logging
-        const gitCommitSnippets = candidateSnippets.filter(
-          (snippet) => snippet.sourceType === "git_commit"
-        );
-
-        this.logger.info("Git commit snippets construction completed", {
-          conversationId: conversationId,
-          commitsProcessed: matchedGitCommits.length,
-          gitCommitSnippets: gitCommitSnippets.length,
-        });
-      } catch (error) {
-        this.logger.error("Error during Git commit snippets construction", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          matchedGitCommitsCount: matchedGitCommits.length,
-        });
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 15: Search for relevant Git commit file changes
-      let matchedCommitFiles = [];
-
-      try {
-        this.logger.debug("Starting Git commit file change search", {
-          conversationId: conversationId,
-          searchTermsCount: searchTerms.length,
-          searchTerms: searchTerms,
-          limit: MAX_GIT_FILE_CHANGE_CANDIDATES,
-        });
-
-        // Use the same Git history heuristic as for commits
-        const isGitRelevantQuery = this._isGitHistoryQuery(query, searchTerms);
-
-        this.logger.debug(
-          "Git history relevance check for file changes completed",
-          {
-            query: query,
-            isGitRelevantQuery: isGitRelevantQuery,
-            searchTermsCount: searchTerms.length,
-          }
-        );
-
-        // Extract terms that are likely file paths or use all search terms
-        // File path terms are those containing "/" or ending with common file extensions
-        let pathSearchTerms = [];
-
-        if (searchTerms && searchTerms.length > 0) {
-          // Filter for path-like terms (contains "/" or ends with file extensions)
-          const fileExtensions = [
-            ".js",
-            ".ts",
-            ".jsx",
-            ".tsx",
-            ".py",
-            ".java",
-            ".cpp",
-            ".c",
-            ".h",
-            ".cs",
-            ".php",
-            ".rb",
-            ".go",
-            ".rs",
-            ".swift",
-            ".kt",
-            ".scala",
-            ".html",
-            ".css",
-            ".scss",
-            ".sass",
-            ".json",
-            ".xml",
-            ".yaml",
-            ".yml",
-            ".md",
-            ".txt",
-            ".sql",
-          ];
-
-          pathSearchTerms = searchTerms.filter((term) => {
-            // Check if term contains forward slash (path separator)
-            if (term.includes("/")) {
-              return true;
-            }
-
-            // Check if term ends with common file extension
-            return fileExtensions.some((ext) =>
-              term.toLowerCase().endsWith(ext)
-            );
-          });
-
-          // If no path-like terms found, use all search terms
-          if (pathSearchTerms.length === 0) {
-            pathSearchTerms = searchTerms;
-            this.logger.debug(
-              "No path-like terms found, using all search terms for file change search",
-              {
-                searchTermsCount: searchTerms.length,
-              }
-            );
-          } else {
-            this.logger.debug("Found path-like terms for file change search", {
-              pathSearchTerms: pathSearchTerms,
-              pathTermsCount: pathSearchTerms.length,
-              totalSearchTerms: searchTerms.length,
-            });
-          }
-
-          // Perform Git commit file change search
-          if (isGitRelevantQuery) {
-            this.logger.debug(
-              "Query identified as Git-relevant, performing Git commit file change search",
-              {
-                pathSearchTermsCount: pathSearchTerms.length,
-                limit: MAX_GIT_FILE_CHANGE_CANDIDATES,
-              }
-            );
-          } else {
-            this.logger.debug(
-              "Query not specifically Git-relevant, but performing Git commit file change search with path terms",
-              {
-                pathSearchTermsCount: pathSearchTerms.length,
-                limit: MAX_GIT_FILE_CHANGE_CANDIDATES,
-              }
-            );
-          }
-
-          matchedCommitFiles = await dbQueries.searchGitCommitFilesByTerms(
-            this.dbClient,
-            pathSearchTerms,
-            MAX_GIT_FILE_CHANGE_CANDIDATES
-          );
-
-          this.logger.debug("Git commit file change search completed", {
-            conversationId: conversationId,
-            fileChangesFound: matchedCommitFiles.length,
-            searchTermsCount: searchTerms.length,
-            pathSearchTermsCount: pathSearchTerms.length,
-            limit: MAX_GIT_FILE_CHANGE_CANDIDATES,
-            isGitRelevantQuery: isGitRelevantQuery,
-          });
-
-          // Task 241: INFO level logging for stage completion
-          this.logger.info(
-            `Retrieval: Git commit files search complete, ${matchedCommitFiles.length} candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "git_commit_files",
-              candidatesFound: matchedCommitFiles.length,
-            }
-          );
-        } else {
-          this.logger.debug(
-            "No search terms available for Git commit file change search",
-            {
-              conversationId: conversationId,
-              isGitRelevantQuery: isGitRelevantQuery,
-            }
-          );
-        }
-      } catch (error) {
-        this.logger.error("Error searching Git commit file changes", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          searchTermsCount: searchTerms?.length || 0,
-          query: query,
-        });
-        // Continue with empty matched commit files array
-        matchedCommitFiles = [];
-      }
-
-      // Step 15.5: Construct candidate snippets from matched Git commit file changes
-      try {
-        this.logger.debug(
-          "Starting to construct Git commit file change candidate snippets",
-          {
-            conversationId: conversationId,
-            matchedCommitFilesCount: matchedCommitFiles.length,
-          }
-        );
-
-        // Helper function to calculate score for Git commit file changes
-        const calculateScoreForFileChange = (change, queryTerms) => {
-          let score = 0;
-
-          // File path relevance score based on query terms found in file_path
-          if (queryTerms && queryTerms.length > 0 && change.file_path) {
-            const filePathLower = change.file_path.toLowerCase();
-            let pathMatchCount = 0;
-
-            for (const term of queryTerms) {
-              if (filePathLower.includes(term.toLowerCase())) {
-                pathMatchCount++;
-              }
-            }
-
-            // File path matches get high weight (up to 0.6 points)
-            const pathScore = Math.min(
-              0.6,
-              (pathMatchCount / queryTerms.length) * 0.6
-            );
-            score += pathScore;
-          }
-
-          // Commit message relevance score based on query terms found in commit message
-          if (queryTerms && queryTerms.length > 0 && change.commit_message) {
-            const messageLower = change.commit_message.toLowerCase();
-            let messageMatchCount = 0;
-
-            for (const term of queryTerms) {
-              if (messageLower.includes(term.toLowerCase())) {
-                messageMatchCount++;
-              }
-            }
-
-            // Message matches get moderate weight (up to 0.3 points)
-            const messageScore = Math.min(
-              0.3,
-              (messageMatchCount / queryTerms.length) * 0.3
-            );
-            score += messageScore;
-          }
-
-          // Change status bonus (some statuses might be more relevant)
-          if (change.status) {
-            const statusLower = change.status.toLowerCase();
-            if (statusLower === "modified" || statusLower === "added") {
-              score += 0.05; // Small bonus for modified/added files
-            } else if (statusLower === "deleted") {
-              score += 0.02; // Smaller bonus for deleted files
-            }
-          }
-
-          // Recency score based on commit date (newer commits get higher scores)
-          try {
-            const commitDate = new Date(change.commit_date);
-            const now = new Date();
-            const daysAgo = (now - commitDate) / (1000 * 60 * 60 * 24);
-
-            // Recency score: newer commits get higher scores, decay over time
-            // Maximum 0.2 points for very recent (same day), decay exponentially
-            const recencyScore = Math.max(0, 0.2 * Math.exp(-daysAgo / 30)); // 30-day half-life
-            score += recencyScore;
-          } catch (dateError) {
-            this.logger.debug(
-              "Error parsing commit date for file change scoring",
-              {
-                commitHash: change.commit_hash,
-                filePath: change.file_path,
-                commitDate: change.commit_date,
-                error: dateError.message,
-              }
-            );
-            // Continue without recency score if date parsing fails
-          }
-
-          // Ensure score is between 0 and 1
-          return Math.min(1, Math.max(0, score));
-        };
-
-        // Process each matched Git commit file change into a candidate snippet
-        for (const change of matchedCommitFiles) {
-          try {
-            // Calculate initial score for this file change
-            const initialScore = calculateScoreForFileChange(
-              change,
-              searchTerms
-            );
-
-            // Create a unique ID for this file change (composite of commit hash and file path)
-            const uniqueId = `${change.commit_hash}_${change.file_path}`;
-
-            // Create informative content snippet
-            const truncatedMessage =
-              change.commit_message && change.commit_message.length > 100
-                ? change.commit_message.substring(0, 100) + "..."
-                : change.commit_message || "No commit message";
-
-            const contentSnippet = `File '${change.file_path}' was ${change.status}. Commit: ${truncatedMessage}`;
-
-            // Create candidate snippet object
-            const candidateSnippet = {
-              sourceType: "git_commit_file_change",
-              id: uniqueId,
-              contentSnippet: contentSnippet,
-              metadata: {
-                filePath: change.file_path,
-                status: change.status,
-                commitHash: change.commit_hash,
-                commitMessage: change.commit_message,
-                commitAuthor: change.commit_author,
-                commitDate: change.commit_date,
-              },
-              initialScore: initialScore,
-            };
-
-            candidateSnippets.push(candidateSnippet);
-
-            this.logger.debug(
-              "Added Git commit file change candidate snippet",
-              {
-                filePath: change.file_path,
-                status: change.status,
-                commitHash: change.commit_hash,
-                sourceType: "git_commit_file_change",
-                initialScore: initialScore,
-                contentSnippetLength: contentSnippet.length,
-              }
-            );
-          } catch (snippetError) {
-            this.logger.error(
-              "Error constructing Git commit file change snippet",
-              {
-                error: snippetError.message,
-                stack: snippetError.stack,
-                commitHash: change.commit_hash,
-                filePath: change.file_path,
-                conversationId: conversationId,
-              }
-            );
-            // Skip this file change on error
-          }
-        }
-
-        // Filter candidate snippets to only Git commit file changes for logging
-        const gitCommitFileChangeSnippets = candidateSnippets.filter(
-          (snippet) => snippet.sourceType === "git_commit_file_change"
-        );
-
-        this.logger.info(
-          "Git commit file change snippets construction completed",
-          {
-            conversationId: conversationId,
-            commitFilesProcessed: matchedCommitFiles.length,
-            gitCommitFileChangeSnippets: gitCommitFileChangeSnippets.length,
-          }
-        );
-      } catch (error) {
-        this.logger.error(
-          "Error during Git commit file change snippets construction",
-          {
-            error: error.message,
-            stack: error.stack,
-            conversationId: conversationId,
-            matchedCommitFilesCount: matchedCommitFiles.length,
-          }
-        );
-        // Continue with whatever snippets were successfully constructed
-      }
-
-      // Step 15a: Identify seed entities for relationship expansion (Task 235)
-      const seedEntities = [];
-      try {
-        this.logger.debug(
-          "Starting seed entity identification for relationship expansion",
-          {
-            conversationId: conversationId,
-            totalCandidateSnippets: candidateSnippets.length,
-          }
-        );
-
-        // Import configuration for maximum seed entities
-        const config = (await import("../config.js")).default;
-        const maxSeedEntities = config.MAX_SEED_ENTITIES_FOR_EXPANSION;
-
-        // Filter candidate snippets to get only code_entity types
-        const codeEntitySnippets = candidateSnippets.filter(
-          (snippet) =>
-            snippet.sourceType === "code_entity_fts" ||
-            snippet.sourceType === "code_entity_keyword"
-        );
-
-        this.logger.debug("Filtered candidate snippets to code entities", {
-          totalCandidateSnippets: candidateSnippets.length,
-          codeEntitySnippets: codeEntitySnippets.length,
-        });
-
-        if (codeEntitySnippets.length === 0) {
-          this.logger.debug(
-            "No code entity snippets found for seed entity identification",
-            {
-              conversationId: conversationId,
-            }
-          );
-        } else {
-          // Sort code entity snippets by their initialScore in descending order
-          const sortedCodeEntitySnippets = [...codeEntitySnippets].sort(
-            (a, b) => (b.initialScore || 0) - (a.initialScore || 0)
-          );
-
-          // Select the top N snippets as seed entities
-          const selectedSeedSnippets = sortedCodeEntitySnippets.slice(
-            0,
-            maxSeedEntities
-          );
-
-          // Extract seed entity information
-          for (const snippet of selectedSeedSnippets) {
-            const seedEntity = {
-              id: snippet.id,
-              seedEntityScore: snippet.initialScore || 0,
-              entityName: snippet.entityName,
-              sourceType: snippet.sourceType,
-              filePath: snippet.filePath,
-              entityType: snippet.entityType,
-            };
-
-            seedEntities.push(seedEntity);
-
-            this.logger.debug(
-              "Selected seed entity for relationship expansion",
-              {
-                entityId: seedEntity.id,
-                entityName: seedEntity.entityName,
-                seedEntityScore: seedEntity.seedEntityScore,
-                sourceType: seedEntity.sourceType,
-                filePath: seedEntity.filePath,
-              }
-            );
-          }
-
-          this.logger.info("Seed entity identification completed", {
-            conversationId: conversationId,
-            totalCodeEntitySnippets: codeEntitySnippets.length,
-            maxSeedEntities: maxSeedEntities,
-            seedEntitiesIdentified: seedEntities.length,
-            seedEntityIds: seedEntities.map((se) => se.id),
-          });
-        }
-      } catch (error) {
-        this.logger.error("Error during seed entity identification", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-        });
-        // Continue without seed entities if there's an error
-      }
-
-      // Step 15b: Perform relationship expansion for seed entities (Task 236) and merge results (Task 237)
-      let relationshipDerivedSnippets = []; // Collect all relationship-derived snippets
-      try {
-        this.logger.debug("Starting relationship expansion for seed entities", {
-          conversationId: conversationId,
-          seedEntitiesCount: seedEntities.length,
-          hasRelationshipManager: !!this.relationshipManager,
-        });
-
-        if (seedEntities.length > 0 && this.relationshipManager) {
-          // Process each seed entity for relationship expansion
-          for (let i = 0; i < seedEntities.length; i++) {
-            const seedEntity = seedEntities[i];
-
-            try {
-              this.logger.debug(
-                `Processing seed entity ${i + 1}/${
-                  seedEntities.length
-                } for relationship expansion`,
-                {
-                  seedEntityId: seedEntity.id,
-                  seedEntityName: seedEntity.entityName,
-                  seedEntityScore: seedEntity.initialScore,
-                  conversationId: conversationId,
-                }
-              );
-
-              // Call RelationshipManager to get related entities
-              const relatedSnippets =
-                await this.relationshipManager.getRelatedEntities(
-                  seedEntity.id,
-                  searchTerms, // Pass the search terms for query relevance scoring
-                  seedEntity.initialScore // Pass the seed entity's score for scoring calculations
-                );
-
-              this.logger.debug(
-                "Relationship expansion completed for seed entity",
-                {
-                  seedEntityId: seedEntity.id,
-                  seedEntityName: seedEntity.entityName,
-                  relatedSnippetsFound: relatedSnippets.length,
-                  conversationId: conversationId,
-                }
-              );
-
-              // Collect relationship-derived snippets for later merging
-              if (relatedSnippets.length > 0) {
-                relationshipDerivedSnippets.push(...relatedSnippets);
-
-                this.logger.debug(
-                  "Collected relationship-derived snippets for merging",
-                  {
-                    seedEntityId: seedEntity.id,
-                    addedSnippetsCount: relatedSnippets.length,
-                    totalRelationshipSnippetsCollected:
-                      relationshipDerivedSnippets.length,
-                    conversationId: conversationId,
-                  }
-                );
-              }
-            } catch (seedEntityError) {
-              this.logger.error(
-                "Error processing seed entity for relationship expansion",
-                {
-                  error: seedEntityError.message,
-                  stack: seedEntityError.stack,
-                  seedEntityId: seedEntity.id,
-                  seedEntityName: seedEntity.entityName,
-                  conversationId: conversationId,
-                }
-              );
-              // Continue with the next seed entity
-            }
-          }
-
-          this.logger.info(
-            "Relationship expansion completed for all seed entities",
-            {
-              conversationId: conversationId,
-              seedEntitiesProcessed: seedEntities.length,
-              relationshipDerivedSnippetsCollected:
-                relationshipDerivedSnippets.length,
-              relationshipExpansionComplete: true,
-            }
-          );
-        } else {
-          this.logger.debug("Skipping relationship expansion", {
-            conversationId: conversationId,
-            reason:
-              seedEntities.length === 0
-                ? "No seed entities identified"
-                : "RelationshipManager not available",
-            seedEntitiesCount: seedEntities.length,
-            hasRelationshipManager: !!this.relationshipManager,
-          });
-        }
-      } catch (error) {
-        this.logger.error("Error during relationship expansion", {
-          error: error.message,
-          stack: error.stack,
-          conversationId: conversationId,
-          seedEntitiesCount: seedEntities.length,
-        });
-        // Continue with empty relationship-derived snippets
-        relationshipDerivedSnippets = [];
-      }
-
-      // Task 237: Merge relationship-derived snippets into main candidate list with duplicate handling
-      try {
-        this.logger.debug("Starting merge of relationship-derived snippets", {
-          conversationId: conversationId,
-          existingCandidateSnippets: candidateSnippets.length,
-          relationshipDerivedSnippets: relationshipDerivedSnippets.length,
-        });
-
-        if (relationshipDerivedSnippets.length > 0) {
-          // Use Map to handle duplicates based on entity ID for code entities
-          const candidateSnippetsMap = new Map();
-
-          // First, add all existing candidate snippets to the map
-          for (const snippet of candidateSnippets) {
-            let mapKey;
-
-            // For code entities, use entity ID as the key to detect duplicates
-            if (
-              (snippet.sourceType === "code_entity_fts" ||
-                snippet.sourceType === "code_entity_keyword") &&
-              snippet.id
-            ) {
-              mapKey = `entity_${snippet.id}`;
-            } else {
-              // For other types (documents, conversations, git), use their specific IDs
-              mapKey = `${snippet.sourceType}_${snippet.id}`;
-            }
-
-            candidateSnippetsMap.set(mapKey, snippet);
-          }
-
-          this.logger.debug("Added existing candidate snippets to merge map", {
-            conversationId: conversationId,
-            candidateSnippetsInMap: candidateSnippetsMap.size,
-          });
-
-          // Process relationship-derived snippets and handle duplicates
-          let mergedCount = 0;
-          let duplicatesHandled = 0;
-
-          for (const relationshipSnippet of relationshipDerivedSnippets) {
-            // For relationship-derived snippets (which should be code entities),
-            // use entity ID as the key
-            const mapKey = `entity_${relationshipSnippet.id}`;
-
-            if (candidateSnippetsMap.has(mapKey)) {
-              // Handle duplicate - compare scores and keep the better one
-              const existingSnippet = candidateSnippetsMap.get(mapKey);
-              const existingScore = existingSnippet.initialScore || 0;
-              const relationshipScore = relationshipSnippet.initialScore || 0;
-
-              if (relationshipScore > existingScore) {
-                // Relationship snippet has better score, replace the existing one
-                // But preserve any existing relationship context if both exist
-                if (
-                  existingSnippet.relationshipContext &&
-                  relationshipSnippet.relationshipContext
-                ) {
-                  // Keep the existing relationship context and log the conflict
-                  this.logger.debug(
-                    "Multiple relationship contexts found for entity, keeping existing",
-                    {
-                      entityId: relationshipSnippet.id,
-                      existingRelationshipType:
-                        existingSnippet.relationshipContext.relationshipType,
-                      newRelationshipType:
-                        relationshipSnippet.relationshipContext
-                          .relationshipType,
-                      conversationId: conversationId,
-                    }
-                  );
-                }
-
-                candidateSnippetsMap.set(mapKey, relationshipSnippet);
-                duplicatesHandled++;
-
-                this.logger.debug(
-                  "Replaced existing snippet with higher-scoring relationship snippet",
-                  {
-                    entityId: relationshipSnippet.id,
-                    existingScore: existingScore,
-                    relationshipScore: relationshipScore,
-                    conversationId: conversationId,
-                  }
-                );
-              } else {
-                // Existing snippet has better score, but add relationship context if missing
-                if (
-                  !existingSnippet.relationshipContext &&
-                  relationshipSnippet.relationshipContext
-                ) {
-                  existingSnippet.relationshipContext =
-                    relationshipSnippet.relationshipContext;
-
-                  this.logger.debug(
-                    "Added relationship context to existing higher-scoring snippet",
-                    {
-                      entityId: relationshipSnippet.id,
-                      existingScore: existingScore,
-                      relationshipScore: relationshipScore,
-                      relationshipType:
-                        relationshipSnippet.relationshipContext
-                          .relationshipType,
-                      conversationId: conversationId,
-                    }
-                  );
-                }
-                duplicatesHandled++;
-              }
-            } else {
-              // No duplicate, add the relationship-derived snippet
-              candidateSnippetsMap.set(mapKey, relationshipSnippet);
-              mergedCount++;
-            }
-          }
-
-          // Convert the map back to an array
-          candidateSnippets = Array.from(candidateSnippetsMap.values());
-
-          this.logger.info(
-            "Relationship-derived snippets merged successfully",
-            {
-              conversationId: conversationId,
-              relationshipSnippetsProcessed: relationshipDerivedSnippets.length,
-              newSnippetsMerged: mergedCount,
-              duplicatesHandled: duplicatesHandled,
-              finalCandidateSnippetsCount: candidateSnippets.length,
-            }
-          );
-
-          // Task 241: INFO level logging for all sources merged stage completion
-          this.logger.info(
-            `Retrieval: Merged all sources, ${candidateSnippets.length} total candidates.`,
-            {
-              conversationId: conversationId,
-              stage: "merged_all_sources",
-              totalCandidates: candidateSnippets.length,
-              sourceBreakdown: {
-                code_entity_fts: candidateSnippets.filter(
-                  (s) => s.sourceType === "code_entity_fts"
-                ).length,
-                code_entity_keyword: candidateSnippets.filter(
-                  (s) => s.sourceType === "code_entity_keyword"
-                ).length,
-                project_document_fts: candidateSnippets.filter(
-                  (s) => s.sourceType === "project_document_fts"
-                ).length,
-                project_document_keyword: candidateSnippets.filter(
-                  (s) => s.sourceType === "project_document_keyword"
-                ).length,
-                conversation_message: candidateSnippets.filter(
-                  (s) => s.sourceType === "conversation_message"
-                ).length,
-                conversation_topic: candidateSnippets.filter(
-                  (s) => s.sourceType === "conversation_topic"
-                ).length,
-                git_commit: candidateSnippets.filter(
-                  (s) => s.sourceType === "git_commit"
-                ).length,
-                git_commit_file_change: candidateSnippets.filter(
-                  (s) => s.sourceType === "git_commit_file_change"
-                ).length,
-                code_entity_related: candidateSnippets.filter(
-                  (s) => s.sourceType === "code_entity_related"
-                ).length,
-              },
-            }
-          );
-        } else {
-          this.logger.debug("No relationship-derived snippets to merge", {
-            conversationId: conversationId,
-            existingCandidateSnippets: candidateSnippets.length,
-          });
-        }
-      } catch (mergeError) {
-        this.logger.error("Error during relationship snippets merging", {
-          error: mergeError.message,
-          stack: mergeError.stack,
-          conversationId: conversationId,
-          relationshipDerivedSnippetsCount: relationshipDerivedSnippets.length,
-          existingCandidateSnippetsCount: candidateSnippets.length,
-        });
-
-        // Fallback: simple concatenation if merging fails
-        if (relationshipDerivedSnippets.length > 0) {
-          candidateSnippets.push(...relationshipDerivedSnippets);
-          this.logger.debug(
-            "Applied fallback merge strategy (simple concatenation)",
-            {
-              conversationId: conversationId,
-              finalCandidateSnippetsCount: candidateSnippets.length,
-            }
-          );
-        }
-      }
-
-      // Step 16: Calculate consolidated scores for all candidate snippets
-      // Apply multi-factor ranking using source type weights, AI status weights, and recency factors
-      try {
-        // Task 213: Log number of candidate snippets before ranking
-        this.logger.debug("Number of candidate snippets before ranking", {
-          conversationId: conversationId,
-          candidateSnippetsBeforeRanking: candidateSnippets.length,
-        });
-
-        this.logger.debug(
-          "Starting multi-factor score calculation for candidate snippets",
-          {
-            conversationId: conversationId,
-            totalCandidateSnippets: candidateSnippets.length,
-          }
-        );
-
-        // Import ranking factor weights from configuration
-        const { RANKING_FACTOR_WEIGHTS } = await import("../config.js");
-
-        // Helper function to calculate recency boost for time-sensitive snippets
-        const calculateRecencyBoost = (timestampString) => {
-          if (!timestampString) {
-            return 0; // No recency boost if no timestamp
-          }
-
-          try {
-            const itemDate = new Date(timestampString);
-            const now = new Date();
-            const ageInMillis = now.getTime() - itemDate.getTime();
-            const ageInHours = ageInMillis / (1000 * 60 * 60);
-
-            const { maxBoost, decayRateHours, minAgeForDecay, maxAgeForBoost } =
-              RANKING_FACTOR_WEIGHTS.recency;
-
-            // No boost if item is too old
-            if (ageInHours > maxAgeForBoost) {
-              return 0;
+            const { maxBoost, decayRateHours, minAgeForDecay, maxAgeForBoost } =
+              RANKING_FACTOR_WEIGHTS.recency;
+
+            // No boost if item is too old
+            if (ageInHours > maxAgeForBoost) {
+              return 0;
             }
 
             // No decay if item is very recent
@@ -3487,6 +1852,20 @@ class RetrievalService {
             // Store the consolidated score on the snippet
             snippet.consolidatedScore = consolidatedScore;
 
+            if (snippet.explanation) {
+              snippet.explanation.scoreFactors = {
+                initialScore: snippet.initialScore || 0,
+                sourceTypeWeight: sourceTypeWeight,
+                aiStatusWeight: snippet.aiStatus
+                  ? RANKING_FACTOR_WEIGHTS.aiStatus[snippet.aiStatus] || 1.0
+                  : 1.0,
+                relationshipTypeWeight: relationshipTypeWeight,
+                relationshipBoost: relationshipBoost,
+                recencyBoost: recencyBoost,
+                consolidatedScore: consolidatedScore,
+              };
+            }
+
             scoreCalculationCount++;
 
             // Log detailed calculation for a sample of snippets for debugging/tuning
@@ -3607,7 +1986,7 @@ class RetrievalService {
         }
       }
 
-      // Step 17: Sort candidate snippets by consolidated score (highest first)
+      // Step 5: Sort candidate snippets by consolidated score (highest first)
       try {
         this.logger.debug(
           "Starting to sort candidate snippets by consolidated score",
@@ -3664,6 +2043,30 @@ class RetrievalService {
         // Continue without sorting if there's an error
       }
 
+      // Apply the minimum score and per-source caps to the ranked snippets
+      const rankedSnippetCount = candidateSnippets.length;
+      candidateSnippets = this._applyRankedSnippetLimits(
+        candidateSnippets,
+        retrievalParameters || {}
+      );
+      if (candidateSnippets.length !== rankedSnippetCount) {
+        this.logger.debug("Applied score threshold and per-source limits", {
+          conversationId: conversationId,
+          snippetsBefore: rankedSnippetCount,
+          snippetsAfter: candidateSnippets.length,
+          minScore: retrievalParameters?.minScore,
+          maxSnippetsPerSource: retrievalParameters?.maxSnippetsPerSource,
+        });
+      }
+
+      if (explain) {
+        candidateSnippets.forEach((snippet, index) => {
+          snippet.explanation.rank = index + 1;
+        });
+        pipelineTrace.candidatesRanked = rankedSnippetCount;
+        pipelineTrace.candidatesAfterScoreLimits = candidateSnippets.length;
+      }
+
       // Analyze score distribution across all candidate snippets for debugging/tuning
       this._analyzeScoreDistribution(candidateSnippets);
 
@@ -3671,159 +2074,473 @@ class RetrievalService {
       this.logger.info("Candidate snippet collection and analysis completed", {
         conversationId: conversationId,
         totalCandidateSnippets: candidateSnippets.length,
-        candidateSnippetsBySource: {
-          code_entity_fts: candidateSnippets.filter(
-            (s) => s.sourceType === "code_entity_fts"
-          ).length,
-          code_entity_keyword: candidateSnippets.filter(
-            (s) => s.sourceType === "code_entity_keyword"
-          ).length,
-          project_document_fts: candidateSnippets.filter(
-            (s) => s.sourceType === "project_document_fts"
-          ).length,
-          project_document_keyword: candidateSnippets.filter(
-            (s) => s.sourceType === "project_document_keyword"
-          ).length,
-          conversation_message: candidateSnippets.filter(
-            (s) => s.sourceType === "conversation_message"
-          ).length,
-          conversation_topic: candidateSnippets.filter(
-            (s) => s.sourceType === "conversation_topic"
-          ).length,
-          git_commit: candidateSnippets.filter(
-            (s) => s.sourceType === "git_commit"
-          ).length,
-          git_commit_file_change: candidateSnippets.filter(
-            (s) => s.sourceType === "git_commit_file_change"
-          ).length,
-          relationship_derived: candidateSnippets.filter(
-            // New: Track relationship-derived snippets
-            (s) => s.sourceType === "relationship_derived"
-          ).length,
-        },
+        candidateSnippetsBySource:
+          this._countSnippetsBySourceType(candidateSnippets),
         normalizationAnalysisComplete: true,
       });
 
-      // Task 222: Apply compression to ranked candidate snippets using CompressionService
-      this.logger.info("Starting context compression process", {
+      return {
+        rankedSnippets: candidateSnippets,
+        pipelineTrace: pipelineTrace,
+        candidatesFoundBySource: candidatesFoundBySource,
+      };
+    } catch (error) {
+      this.logger.error("Error retrieving ranked candidate snippets", {
+        error: error.message,
+        stack: error.stack,
+        query: query,
         conversationId: conversationId,
-        rankedCandidateSnippets: candidateSnippets.length,
-        tokenBudget: tokenBudget,
       });
+      throw error;
+    }
+  }
 
-      let compressionResult;
-      try {
-        // Call CompressionService with the ranked snippets and token budget
-        compressionResult = this.compressionService.compressSnippets(
-          candidateSnippets,
-          tokenBudget
-        );
 
-        this.logger.info("Context compression completed successfully", {
-          conversationId: conversationId,
-          snippetsFoundBeforeCompression:
-            compressionResult.summaryStats.snippetsFoundBeforeCompression,
-          snippetsReturnedAfterCompression:
-            compressionResult.summaryStats.snippetsReturnedAfterCompression,
-          estimatedTokensIn: compressionResult.summaryStats.estimatedTokensIn,
-          estimatedTokensOut: compressionResult.summaryStats.estimatedTokensOut,
-          tokenBudgetGiven: compressionResult.summaryStats.tokenBudgetGiven,
-          tokenBudgetRemaining:
-            compressionResult.summaryStats.tokenBudgetRemaining,
-        });
+  /**
+   * Registers an additional candidate source for getRelevantContext
+   * A source with the same name as a registered one replaces it in place.
+   * @param {import('./retrieval-sources/candidate.source.js').CandidateSource} source - The source to register
+   * @param {Object} [options] - Registration options
+   * @param {string} [options.before] - Name of the source to insert before; appended when omitted or unknown
+   */
+  registerCandidateSource(source, { before } = {}) {
+    if (!source || !source.name || typeof source.retrieve !== "function") {
+      throw new Error("Candidate sources need a name and a retrieve method");
+    }
 
-        // Task 241: INFO level logging for compression stage completion
-        this.logger.info(`Retrieval: Compression complete.`, {
-          conversationId: conversationId,
-          stage: "compression_complete",
-          snippetsBeforeCompression:
-            compressionResult.summaryStats.snippetsFoundBeforeCompression,
-          snippetsAfterCompression:
-            compressionResult.summaryStats.snippetsReturnedAfterCompression,
-          tokenBudgetUsed:
-            compressionResult.summaryStats.tokenBudgetGiven -
-            compressionResult.summaryStats.tokenBudgetRemaining,
-        });
-      } catch (compressionError) {
-        this.logger.error("Error during context compression", {
-          error: compressionError.message,
-          stack: compressionError.stack,
+    const existingIndex = this.candidateSources.findIndex(
+      (registered) => registered.name === source.name
+    );
+    if (existingIndex !== -1) {
+      this.candidateSources[existingIndex] = source;
+    } else {
+      const beforeIndex = this.candidateSources.findIndex(
+        (registered) => registered.name === before
+      );
+      if (beforeIndex !== -1) {
+        this.candidateSources.splice(beforeIndex, 0, source);
+      } else {
+        this.candidateSources.push(source);
+      }
+    }
+
+    // Cached candidates were produced by the previous set of sources
+    this.retrievalCache.clear();
+
+    this.logger.info("Retrieval candidate source registered", {
+      source: source.name,
+      replacedExisting: existingIndex !== -1,
+      candidateSources: this.candidateSources.map(
+        (registered) => registered.name
+      ),
+    });
+  }
+
+  /**
+   * Private helper method to build the cache key of a query's ranked candidates
+   * The key includes the project's index version, which indexing, the Git
+   * monitor and AI jobs bump, and the number of messages in the conversation,
+   * so cached candidates are never reused after the data they came from changed.
+   * @param {string} query - The agent's query for context
+   * @param {string} conversationId - The active conversation session ID
+   * @param {Object} retrievalParameters - Parameters passed to getRelevantContext
+   * @param {string} projectId - Project to search
+   * @returns {Promise<string|null>} The cache key, or null if caching is disabled or the versions cannot be read
+   * @private
+   */
+  async _getRetrievalCacheKey(
+    query,
+    conversationId,
+    retrievalParameters,
+    projectId
+  ) {
+    if (this.retrievalCache.maxEntries === 0) {
+      return null;
+    }
+
+    try {
+      const [indexVersion, messageCount] = await Promise.all([
+        dbQueries.getIndexVersion(this.dbClient, projectId),
+        dbQueries.getConversationMessageCount(this.dbClient, conversationId),
+      ]);
+
+      return toCanonicalJson([
+        projectId,
+        conversationId,
+        String(query || "")
+          .toLowerCase()
+          .replace(/\s+/g, " ")
+          .trim(),
+        retrievalParameters,
+        indexVersion,
+        messageCount,
+      ]);
+    } catch (error) {
+      this.logger.warn(
+        "Could not read index version, retrieving without cache",
+        {
+          error: error.message,
+          projectId: projectId,
           conversationId: conversationId,
-          candidateSnippetsCount: candidateSnippets.length,
-          tokenBudget: tokenBudget,
-        });
+        }
+      );
+      return null;
+    }
+  }
 
-        // Create fallback result if compression fails
-        compressionResult = {
-          finalSnippets: [],
-          summaryStats: {
-            snippetsFoundBeforeCompression: candidateSnippets.length,
-            snippetsReturnedAfterCompression: 0,
-            estimatedTokensIn: 0,
-            estimatedTokensOut: 0,
-            tokenBudgetGiven: tokenBudget,
-            tokenBudgetRemaining: tokenBudget,
-            error: compressionError.message,
-          },
-        };
+  /**
+   * Private helper method to build the context shared by all candidate sources of one query
+   * Code entity and document lookups are cached so sources finding the same
+   * entity only fetch it once.
+   * @param {Object} params - Query data
+   * @param {string} params.query - The original query
+   * @param {string} params.conversationId - The active conversation session ID
+   * @param {string} params.projectId - The project being searched
+   * @param {Object} params.retrievalParameters - Parameters passed to getRelevantContext
+   * @param {string[]} params.searchTerms - Processed search terms
+   * @param {string} params.ftsQueryString - Prepared FTS query string
+   * @returns {import('./retrieval-sources/candidate.source.js').RetrievalContext} Context without limit and candidates
+   * @private
+   */
+  _createRetrievalContext({
+    query,
+    conversationId,
+    projectId,
+    retrievalParameters,
+    searchTerms,
+    ftsQueryString,
+  }) {
+    const codeEntityCache = new Map();
+    const projectDocumentCache = new Map();
+
+    const cachedLookup = (cache, lookup) => (id) => {
+      if (!cache.has(id)) {
+        cache.set(
+          id,
+          lookup(this.dbClient, id).catch((error) => {
+            this.logger.error("Error fetching record for retrieval", {
+              error: error.message,
+              stack: error.stack,
+              id: id,
+            });
+            return null;
+          })
+        );
       }
+      return cache.get(id);
+    };
+
+    return {
+      query,
+      conversationId,
+      projectId,
+      retrievalParameters,
+      searchTerms,
+      ftsQueryString,
+      isGitHistoryQuery: this._isGitHistoryQuery(query, searchTerms),
+      dbClient: this.dbClient,
+      logger: this.logger,
+      embedder: this.embedder,
+      relationshipManager: this.relationshipManager,
+      getCodeEntity: cachedLookup(codeEntityCache, dbQueries.getCodeEntityById),
+      getProjectDocument: cachedLookup(
+        projectDocumentCache,
+        dbQueries.getProjectDocumentById
+      ),
+    };
+  }
 
-      // For Story 4.1, return the stub response while storing the hits for future use
-      // TODO: In subsequent tasks, these hits will be processed into actual context snippets
+  /**
+   * Private helper method to pick the candidate sources to run and their order
+   * retrievalParameters.sources takes precedence over RETRIEVAL_SOURCES; sources
+   * disabled by either retrievalParameters.disabledSources or
+   * RETRIEVAL_DISABLED_SOURCES are skipped. Unknown names are ignored.
+   * @param {Object} retrievalParameters - Parameters passed to getRelevantContext
+   * @returns {Array<Object>} The candidate sources to run, in order
+   * @private
+   */
+  _selectCandidateSources(retrievalParameters) {
+    const requestedNames =
+      retrievalParameters.sources || this.configService?.RETRIEVAL_SOURCES;
+    const disabledNames = new Set([
+      ...(this.configService?.RETRIEVAL_DISABLED_SOURCES || []),
+      ...(retrievalParameters.disabledSources || []),
+    ]);
 
-      this.logger.info("getRelevantContext processing completed", {
-        conversationId: conversationId,
-        codeEntityHitsFound: codeEntityHits.length,
-        documentHitsFound: documentHits.length,
-        keywordMatchedEntitiesFound: keywordMatchedEntities.length,
-        codeEntitiesFetched: Object.keys(retrievedCodeEntities).length,
-        projectDocumentsFetched: Object.keys(retrievedProjectDocuments).length,
-        codeEntityCandidateSnippets: candidateSnippets.filter(
-          (s) =>
-            s.sourceType === "code_entity_fts" ||
-            s.sourceType === "code_entity_keyword"
-        ).length,
-        projectDocumentCandidateSnippets: candidateSnippets.filter(
-          (s) =>
-            s.sourceType === "project_document_fts" ||
-            s.sourceType === "project_document_keyword"
-        ).length,
-        totalCandidateSnippets: candidateSnippets.length,
-        conversationHistorySnippets: matchedMessages.length,
-        conversationTopicsSnippets: matchedTopics.length,
-        conversationMessageCandidateSnippets: candidateSnippets.filter(
-          (s) => s.sourceType === "conversation_message"
-        ).length,
-        conversationTopicCandidateSnippets: candidateSnippets.filter(
-          (s) => s.sourceType === "conversation_topic"
-        ).length,
-        gitCommitsFound: matchedGitCommits.length, // New: Git commit search results
-        gitCommitFilesFound: matchedCommitFiles.length, // New: Git commit file change search results
-        seedEntitiesIdentified: seedEntities.length, // New: Seed entities for relationship expansion
-        relationshipDerivedSnippets: candidateSnippets.filter(
-          // New: Relationship-derived snippets
-          (s) => s.sourceType === "relationship_derived"
-        ).length,
-        finalContextSnippets: compressionResult.finalSnippets.length, // New: Final compressed snippets
-        // Will be expanded with snippet processing in subsequent tasks
-      });
+    let selectedSources = this.candidateSources;
+    if (requestedNames && requestedNames.length > 0) {
+      const sourcesByName = new Map(
+        this.candidateSources.map((source) => [source.name, source])
+      );
+      const unknownNames = requestedNames.filter(
+        (name) => !sourcesByName.has(name)
+      );
+      if (unknownNames.length > 0) {
+        this.logger.warn("Ignoring unknown retrieval candidate sources", {
+          unknownSources: unknownNames,
+          availableSources: [...sourcesByName.keys()],
+        });
+      }
 
-      return {
-        contextSnippets: compressionResult.finalSnippets,
-        retrievalSummary: compressionResult.summaryStats,
-        // processedOk is handled by the handler based on whether this throws
-      };
+      selectedSources = [...new Set(requestedNames)]
+        .filter((name) => sourcesByName.has(name))
+        .map((name) => sourcesByName.get(name));
+    }
+
+    return selectedSources.filter((source) => !disabledNames.has(source.name));
+  }
+
+  /**
+   * Private helper method to get the hit limit for a candidate source
+   * @param {Object} source - The candidate source
+   * @param {Object} [retrievalParameters] - Parameters passed to getRelevantContext
+   * @returns {number} retrievalParameters.sourceLimits[source.name] if set, else the source default
+   * @private
+   */
+  _getCandidateSourceLimit(source, retrievalParameters) {
+    const requestedLimit = retrievalParameters?.sourceLimits?.[source.name];
+    return Number.isInteger(requestedLimit) && requestedLimit > 0
+      ? requestedLimit
+      : source.limit;
+  }
+
+  /**
+   * Private helper method to get the root directory of a project
+   * Indexed file paths are absolute paths below this directory.
+   * @param {string} projectId - ID of the project
+   * @returns {Promise<string|null>} The project's root_path, else PROJECT_PATH
+   * @private
+   */
+  async _getProjectRootPath(projectId) {
+    try {
+      const project = projectId
+        ? await dbQueries.getProjectById(this.dbClient, projectId)
+        : null;
+      return project?.root_path || this.configService?.PROJECT_PATH || null;
     } catch (error) {
-      this.logger.error("Error in getRelevantContext", {
-        error: error.message,
-        stack: error.stack,
-        query: query,
-        conversationId: conversationId,
+      this.logger.warn(
+        "Could not look up the project root, using PROJECT_PATH",
+        { error: error.message, projectId }
+      );
+      return this.configService?.PROJECT_PATH || null;
+    }
+  }
+
+  /**
+   * Private helper method to build the snippet filter for a query
+   * @param {Object} retrievalParameters - Parameters passed to getRelevantContext
+   * @param {string|null} [projectRootPath] - Project root that absolute snippet paths are matched relative to
+   * @returns {Object|null} Filter with normalized values, or null when no filter is requested
+   * @private
+   */
+  _createSnippetFilter(retrievalParameters, projectRootPath = null) {
+    const toSet = (values, normalize = (value) => value) =>
+      Array.isArray(values) && values.length > 0
+        ? new Set(values.map(normalize))
+        : null;
+    const toLowerCase = (value) => String(value).toLowerCase();
+
+    const snippetFilter = {
+      includeSourceTypes: toSet(retrievalParameters.includeSourceTypes),
+      excludeSourceTypes: toSet(retrievalParameters.excludeSourceTypes),
+      filePathPatterns:
+        Array.isArray(retrievalParameters.filterByFilePaths) &&
+        retrievalParameters.filterByFilePaths.length > 0
+          ? retrievalParameters.filterByFilePaths.map(globToRegExp)
+          : null,
+      languages: toSet(retrievalParameters.languages, toLowerCase),
+      entityTypes: toSet(retrievalParameters.entityTypes, toLowerCase),
+    };
+
+    return Object.values(snippetFilter).some((value) => value !== null)
+      ? { ...snippetFilter, projectRootPath }
+      : null;
+  }
+
+  /**
+   * Private helper method to check whether a candidate source can produce snippets the filter keeps
+   * Sources that do not declare their source types are always run.
+   * @param {Object} source - The candidate source
+   * @param {Object|null} snippetFilter - Filter from _createSnippetFilter
+   * @returns {boolean} False if every source type of the source is filtered out
+   * @private
+   */
+  _isSourceAllowedByFilter(source, snippetFilter) {
+    if (!snippetFilter || !Array.isArray(source.sourceTypes)) return true;
+
+    return source.sourceTypes.some(
+      (sourceType) =>
+        (!snippetFilter.includeSourceTypes ||
+          snippetFilter.includeSourceTypes.has(sourceType)) &&
+        (!snippetFilter.excludeSourceTypes ||
+          !snippetFilter.excludeSourceTypes.has(sourceType))
+    );
+  }
+
+  /**
+   * Private helper method to drop candidate snippets that do not pass the filter
+   * Path, language and entity type filters only apply to snippets that have a
+   * file path, language or entity type; use the source type filters to drop
+   * conversation or Git history snippets.
+   * @param {Array<Object>} candidateSnippets - The candidate snippets
+   * @param {Object|null} snippetFilter - Filter from _createSnippetFilter
+   * @returns {Array<Object>} The snippets that pass the filter
+   * @private
+   */
+  _filterCandidateSnippets(candidateSnippets, snippetFilter) {
+    if (!snippetFilter) return candidateSnippets;
+
+    return candidateSnippets.filter((snippet) => {
+      if (
+        snippetFilter.includeSourceTypes &&
+        !snippetFilter.includeSourceTypes.has(snippet.sourceType)
+      ) {
+        return false;
+      }
+      if (
+        snippetFilter.excludeSourceTypes &&
+        snippetFilter.excludeSourceTypes.has(snippet.sourceType)
+      ) {
+        return false;
+      }
+
+      // Git file change snippets keep their path in the metadata
+      const filePath = snippet.filePath || snippet.metadata?.filePath;
+      if (
+        snippetFilter.filePathPatterns &&
+        filePath &&
+        !matchesAnyGlob(
+          filePath,
+          snippetFilter.filePathPatterns,
+          snippetFilter.projectRootPath
+        )
+      ) {
+        return false;
+      }
+      if (
+        snippetFilter.languages &&
+        snippet.language &&
+        !snippetFilter.languages.has(snippet.language.toLowerCase())
+      ) {
+        return false;
+      }
+      if (
+        snippetFilter.entityTypes &&
+        snippet.entityType &&
+        !snippetFilter.entityTypes.has(snippet.entityType.toLowerCase())
+      ) {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Private helper method to apply minScore and maxSnippetsPerSource to ranked snippets
+   * @param {Array<Object>} rankedSnippets - Snippets sorted by consolidatedScore (highest first)
+   * @param {Object} retrievalParameters - Parameters passed to getRelevantContext
+   * @returns {Array<Object>} The snippets that are kept, in their ranked order
+   * @private
+   */
+  _applyRankedSnippetLimits(rankedSnippets, retrievalParameters) {
+    const { minScore, maxSnippetsPerSource } = retrievalParameters;
+    const hasMinScore = typeof minScore === "number";
+    const hasSourceCap =
+      Number.isInteger(maxSnippetsPerSource) && maxSnippetsPerSource > 0;
+
+    if (!hasMinScore && !hasSourceCap) return rankedSnippets;
+
+    const keptBySourceType = {};
+    return rankedSnippets.filter((snippet) => {
+      if (hasMinScore && (snippet.consolidatedScore || 0) < minScore) {
+        return false;
+      }
+      if (hasSourceCap) {
+        const keptCount = keptBySourceType[snippet.sourceType] || 0;
+        if (keptCount >= maxSnippetsPerSource) return false;
+        keptBySourceType[snippet.sourceType] = keptCount + 1;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Private helper method to remember which source produced each candidate snippet
+   * Sources that fuse or de-duplicate candidates drop snippets while merging,
+   * so producers are recorded per item before the merge.
+   * @param {Map<string, Array<Object>>} snippetProducers - Producers by merge key, updated in place
+   * @param {string} sourceName - Name of the candidate source
+   * @param {Array<Object>} sourceSnippets - Snippets the source returned
+   * @private
+   */
+  _recordSnippetProducers(snippetProducers, sourceName, sourceSnippets) {
+    for (const snippet of sourceSnippets) {
+      const mergeKey = getCandidateMergeKey(snippet);
+      if (!snippetProducers.has(mergeKey)) {
+        snippetProducers.set(mergeKey, []);
+      }
+      snippetProducers.get(mergeKey).push({
+        source: sourceName,
+        sourceType: snippet.sourceType,
+        initialScore: snippet.initialScore || 0,
+        ...(snippet.ftsHighlight ? { ftsHighlight: snippet.ftsHighlight } : {}),
       });
+    }
+  }
 
-      // Re-throw the error to let the handler deal with it
-      throw error;
+  /**
+   * Private helper method to start the explanation of a candidate snippet
+   * Score factors and the rank are added once the snippet has been ranked.
+   * @param {Object} snippet - The merged candidate snippet
+   * @param {Map<string, Array<Object>>} snippetProducers - Producers from _recordSnippetProducers
+   * @param {string[]} searchTerms - Processed search terms
+   * @returns {Object} Explanation with the producing sources, matched terms and FTS highlights
+   * @private
+   */
+  _createSnippetExplanation(snippet, snippetProducers, searchTerms) {
+    const producers = snippetProducers.get(getCandidateMergeKey(snippet)) || [
+      {
+        source: "unknown",
+        sourceType: snippet.sourceType,
+        initialScore: snippet.initialScore || 0,
+      },
+    ];
+    const ftsHighlights = [
+      ...new Set(
+        producers
+          .map((producer) => producer.ftsHighlight)
+          .filter((highlight) => !!highlight)
+      ),
+    ];
+    const matchedText = [
+      snippet.entityName,
+      snippet.filePath || snippet.metadata?.filePath,
+      snippet.contentSnippet,
+      ...ftsHighlights,
+    ]
+      .filter((text) => !!text)
+      .join("\n");
+
+    return {
+      sources: producers.map(({ ftsHighlight, ...producer }) => producer),
+      matchedTerms: findMatchingTerms(matchedText, searchTerms),
+      ftsHighlights: ftsHighlights,
+    };
+  }
+
+  /**
+   * Private helper method to count candidate snippets per source type for logging
+   * @param {Array<Object>} candidateSnippets - The candidate snippets
+   * @returns {Object<string, number>} Number of snippets per sourceType
+   * @private
+   */
+  _countSnippetsBySourceType(candidateSnippets) {
+    const counts = {};
+    for (const snippet of candidateSnippets) {
+      counts[snippet.sourceType] = (counts[snippet.sourceType] || 0) + 1;
     }
+    return counts;
   }
 
   /**
@@ -0,0 +1,398 @@
+/**
+ * Working Tree Watcher Service
+ *
+ * GitMonitorService only indexes what has been committed. This service
+ * watches the project directory and reindexes files as they are saved, so
+ * retrieval sees the code the developer is editing right now. Changes are
+ * collected until the working tree has been quiet for WORKING_TREE_DEBOUNCE_MS
+ * and files ignored by Git are dropped as soon as they are reported.
+ *
+ * Entities and documents of files that differ from HEAD are marked with an
+ * uncommitted_at timestamp, which retrieval uses as their recency. The marks
+ * are cleared when a file is reindexed without changes, and whenever the Git
+ * index or refs change (e.g. after a commit, reset or checkout) for the marked
+ * files that match HEAD again.
+ */
+
+import * as git from "isomorphic-git";
+import fs from "fs";
+import path from "path";
+import config from "../config.js";
+import logger from "../utils/logger.js";
+import {
+  bumpIndexVersion,
+  getUncommittedFilePaths,
+  setFileUncommittedState,
+} from "../db/queries.js";
+import { IndexingService } from "./indexing.service.js";
+
+// Files under .git whose changes can turn uncommitted files into committed ones
+const GIT_STATE_PATH_PATTERN = /^\.git\/(index|HEAD|packed-refs|refs\/.+)$/;
+
+// Files under .git holding ignore rules
+const GIT_IGNORE_RULES_PATH = ".git/info/exclude";
+
+export class WorkingTreeWatcherService {
+  /**
+   * Creates a new WorkingTreeWatcherService instance
+   * @param {Object} options - Configuration options
+   * @param {Object} options.dbClient - The database client instance
+   * @param {string} options.projectId - ID of the project whose working tree is watched
+   * @param {string} [options.projectPath] - Root of the working tree (defaults to PROJECT_PATH)
+   * @param {Object} [options.indexingService] - Indexing service (defaults to a new IndexingService)
+   * @param {Object} [options.configService] - Configuration service (defaults to config)
+   */
+  constructor({
+    dbClient,
+    projectId,
+    projectPath = config.PROJECT_PATH,
+    indexingService = null,
+    configService = config,
+  }) {
+    this.dbClient = dbClient;
+    this.projectId = projectId;
+    this.projectPath = path.resolve(projectPath);
+    this.indexingService =
+      indexingService || new IndexingService({ dbClient, projectId });
+    this.configService = configService;
+    this.debounceMs = configService.WORKING_TREE_DEBOUNCE_MS ?? 1000;
+
+    this.watcher = null;
+    this.debounceTimer = null;
+    this.pendingPaths = new Set();
+    this.marksStale = false;
+    this.isFlushing = false;
+    this.flushRequested = false;
+    this.isStopped = false;
+    // Directory path -> whether Git ignores it, until an ignore file changes
+    this.ignoredDirectoryCache = new Map();
+
+    // Writes to a database inside the project must not trigger reindexing
+    this.ignoredDirectory = this._getDatabaseDirectory();
+  }
+
+  /**
+   * Resolves the database directory relative to the working tree
+   * @private
+   * @returns {string|null} Relative path of the directory, or null if it is outside the working tree
+   */
+  _getDatabaseDirectory() {
+    const databasePath = this.configService.DATABASE_PATH;
+    if (!databasePath || databasePath === ":memory:") {
+      return null;
+    }
+
+    const relativePath = path.relative(
+      this.projectPath,
+      path.dirname(path.resolve(databasePath))
+    );
+    if (!relativePath || relativePath.startsWith("..")) {
+      return null;
+    }
+    return relativePath.split(path.sep).join("/");
+  }
+
+  /**
+   * Starts watching the working tree
+   * Files that changed while the server was not running are reindexed first.
+   * Does nothing when WORKING_TREE_WATCH is false.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.watcher) {
+      logger.warn("WorkingTreeWatcherService is already running");
+      return;
+    }
+
+    if (this.configService.WORKING_TREE_WATCH === false) {
+      logger.info("Working tree watching disabled (WORKING_TREE_WATCH=false)");
+      return;
+    }
+
+    try {
+      this.watcher = fs.watch(
+        this.projectPath,
+        { recursive: true },
+        (eventType, filename) => this.handleFileEvent(filename)
+      );
+    } catch (error) {
+      // Recursive watching needs Node.js 20 on Linux
+      logger.warn(
+        "Working tree watching is unavailable, uncommitted edits will not be indexed",
+        { error: error.message, code: error.code }
+      );
+      return;
+    }
+    this.isStopped = false;
+    this.watcher.on("error", (error) => {
+      logger.error("Error watching the working tree", {
+        error: error.message,
+        stack: error.stack,
+      });
+    });
+
+    for (const filepath of await this._getChangedFilePaths()) {
+      this.pendingPaths.add(filepath);
+    }
+    this.marksStale = true;
+    await this.flushChanges();
+
+    logger.info("WorkingTreeWatcherService started", {
+      projectPath: this.projectPath,
+      debounceMs: this.debounceMs,
+    });
+  }
+
+  /**
+   * Stops watching the working tree
+   * Changes that were not flushed yet are dropped.
+   * @returns {void}
+   */
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+    this.pendingPaths.clear();
+    this.isStopped = true;
+    logger.info("WorkingTreeWatcherService stopped");
+  }
+
+  /**
+   * Records a changed path reported by the file system watcher
+   * Paths ignored by Git are dropped before they are queued.
+   * @param {string|null} filename - Path relative to the working tree
+   * @returns {Promise<void>}
+   */
+  async handleFileEvent(filename) {
+    if (!filename) {
+      return;
+    }
+
+    const relativePath = filename.split(path.sep).join("/");
+    if (relativePath === ".git" || relativePath.startsWith(".git/")) {
+      if (relativePath === GIT_IGNORE_RULES_PATH) {
+        this.ignoredDirectoryCache.clear();
+      }
+      if (GIT_STATE_PATH_PATTERN.test(relativePath)) {
+        this.marksStale = true;
+        this._scheduleFlush();
+      }
+      return;
+    }
+
+    if (
+      this.ignoredDirectory &&
+      (relativePath === this.ignoredDirectory ||
+        relativePath.startsWith(`${this.ignoredDirectory}/`))
+    ) {
+      return;
+    }
+
+    if (path.posix.basename(relativePath) === ".gitignore") {
+      this.ignoredDirectoryCache.clear();
+    }
+    try {
+      if (await this._isIgnored(relativePath)) {
+        return;
+      }
+    } catch (error) {
+      // The flush checks the Git status of the file again
+      logger.debug(`Could not check whether ${relativePath} is ignored`, {
+        error: error.message,
+      });
+    }
+    if (this.isStopped) {
+      return;
+    }
+
+    this.pendingPaths.add(relativePath);
+    this._scheduleFlush();
+  }
+
+  /**
+   * Checks whether Git ignores a path or one of its directories
+   * The answers for directories are cached, so events from inside an ignored
+   * directory such as node_modules only read the ignore rules once.
+   * @private
+   * @param {string} relativePath - Path relative to the working tree
+   * @returns {Promise<boolean>} True if the path is ignored
+   */
+  async _isIgnored(relativePath) {
+    const segments = relativePath.split("/");
+    for (let index = 1; index < segments.length; index++) {
+      const directory = segments.slice(0, index).join("/");
+      let ignored = this.ignoredDirectoryCache.get(directory);
+      if (ignored === undefined) {
+        ignored = await git.isIgnored({
+          fs,
+          dir: this.projectPath,
+          filepath: directory,
+        });
+        this.ignoredDirectoryCache.set(directory, ignored);
+      }
+      if (ignored) {
+        return true;
+      }
+    }
+
+    return git.isIgnored({ fs, dir: this.projectPath, filepath: relativePath });
+  }
+
+  /**
+   * Restarts the debounce timer of the next flush
+   * @private
+   * @returns {void}
+   */
+  _scheduleFlush() {
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.flushChanges();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Lists the files of the working tree that differ from HEAD
+   * @private
+   * @returns {Promise<Array<string>>} Paths relative to the working tree
+   */
+  async _getChangedFilePaths() {
+    const matrix = await git.statusMatrix({ fs, dir: this.projectPath });
+
+    // Rows are [filepath, head, workdir, stage]; 1, 1, 1 means unmodified
+    return matrix
+      .filter(
+        ([, head, workdir, stage]) =>
+          !(head === 1 && workdir === 1 && stage === 1)
+      )
+      .map(([filepath]) => filepath);
+  }
+
+  /**
+   * Gets the Git status of a file
+   * @private
+   * @param {string} filepath - Path relative to the working tree
+   * @returns {Promise<string>} The isomorphic-git status, e.g. "unmodified", "*modified" or "ignored"
+   */
+  async _getFileStatus(filepath) {
+    return git.status({ fs, dir: this.projectPath, filepath });
+  }
+
+  /**
+   * Reindexes the changed files and updates the uncommitted marks
+   * Errors are logged rather than thrown so watching keeps going.
+   * @returns {Promise<Object|null>} Counts of { reindexed, marked, unmarked }, or null if a flush is already in progress
+   */
+  async flushChanges() {
+    // Changes arriving during a flush are picked up by another flush afterwards
+    if (this.isFlushing) {
+      this.flushRequested = true;
+      return null;
+    }
+
+    this.isFlushing = true;
+    this.flushRequested = false;
+    const changedPaths = [...this.pendingPaths];
+    const refreshMarks = this.marksStale;
+    this.pendingPaths.clear();
+    this.marksStale = false;
+
+    const result = { reindexed: 0, marked: 0, unmarked: 0 };
+    try {
+      const fileChanges = [];
+      // Absolute file path -> whether its content is uncommitted
+      const uncommittedStates = new Map();
+
+      for (const relativePath of changedPaths) {
+        const filePath = path.join(this.projectPath, relativePath);
+        try {
+          const stats = await fs.promises.stat(filePath).catch(() => null);
+          if (stats && !stats.isFile()) {
+            continue;
+          }
+
+          const status = await this._getFileStatus(relativePath);
+          if (status === "ignored") {
+            continue;
+          }
+
+          fileChanges.push({
+            filePath,
+            status: stats ? "modified" : "deleted",
+          });
+          if (stats) {
+            uncommittedStates.set(filePath, status !== "unmodified");
+          }
+        } catch (error) {
+          logger.warn(`Skipping working tree change of ${relativePath}`, {
+            error: error.message,
+          });
+        }
+      }
+
+      if (fileChanges.length > 0) {
+        await this.indexingService.processFileChanges(fileChanges);
+        result.reindexed = fileChanges.length;
+      }
+
+      if (refreshMarks) {
+        const markedPaths = await getUncommittedFilePaths(
+          this.dbClient,
+          this.projectId
+        );
+        for (const filePath of markedPaths) {
+          if (uncommittedStates.has(filePath)) {
+            continue;
+          }
+          const status = await this._getFileStatus(
+            path.relative(this.projectPath, filePath).split(path.sep).join("/")
+          ).catch(() => null);
+          if (status === "unmodified") {
+            uncommittedStates.set(filePath, false);
+          }
+        }
+      }
+
+      for (const [filePath, uncommitted] of uncommittedStates) {
+        await setFileUncommittedState(
+          this.dbClient,
+          this.projectId,
+          filePath,
+          uncommitted
+        );
+        result[uncommitted ? "marked" : "unmarked"]++;
+      }
+
+      if (uncommittedStates.size > 0) {
+        // Cached retrieval results do not know about the new marks
+        await bumpIndexVersion(this.dbClient, this.projectId);
+      }
+
+      if (fileChanges.length > 0 || uncommittedStates.size > 0) {
+        logger.info("Working tree changes indexed", result);
+      }
+      return result;
+    } catch (error) {
+      logger.error("Error indexing working tree changes", {
+        error: error.message,
+        stack: error.stack,
+        files: changedPaths.length,
+      });
+      return result;
+    } finally {
+      this.isFlushing = false;
+      if (this.flushRequested && this.watcher) {
+        this._scheduleFlush();
+      }
+    }
+  }
+}
+
+export default WorkingTreeWatcherService;
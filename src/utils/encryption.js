@@ -0,0 +1,271 @@
+/**
+ * Conversation encryption
+ *
+ * Optional application-level encryption of conversation message content,
+ * topic summaries and milestone conversation summaries with a locally supplied
+ * 256-bit key (CONVERSATION_ENCRYPTION_KEY). Values are encrypted with
+ * AES-256-GCM and stored as "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>", so
+ * plaintext rows from before encryption was enabled and rows of older keys
+ * stay readable.
+ *
+ * Encrypted text cannot be searched with LIKE, so the words of each value are
+ * also stored as keyed hashes (HMAC-SHA256 with a key derived from the
+ * encryption key): a search term matches when its hash is among them.
+ *
+ * Keys are rotated by moving the current key to
+ * CONVERSATION_ENCRYPTION_PREVIOUS_KEYS, setting a new key and re-encrypting
+ * the stored rows (see ../db/conversationEncryption.js).
+ */
+
+import crypto from "crypto";
+import config from "../config.js";
+
+// Prefix of encrypted values, including the envelope version
+export const ENCRYPTED_VALUE_PREFIX = "enc:v1:";
+
+// Characters of a hashed search term
+const TERM_HASH_LENGTH = 16;
+
+// Words shorter than this are not worth a hashed search term
+const MIN_TERM_LENGTH = 2;
+
+/**
+ * Decodes an encryption key given as 64 hex characters or base64
+ * @param {string} value - The encoded key
+ * @returns {Buffer} The 32-byte key
+ * @throws {Error} If the value does not encode 32 bytes
+ */
+export function parseEncryptionKey(value) {
+  const trimmedValue = String(value || "").trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmedValue)
+    ? Buffer.from(trimmedValue, "hex")
+    : Buffer.from(trimmedValue, "base64");
+
+  if (key.length !== 32) {
+    throw new Error(
+      "Conversation encryption keys must be 32 bytes, encoded as 64 hex characters or base64"
+    );
+  }
+  return key;
+}
+
+/**
+ * Generates a new encryption key
+ * @returns {string} A random 32-byte key, base64 encoded
+ */
+export function generateEncryptionKey() {
+  return crypto.randomBytes(32).toString("base64");
+}
+
+/**
+ * Splits text into the lowercase words a search can match
+ * @param {string} text - The text to split
+ * @returns {string[]} Unique words
+ */
+export function tokenizeSearchTerms(text) {
+  const words = String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}_]+/u)
+    .filter((word) => word.length >= MIN_TERM_LENGTH);
+  return [...new Set(words)];
+}
+
+/**
+ * Checks whether a stored value is encrypted
+ * @param {*} value - The stored value
+ * @returns {boolean} True for values in the encrypted envelope format
+ */
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_VALUE_PREFIX);
+}
+
+/**
+ * Encrypts and decrypts conversation values and hashes their search terms
+ */
+export class ConversationCipher {
+  /**
+   * Creates a new ConversationCipher
+   * @param {Object} options - Cipher keys
+   * @param {string} [options.key] - Current key; without it values are stored in plaintext
+   * @param {Array<string>} [options.previousKeys] - Older keys that can still decrypt values
+   */
+  constructor({ key = null, previousKeys = [] } = {}) {
+    this.keys = new Map();
+    this.currentKeyId = null;
+
+    for (const encodedKey of [key, ...previousKeys].filter(Boolean)) {
+      const secret = parseEncryptionKey(encodedKey);
+      const keyId = crypto
+        .createHash("sha256")
+        .update(secret)
+        .digest("hex")
+        .substring(0, 8);
+      if (!this.keys.has(keyId)) {
+        this.keys.set(keyId, {
+          secret,
+          termKey: crypto
+            .createHmac("sha256", secret)
+            .update("conversation-search-terms")
+            .digest(),
+        });
+      }
+      if (encodedKey === key) {
+        this.currentKeyId = keyId;
+      }
+    }
+  }
+
+  /**
+   * Whether new values are encrypted
+   * @returns {boolean} True if a current key is configured
+   */
+  get canEncrypt() {
+    return this.currentKeyId !== null;
+  }
+
+  /**
+   * Encrypts a value with the current key
+   * @param {string|null} value - The plaintext
+   * @returns {string|null} The encrypted value, or the value itself without a current key
+   */
+  encrypt(value) {
+    if (value === null || value === undefined || !this.canEncrypt) {
+      return value;
+    }
+
+    const { secret } = this.keys.get(this.currentKeyId);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", secret, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(String(value), "utf8"),
+      cipher.final(),
+    ]);
+
+    return (
+      ENCRYPTED_VALUE_PREFIX +
+      [this.currentKeyId, iv, cipher.getAuthTag(), ciphertext]
+        .map((part) =>
+          typeof part === "string" ? part : part.toString("base64url")
+        )
+        .join(":")
+    );
+  }
+
+  /**
+   * Decrypts a value encrypted with any configured key
+   * @param {string|null} value - The stored value
+   * @returns {string|null} The plaintext; plaintext values are returned as they are
+   * @throws {Error} If the value's key is not configured or the value was tampered with
+   */
+  decrypt(value) {
+    if (!isEncryptedValue(value)) {
+      return value;
+    }
+
+    const [keyId, iv, authTag, ciphertext] = value
+      .substring(ENCRYPTED_VALUE_PREFIX.length)
+      .split(":");
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new Error(
+        `Conversation data is encrypted with key ${keyId}, which is not configured`
+      );
+    }
+
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      key.secret,
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAuthTag(Buffer.from(authTag, "base64url"));
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  }
+
+  /**
+   * Checks whether a stored value needs re-encryption with the current key
+   * @param {string|null} value - The stored value
+   * @returns {boolean} True for plaintext while a key is configured, and for values of other keys
+   */
+  needsReencryption(value) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+    if (!isEncryptedValue(value)) {
+      return this.canEncrypt;
+    }
+    return !value.startsWith(`${ENCRYPTED_VALUE_PREFIX}${this.currentKeyId}:`);
+  }
+
+  /**
+   * Hashes a word with the search term key of one key
+   * @private
+   * @param {string} keyId - ID of the key
+   * @param {string} word - Lowercase word
+   * @returns {string} The term hash
+   */
+  _hashTerm(keyId, word) {
+    return crypto
+      .createHmac("sha256", this.keys.get(keyId).termKey)
+      .update(word)
+      .digest("hex")
+      .substring(0, TERM_HASH_LENGTH);
+  }
+
+  /**
+   * Builds the hashed search terms stored next to an encrypted value
+   * @param {string} text - The plaintext
+   * @returns {string|null} Space-delimited term hashes, or null without a current key
+   */
+  hashSearchTerms(text) {
+    if (!this.canEncrypt) {
+      return null;
+    }
+    const hashes = tokenizeSearchTerms(text).map((word) =>
+      this._hashTerm(this.currentKeyId, word)
+    );
+    return ` ${hashes.join(" ")} `;
+  }
+
+  /**
+   * Hashes a word of a search with every configured key, so rows that were
+   * not re-encrypted after a key rotation are still found
+   * @param {string} word - A word returned by tokenizeSearchTerms()
+   * @returns {string[]} One term hash per key
+   */
+  hashQueryTerm(word) {
+    return [...this.keys.keys()].map((keyId) => this._hashTerm(keyId, word));
+  }
+}
+
+// Cipher built from configuration; undefined until first used
+let conversationCipher;
+
+/**
+ * Returns the cipher configured with CONVERSATION_ENCRYPTION_KEY
+ * @returns {ConversationCipher|null} The cipher, or null if no key is configured
+ */
+export function getConversationCipher() {
+  if (conversationCipher === undefined) {
+    const hasKeys =
+      config.CONVERSATION_ENCRYPTION_KEY ||
+      config.CONVERSATION_ENCRYPTION_PREVIOUS_KEYS.length > 0;
+    conversationCipher = hasKeys
+      ? new ConversationCipher({
+          key: config.CONVERSATION_ENCRYPTION_KEY,
+          previousKeys: config.CONVERSATION_ENCRYPTION_PREVIOUS_KEYS,
+        })
+      : null;
+  }
+  return conversationCipher;
+}
+
+/**
+ * Replaces the configured cipher, e.g. for a key rotation in tests
+ * @param {ConversationCipher|null} cipher - The cipher to use, or null to store plaintext
+ */
+export function setConversationCipher(cipher) {
+  conversationCipher = cipher;
+}
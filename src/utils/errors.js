@@ -33,3 +33,20 @@ export class AIProviderError extends Error {
     this.name = "AIProviderError";
   }
 }
+
+/**
+ * Error class for database client misuse, such as using a closed client.
+ * @extends Error
+ */
+export class DatabaseError extends Error {
+  /**
+   * Create a DatabaseError.
+   * @param {string} message - The error message.
+   * @param {string} code - Error code matching the libSQL client codes (e.g. 'CLIENT_CLOSED').
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "DatabaseError";
+    this.code = code;
+  }
+}
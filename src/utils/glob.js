@@ -0,0 +1,121 @@
+/**
+ * Glob utilities
+ *
+ * Minimal glob matching for repository-relative file paths, used to filter
+ * retrieval results by path. Supports `*` (any characters except "/"), `?`
+ * (one character except "/"), `**` (any number of directories) and `{a,b}`
+ * alternatives. Patterns without a "/" match the file name in any directory,
+ * so "*.md" matches "docs/guide.md". Indexed code and documents store
+ * absolute paths, which are made relative to the project root first.
+ */
+
+// Characters with a special meaning in regular expressions
+const REGEXP_SPECIAL_CHARACTERS = /[.+^$()|[\]\\]/;
+
+/**
+ * Normalizes a file path for glob matching
+ * @param {string} filePath - The path to normalize
+ * @returns {string} The path with forward slashes and no leading "./" or "/"
+ */
+export function normalizeGlobPath(filePath) {
+  return String(filePath)
+    .replace(/\\/g, "/")
+    .replace(/^(\.\/)+/, "")
+    .replace(/^\/+/, "");
+}
+
+/**
+ * Makes a file path relative to the project root
+ * @param {string} filePath - The path, absolute or already relative
+ * @param {string|null} [rootPath] - Root directory of the project
+ * @returns {string} The path below rootPath with forward slashes, or the path itself if it is outside rootPath
+ */
+export function toProjectRelativePath(filePath, rootPath = null) {
+  const normalizedPath = String(filePath).replace(/\\/g, "/");
+  if (!rootPath) return normalizedPath;
+
+  const normalizedRoot = String(rootPath)
+    .replace(/\\/g, "/")
+    .replace(/\/+$/, "");
+  return normalizedPath.startsWith(`${normalizedRoot}/`)
+    ? normalizedPath.slice(normalizedRoot.length + 1)
+    : normalizedPath;
+}
+
+/**
+ * Converts a glob pattern into an anchored regular expression
+ * @param {string} pattern - The glob pattern (e.g. "src/services/**")
+ * @returns {RegExp} Regular expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let normalizedPattern = normalizeGlobPath(pattern);
+
+  // A pattern without a directory part matches the file name anywhere
+  if (!normalizedPattern.includes("/")) {
+    normalizedPattern = `**/${normalizedPattern}`;
+  }
+
+  let source = "";
+  let braceDepth = 0;
+
+  for (let i = 0; i < normalizedPattern.length; i++) {
+    const character = normalizedPattern[i];
+
+    if (character === "*") {
+      if (normalizedPattern[i + 1] === "*") {
+        const atSegmentStart = i === 0 || normalizedPattern[i - 1] === "/";
+        const followedBySlash = normalizedPattern[i + 2] === "/";
+        i++;
+
+        if (atSegmentStart && followedBySlash) {
+          // "**/" matches zero or more leading directories
+          source += "(?:.*/)?";
+          i++;
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (character === "?") {
+      source += "[^/]";
+    } else if (character === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (character === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (character === "," && braceDepth > 0) {
+      source += "|";
+    } else if (REGEXP_SPECIAL_CHARACTERS.test(character)) {
+      source += `\\${character}`;
+    } else {
+      source += character;
+    }
+  }
+
+  // Close any unbalanced braces so the expression stays valid
+  source += ")".repeat(braceDepth);
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a file path matches any of the glob patterns
+ * @param {string} filePath - The path to test
+ * @param {Array<string|RegExp>} patterns - Glob patterns or expressions from globToRegExp
+ * @param {string|null} [rootPath] - Project root that absolute paths are made relative to
+ * @returns {boolean} True if at least one pattern matches
+ */
+export function matchesAnyGlob(filePath, patterns, rootPath = null) {
+  if (!filePath || !patterns || patterns.length === 0) return false;
+
+  const normalizedPath = normalizeGlobPath(
+    toProjectRelativePath(filePath, rootPath)
+  );
+  return patterns.some((pattern) =>
+    (pattern instanceof RegExp ? pattern : globToRegExp(pattern)).test(
+      normalizedPath
+    )
+  );
+}
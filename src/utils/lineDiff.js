@@ -0,0 +1,201 @@
+/**
+ * Line diff
+ *
+ * Computes the hunks of a unified diff between two texts with the Myers
+ * algorithm. Lines shared at the start and end of both texts are matched
+ * before the search, and a change that needs more than MAX_EDIT_DISTANCE
+ * line edits is reported as replacing all lines in between, which keeps
+ * large rewrites cheap.
+ */
+
+// Line edits searched for before falling back to a full replacement
+const MAX_EDIT_DISTANCE = 1000;
+
+/**
+ * Splits a text into lines, ignoring a final newline
+ * @param {string} text - The text
+ * @returns {string[]} The lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.replace(/\r?\n$/, "").split(/\r?\n/);
+}
+
+/**
+ * Finds the shortest edit script turning oldLines into newLines
+ * @param {string[]} oldLines - Lines of the old text
+ * @param {string[]} newLines - Lines of the new text
+ * @returns {Array<Object>|null} Operations { type: " " | "-" | "+", line }, or null if the script needs more than MAX_EDIT_DISTANCE edits
+ */
+function findEditScript(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const offset = n + m + 1;
+  // Furthest old line reached on each diagonal k = x - y, indexed by k + offset
+  const furthest = new Int32Array(2 * offset + 1);
+  // Per edit distance d, the diagonals -d - 1 to d + 1 before step d
+  const trace = [];
+
+  for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+    trace.push(furthest.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d ||
+        (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1])
+          ? furthest[offset + k + 1]
+          : furthest[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      furthest[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, oldLines, newLines);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walks the trace of findEditScript back from the end of both texts
+ * @param {Int32Array[]} trace - Furthest points before each edit distance
+ * @param {string[]} oldLines - Lines of the old text
+ * @param {string[]} newLines - Lines of the new text
+ * @returns {Array<Object>} Operations { type, line } in text order
+ */
+function backtrack(trace, oldLines, newLines) {
+  const operations = [];
+  let x = oldLines.length;
+  let y = newLines.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const before = (k) => trace[d][k + d + 1];
+    const k = x - y;
+    const isInsertion =
+      k === -d || (k !== d && before(k - 1) < before(k + 1));
+    const previousX = before(isInsertion ? k + 1 : k - 1);
+    const startX = isInsertion ? previousX : previousX + 1;
+
+    while (x > startX) {
+      x--;
+      y--;
+      operations.push({ type: " ", line: oldLines[x] });
+    }
+    if (isInsertion) {
+      y--;
+      operations.push({ type: "+", line: newLines[y] });
+    } else {
+      x--;
+      operations.push({ type: "-", line: oldLines[x] });
+    }
+  }
+  while (x > 0) {
+    x--;
+    operations.push({ type: " ", line: oldLines[x] });
+  }
+
+  return operations.reverse();
+}
+
+/**
+ * Computes the hunks of a unified diff between two texts
+ * @param {string} oldText - The old text, empty for an added file
+ * @param {string} newText - The new text, empty for a deleted file
+ * @param {Object} [options] - Diff options
+ * @param {number} [options.contextLines=3] - Unchanged lines kept around each change
+ * @returns {Array<Object>} Hunks { oldStart, oldLines, newStart, newLines, lines }, where lines start with " ", "-" or "+"
+ */
+export function diffLines(oldText, newText, { contextLines = 3 } = {}) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  let prefixLength = 0;
+  while (
+    prefixLength < oldLines.length &&
+    prefixLength < newLines.length &&
+    oldLines[prefixLength] === newLines[prefixLength]
+  ) {
+    prefixLength++;
+  }
+  let suffixLength = 0;
+  while (
+    suffixLength < oldLines.length - prefixLength &&
+    suffixLength < newLines.length - prefixLength &&
+    oldLines[oldLines.length - 1 - suffixLength] ===
+      newLines[newLines.length - 1 - suffixLength]
+  ) {
+    suffixLength++;
+  }
+
+  const oldMiddle = oldLines.slice(prefixLength, oldLines.length - suffixLength);
+  const newMiddle = newLines.slice(prefixLength, newLines.length - suffixLength);
+  const middleOperations = findEditScript(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((line) => ({ type: "-", line })),
+    ...newMiddle.map((line) => ({ type: "+", line })),
+  ];
+  const operations = [
+    ...oldLines.slice(0, prefixLength).map((line) => ({ type: " ", line })),
+    ...middleOperations,
+    ...oldLines
+      .slice(oldLines.length - suffixLength)
+      .map((line) => ({ type: " ", line })),
+  ];
+
+  // Changes less than two contexts apart share a hunk
+  const changeIndexes = [];
+  operations.forEach((operation, index) => {
+    if (operation.type !== " ") {
+      changeIndexes.push(index);
+    }
+  });
+  const ranges = [];
+  for (const index of changeIndexes) {
+    const lastRange = ranges[ranges.length - 1];
+    if (lastRange && index - lastRange.lastChange <= 2 * contextLines + 1) {
+      lastRange.lastChange = index;
+    } else {
+      ranges.push({ firstChange: index, lastChange: index });
+    }
+  }
+
+  const hunks = [];
+  let oldLineNumber = 0;
+  let newLineNumber = 0;
+  let position = 0;
+  for (const { firstChange, lastChange } of ranges) {
+    const start = Math.max(0, firstChange - contextLines);
+    const end = Math.min(operations.length, lastChange + contextLines + 1);
+
+    // Count the lines before the hunk
+    for (; position < start; position++) {
+      oldLineNumber += operations[position].type !== "+" ? 1 : 0;
+      newLineNumber += operations[position].type !== "-" ? 1 : 0;
+    }
+
+    const hunkOperations = operations.slice(start, end);
+    const oldCount = hunkOperations.filter(({ type }) => type !== "+").length;
+    const newCount = hunkOperations.filter(({ type }) => type !== "-").length;
+    hunks.push({
+      // Like git diff, an empty side starts at the line before the hunk
+      oldStart: oldCount > 0 ? oldLineNumber + 1 : oldLineNumber,
+      oldLines: oldCount,
+      newStart: newCount > 0 ? newLineNumber + 1 : newLineNumber,
+      newLines: newCount,
+      lines: hunkOperations.map(({ type, line }) => `${type}${line}`),
+    });
+    oldLineNumber += oldCount;
+    newLineNumber += newCount;
+    position = end;
+  }
+
+  return hunks;
+}
+
+export default diffLines;
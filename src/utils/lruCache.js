@@ -0,0 +1,69 @@
+/**
+ * Least-recently-used cache
+ *
+ * A Map-backed cache holding at most a fixed number of entries. Reading or
+ * writing an entry makes it the most recently used one; when the cache is
+ * full, writing a new entry evicts the least recently used one.
+ */
+
+export class LruCache {
+  /**
+   * Creates a new LruCache
+   * @param {number} maxEntries - Maximum number of entries; 0 disables the cache
+   */
+  constructor(maxEntries) {
+    this.maxEntries = Math.max(0, maxEntries || 0);
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} The entry count
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Reads an entry and marks it as most recently used
+   * @param {string} key - The entry key
+   * @returns {*} The cached value, or undefined if the key is not cached
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  /**
+   * Stores an entry, evicting the least recently used entry when full
+   * @param {string} key - The entry key
+   * @param {*} value - The value to cache
+   */
+  set(key, value) {
+    if (this.maxEntries === 0) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Removes all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default LruCache;
@@ -0,0 +1,37 @@
+/**
+ * Project utilities
+ *
+ * Resolves the project an MCP tool call acts on. Calls act on the project the
+ * server was started for unless they name another project registered in the
+ * same database.
+ */
+
+import { getProjectByName, listProjects } from "../db/queries.js";
+
+/**
+ * Creates a resolver from an optional project name to a project row
+ * @param {Object} dbClient - The database client instance
+ * @param {Object} defaultProject - Project row used when no name is given
+ * @returns {function(string=): Promise<Object>} Resolver returning the project row
+ */
+export function createProjectResolver(dbClient, defaultProject) {
+  return async (projectName) => {
+    if (!projectName || projectName === defaultProject.name) {
+      return defaultProject;
+    }
+
+    const project = await getProjectByName(dbClient, projectName);
+    if (!project) {
+      const knownProjects = await listProjects(dbClient);
+      throw new Error(
+        `Unknown project '${projectName}'. Registered projects: ${knownProjects
+          .map((knownProject) => knownProject.name)
+          .join(", ")}`
+      );
+    }
+
+    return project;
+  };
+}
+
+export default createProjectResolver;
@@ -0,0 +1,241 @@
+/**
+ * Secret scanning utilities
+ *
+ * Detects credentials in file content before it is stored: well-known API key
+ * and token formats, private key blocks, passwords in connection strings and
+ * assignments, high-entropy string literals and every value of a `.env` file.
+ * Detected secrets are replaced with a `[REDACTED:<type>]` marker; line breaks
+ * inside a secret are kept so line numbers of the content stay valid.
+ *
+ * Findings never contain the secret itself, so they are safe to log and store.
+ */
+
+import path from "path";
+
+// Key of the summary of redacted secrets in a row's custom_metadata
+export const SECRET_METADATA_KEY = "secret_redaction";
+
+// Secret formats; the named group "secret" limits the redaction to part of the match
+const SECRET_PATTERNS = [
+  {
+    type: "private_key",
+    pattern:
+      /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g,
+  },
+  { type: "aws_access_key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    type: "github_token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g,
+  },
+  { type: "google_api_key", pattern: /\bAIza[0-9A-Za-z_-]{35}/g },
+  { type: "slack_token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { type: "stripe_key", pattern: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}/g },
+  { type: "api_key", pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  {
+    type: "jwt",
+    pattern:
+      /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    type: "connection_string_password",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/dgi,
+  },
+  {
+    type: "credential_assignment",
+    pattern:
+      /[\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)["']?\s*[:=]\s*(["'`])(?<secret>[^"'`\s$]{8,})\1/dgi,
+  },
+];
+
+// String literals long enough to be checked for entropy
+const STRING_LITERAL_PATTERN = /(["'`])(?<secret>[A-Za-z0-9+/=_-]{24,})\1/dg;
+
+// Bits of entropy per character above which a literal is considered random
+const ENTROPY_THRESHOLD = 4;
+
+// Assignments in .env files: optional "export", a key and a value
+const ENV_ASSIGNMENT_PATTERN =
+  /^[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.-]*[ \t]*=[ \t]*(?<secret>[^\r\n#]*?)[ \t]*(?:#.*)?$/dgm;
+
+// Values that document where a secret goes rather than being one
+const PLACEHOLDER_PATTERN =
+  /^(?:x+|\*+|<[^>]*>|\{\{.*\}\}|your[_-].*|changeme|example.*|placeholder.*|\[?redacted.*)$/i;
+
+/**
+ * Checks whether a file holds environment variables, e.g. ".env" or "prod.env"
+ * @param {string} filePath - Path of the file
+ * @returns {boolean} True for .env files
+ */
+export function isEnvFile(filePath) {
+  const fileName = path.basename(filePath || "").toLowerCase();
+  return /^\.env(?:\..+)?$/.test(fileName) || fileName.endsWith(".env");
+}
+
+/**
+ * Computes the Shannon entropy of a string
+ * @param {string} value - The string to measure
+ * @returns {number} Bits of entropy per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const character of value) {
+    counts.set(character, (counts.get(character) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const characterCount of counts.values()) {
+    const probability = characterCount / value.length;
+    entropy -= probability * Math.log2(probability);
+  }
+  return entropy;
+}
+
+/**
+ * Checks whether a string literal looks like a random token
+ * Mixing letters and digits excludes identifiers and words, and the entropy
+ * threshold excludes hex digests, which cannot exceed 4 bits per character.
+ * @param {string} value - The literal without quotes
+ * @returns {boolean} True if the literal is likely a secret
+ */
+function isHighEntropyToken(value) {
+  return (
+    /[A-Za-z]/.test(value) &&
+    /[0-9]/.test(value) &&
+    shannonEntropy(value) > ENTROPY_THRESHOLD
+  );
+}
+
+/**
+ * Collects the matches of a pattern as findings
+ * @param {string} content - The content to scan
+ * @param {RegExp} pattern - Global pattern, optionally with a "secret" group and the "d" flag
+ * @param {string} type - Type reported for the matches
+ * @param {Function} [accept] - Filter receiving the secret of each match
+ * @returns {Array<{type: string, start: number, end: number}>} Findings in content order
+ */
+function matchSecrets(content, pattern, type, accept = () => true) {
+  const findings = [];
+  for (const match of content.matchAll(pattern)) {
+    const secret = match.groups?.secret ?? match[0];
+    if (!secret || PLACEHOLDER_PATTERN.test(secret) || !accept(secret)) {
+      continue;
+    }
+
+    const [start, end] = match.indices?.groups?.secret || [
+      match.index,
+      match.index + match[0].length,
+    ];
+    findings.push({ type, start, end });
+  }
+  return findings;
+}
+
+/**
+ * Scans content for secrets
+ * @param {string} content - The content to scan
+ * @param {string} [filePath] - Path of the file, used to recognize .env files
+ * @returns {Array<{type: string, line: number, start: number, end: number}>}
+ *   Non-overlapping findings in content order, with 1-based line numbers and character offsets
+ */
+export function scanForSecrets(content, filePath = "") {
+  if (!content) {
+    return [];
+  }
+
+  const findings = SECRET_PATTERNS.flatMap(({ type, pattern }) =>
+    matchSecrets(content, pattern, type)
+  );
+  findings.push(
+    ...matchSecrets(
+      content,
+      STRING_LITERAL_PATTERN,
+      "high_entropy_string",
+      isHighEntropyToken
+    )
+  );
+  if (isEnvFile(filePath)) {
+    findings.push(...matchSecrets(content, ENV_ASSIGNMENT_PATTERN, "env_value"));
+  }
+
+  // Keep the earliest, then longest, of overlapping findings
+  findings.sort((a, b) => a.start - b.start || b.end - a.end);
+  const nonOverlapping = [];
+  for (const finding of findings) {
+    const previous = nonOverlapping[nonOverlapping.length - 1];
+    if (!previous || finding.start >= previous.end) {
+      nonOverlapping.push(finding);
+    }
+  }
+
+  let line = 1;
+  let position = 0;
+  return nonOverlapping.map((finding) => {
+    for (; position < finding.start; position++) {
+      if (content[position] === "\n") line++;
+    }
+    return { ...finding, line };
+  });
+}
+
+/**
+ * Replaces the secrets in content with redaction markers
+ * @param {string} content - The content to redact
+ * @param {string} [filePath] - Path of the file, used to recognize .env files
+ * @returns {{content: string, findings: Array<Object>}} The redacted content and the findings of scanForSecrets()
+ */
+export function redactSecrets(content, filePath = "") {
+  const findings = scanForSecrets(content, filePath);
+  if (findings.length === 0) {
+    return { content, findings };
+  }
+
+  let redactedContent = "";
+  let position = 0;
+  for (const { type, start, end } of findings) {
+    const lineBreaks = content.substring(start, end).split("\n").length - 1;
+    redactedContent +=
+      content.substring(position, start) +
+      `[REDACTED:${type}]` +
+      "\n".repeat(lineBreaks);
+    position = end;
+  }
+  redactedContent += content.substring(position);
+
+  return { content: redactedContent, findings };
+}
+
+/**
+ * Summarizes findings for a row's custom_metadata
+ * @param {Array<Object>} findings - Findings of scanForSecrets()
+ * @returns {Object} Metadata with the SECRET_METADATA_KEY key, empty without findings
+ */
+export function buildSecretMetadata(findings) {
+  if (findings.length === 0) {
+    return {};
+  }
+
+  return {
+    [SECRET_METADATA_KEY]: {
+      count: findings.length,
+      types: [...new Set(findings.map((finding) => finding.type))],
+      lines: [...new Set(findings.map((finding) => finding.line))],
+    },
+  };
+}
+
+/**
+ * Checks whether secrets were redacted from a stored code entity or document
+ * @param {Object} record - Row with a custom_metadata column (JSON string or object)
+ * @returns {boolean} True if the row was flagged when it was indexed
+ */
+export function hasRedactedSecrets(record) {
+  let metadata = record?.custom_metadata;
+  if (typeof metadata === "string") {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch (error) {
+      return false;
+    }
+  }
+  return !!metadata?.[SECRET_METADATA_KEY];
+}
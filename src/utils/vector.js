@@ -0,0 +1,103 @@
+/**
+ * Vector utilities
+ *
+ * Helpers for storing embedding vectors, comparing them and fusing ranked
+ * result lists from different retrieval sources.
+ */
+
+// Damping constant for reciprocal rank fusion; 60 is the value from the original RRF paper
+export const RRF_K = 60;
+
+/**
+ * Scales a vector to unit length so cosine similarity reduces to a dot product
+ * @param {number[]|Float32Array} vector - The vector to normalize
+ * @returns {Float32Array} The normalized vector (all zeros if the input has no magnitude)
+ */
+export function normalizeVector(vector) {
+  const normalized = Float32Array.from(vector);
+  let sumOfSquares = 0;
+  for (const value of normalized) {
+    sumOfSquares += value * value;
+  }
+
+  const magnitude = Math.sqrt(sumOfSquares);
+  if (magnitude === 0) return normalized;
+
+  for (let i = 0; i < normalized.length; i++) {
+    normalized[i] /= magnitude;
+  }
+  return normalized;
+}
+
+/**
+ * Computes the cosine similarity of two vectors
+ * @param {number[]|Float32Array} a - First vector
+ * @param {number[]|Float32Array} b - Second vector
+ * @returns {number} Similarity between -1 and 1, or 0 if the vectors are incompatible
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Encodes a vector as little-endian float32 bytes for a BLOB column
+ * @param {number[]|Float32Array} vector - The vector to encode
+ * @returns {Uint8Array} The encoded bytes
+ */
+export function encodeVector(vector) {
+  return new Uint8Array(Float32Array.from(vector).buffer);
+}
+
+/**
+ * Decodes a BLOB column value written by encodeVector
+ * @param {ArrayBuffer|Uint8Array|Buffer} blob - The stored bytes
+ * @returns {Float32Array} The decoded vector
+ */
+export function decodeVector(blob) {
+  if (blob instanceof ArrayBuffer) {
+    return new Float32Array(blob.slice(0));
+  }
+  // Copy typed arrays/Buffers so the result is aligned and owns its memory
+  const bytes = Uint8Array.from(blob);
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * Fuses several ranked lists of IDs with reciprocal rank fusion
+ * Each list contributes 1 / (k + rank) for every ID it contains (rank is 1-based).
+ * @param {string[][]} rankedLists - Lists of IDs, each ordered best first
+ * @param {number} [k=RRF_K] - Damping constant
+ * @returns {Map<string, number>} Fused score per ID
+ */
+export function reciprocalRankFusion(rankedLists, k = RRF_K) {
+  const scores = new Map();
+
+  for (const list of rankedLists) {
+    list.forEach((id, index) => {
+      scores.set(id, (scores.get(id) || 0) + 1 / (k + index + 1));
+    });
+  }
+
+  return scores;
+}
+
+export default {
+  RRF_K,
+  normalizeVector,
+  cosineSimilarity,
+  encodeVector,
+  decodeVector,
+  reciprocalRankFusion,
+};
@@ -0,0 +1,134 @@
+// test-vectors.js
+//
+// Sanity check for the configured embedder (EMBEDDING_PROVIDER): embeds a few
+// code snippets and queries, then verifies that every query is closest to the
+// snippet it describes. Run with `npm run test-vectors`.
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+
+dotenv.config();
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+};
+
+// Small corpus of code entities as they would be embedded by AIService
+const SAMPLE_ENTITIES = [
+  {
+    id: "fetchUserProfile",
+    text: "function_declaration fetchUserProfile\nsrc/api/users.js\nasync function fetchUserProfile(userId) {\n  const response = await fetch(`/api/users/${userId}`);\n  return response.json();\n}",
+  },
+  {
+    id: "parseCsvRow",
+    text: 'function_definition parse_csv_row\nsrc/import/csv.py\ndef parse_csv_row(row):\n    """Split a CSV row into trimmed fields."""\n    return [field.strip() for field in row.split(",")]',
+  },
+  {
+    id: "hashPassword",
+    text: "function_declaration hashPassword\nsrc/auth/password.js\nfunction hashPassword(password, salt) {\n  return crypto.pbkdf2Sync(password, salt, 100000, 64, 'sha512');\n}",
+  },
+];
+
+// Queries paired with the entity they should retrieve first
+const SAMPLE_QUERIES = [
+  {
+    query: "load the profile of a user from the api",
+    expected: "fetchUserProfile",
+  },
+  { query: "split csv rows into fields", expected: "parseCsvRow" },
+  { query: "password hashing with a salt", expected: "hashPassword" },
+];
+
+/**
+ * Embeds the sample corpus and checks that each query ranks its entity first
+ * @returns {Promise<boolean>} True if all checks passed
+ */
+async function testEmbeddingRanking() {
+  // Imported lazily so dotenv has populated process.env before config is read
+  const { default: config } = await import("./src/config.js");
+  const { createEmbedder } = await import(
+    "./src/services/ai-providers/index.js"
+  );
+  const { cosineSimilarity } = await import("./src/utils/vector.js");
+
+  const embedder = createEmbedder(config);
+  console.log(
+    `${colors.blue}Testing embeddings from ${embedder.name} (${embedder.embeddingModel})${colors.reset}`
+  );
+
+  if (!embedder.isFunctional) {
+    console.error(
+      `${colors.red}Embedder is not functional. Check EMBEDDING_PROVIDER and AI provider settings.${colors.reset}`
+    );
+    return false;
+  }
+
+  const entityVectors = await embedder.embedTexts(
+    SAMPLE_ENTITIES.map((entity) => entity.text)
+  );
+  const queryVectors = await embedder.embedTexts(
+    SAMPLE_QUERIES.map((sample) => sample.query)
+  );
+
+  // Every vector must have the same, non-zero number of dimensions
+  const dimensions = new Set(
+    [...entityVectors, ...queryVectors].map((vector) => vector.length)
+  );
+  if (dimensions.size !== 1 || dimensions.has(0)) {
+    console.error(
+      `${colors.red}Inconsistent vector dimensions: ${[...dimensions].join(", ")}${colors.reset}`
+    );
+    return false;
+  }
+  console.log(`Vector dimensions: ${[...dimensions][0]}`);
+
+  let success = true;
+  SAMPLE_QUERIES.forEach((sample, queryIndex) => {
+    const ranked = SAMPLE_ENTITIES.map((entity, entityIndex) => ({
+      id: entity.id,
+      similarity: cosineSimilarity(
+        queryVectors[queryIndex],
+        entityVectors[entityIndex]
+      ),
+    })).sort((a, b) => b.similarity - a.similarity);
+
+    const passed = ranked[0].id === sample.expected;
+    success = success && passed;
+
+    console.log(
+      `${passed ? colors.green + "PASS" : colors.red + "FAIL"}${
+        colors.reset
+      } "${sample.query}" -> ${ranked
+        .map((match) => `${match.id} (${match.similarity.toFixed(3)})`)
+        .join(", ")}`
+    );
+  });
+
+  return success;
+}
+
+// Run the check if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  (async () => {
+    try {
+      const success = await testEmbeddingRanking();
+      console.log(
+        `${colors.blue}OVERALL RESULT:${colors.reset} ${
+          success
+            ? colors.green + "ALL CHECKS PASSED"
+            : colors.red + "SOME CHECKS FAILED"
+        }${colors.reset}`
+      );
+      process.exit(success ? 0 : 1);
+    } catch (error) {
+      console.error(`${colors.red}Unhandled error:${colors.reset}`, error);
+      process.exit(1);
+    }
+  })();
+}
+
+export { testEmbeddingRanking };